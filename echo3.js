@@ -13,6 +13,8 @@
  *  <li>Provides API for declaring JavaScript classes which includes support for
  *   specifying abstract and virtual properties and validating subtypes to such
  *   specification.</li>
+ *  <li>Provides support for declaring observable and computed class properties which fire change
+ *   notifications.</li>
  *  <li>Provides a "Method Wrapper" function (Core.method()) to create a function which will invoke 
  *    a member function of a specific object instance (enabling invocation with the "this pointer" set
  *    appropriately).</li>
@@ -20,9 +22,11 @@
  *    methods of an object instance may be created using the Core.method() function.</li>
  *  <li>Provides a "Large Map" useful for managing an associative array that is frequently modified
  *    and will exist for a long period of time.  This object is unfortunately necessary due to
- *    issues present in certain clients (Internet Explorer 6 memory leak / performance degradation).</li>
- *  <li>Provides array manipulation utilities.<li>
+ *    issues present in certain clients (Internet Explorer 6 memory leak / performance degradation).
+ *    The map maintains insertion order and may optionally be used as a capacity-limited LRU cache.</li>
+ *  <li>Provides array manipulation utilities, including computation of minimal edit scripts between arrays.<li>
  *  <li>Provides some simple debugging utilities, e.g., a pseudo-console output.</li>
+ *  <li>Provides a leveled logging subsystem with named loggers, structured fields, and pluggable appenders.</li>
  *  <li>Does not provide any web-specific functionality.</li>
  * </ul>
  */
@@ -33,6 +37,44 @@
  */
 Core = {
 
+    /**
+     * Name of the (non-enumerable, where supported) property in which the change listener list of an observed object is
+     * stored.
+     * @type String
+     */
+    _CHANGE_LISTENERS_PROPERTY: "__coreChangeListeners",
+
+    /**
+     * Registers a listener to be notified of changes made to an object hierarchy by <code>Core.set()</code> and
+     * <code>Core.delete()</code>, e.g., to observe edits to a configuration object.
+     * Listeners will be provided an event with type "change" containing the following properties: 
+     * <code>source</code> (the root object), <code>path</code> (an array of property names/indices describing the
+     * changed value), <code>oldValue</code>, and <code>newValue</code> (undefined when a value is removed).
+     * Changes made to the hierarchy directly (without using the methods of <code>Core</code>) will not be detected.
+     *
+     * @param object the root object of the hierarchy to observe
+     * @param {Function} l the listener to add
+     */
+    addChangeListener: function(object, l) {
+        var listenerList = object[Core._CHANGE_LISTENERS_PROPERTY];
+        if (!listenerList) {
+            listenerList = new Core.ListenerList();
+            if (Object.defineProperty) {
+                try {
+                    // Store as non-enumerable property, such that iteration and serialization of the object are unaffected.
+                    Object.defineProperty(object, Core._CHANGE_LISTENERS_PROPERTY, 
+                            { value: listenerList, configurable: true, writable: true, enumerable: false });
+                } catch (ex) {
+                    // Object.defineProperty() not supported for non-DOM objects (Internet Explorer 8).
+                    object[Core._CHANGE_LISTENERS_PROPERTY] = listenerList;
+                }
+            } else {
+                object[Core._CHANGE_LISTENERS_PROPERTY] = listenerList;
+            }
+        }
+        listenerList.addListener("change", l);
+    },
+    
     /**
      * Creates a duplicate copy of a function by wrapping the original in a closure.
      *
@@ -52,6 +94,110 @@ Core = {
         return function() { };
     },
     
+    /**
+     * Creates a method which composes advice with an existing method.
+     *
+     * @param {Function} method the existing method
+     * @param advice an object containing <code>before</code>, <code>after</code>, and/or <code>around</code> functions
+     * @return the composed method
+     * @type Function
+     */
+    _createAdvisedMethod: function(method, advice) {
+        return function() {
+            var instance = this,
+                args = Array.prototype.slice.call(arguments),
+                returnValue;
+            
+            if (advice.before) {
+                advice.before.apply(this, args);
+            }
+            
+            if (advice.around) {
+                var proceed = function() {
+                    return method.apply(instance, arguments.length > 0 ? arguments : args);
+                };
+                returnValue = advice.around.apply(this, [proceed].concat(args));
+            } else {
+                returnValue = method.apply(this, args);
+            }
+            
+            if (advice.after) {
+                advice.after.apply(this, [returnValue].concat(args));
+            }
+            
+            return returnValue;
+        };
+    },
+    
+    /**
+     * Creates a getter method for an observable property.
+     *
+     * @param {String} name the property name
+     * @return the getter
+     * @type Function
+     */
+    _createPropertyGetter: function(name) {
+        return function() {
+            return Core._getProperty(this, name);
+        };
+    },
+    
+    /**
+     * Creates a setter method for an observable property.
+     *
+     * @param {String} name the property name
+     * @return the setter
+     * @type Function
+     */
+    _createPropertySetter: function(name) {
+        return function(newValue) {
+            Core._setProperty(this, name, newValue);
+        };
+    },
+    
+    /**
+     * Removes a value from an object hierarchy.
+     * If the value is contained in an array, it will be spliced from the array (such that subsequent elements are 
+     * shifted).  Change listeners registered to the object (see <code>Core.addChangeListener()</code>) will be notified
+     * if a value is removed.
+     * <p>
+     * Note that legacy clients which do not permit reserved words to be used as property names must invoke this method
+     * as <code>Core["delete"]()</code>.
+     *
+     * @param object an arbitrary object from which the value should be removed
+     * @param {Array|String} path an array of object property names (and/or array indices) describing the path to remove,
+     *        or a path string (see <code>Core._parsePath()</code>)
+     * @param options (optional) an object containing the following property:
+     *        <ul>
+     *         <li><code>missing</code>: the policy for handling values which do not exist, either "ignore" (the default)
+     *          or "error" (an exception will be thrown)</li>
+     *        </ul>
+     * @return true if a value was removed
+     * @type Boolean
+     */
+    "delete": function(object, path, options) {
+        path = Core._parsePath(path);
+        var missing = options && options.missing == "error" ? "error" : "ignore",
+            container = Core._getContainer(object, path, missing),
+            name = path[path.length - 1];
+        if (!container || !(name in container)) {
+            if (missing == "error") {
+                throw new Error("Path not found: " + Core._formatPath(path));
+            }
+            return false;
+        }
+        
+        var oldValue = container[name];
+        if (container instanceof Array && typeof name == "number") {
+            container.splice(name, 1);
+        } else {
+            delete container[name];
+        }
+        
+        Core._fireChange(object, path, oldValue, undefined);
+        return true;
+    },
+    
     /**
      * Creates a new class, optionally extending an existing class.
      * This method may be called with one or two parameters as follows:
@@ -77,6 +223,39 @@ Core = {
      * is not defined in the virtual block will result in an exception.  Having the default behavior NOT allow
      * for overriding ensures that namespacing between super- and sub-types if all internal variables are instance
      * during <code>Core.extend()</code>.</li>
+     * <li>The <code>$properties</code> property, an object, if provided, declares observable properties.  Each property
+     * of the object names an observable property and specifies its default value.  Alternatively, a property may be
+     * specified as a computed property by providing an object containing a <code>computed</code> function (which will be
+     * invoked with the this pointer set to the instance) and an optional <code>depends</code> array naming the properties
+     * from which its value is derived.  Accessor methods will be generated for each property, e.g., a property named
+     * "width" will result in <code>getWidth()</code> and <code>setWidth()</code> methods (only a getter is generated for
+     * a computed property).  Setting a property will fire a "property" event (containing <code>propertyName</code>, 
+     * <code>oldValue</code>, and <code>newValue</code> properties) to listeners registered via 
+     * <code>addListener()</code>, followed by events for any computed properties whose values changed as a result.
+     * Generic <code>get()</code>, <code>set()</code>, <code>addListener()</code>, and <code>removeListener()</code>
+     * methods will be provided if the class does not already define them.</li>
+     * <li>The <code>$implements</code> property, an array of interface descriptors, if provided, declares interfaces
+     * which the class implements.  An interface descriptor is an object whose properties map method names to the
+     * minimum number of arguments that implementations must declare, and may optionally specify a <code>$name</code>
+     * property to identify the interface in error messages, e.g., 
+     * <code>{ $name: "ListModel", get: 1, size: 0 }</code>.  Interfaces are inherited by derivative classes.
+     * Concrete classes will be verified to provide conforming implementations when they are created.</li>
+     * <li>The <code>$include</code> property, an array of mixin objects, if provided, defines mixins whose properties will
+     * be added to the prototype.  Mixin properties which are already provided by the base class will not be added.
+     * If more than one mixin provides a property, the <code>$resolve</code> property, an object, must specify a resolution
+     * for it, either a mixin object whose implementation should be used or a function which should be used as the
+     * implementation (such a function may invoke the implementations of the conflicting mixins directly).</li>
+     * <li>The <code>$advice</code> property, an object, if provided, composes additional behavior with existing
+     * (e.g., inherited or mixed-in) methods.  Each property names a method and provides an object containing any of the
+     * following functions, which are invoked with the this pointer set to the instance:
+     * <code>before</code> (invoked with the method arguments before the method is executed), 
+     * <code>after</code> (invoked with the method's return value followed by the method arguments after the method is 
+     * executed), and <code>around</code> (invoked in place of the method with a "proceed" function followed by the method
+     * arguments; the proceed function invokes the method with the arguments it is passed, or with the original arguments 
+     * if none are passed, and returns its return value).</li>
+     * <li>The <code>$name</code> property, a string, if provided, specifies the fully qualified name of the class, 
+     * e.g., "Echo.Sync.Button".  The class will be registered under this name with <code>Core.Reflect</code> (once it has
+     * been successfully created).</li>
      * </ul>
      * <p>
      * Use of this method enables a class to be derived WITHOUT executing the constructor of the base class
@@ -137,6 +316,10 @@ Core = {
         
         // Store reference to base class in constructor class.
         constructorClass.$super = baseClass;
+        
+        // Store qualified name and remove from definition such that it will not later be added to the object prototype.
+        var className = definition.$name;
+        delete definition.$name;
 
         if (baseClass) {
             // Create class with empty constructor that shares prototype of base class.
@@ -172,6 +355,17 @@ Core = {
             delete definition.$abstract;
         }
         
+        // Store implemented interfaces, including those of base class.
+        if (definition.$implements || (baseClass && baseClass.$implements)) {
+            constructorClass.$implements = baseClass && baseClass.$implements ? baseClass.$implements : [];
+            if (definition.$implements) {
+                constructorClass.$implements = constructorClass.$implements.concat(definition.$implements);
+
+                // Remove property such that it will not later be added to the object prototype.
+                delete definition.$implements;
+            }
+        }
+        
         // Copy virtual property flags from base class to shared prototype.
         if (baseClass) {
             for (name in baseClass.$virtual) {
@@ -205,14 +399,30 @@ Core = {
 
         // Add Mixins.
         if (definition.$include) {
-            // Reverse order of mixins, such that later-defined mixins will override earlier ones.
-            // (Mixins will only be added if they will NOT override an existing method.)
-            var mixins = definition.$include.reverse();
-            Core._processMixins(constructorClass, mixins);
+            // Mixins will only be added if they will NOT override an existing method.
+            // Conflicts between mixins must be resolved by the '$resolve' object.
+            Core._processMixins(constructorClass, definition.$include, definition.$resolve);
             
             // Remove property such that it will not later be added to the object prototype.
             delete definition.$include;
         }
+        
+        // Remove property such that it will not later be added to the object prototype.
+        delete definition.$resolve;
+        
+        // Store $advice declarations and remove from definition such that they will not be added to the object prototype.
+        var advice = null;
+        if (definition.$advice) {
+            advice = definition.$advice;
+            delete definition.$advice;
+        }
+
+        // Store $properties declarations and remove from definition such that they will not be added to the object prototype.
+        var properties = null;
+        if (definition.$properties) {
+            properties = definition.$properties;
+            delete definition.$properties;
+        }
 
         // Store $load static initializer and remove from definition so it is not inherited in static processing.
         var loadMethod = null;
@@ -234,11 +444,27 @@ Core = {
         // Process instance properties and methods.
         Core._inherit(constructorClass.prototype, definition, constructorClass.$virtual);
         
-        // If class is concrete, verify all abstract methods are provided.
+        // Compose advice with inherited methods.
+        if (advice) {
+            Core._processAdvice(constructorClass, advice);
+        }
+        
+        // Process observable properties, including those declared by base class.
+        if (properties || (baseClass && baseClass.$properties)) {
+            Core._processProperties(constructorClass, properties);
+        }
+        
+        // If class is concrete, verify all abstract methods and interfaces are provided.
         if (!constructorClass.$abstract) {
             this._verifyAbstractImpl(constructorClass);
+            if (constructorClass.$implements) {
+                this._verifyInterfaceImpl(constructorClass);
+            }
         }
         
+        // Register class for reflection (once the class has been successfully created).
+        Core.Reflect._register(constructorClass, className);
+        
         // Invoke static constructors.
         if (loadMethod) {
             // Invoke $load() function with "this" pointer set to class.
@@ -248,11 +474,85 @@ Core = {
         return constructorClass;
     },
     
+    /**
+     * Notifies change listeners registered to an object of a change.
+     *
+     * @param object the root object of the changed hierarchy
+     * @param {Array} path the path of the changed value
+     * @param oldValue the previous value
+     * @param newValue the new value
+     */
+    _fireChange: function(object, path, oldValue, newValue) {
+        var listenerList = object[Core._CHANGE_LISTENERS_PROPERTY];
+        if (!listenerList) {
+            return;
+        }
+        listenerList.fireEvent({ type: "change", source: object, path: path.slice(), 
+                oldValue: oldValue, newValue: newValue });
+    },
+    
+    /**
+     * Creates a path string representation of a path array, for use in error messages.
+     *
+     * @param {Array} path the path
+     * @return the path string
+     * @type String
+     */
+    _formatPath: function(path) {
+        var out = "";
+        for (var i = 0; i < path.length; ++i) {
+            if (typeof path[i] == "number") {
+                out += "[" + path[i] + "]";
+            } else {
+                out += (i === 0 ? "" : ".") + String(path[i]).replace(/[\\.\[\]]/g, "\\$&");
+            }
+        }
+        return out;
+    },
+    
+    /**
+     * Retrieves the object containing the value described by a path, i.e., the value of the path excluding its final
+     * element.
+     *
+     * @param object the root object
+     * @param {Array} path the path
+     * @param {String} missing the policy for handling missing containing objects, one of "create" (an object or array
+     *        will be created, based on the type of the next path element), "ignore" (null will be returned),
+     *        or "error" (an exception will be thrown)
+     * @return the containing object, or null if it does not exist
+     */
+    _getContainer: function(object, path, missing) {
+        var parentObject;
+        if (path.length === 0) {
+            throw new Error("Path must not be empty.");
+        }
+
+        // Find or create container object.
+        for (var i = 0; i < path.length - 1; ++i) {
+            parentObject = object; 
+            object = object[path[i]];
+            if (object == null) {
+                switch (missing) {
+                case "create":
+                    object = typeof path[i + 1] == "number" ? [] : {};
+                    parentObject[path[i]] = object;
+                    break;
+                case "error":
+                    throw new Error("Path not found: " + Core._formatPath(path.slice(0, i + 1)));
+                default:
+                    return null;
+                }
+            }
+        }
+        
+        return object;
+    },
+    
     /**
      * Retrieves a value from an object hierarchy.
      *
      * Examples: 
-     * Given the following object 'o': <code>{ a: { b: 4, c: 2 }}</code>
+     * Given the following object 'o': <code>{ a: { b: 4, c: 2 }, rows: [ { cells: [ 7 ] } ] }</code>
      * <ul>
      * <li><code>Core.get(o, ["a", "b"]) will return <code>4</code>.</li>
      * <li><code>Core.get(o, ["a", "c"]) will return <code>2</code>.</li>
@@ -260,23 +560,144 @@ Core = {
      * <li><code>Core.get(o, ["a"]) will return <code>{ b: 4, c: 2 }</code>.</li>
      * <li><code>Core.get(o, ["b"]) will return <code>null</code>.</li>
      * <li><code>Core.get(o, ["d"]) will return <code>null</code>.</li>
+     * <li><code>Core.get(o, "a.b") will return <code>4</code>.</li>
+     * <li><code>Core.get(o, "rows[0].cells[0]") will return <code>7</code>.</li>
      * </ul>
+     * Values which are falsy (e.g., <code>0</code>, <code>""</code>, and <code>false</code>) are returned as 
+     * <code>null</code>, as are values which do not exist.
      *
      * @param object an arbitrary object from which the value should be retrieved
-     * @param {Array} path an array of object property names describing the path to retrieve
-     * @return the value, if found, or null if it does not exist
+     * @param {Array|String} path an array of object property names (and/or array indices) describing the path to 
+     *        retrieve, or a path string (see <code>Core._parsePath()</code>)
+     * @param options (optional) an object containing the following property:
+     *        <ul>
+     *         <li><code>missing</code>: the policy for handling values which do not exist, either "ignore" (the default,
+     *          <code>null</code> will be returned) or "error" (an exception will be thrown)</li>
+     *        </ul>
+     * @return the value, if found and not falsy, or null
+     */
+    get: function(object, path, options) {
+        var value = Core._getValue(object, path, options && options.missing == "error");
+        return value ? value : null;
+    },
+    
+    /**
+     * Retrieves a value from an object hierarchy, including falsy values.
+     * 
+     * @param object an arbitrary object from which the value should be retrieved
+     * @param {Array|String} path an array of object property names (and/or array indices) describing the path to 
+     *        retrieve, or a path string (see <code>Core._parsePath()</code>)
+     * @param {Boolean} error flag indicating whether an exception should be thrown if the value does not exist
+     * @return the value, or undefined if it does not exist
      */
-    get: function(object, path) {
+    _getValue: function(object, path, error) {
+        path = Core._parsePath(path);
         for (var i = 0; i < path.length; ++i) {
             object = object[path[i]];
-            if (!object) {
-                return null;
+            if (object == null) {
+                if (error) {
+                    throw new Error("Path not found: " + Core._formatPath(path.slice(0, i + 1)));
+                }
+                return undefined;
             }
         }
 
         return object;
     },
     
+    /**
+     * Returns the value of an observable property of an object whose class declares <code>$properties</code>.
+     * Computed property values are cached until a property on which they depend is changed.
+     *
+     * @param instance the object
+     * @param {String} name the property name
+     * @return the property value
+     */
+    _getProperty: function(instance, name) {
+        var descriptor = instance.constructor.$properties[name];
+        if (!descriptor) {
+            throw new Error("Property \"" + name + "\" is not declared.");
+        }
+        
+        if (descriptor.computed) {
+            if (!instance._propertyCache) {
+                instance._propertyCache = {};
+            }
+            if (!instance._propertyCache.hasOwnProperty(name)) {
+                instance._propertyCache[name] = descriptor.computed.call(instance);
+            }
+            return instance._propertyCache[name];
+        }
+        
+        return instance._propertyValues && instance._propertyValues.hasOwnProperty(name) ? 
+                instance._propertyValues[name] : descriptor.value;
+    },
+    
+    /**
+     * Returns the names of all computed properties which depend, directly or indirectly, on the specified property.
+     *
+     * @param properties the property descriptors of a class
+     * @param {String} name the property name
+     * @return the dependent computed property names
+     * @type Array
+     */
+    _getPropertyDependents: function(properties, name) {
+        var dependents = [],
+            queue = [name],
+            current, x;
+        
+        while (queue.length > 0) {
+            current = queue.shift();
+            for (x in properties) {
+                if (properties[x].computed && Core.Arrays.indexOf(properties[x].depends, current) != -1 &&
+                        Core.Arrays.indexOf(dependents, x) == -1) {
+                    dependents.push(x);
+                    queue.push(x);
+                }
+            }
+        }
+        
+        return dependents;
+    },
+    
+    /**
+     * Determines the first violation of an interface by an object, if any.
+     *
+     * @param object the object to test (typically a prototype or an instance)
+     * @param iface the interface descriptor
+     * @return a description of the violation, or null if the object conforms to the interface
+     * @type String
+     */
+    _getInterfaceViolation: function(object, iface) {
+        var interfaceName = iface.$name ? "\"" + iface.$name + "\"" : "(unnamed)";
+        for (var name in iface) {
+            if (name.charAt(0) == "$") {
+                continue;
+            }
+            if (typeof object[name] != "function") {
+                return "Does not provide method \"" + name + "\" of interface " + interfaceName + ".";
+            }
+            if (object[name].length < iface[name]) {
+                return "Method \"" + name + "\" of interface " + interfaceName + " must accept " + iface[name] + 
+                        " argument(s), declares " + object[name].length + ".";
+            }
+        }
+        return null;
+    },
+    
+    /**
+     * Determines if an object provides conforming implementations of all methods of an interface.
+     * The object need not have been created by a class declaring the interface in its <code>$implements</code> property.
+     *
+     * @param object the object to test
+     * @param iface the interface descriptor, an object mapping method names to required argument counts
+     * @return true if the object implements the interface
+     * @type Boolean
+     */
+    implementsInterface: function(object, iface) {
+        return object != null && Core._getInterfaceViolation(object, iface) == null;
+    },
+    
     /**
      * Determines if the specified propertyName of the specified object is a virtual
      * property, i.e., that it can be overridden by subclasses.
@@ -335,70 +756,414 @@ Core = {
         };
     },
     
+    /**
+     * Parses a path string into an array of property names and array indices.
+     * Property names are separated by periods, and array indices are specified in brackets, e.g., 
+     * <code>"rows[3].cells[0]"</code> will be parsed into <code>["rows", 3, "cells", 0]</code>.
+     * A backslash may be used to escape a period, bracket, or backslash which is part of a property name, e.g.,
+     * <code>"StopError\\.Message"</code> will be parsed into <code>["StopError.Message"]</code>.
+     * Arrays are returned unmodified.
+     *
+     * @param {Array|String} path the path string or array
+     * @return the path array
+     * @type Array
+     */
+    _parsePath: function(path) {
+        if (typeof path != "string") {
+            return path;
+        }
+        
+        var segments = [],
+            name = null,
+            c, closeIndex, indexText;
+        
+        for (var i = 0; i < path.length; ++i) {
+            c = path.charAt(i);
+            switch (c) {
+            case "\\":
+                if (i == path.length - 1) {
+                    throw new Error("Invalid path, trailing escape character: " + path);
+                }
+                name = (name || "") + path.charAt(++i);
+                break;
+            case ".":
+                if (name == null) {
+                    // Period without preceding name is permitted only following an index.
+                    if (i === 0 || path.charAt(i - 1) != "]") {
+                        throw new Error("Invalid path, empty property name: " + path);
+                    }
+                } else {
+                    segments.push(name);
+                    name = null;
+                }
+                break;
+            case "[":
+                if (name != null) {
+                    segments.push(name);
+                    name = null;
+                }
+                closeIndex = path.indexOf("]", i);
+                indexText = closeIndex == -1 ? "" : path.substring(i + 1, closeIndex);
+                if (!/^\d+$/.test(indexText)) {
+                    throw new Error("Invalid path, illegal array index: " + path);
+                }
+                segments.push(parseInt(indexText, 10));
+                i = closeIndex;
+                if (i < path.length - 1 && path.charAt(i + 1) != "." && path.charAt(i + 1) != "[") {
+                    throw new Error("Invalid path, index not followed by separator: " + path);
+                }
+                break;
+            default:
+                name = (name || "") + c;
+            }
+        }
+        
+        if (name != null) {
+            segments.push(name);
+        } else if (path.length > 0 && path.charAt(path.length - 1) == ".") {
+            throw new Error("Invalid path, empty property name: " + path);
+        }
+        
+        return segments;
+    },
+    
+    /**
+     * Composes advice with existing methods of a class being created by <code>Core.extend()</code>.
+     *
+     * @param constructorClass the class
+     * @param advice the <code>$advice</code> object of the class definition, mapping method names to objects
+     *        containing <code>before</code>, <code>after</code>, and/or <code>around</code> functions
+     */
+    _processAdvice: function(constructorClass, advice) {
+        for (var name in advice) {
+            if (typeof constructorClass.prototype[name] != "function") {
+                throw new Error("Cannot apply advice to undefined method \"" + name + "\".");
+            }
+            constructorClass.prototype[name] = Core._createAdvisedMethod(constructorClass.prototype[name], advice[name]);
+        }
+    },
+    
     /**
      * Add properties of mixin objects to destination object.
-     * Mixins will be added in order, and any property which is already
-     * present in the destination object will not be overridden.
+     * Any property which is already present in the destination object will not be overridden.
+     * An exception will be thrown if multiple mixins provide differing values for the same property,
+     * unless a resolution for the property is provided.
      *
      * @param destination the destination object
      * @param {Array} mixins the mixin objects to add 
+     * @param resolutions (optional) mapping between conflicting property names and resolutions, where each resolution
+     *        is either the mixin object whose value should be used or a function to be used as the implementation
      */
-    _processMixins: function(destination, mixins) {
-        for (var i = 0; i < mixins.length; ++i) {
-            for (var mixinProperty in mixins[i]) {
+    _processMixins: function(destination, mixins, resolutions) {
+        var providers = {},
+            conflicts = {},
+            mixinProperty, resolution, i;
+        
+        // Determine the mixin providing each property, recording conflicts.
+        for (i = 0; i < mixins.length; ++i) {
+            for (mixinProperty in mixins[i]) {
                 if (destination.prototype[mixinProperty]) { 
                     // Ignore mixin properties that already exist.
                     continue;
                 }
-                destination.prototype[mixinProperty] = mixins[i][mixinProperty];
+                if (providers[mixinProperty] && providers[mixinProperty][mixinProperty] !== mixins[i][mixinProperty]) {
+                    conflicts[mixinProperty] = true;
+                }
+                providers[mixinProperty] = mixins[i];
+            }
+        }
+        
+        for (mixinProperty in providers) {
+            if (conflicts[mixinProperty] && !(resolutions && resolutions[mixinProperty])) {
+                throw new Error("Property \"" + mixinProperty + "\" is provided by multiple mixins, but no resolution " +
+                        "is specified.");
+            }
+            destination.prototype[mixinProperty] = providers[mixinProperty][mixinProperty];
+        }
+        
+        // Apply resolutions.
+        for (mixinProperty in resolutions) {
+            resolution = resolutions[mixinProperty];
+            if (typeof resolution != "function") {
+                if (Core.Arrays.indexOf(mixins, resolution) == -1 || resolution[mixinProperty] === undefined) {
+                    throw new Error("Resolution of property \"" + mixinProperty + "\" does not specify a mixin " +
+                            "providing it.");
+                }
+                resolution = resolution[mixinProperty];
             }
+            if (!providers[mixinProperty]) {
+                throw new Error("Cannot resolve property \"" + mixinProperty + "\", it is not provided by any mixin.");
+            }
+            destination.prototype[mixinProperty] = resolution;
         }
     },
     
     /**
-     * Sets a value in an object hierarchy.
-     *
-     * Examples: 
-     * Given the following object 'o': <code>{ a: { b: 4, c: 2 } }</code>
-     * <ul>
-     * <li><code>Core.set(o, ["a", "b"], 5)</code> will update the value of 'o' to be: <code>{ a: { b: 5, c: 2 } }</code></li>
-     * <li><code>Core.set(o, ["a", "d"], 7)</code> will update the value of 'o' to be:
-     * <code>{ a: { b: 4, c: 2, d: 7 } }</code></li>
-     * <li><code>Core.set(o, ["e"], 9)</code> will update the value of 'o' to be: <code>{ a: { b: 4, c: 2 }, e: 9 }</code></li>
-     * <li><code>Core.set(o, ["f", "g"], 8)</code> will update the value of 'o' to be: 
-     * <code>{ a: { b: 4, c: 2 }, f: { g: 8 } }</code></li>
-     * <li><code>Core.set(o, ["a"], 10)</code> will update the value of 'o' to be: <code>{ a: 10 }</code></li>
-     * </ul>
+     * Installs observable property support into a class being created by <code>Core.extend()</code>.
+     * Property descriptors of the base class are inherited.  Accessor methods will not be generated where the class
+     * already provides a method of the same name.
      *
-     * @param object an arbitrary object from which the value should be retrieved
-     * @param {Array} path an array of object property names describing the path to retrieve
-     * @return the value, if found, or null if it does not exist
+     * @param constructorClass the class
+     * @param properties the <code>$properties</code> object of the class definition (may be null)
      */
-    set: function(object, path, value) {
-        var parentObject = null;
+    _processProperties: function(constructorClass, properties) {
+        var baseClass = constructorClass.$super,
+            prototype = constructorClass.prototype,
+            name, descriptor, accessorSuffix, i;
         
-        // Find or create container object.
-        for (var i = 0; i < path.length - 1; ++i) {
-            parentObject = object; 
-            object = object[path[i]];
-            if (!object) {
-                object = {};
-                parentObject[path[i]] = object;
+        // Copy property descriptors from base class.
+        constructorClass.$properties = {};
+        if (baseClass && baseClass.$properties) {
+            for (name in baseClass.$properties) {
+                constructorClass.$properties[name] = baseClass.$properties[name];
             }
         }
         
-        // Assign value.
-        object[path[path.length - 1]] = value;
+        // Add property descriptors from definition, generating accessors.
+        for (name in properties) {
+            if (constructorClass.$properties[name]) {
+                throw new Error("Cannot redeclare property \"" + name + "\".");
+            }
+            
+            descriptor = properties[name];
+            if (descriptor && typeof descriptor.computed == "function") {
+                descriptor = { computed: descriptor.computed, depends: descriptor.depends || [] };
+            } else {
+                descriptor = { value: descriptor };
+            }
+            constructorClass.$properties[name] = descriptor;
+            
+            accessorSuffix = name.charAt(0).toUpperCase() + name.substring(1);
+            if (prototype["get" + accessorSuffix] === undefined) {
+                prototype["get" + accessorSuffix] = Core._createPropertyGetter(name);
+            }
+            if (!descriptor.computed && prototype["set" + accessorSuffix] === undefined) {
+                prototype["set" + accessorSuffix] = Core._createPropertySetter(name);
+            }
+        }
+        
+        // Verify computed property dependencies.
+        for (name in properties) {
+            descriptor = constructorClass.$properties[name];
+            if (!descriptor.computed) {
+                continue;
+            }
+            for (i = 0; i < descriptor.depends.length; ++i) {
+                if (!constructorClass.$properties[descriptor.depends[i]]) {
+                    throw new Error("Computed property \"" + name + "\" depends on undeclared property \"" + 
+                            descriptor.depends[i] + "\".");
+                }
+            }
+            if (Core.Arrays.indexOf(Core._getPropertyDependents(constructorClass.$properties, name), name) != -1) {
+                throw new Error("Computed property \"" + name + "\" has a circular dependency.");
+            }
+        }
+        
+        // Add generic property/listener methods where not provided.
+        for (name in Core._propertyMethods) {
+            if (prototype[name] === undefined) {
+                prototype[name] = Core._propertyMethods[name];
+            }
+        }
     },
     
     /**
-     * Verifies that a concrete derivative of an abstract class implements
-     * abstract properties present in the base class.
-     *
-     * @param constructorClass the class to verify
+     * Generic methods installed into classes declaring <code>$properties</code> (if not already defined).
      */
-    _verifyAbstractImpl: function(constructorClass) {
-         var baseClass = constructorClass.$super;
+    _propertyMethods: {
+    
+        /**
+         * Adds an arbitrary event listener.
+         * 
+         * @param {String} eventType the event type name
+         * @param {Function} eventTarget the method to invoke when the event occurs 
+         *        (the event will be passed as the single argument)
+         */
+        addListener: function(eventType, eventTarget) {
+            if (this._listenerList == null) {
+                this._listenerList = new Core.ListenerList();
+            }
+            this._listenerList.addListener(eventType, eventTarget);
+        },
+        
+        /**
+         * Returns the value of a declared property.
+         * 
+         * @param {String} name the name of the property
+         * @return the property value
+         */
+        get: function(name) {
+            return Core._getProperty(this, name);
+        },
+        
+        /**
+         * Removes an arbitrary event listener.
+         * 
+         * @param {String} eventType the event type name
+         * @param {Function} eventTarget the method to invoke when the event occurs 
+         *        (the event will be passed as the single argument)
+         */
+        removeListener: function(eventType, eventTarget) {
+            if (this._listenerList == null) {
+                return;
+            }
+            this._listenerList.removeListener(eventType, eventTarget);
+        },
+        
+        /**
+         * Sets the value of a declared (non-computed) property.
+         * 
+         * @param {String} name the name of the property
+         * @param newValue the new value of the property
+         */
+        set: function(name, newValue) {
+            Core._setProperty(this, name, newValue);
+        }
+    },
+    
+    /**
+     * Unregisters a listener from being notified of changes made to an object hierarchy.
+     *
+     * @param object the root object of the observed hierarchy
+     * @param {Function} l the listener to remove
+     * @see #addChangeListener
+     */
+    removeChangeListener: function(object, l) {
+        var listenerList = object[Core._CHANGE_LISTENERS_PROPERTY];
+        if (!listenerList) {
+            return;
+        }
+        listenerList.removeListener("change", l);
+        if (listenerList.isEmpty()) {
+            try {
+                delete object[Core._CHANGE_LISTENERS_PROPERTY];
+            } catch (ex) {
+                object[Core._CHANGE_LISTENERS_PROPERTY] = null;
+            }
+        }
+    },
+    
+    /**
+     * Sets a value in an object hierarchy.
+     * Change listeners registered to the object (see <code>Core.addChangeListener()</code>) will be notified if the value
+     * is changed.
+     *
+     * Examples: 
+     * Given the following object 'o': <code>{ a: { b: 4, c: 2 } }</code>
+     * <ul>
+     * <li><code>Core.set(o, ["a", "b"], 5)</code> will update the value of 'o' to be: <code>{ a: { b: 5, c: 2 } }</code></li>
+     * <li><code>Core.set(o, ["a", "d"], 7)</code> will update the value of 'o' to be:
+     * <code>{ a: { b: 4, c: 2, d: 7 } }</code></li>
+     * <li><code>Core.set(o, ["e"], 9)</code> will update the value of 'o' to be: <code>{ a: { b: 4, c: 2 }, e: 9 }</code></li>
+     * <li><code>Core.set(o, ["f", "g"], 8)</code> will update the value of 'o' to be: 
+     * <code>{ a: { b: 4, c: 2 }, f: { g: 8 } }</code></li>
+     * <li><code>Core.set(o, ["a"], 10)</code> will update the value of 'o' to be: <code>{ a: 10 }</code></li>
+     * <li><code>Core.set(o, "h[1].i", 3)</code> will update the value of 'o' to be: 
+     * <code>{ a: { b: 4, c: 2 }, h: [ undefined, { i: 3 } ] }</code></li>
+     * </ul>
+     *
+     * @param object an arbitrary object in which the value should be set
+     * @param {Array|String} path an array of object property names (and/or array indices) describing the path to set, 
+     *        or a path string (see <code>Core._parsePath()</code>)
+     * @param value the value to set
+     * @param options (optional) an object containing the following property:
+     *        <ul>
+     *         <li><code>missing</code>: the policy for handling missing containing objects, either "create" (the default,
+     *          an object or array will be created), "ignore" (the value will not be set), or "error" (an exception
+     *          will be thrown)</li>
+     *        </ul>
+     * @return true if the value was set, false if it was not set due to a missing containing object
+     * @type Boolean
+     */
+    set: function(object, path, value, options) {
+        path = Core._parsePath(path);
+        var container = Core._getContainer(object, path, options && options.missing ? options.missing : "create");
+        if (!container) {
+            return false;
+        }
+        
+        // Assign value.
+        var name = path[path.length - 1],
+            oldValue = container[name];
+        container[name] = value;
+        
+        if (oldValue !== value) {
+            Core._fireChange(object, path, oldValue, value);
+        }
+        return true;
+    },
+    
+    /**
+     * Sets the value of an observable property of an object whose class declares <code>$properties</code>.
+     * A "property" event will be fired for the property if its value changes, followed by events for each computed
+     * property whose value changed as a result.
+     *
+     * @param instance the object
+     * @param {String} name the property name
+     * @param newValue the new property value
+     */
+    _setProperty: function(instance, name, newValue) {
+        var properties = instance.constructor.$properties,
+            descriptor = properties[name],
+            i;
+        if (!descriptor) {
+            throw new Error("Property \"" + name + "\" is not declared.");
+        }
+        if (descriptor.computed) {
+            throw new Error("Cannot set computed property \"" + name + "\".");
+        }
+        
+        var oldValue = Core._getProperty(instance, name);
+        if (oldValue === newValue) {
+            return;
+        }
+        
+        var notify = instance._listenerList && instance._listenerList.hasListeners("property"),
+            dependents = Core._getPropertyDependents(properties, name),
+            oldDependentValues = [];
+        
+        // Store previous computed values for notification.
+        if (notify) {
+            for (i = 0; i < dependents.length; ++i) {
+                oldDependentValues[i] = Core._getProperty(instance, dependents[i]);
+            }
+        }
+        
+        if (!instance._propertyValues) {
+            instance._propertyValues = {};
+        }
+        instance._propertyValues[name] = newValue;
+        
+        // Invalidate cached computed values.
+        if (instance._propertyCache) {
+            for (i = 0; i < dependents.length; ++i) {
+                delete instance._propertyCache[dependents[i]];
+            }
+        }
+        
+        if (!notify) {
+            return;
+        }
+        
+        instance._listenerList.fireEvent({ type: "property", source: instance, propertyName: name, 
+                oldValue: oldValue, newValue: newValue });
+        for (i = 0; i < dependents.length; ++i) {
+            var dependentValue = Core._getProperty(instance, dependents[i]);
+            if (dependentValue !== oldDependentValues[i]) {
+                instance._listenerList.fireEvent({ type: "property", source: instance, propertyName: dependents[i],
+                        oldValue: oldDependentValues[i], newValue: dependentValue });
+            }
+        }
+    },
+    
+    /**
+     * Verifies that a concrete derivative of an abstract class implements
+     * abstract properties present in the base class.
+     *
+     * @param constructorClass the class to verify
+     */
+    _verifyAbstractImpl: function(constructorClass) {
+         var baseClass = constructorClass.$super;
          if (!baseClass || !baseClass.$abstract || baseClass.$abstract === true) {
              return;
          }
@@ -408,6 +1173,21 @@ Core = {
                  throw new Error("Concrete class does not provide implementation of abstract method \"" + x + "\".");
              }
          }
+    },
+    
+    /**
+     * Verifies that a concrete class provides conforming implementations of all methods of the interfaces
+     * it declares.
+     *
+     * @param constructorClass the class to verify
+     */
+    _verifyInterfaceImpl: function(constructorClass) {
+        for (var i = 0; i < constructorClass.$implements.length; ++i) {
+            var violation = this._getInterfaceViolation(constructorClass.prototype, constructorClass.$implements[i]);
+            if (violation) {
+                throw new Error("Concrete class does not implement interface: " + violation);
+            }
+        }
     }
 };
 
@@ -432,21 +1212,14 @@ Core.Debug = {
     
     /**
      * Writes a message to the debug console.
+     * The message is logged at the <code>INFO</code> level to the "Core.Debug" logger, and thus will be written to 
+     * <code>consoleElement</code> (without level or logger prefix) by the default <code>Core.Log.DomAppender</code>.
+     * New code should use named loggers (see <code>Core.Log</code>) instead.
      * 
      * @param {String} text the message
      */
     consoleWrite: function(text) {
-        if (Core.Debug.consoleElement) {
-            var entryElement = document.createElement("div");
-            entryElement.appendChild(document.createTextNode(text));
-            if (Core.Debug.consoleElement.childNodes.length === 0) {
-                Core.Debug.consoleElement.appendChild(entryElement);
-            } else {
-                Core.Debug.consoleElement.insertBefore(entryElement, Core.Debug.consoleElement.firstChild);
-            }
-        } else if (Core.Debug.useAlertDialog) {
-            alert("DEBUG:" + text);
-        }
+        Core.Log.getLogger("Core.Debug").info(text);
     },
     
     /**
@@ -468,2090 +1241,6897 @@ Core.Debug = {
 };
 
 /**
- * Arrays namespace.
+ * Namespace for class reflection utilities.
+ * Classes are recorded such that their hierarchy and members may be introspected by debugging and documentation tools.
+ * Classes may be registered under qualified names, either by providing a <code>$name</code> property in the class 
+ * definition or by invoking <code>registerClass()</code> or <code>registerNamespace()</code>; registered classes are 
+ * always recorded.  Recording of every class created by <code>Core.extend()</code> is optional, see 
+ * <code>recordClasses</code>.
+ * @class
  */
-Core.Arrays = {
+Core.Reflect = {
 
     /**
-     * Returns <tt>true</tt> if the first array contains all of the elements
-     * in the second array.
-     *
-     * @param {Array} array1 the array to be analyzed
-     * @param {Array} array2 an array whose elements must all be present in <code>array1</code>
-     *        for this method to return <code>true</code>
-     * @param {Boolean} unique optional flag indicating that all elements in array2 are unique
-     * @return <tt>true</tt> if the first array contains all of the elements
-     *         in the second array
+     * Flag indicating whether every class created by <code>Core.extend()</code> is recorded, rather than only 
+     * registered classes.  Affects only classes created after the flag is set.  Default value is false.
      * @type Boolean
      */
-    containsAll: function(array1, array2, unique) {
-        if (unique && array1.length < array2.length) {
-            return false;
-        }
-        if (array2.length === 0) {
-            return true;
-        }
-        var found, item;
-        for (var i = 0; i < array2.length; ++i) {
-            found = false;
-            item = array2[i];
-            for (var j = 0; j < array1.length; ++j) {
-                if (item == array1[j]) {
-                    found = true;
-                    break;
-                }
-            }
-            if (!found) {
-                return false;
+    recordClasses: false,
+
+    /**
+     * Array of recorded classes, in order of recording.
+     * @type Array
+     */
+    _classes: [],
+    
+    /**
+     * Mapping between qualified names and registered classes.
+     */
+    _nameToClassMap: {},
+    
+    /**
+     * Determines the qualified name of a class by searching a namespace (and nested namespaces) for it, without 
+     * registering any classes.  Classes contained in the namespace which were not created by <code>Core.extend()</code>
+     * are ignored.
+     * 
+     * @param {Function} classObject the class
+     * @param namespace the namespace object
+     * @param {String} name the qualified name of the namespace
+     * @return the qualified name (the registered name, if the class is registered), or null if the class is not 
+     *         contained in the namespace
+     * @type String
+     */
+    findName: function(classObject, namespace, name) {
+        var found = null;
+        this._visitNamespace(namespace, name, [], function(value, qualifiedName) {
+            if (value === classObject) {
+                found = value.$name || qualifiedName;
+                return true;
             }
-        }
-        return true;
+            return false;
+        });
+        return found;
     },
-
+    
     /**
-     * Returns the index of the specified item within the array, or -1 if it 
-     * is not contained in the array.  
+     * Returns the names of abstract members of a class.
      * 
-     * @param item the item
-     * @return the index of the item, or -1 if it is not present in the array
-     * @type Number
+     * @param {Function} classObject the class
+     * @param {Boolean} declaredOnly flag indicating that only members declared by the class itself (and not by its
+     *        superclasses) should be returned
+     * @return the member names
+     * @type Array
      */
-    indexOf: function(array, item) {
-        for (var i = 0; i < array.length; ++i) {
-            if (item == array[i]) {
-                return i;
+    getAbstractMembers: function(classObject, declaredOnly) {
+        return this._getMembers(classObject, "$abstract", declaredOnly);
+    },
+    
+    /**
+     * Returns the class registered under the specified qualified name.
+     * 
+     * @param {String} name the qualified name, e.g., "Echo.Sync.Button"
+     * @return the class, or null if none is registered
+     * @type Function
+     */
+    getClass: function(name) {
+        return this._nameToClassMap.hasOwnProperty(name) ? this._nameToClassMap[name] : null;
+    },
+    
+    /**
+     * Returns the qualified names of all registered classes.
+     * 
+     * @return the names, sorted alphabetically
+     * @type Array
+     */
+    getClassNames: function() {
+        var names = [];
+        for (var name in this._nameToClassMap) {
+            if (this._nameToClassMap.hasOwnProperty(name)) {
+                names.push(name);
             }
         }
-        return -1;
+        names.sort();
+        return names;
     },
     
     /**
-     * Removes the first instance of the specified item from an array.
-     * If the item does not exist in the array, no action is taken.
-     * Equality is determined using the '==' operator.
+     * Returns the class which provides the implementation of a member, i.e., the nearest class in the hierarchy 
+     * (starting with the specified class) whose prototype declares the member itself.
      * 
-     * @param array the array from which the item should be removed
-     * @param item the item to remove
+     * @param {Function} classObject the class
+     * @param {String} memberName the member name
+     * @return the declaring class, or null if the member is not defined
+     * @type Function
      */
-    remove: function(array, item) {
-        for (var i = 0; i < array.length; ++i) {
-            if (item == array[i]) {
-                array.splice(i, 1);
-                return;
+    getDeclaringClass: function(classObject, memberName) {
+        while (classObject) {
+            if (classObject.prototype.hasOwnProperty(memberName)) {
+                return classObject;
             }
+            classObject = classObject.$super;
         }
+        return null;
     },
     
     /**
-     * Removes duplicate items from an array.
-     * Items retained in the array may not appear in the previous order.
+     * Returns the names of members contained in a member flag collection of a class, e.g., <code>$virtual</code>.
      * 
-     * @param array the array from which duplicates are to be removed.
+     * @param {Function} classObject the class
+     * @param {String} collectionName the name of the collection property of the class
+     * @param {Boolean} declaredOnly flag indicating that members of the superclass collection should be excluded
+     * @return the member names
+     * @type Array
      */
-    removeDuplicates: function(array) {
-        array.sort();
-        var removeCount = 0;
-        // Iterate from last element to second element.
-        for (var i = array.length - 1; i > 0; --i) {
-            // Determine if element is equivalent to previous element.
-            if (array[i] == array[i - 1]) {
-                // If duplicate, copy last element in array over current element.
-                array[i] = array[array.length - 1 - removeCount];
-                
-                // Increment removeCount (indicating how much the length of the array should be decremented)
-                ++removeCount;
-            }
+    _getMembers: function(classObject, collectionName, declaredOnly) {
+        var members = [],
+            collection = classObject[collectionName],
+            baseCollection = classObject.$super ? classObject.$super[collectionName] : null;
+        if (!(collection instanceof Object)) {
+            return members;
         }
-        
-        if (removeCount > 0) {
-            array.length = array.length - removeCount;
+        for (var name in collection) {
+            if (!declaredOnly || !(baseCollection instanceof Object) || !baseCollection[name]) {
+                members.push(name);
+            }
         }
-    }
-};
-
-/**
- * Associative array wrapper which periodically recreates the associative array
- * in order to avoid memory leakage and performance problems on certain browser
- * platforms, i.e., Internet Explorer 6.
- * Null values are not permitted as keys.  Setting a key to a null value
- * will result in the key being removed.
- */
-Core.Arrays.LargeMap = Core.extend({
-    
-    $static: {
-    
-        /** 
-         * Flag indicating whether forced garbage collection should be enabled.
-         * This flag should be manually set in environments where it is required.
-         * (The web module does this automatically for IE6.)
-         */
-        garbageCollectEnabled: false
+        return members;
     },
     
     /**
-     * Number of removes since last associative array re-creation.
-     * @type Number
+     * Returns the qualified name of a class.
+     * 
+     * @param {Function} classObject the class
+     * @return the name, or null if the class is not registered under a name
+     * @type String
      */
-    _removeCount: 0,
+    getName: function(classObject) {
+        return classObject.$name || null;
+    },
     
     /**
-     * Number (integer) of removes between associative array re-creation.
-     * @type Number
+     * Returns all subclasses of a class which override a member, i.e., whose prototypes declare the member 
+     * themselves.
+     * 
+     * @param {Function} classObject the class
+     * @param {String} memberName the member name
+     * @return the overriding subclasses
+     * @type Array
      */
-    garbageCollectionInterval: 250,
+    getOverridingClasses: function(classObject, memberName) {
+        var overridingClasses = [],
+            subclasses = this.getSubclasses(classObject, true);
+        for (var i = 0; i < subclasses.length; ++i) {
+            if (subclasses[i].prototype.hasOwnProperty(memberName)) {
+                overridingClasses.push(subclasses[i]);
+            }
+        }
+        return overridingClasses;
+    },
     
     /**
-     * Associative mapping.
+     * Returns the subclasses of a class.
+     * 
+     * @param {Function} classObject the class
+     * @param {Boolean} recursive flag indicating whether indirect subclasses should also be returned
+     * @return the subclasses, in order of creation
+     * @type Array
      */
-    map: null, 
+    getSubclasses: function(classObject, recursive) {
+        var subclasses = [],
+            testClass;
+        for (var i = 0; i < this._classes.length; ++i) {
+            testClass = this._classes[i].$super;
+            while (testClass) {
+                if (testClass === classObject) {
+                    subclasses.push(this._classes[i]);
+                    break;
+                }
+                testClass = recursive ? testClass.$super : null;
+            }
+        }
+        return subclasses;
+    },
     
     /**
-     * Creates a new LargeMap.
+     * Returns the superclass chain of a class.
+     * 
+     * @param {Function} classObject the class
+     * @return the superclasses, beginning with the immediate superclass
+     * @type Array
      */
-    $construct: function() {
-        this.map = {};
+    getSuperclasses: function(classObject) {
+        var superclasses = [];
+        while (classObject.$super) {
+            classObject = classObject.$super;
+            superclasses.push(classObject);
+        }
+        return superclasses;
     },
     
     /**
-     * Performs 'garbage-collection' operations, recreating the array.
-     * This operation is necessary due to Internet Explorer memory leak
-     * issues.
+     * Returns the names of virtual members of a class (including abstract members).
+     * 
+     * @param {Function} classObject the class
+     * @param {Boolean} declaredOnly flag indicating that only members declared by the class itself (and not by its
+     *        superclasses) should be returned
+     * @return the member names
+     * @type Array
      */
-    _garbageCollect: function() {
-        this._removeCount = 0;
-        var newMap = {};
-        for (var key in this.map) {
-            newMap[key] = this.map[key];
+    getVirtualMembers: function(classObject, declaredOnly) {
+        return this._getMembers(classObject, "$virtual", declaredOnly);
+    },
+    
+    /**
+     * Processes a newly created class, registering it if a name is provided, and otherwise recording it if
+     * <code>recordClasses</code> is set.  Invoked by <code>Core.extend()</code>.
+     * 
+     * @param {Function} classObject the class
+     * @param {String} name the qualified name of the class (optional)
+     */
+    _register: function(classObject, name) {
+        if (name) {
+            this.registerClass(name, classObject);
+        } else if (this.recordClasses) {
+            this._classes.push(classObject);
         }
-        this.map = newMap;
     },
     
     /**
-     * Removes the value referenced by the specified key.
-     *
-     * @param key the key
+     * Registers a class under a qualified name.
+     * 
+     * @param {String} name the qualified name
+     * @param {Function} classObject the class
      */
-    remove: function(key) {
-        delete this.map[key];
-        if (Core.Arrays.LargeMap.garbageCollectEnabled) {
-            ++this._removeCount;
-            if (this._removeCount >= this.garbageCollectionInterval) {
-                this._garbageCollect();
+    registerClass: function(name, classObject) {
+        if (this._nameToClassMap.hasOwnProperty(name)) {
+            if (this._nameToClassMap[name] === classObject) {
+                return;
             }
+            throw new Error("Class already registered: " + name);
+        }
+        if (classObject.$name && classObject.$name != name) {
+            throw new Error("Class already registered as \"" + classObject.$name + "\", cannot register as: " + name);
+        }
+        classObject.$name = name;
+        this._nameToClassMap[name] = classObject;
+        if (Core.Arrays.indexOf(this._classes, classObject) == -1) {
+            this._classes.push(classObject);
         }
     },
     
     /**
-     * Returns a string representation, for debugging purposes only.
+     * Registers all unnamed classes contained within a namespace (and nested namespaces) under their qualified names,
+     * e.g., invoking <code>Core.Reflect.registerNamespace(Echo, "Echo")</code> will register the 
+     * <code>Echo.Sync.Button</code> class as "Echo.Sync.Button".
+     * Classes contained in the namespace which were not created by <code>Core.extend()</code> are ignored.
      * 
-     * @return a string representation of the map
-     * @type String
+     * @param namespace the namespace object
+     * @param {String} name the qualified name of the namespace
      */
-    toString: function() {
-        return Core.Debug.toString(this.map);
+    registerNamespace: function(namespace, name) {
+        this._visitNamespace(namespace, name, [], Core.method(this, function(value, qualifiedName) {
+            if (!value.$name) {
+                this.registerClass(qualifiedName, value);
+            }
+            return false;
+        }));
+    },
+    
+    /**
+     * Visits the classes contained within a namespace (and nested namespaces).  Classes which were not created by 
+     * <code>Core.extend()</code> are ignored.  Each class is visited before the classes nested within it, which are 
+     * named relative to its registered name, if any.
+     * 
+     * @param namespace the namespace object
+     * @param {String} name the qualified name of the namespace
+     * @param {Array} visited the namespaces which have already been processed
+     * @param {Function} visitor function to invoke with each class and its qualified name, which may return true to
+     *        end the traversal
+     * @return true if the traversal was ended by the visitor
+     * @type Boolean
+     */
+    _visitNamespace: function(namespace, name, visited, visitor) {
+        if (Core.Arrays.indexOf(visited, namespace) != -1) {
+            return false;
+        }
+        visited.push(namespace);
+        
+        var value, qualifiedName;
+        for (var x in namespace) {
+            if (!namespace.hasOwnProperty(x) || x.charAt(0) == "_" || x.charAt(0) == "$") {
+                continue;
+            }
+            value = namespace[x];
+            qualifiedName = name + "." + x;
+            if (typeof value == "function") {
+                if (!value.$virtual || !value.hasOwnProperty("$super")) {
+                    // Not a class created by Core.extend().
+                    continue;
+                }
+                // Classes may serve as namespaces of nested classes.
+                if (visitor(value, qualifiedName) || 
+                        this._visitNamespace(value, value.$name || qualifiedName, visited, visitor)) {
+                    return true;
+                }
+            } else if (value && typeof value == "object" && value.constructor === Object) {
+                if (this._visitNamespace(value, qualifiedName, visited, visitor)) {
+                    return true;
+                }
+            }
+        }
+        return false;
     }
-});
+};
 
 /**
- * A collection of event listeners.  Provides capability to manage listeners
- * of multiple types, and fire events to listeners based on type.
+ * Namespace for the logging subsystem.
+ * <p>
+ * Log records are written to named loggers, obtained via <code>Core.Log.getLogger()</code>.  Logger names are
+ * hierarchical, separated by periods, e.g., "Echo.Render".  The threshold level of a logger is that configured for
+ * its own name or, if none is configured, for its nearest configured ancestor (e.g., the level set for "Echo" applies to
+ * "Echo.Render"), or, failing that, <code>rootLevel</code>.
+ * <p>
+ * Each record which meets the threshold of its logger is provided to every registered appender whose own threshold it
+ * also meets.  Records are objects containing the following properties:
+ * <ul>
+ *  <li><code>logger</code>: the name of the logger</li>
+ *  <li><code>level</code>: the integer level</li>
+ *  <li><code>levelName</code>: the name of the level, e.g., "WARN"</li>
+ *  <li><code>message</code>: the message text</li>
+ *  <li><code>fields</code>: an object containing structured data describing the record (may be null)</li>
+ *  <li><code>time</code>: the time at which the record was created, in milliseconds since the epoch</li>
+ * </ul>
+ * A <code>Core.Log.DomAppender</code> (which emulates the behavior of the former <code>Core.Debug.consoleWrite()</code>
+ * implementation) is registered by default.  Records of the "Core.Debug" logger (i.e., those written by 
+ * <code>Core.Debug.consoleWrite()</code>) are formatted as their unmodified message text (see <code>formatters</code>).
+ * @class
  */
-Core.ListenerList = Core.extend({
+Core.Log = {
 
+    /** Level constant: fine-grained tracing information. */
+    TRACE: 0,
+    
+    /** Level constant: debugging information. */
+    DEBUG: 1,
+    
+    /** Level constant: informational messages. */
+    INFO: 2,
+    
+    /** Level constant: potentially harmful situations. */
+    WARN: 3,
+    
+    /** Level constant: errors. */
+    ERROR: 4,
+    
+    /** Level constant: used as a threshold to disable logging entirely. */
+    OFF: 5,
+    
     /**
-     * Array containing event types and event listeners.  
-     * Even indexes contain event types, and the subsequent odd
-     * index contain Functions to invoke.
+     * Level names, indexed by level.
      * @type Array
      */
-    _data: null,
-   
+    LEVEL_NAMES: ["TRACE", "DEBUG", "INFO", "WARN", "ERROR", "OFF"],
+    
     /**
-     * Creates a new listener list.
-     * 
-     * @constructor
+     * Mapping between logger names and functions used by <code>format()</code> to format the records of those loggers
+     * in place of the default format.  Each formatter is invoked with the record, and returns the formatted text.
      */
-    $construct: function() {
-        this._data = [];
+    formatters: {
+    
+        /**
+         * Formats records written by <code>Core.Debug.consoleWrite()</code> as their raw text.
+         * 
+         * @param record the record to format
+         * @return the message text
+         * @type String
+         */
+        "Core.Debug": function(record) {
+            return record.message;
+        }
     },
-
+    
     /**
-     * Adds an event listener.
+     * Threshold level of loggers whose names (and ancestor names) have no configured level.
+     * @type Number
+     */
+    rootLevel: 2,
+    
+    /**
+     * Registered appenders.
+     * @type Array
+     */
+    _appenders: [],
+    
+    /**
+     * Mapping between logger names and configured threshold levels.
+     */
+    _levels: {},
+    
+    /**
+     * Mapping between logger names and <code>Core.Log.Logger</code> instances.
+     */
+    _loggers: {},
+    
+    /**
+     * Registers an appender to receive log records.
      * 
-     * @param {String} eventType the event type
-     * @param {Function} eventTarget the event target
+     * @param {Core.Log.Appender} appender the appender to add
      */
-    addListener: function(eventType, eventTarget) {
-        this._data.push(eventType, eventTarget);
+    addAppender: function(appender) {
+        Core.Arrays.remove(this._appenders, appender);
+        this._appenders.push(appender);
     },
     
     /**
-     * Fires an event.
+     * Formats a log record as a single line of text, e.g., 
+     * <code>WARN Echo.Render: Slow update {duration=320}</code>, or using the formatter registered for its logger
+     * (see <code>formatters</code>).
      * 
-     * @param event the event to fire
-     * @return true if all event listeners returned values that evaluate to true, 
-     *         or false if any event listeners returned values that evaluate to 
-     *         false
-     * @type Boolean
+     * @param record the record to format
+     * @return the formatted record
+     * @type String
      */
-    fireEvent: function(event) {
-        if (event.type == null) {
-            throw new Error("Cannot fire event, type property not set.");
+    format: function(record) {
+        if (this.formatters.hasOwnProperty(record.logger)) {
+            return this.formatters[record.logger](record);
         }
-        
-        var i, returnValue = true, listeners = [];
-        
-        for (i = 0; i < this._data.length; i += 2) {
-            if (this._data[i] == event.type) {
-                listeners.push(this._data[i + 1]);
+        var text = record.levelName + " " + record.logger + ": " + record.message;
+        if (record.fields) {
+            var fieldText = [];
+            for (var x in record.fields) {
+                fieldText.push(x + "=" + record.fields[x]);
+            }
+            if (fieldText.length > 0) {
+                text += " {" + fieldText.join(", ") + "}";
             }
         }
-        
-        for (i = 0; i < listeners.length; ++i) {
-            returnValue = listeners[i](event) && returnValue; 
-        }
-        return returnValue;
+        return text;
     },
     
     /**
-     * Returns an array containing the types of all listeners
-     * in the list.
+     * Returns the effective threshold level of the logger with the specified name.
      * 
-     * @return the event types
-     * @type Array
+     * @param {String} name the logger name
+     * @return the threshold level
+     * @type Number
      */
-    getListenerTypes: function() {
-        var types = [];
-        for (var i = 0; i < this._data.length; i += 2) {
-            types.push(this._data[i]);
+    getEffectiveLevel: function(name) {
+        while (name) {
+            if (this._levels[name] != null) {
+                return this._levels[name];
+            }
+            var lastDot = name.lastIndexOf(".");
+            name = lastDot == -1 ? null : name.substring(0, lastDot);
         }
-        Core.Arrays.removeDuplicates(types);
-        return types;
+        return this.rootLevel;
     },
     
     /**
-     * Returns an array of all listeners for a specific event type.
+     * Returns the logger with the specified name, creating it if necessary.
      * 
-     * @param {String} eventType the event type
-     * @return the listeners
-     * @type Array
+     * @param {String} name the logger name, e.g., "Echo.Render"
+     * @return the logger
+     * @type Core.Log.Logger
      */
-    getListeners: function(eventType) {
-        var listeners = [];
-        for (var i = 0; i < this._data.length; i += 2) {
-            if (this._data[i] == eventType) {
-                listeners.push(this._data[i + 1]);
-            }
+    getLogger: function(name) {
+        var logger = this._loggers[name];
+        if (!logger) {
+            logger = this._loggers[name] = new Core.Log.Logger(name);
         }
-        return listeners;
+        return logger;
     },
     
     /**
-     * Determines the number of listeners for a specific event type.
+     * Provides a record to all registered appenders whose thresholds it meets.
+     * Exceptions thrown by appenders are suppressed, such that logging never interrupts the caller.
      * 
-     * @param {String} eventType the event type
-     * @return the listener count
-     * @type Number
+     * @param record the record to publish
      */
-    getListenerCount: function(eventType) {
-        var count = 0;
-        for (var i = 0; i < this._data.length; i += 2) {
-            if (this._data[i] == eventType) {
-                ++count;
+    _publish: function(record) {
+        // Iterate over a copy, in case an appender modifies the appender list.
+        var appenders = this._appenders.slice();
+        for (var i = 0; i < appenders.length; ++i) {
+            if (record.level < appenders[i].level) {
+                continue;
+            }
+            try {
+                appenders[i].append(record);
+            } catch (ex) {
+                // Do nothing: a failed appender must not break the logging code.
             }
         }
-        return count;
     },
     
     /**
-     * Determines if the listeners list has any listeners of a specific type.
+     * Unregisters an appender.
      * 
-     * @param {String} eventType the event type
-     * @return true if any listeners exist
-     * @type Boolean
+     * @param {Core.Log.Appender} appender the appender to remove
      */
-    hasListeners: function(eventType) {
-        for (var i = 0; i < this._data.length; i += 2) {
-            if (this._data[i] == eventType) {
-                return true;
-            }
+    removeAppender: function(appender) {
+        Core.Arrays.remove(this._appenders, appender);
+    },
+    
+    /**
+     * Sets the threshold level of the logger with the specified name, and of its descendant loggers
+     * which do not specify their own level.
+     * 
+     * @param {String} name the logger name, e.g., "Echo" (affecting "Echo.Render" and "Echo.Serial")
+     * @param {Number} level the threshold level, e.g., <code>Core.Log.DEBUG</code>;  null to remove the configured level
+     *        such that it will be inherited from the nearest configured ancestor
+     */
+    setLevel: function(name, level) {
+        if (level == null) {
+            delete this._levels[name];
+        } else {
+            this._levels[name] = level;
         }
-        return false;
+    }
+};
+
+/**
+ * A named logger.  Instances should be obtained via <code>Core.Log.getLogger()</code>.
+ */
+Core.Log.Logger = Core.extend({
+
+    /**
+     * The logger name.
+     * @type String
+     */
+    name: null,
+
+    /**
+     * Creates a new logger.
+     * 
+     * @param {String} name the logger name
+     */
+    $construct: function(name) {
+        this.name = name;
     },
     
     /**
-     * Determines if any number of listeners are registered to the list.
+     * Logs a record at the <code>DEBUG</code> level.
      * 
-     * @return true if the listener list is empty
-     * @type Boolean
+     * @param {String} message the message
+     * @param fields (optional) object containing structured data describing the record
      */
-    isEmpty: function() {
-        return this._data.length === 0;
+    debug: function(message, fields) {
+        this.log(Core.Log.DEBUG, message, fields);
     },
     
     /**
-     * Removes an event listener.
+     * Logs a record at the <code>ERROR</code> level.
      * 
-     * CAUTION: If you are unregistering an event listener created with Core.method(), please see the documentation for
-     * Core.method() and note that a new closure-wrapped method is returned each time Core.method() is invoked.
-     * Thus calling removeListener(Core.method(this, this,_someListener)) will NOT remove an existing listener.
-     * The solution to this issue is to retain a reference to Core.method() wrapped listeners within the object
-     * that will register and unregister them.
+     * @param {String} message the message
+     * @param fields (optional) object containing structured data describing the record
+     */
+    error: function(message, fields) {
+        this.log(Core.Log.ERROR, message, fields);
+    },
+    
+    /**
+     * Logs a record at the <code>INFO</code> level.
      * 
+     * @param {String} message the message
+     * @param fields (optional) object containing structured data describing the record
+     */
+    info: function(message, fields) {
+        this.log(Core.Log.INFO, message, fields);
+    },
+    
+    /**
+     * Determines whether records of the specified level will be logged.  This method should be used to
+     * avoid computing expensive fields for records which will be discarded.
      * 
-     * @param {String} eventType the event type
-     * @param {Function} eventTarget the event target
+     * @param {Number} level the level
+     * @return true if records of the level will be logged
+     * @type Boolean
      */
-    removeListener: function(eventType, eventTarget) {
-        for (var i = 0; i < this._data.length; i += 2) {
-            if (this._data[i] == eventType && eventTarget == this._data[i + 1]) {
-                var oldLength = this._data.length;
-                this._data.splice(i, 2);
-                return;
-            }
-        }
+    isEnabled: function(level) {
+        return level >= Core.Log.getEffectiveLevel(this.name) && level < Core.Log.OFF;
     },
     
-    /** @see Object#toString */
-    toString: function() {
-        var out = "";
-        for (var i = 0; i < this._data.length; i += 2) {
-            if (i > 0) {
-                out += ", ";
-            }
-            out += this._data[i] + ":" + this._data[i + 1];
+    /**
+     * Logs a record.
+     * 
+     * @param {Number} level the level
+     * @param {String} message the message
+     * @param fields (optional) object containing structured data describing the record
+     */
+    log: function(level, message, fields) {
+        if (!this.isEnabled(level)) {
+            return;
         }
-        return out;
+        Core.Log._publish({ logger: this.name, level: level, levelName: Core.Log.LEVEL_NAMES[level], 
+                message: String(message), fields: fields || null, time: new Date().getTime() });
+    },
+    
+    /**
+     * Logs a record at the <code>TRACE</code> level.
+     * 
+     * @param {String} message the message
+     * @param fields (optional) object containing structured data describing the record
+     */
+    trace: function(message, fields) {
+        this.log(Core.Log.TRACE, message, fields);
+    },
+    
+    /**
+     * Logs a record at the <code>WARN</code> level.
+     * 
+     * @param {String} message the message
+     * @param fields (optional) object containing structured data describing the record
+     */
+    warn: function(message, fields) {
+        this.log(Core.Log.WARN, message, fields);
     }
 });
 
 /**
- * Provides locale-specific resources for multiple localizations.
- * A default resource map and locale-specific resource maps may be added to a resource bundle.
- * The resource bundle may then be queried to return a complete resource map for a specific locale.
- * When a locale-specific map is requested, any entries not available specifically in that map will be provided
- * by more generic resource maps that have been added to the bundle.
+ * Abstract base class for log appenders, which output or store log records.
  */
-Core.ResourceBundle = Core.extend({
+Core.Log.Appender = Core.extend({
 
-    $static: {
+    $abstract: {
     
         /**
-         * Generates a less specific version of the specified language code.
-         * Returns null if no "parent" language code can be determined.
-         * This operation is implemented  by removing the sub-tag (if found)
-         * from the specified RFC 1766 language code.  If the language
-         * code does not have a sub-tag, null is returned.
-         *
-         * @param {String} languageCode an RFC 1766 language code
-         * @return a less specific version of the specified language code,
-         *         or null if none can be determined
-         * @type String 
+         * Outputs or stores a log record.
+         * 
+         * @param record the record
          */
-        getParentLanguageCode: function(languageCode) {
-            if (languageCode.indexOf("-") == -1) {
-                return null;
-            } else {
-                return languageCode.substring(0, languageCode.indexOf("-"));
-            }
-        }
+        append: function(record) { }
     },
-
-    /**
-     * Association between RFC 1766 language codes and resource maps.
-     * These are the maps which have been added using the <code>set()</code> method.
-     * The contents of these maps may not be modified.
-     */
-    _sourceMaps: null,
     
-    /**
-     * Cache of generated resource maps which fill omissions in more-specific resource maps
-     * with those from less-specific resource maps.  A generated map is returned
-     * when the user requests a locale-specific map.
-     */
-    _generatedMaps: null,
+    $virtual: {
     
-    /**
-     * The default resource map that should be used in the event that a
-     * locale-specific map is not available for a particular language code.
-     */
-    _defaultMap: null,
+        /**
+         * Threshold level of the appender: records below this level will not be provided to it.
+         * @type Number
+         */
+        level: 0
+    }
+});
 
-    /**
-     * Creates a new <code>ResourceBundle</code>.
-     * 
-     * @param defaultMap the default resource map
-     */
-    $construct: function(defaultMap) {
-        this._sourceMaps = {};
-        this._generatedMaps = {};
-        this._defaultMap = defaultMap;
-    },
-    
-    /**
-     * Returns a locale-specific resource map.  The returned map will contain entries from less-specific and/or the default map
-     * if they are not available from the map for the specified language code. 
-     * 
-     * @param {String} languageCode an RFC 1766 language code, or null to return the default map
-     * @return a locale-specific map for the language code
-     */
-    get: function(languageCode) {
-        var map = languageCode ? this._generatedMaps[languageCode] : this._defaultMap;
-        if (map) {
-            return map;
-        }
-    
-        map = {};
-        var x;
+/**
+ * Appender which writes records to the <code>window.console</code> API, where available.
+ * Structured fields are provided to the console as an object, such that they may be inspected.
+ */
+Core.Log.ConsoleAppender = Core.extend(Core.Log.Appender, {
 
-        // Copy items from exact language resource map into generated resource map.
-        var sourceMap = this._sourceMaps[languageCode];
-        if (sourceMap) {
-            for (x in sourceMap) {
-                map[x] = sourceMap[x];
-            }
-        }
+    /** Mapping between levels and console method names. */
+    _methods: ["debug", "debug", "info", "warn", "error"],
 
-        // Copy any missing items found in parent language resource map (if it exists) into new resource map.
-        var parentLanguageCode = Core.ResourceBundle.getParentLanguageCode(languageCode);
-        if (parentLanguageCode) {
-            sourceMap = this._sourceMaps[parentLanguageCode];
-            if (sourceMap) {
-                for (x in sourceMap) {
-                    if (map[x] === undefined) {
-                        map[x] = sourceMap[x];
-                    }
-                }
-            }
+    /** @see Core.Log.Appender#append */
+    append: function(record) {
+        if (typeof console == "undefined") {
+            return;
         }
-
-        // Copy any missing items found in default resource map into new resource map.
-        for (x in this._defaultMap) {
-            if (map[x] === undefined) {
-                map[x] = this._defaultMap[x];
-            }
+        var method = console[this._methods[record.level]] ? this._methods[record.level] : "log";
+        var text = record.levelName + " " + record.logger + ": " + record.message;
+        if (record.fields) {
+            console[method](text, record.fields);
+        } else {
+            console[method](text);
         }
-        
-        this._generatedMaps[languageCode] = map;
-        return map;
-    },
+    }
+});
+
+/**
+ * Appender which writes formatted records to a DOM console element, or displays them in alert dialogs.
+ */
+Core.Log.DomAppender = Core.extend(Core.Log.Appender, {
 
     /**
-     * Adds a new locale-specific map to the bundle.
+     * The element to which records are written.  If null, <code>Core.Debug.consoleElement</code> is used.
+     * @type Element
+     */
+    element: null,
+    
+    /**
+     * Creates a new <code>DomAppender</code>.
      * 
-     *  @param languageCode the language code
-     *  @param map the key-value resource map for the language code
+     * @param {Element} element the element to which records should be written (if omitted, 
+     *        <code>Core.Debug.consoleElement</code> is used)
      */
-    set: function(languageCode, map) {
-        this._generatedMaps = {};
-        this._sourceMaps[languageCode] = map;
+    $construct: function(element) {
+        this.element = element || null;
     },
-    
-    /** @see Object#toString */
-    toString: function() {
-        var out = "ResourceBundle: ";
-        for (var x in this._sourceMaps) {
-            out += " " + x;
+
+    /** @see Core.Log.Appender#append */
+    append: function(record) {
+        var element = this.element || Core.Debug.consoleElement;
+        var text = Core.Log.format(record);
+        if (element) {
+            var entryElement = document.createElement("div");
+            entryElement.appendChild(document.createTextNode(text));
+            if (element.childNodes.length === 0) {
+                element.appendChild(entryElement);
+            } else {
+                element.insertBefore(entryElement, element.firstChild);
+            }
+        } else if (Core.Debug.useAlertDialog) {
+            alert("DEBUG:" + text);
         }
-        return out;
     }
 });
-/**
- * @fileoverview
- * Provides low-level web-client-related APIs.  Features include:
- * <ul>
- *  <li>Provides cross-platform API for accessing web client features that have
- *   inconsistent implementations on various browser platforms.</li>
- *  <li>Provides HTTP Connection object (wrapper for XMLHttpRequest).</li>
- *  <li>Provides HTML DOM manipulation capabilities.</li>
- *  <li>Provides DOM event management facility, enabling capturing/bubbling phases
- *   on all browsers, including Internet Explorer 6.</li>
- *  <li>Provides "virtual positioning" capability for Internet Explorer 6 to
- *   render proper top/left/right/bottom CSS positioning.</li>
- *  <li>Provides facilities to convert dimensions (e.g., in/cm/pc) to pixels.</li>
- *  <li>Provides capabilities to measure rendered size of DOM fragments.</li>
- *  <li> Provides capabilities to asynchronously load and install JavaScript modules.</li>
- * </ul>
- * Requires Core.
- */
 
 /**
- * Namespace for Web Core.
- * @namespace
+ * Appender which stores the most recent records in a fixed-capacity ring buffer, such that they may be
+ * retrieved later, e.g., for inclusion in an error report.
  */
-Core.Web = {
+Core.Log.MemoryAppender = Core.extend(Core.Log.Appender, {
 
-    /**
-     * Flag indicating that a drag-and-drop operation is in process.
-     * Setting this flag will prevent text selections within the browser.
-     * It must be un-set when the drag operation completes.
-     * 
-     * @type Boolean
+    /** 
+     * The maximum number of records retained.
+     * @type Number 
      */
-    dragInProgress: false,
+    capacity: null,
+    
+    /** Ring buffer storage. */
+    _buffer: null,
     
+    /** Index at which the next record will be stored. */
+    _next: 0,
+    
+    /** Number of records currently stored. */
+    _count: 0,
+
     /**
-     * Initializes the Web Core.  This method must be executed prior to using any Web Core capabilities.
+     * Creates a new <code>MemoryAppender</code>.
+     * 
+     * @param {Number} capacity the maximum number of records to retain (default 100)
      */
-    init: function() {
-        if (Core.Web.initialized) {
-            // Already initialized.
-            return;
-        }
+    $construct: function(capacity) {
+        this.capacity = capacity || 100;
+        this._buffer = [];
+    },
     
-        Core.Web.Env._init();
-        Core.Web.Measure._calculateExtentSizes();
-        Core.Web.Measure.Bounds._initMeasureContainer();
-        if (Core.Web.Env.QUIRK_CSS_POSITIONING_ONE_SIDE_ONLY) {
-            // Enable virtual positioning.
-            Core.Web.VirtualPosition._init();
+    /** @see Core.Log.Appender#append */
+    append: function(record) {
+        this._buffer[this._next] = record;
+        this._next = (this._next + 1) % this.capacity;
+        if (this._count < this.capacity) {
+            ++this._count;
         }
+    },
     
-        if (Core.Web.Env.ENGINE_MSHTML) {
-            Core.Web.DOM.addEventListener(document, "selectstart", Core.Web._selectStartListener, false);
-            Core.Web.DOM.addEventListener(document, "dragstart", Core.Web._selectStartListener, false);
-        }
-        
-        Core.Web.initialized = true;
+    /**
+     * Discards all stored records.
+     */
+    clear: function() {
+        this._buffer = [];
+        this._next = 0;
+        this._count = 0;
     },
     
     /**
-     * Internet Explorer-specific event listener to deny selection.
+     * Returns the stored records, oldest first.
      * 
-     * @param {Event} e the selection event
+     * @return the records
+     * @type Array
      */
-    _selectStartListener: function(e) {
-        e = e ? e : window.event;
-        if (Core.Web.dragInProgress) {
-            Core.Web.DOM.preventEventDefault(e);
+    getRecords: function() {
+        var start = this._count < this.capacity ? 0 : this._next,
+            records = [];
+        for (var i = 0; i < this._count; ++i) {
+            records.push(this._buffer[(start + i) % this.capacity]);
         }
+        return records;
     }
-};
+});
+
+// Register default appender (Core.Arrays is not yet available, thus addAppender() may not be used).
+Core.Log._appenders.push(new Core.Log.DomAppender());
 
 /**
- * DOM manipulation utility method namespace.
- * @class
+ * Arrays namespace.
  */
-Core.Web.DOM = {
-
-    /**
-     * Temporary storage for the element about to be focused (for clients that require 'delayed' focusing).
-     */
-    _focusPendingElement: null,
-
-    /**
-     * Runnable to invoke focus implementation (lazily created).
-     * @type Core.Web.Scheduler.Runnable
-     */
-    _focusRunnable: null,
+Core.Arrays = {
 
     /**
-     * Adds an event listener to an object, using the client's supported event 
-     * model.  This method does NOT support method references. 
+     * Returns <tt>true</tt> if the first array contains all of the elements
+     * in the second array.
      *
-     * @param {Element} eventSource the event source
-     * @param {String} eventType the type of event (the 'on' prefix should NOT be included
-     *        in the event type, i.e., for mouse rollover events, "mouseover" would
-     *        be specified instead of "onmouseover")
-     * @param {Function} eventListener the event listener to be invoked when the event occurs
-     * @param {Boolean} useCapture a flag indicating whether the event listener should capture
-     *        events in the final phase of propagation (only supported by 
-     *        DOM Level 2 event model, not available on Internet Explorer)
+     * @param {Array} array1 the array to be analyzed
+     * @param {Array} array2 an array whose elements must all be present in <code>array1</code>
+     *        for this method to return <code>true</code>
+     * @param {Boolean} unique optional flag indicating that all elements in array2 are unique
+     * @return <tt>true</tt> if the first array contains all of the elements
+     *         in the second array
+     * @type Boolean
      */
-    addEventListener: function(eventSource, eventType, eventListener, useCapture) {
-        if (eventSource.addEventListener) {
-            eventSource.addEventListener(eventType, eventListener, useCapture);
-        } else if (eventSource.attachEvent) {
-            eventSource.attachEvent("on" + eventType, eventListener);
+    containsAll: function(array1, array2, unique) {
+        if (unique && array1.length < array2.length) {
+            return false;
+        }
+        if (array2.length === 0) {
+            return true;
+        }
+        var found, item;
+        for (var i = 0; i < array2.length; ++i) {
+            found = false;
+            item = array2[i];
+            for (var j = 0; j < array1.length; ++j) {
+                if (item == array1[j]) {
+                    found = true;
+                    break;
+                }
+            }
+            if (!found) {
+                return false;
+            }
         }
+        return true;
     },
-    
+
     /**
-     * Creates a new XML DOM.
-     *
-     * @param {String} namespaceUri the unique URI of the namespace of the root element in 
-     *        the created document (not supported for
-     *        Internet Explorer 6 clients, null may be specified for all clients)
-     * @param {String} qualifiedName the name of the root element of the new document (this
-     *        element will be created automatically)
-     * @type Document
-     * @return the created DOM
+     * Computes a minimal edit script which transforms one array into another.
+     * Items are matched between the arrays by key, such that an item present in both arrays is described by a "move"
+     * operation (or no operation at all) rather than by a deletion and an insertion.  The number of moves is minimal:
+     * items whose relative order is unchanged (the longest increasing subsequence) are never moved.
+     * <p>
+     * The returned operations are to be applied sequentially, each index being relative to the state of the array
+     * after the application of all preceding operations (<code>Core.Arrays.patch()</code> performs this task).  
+     * Operations are objects of the following forms:
+     * <ul>
+     *  <li><code>{ type: "delete", index: n, item: oldItem }</code></li>
+     *  <li><code>{ type: "insert", index: n, item: newItem }</code></li>
+     *  <li><code>{ type: "move", from: n, to: m, item: newItem }</code>, where <code>to</code> is the index at which the
+     *   item should be inserted after having been removed from index <code>from</code></li>
+     * </ul>
+     * All deletions are returned first.
+     * 
+     * @param {Array} oldArray the original array
+     * @param {Array} newArray the target array
+     * @param {Function} keyFunction optional function which returns the key (a string or number) of an item;  if omitted,
+     *        the items themselves are used as keys, and must thus be strings or numbers;  items with duplicate keys
+     *        are matched in order of occurrence
+     * @return the operations
+     * @type Array
      */
-    createDocument: function(namespaceUri, qualifiedName) {
-        if (document.implementation && document.implementation.createDocument) {
-            // DOM Level 2 Browsers
-            var dom;
-            if (Core.Web.Env.BROWSER_FIREFOX && Core.Web.Env.BROWSER_VERSION_MAJOR == 3 &&
-                    Core.Web.Env.BROWSER_VERSION_MINOR === 0) {
-                // https://bugzilla.mozilla.org/show_bug.cgi?id=431701
-                dom = new DOMParser().parseFromString("<?xml version='1.0' encoding='UTF-8'?><" + qualifiedName + "/>",
-                        "application/xml");
-            } else {
-                dom = document.implementation.createDocument(namespaceUri, qualifiedName, null);
-                try {
-                    // Advises the IE9 to sent posts back in UTF-8 as expected. See http://echo.nextapp.com/site/node/6658
-                    dom.charset = "utf-8";
-                } catch(e) {} // ignore potential errors. It works without all other browsers.
+    diff: function(oldArray, newArray, keyFunction) {
+        var oldKeys = this._getDiffKeys(oldArray, keyFunction),
+            newKeys = this._getDiffKeys(newArray, keyFunction),
+            oldIndices = {},
+            newIndices = {},
+            operations = [],
+            working = [],
+            i;
+        
+        for (i = 0; i < oldKeys.length; ++i) {
+            oldIndices[oldKeys[i]] = i;
+        }
+        for (i = 0; i < newKeys.length; ++i) {
+            newIndices[newKeys[i]] = i;
+        }
+        
+        // Delete items not present in new array (last to first, such that indices remain valid).
+        for (i = oldKeys.length - 1; i >= 0; --i) {
+            if (newIndices[oldKeys[i]] == null) {
+                operations.push({ type: "delete", index: i, item: oldArray[i] });
             }
-            if (!dom.documentElement) {
-                dom.appendChild(dom.createElement(qualifiedName));
+        }
+        for (i = 0; i < oldKeys.length; ++i) {
+            if (newIndices[oldKeys[i]] != null) {
+                working.push(oldKeys[i]);
             }
-            return dom;
-        } else if (window.ActiveXObject) {
-            // Internet Explorer
-            var createdDocument = new ActiveXObject("Microsoft.XMLDOM");
-            var documentElement = createdDocument.createElement(qualifiedName);
-            createdDocument.appendChild(documentElement);
-            return createdDocument;
-        } else {
-            throw new Error("XML DOM creation not supported by browser environment.");
         }
-    },
-    
-    /**
-     * Focuses the given DOM element.
-     * The focus operation may be placed in the scheduler if the browser requires the focus
-     * operation to be performed outside of current JavaScript context (i.e., in the case
-     * where the element to be focused was just rendered in this context).
-     * Passing a null element argument will cancel any scheduler runnable attempting to 
-     * set the focus.
-     * 
-     * @param {Element} element the DOM element to focus
-     */
-    focusElement: function(element) {
-        if (!this._focusRunnable) {
-            this._focusRunnable = new (Core.extend(Core.Web.Scheduler.Runnable, {
-                
-                repeat: true,
-                
-                attempt: 0,
-                
-                timeInterval: 25,
-            
-                run: function() {
-                    element = Core.Web.DOM._focusPendingElement;
-                    Core.Debug.consoleWrite("Focus:" + element + "/" + element.id + "/" + Core.Web.DOM.isDisplayed(element));
-                    
-                    var done = false;
-                    if (Core.Web.DOM.isDisplayed(element)) {
-                        done = true;
-                        try {
-                            element.focus();
-                        } catch (ex) {
-                            // Silently digest IE focus exceptions.
-                        }
+        
+        // Determine retained items which need not move: those forming the longest subsequence whose order is unchanged.
+        var retainedKeys = [],
+            retainedOldIndices = [],
+            stable = {};
+        for (i = 0; i < newKeys.length; ++i) {
+            if (oldIndices[newKeys[i]] != null) {
+                retainedKeys.push(newKeys[i]);
+                retainedOldIndices.push(oldIndices[newKeys[i]]);
+            }
+        }
+        var subsequence = this._getLongestIncreasingSubsequence(retainedOldIndices);
+        for (i = 0; i < subsequence.length; ++i) {
+            stable[retainedKeys[subsequence[i]]] = true;
+        }
+        
+        // Place all other items, last to first, each before its (already positioned) successor.
+        var anchor = null,
+            target,
+            from;
+        for (i = newKeys.length - 1; i >= 0; --i) {
+            if (!stable[newKeys[i]]) {
+                target = anchor == null ? working.length : this.indexOf(working, anchor);
+                if (oldIndices[newKeys[i]] == null) {
+                    operations.push({ type: "insert", index: target, item: newArray[i] });
+                } else {
+                    from = this.indexOf(working, newKeys[i]);
+                    working.splice(from, 1);
+                    if (from < target) {
+                        --target;
                     }
-                    
-                    done |= this.attempt > 25;
-                    
-                    ++this.attempt;
-                    
-                    if (done) {
-                        Core.Web.DOM._focusPendingElement = null;
-                        Core.Web.Scheduler.remove(this);
+                    if (from != target) {
+                        operations.push({ type: "move", from: from, to: target, item: newArray[i] });
                     }
                 }
-            }))();
-        }
-
-        if (!(element && element.focus && Core.Web.DOM.isAncestorOf(document.body, element))) {
-            // Cancel and return.
-            Core.Web.DOM._focusPendingElement = null;
-            Core.Web.Scheduler.remove(this._focusRunnable);
-            return;
+                working.splice(target, 0, newKeys[i]);
+            }
+            anchor = newKeys[i];
         }
         
-        this._focusPendingElement = element;
-        
-        this._focusRunnable.attempt = 0;
-        Core.Web.Scheduler.add(this._focusRunnable);
+        return operations;
     },
     
     /**
-     * Returns the first immediate child element of parentElement with the specified tag name.
+     * Returns the keys of an array's items for use by <code>diff()</code>.
+     * Keys are prefixed (to avoid collision with built-in object properties), and the occurrence count is appended to 
+     * duplicate keys.
      * 
-     * @param {Element} parentElement the parent element
-     * @param tagName the tag name
-     * @return the first child element of parentElement with the specified tag name,
-     *         or null if no elements match
-     * @type Element
+     * @param {Array} array the array
+     * @param {Function} keyFunction the key function, or null to use items as keys
+     * @return the keys
+     * @type Array
      */
-    getChildElementByTagName: function(parentElement, tagName) {
-        var element = parentElement.firstChild;
-        while (element) {
-            if (element.nodeType == 1 && element.nodeName == tagName) {
-                return element;
+    _getDiffKeys: function(array, keyFunction) {
+        var keys = [],
+            counts = {};
+        for (var i = 0; i < array.length; ++i) {
+            var key = "_" + (keyFunction ? keyFunction(array[i]) : array[i]);
+            if (counts[key]) {
+                keys.push(key + "\u0000" + counts[key]);
+                ++counts[key];
+            } else {
+                keys.push(key);
+                counts[key] = 1;
             }
-            element = element.nextSibling;
         }
-        return null;
+        return keys;
     },
     
     /**
-     * Returns an array containing all immediate child element of parentElement with the specified tag name.
+     * Returns the indices of a longest strictly increasing subsequence of an array of numbers.
      * 
-     * @param {Element} parentElement the parent element
-     * @param tagName the tag name
-     * @return the child elements
+     * @param {Array} values the numbers
+     * @return the indices of the subsequence's values, in ascending order
      * @type Array
      */
-    getChildElementsByTagName: function(parentElement, tagName) {
-        var elements = [];
-        var element = parentElement.firstChild;
-        while (element) {
-            if (element.nodeType == 1 && element.nodeName == tagName) {
-                elements.push(element);
+    _getLongestIncreasingSubsequence: function(values) {
+        // tails[n]: index of smallest value ending an increasing subsequence of length n + 1.
+        var tails = [],
+            predecessors = [],
+            i;
+        for (i = 0; i < values.length; ++i) {
+            var low = 0,
+                high = tails.length;
+            while (low < high) {
+                var middle = (low + high) >> 1;
+                if (values[tails[middle]] < values[i]) {
+                    low = middle + 1;
+                } else {
+                    high = middle;
+                }
             }
-            element = element.nextSibling;
+            predecessors[i] = low > 0 ? tails[low - 1] : -1;
+            tails[low] = i;
         }
-        return elements;
+        
+        var subsequence = [];
+        for (i = tails.length > 0 ? tails[tails.length - 1] : -1; i != -1; i = predecessors[i]) {
+            subsequence.unshift(i);
+        }
+        return subsequence;
     },
     
     /**
-     * Returns x/y coordinates of mouse relative to the element which fired an event.
+     * Returns the index of the specified item within the array, or -1 if it 
+     * is not contained in the array.  
      * 
-     * @param {Event} e the event
-     * @return object containing 'x' and 'y' properties specifying the numeric pixel
-     *         coordinates of the mouse relative to the element, with {x: 0, y: 0}
-     *         indicating its upper-left corner
+     * @param item the item
+     * @return the index of the item, or -1 if it is not present in the array
+     * @type Number
      */
-    getEventOffset: function(e) {
-        if (typeof e.offsetX == "number") {
-            return { x: e.offsetX, y: e.offsetY };
-        } else {
-            var bounds = new Core.Web.Measure.Bounds(this.getEventTarget(e));
-            return { x: e.clientX - bounds.left, y: e.clientY - bounds.top };
+    indexOf: function(array, item) {
+        for (var i = 0; i < array.length; ++i) {
+            if (item == array[i]) {
+                return i;
+            }
         }
+        return -1;
     },
     
     /**
-     * Returns the target of an event, using the client's supported event model.
-     * On clients which support the W3C DOM Level 2 event specification,
-     * the <code>target</code> property of the event is returned.
-     * On clients which support only the Internet Explorer event model,
-     * the <code>srcElement</code> property of the event is returned.
-     *
-     * @param {Event} e the event
-     * @return the target
-     * @type Element
-     */
-    getEventTarget: function(e) {
-        return e.target ? e.target : e.srcElement;
-    },
-    
-    /**
-     * Returns the related target of an event, using the client's supported event model.
-     * On clients which support the W3C DOM Level 2 event specification,
-     * the <code>relatedTarget</code> property of the event is returned.
-     * On clients which support only the Internet Explorer event model,
-     * the <code>toElement</code> property of the event is returned.
-     *
-     * @param {Event} e the event
-     * @return the target
-     * @type Element
-     */
-    getEventRelatedTarget: function(e) {
-        return e.relatedTarget ? e.relatedTarget : e.toElement;
-    },
-    
-    /**
-     * Determines if <code>ancestorNode</code> is or is an ancestor of
-     * <code>descendantNode</code>.
-     *
-     * @param {Node} ancestorNode the potential ancestor node
-     * @param {Node} descendantNode the potential descendant node
-     * @return true if <code>ancestorNode</code> is or is an ancestor of
-     *         <code>descendantNode</code>
-     * @type Boolean
+     * Applies an edit script produced by <code>diff()</code> to an array.
+     * 
+     * @param {Array} array the array to modify (in place)
+     * @param {Array} operations the operations to apply
+     * @return the array
+     * @type Array
      */
-    isAncestorOf: function(ancestorNode, descendantNode) {
-        var testNode = descendantNode;
-        while (testNode != null) {
-            if (testNode == ancestorNode) {
-                return true;
+    patch: function(array, operations) {
+        for (var i = 0; i < operations.length; ++i) {
+            var operation = operations[i];
+            switch (operation.type) {
+            case "delete":
+                array.splice(operation.index, 1);
+                break;
+            case "insert":
+                array.splice(operation.index, 0, operation.item);
+                break;
+            case "move":
+                array.splice(operation.from, 1);
+                array.splice(operation.to, 0, operation.item);
+                break;
             }
-            testNode = testNode.parentNode;
         }
-        return false;
+        return array;
     },
     
     /**
-     * Determines if the given node is theoretically dispalyed within the document.
-     * The following conditions are verified:
+     * Reconciles a keyed collection, e.g., a set of rendered DOM elements, with a new array of items.
+     * Computes the edit script between the arrays using <code>diff()</code>, and invokes the corresponding methods 
+     * of a handler object for each operation.  Finally, the handler's <code>update</code> method is invoked for each 
+     * retained item whose new value is not identical to its old value (i.e., items with matching keys whose content may
+     * have changed).
+     * <p>
+     * The handler may provide the following methods (all are optional):
      * <ul>
-     *  <li><code>node</code> must be a descendant of <code>document.body</code></li>
-     *  <li><code>node</code>'s element ancestry must not contain a element whose CSS <code>visibility</code> state is 
-     *    <code>hidden</code></li>
-     *  <li><code>node</code>'s element ancestry must not contain a element whose CSS <code>display</code> state is 
-     *    <code>none</code></li>
+     *  <li><code>"delete"(oldItem, index)</code></li>
+     *  <li><code>insert(newItem, index)</code></li>
+     *  <li><code>move(newItem, from, to)</code></li>
+     *  <li><code>update(oldItem, newItem, index)</code>, where <code>index</code> is the final index of the item</li>
      * </ul>
      * 
-     * @param {Node} node to analyze
-     * @return true if the node is displayed 
+     * @param {Array} oldArray the original array
+     * @param {Array} newArray the target array
+     * @param {Function} keyFunction optional function which returns the key of an item (see <code>diff()</code>)
+     * @param handler the handler object
+     * @return the operations (as returned by <code>diff()</code>)
+     * @type Array
      */
-    isDisplayed: function(node) {
-        while (node != null) {
-            if (node.nodeType == 1) {
-                if (node.style) {
-                    if (node.style.visibility == "hidden") {
-                        return false;
-                    }
-                    if (node.style.display == "none") {
-                        return false;
-                    }
+    reconcile: function(oldArray, newArray, keyFunction, handler) {
+        var operations = this.diff(oldArray, newArray, keyFunction),
+            i;
+        for (i = 0; i < operations.length; ++i) {
+            var operation = operations[i];
+            switch (operation.type) {
+            case "delete":
+                if (handler["delete"]) {
+                    handler["delete"](operation.item, operation.index);
+                }
+                break;
+            case "insert":
+                if (handler.insert) {
+                    handler.insert(operation.item, operation.index);
                 }
+                break;
+            case "move":
+                if (handler.move) {
+                    handler.move(operation.item, operation.from, operation.to);
+                }
+                break;
             }
-            
-            if (node == document.body) {
-                return true;
+        }
+        
+        if (handler.update) {
+            var oldKeys = this._getDiffKeys(oldArray, keyFunction),
+                newKeys = this._getDiffKeys(newArray, keyFunction),
+                oldItems = {};
+            for (i = 0; i < oldKeys.length; ++i) {
+                oldItems[oldKeys[i]] = oldArray[i];
+            }
+            for (i = 0; i < newKeys.length; ++i) {
+                if (oldItems.hasOwnProperty(newKeys[i]) && oldItems[newKeys[i]] !== newArray[i]) {
+                    handler.update(oldItems[newKeys[i]], newArray[i], i);
+                }
             }
-            node = node.parentNode;
         }
-        return false;
+        
+        return operations;
     },
-
+    
     /**
-     * Prevents the default action of an event from occurring, using the
-     * client's supported event model.
-     * On clients which support the W3C DOM Level 2 event specification,
-     * the preventDefault() method of the event is invoked.
-     * On clients which support only the Internet Explorer event model,
-     * the 'returnValue' property of the event is set to false.
-     *
-     * @param {Event} e the event
+     * Removes the first instance of the specified item from an array.
+     * If the item does not exist in the array, no action is taken.
+     * Equality is determined using the '==' operator.
+     * 
+     * @param array the array from which the item should be removed
+     * @param item the item to remove
      */
-    preventEventDefault: function(e) {
-        if (e.preventDefault) {
-            e.preventDefault();
-        } else {
-            e.returnValue = false;
+    remove: function(array, item) {
+        for (var i = 0; i < array.length; ++i) {
+            if (item == array[i]) {
+                array.splice(i, 1);
+                return;
+            }
         }
     },
     
     /**
-     * Removes all child nodes from the specified DOM node.
-     *
-     * @param {Node} node the parent node whose children should be deleted
+     * Removes duplicate items from an array.
+     * Items retained in the array may not appear in the previous order.
+     * 
+     * @param array the array from which duplicates are to be removed.
      */
-    removeAllChildren: function(node) {
-        while (node.firstChild) {
-            node.removeChild(node.firstChild);
+    removeDuplicates: function(array) {
+        array.sort();
+        var removeCount = 0;
+        // Iterate from last element to second element.
+        for (var i = array.length - 1; i > 0; --i) {
+            // Determine if element is equivalent to previous element.
+            if (array[i] == array[i - 1]) {
+                // If duplicate, copy last element in array over current element.
+                array[i] = array[array.length - 1 - removeCount];
+                
+                // Increment removeCount (indicating how much the length of the array should be decremented)
+                ++removeCount;
+            }
         }
-    },
-    
-    /**
-     * Removes an event listener from an object, using the client's supported event 
-     * model.  This method does NOT support method references.
-     *
-     * @param {Element} eventSource the event source
-     * @param {String} eventType the type of event (the 'on' prefix should NOT be included
-     *        in the event type, i.e., for mouse rollover events, "mouseover" would
-     *        be specified instead of "onmouseover")
-     * @param {Function} eventListener the event listener to be invoked when the event occurs
-     * @param {Boolean}useCapture a flag indicating whether the event listener should capture
-     *        events in the final phase of propagation (only supported by 
-     *        DOM Level 2 event model, not available on Internet Explorer)
-     */
-    removeEventListener: function(eventSource, eventType, eventListener, useCapture) {
-        if (eventSource.removeEventListener) {
-            eventSource.removeEventListener(eventType, eventListener, useCapture);
-        } else if (eventSource.detachEvent) {
-            eventSource.detachEvent("on" + eventType, eventListener);
+        
+        if (removeCount > 0) {
+            array.length = array.length - removeCount;
         }
-    },
+    }
+};
+
+/**
+ * Associative array wrapper which periodically recreates the associative array
+ * in order to avoid memory leakage and performance problems on certain browser
+ * platforms, i.e., Internet Explorer 6.
+ * <p>
+ * Entries are maintained in insertion order, and may be iterated using <code>forEach()</code> or the iterators 
+ * returned by <code>keys()</code>, <code>values()</code> and <code>entries()</code>.  The number of entries is available
+ * in constant time from the <code>size</code> property.
+ * <p>
+ * A capacity may optionally be specified, in which case the map operates as a least-recently-used cache:
+ * retrieving or setting an entry moves it to the end of the iteration order, and, when the capacity is exceeded, the 
+ * least recently used entries are removed and "evict" events are fired to registered eviction listeners.
+ * <p>
+ * Null values are not permitted as keys.  Setting a key to a null value
+ * will result in the key being removed.
+ * The <code>map</code> property may be read directly, but must not be modified other than through
+ * <code>set()</code>/<code>remove()</code>, else the ordering and size of the map will not be maintained.
+ */
+Core.Arrays.LargeMap = Core.extend({
     
-    /**
-     * Removes the specified DOM node from the DOM tree. This method employs a workaround for the
-     * <code>QUIRK_PERFORMANCE_LARGE_DOM_REMOVE</code> quirk.
-     *
-     * @param {Node} node the node which should be deleted
-     */
-    removeNode: function(node) {
-        var parentNode = node.parentNode;
-        if (!parentNode) {
-            // not in DOM tree
-            return;
-        }
-        if (Core.Web.Env.QUIRK_PERFORMANCE_LARGE_DOM_REMOVE) {
-            this._removeNodeRecursive(node);
-        } else {
-            parentNode.removeChild(node);
-        }
+    $static: {
+    
+        /** 
+         * Flag indicating whether forced garbage collection should be enabled.
+         * This flag should be manually set in environments where it is required.
+         * (The web module does this automatically for IE6.)
+         */
+        garbageCollectEnabled: false,
+        
+        /**
+         * Iterator over the entries of a <code>LargeMap</code>.  Conforms to the ECMAScript iteration protocol, 
+         * i.e., <code>next()</code> returns objects with <code>done</code> and <code>value</code> properties, and
+         * may thus be used in <code>for...of</code> loops where supported.
+         * Entries added during iteration will be returned by the iterator, removed entries will not.
+         */
+        Iterator: Core.extend({
+        
+            /** The next node to return. */
+            _node: null,
+            
+            /** 
+             * The value type to return, one of "key", "value", or "entry" (returning [key, value] arrays).
+             * @type String
+             */
+            _type: null,
+            
+            /**
+             * Creates a new iterator.
+             * 
+             * @param node the first node of the map's entry list
+             * @param {String} type the value type to return, one of "key", "value", or "entry"
+             */
+            $construct: function(node, type) {
+                this._node = node;
+                this._type = type;
+            },
+            
+            /**
+             * Returns the next result of the iteration.
+             * 
+             * @return an object containing a <code>done</code> flag and, if not done, the <code>value</code>
+             */
+            next: function() {
+                // Skip nodes which were removed after the iterator passed their predecessor.
+                while (this._node && this._node.removed) {
+                    this._node = this._node.next;
+                }
+                if (!this._node) {
+                    return { done: true, value: undefined };
+                }
+                var node = this._node;
+                this._node = node.next;
+                return { done: false, 
+                        value: this._type == "key" ? node.key : (this._type == "value" ? node.value : [node.key, node.value]) };
+            }
+        })
     },
     
-    /**
-     * Removes the specified DOM node from the DOM tree in a recursive manner, i.e. all descendants
-     * of the given node are removed individually. This alleviates slow performance when removing large
-     * DOM trees.
-     *
-     * @param {Node} node the node which should be deleted
-    */
-    _removeNodeRecursive: function(node) {
-        var childNode = node.firstChild;
-        while (childNode) {
-            var nextChildNode = childNode.nextSibling;
-            this._removeNodeRecursive(childNode);
-            childNode = nextChildNode;
+    $load: function() {
+        if (typeof Symbol != "undefined" && Symbol.iterator) {
+            this.Iterator.prototype[Symbol.iterator] = function() {
+                return this;
+            };
+            this.prototype[Symbol.iterator] = this.prototype.entries;
         }
-        node.parentNode.removeChild(node);
     },
     
     /**
-     * Stops an event from propagating ("bubbling") to parent nodes in the DOM, 
-     * using the client's supported event model.
-     * On clients which support the W3C DOM Level 2 event specification,
-     * the stopPropagation() method of the event is invoked.
-     * On clients which support only the Internet Explorer event model,
-     * the 'cancelBubble' property of the event is set to true.
-     *
-     * @param {Event} e the event
-     */
-    stopEventPropagation: function(e) {
-        if (e.stopPropagation) {
-            e.stopPropagation();
-        } else {
-            e.cancelBubble = true;
-        }
-    }
-};
-
-/**
- * Provides information about the web browser environment.
- * @class
- */
-Core.Web.Env = {
-
-    /**
-     * Flag indicating the Presto rendering engine is being used (Opera).
-     */
-    ENGINE_PRESTO: null,
-
-    /**
-     * Flag indicating the WebKit rendering engine is being used (Safari,
-     * Chrome). Derivative of KHTML.
+     * Number of removes since last associative array re-creation.
+     * @type Number
      */
-    ENGINE_WEBKIT: null,
-
+    _removeCount: 0,
+    
     /**
-     * Flag indicating the KHTML rendering engine is being used (Konqueror).
+     * Number (integer) of removes between associative array re-creation.
+     * @type Number
      */
-    ENGINE_KHTML: null,
-
+    garbageCollectionInterval: 250,
+    
     /**
-     * Flag indicating the MSHTML/Trident rendering engine is being used
-     * (Internet Explorer).
+     * Associative mapping.
      */
-    ENGINE_MSHTML: null,
-
+    map: null, 
+    
     /**
-     * Flag indicating the Gecko rendering engine is being used (Mozilla,
-     * Firefox).
+     * Associative mapping between keys and entry list nodes.
+     * Each node is an object with <code>key</code>, <code>value</code>, <code>previous</code>, and <code>next</code>
+     * properties.
      */
-    ENGINE_GECKO: null,
-
+    _nodes: null,
+    
+    /** First (least recently added/used) node of the entry list. */
+    _head: null,
+    
+    /** Last (most recently added/used) node of the entry list. */
+    _tail: null,
+    
     /**
-     * Flag indicating a Mozilla client or Mozilla-based client.
+     * Maximum number of entries, or null if the size of the map is not limited.
+     * @type Number
      */
-    BROWSER_MOZILLA: null,
-
+    capacity: null,
+    
     /**
-     * Flag indicating an Opera client.
+     * Listener list for eviction listeners, lazily created.
+     * @type Core.ListenerList
      */
-    BROWSER_OPERA: null,
-
+    _listenerList: null,
+    
     /**
-     * Flag indicating an Konqueror client.
+     * The number of entries in the map.  Read-only.
+     * @type Number
      */
-    BROWSER_KONQUEROR: null,
-
+    size: 0,
+    
     /**
-     * Flag indicating a Mozilla Firefox client.
+     * Creates a new LargeMap.
+     * 
+     * @param {Number} capacity the maximum number of entries, beyond which least recently used entries will be evicted
+     *        (may be omitted for an unlimited map)
      */
-    BROWSER_FIREFOX: null,
-
+    $construct: function(capacity) {
+        this.map = {};
+        this._nodes = {};
+        this.capacity = capacity || null;
+    },
+    
     /**
-     * Flag indicating a Microsoft Internet Explorer client.
+     * Registers a listener to be notified when entries are evicted due to the capacity of the map being exceeded.
+     * Events provide <code>key</code> and <code>value</code> properties describing the evicted entry.
+     * 
+     * @param {Function} l the listener to add
      */
-    BROWSER_INTERNET_EXPLORER: null,
-
+    addEvictListener: function(l) {
+        if (!this._listenerList) {
+            this._listenerList = new Core.ListenerList();
+        }
+        this._listenerList.addListener("evict", l);
+    },
+    
     /**
-     * Flag indicating a Google Chrome client.
+     * Removes all entries.  Eviction listeners are not notified.
      */
-    BROWSER_CHROME: null,
-
+    clear: function() {
+        // Mark nodes removed, such that active iterators terminate.
+        for (var node = this._head; node; node = node.next) {
+            node.removed = true;
+        }
+        this.map = {};
+        this._nodes = {};
+        this._head = this._tail = null;
+        this.size = 0;
+        this._removeCount = 0;
+    },
+    
     /**
-     * The major browser version. For Firefox 3.0.6 this would be 3.
+     * Returns an iterator over the entries of the map, in order.  Each entry is a two-element array
+     * containing a key and its value.
      * 
-     * @type Number
+     * @return the iterator
+     * @type Core.Arrays.LargeMap.Iterator
      */
-    BROWSER_VERSION_MAJOR: null,
-
+    entries: function() {
+        return new Core.Arrays.LargeMap.Iterator(this._head, "entry");
+    },
+    
     /**
-     * The minor browser version. For Firefox 3.0.6, this would be 0.
+     * Invokes a function for each entry of the map, in order.
      * 
-     * @type Number
+     * @param {Function} f the function to invoke, which will be provided the value, key, and map as arguments
+     * @param thisArg (optional) the value of <code>this</code> when invoking the function
      */
-    BROWSER_VERSION_MINOR: null,
-
+    forEach: function(f, thisArg) {
+        var iterator = this.entries(),
+            result;
+        while (!(result = iterator.next()).done) {
+            f.call(thisArg, result.value[1], result.value[0], this);
+        }
+    },
+    
     /**
-     * The major engine version. For Firefox 3.0.6, which uses the Gecko 1.9,
-     * this would be 1.
-     * 
-     * @type Number
+     * Performs 'garbage-collection' operations, recreating the array.
+     * This operation is necessary due to Internet Explorer memory leak
+     * issues.
      */
-    ENGINE_VERSION_MAJOR: null,
-
+    _garbageCollect: function() {
+        this._removeCount = 0;
+        var newMap = {},
+            newNodes = {};
+        for (var key in this.map) {
+            this._setOwn(newMap, key, this.map[key]);
+            this._setOwn(newNodes, key, this._nodes[key]);
+        }
+        this.map = newMap;
+        this._nodes = newNodes;
+    },
+    
     /**
-     * The minor engine version. For Firefox 3.0.6, which uses the Gecko 1.9,
-     * this would be 9.
+     * Returns the value referenced by the specified key.
+     * If the map has a capacity, the entry is marked as most recently used.
      * 
-     * @type Number
-     */
-    ENGINE_VERSION_MINOR: null,
-
-    /**
-     * Flag indicating whether the user-agent string contains deceptive
-     * information. This is true in the case of Opera, which contains MSIE info
-     * in its version string.
-     */
-    DECEPTIVE_USER_AGENT: null,
-
-
-    /**
-     * Attribute name for CSS float attribute. Varies by browser.
-     * @type String
+     * @param key the key
+     * @return the value, or null if none exists
      */
-    CSS_FLOAT: "cssFloat",
-
+    get: function(key) {
+        var node = this._getNode(key);
+        if (!node) {
+            return null;
+        }
+        if (this.capacity) {
+            this._moveToTail(node);
+        }
+        return node.value;
+    },
+    
     /**
-     * Flag indicating that offset measurements do not take into account CSS
-     * borders around elements.
-     * @type Boolean
+     * Returns the entry list node of a key.  Properties inherited by the associative mapping (e.g., "toString") are
+     * not considered.
+     * 
+     * @param key the key
+     * @return the node, or null if no entry exists
      */
-    MEASURE_OFFSET_EXCLUDES_BORDER: null,
-
+    _getNode: function(key) {
+        return Object.prototype.hasOwnProperty.call(this._nodes, key) ? this._nodes[key] : null;
+    },
+    
     /**
-     * Flag indicating that the CSS "opacity" attribute is not supported.
+     * Determines whether the map contains an entry for the specified key.
+     * Does not affect the recently-used ordering of the map.
+     * 
+     * @param key the key
+     * @return true if an entry exists
      * @type Boolean
      */
-    NOT_SUPPORTED_CSS_OPACITY: null,
+    has: function(key) {
+        return !!this._getNode(key);
+    },
     
     /**
-     * Flag indicating that relative table column widths are not supported, 
-     * e.g., "*" or "2*".
-     * @type Boolean
+     * Returns an iterator over the keys of the map, in order.
+     * 
+     * @return the iterator
+     * @type Core.Arrays.LargeMap.Iterator
      */
-    NOT_SUPPORTED_RELATIVE_COLUMN_WIDTHS: null,
+    keys: function() {
+        return new Core.Arrays.LargeMap.Iterator(this._head, "key");
+    },
     
     /**
-     * Flag indicating that selectionStart/selectionEnd/setSelectionRange() are not
-     * supported on text field INPUT elements and TEXTAREA elements.
-     * @type Boolean
+     * Moves an entry to the end of the entry list.
+     * The entry is relinked as a new node, such that active iterators positioned at the original node are unaffected.
+     * 
+     * @param node the node of the entry to move
      */
-    NOT_SUPPORTED_INPUT_SELECTION: null,
+    _moveToTail: function(node) {
+        if (node == this._tail) {
+            return;
+        }
+        this._unlink(node);
+        var newNode = { key: node.key, value: node.value, previous: this._tail, next: null, removed: false };
+        this._setOwn(this._nodes, node.key, newNode);
+        this._tail.next = newNode;
+        this._tail = newNode;
+    },
     
     /**
-     * Flag indicating complete lack of support for W3C DOM range API. 
-     * @type Boolean
+     * Removes the value referenced by the specified key.
+     *
+     * @param key the key
      */
-    NOT_SUPPORTED_RANGE: null,
-
+    remove: function(key) {
+        var node = this._getNode(key);
+        if (!node) {
+            return;
+        }
+        this._unlink(node);
+        --this.size;
+        delete this._nodes[key];
+        delete this.map[key];
+        if (Core.Arrays.LargeMap.garbageCollectEnabled) {
+            ++this._removeCount;
+            if (this._removeCount >= this.garbageCollectionInterval) {
+                this._garbageCollect();
+            }
+        }
+    },
+    
     /**
-     * Flag indicating support for "mouseenter" and "mouseleave" events. This is
-     * a proprietary IE event, but is necessary to use to control flicker in
-     * rollover effects on high-level elements in this browser.
-     * @type Boolean
+     * Unregisters an eviction listener.
+     * 
+     * @param {Function} l the listener to remove
      */
-    PROPRIETARY_EVENT_MOUSE_ENTER_LEAVE_SUPPORTED: null,
-
+    removeEvictListener: function(l) {
+        if (this._listenerList) {
+            this._listenerList.removeListener("evict", l);
+        }
+    },
+    
     /**
-     * Flag indicating support for "selectstart" events.
-     * @type Boolean
+     * Sets the value referenced by the specified key.  Setting a null value removes the entry.
+     * New entries are added to the end of the iteration order, as are updated entries if the map has a capacity.
+     * If the capacity of the map is exceeded, least recently used entries are evicted.
+     * 
+     * @param key the key
+     * @param value the value
      */
-    PROPRIETARY_EVENT_SELECT_START_SUPPORTED: null,
+    set: function(key, value) {
+        if (value == null) {
+            this.remove(key);
+            return;
+        }
+        var node = this._getNode(key);
+        if (node) {
+            node.value = value;
+            this._setOwn(this.map, key, value);
+            if (this.capacity) {
+                this._moveToTail(node);
+            }
+            return;
+        }
+        
+        node = { key: key, value: value, previous: this._tail, next: null, removed: false };
+        this._setOwn(this._nodes, key, node);
+        this._setOwn(this.map, key, value);
+        if (this._tail) {
+            this._tail.next = node;
+        } else {
+            this._head = node;
+        }
+        this._tail = node;
+        ++this.size;
 
+        while (this.capacity && this.size > this.capacity) {
+            var evicted = this._head;
+            this.remove(evicted.key);
+            if (this._listenerList) {
+                this._listenerList.fireEvent({ type: "evict", source: this, key: evicted.key, value: evicted.value });
+            }
+        }
+    },
+    
     /**
-     * Flag indicating a DirectX filter is required to render elements with
-     * reduced opacity.
-     * @type Boolean
+     * Stores a value as an own property of an associative mapping.  The "__proto__" key is defined as an ordinary 
+     * property, rather than replacing the prototype of the mapping.
+     * 
+     * @param object the associative mapping
+     * @param key the key
+     * @param value the value
      */
-    PROPRIETARY_IE_OPACITY_FILTER_REQUIRED: null,
-
+    _setOwn: function(object, key, value) {
+        if (key == "__proto__" && Object.defineProperty) {
+            Object.defineProperty(object, key, { value: value, writable: true, enumerable: true, configurable: true });
+        } else {
+            object[key] = value;
+        }
+    },
+    
     /**
-     * Flag indicating PNG alpha channel effects require the use of a DirectX
-     * filter. This filter is dangerous to use, as it can interfere with event
-     * handlers registered on the DOM element.
-     * @type Boolean
+     * Returns a string representation, for debugging purposes only.
+     * 
+     * @return a string representation of the map
+     * @type String
      */
-    PROPRIETARY_IE_PNG_ALPHA_FILTER_REQUIRED: null,
+    toString: function() {
+        return Core.Debug.toString(this.map);
+    },
     
     /**
-     * Flag indicating support for the IE text range API.
-     * @type Boolean
+     * Unlinks a node from the entry list.  The node's <code>next</code> reference is retained, such that active iterators
+     * may continue past it.
+     * 
+     * @param node the node to unlink
      */
-    PROPRIETARY_IE_RANGE: null,
+    _unlink: function(node) {
+        if (node.previous) {
+            node.previous.next = node.next;
+        } else {
+            this._head = node.next;
+        }
+        if (node.next) {
+            node.next.previous = node.previous;
+        } else {
+            this._tail = node.previous;
+        }
+        node.removed = true;
+    },
     
     /**
-     * Flag indicating that keypress events will place charCode value in keyCode property.
-     * @type Boolean
+     * Returns an iterator over the values of the map, in order.
+     * 
+     * @return the iterator
+     * @type Core.Arrays.LargeMap.Iterator
      */
-    QUIRK_KEY_CODE_IS_CHAR_CODE: null,
+    values: function() {
+        return new Core.Arrays.LargeMap.Iterator(this._head, "value");
+    }
+});
+
+/**
+ * An event object.  Provides support for propagation phases and for listeners to stop propagation of the event and/or
+ * prevent its default action.
+ * Events which are not derived from this object (i.e., simple objects with a <code>type</code> property) may also be
+ * fired to listeners, though such events will not bubble to parent components.
+ */
+Core.Event = Core.extend({
+
+    $static: {
+    
+        /**
+         * Phase constant indicating an event is being delivered to capturing listeners of ancestors of the target.
+         * @type Number
+         */
+        PHASE_CAPTURE: 1,
+        
+        /**
+         * Phase constant indicating an event is being delivered to listeners of the target.
+         * @type Number
+         */
+        PHASE_TARGET: 2,
+        
+        /**
+         * Phase constant indicating an event is being delivered to bubbling listeners of ancestors of the target.
+         * @type Number
+         */
+        PHASE_BUBBLE: 3
+    },
     
     /**
-     * Flag indicating that keypress events are fired for special keys.
-     * @type Boolean
+     * The event type.
+     * @type String
      */
-    QUIRK_KEY_PRESS_FIRED_FOR_SPECIAL_KEYS: null,
+    type: null,
     
     /**
-     * Flag indicating that keypress events are fired for special keys.
-     * @type Boolean
+     * The source of the event, i.e., its target.
      */
-    QUIRK_KEY_DOWN_NOT_FIRED_FOR_SPECIAL_KEYS: null,
+    source: null,
     
     /**
-     * Flag indicating collapsed borders appear inside a table's rendered rather
-     * than around it. For example, a proper rendering for a 2px collapsed
-     * border is that one pixel appear inside the table's are and one pixel
-     * appear outside of it. The IE browser, for example, simply renders both
-     * pixels of the border inside.
-     * @type Boolean
+     * The object whose listeners are currently being notified.
      */
-    QUIRK_CSS_BORDER_COLLAPSE_INSIDE: null,
-
+    currentTarget: null,
+    
     /**
-     * Flag indicating that top and bottom or left and right CSS absolute
-     * positioning properties may not be used on the same attribute. Virtual
-     * positioning should be used in such cases.
-     * @type Boolean
+     * The current propagation phase, one of the <code>PHASE_XXX</code> constants.
+     * @type Number
      */
-    QUIRK_CSS_POSITIONING_ONE_SIDE_ONLY: null,
-
+    phase: null,
+    
     /**
-     * Flag indicating that setting focus is more reliably accomplished by
-     * performing the operation in a separate JavaScript execution context.
+     * Flag indicating whether the event should propagate through the capture and bubble phases, i.e., whether
+     * listeners of the hierarchal ancestors of its source should be notified.
      * @type Boolean
      */
-    QUIRK_DELAYED_FOCUS_REQUIRED: null,
+    bubbles: false,
     
     /**
-     * Flag indicating peculiar behavior in Internet Explorer where screen suddenly appears blank after
-     * DOM manipulations have been performed.  This is commonly seen when many JavaScript execution contexts
-     * are being invoked and possibly performing DOM manipulations.  The exact criteria to trigger this bug
-     * has not yet been determined.  It does appear that IE's rendering engine somehow collapses as a result
-     * and simply blanks the screen.  Resizing the window and certain DOM modifications will cause the screen's
-     * image to be restored.
+     * Flag indicating that the default action of the event has been prevented.
      * @type Boolean
      */
-    QUIRK_IE_BLANK_SCREEN: null,
+    defaultPrevented: false,
     
     /**
-     * Flag indicating a fundamental issue in Internet Explorer's rendering engine wherein the browser is incapable of correctly
-     * sizing/positioning elements unless certain CSS attributes (which should not be necessary) are present.
-     * Setting the proprietary "zoom" attribute to a value of '1' can force this browser to properly layout an an element that 
-     * sufferes this quirk.
-     * See http://msdn.microsoft.com/en-us/library/bb250481.aspx 
-     */
-    QUIRK_IE_HAS_LAYOUT: null,
-
-    /**
-     * Flag indicating DOM updates to SELECT elements may result in their
-     * appearance being changed, i.e., listboxes will become select fields.
+     * Flag indicating that the event will not be propagated to further objects.
      * @type Boolean
      */
-    QUIRK_IE_SELECT_LIST_DOM_UPDATE: null,
-
+    propagationStopped: false,
+    
     /**
-     * Flag indicating that setting percent widths on SELECT elements may result
-     * in undesired behavior, e.g., zero-width rendering.
+     * Flag indicating that the event will not be delivered to any further listeners.
      * @type Boolean
      */
-    QUIRK_IE_SELECT_PERCENT_WIDTH: null,
-
+    immediatePropagationStopped: false,
+    
     /**
-     * Flag indicating that SELECT elements do not respect z-index settings.
-     * @type Boolean
+     * Creates a new event.
+     * 
+     * @param {String} type the event type
+     * @param source the event source
+     * @param properties (optional) an associative mapping of additional properties which will be copied to the event,
+     *        e.g., <code>bubbles</code> or type-specific data
      */
-    QUIRK_IE_SELECT_Z_INDEX: null,
+    $construct: function(type, source, properties) {
+        this.type = type;
+        this.source = source;
+        for (var x in properties) {
+            this[x] = properties[x];
+        }
+    },
     
     /**
-     * Flag indicating an IE browser that incorrectly displays the security warning,
-     * "This page contains both secure and nonsecure items. Do you want to display the nonsecure items?".
-     * See http://support.microsoft.com/kb/925014
-     * @type Boolean
+     * Prevents the default action associated with the event from being performed.
+     * The object firing the event is responsible for honoring this request.
      */
-    QUIRK_IE_SECURE_ITEMS: null,
-
+    preventDefault: function() {
+        this.defaultPrevented = true;
+    },
+    
     /**
-     * Flag indicating that IE browser does not properly render tables whose
-     * widths are set to percent values when scrollbars are present. The
-     * scrollbar is not included in the calculation of the container size, thus
-     * a 100% wide table will not fit in its container when a vertical scrollbar
-     * is present, and will trigger a horizontal scroll bar.
-     * @type Boolean
+     * Stops propagation of the event to further objects.  Remaining listeners of the current object will
+     * still be notified.
      */
-    QUIRK_IE_TABLE_PERCENT_WIDTH_SCROLLBAR_ERROR: null,
-
+    stopPropagation: function() {
+        this.propagationStopped = true;
+    },
+    
     /**
-     * Quirk flag indicating that offset measurements on elements whose overflow setting is hidden
-     * will be incorrectly reduced by the border size.  Used internally in measuring algorithms.
-     * @type Boolean
+     * Stops propagation of the event to further objects and to any further listeners of the current object.
      */
-    QUIRK_MEASURE_OFFSET_HIDDEN_BORDER: null,
+    stopImmediatePropagation: function() {
+        this.propagationStopped = true;
+        this.immediatePropagationStopped = true;
+    }
+});
 
-    /**
-     * Flag indicating a bug in the Opera browser where absolute CSS positioning
-     * and offset calculations are incorrectly performed. See
-     * http://my.opera.com/community/forums/topic.dml?id=250572
-     * @type Boolean
-     */
-    QUIRK_OPERA_CSS_POSITIONING: null,
+/**
+ * A collection of event listeners.  Provides capability to manage listeners
+ * of multiple types, and fire events to listeners based on type.
+ * Listeners may be registered with a priority (listeners with higher priorities are notified first), as
+ * "once" listeners (which are automatically removed after being notified), and as capturing listeners.
+ */
+Core.ListenerList = Core.extend({
 
-    /**
-     * Quirk indicating that removing large element hierarchies from the DOM
-     * using a single removeChild invocation at the root results in poor
-     * performance. Workaround is to iteratively remove smaller hierarchies.
-     * @type Boolean
-     */
-    QUIRK_PERFORMANCE_LARGE_DOM_REMOVE: null,
+    $static: {
+    
+        /**
+         * Creates a promise describing the aggregate result of asynchronous listener notification.
+         * 
+         * @param {Array} results the listener results, as stored by <code>_notifyAsync()</code>
+         * @return the promise, or null if promises are not supported by the client
+         * @see #fireEventAsync
+         */
+        _settle: function(results) {
+            if (typeof Promise == "undefined") {
+                for (var i = 0; i < results.length; ++i) {
+                    if (results[i].failed) {
+                        throw results[i].ex;
+                    }
+                }
+                return null;
+            }
+            
+            return new Promise(function(resolve, reject) {
+                var values = [],
+                    errors = [],
+                    pending = results.length;
+                
+                var complete = function() {
+                    if (--pending > 0) {
+                        return;
+                    }
+                    if (errors.length === 0) {
+                        resolve(values);
+                    } else {
+                        var ex = new Error(errors.length + " of " + results.length + " listener(s) failed: " + errors[0]);
+                        ex.errors = errors;
+                        ex.results = values;
+                        reject(ex);
+                    }
+                };
+                
+                var settleResult = function(index) {
+                    if (results[index].failed) {
+                        errors.push(results[index].ex);
+                        complete();
+                        return;
+                    }
+                    Promise.resolve(results[index].value).then(function(value) {
+                        values[index] = value;
+                        complete();
+                    }, function(ex) {
+                        errors.push(ex);
+                        complete();
+                    });
+                };
+                
+                if (pending === 0) {
+                    resolve(values);
+                    return;
+                }
+                for (var i = 0; i < results.length; ++i) {
+                    settleResult(i);
+                }
+            });
+        }
+    },
 
     /**
-     * Flag indicating XML documents being sent via XMLHttpRequest must have
-     * text content manually escaped due to bugs in the Webkit render engine.
-     * @type Boolean
+     * Array containing event types, event listeners, and listener options.  
+     * Every third index (starting with zero) contains an event type, the subsequent
+     * index contains the Function to invoke, and the next index contains the listener
+     * options object (or null, if none were specified).
+     * Listeners are stored in order of descending priority.
+     * @type Array
      */
-    QUIRK_WEBKIT_DOM_TEXT_ESCAPE: null,
-
+    _data: null,
+   
     /**
-     * Flag indicating that table cell widths do not include padding value.
-     * @type Boolean
+     * Creates a new listener list.
+     * 
+     * @constructor
      */
-    QUIRK_TABLE_CELL_WIDTH_EXCLUDES_PADDING: null,
+    $construct: function() {
+        this._data = [];
+    },
 
     /**
-     * Flag indicating that images which not yet been loaded will have size
-     * information (width/height values).
-     * @type Boolean
+     * Adds an event listener.
+     * 
+     * @param {String} eventType the event type
+     * @param {Function} eventTarget the event target
+     * @param options (optional) an object containing any of the following listener options:
+     *        <ul>
+     *         <li><code>priority</code>: a number specifying the listener priority, listeners with higher priorities 
+     *          will be notified before those with lower priorities (default 0)</li>
+     *         <li><code>once</code>: a boolean flag indicating the listener should be removed after it is first 
+     *          notified</li>
+     *         <li><code>capture</code>: a boolean flag indicating the listener should be notified during the capture 
+     *          phase (rather than the bubble phase) of events fired to descendants</li>
+     *        </ul>
      */
-    QUIRK_UNLOADED_IMAGE_HAS_SIZE: null,
-
+    addListener: function(eventType, eventTarget, options) {
+        var priority = options && options.priority ? options.priority : 0,
+            index = this._data.length;
+        
+        if (index > 0 && this._getPriority(index - 3) < priority) {
+            // Find index of first listener with a lower priority.
+            for (index = 0; index < this._data.length; index += 3) {
+                if (this._getPriority(index) < priority) {
+                    break;
+                }
+            }
+        }
+        
+        this._data.splice(index, 0, eventType, eventTarget, options || null);
+    },
+    
     /**
-     * Flag indicating if xml-documents should be serialized before
-     * sending them through a xmlHttp request.
+     * Fires an event.
+     * 
+     * @param event the event to fire, a <code>Core.Event</code> or any object with a <code>type</code> property
+     * @param {Number} phase (optional) the propagation phase, one of the <code>Core.Event.PHASE_XXX</code> constants;
+     *        if specified as <code>PHASE_CAPTURE</code>, only capturing listeners will be notified, if specified as 
+     *        <code>PHASE_BUBBLE</code>, only non-capturing listeners will be notified, otherwise all listeners will be
+     *        notified
+     * @return true if all event listeners returned values that evaluate to true, 
+     *         or false if any event listeners returned values that evaluate to 
+     *         false
      * @type Boolean
      */
-    QUIRK_SERIALIZE_XML_BEFORE_XML_HTTP_REQ: null,
-
-    /**
-     * User-agent string, in lowercase.
-     */
-    _ua: null,
-
+    fireEvent: function(event, phase) {
+        return this._notify(event, phase, null);
+    },
+    
     /**
-     * The user agent string with all non-alpha character sequences replaced
-     * with single slashes and with leading/trailing slashes appended. This
-     * string can be searched for whole words using indexOf("/example/")
+     * Fires an event, returning a promise which will be settled once the results of all listeners are available.
+     * Listeners are notified synchronously (exactly as by <code>fireEvent()</code>), but may return promises (or other
+     * "thenable" objects) to perform asynchronous work.
+     * The returned promise will be fulfilled with an array of the listener results (with fulfillment values in place
+     * of promises) if all listeners succeed.  If any listener throws an exception or returns a promise which is rejected,
+     * the returned promise will be rejected (once all listeners have completed) with an <code>Error</code> whose
+     * <code>errors</code> property contains all exceptions/rejection reasons and whose <code>results</code> property
+     * contains the listener results.
+     * <p>
+     * If the client does not support promises, listeners will be notified synchronously and null will be returned
+     * (the first exception thrown by a listener, if any, will be rethrown once all listeners have been notified).
+     * 
+     * @param event the event to fire, a <code>Core.Event</code> or any object with a <code>type</code> property
+     * @param {Number} phase (optional) the propagation phase (see <code>fireEvent()</code>)
+     * @return a promise describing the aggregate result of the listeners, or null if promises are not supported
      */
-    _uaAlpha: null,
+    fireEventAsync: function(event, phase) {
+        var results = [];
+        this._notifyAsync(event, phase, results);
+        return Core.ListenerList._settle(results);
+    },
     
     /**
-     * Performs initial analysis of environment. Automatically invoked when
-     * Core.Web module is initialized.
+     * Returns the listeners to be notified of an event.
+     * 
+     * @param event the event
+     * @param {Number} phase the propagation phase (see <code>fireEvent()</code>)
+     * @return the listener entries, objects containing <code>listener</code> and <code>options</code> properties
+     * @type Array
      */
-    _init: function() {
-        var browserVersion = null, 
-            engineVersion = null, 
-            engineId = false;
-
-        this._ua = navigator.userAgent.toLowerCase();
-        this._uaAlpha = "/" + this._ua.replace(/[^a-z]+/g, "/") + "/";
-        
-        // Parse version string for known major browsers, in reverse order of which they are imitated,
-        // i.e., Chrome imitates Safari and Gecko, while Mozilla imitates nothing.
-        if (this._testUAString("opera")) {
-            this.BROWSER_OPERA = engineId = this.ENGINE_PRESTO = true;
-            browserVersion = this._parseVersionInfo("opera/");
-        } else if (this._testUAString("chrome")) {
-            this.BROWSER_CHROME = engineId = this.ENGINE_WEBKIT = true;
-            browserVersion = this._parseVersionInfo("chrome/");
-        } else if (this._testUAString("safari")) {
-            this.BROWSER_SAFARI = engineId = this.ENGINE_WEBKIT = true;
-            browserVersion = this._parseVersionInfo("version/");
-        } else if (this._testUAString("konqueror")) {
-            this.BROWSER_KONQUEROR = engineId = this.ENGINE_KHTML = true;
-            browserVersion = this._parseVersionInfo("konqueror/");
-        } else if (this._testUAString("firefox")) {
-            this.BROWSER_FIREFOX = this.BROWSER_MOZILLA = engineId = this.ENGINE_GECKO = true;
-            browserVersion = this._parseVersionInfo("firefox/");
-        } else if (this._testUAString("msie")) {
-            this.BROWSER_INTERNET_EXPLORER = engineId = this.ENGINE_MSHTML = true;
-            // Set engine version to browser version for MSIE/MSHTML.  Unfortunately "Trident" versioning
-            // is unpredictable, with the MSIE8 UA string reporting "Trident/4.0" but MSIE6 supposedly using "Trident IV"
-            // and MSIE7 supposedly using "Trident V".  We thus go by the suspected MSHTML DLL version, which is equivalent to
-            // the IE version.
-            engineVersion = browserVersion = this._parseVersionInfo("msie ");
+    _getEventListeners: function(event, phase) {
+        if (event.type == null) {
+            throw new Error("Cannot fire event, type property not set.");
         }
         
-        if (!engineId) {
-            // Browser/engine not yet identified, attempt to identify by engine.
-            if (this._testUAString("presto")) {
-                this.ENGINE_PRESTO = true;
-            } else if (this._testUAString("webkit")) {
-                this.ENGINE_WEBKIT = true;
-            } else if (this._testUAString("khtml")) {
-                this.ENGINE_KHTML = true;
-            } else if (this._testUAString("trident")) {
-                this.ENGINE_MSHTML = true;
-            } else if (this._testUAString("gecko")) {
-                this.BROWSER_MOZILLA = this.ENGINE_GECKO = true;
-            }
-        }
+        var listeners = [], capture;
         
-        if (!engineVersion) {
-            if (this.ENGINE_PRESTO) {
-                engineVersion = this._parseVersionInfo("presto/");
-            } else if (this.ENGINE_WEBKIT) {
-                engineVersion = this._parseVersionInfo("webkit/");
-            } else if (this.ENGINE_GECKO) {
-                engineVersion = this._parseVersionInfo("rv:");
-                if (!browserVersion) {
-                    browserVersion = engineVersion;
+        for (var i = 0; i < this._data.length; i += 3) {
+            if (this._data[i] == event.type) {
+                capture = !!(this._data[i + 2] && this._data[i + 2].capture);
+                if ((phase == Core.Event.PHASE_CAPTURE && !capture) || (phase == Core.Event.PHASE_BUBBLE && capture)) {
+                    continue;
                 }
+                listeners.push({ listener: this._data[i + 1], options: this._data[i + 2] });
             }
         }
         
-        if (browserVersion) {
-            this.BROWSER_VERSION_MAJOR = browserVersion.major;
-            this.BROWSER_VERSION_MINOR = browserVersion.minor;
+        return listeners;
+    },
+    
+    /**
+     * Prepares to notify a listener of an event.  A "once" listener is removed from the list immediately prior to 
+     * being notified, such that it will not be re-notified should the event be re-fired by a listener.
+     * 
+     * @param event the event
+     * @param entry the listener entry, as returned by <code>_getEventListeners()</code>
+     * @return true if the listener should be notified, false if it is a "once" listener which is no longer registered 
+     *         (e.g., it has been notified by a re-fired event, or removed by another listener)
+     * @type Boolean
+     */
+    _prepareNotify: function(event, entry) {
+        if (!(entry.options && entry.options.once)) {
+            return true;
         }
-        if (engineVersion) {
-            this.ENGINE_VERSION_MAJOR = engineVersion.major;
-            this.ENGINE_VERSION_MINOR = engineVersion.minor;
+        for (var i = 0; i < this._data.length; i += 3) {
+            if (this._data[i] == event.type && this._data[i + 1] == entry.listener && this._data[i + 2] == entry.options) {
+                this._data.splice(i, 3);
+                return true;
+            }
         }
-        
-        // Note deceptive user agent fields:
-        // - Konqueror and Safari UA fields contain "like Gecko"
-        // - Opera UA field typically contains "MSIE"
-        // If this flag is set, browser is not GECKO/MSHTML
-        this.DECEPTIVE_USER_AGENT = this.BROWSER_OPERA || this.BROWSER_SAFARI || this.BROWSER_CHROME || this.BROWSER_KONQUEROR;
-        
-        this.MEASURE_OFFSET_EXCLUDES_BORDER = false;
-                
-        // Set IE Quirk Flags
-        if (this.BROWSER_INTERNET_EXPLORER) {
-            // Internet Explorer Flags (all versions).
-            this.CSS_FLOAT = "styleFloat";
-            this.QUIRK_KEY_CODE_IS_CHAR_CODE = true;
-            this.QUIRK_IE_SECURE_ITEMS = true;
-            this.NOT_SUPPORTED_RANGE = true;
-            this.NOT_SUPPORTED_INPUT_SELECTION = true;
-            this.PROPRIETARY_IE_RANGE = true;
-            this.PROPRIETARY_EVENT_MOUSE_ENTER_LEAVE_SUPPORTED = true;
-            this.PROPRIETARY_EVENT_SELECT_START_SUPPORTED = true;
-            this.QUIRK_DELAYED_FOCUS_REQUIRED = true;
-            this.QUIRK_UNLOADED_IMAGE_HAS_SIZE = true;
-            this.MEASURE_OFFSET_EXCLUDES_BORDER = true;
-            this.QUIRK_IE_HAS_LAYOUT = true;
-            this.NOT_SUPPORTED_CSS_OPACITY = true;
-            this.PROPRIETARY_IE_OPACITY_FILTER_REQUIRED = true;
-            
-            if (this.BROWSER_VERSION_MAJOR < 9) {
-                this.QUIRK_IE_BLANK_SCREEN = true;
+        return false;
+    },
+    
+    /**
+     * Returns the priority of the listener stored at the specified index of the data array.
+     * 
+     * @param {Number} index the index of the event type of the listener in the data array
+     * @return the priority
+     * @type Number
+     */
+    _getPriority: function(index) {
+        var options = this._data[index + 2];
+        return options && options.priority ? options.priority : 0;
+    },
+    
+    /**
+     * Returns an array containing the types of all listeners
+     * in the list.
+     * 
+     * @return the event types
+     * @type Array
+     */
+    getListenerTypes: function() {
+        var types = [];
+        for (var i = 0; i < this._data.length; i += 3) {
+            types.push(this._data[i]);
+        }
+        Core.Arrays.removeDuplicates(types);
+        return types;
+    },
+    
+    /**
+     * Returns an array of all listeners for a specific event type.
+     * 
+     * @param {String} eventType the event type
+     * @return the listeners
+     * @type Array
+     */
+    getListeners: function(eventType) {
+        var listeners = [];
+        for (var i = 0; i < this._data.length; i += 3) {
+            if (this._data[i] == eventType) {
+                listeners.push(this._data[i + 1]);
             }
-            if (this.BROWSER_VERSION_MAJOR < 8) {
-                // Internet Explorer 6 and 7 Flags.
-                this.QUIRK_TABLE_CELL_WIDTH_EXCLUDES_PADDING = true;
-                this.NOT_SUPPORTED_RELATIVE_COLUMN_WIDTHS = true;
-                this.QUIRK_CSS_BORDER_COLLAPSE_INSIDE = true;
-                this.QUIRK_IE_TABLE_PERCENT_WIDTH_SCROLLBAR_ERROR = true;
-                this.QUIRK_IE_SELECT_PERCENT_WIDTH = true;
-                
-                if (this.BROWSER_VERSION_MAJOR < 7) {
-                    // Internet Explorer 6 Flags.
-                    this.QUIRK_IE_SELECT_LIST_DOM_UPDATE = true;
-                    this.QUIRK_CSS_POSITIONING_ONE_SIDE_ONLY = true;
+        }
+        return listeners;
+    },
+    
+    /**
+     * Determines the number of listeners for a specific event type.
+     * 
+     * @param {String} eventType the event type
+     * @return the listener count
+     * @type Number
+     */
+    getListenerCount: function(eventType) {
+        var count = 0;
+        for (var i = 0; i < this._data.length; i += 3) {
+            if (this._data[i] == eventType) {
+                ++count;
+            }
+        }
+        return count;
+    },
+    
+    /**
+     * Determines if the listeners list has any listeners of a specific type.
+     * 
+     * @param {String} eventType the event type
+     * @return true if any listeners exist
+     * @type Boolean
+     */
+    hasListeners: function(eventType) {
+        for (var i = 0; i < this._data.length; i += 3) {
+            if (this._data[i] == eventType) {
+                return true;
+            }
+        }
+        return false;
+    },
+    
+    /**
+     * Determines if any number of listeners are registered to the list.
+     * 
+     * @return true if the listener list is empty
+     * @type Boolean
+     */
+    isEmpty: function() {
+        return this._data.length === 0;
+    },
+    
+    /**
+     * Notifies listeners of an event.  Exceptions thrown by listeners are propagated.
+     * 
+     * @param event the event
+     * @param {Number} phase the propagation phase (see <code>fireEvent()</code>)
+     * @param {Array} pending (optional) the array to which results should be appended for listeners which return 
+     *        promises (or other "thenable" objects), in the format used by <code>_notifyAsync()</code>
+     * @return true if all event listeners returned values that evaluate to true, 
+     *         or false if any event listeners returned values that evaluate to 
+     *         false
+     * @type Boolean
+     */
+    _notify: function(event, phase, pending) {
+        var returnValue = true, 
+            entries = this._getEventListeners(event, phase),
+            value;
+        
+        for (var i = 0; i < entries.length; ++i) {
+            if (event.immediatePropagationStopped) {
+                break;
+            }
+            if (!this._prepareNotify(event, entries[i])) {
+                continue;
+            }
+            value = entries[i].listener(event);
+            if (pending && value && typeof value.then == "function") {
+                pending.push({ value: value });
+            }
+            returnValue = value && returnValue; 
+        }
+        return returnValue;
+    },
+    
+    /**
+     * Notifies listeners of an event, storing the result of each listener.
+     * Exceptions thrown by listeners are stored rather than propagated.
+     * 
+     * @param event the event
+     * @param {Number} phase the propagation phase (see <code>fireEvent()</code>)
+     * @param {Array} results the array to which results should be appended, each result is an object containing either
+     *        a <code>value</code> property (the listener return value) or a <code>failed</code> flag and an 
+     *        <code>ex</code> property (the thrown exception)
+     */
+    _notifyAsync: function(event, phase, results) {
+        var entries = this._getEventListeners(event, phase);
+        for (var i = 0; i < entries.length; ++i) {
+            if (event.immediatePropagationStopped) {
+                break;
+            }
+            if (!this._prepareNotify(event, entries[i])) {
+                continue;
+            }
+            try {
+                results.push({ value: entries[i].listener(event) });
+            } catch (ex) {
+                results.push({ failed: true, ex: ex });
+            }
+        }
+    },
+    
+    /**
+     * Removes an event listener.
+     * 
+     * CAUTION: If you are unregistering an event listener created with Core.method(), please see the documentation for
+     * Core.method() and note that a new closure-wrapped method is returned each time Core.method() is invoked.
+     * Thus calling removeListener(Core.method(this, this,_someListener)) will NOT remove an existing listener.
+     * The solution to this issue is to retain a reference to Core.method() wrapped listeners within the object
+     * that will register and unregister them.
+     * 
+     * 
+     * @param {String} eventType the event type
+     * @param {Function} eventTarget the event target
+     */
+    removeListener: function(eventType, eventTarget) {
+        for (var i = 0; i < this._data.length; i += 3) {
+            if (this._data[i] == eventType && eventTarget == this._data[i + 1]) {
+                this._data.splice(i, 3);
+                return;
+            }
+        }
+    },
+    
+    /** @see Object#toString */
+    toString: function() {
+        var out = "";
+        for (var i = 0; i < this._data.length; i += 3) {
+            if (i > 0) {
+                out += ", ";
+            }
+            out += this._data[i] + ":" + this._data[i + 1];
+        }
+        return out;
+    }
+});
+
+/**
+ * Provides locale-specific resources for multiple localizations.
+ * A default resource map and locale-specific resource maps may be added to a resource bundle.
+ * The resource bundle may then be queried to return a complete resource map for a specific locale.
+ * When a locale-specific map is requested, any entries not available specifically in that map will be provided
+ * by more generic resource maps that have been added to the bundle.
+ * <p>
+ * String resources may be formatted as messages (see <code>formatMessage()</code>), which supports the following
+ * (ICU-style) syntax:
+ * <ul>
+ *  <li><code>{name}</code>: inserts the value of the named argument (a path, e.g., <code>{user.name}</code>, may be
+ *   specified, see <code>Core.get()</code>).</li>
+ *  <li><code>{name, number}</code>, <code>{name, date}</code>: inserts the value of the named argument, formatted by the
+ *   "number" or "date" formatter (see <code>formatters</code>).  An optional style may be specified as a third
+ *   element, e.g., <code>{name, date, short}</code>, which will be provided to the formatter.</li>
+ *  <li><code>{name, plural, =0 {no items} one {# item} other {# items}}</code>: selects a sub-message based on an
+ *   exact numeric match or the plural category of the value in the language (see <code>pluralRules</code>).
+ *   The <code>#</code> character within a sub-message is replaced with the formatted number.</li>
+ *  <li><code>{name, select, male {He} female {She} other {They}}</code>: selects a sub-message based on the 
+ *   value of the argument, using the "other" sub-message if no match is found.</li>
+ *  <li>An apostrophe quotes literal text containing special characters, e.g., <code>'{'</code>, two consecutive 
+ *   apostrophes insert a single apostrophe.</li>
+ * </ul>
+ */
+Core.ResourceBundle = Core.extend({
+
+    $static: {
+    
+        /**
+         * Value formatting hooks, used to format arguments whose format type is specified in a message pattern, 
+         * e.g., <code>{total, number}</code>.  Each formatter is a function which will be invoked with the value,
+         * the style (or null if none was specified), and the language code (or null), and must return a string.
+         * Formatters for additional types may be added.
+         */
+        formatters: {
+        
+            /**
+             * Default number formatter.  Uses the <code>Intl</code> API where supported by the client.
+             * The "integer" and "percent" styles are supported.
+             */
+            number: function(value, style, languageCode) {
+                if (typeof Intl != "undefined" && Intl.NumberFormat) {
+                    var options = style == "percent" ? { style: "percent" } : 
+                            (style == "integer" ? { maximumFractionDigits: 0 } : {});
+                    return new Intl.NumberFormat(languageCode || undefined, options).format(value);
+                }
+                switch (style) {
+                case "integer": return String(Math.round(value));
+                case "percent": return Math.round(value * 100) + "%";
+                default:        return String(value);
+                }
+            },
+            
+            /**
+             * Default date formatter.  Uses the <code>Intl</code> API where supported by the client.
+             * The "short", "medium", "long", and "full" styles are supported.
+             */
+            date: function(value, style, languageCode) {
+                if (!(value instanceof Date)) {
+                    value = new Date(value);
+                }
+                if (typeof Intl != "undefined" && Intl.DateTimeFormat) {
+                    return new Intl.DateTimeFormat(languageCode || undefined, style ? { dateStyle: style } : {})
+                            .format(value);
+                }
+                return value.toLocaleDateString();
+            }
+        },
+        
+        /**
+         * Plural rules, mapping RFC 1766 language codes to functions which return the plural category 
+         * ("zero", "one", "two", "few", "many", or "other") of a number.  Rules for additional languages may be added.
+         * Rules are determined from the specific language code, then from its parent language code, then (where
+         * supported by the client) from the <code>Intl.PluralRules</code> API, falling back to the English rule.
+         */
+        pluralRules: {
+        
+            /** Plural rule for English (and many other languages): "one" for 1, otherwise "other". */
+            en: function(n) {
+                return n == 1 ? "one" : "other";
+            },
+            
+            /** Plural rule for French: "one" for 0 through 1, otherwise "other". */
+            fr: function(n) {
+                return n >= 0 && n < 2 ? "one" : "other";
+            },
+            
+            /** Plural rule for Russian/Ukrainian. */
+            ru: function(n) {
+                var mod10 = n % 10, mod100 = n % 100;
+                if (n != Math.floor(n)) {
+                    return "other";
+                } else if (mod10 == 1 && mod100 != 11) {
+                    return "one";
+                } else if (mod10 >= 2 && mod10 <= 4 && (mod100 < 12 || mod100 > 14)) {
+                    return "few";
+                } else {
+                    return "many";
+                }
+            },
+            
+            /** Plural rule for Polish. */
+            pl: function(n) {
+                var mod10 = n % 10, mod100 = n % 100;
+                if (n != Math.floor(n)) {
+                    return "other";
+                } else if (n == 1) {
+                    return "one";
+                } else if (mod10 >= 2 && mod10 <= 4 && (mod100 < 12 || mod100 > 14)) {
+                    return "few";
+                } else {
+                    return "many";
+                }
+            },
+            
+            /** Plural rule for Czech/Slovak. */
+            cs: function(n) {
+                if (n != Math.floor(n)) {
+                    return "many";
+                } else if (n == 1) {
+                    return "one";
+                } else if (n >= 2 && n <= 4) {
+                    return "few";
+                } else {
+                    return "other";
+                }
+            },
+            
+            /** Plural rule for languages without plural forms, e.g., Japanese, Chinese, Korean. */
+            ja: function(n) {
+                return "other";
+            }
+        },
+        
+        /**
+         * Creates a resource map loader (see <code>setLoader()</code>) which retrieves maps in JSON format using
+         * <code>Core.Web.HttpConnection</code>.  Requires the Web Core module.
+         * 
+         * @param {String} urlTemplate the URL from which maps should be retrieved, with the text "{locale}" indicating
+         *        where the language code should be inserted, e.g., "resources/Messages.{locale}.json"
+         * @return the loader
+         * @type Function
+         */
+        createHttpLoader: function(urlTemplate) {
+            return function(languageCode, callback) {
+                var conn = new Core.Web.HttpConnection(urlTemplate.replace("{locale}", languageCode), "GET");
+                conn.addResponseListener(function(e) {
+                    var map = null;
+                    if (e.valid && conn.getStatus() != 404) {
+                        try {
+                            var text = conn.getResponseText();
+                            map = typeof JSON != "undefined" ? JSON.parse(text) : eval("(" + text + ")");
+                        } catch (ex) {
+                            // Invalid response content, treat as unavailable.
+                            map = null;
+                        }
+                    }
+                    callback(map);
+                });
+                conn.connect();
+            };
+        },
+        
+        /**
+         * Creates a resource map loader (see <code>setLoader()</code>) which installs a JavaScript library using
+         * <code>Core.Web.Library</code>.  The library is responsible for adding its map to the bundle by invoking
+         * <code>set()</code>.  Requires the Web Core module.
+         * 
+         * @param {String} urlTemplate the URL of the library, with the text "{locale}" indicating where the
+         *        language code should be inserted, e.g., "resources/Messages.{locale}.js"
+         * @return the loader
+         * @type Function
+         */
+        createLibraryLoader: function(urlTemplate) {
+            return function(languageCode, callback) {
+                Core.Web.Library.exec([urlTemplate.replace("{locale}", languageCode)], function() {
+                    // Library adds its own map (if successfully installed).
+                    callback(null);
+                });
+            };
+        },
+        
+        /**
+         * Finds the index of the closing brace matching the opening brace at the specified index of a message pattern.
+         * Quoted text is skipped.
+         * 
+         * @param {String} pattern the message pattern
+         * @param {Number} start the index of the opening brace
+         * @return the index of the closing brace
+         * @type Number
+         */
+        _findClosingBrace: function(pattern, start) {
+            var depth = 0, c;
+            for (var i = start; i < pattern.length; ++i) {
+                c = pattern.charAt(i);
+                if (c == "'") {
+                    if (pattern.charAt(i + 1) == "'") {
+                        ++i;
+                    } else if ("{}#".indexOf(pattern.charAt(i + 1)) != -1 && pattern.charAt(i + 1) !== "") {
+                        i = pattern.indexOf("'", i + 1);
+                        if (i == -1) {
+                            break;
+                        }
+                    }
+                } else if (c == "{") {
+                    ++depth;
+                } else if (c == "}") {
+                    --depth;
+                    if (depth === 0) {
+                        return i;
+                    }
+                }
+            }
+            throw new Error("Invalid message pattern, unmatched brace: " + pattern);
+        },
+        
+        /**
+         * Formats a single argument of a message pattern, i.e., the content between a pair of top-level braces.
+         * 
+         * @param {String} argument the argument specification, e.g., "count, plural, one {# item} other {# items}"
+         * @param args the message arguments
+         * @param {String} languageCode the language code (may be null)
+         * @return the formatted argument
+         * @type String
+         */
+        _formatArgument: function(argument, args, languageCode) {
+            var typeIndex = argument.indexOf(","),
+                name = Core.ResourceBundle._trim(typeIndex == -1 ? argument : argument.substring(0, typeIndex)),
+                value = args ? Core._getValue(args, name) : null;
+            
+            if (typeIndex == -1) {
+                return value == null ? "{" + name + "}" : String(value);
+            }
+            
+            var styleIndex = argument.indexOf(",", typeIndex + 1),
+                type = Core.ResourceBundle._trim(styleIndex == -1 ? argument.substring(typeIndex + 1) : 
+                        argument.substring(typeIndex + 1, styleIndex)),
+                style = styleIndex == -1 ? null : Core.ResourceBundle._trim(argument.substring(styleIndex + 1)),
+                options;
+            
+            switch (type) {
+            case "plural":
+                options = Core.ResourceBundle._parseOptions(style);
+                value = Number(value);
+                var message = options["=" + value];
+                if (message == null) {
+                    message = options[Core.ResourceBundle.getPluralCategory(languageCode, value)];
+                    if (message == null) {
+                        message = options.other;
+                    }
+                }
+                return message == null ? "" : Core.ResourceBundle._formatPattern(message, args, languageCode, value);
+            case "select":
+                options = Core.ResourceBundle._parseOptions(style);
+                var selection = options.hasOwnProperty(String(value)) ? options[String(value)] : options.other;
+                return selection == null ? "" : Core.ResourceBundle._formatPattern(selection, args, languageCode, null);
+            default:
+                var formatter = Core.ResourceBundle.formatters[type];
+                if (!formatter) {
+                    throw new Error("Invalid message pattern, unknown format type \"" + type + "\".");
+                }
+                return value == null ? "{" + name + "}" : formatter(value, style, languageCode);
+            }
+        },
+        
+        /**
+         * Formats a message pattern.
+         * 
+         * @param {String} pattern the message pattern
+         * @param args the message arguments
+         * @param {String} languageCode the language code (may be null)
+         * @param {Number} pluralValue the value of the enclosing plural argument, with which <code>#</code> characters
+         *        will be replaced (null if the pattern is not a plural sub-message)
+         * @return the formatted message
+         * @type String
+         */
+        _formatPattern: function(pattern, args, languageCode, pluralValue) {
+            var out = "", c, end;
+            for (var i = 0; i < pattern.length; ++i) {
+                c = pattern.charAt(i);
+                switch (c) {
+                case "'":
+                    if (pattern.charAt(i + 1) == "'") {
+                        out += "'";
+                        ++i;
+                    } else if (pattern.charAt(i + 1) !== "" && "{}#".indexOf(pattern.charAt(i + 1)) != -1) {
+                        end = pattern.indexOf("'", i + 1);
+                        if (end == -1) {
+                            end = pattern.length;
+                        }
+                        out += pattern.substring(i + 1, end);
+                        i = end;
+                    } else {
+                        out += c;
+                    }
+                    break;
+                case "{":
+                    end = Core.ResourceBundle._findClosingBrace(pattern, i);
+                    out += Core.ResourceBundle._formatArgument(pattern.substring(i + 1, end), args, languageCode);
+                    i = end;
+                    break;
+                case "}":
+                    throw new Error("Invalid message pattern, unmatched brace: " + pattern);
+                case "#":
+                    out += pluralValue == null ? c : Core.ResourceBundle.formatters.number(pluralValue, null, languageCode);
+                    break;
+                default:
+                    out += c;
+                }
+            }
+            return out;
+        },
+        
+        /**
+         * Formats a message pattern with the specified arguments.
+         * See the class description for the supported syntax.
+         * 
+         * @param {String} pattern the message pattern, e.g., "{count, plural, one {# file} other {# files}} deleted."
+         * @param args an object containing the named arguments of the message
+         * @param {String} languageCode the RFC 1766 language code used to determine plural rules and to format
+         *        values (optional)
+         * @return the formatted message
+         * @type String
+         */
+        formatMessage: function(pattern, args, languageCode) {
+            return Core.ResourceBundle._formatPattern(pattern, args, languageCode || null, null);
+        },
+        
+        /**
+         * Returns the preferred languages of the user, as reported by the browser, in order of preference.
+         * 
+         * @return the RFC 1766 language codes (an empty array if the preferred languages cannot be determined)
+         * @type Array
+         */
+        getPreferredLanguages: function() {
+            if (typeof navigator == "undefined") {
+                return [];
+            }
+            if (navigator.languages && navigator.languages.length) {
+                return Array.prototype.slice.call(navigator.languages);
+            }
+            var language = navigator.language || navigator.userLanguage;
+            return language ? [language] : [];
+        },
+        
+        /**
+         * Determines the plural category of a number in a language.
+         * 
+         * @param {String} languageCode an RFC 1766 language code (may be null, in which case English rules are used)
+         * @param {Number} n the number
+         * @return the plural category, one of "zero", "one", "two", "few", "many", or "other"
+         * @type String
+         */
+        getPluralCategory: function(languageCode, n) {
+            var rules = Core.ResourceBundle.pluralRules;
+            if (languageCode) {
+                if (rules.hasOwnProperty(languageCode)) {
+                    return rules[languageCode](n);
+                }
+                var parentLanguageCode = Core.ResourceBundle.getParentLanguageCode(languageCode);
+                if (parentLanguageCode && rules.hasOwnProperty(parentLanguageCode)) {
+                    return rules[parentLanguageCode](n);
+                }
+                if (typeof Intl != "undefined" && Intl.PluralRules) {
+                    try {
+                        return new Intl.PluralRules(languageCode).select(n);
+                    } catch (ex) {
+                        // Language code not supported by client, use default rule.
+                    }
+                }
+            }
+            return rules.en(n);
+        },
+    
+        /**
+         * Generates a less specific version of the specified language code.
+         * Returns null if no "parent" language code can be determined.
+         * This operation is implemented  by removing the sub-tag (if found)
+         * from the specified RFC 1766 language code.  If the language
+         * code does not have a sub-tag, null is returned.
+         *
+         * @param {String} languageCode an RFC 1766 language code
+         * @return a less specific version of the specified language code,
+         *         or null if none can be determined
+         * @type String 
+         */
+        getParentLanguageCode: function(languageCode) {
+            if (languageCode.indexOf("-") == -1) {
+                return null;
+            } else {
+                return languageCode.substring(0, languageCode.indexOf("-"));
+            }
+        },
+        
+        /**
+         * Parses the options of a plural or select argument into an object mapping selectors to sub-messages.
+         * 
+         * @param {String} style the options, e.g., "one {# item} other {# items}"
+         * @return the mapping between selectors and sub-messages
+         */
+        _parseOptions: function(style) {
+            var options = {}, i = 0, selectorStart, end;
+            if (!style) {
+                throw new Error("Invalid message pattern, options not specified.");
+            }
+            while (true) {
+                // Skip whitespace.
+                while (i < style.length && " \t\r\n".indexOf(style.charAt(i)) != -1) {
+                    ++i;
+                }
+                if (i >= style.length) {
+                    break;
+                }
+                
+                // Read selector.
+                selectorStart = i;
+                while (i < style.length && style.charAt(i) != "{" && " \t\r\n".indexOf(style.charAt(i)) == -1) {
+                    ++i;
+                }
+                var selector = style.substring(selectorStart, i);
+                while (i < style.length && " \t\r\n".indexOf(style.charAt(i)) != -1) {
+                    ++i;
+                }
+                if (style.charAt(i) != "{") {
+                    throw new Error("Invalid message pattern, no sub-message specified for \"" + selector + "\".");
+                }
+                
+                // Read sub-message.
+                end = Core.ResourceBundle._findClosingBrace(style, i);
+                options[selector] = style.substring(i + 1, end);
+                i = end + 1;
+            }
+            return options;
+        },
+        
+        /**
+         * Removes leading and trailing whitespace from a string.
+         * 
+         * @param {String} text the string
+         * @return the trimmed string
+         * @type String
+         */
+        _trim: function(text) {
+            return text.replace(/^\s+|\s+$/g, "");
+        }
+    },
+    
+    $load: function() {
+        var rules = this.pluralRules;
+        rules.de = rules.es = rules.it = rules.nl = rules.pt = rules.sv = rules.da = rules.no = rules.fi = rules.en;
+        rules.uk = rules.be = rules.ru;
+        rules.sk = rules.cs;
+        rules.zh = rules.ko = rules.th = rules.vi = rules.id = rules.ja;
+    },
+
+    /**
+     * Association between RFC 1766 language codes and resource maps.
+     * These are the maps which have been added using the <code>set()</code> method.
+     * The contents of these maps may not be modified.
+     */
+    _sourceMaps: null,
+    
+    /**
+     * Cache of generated resource maps which fill omissions in more-specific resource maps
+     * with those from less-specific resource maps.  A generated map is returned
+     * when the user requests a locale-specific map.
+     */
+    _generatedMaps: null,
+    
+    /**
+     * The default resource map that should be used in the event that a
+     * locale-specific map is not available for a particular language code.
+     */
+    _defaultMap: null,
+    
+    /**
+     * The resource map loader, used to load locale-specific maps on demand.
+     * @type Function
+     */
+    _loader: null,
+    
+    /**
+     * Array of language codes for which maps are available from the loader, or null if unknown.
+     * @type Array
+     */
+    _availableLanguages: null,
+    
+    /**
+     * Mapping between language codes and the arrays of callbacks awaiting the completion of loading their maps.
+     * A language code will be present in this mapping once loading of its map has begun.  Its value will be 
+     * set to null once loading is complete.
+     */
+    _loadCallbacks: null,
+    
+    /**
+     * The language code negotiated from the user's preferred languages the last time maps were loaded without 
+     * specifying a language code (see <code>load()</code>).  Used to resolve requests for the null language code.
+     * @type String
+     */
+    _negotiatedLanguageCode: null,
+    
+    /**
+     * Listener list, lazily created.
+     * @type Core.ListenerList
+     */
+    _listenerList: null,
+
+    /**
+     * Creates a new <code>ResourceBundle</code>.
+     * 
+     * @param defaultMap the default resource map
+     */
+    $construct: function(defaultMap) {
+        this._sourceMaps = {};
+        this._generatedMaps = {};
+        this._loadCallbacks = {};
+        this._defaultMap = defaultMap;
+    },
+    
+    /**
+     * Adds a listener to be notified when locale-specific maps have been loaded.
+     * Listeners will be provided an event with type "load" containing <code>languageCode</code> and 
+     * <code>success</code> properties.
+     * 
+     * @param {Function} l the listener to add
+     */
+    addLoadListener: function(l) {
+        if (!this._listenerList) {
+            this._listenerList = new Core.ListenerList();
+        }
+        this._listenerList.addListener("load", l);
+    },
+    
+    /**
+     * Returns a locale-specific resource formatted as a message (see <code>formatMessage()</code>).
+     * 
+     * @param {String} languageCode an RFC 1766 language code, or null to use the negotiated language (see 
+     *        <code>get()</code>)
+     * @param {String} key the resource key
+     * @param args an object containing the named arguments of the message
+     * @return the formatted message, or null if no resource exists for the key
+     * @type String
+     */
+    format: function(languageCode, key, args) {
+        languageCode = languageCode || this._negotiatedLanguageCode;
+        var pattern = this.get(languageCode)[key];
+        return pattern == null ? null : Core.ResourceBundle.formatMessage(pattern, args, languageCode);
+    },
+    
+    /**
+     * Returns a locale-specific resource map.  The returned map will contain entries from less-specific and/or the default map
+     * if they are not available from the map for the specified language code. 
+     * 
+     * @param {String} languageCode an RFC 1766 language code, or null to return the map of the language negotiated 
+     *        from the user's preferred languages when maps were last loaded without specifying a language code (the 
+     *        default map will be returned if no language has been negotiated)
+     * @return a locale-specific map for the language code
+     */
+    get: function(languageCode) {
+        languageCode = languageCode || this._negotiatedLanguageCode;
+        var map = languageCode ? this._generatedMaps[languageCode] : this._defaultMap;
+        if (map) {
+            return map;
+        }
+    
+        map = {};
+        var x;
+
+        // Copy items from exact language resource map into generated resource map.
+        var sourceMap = this._sourceMaps[languageCode];
+        if (sourceMap) {
+            for (x in sourceMap) {
+                map[x] = sourceMap[x];
+            }
+        }
+
+        // Copy any missing items found in parent language resource map (if it exists) into new resource map.
+        var parentLanguageCode = Core.ResourceBundle.getParentLanguageCode(languageCode);
+        if (parentLanguageCode) {
+            sourceMap = this._sourceMaps[parentLanguageCode];
+            if (sourceMap) {
+                for (x in sourceMap) {
+                    if (map[x] === undefined) {
+                        map[x] = sourceMap[x];
+                    }
+                }
+            }
+        }
+
+        // Copy any missing items found in default resource map into new resource map.
+        for (x in this._defaultMap) {
+            if (map[x] === undefined) {
+                map[x] = this._defaultMap[x];
+            }
+        }
+        
+        this._generatedMaps[languageCode] = map;
+        return map;
+    },
+
+    /**
+     * Loads the maps for a language code (and its parent language code) using the loader.
+     * Maps which have already been loaded (or whose loading has failed) will not be reloaded, and maps for languages
+     * which are known to be unavailable will not be requested.
+     * "load" listeners will be notified once loading is complete.
+     * 
+     * @param {String} languageCode the language code, or null to load the maps of the language negotiated from the
+     *        user's preferred languages
+     * @param {Function} callback an optional function to invoke once loading is complete, which will be provided 
+     *        the "load" event (this callback may be invoked synchronously if no loading is required)
+     */
+    load: function(languageCode, callback) {
+        if (!languageCode) {
+            languageCode = this._negotiatedLanguageCode = this.negotiate();
+        }
+        
+        var languageCodes = [],
+            parentLanguageCode = languageCode ? Core.ResourceBundle.getParentLanguageCode(languageCode) : null,
+            pending, success = true, i;
+        if (languageCode) {
+            languageCodes.push(languageCode);
+        }
+        if (parentLanguageCode) {
+            languageCodes.push(parentLanguageCode);
+        }
+        pending = languageCodes.length + 1;
+        
+        var complete = Core.method(this, function(loadedSuccess) {
+            success = success && loadedSuccess;
+            if (--pending > 0) {
+                return;
+            }
+            var e = { type: "load", source: this, languageCode: languageCode, success: success };
+            if (this._listenerList) {
+                this._listenerList.fireEvent(e);
+            }
+            if (callback) {
+                callback(e);
+            }
+        });
+        
+        for (i = 0; i < languageCodes.length; ++i) {
+            this._loadMap(languageCodes[i], complete);
+        }
+        complete(true);
+    },
+    
+    /**
+     * Loads the map for a single language code using the loader.
+     * 
+     * @param {String} languageCode the language code
+     * @param {Function} callback function to invoke once loading is complete, which will be provided a flag indicating
+     *        whether the map was loaded successfully (this will be true for maps which were already loaded or are not
+     *        available from the loader)
+     */
+    _loadMap: function(languageCode, callback) {
+        if (!this._loader || this._sourceMaps[languageCode] || 
+                (this._availableLanguages && Core.Arrays.indexOf(this._availableLanguages, languageCode) == -1)) {
+            // No loading required.
+            callback(true);
+            return;
+        }
+        
+        if (this._loadCallbacks[languageCode] === null) {
+            // Loading previously attempted and failed.
+            callback(true);
+            return;
+        } else if (this._loadCallbacks[languageCode]) {
+            // Loading in progress.
+            this._loadCallbacks[languageCode].push(callback);
+            return;
+        }
+        
+        this._loadCallbacks[languageCode] = [callback];
+        try {
+            this._loader.call(this, languageCode, Core.method(this, function(map) {
+                if (map) {
+                    this.set(languageCode, map);
+                }
+                var callbacks = this._loadCallbacks[languageCode],
+                    loaded = !!this._sourceMaps[languageCode];
+                this._loadCallbacks[languageCode] = null;
+                for (var i = 0; i < callbacks.length; ++i) {
+                    // Failure is only reported for languages which are known to be available.
+                    callbacks[i](loaded || !this._availableLanguages);
+                }
+            }));
+        } catch (ex) {
+            // Mark loading as failed, such that subsequent requests for the language do not wait indefinitely.
+            this._loadCallbacks[languageCode] = null;
+            throw ex;
+        }
+    },
+    
+    /**
+     * Negotiates the language to use from a list of preferred languages, considering the languages available from the
+     * loader.  For each preferred language (in order), the language itself or its parent language will be selected
+     * if available.  If the available languages are not known, the first preferred language will be returned.
+     * 
+     * @param {Array} preferredLanguages the preferred RFC 1766 language codes, in order of preference (optional, 
+     *        the preferred languages reported by the browser will be used by default)
+     * @return the negotiated language code, or null if no preferred language is available (indicating that the default 
+     *         map should be used)
+     * @type String
+     */
+    negotiate: function(preferredLanguages) {
+        preferredLanguages = preferredLanguages || Core.ResourceBundle.getPreferredLanguages();
+        if (!this._availableLanguages) {
+            return preferredLanguages.length > 0 ? preferredLanguages[0] : null;
+        }
+        
+        var available = {}, languageCode, parentLanguageCode, i;
+        for (i = 0; i < this._availableLanguages.length; ++i) {
+            available[this._availableLanguages[i].toLowerCase()] = this._availableLanguages[i];
+        }
+        for (i = 0; i < preferredLanguages.length; ++i) {
+            languageCode = preferredLanguages[i].toLowerCase();
+            if (available[languageCode]) {
+                return available[languageCode];
+            }
+            parentLanguageCode = Core.ResourceBundle.getParentLanguageCode(languageCode);
+            if (parentLanguageCode && available[parentLanguageCode]) {
+                return available[parentLanguageCode];
+            }
+        }
+        return null;
+    },
+    
+    /**
+     * Removes a listener from being notified when locale-specific maps have been loaded.
+     * 
+     * @param {Function} l the listener to remove
+     */
+    removeLoadListener: function(l) {
+        if (!this._listenerList) {
+            return;
+        }
+        this._listenerList.removeListener("load", l);
+    },
+    
+    /**
+     * Adds a new locale-specific map to the bundle.
+     * 
+     *  @param languageCode the language code
+     *  @param map the key-value resource map for the language code
+     */
+    set: function(languageCode, map) {
+        this._generatedMaps = {};
+        this._sourceMaps[languageCode] = map;
+    },
+    
+    /**
+     * Sets the loader used to load locale-specific maps on demand (see <code>load()</code>).
+     * A loader is a function which is invoked with the language code and a callback function (with the this pointer set
+     * to the bundle).  The loader must invoke the callback once loading is complete, providing the loaded map, or
+     * null if no map is available (a loader may alternatively add the map itself by invoking <code>set()</code>). 
+     * Loaders for HTTP resources and JavaScript libraries may be created with <code>createHttpLoader()</code> and
+     * <code>createLibraryLoader()</code>.
+     * 
+     * @param {Function} loader the loader
+     * @param {Array} availableLanguages the language codes for which maps are available from the loader (optional, 
+     *        if omitted, the loader will be invoked for any requested language code)
+     */
+    setLoader: function(loader, availableLanguages) {
+        this._loader = loader;
+        this._availableLanguages = availableLanguages || null;
+    },
+    
+    /** @see Object#toString */
+    toString: function() {
+        var out = "ResourceBundle: ";
+        for (var x in this._sourceMaps) {
+            out += " " + x;
+        }
+        return out;
+    }
+});
+/**
+ * @fileoverview
+ * Provides low-level web-client-related APIs.  Features include:
+ * <ul>
+ *  <li>Provides cross-platform API for accessing web client features that have
+ *   inconsistent implementations on various browser platforms.</li>
+ *  <li>Provides HTTP Connection object (wrapper for XMLHttpRequest).</li>
+ *  <li>Provides HTML DOM manipulation capabilities.</li>
+ *  <li>Provides DOM event management facility, enabling capturing/bubbling phases
+ *   on all browsers, including Internet Explorer 6.</li>
+ *  <li>Provides "virtual positioning" capability for Internet Explorer 6 to
+ *   render proper top/left/right/bottom CSS positioning.</li>
+ *  <li>Provides facilities to convert dimensions (e.g., in/cm/pc) to pixels.</li>
+ *  <li>Provides capabilities to measure rendered size of DOM fragments.</li>
+ *  <li> Provides capabilities to asynchronously load and install JavaScript modules.</li>
+ * </ul>
+ * Requires Core.
+ */
+
+/**
+ * Namespace for Web Core.
+ * @namespace
+ */
+Core.Web = {
+
+    /**
+     * Flag indicating that a drag-and-drop operation is in process.
+     * Setting this flag will prevent text selections within the browser.
+     * It must be un-set when the drag operation completes.
+     * 
+     * @type Boolean
+     */
+    dragInProgress: false,
+    
+    /**
+     * Initializes the Web Core.  This method must be executed prior to using any Web Core capabilities.
+     */
+    init: function() {
+        if (Core.Web.initialized) {
+            // Already initialized.
+            return;
+        }
+    
+        Core.Web.Env._init();
+        Core.Web.Measure._calculateExtentSizes();
+        Core.Web.Measure.Bounds._initMeasureContainer();
+        if (Core.Web.Env.QUIRK_CSS_POSITIONING_ONE_SIDE_ONLY) {
+            // Enable virtual positioning.
+            Core.Web.VirtualPosition._init();
+        }
+    
+        if (Core.Web.Env.ENGINE_MSHTML) {
+            Core.Web.DOM.addEventListener(document, "selectstart", Core.Web._selectStartListener, false);
+            Core.Web.DOM.addEventListener(document, "dragstart", Core.Web._selectStartListener, false);
+        }
+        
+        Core.Web.initialized = true;
+    },
+    
+    /**
+     * Internet Explorer-specific event listener to deny selection.
+     * 
+     * @param {Event} e the selection event
+     */
+    _selectStartListener: function(e) {
+        e = e ? e : window.event;
+        if (Core.Web.dragInProgress) {
+            Core.Web.DOM.preventEventDefault(e);
+        }
+    }
+};
+
+/**
+ * DOM manipulation utility method namespace.
+ * @class
+ */
+Core.Web.DOM = {
+
+    /**
+     * Temporary storage for the element about to be focused (for clients that require 'delayed' focusing).
+     */
+    _focusPendingElement: null,
+
+    /**
+     * Runnable to invoke focus implementation (lazily created).
+     * @type Core.Web.Scheduler.Runnable
+     */
+    _focusRunnable: null,
+
+    /**
+     * Adds an event listener to an object, using the client's supported event 
+     * model.  This method does NOT support method references. 
+     *
+     * @param {Element} eventSource the event source
+     * @param {String} eventType the type of event (the 'on' prefix should NOT be included
+     *        in the event type, i.e., for mouse rollover events, "mouseover" would
+     *        be specified instead of "onmouseover")
+     * @param {Function} eventListener the event listener to be invoked when the event occurs
+     * @param {Boolean} useCapture a flag indicating whether the event listener should capture
+     *        events in the final phase of propagation (only supported by 
+     *        DOM Level 2 event model, not available on Internet Explorer)
+     */
+    addEventListener: function(eventSource, eventType, eventListener, useCapture) {
+        if (eventSource.addEventListener) {
+            eventSource.addEventListener(eventType, eventListener, useCapture);
+        } else if (eventSource.attachEvent) {
+            eventSource.attachEvent("on" + eventType, eventListener);
+        }
+    },
+    
+    /**
+     * Creates a new XML DOM.
+     *
+     * @param {String} namespaceUri the unique URI of the namespace of the root element in 
+     *        the created document (not supported for
+     *        Internet Explorer 6 clients, null may be specified for all clients)
+     * @param {String} qualifiedName the name of the root element of the new document (this
+     *        element will be created automatically)
+     * @type Document
+     * @return the created DOM
+     */
+    createDocument: function(namespaceUri, qualifiedName) {
+        if (document.implementation && document.implementation.createDocument) {
+            // DOM Level 2 Browsers
+            var dom;
+            if (Core.Web.Env.BROWSER_FIREFOX && Core.Web.Env.BROWSER_VERSION_MAJOR == 3 &&
+                    Core.Web.Env.BROWSER_VERSION_MINOR === 0) {
+                // https://bugzilla.mozilla.org/show_bug.cgi?id=431701
+                dom = new DOMParser().parseFromString("<?xml version='1.0' encoding='UTF-8'?><" + qualifiedName + "/>",
+                        "application/xml");
+            } else {
+                dom = document.implementation.createDocument(namespaceUri, qualifiedName, null);
+                try {
+                    // Advises the IE9 to sent posts back in UTF-8 as expected. See http://echo.nextapp.com/site/node/6658
+                    dom.charset = "utf-8";
+                } catch(e) {} // ignore potential errors. It works without all other browsers.
+            }
+            if (!dom.documentElement) {
+                dom.appendChild(dom.createElement(qualifiedName));
+            }
+            return dom;
+        } else if (window.ActiveXObject) {
+            // Internet Explorer
+            var createdDocument = new ActiveXObject("Microsoft.XMLDOM");
+            var documentElement = createdDocument.createElement(qualifiedName);
+            createdDocument.appendChild(documentElement);
+            return createdDocument;
+        } else {
+            throw new Error("XML DOM creation not supported by browser environment.");
+        }
+    },
+    
+    /**
+     * Focuses the given DOM element.
+     * The focus operation may be placed in the scheduler if the browser requires the focus
+     * operation to be performed outside of current JavaScript context (i.e., in the case
+     * where the element to be focused was just rendered in this context).
+     * Passing a null element argument will cancel any scheduler runnable attempting to 
+     * set the focus.
+     * 
+     * @param {Element} element the DOM element to focus
+     */
+    focusElement: function(element) {
+        if (!this._focusRunnable) {
+            this._focusRunnable = new (Core.extend(Core.Web.Scheduler.Runnable, {
+                
+                repeat: true,
+                
+                attempt: 0,
+                
+                timeInterval: 25,
+            
+                run: function() {
+                    element = Core.Web.DOM._focusPendingElement;
+                    Core.Log.getLogger("Core.Web.DOM").debug("Focus", 
+                            { element: element, id: element.id, displayed: Core.Web.DOM.isDisplayed(element) });
+                    
+                    var done = false;
+                    if (Core.Web.DOM.isDisplayed(element)) {
+                        done = true;
+                        try {
+                            element.focus();
+                        } catch (ex) {
+                            // Silently digest IE focus exceptions.
+                        }
+                    }
+                    
+                    done |= this.attempt > 25;
+                    
+                    ++this.attempt;
+                    
+                    if (done) {
+                        Core.Web.DOM._focusPendingElement = null;
+                        Core.Web.Scheduler.remove(this);
+                    }
+                }
+            }))();
+        }
+
+        if (!(element && element.focus && Core.Web.DOM.isAncestorOf(document.body, element))) {
+            // Cancel and return.
+            Core.Web.DOM._focusPendingElement = null;
+            Core.Web.Scheduler.remove(this._focusRunnable);
+            return;
+        }
+        
+        this._focusPendingElement = element;
+        
+        this._focusRunnable.attempt = 0;
+        Core.Web.Scheduler.add(this._focusRunnable);
+    },
+    
+    /**
+     * Returns the first immediate child element of parentElement with the specified tag name.
+     * 
+     * @param {Element} parentElement the parent element
+     * @param tagName the tag name
+     * @return the first child element of parentElement with the specified tag name,
+     *         or null if no elements match
+     * @type Element
+     */
+    getChildElementByTagName: function(parentElement, tagName) {
+        var element = parentElement.firstChild;
+        while (element) {
+            if (element.nodeType == 1 && element.nodeName == tagName) {
+                return element;
+            }
+            element = element.nextSibling;
+        }
+        return null;
+    },
+    
+    /**
+     * Returns an array containing all immediate child element of parentElement with the specified tag name.
+     * 
+     * @param {Element} parentElement the parent element
+     * @param tagName the tag name
+     * @return the child elements
+     * @type Array
+     */
+    getChildElementsByTagName: function(parentElement, tagName) {
+        var elements = [];
+        var element = parentElement.firstChild;
+        while (element) {
+            if (element.nodeType == 1 && element.nodeName == tagName) {
+                elements.push(element);
+            }
+            element = element.nextSibling;
+        }
+        return elements;
+    },
+    
+    /**
+     * Returns x/y coordinates of mouse relative to the element which fired an event.
+     * 
+     * @param {Event} e the event
+     * @return object containing 'x' and 'y' properties specifying the numeric pixel
+     *         coordinates of the mouse relative to the element, with {x: 0, y: 0}
+     *         indicating its upper-left corner
+     */
+    getEventOffset: function(e) {
+        if (typeof e.offsetX == "number") {
+            return { x: e.offsetX, y: e.offsetY };
+        } else {
+            var bounds = new Core.Web.Measure.Bounds(this.getEventTarget(e));
+            return { x: e.clientX - bounds.left, y: e.clientY - bounds.top };
+        }
+    },
+    
+    /**
+     * Returns the target of an event, using the client's supported event model.
+     * On clients which support the W3C DOM Level 2 event specification,
+     * the <code>target</code> property of the event is returned.
+     * On clients which support only the Internet Explorer event model,
+     * the <code>srcElement</code> property of the event is returned.
+     *
+     * @param {Event} e the event
+     * @return the target
+     * @type Element
+     */
+    getEventTarget: function(e) {
+        return e.target ? e.target : e.srcElement;
+    },
+    
+    /**
+     * Returns the related target of an event, using the client's supported event model.
+     * On clients which support the W3C DOM Level 2 event specification,
+     * the <code>relatedTarget</code> property of the event is returned.
+     * On clients which support only the Internet Explorer event model,
+     * the <code>toElement</code> property of the event is returned.
+     *
+     * @param {Event} e the event
+     * @return the target
+     * @type Element
+     */
+    getEventRelatedTarget: function(e) {
+        return e.relatedTarget ? e.relatedTarget : e.toElement;
+    },
+    
+    /**
+     * Determines if <code>ancestorNode</code> is or is an ancestor of
+     * <code>descendantNode</code>.
+     *
+     * @param {Node} ancestorNode the potential ancestor node
+     * @param {Node} descendantNode the potential descendant node
+     * @return true if <code>ancestorNode</code> is or is an ancestor of
+     *         <code>descendantNode</code>
+     * @type Boolean
+     */
+    isAncestorOf: function(ancestorNode, descendantNode) {
+        var testNode = descendantNode;
+        while (testNode != null) {
+            if (testNode == ancestorNode) {
+                return true;
+            }
+            testNode = testNode.parentNode;
+        }
+        return false;
+    },
+    
+    /**
+     * Determines if the given node is theoretically dispalyed within the document.
+     * The following conditions are verified:
+     * <ul>
+     *  <li><code>node</code> must be a descendant of <code>document.body</code></li>
+     *  <li><code>node</code>'s element ancestry must not contain a element whose CSS <code>visibility</code> state is 
+     *    <code>hidden</code></li>
+     *  <li><code>node</code>'s element ancestry must not contain a element whose CSS <code>display</code> state is 
+     *    <code>none</code></li>
+     * </ul>
+     * 
+     * @param {Node} node to analyze
+     * @return true if the node is displayed 
+     */
+    isDisplayed: function(node) {
+        while (node != null) {
+            if (node.nodeType == 1) {
+                if (node.style) {
+                    if (node.style.visibility == "hidden") {
+                        return false;
+                    }
+                    if (node.style.display == "none") {
+                        return false;
+                    }
+                }
+            }
+            
+            if (node == document.body) {
+                return true;
+            }
+            node = node.parentNode;
+        }
+        return false;
+    },
+
+    /**
+     * Prevents the default action of an event from occurring, using the
+     * client's supported event model.
+     * On clients which support the W3C DOM Level 2 event specification,
+     * the preventDefault() method of the event is invoked.
+     * On clients which support only the Internet Explorer event model,
+     * the 'returnValue' property of the event is set to false.
+     *
+     * @param {Event} e the event
+     */
+    preventEventDefault: function(e) {
+        if (e.preventDefault) {
+            e.preventDefault();
+        } else {
+            e.returnValue = false;
+        }
+    },
+    
+    /**
+     * Removes all child nodes from the specified DOM node.
+     *
+     * @param {Node} node the parent node whose children should be deleted
+     */
+    removeAllChildren: function(node) {
+        while (node.firstChild) {
+            node.removeChild(node.firstChild);
+        }
+    },
+    
+    /**
+     * Removes an event listener from an object, using the client's supported event 
+     * model.  This method does NOT support method references.
+     *
+     * @param {Element} eventSource the event source
+     * @param {String} eventType the type of event (the 'on' prefix should NOT be included
+     *        in the event type, i.e., for mouse rollover events, "mouseover" would
+     *        be specified instead of "onmouseover")
+     * @param {Function} eventListener the event listener to be invoked when the event occurs
+     * @param {Boolean}useCapture a flag indicating whether the event listener should capture
+     *        events in the final phase of propagation (only supported by 
+     *        DOM Level 2 event model, not available on Internet Explorer)
+     */
+    removeEventListener: function(eventSource, eventType, eventListener, useCapture) {
+        if (eventSource.removeEventListener) {
+            eventSource.removeEventListener(eventType, eventListener, useCapture);
+        } else if (eventSource.detachEvent) {
+            eventSource.detachEvent("on" + eventType, eventListener);
+        }
+    },
+    
+    /**
+     * Removes the specified DOM node from the DOM tree. This method employs a workaround for the
+     * <code>QUIRK_PERFORMANCE_LARGE_DOM_REMOVE</code> quirk.
+     *
+     * @param {Node} node the node which should be deleted
+     */
+    removeNode: function(node) {
+        var parentNode = node.parentNode;
+        if (!parentNode) {
+            // not in DOM tree
+            return;
+        }
+        if (Core.Web.Env.QUIRK_PERFORMANCE_LARGE_DOM_REMOVE) {
+            this._removeNodeRecursive(node);
+        } else {
+            parentNode.removeChild(node);
+        }
+    },
+    
+    /**
+     * Removes the specified DOM node from the DOM tree in a recursive manner, i.e. all descendants
+     * of the given node are removed individually. This alleviates slow performance when removing large
+     * DOM trees.
+     *
+     * @param {Node} node the node which should be deleted
+    */
+    _removeNodeRecursive: function(node) {
+        var childNode = node.firstChild;
+        while (childNode) {
+            var nextChildNode = childNode.nextSibling;
+            this._removeNodeRecursive(childNode);
+            childNode = nextChildNode;
+        }
+        node.parentNode.removeChild(node);
+    },
+    
+    /**
+     * Stops an event from propagating ("bubbling") to parent nodes in the DOM, 
+     * using the client's supported event model.
+     * On clients which support the W3C DOM Level 2 event specification,
+     * the stopPropagation() method of the event is invoked.
+     * On clients which support only the Internet Explorer event model,
+     * the 'cancelBubble' property of the event is set to true.
+     *
+     * @param {Event} e the event
+     */
+    stopEventPropagation: function(e) {
+        if (e.stopPropagation) {
+            e.stopPropagation();
+        } else {
+            e.cancelBubble = true;
+        }
+    }
+};
+
+/**
+ * Provides information about the web browser environment.
+ * <p>
+ * The <code>ENGINE_*</code> and <code>BROWSER_*</code> properties are derived from the user agent string, and are 
+ * informational only.  The <code>QUIRK_*</code>, <code>NOT_SUPPORTED_*</code>, <code>PROPRIETARY_*</code>, 
+ * <code>MEASURE_*</code>, and <code>CSS_*</code> properties are determined by runtime feature detection probes 
+ * (see <code>_probes</code>) where the capability can be tested, and otherwise from the user agent string 
+ * (the quirks of legacy browsers which cannot be tested for).  Layout-related probes report no quirks in environments 
+ * which do not perform layout, e.g., jsdom.
+ * <p>
+ * <b>Overrides:</b> Any flag may be forced to a specific value by invoking <code>override()</code>, e.g., 
+ * <code>Core.Web.Env.override({ QUIRK_DELAYED_FOCUS_REQUIRED: false, NOT_SUPPORTED_POINTER_EVENTS: true })</code>.
+ * Overrides may be specified before or after the environment is initialized (by <code>Core.Web.init()</code>), and 
+ * remain in effect until removed with <code>clearOverrides()</code>.  This mechanism is intended for test harnesses.
+ * @class
+ */
+Core.Web.Env = {
+
+    /**
+     * Flag indicating the Presto rendering engine is being used (Opera).
+     */
+    ENGINE_PRESTO: null,
+
+    /**
+     * Flag indicating the WebKit rendering engine is being used (Safari,
+     * Chrome). Derivative of KHTML.
+     */
+    ENGINE_WEBKIT: null,
+
+    /**
+     * Flag indicating the KHTML rendering engine is being used (Konqueror).
+     */
+    ENGINE_KHTML: null,
+
+    /**
+     * Flag indicating the MSHTML/Trident rendering engine is being used
+     * (Internet Explorer).
+     */
+    ENGINE_MSHTML: null,
+
+    /**
+     * Flag indicating the Gecko rendering engine is being used (Mozilla,
+     * Firefox).
+     */
+    ENGINE_GECKO: null,
+
+    /**
+     * Flag indicating a Mozilla client or Mozilla-based client.
+     */
+    BROWSER_MOZILLA: null,
+
+    /**
+     * Flag indicating an Opera client.
+     */
+    BROWSER_OPERA: null,
+
+    /**
+     * Flag indicating an Konqueror client.
+     */
+    BROWSER_KONQUEROR: null,
+
+    /**
+     * Flag indicating a Mozilla Firefox client.
+     */
+    BROWSER_FIREFOX: null,
+
+    /**
+     * Flag indicating a Microsoft Internet Explorer client.
+     */
+    BROWSER_INTERNET_EXPLORER: null,
+
+    /**
+     * Flag indicating a Google Chrome client.
+     */
+    BROWSER_CHROME: null,
+
+    /**
+     * The major browser version. For Firefox 3.0.6 this would be 3.
+     * 
+     * @type Number
+     */
+    BROWSER_VERSION_MAJOR: null,
+
+    /**
+     * The minor browser version. For Firefox 3.0.6, this would be 0.
+     * 
+     * @type Number
+     */
+    BROWSER_VERSION_MINOR: null,
+
+    /**
+     * The major engine version. For Firefox 3.0.6, which uses the Gecko 1.9,
+     * this would be 1.
+     * 
+     * @type Number
+     */
+    ENGINE_VERSION_MAJOR: null,
+
+    /**
+     * The minor engine version. For Firefox 3.0.6, which uses the Gecko 1.9,
+     * this would be 9.
+     * 
+     * @type Number
+     */
+    ENGINE_VERSION_MINOR: null,
+
+    /**
+     * Flag indicating whether the user-agent string contains deceptive
+     * information. This is true in the case of Opera, which contains MSIE info
+     * in its version string.
+     */
+    DECEPTIVE_USER_AGENT: null,
+
+
+    /**
+     * Attribute name for CSS float attribute. Varies by browser.
+     * @type String
+     */
+    CSS_FLOAT: "cssFloat",
+
+    /**
+     * Flag indicating that offset measurements do not take into account CSS
+     * borders around elements.
+     * @type Boolean
+     */
+    MEASURE_OFFSET_EXCLUDES_BORDER: null,
+
+    /**
+     * Flag indicating that the CSS "opacity" attribute is not supported.
+     * @type Boolean
+     */
+    NOT_SUPPORTED_CSS_OPACITY: null,
+    
+    /**
+     * Flag indicating that relative table column widths are not supported, 
+     * e.g., "*" or "2*".
+     * @type Boolean
+     */
+    NOT_SUPPORTED_RELATIVE_COLUMN_WIDTHS: null,
+    
+    /**
+     * Flag indicating that selectionStart/selectionEnd/setSelectionRange() are not
+     * supported on text field INPUT elements and TEXTAREA elements.
+     * @type Boolean
+     */
+    NOT_SUPPORTED_INPUT_SELECTION: null,
+    
+    /**
+     * Flag indicating complete lack of support for W3C DOM range API. 
+     * @type Boolean
+     */
+    NOT_SUPPORTED_RANGE: null,
+    
+    /**
+     * Flag indicating lack of support for W3C Pointer Events.  When set, <code>Core.Web.Event</code> synthesizes 
+     * pointer events from mouse and touch events.
+     * @type Boolean
+     */
+    NOT_SUPPORTED_POINTER_EVENTS: null,
+
+    /**
+     * Flag indicating support for "mouseenter" and "mouseleave" events. This is
+     * a proprietary IE event, but is necessary to use to control flicker in
+     * rollover effects on high-level elements in this browser.
+     * @type Boolean
+     */
+    PROPRIETARY_EVENT_MOUSE_ENTER_LEAVE_SUPPORTED: null,
+
+    /**
+     * Flag indicating support for "selectstart" events.
+     * @type Boolean
+     */
+    PROPRIETARY_EVENT_SELECT_START_SUPPORTED: null,
+
+    /**
+     * Flag indicating a DirectX filter is required to render elements with
+     * reduced opacity.
+     * @type Boolean
+     */
+    PROPRIETARY_IE_OPACITY_FILTER_REQUIRED: null,
+
+    /**
+     * Flag indicating PNG alpha channel effects require the use of a DirectX
+     * filter. This filter is dangerous to use, as it can interfere with event
+     * handlers registered on the DOM element.
+     * @type Boolean
+     */
+    PROPRIETARY_IE_PNG_ALPHA_FILTER_REQUIRED: null,
+    
+    /**
+     * Flag indicating support for the IE text range API.
+     * @type Boolean
+     */
+    PROPRIETARY_IE_RANGE: null,
+    
+    /**
+     * Flag indicating that keypress events will place charCode value in keyCode property.
+     * @type Boolean
+     */
+    QUIRK_KEY_CODE_IS_CHAR_CODE: null,
+    
+    /**
+     * Flag indicating that keypress events are fired for special keys.
+     * @type Boolean
+     */
+    QUIRK_KEY_PRESS_FIRED_FOR_SPECIAL_KEYS: null,
+    
+    /**
+     * Flag indicating that keypress events are fired for special keys.
+     * @type Boolean
+     */
+    QUIRK_KEY_DOWN_NOT_FIRED_FOR_SPECIAL_KEYS: null,
+    
+    /**
+     * Flag indicating collapsed borders appear inside a table's rendered rather
+     * than around it. For example, a proper rendering for a 2px collapsed
+     * border is that one pixel appear inside the table's are and one pixel
+     * appear outside of it. The IE browser, for example, simply renders both
+     * pixels of the border inside.
+     * @type Boolean
+     */
+    QUIRK_CSS_BORDER_COLLAPSE_INSIDE: null,
+
+    /**
+     * Flag indicating that top and bottom or left and right CSS absolute
+     * positioning properties may not be used on the same attribute. Virtual
+     * positioning should be used in such cases.
+     * @type Boolean
+     */
+    QUIRK_CSS_POSITIONING_ONE_SIDE_ONLY: null,
+
+    /**
+     * Flag indicating that setting focus is more reliably accomplished by
+     * performing the operation in a separate JavaScript execution context.
+     * @type Boolean
+     */
+    QUIRK_DELAYED_FOCUS_REQUIRED: null,
+    
+    /**
+     * Flag indicating peculiar behavior in Internet Explorer where screen suddenly appears blank after
+     * DOM manipulations have been performed.  This is commonly seen when many JavaScript execution contexts
+     * are being invoked and possibly performing DOM manipulations.  The exact criteria to trigger this bug
+     * has not yet been determined.  It does appear that IE's rendering engine somehow collapses as a result
+     * and simply blanks the screen.  Resizing the window and certain DOM modifications will cause the screen's
+     * image to be restored.
+     * @type Boolean
+     */
+    QUIRK_IE_BLANK_SCREEN: null,
+    
+    /**
+     * Flag indicating a fundamental issue in Internet Explorer's rendering engine wherein the browser is incapable of correctly
+     * sizing/positioning elements unless certain CSS attributes (which should not be necessary) are present.
+     * Setting the proprietary "zoom" attribute to a value of '1' can force this browser to properly layout an an element that 
+     * sufferes this quirk.
+     * See http://msdn.microsoft.com/en-us/library/bb250481.aspx 
+     */
+    QUIRK_IE_HAS_LAYOUT: null,
+
+    /**
+     * Flag indicating DOM updates to SELECT elements may result in their
+     * appearance being changed, i.e., listboxes will become select fields.
+     * @type Boolean
+     */
+    QUIRK_IE_SELECT_LIST_DOM_UPDATE: null,
+
+    /**
+     * Flag indicating that setting percent widths on SELECT elements may result
+     * in undesired behavior, e.g., zero-width rendering.
+     * @type Boolean
+     */
+    QUIRK_IE_SELECT_PERCENT_WIDTH: null,
+
+    /**
+     * Flag indicating that SELECT elements do not respect z-index settings.
+     * @type Boolean
+     */
+    QUIRK_IE_SELECT_Z_INDEX: null,
+    
+    /**
+     * Flag indicating an IE browser that incorrectly displays the security warning,
+     * "This page contains both secure and nonsecure items. Do you want to display the nonsecure items?".
+     * See http://support.microsoft.com/kb/925014
+     * @type Boolean
+     */
+    QUIRK_IE_SECURE_ITEMS: null,
+
+    /**
+     * Flag indicating that IE browser does not properly render tables whose
+     * widths are set to percent values when scrollbars are present. The
+     * scrollbar is not included in the calculation of the container size, thus
+     * a 100% wide table will not fit in its container when a vertical scrollbar
+     * is present, and will trigger a horizontal scroll bar.
+     * @type Boolean
+     */
+    QUIRK_IE_TABLE_PERCENT_WIDTH_SCROLLBAR_ERROR: null,
+
+    /**
+     * Quirk flag indicating that offset measurements on elements whose overflow setting is hidden
+     * will be incorrectly reduced by the border size.  Used internally in measuring algorithms.
+     * @type Boolean
+     */
+    QUIRK_MEASURE_OFFSET_HIDDEN_BORDER: null,
+
+    /**
+     * Flag indicating a bug in the Opera browser where absolute CSS positioning
+     * and offset calculations are incorrectly performed. See
+     * http://my.opera.com/community/forums/topic.dml?id=250572
+     * @type Boolean
+     */
+    QUIRK_OPERA_CSS_POSITIONING: null,
+
+    /**
+     * Quirk indicating that removing large element hierarchies from the DOM
+     * using a single removeChild invocation at the root results in poor
+     * performance. Workaround is to iteratively remove smaller hierarchies.
+     * @type Boolean
+     */
+    QUIRK_PERFORMANCE_LARGE_DOM_REMOVE: null,
+
+    /**
+     * Flag indicating XML documents being sent via XMLHttpRequest must have
+     * text content manually escaped due to bugs in the Webkit render engine.
+     * @type Boolean
+     */
+    QUIRK_WEBKIT_DOM_TEXT_ESCAPE: null,
+
+    /**
+     * Flag indicating that table cell widths do not include padding value.
+     * @type Boolean
+     */
+    QUIRK_TABLE_CELL_WIDTH_EXCLUDES_PADDING: null,
+
+    /**
+     * Flag indicating that images which not yet been loaded will have size
+     * information (width/height values).
+     * @type Boolean
+     */
+    QUIRK_UNLOADED_IMAGE_HAS_SIZE: null,
+
+    /**
+     * Flag indicating if xml-documents should be serialized before
+     * sending them through a xmlHttp request.
+     * @type Boolean
+     */
+    QUIRK_SERIALIZE_XML_BEFORE_XML_HTTP_REQ: null,
+
+    /**
+     * Values of flags as determined by detection (before application of overrides).
+     */
+    _detected: null,
+    
+    /**
+     * Flag indicating whether the environment has been initialized.
+     * @type Boolean
+     */
+    _initialized: false,
+    
+    /**
+     * Flags whose values have been overridden, mapped to their override values.
+     */
+    _overrides: { },
+    
+    /**
+     * Feature detection probes.  Maps flag names to functions (invoked with the environment as <code>this</code>, in 
+     * declaration order, after user agent analysis) which test for the capability/quirk described by the flag, returning 
+     * its value, or undefined if it cannot be determined (in which case the value derived from the user agent string
+     * is retained).
+     */
+    _probes: {
+    
+        CSS_FLOAT: function() {
+            return "cssFloat" in document.documentElement.style ? "cssFloat" : 
+                    ("styleFloat" in document.documentElement.style ? "styleFloat" : undefined);
+        },
+        
+        NOT_SUPPORTED_CSS_OPACITY: function() {
+            return !("opacity" in document.documentElement.style);
+        },
+        
+        NOT_SUPPORTED_INPUT_SELECTION: function() {
+            return !("selectionStart" in document.createElement("input"));
+        },
+        
+        NOT_SUPPORTED_POINTER_EVENTS: function() {
+            return !window.PointerEvent;
+        },
+        
+        NOT_SUPPORTED_RANGE: function() {
+            return !document.createRange;
+        },
+        
+        PROPRIETARY_EVENT_MOUSE_ENTER_LEAVE_SUPPORTED: function() {
+            return "onmouseenter" in document.documentElement;
+        },
+        
+        PROPRIETARY_EVENT_SELECT_START_SUPPORTED: function() {
+            return "onselectstart" in document.documentElement;
+        },
+        
+        PROPRIETARY_IE_OPACITY_FILTER_REQUIRED: function() {
+            return this.NOT_SUPPORTED_CSS_OPACITY && "filter" in document.documentElement.style;
+        },
+        
+        PROPRIETARY_IE_RANGE: function() {
+            return !!(document.selection && document.selection.createRange);
+        },
+        
+        QUIRK_IE_HAS_LAYOUT: function() {
+            var currentStyle = document.documentElement.currentStyle;
+            return !!currentStyle && "hasLayout" in currentStyle;
+        },
+        
+        QUIRK_KEY_CODE_IS_CHAR_CODE: function() {
+            // Browsers providing charCode cannot be assumed to report it correctly; retain user-agent derived value.
+            return window.KeyboardEvent && "charCode" in window.KeyboardEvent.prototype ? undefined : true;
+        },
+        
+        MEASURE_OFFSET_EXCLUDES_BORDER: function() {
+            var result = this._probeOffsetBorder(false);
+            return result == null ? undefined : result > 0;
+        },
+        
+        QUIRK_MEASURE_OFFSET_HIDDEN_BORDER: function() {
+            var result = this._probeOffsetBorder(true);
+            return result == null ? undefined : result > 1;
+        }
+    },
+    
+    /**
+     * User-agent string, in lowercase.
+     */
+    _ua: null,
+
+    /**
+     * The user agent string with all non-alpha character sequences replaced
+     * with single slashes and with leading/trailing slashes appended. This
+     * string can be searched for whole words using indexOf("/example/")
+     */
+    _uaAlpha: null,
+    
+    /**
+     * Removes all overrides, restoring detected flag values.
+     * 
+     * @see #override
+     */
+    clearOverrides: function() {
+        this._overrides = { };
+        if (this._initialized) {
+            for (var flag in this._detected) {
+                this[flag] = this._detected[flag];
+            }
+        }
+    },
+    
+    /**
+     * Overrides the values of environment flags, e.g., to force a quirk on or off in a test harness.
+     * Overrides are applied immediately if the environment has been initialized, and otherwise upon initialization.
+     * 
+     * @param flags an object mapping flag names (e.g., "QUIRK_DELAYED_FOCUS_REQUIRED") to values; a null value
+     *        removes the override of a flag
+     */
+    override: function(flags) {
+        for (var flag in flags) {
+            if (flags[flag] == null) {
+                delete this._overrides[flag];
+                if (this._initialized && flag in this._detected) {
+                    this[flag] = this._detected[flag];
+                }
+            } else {
+                this._overrides[flag] = flags[flag];
+                if (this._initialized) {
+                    if (!(flag in this._detected)) {
+                        this._detected[flag] = this[flag];
+                    }
+                    this[flag] = flags[flag];
+                }
+            }
+        }
+    },
+    
+    /**
+     * Performs initial analysis of environment. Automatically invoked when
+     * Core.Web module is initialized.
+     */
+    _init: function() {
+        var browserVersion = null, 
+            engineVersion = null, 
+            engineId = false;
+
+        this._ua = navigator.userAgent.toLowerCase();
+        this._uaAlpha = "/" + this._ua.replace(/[^a-z]+/g, "/") + "/";
+        
+        // Parse version string for known major browsers, in reverse order of which they are imitated,
+        // i.e., Chrome imitates Safari and Gecko, while Mozilla imitates nothing.
+        if (this._testUAString("opera")) {
+            this.BROWSER_OPERA = engineId = this.ENGINE_PRESTO = true;
+            browserVersion = this._parseVersionInfo("opera/");
+        } else if (this._testUAString("chrome")) {
+            this.BROWSER_CHROME = engineId = this.ENGINE_WEBKIT = true;
+            browserVersion = this._parseVersionInfo("chrome/");
+        } else if (this._testUAString("safari")) {
+            this.BROWSER_SAFARI = engineId = this.ENGINE_WEBKIT = true;
+            browserVersion = this._parseVersionInfo("version/");
+        } else if (this._testUAString("konqueror")) {
+            this.BROWSER_KONQUEROR = engineId = this.ENGINE_KHTML = true;
+            browserVersion = this._parseVersionInfo("konqueror/");
+        } else if (this._testUAString("firefox")) {
+            this.BROWSER_FIREFOX = this.BROWSER_MOZILLA = engineId = this.ENGINE_GECKO = true;
+            browserVersion = this._parseVersionInfo("firefox/");
+        } else if (this._testUAString("msie")) {
+            this.BROWSER_INTERNET_EXPLORER = engineId = this.ENGINE_MSHTML = true;
+            // Set engine version to browser version for MSIE/MSHTML.  Unfortunately "Trident" versioning
+            // is unpredictable, with the MSIE8 UA string reporting "Trident/4.0" but MSIE6 supposedly using "Trident IV"
+            // and MSIE7 supposedly using "Trident V".  We thus go by the suspected MSHTML DLL version, which is equivalent to
+            // the IE version.
+            engineVersion = browserVersion = this._parseVersionInfo("msie ");
+        }
+        
+        if (!engineId) {
+            // Browser/engine not yet identified, attempt to identify by engine.
+            if (this._testUAString("presto")) {
+                this.ENGINE_PRESTO = true;
+            } else if (this._testUAString("webkit")) {
+                this.ENGINE_WEBKIT = true;
+            } else if (this._testUAString("khtml")) {
+                this.ENGINE_KHTML = true;
+            } else if (this._testUAString("trident")) {
+                this.ENGINE_MSHTML = true;
+            } else if (this._testUAString("gecko")) {
+                this.BROWSER_MOZILLA = this.ENGINE_GECKO = true;
+            }
+        }
+        
+        if (!engineVersion) {
+            if (this.ENGINE_PRESTO) {
+                engineVersion = this._parseVersionInfo("presto/");
+            } else if (this.ENGINE_WEBKIT) {
+                engineVersion = this._parseVersionInfo("webkit/");
+            } else if (this.ENGINE_GECKO) {
+                engineVersion = this._parseVersionInfo("rv:");
+                if (!browserVersion) {
+                    browserVersion = engineVersion;
+                }
+            }
+        }
+        
+        if (browserVersion) {
+            this.BROWSER_VERSION_MAJOR = browserVersion.major;
+            this.BROWSER_VERSION_MINOR = browserVersion.minor;
+        }
+        if (engineVersion) {
+            this.ENGINE_VERSION_MAJOR = engineVersion.major;
+            this.ENGINE_VERSION_MINOR = engineVersion.minor;
+        }
+        
+        // Note deceptive user agent fields:
+        // - Konqueror and Safari UA fields contain "like Gecko"
+        // - Opera UA field typically contains "MSIE"
+        // If this flag is set, browser is not GECKO/MSHTML
+        this.DECEPTIVE_USER_AGENT = this.BROWSER_OPERA || this.BROWSER_SAFARI || this.BROWSER_CHROME || this.BROWSER_KONQUEROR;
+        
+        this.MEASURE_OFFSET_EXCLUDES_BORDER = false;
+                
+        // Set IE Quirk Flags
+        if (this.BROWSER_INTERNET_EXPLORER) {
+            // Internet Explorer Flags (all versions).
+            this.CSS_FLOAT = "styleFloat";
+            this.QUIRK_KEY_CODE_IS_CHAR_CODE = true;
+            this.QUIRK_IE_SECURE_ITEMS = true;
+            this.NOT_SUPPORTED_RANGE = true;
+            this.NOT_SUPPORTED_INPUT_SELECTION = true;
+            this.PROPRIETARY_IE_RANGE = true;
+            this.PROPRIETARY_EVENT_MOUSE_ENTER_LEAVE_SUPPORTED = true;
+            this.PROPRIETARY_EVENT_SELECT_START_SUPPORTED = true;
+            this.QUIRK_DELAYED_FOCUS_REQUIRED = true;
+            this.QUIRK_UNLOADED_IMAGE_HAS_SIZE = true;
+            this.MEASURE_OFFSET_EXCLUDES_BORDER = true;
+            this.QUIRK_IE_HAS_LAYOUT = true;
+            this.NOT_SUPPORTED_CSS_OPACITY = true;
+            this.PROPRIETARY_IE_OPACITY_FILTER_REQUIRED = true;
+            
+            if (this.BROWSER_VERSION_MAJOR < 9) {
+                this.QUIRK_IE_BLANK_SCREEN = true;
+            }
+            if (this.BROWSER_VERSION_MAJOR < 8) {
+                // Internet Explorer 6 and 7 Flags.
+                this.QUIRK_TABLE_CELL_WIDTH_EXCLUDES_PADDING = true;
+                this.NOT_SUPPORTED_RELATIVE_COLUMN_WIDTHS = true;
+                this.QUIRK_CSS_BORDER_COLLAPSE_INSIDE = true;
+                this.QUIRK_IE_TABLE_PERCENT_WIDTH_SCROLLBAR_ERROR = true;
+                this.QUIRK_IE_SELECT_PERCENT_WIDTH = true;
+                
+                if (this.BROWSER_VERSION_MAJOR < 7) {
+                    // Internet Explorer 6 Flags.
+                    this.QUIRK_IE_SELECT_LIST_DOM_UPDATE = true;
+                    this.QUIRK_CSS_POSITIONING_ONE_SIDE_ONLY = true;
                     this.PROPRIETARY_IE_PNG_ALPHA_FILTER_REQUIRED = true;
                     this.QUIRK_IE_SELECT_Z_INDEX = true;
                     // Enable 'garbage collection' on large associative arrays to avoid memory leak.
                     Core.Arrays.LargeMap.garbageCollectEnabled = true;
                 }
             }
-            if(this.BROWSER_VERSION_MAJOR == 9) {
-                // Internet Explorer 9 Flags
-                // if false ie9 will re-format your xml by adding and removing linebreaks
-                this.QUIRK_SERIALIZE_XML_BEFORE_XML_HTTP_REQ = true;
+            if(this.BROWSER_VERSION_MAJOR == 9) {
+                // Internet Explorer 9 Flags
+                // if false ie9 will re-format your xml by adding and removing linebreaks
+                this.QUIRK_SERIALIZE_XML_BEFORE_XML_HTTP_REQ = true;
+            }
+        } else if (this.ENGINE_GECKO) {
+            // Firefox 65+ does not fire keypress events for non-printable keys.
+            this.QUIRK_KEY_PRESS_FIRED_FOR_SPECIAL_KEYS = !this.BROWSER_FIREFOX || this.BROWSER_VERSION_MAJOR < 65;
+            this.MEASURE_OFFSET_EXCLUDES_BORDER = true;
+            this.QUIRK_MEASURE_OFFSET_HIDDEN_BORDER = true;
+            if (this.BROWSER_FIREFOX) {
+                if (this.BROWSER_VERSION_MAJOR < 2) {
+                    this.QUIRK_DELAYED_FOCUS_REQUIRED = true;
+                }
+            } else {
+                this.QUIRK_PERFORMANCE_LARGE_DOM_REMOVE = true;
+                this.QUIRK_DELAYED_FOCUS_REQUIRED = true;
+            }
+        } else if (this.ENGINE_PRESTO) {
+            this.QUIRK_KEY_CODE_IS_CHAR_CODE = true;
+            this.QUIRK_TABLE_CELL_WIDTH_EXCLUDES_PADDING = true;
+            if (this.BROWSER_VERSION_MAJOR == 9 && this.BROWSER_VERSION_MINOR >= 50) {
+                this.QUIRK_OPERA_CSS_POSITIONING = true;
+            }
+            this.NOT_SUPPORTED_RELATIVE_COLUMN_WIDTHS = true;
+        } else if (this.ENGINE_WEBKIT) {
+            this.MEASURE_OFFSET_EXCLUDES_BORDER = true;
+            if (this.ENGINE_VERSION_MAJOR < 526 || (this.ENGINE_VERSION_MAJOR == 526 && this.ENGINE_VERSION_MINOR < 8)) {
+                this.QUIRK_WEBKIT_DOM_TEXT_ESCAPE = true; //https://bugs.webkit.org/show_bug.cgi?id=18421, fixed in 526.8
+            }
+        }
+        
+        this._runProbes();
+        
+        // Store detected values, apply overrides.
+        this._detected = { };
+        for (var flag in this._overrides) {
+            this._detected[flag] = this[flag];
+            this[flag] = this._overrides[flag];
+        }
+        this._initialized = true;
+    },
+    
+    /**
+     * Parses version information from user agent string. The text argument specifies
+     * the string that prefixes the version info in the ua string (ie 'version/' for Safari for example).
+     * <p>
+     * The major version is retrieved by getting the int between text and the first dot. The minor version
+     * is retrieved by getting the int between the first dot and the first non-numeric character that appears
+     * after the dot, or the end of the ua string (whichever comes first).
+     * If the ua string does not supply a minor version, the minor version is assumed to be 0.
+     *
+     * @param ua the lower cased user agent string
+     * @param searchString the text that prefixes the version info (version info must be the first appearance of 
+     *          this text in the ua string)
+     */
+    _parseVersionInfo: function(searchString) {
+        var version = { };
+        
+        var ix1 = this._ua.indexOf(searchString);
+        if (ix1 == -1) {
+            return;
+        }
+        
+        var ix2 = this._ua.indexOf(".", ix1);
+        var ix3 = this._ua.length;
+        
+        if (ix2 == -1) {
+            ix2 = this._ua.length;
+        } else {
+            // search for the first non-number character after the dot
+            for (var i = ix2 + 1; i < this._ua.length; i++) {
+                var c = this._ua.charAt(i);
+                if (isNaN(c)) {
+                    ix3 = i;
+                    break;
+                }
+            }
+        }
+        
+        version.major = parseInt(this._ua.substring(ix1 + searchString.length, ix2), 10);
+        if (ix2 == this._ua.length) {
+            version.minor = 0;
+        } else {
+            version.minor = parseInt(this._ua.substring(ix2 + 1, ix3), 10);
+        }
+        
+        return version;
+    },
+    
+    /**
+     * Measures the difference between an element's actual position within a bordered container and its reported
+     * offset position, i.e., the amount by which offset measurements exclude the container's border, in multiples of
+     * the border width.
+     * 
+     * @param {Boolean} overflowHidden flag indicating whether the container should have hidden overflow
+     * @return the number of border widths excluded from the offset (0 if layout is not performed), or null if it cannot
+     *         be determined (the document body is not available)
+     * @type Number
+     */
+    _probeOffsetBorder: function(overflowHidden) {
+        if (!document.body) {
+            return null;
+        }
+        var container = document.createElement("div");
+        container.style.cssText = "position:absolute;visibility:hidden;left:0;top:0;width:20px;height:20px;" +
+                "border:7px solid #000000;" + (overflowHidden ? "overflow:hidden;" : "");
+        var element = document.createElement("div");
+        element.style.cssText = "position:absolute;left:0;top:0;width:1px;height:1px;";
+        container.appendChild(element);
+        document.body.appendChild(container);
+        try {
+            if (!container.offsetWidth || !container.getBoundingClientRect) {
+                // Layout not performed: offsets are not measured, thus borders are not excluded.
+                return 0;
+            }
+            var actual = element.getBoundingClientRect().left - container.getBoundingClientRect().left,
+                measured = element.offsetLeft + (element.offsetParent == container ? 0 : -container.offsetLeft);
+            return Math.round((actual - measured) / 7);
+        } finally {
+            document.body.removeChild(container);
+        }
+    },
+    
+    /**
+     * Runs feature detection probes, setting the values of flags which can be determined.
+     * 
+     * @see #_probes
+     */
+    _runProbes: function() {
+        for (var flag in this._probes) {
+            var value;
+            try {
+                value = this._probes[flag].call(this);
+            } catch (ex) {
+                // Probe failed: retain user-agent derived value.
+                continue;
+            }
+            if (value !== undefined) {
+                this[flag] = value;
+            }
+        }
+    },
+    
+    _testUAString: function(browser) {
+        return this._uaAlpha.indexOf("/" + browser + "/") != -1;
+    }
+};
+
+/**
+ * Event Processing System namespace. The static methods in this object provide
+ * a standard framework for handling DOM events across often-incompatible
+ * browser platforms.
+ * <p>
+ * <b>Event Propagation:</b> Capturing listeners are notified of events first,
+ * followed by bubbling listeners. During the capturing phase of event firing,
+ * listeners on higher-level DOM elements are notified before the lower-level
+ * DOM elements. During the bubbling phase of event firing, lower-level DOM
+ * elements are notified before higher-level DOM elements.
+ * <p>
+ * For example, given the DOM hierarchy
+ * <code>&lt;body&gt;&lt;div&gt;&lt;span&gt;&lt;/span&gt;&lt;/div&gt;&lt;/body&gt;</code>,
+ * with click listeners registered for both capturing and bubbling phases on all
+ * elements, the listener notification order for a click on the
+ * <code>&lt;span&gt;</code> element would be as folows:
+ * <ol>
+ * <li>Notify capturing listener of <code>&lt;body&gt;</code> element.</li>
+ * <li>Notify capturing listener of <code>&lt;div&gt;</code> element.</li>
+ * <li>Notify capturing listener of <code>&lt;span&gt;</code> element.</li>
+ * <li>Notify bubbling listener of <code>&lt;span&gt;</code> element.</li>
+ * <li>Notify bubbling listener of <code>&lt;div&gt;</code> element.</li>
+ * <li>Notify bubbling listener of <code>&lt;body&gt;</code> element.</li>
+ * </ol>
+ * <b>Listener Return Values:</b> Listeners should return a value of true if
+ * they wish to continue to allow propogation of an event, and false if they do
+ * not.
+ * <p>
+ * <b>Capturing/Bubbling Listeners:</b> This implementation allows for the
+ * registration of both capturing and bubbling event listeners on all browser
+ * platforms, including Internet Explorer, even though Internet Explorer does
+ * not inhererntly support such listeners. This is accomplished by the Event
+ * system adding a layer of abstraction between event registration and the
+ * browser, and then invoking event listeners itself.
+ * <p>
+ * This implementation relies on the fact that all event listeners will be 
+ * registered through it.  The implementation is in fact internally registering only
+ * bubbling-phase event listeners on the DOM.  Thus, if other event listeners are 
+ * registered directly on the DOM, scenarios may occur such as a direct-registered
+ * bubbling listener receiving an event before a Core.Web.Event-registered capturing
+ * listener.  This is not necessarily a critical issue, but the developer should
+ * be aware of it. 
+ * <p>
+ * <b>Pointer Events:</b> Listeners may be registered for the "pointerdown", "pointermove", "pointerup", and 
+ * "pointercancel" event types, which unify mouse, touch, and pen input, on all browser platforms.  Where W3C Pointer 
+ * Events are not supported (see <code>Core.Web.Env.NOT_SUPPORTED_POINTER_EVENTS</code>), these events are synthesized
+ * from mouse and touch events (by a single capturing listener registered on the document), providing the 
+ * <code>pointerId</code>, <code>pointerType</code>, <code>isPrimary</code>, <code>clientX</code>/<code>clientY</code>,
+ * <code>pageX</code>/<code>pageY</code>, <code>button</code>, <code>buttons</code>, modifier key, and 
+ * <code>originalEvent</code> properties.  Preventing the default action of a synthesized "pointermove" event prevents 
+ * that of the originating touch event (i.e., scrolling).  Pointer capture is provided by 
+ * <code>setPointerCapture()</code>/<code>releasePointerCapture()</code>.  Elements which process pointer-based 
+ * dragging should specify a <code>touch-action</code> CSS style of "none" (see <code>setTouchAction()</code>).
+ * <p>
+ * Higher-level touch gestures (tap, long-press, swipe, and pinch) are recognized by 
+ * <code>Core.Web.Event.GestureRecognizer</code>.
+ * 
+ * @class
+ */
+Core.Web.Event = {
+    
+    /**
+     * Provides utilities for restricting selection of DOM elements.  These are necessary as double click and drag
+     * events will cause/begin undesired selections.
+     */
+    Selection: {
+
+        /**
+         * Adds a listener to an element that will prevent text selection / highlighting as a result of mouse clicks.
+         * The disable() method should be invoked when the element is to be disposed.
+         * The event is registered using the event processor, so invoking Core.Web.Event.removeAll() on its
+         * element will also dispose it.
+         *
+         * @param {Element} element the element on which to forbid text selection
+         * @see Core.Web.Event.Selection#enable
+         */
+        disable: function(element) {
+            Core.Web.Event.add(element, "mousedown", Core.Web.Event.Selection._disposeEvent, false);
+            if (Core.Web.Env.PROPRIETARY_EVENT_SELECT_START_SUPPORTED) {
+                Core.Web.Event.add(element, "selectstart", Core.Web.Event.Selection._disposeEvent, false);
+            }
+        },
+        
+        /**
+         * Selection denial listener implementation.
+         * 
+         * @param e the selection/click event
+         */
+        _disposeEvent: function(e) {
+            Core.Web.DOM.preventEventDefault(e);
+        },
+    
+        /**
+         * Removes a selection denial listener.
+         * 
+         * @param element the element from which to remove the selection denial listener
+         * @see Core.Web.Event.Selection#enable
+         */
+        enable: function(element) {
+            Core.Web.Event.remove(element, "mousedown", Core.Web.Event.Selection._disposeEvent, false);
+            if (Core.Web.Env.PROPRIETARY_EVENT_SELECT_START_SUPPORTED) {
+                Core.Web.Event.remove(element, "selectstart", Core.Web.Event.Selection._disposeEvent, false);
+            }
+        }
+    },
+    
+    /**
+     * Next available sequentially assigned element identifier.
+     * Elements are assigned unique identifiers to enable mapping between 
+     * elements and lists of registered event listeners.
+     *
+     * @type Integer
+     */
+    _nextId: 0,
+    
+    /**
+     * Current listener count.
+     */
+    _listenerCount: 0,
+    
+    /**
+     * Flag to display listener count every time an event is fired.  Enable this flag to check for listener leaks.
+     */
+    debugListenerCount: false,
+    
+    /**
+     * Mapping between element ids and ListenerLists containing listeners to invoke during capturing phase.
+     * @type Core.Arrays.LargeMap
+     */
+    _capturingListenerMap: new Core.Arrays.LargeMap(),
+    
+    /**
+     * Mapping between element ids and ListenerLists containing listeners to invoke during bubbling phase.
+     * @type Core.Arrays.LargeMap
+     */
+    _bubblingListenerMap: new Core.Arrays.LargeMap(),
+    
+    /**
+     * Time (in milliseconds) after a touch event during which mouse events are ignored when synthesizing pointer events,
+     * as browsers fire emulated mouse events following touch events.
+     * @type Number
+     */
+    _TOUCH_MOUSE_SUPPRESS_TIME: 1000,
+    
+    /**
+     * Mapping between mouse/touch event types and the pointer event types synthesized from them, used when 
+     * pointer events are not supported.
+     */
+    _pointerFallbackTypes: { 
+        mousedown: "pointerdown", mousemove: "pointermove", mouseup: "pointerup",
+        touchstart: "pointerdown", touchmove: "pointermove", touchend: "pointerup", touchcancel: "pointercancel"
+    },
+    
+    /**
+     * Flag indicating whether the document-level listener used to synthesize pointer events has been registered.
+     * @type Boolean
+     */
+    _pointerFallbackInstalled: false,
+    
+    /**
+     * Mapping between pointer ids and elements which have captured them, used when pointer events are not supported.
+     */
+    _pointerCaptureElements: {},
+    
+    /**
+     * The pointer id of the primary touch point, used when pointer events are not supported.
+     * @type Number
+     */
+    _primaryTouchPointerId: null,
+    
+    /**
+     * Time of the most recently received touch event, used when pointer events are not supported.
+     * @type Number
+     */
+    _lastTouchTime: 0,
+    
+    /**
+     * Registers an event handler.
+     *
+     * @param {Element} element the DOM element on which to add the event handler
+     * @param {String} eventType the DOM event type
+     * @param {Function} eventTarget the event handler to invoke when the event is fired
+     * @param {Boolean} capture true to fire the event during the capturing phase, false to fire the event during
+     *        the bubbling phase
+     */
+    add: function(element, eventType, eventTarget, capture) {
+        // Assign event processor element id to element if not present.
+        if (!element.__eventProcessorId) {
+            element.__eventProcessorId = ++Core.Web.Event._nextId;
+        }
+    
+        var listenerList;
+        
+        // Determine the Core.ListenerList to which the listener should be added.
+        if (element.__eventProcessorId == Core.Web.Event._lastId && 
+                capture == Core.Web.Event._lastCapture) {
+            // If the 'element' and 'capture' properties are identical to those specified on the prior invocation
+            // of this method, the correct listener list is stored in the '_lastListenerList' property. 
+            listenerList = Core.Web.Event._lastListenerList; 
+        } else {
+            // Obtain correct id->ListenerList mapping based on capture parameter.
+            var listenerMap = capture ? Core.Web.Event._capturingListenerMap : Core.Web.Event._bubblingListenerMap;
+            
+            // Obtain ListenerList based on element id.                              
+            listenerList = listenerMap.get(element.__eventProcessorId);
+            if (!listenerList) {
+                // Create new ListenerList if none exists.
+                listenerList = new Core.ListenerList();
+                listenerMap.set(element.__eventProcessorId, listenerList);
+            }
+            
+            // Cache element's event processor id, capture parameter value, and listener list.
+            // If the same element/capture properties are provided in the next call (which commonly occurs),
+            // the lookup operation will be unnecessary.
+            Core.Web.Event._lastId = element.__eventProcessorId;
+            Core.Web.Event._lastCapture = capture;
+            Core.Web.Event._lastListenerList = listenerList;
+        }
+    
+        // Register event listener on DOM element.
+        if (Core.Web.Event._isSynthesizedType(eventType)) {
+            // Synthesized pointer events are dispatched by a document-level listener.
+            Core.Web.Event._installPointerFallback();
+        } else if (!listenerList.hasListeners(eventType)) {
+            Core.Web.DOM.addEventListener(element, eventType, Core.Web.Event._processEvent, false);
+            ++Core.Web.Event._listenerCount;
+        }
+
+        // Add event handler to the ListenerList.
+        listenerList.addListener(eventType, eventTarget);
+    },
+    
+    /**
+     * Notifies capturing and bubbling listeners registered on the target of an event and its ancestors, in the 
+     * appropriate order.
+     * 
+     * @param e the event, with its <code>target</code> property set
+     */
+    _fireEvent: function(e) {
+        // Establish array containing elements ancestry, with index 0 containing 
+        // the element and the last index containing its most distant ancestor.  
+        // Only record elements that have ids.
+        var elementAncestry = [];
+        var targetElement = e.target;
+        while (targetElement) {
+            if (targetElement.__eventProcessorId) { // Element Node with identifier.
+                elementAncestry.push(targetElement);
+            }
+            targetElement = targetElement.parentNode;
+        }
+
+        var listenerList, i, propagate = true;
+
+        // Fire event to capturing listeners.
+        for (i = elementAncestry.length - 1; i >= 0; --i) {
+            listenerList = Core.Web.Event._capturingListenerMap.get(elementAncestry[i].__eventProcessorId);
+            if (listenerList) {
+                // Set registered target on event.
+                e.registeredTarget = elementAncestry[i];
+                if (!listenerList.fireEvent(e)) {
+                    // Stop propagation if requested.
+                    propagate = false;
+                    break;
+                }
+            }
+        }
+
+        if (propagate) {
+            // Fire event to bubbling listeners.
+            for (i = 0; i < elementAncestry.length; ++i) {
+                listenerList = Core.Web.Event._bubblingListenerMap.get(elementAncestry[i].__eventProcessorId);
+                if (listenerList) {
+                    // Set registered target on event.
+                    e.registeredTarget = elementAncestry[i];
+                    if (!listenerList.fireEvent(e)) {
+                        // Stop propagation if requested.
+                        break;
+                    }
+                }
+            }
+        }
+    },
+    
+    /**
+     * Synthesizes and fires a pointer event from a mouse event or a single touch point of a touch event.
+     * 
+     * @param {Event} e the originating mouse/touch event
+     * @param {String} type the pointer event type
+     * @param source the object providing coordinates and target, i.e., the mouse event or a <code>Touch</code>
+     * @param {Number} pointerId the pointer id
+     * @param {String} pointerType the pointer type, "mouse" or "touch"
+     * @return true if a listener prevented the default action of the pointer event
+     * @type Boolean
+     */
+    _firePointerEvent: function(e, type, source, pointerId, pointerType) {
+        var mouse = pointerType == "mouse",
+            up = type == "pointerup" || type == "pointercancel";
+        
+        if (!mouse && type == "pointerdown" && Core.Web.Event._primaryTouchPointerId == null) {
+            Core.Web.Event._primaryTouchPointerId = pointerId;
+        }
+        
+        var pointerEvent = {
+            type: type,
+            pointerId: pointerId,
+            pointerType: pointerType,
+            isPrimary: mouse || pointerId == Core.Web.Event._primaryTouchPointerId,
+            target: Core.Web.Event._pointerCaptureElements[pointerId] || source.target || source.srcElement,
+            clientX: source.clientX,
+            clientY: source.clientY,
+            pageX: source.pageX,
+            pageY: source.pageY,
+            button: mouse ? e.button : 0,
+            buttons: mouse ? e.buttons : (up ? 0 : 1),
+            altKey: e.altKey,
+            ctrlKey: e.ctrlKey,
+            metaKey: e.metaKey,
+            shiftKey: e.shiftKey,
+            originalEvent: e,
+            defaultPrevented: false,
+            preventDefault: function() {
+                this.defaultPrevented = true;
+            },
+            stopPropagation: function() { }
+        };
+        
+        Core.Web.Event._fireEvent(pointerEvent);
+        
+        if (up) {
+            // Implicitly release pointer capture.
+            delete Core.Web.Event._pointerCaptureElements[pointerId];
+            if (pointerId == Core.Web.Event._primaryTouchPointerId) {
+                Core.Web.Event._primaryTouchPointerId = null;
+            }
+        }
+        
+        return pointerEvent.defaultPrevented;
+    },
+    
+    /**
+     * Registers the document-level listener used to synthesize pointer events, if not previously registered.
+     */
+    _installPointerFallback: function() {
+        if (Core.Web.Event._pointerFallbackInstalled) {
+            return;
+        }
+        for (var type in Core.Web.Event._pointerFallbackTypes) {
+            Core.Web.DOM.addEventListener(document, type, Core.Web.Event._processPointerFallback, true);
+        }
+        Core.Web.Event._pointerFallbackInstalled = true;
+    },
+    
+    /**
+     * Determines if events of the specified type are synthesized (rather than received from the DOM), i.e., whether 
+     * the type is a pointer event type and pointer events are not supported.
+     * 
+     * @param {String} eventType the event type
+     * @return true if the events are synthesized
+     * @type Boolean
+     */
+    _isSynthesizedType: function(eventType) {
+        return Core.Web.Env.NOT_SUPPORTED_POINTER_EVENTS && (eventType == "pointerdown" || eventType == "pointermove" || 
+                eventType == "pointerup" || eventType == "pointercancel");
+    },
+    
+    /**
+     * Listener method which is invoked when ANY event registered with the event processor occurs.
+     * 
+     * @param {Event} e 
+     */
+    _processEvent: function(e) {
+        if (Core.Web.Event.debugListenerCount) {
+            Core.Debug.consoleWrite("Core.Web.Event listener count: " + Core.Web.Event._listenerCount);        
+        }
+
+        e = e ? e : window.event;
+        
+        if (!e.target && e.srcElement) {
+            // The Internet Explorer event model stores the target element in the 'srcElement' property of an event.
+            // Modify the event such the target is retrievable using the W3C DOM Level 2 specified property 'target'.
+            e.target = e.srcElement;
+        }
+        
+        Core.Web.Event._fireEvent(e);
+
+        // Inform DOM to stop propagation of event, in all cases.
+        // Event will otherwise be re-processed by higher-level elements registered with the event processor.
+        Core.Web.DOM.stopEventPropagation(e);
+    },
+    
+    /**
+     * Document-level (capturing) listener which synthesizes pointer events from mouse and touch events.
+     * Used only when pointer events are not supported.
+     * 
+     * @param {Event} e the mouse/touch event
+     */
+    _processPointerFallback: function(e) {
+        e = e ? e : window.event;
+        var type = Core.Web.Event._pointerFallbackTypes[e.type],
+            prevented = false,
+            now = new Date().getTime();
+        
+        if (e.changedTouches) {
+            Core.Web.Event._lastTouchTime = now;
+            for (var i = 0; i < e.changedTouches.length; ++i) {
+                if (Core.Web.Event._firePointerEvent(e, type, e.changedTouches[i], e.changedTouches[i].identifier + 2, 
+                        "touch")) {
+                    prevented = true;
+                }
+            }
+            // Cancel touchmove events only: cancelling touchstart/touchend would suppress click events.
+            if (prevented && type == "pointermove") {
+                Core.Web.DOM.preventEventDefault(e);
+            }
+        } else {
+            if (now - Core.Web.Event._lastTouchTime < Core.Web.Event._TOUCH_MOUSE_SUPPRESS_TIME) {
+                // Ignore emulated mouse event following touch event.
+                return;
+            }
+            if (Core.Web.Event._firePointerEvent(e, type, e, 1, "mouse")) {
+                Core.Web.DOM.preventEventDefault(e);
+            }
+        }
+    },
+    
+    /**
+     * Releases capture of a pointer by an element.
+     * 
+     * @param {Element} element the element which captured the pointer
+     * @param {Number} pointerId the pointer id
+     * @see #setPointerCapture
+     */
+    releasePointerCapture: function(element, pointerId) {
+        if (Core.Web.Env.NOT_SUPPORTED_POINTER_EVENTS) {
+            if (Core.Web.Event._pointerCaptureElements[pointerId] == element) {
+                delete Core.Web.Event._pointerCaptureElements[pointerId];
+            }
+        } else if (element.releasePointerCapture) {
+            try {
+                element.releasePointerCapture(pointerId);
+            } catch (ex) {
+                // Pointer is not active/captured: do nothing.
+            }
+        }
+    },
+    
+    /**
+     * Unregisters an event handler.
+     * 
+     * CAUTION: If you are unregistering an event listener created with Core.method(), please see the documentation for
+     * Core.method() and note that a new closure-wrapped method is returned each time Core.method() is invoked.
+     * Thus calling removeListener(Core.method(this, this,_someListener)) will NOT remove an existing listener.
+     * The solution to this issue is to retain a reference to Core.method() wrapped listeners within the object
+     * that will register and unregister them.
+     * 
+     * If you are removing all listeners registered for a particular element (e.g., one which is being disposed)
+     * it is more efficient to simply invoke removeAll().
+     *
+     * @param {Element} element the DOM element on which to add the event handler
+     * @param {String} eventType the DOM event type
+     * @param {Function} eventTarget the function to invoke when the event is fired
+     * @param {Boolean} capture true to fire the event during the capturing phase, false to fire the event during
+     *        the bubbling phase
+     */
+    remove: function(element, eventType, eventTarget, capture) {
+        Core.Web.Event._lastId = null;
+        
+        if (!element.__eventProcessorId) {
+            return;
+        }
+    
+        // Obtain correct id->ListenerList mapping based on capture parameter.
+        var listenerMap = capture ? Core.Web.Event._capturingListenerMap : Core.Web.Event._bubblingListenerMap;
+    
+        // Obtain ListenerList based on element id.                              
+        var listenerList = listenerMap.get(element.__eventProcessorId);
+        if (listenerList) {
+            // Remove event handler from the ListenerList.
+            listenerList.removeListener(eventType, eventTarget);
+            
+            if (listenerList.isEmpty()) {
+                listenerMap.remove(element.__eventProcessorId);
+            }
+
+            // Unregister event listener on DOM element if all listeners have been removed.
+            if (!listenerList.hasListeners(eventType) && !Core.Web.Event._isSynthesizedType(eventType)) {
+                Core.Web.DOM.removeEventListener(element, eventType, Core.Web.Event._processEvent, false);
+                --Core.Web.Event._listenerCount;
+            }
+        }
+    },
+    
+    /**
+     * Unregister all event handlers from a specific element.
+     * Use of this operation is recommended when disposing of components, it is
+     * more efficient than removing listeners individually and guarantees proper clean-up.
+     * 
+     * @param {Element} element the element
+     */
+    removeAll: function(element) {
+        Core.Web.Event._lastId = null;
+        if (!element.__eventProcessorId) {
+            return;
+        }
+        Core.Web.Event._removeAllImpl(element, Core.Web.Event._capturingListenerMap);
+        Core.Web.Event._removeAllImpl(element, Core.Web.Event._bubblingListenerMap);
+    },
+    
+    /**
+     * Implementation method for removeAll().
+     * Removes all capturing or bubbling listeners from a specific element
+     * 
+     * @param {Element} element the element
+     * @param {Core.Arrays.LargeMap} listenerMap the map from which the listeners should be removed, either
+     *        Core.Web.Event._capturingListenerMap or Core.Web.Event._bubblingListenerMap
+     */
+    _removeAllImpl: function(element, listenerMap) {
+        var listenerList = listenerMap.get(element.__eventProcessorId);
+        if (!listenerList) {
+            return;
+        }
+    
+        var types = listenerList.getListenerTypes();
+        for (var i = 0; i < types.length; ++i) {
+            if (!Core.Web.Event._isSynthesizedType(types[i])) {
+                Core.Web.DOM.removeEventListener(element, types[i], Core.Web.Event._processEvent, false);
+                --Core.Web.Event._listenerCount;
+            }
+        }
+        
+        listenerMap.remove(element.__eventProcessorId);
+    },
+    
+    /**
+     * Captures a pointer, such that subsequent events of the pointer are targeted at the specified element (regardless
+     * of the position of the pointer) until the pointer is released (i.e., a "pointerup" or "pointercancel" event occurs)
+     * or <code>releasePointerCapture()</code> is invoked.  Typically invoked by a "pointerdown" listener which begins
+     * a drag operation.
+     * 
+     * @param {Element} element the element which should capture the pointer
+     * @param {Number} pointerId the pointer id, i.e., the <code>pointerId</code> property of a pointer event
+     */
+    setPointerCapture: function(element, pointerId) {
+        if (Core.Web.Env.NOT_SUPPORTED_POINTER_EVENTS) {
+            Core.Web.Event._pointerCaptureElements[pointerId] = element;
+        } else if (element.setPointerCapture) {
+            try {
+                element.setPointerCapture(pointerId);
+            } catch (ex) {
+                // Pointer is no longer active: do nothing.
+            }
+        }
+    },
+    
+    /**
+     * Sets the <code>touch-action</code> CSS style of an element, which determines the touch input that will be
+     * handled by the browser (e.g., for scrolling/zooming) rather than being delivered as pointer events.
+     * Elements which process pointer-based dragging should specify "none".
+     * 
+     * @param {Element} element the element
+     * @param {String} touchAction the touch-action value, e.g., "none"
+     */
+    setTouchAction: function(element, touchAction) {
+        element.style.touchAction = touchAction;
+        if (Core.Web.Env.BROWSER_INTERNET_EXPLORER) {
+            element.style.msTouchAction = touchAction;
+        }
+    },
+    
+    /**
+     * toString() implementation for debugging purposes.
+     * Displays contents of capturing and bubbling listener maps.
+     * 
+     * @return string representation of listener maps
+     * @type String
+     */
+    toString: function() {
+        return "Capturing: " + Core.Web.Event._capturingListenerMap + "\n" + "Bubbling: " + Core.Web.Event._bubblingListenerMap;
+    }
+};
+
+/**
+ * Recognizes touch gestures performed on an element, based on pointer events.
+ * Recognized gestures are reported to listeners as events of the following types:
+ * <ul>
+ *  <li><code>tap</code>: a pointer was pressed and released without significant movement.  
+ *   Provides <code>x</code>, <code>y</code>, and <code>pointerType</code> properties.</li>
+ *  <li><code>longpress</code>: a pointer was pressed and held without significant movement for 
+ *   <code>LONG_PRESS_TIME</code> milliseconds.  Provides <code>x</code>, <code>y</code>, and <code>pointerType</code>
+ *   properties.  A <code>tap</code> event will not be fired when the pointer is released.</li>
+ *  <li><code>swipe</code>: a pointer was quickly moved in a single direction and released.  Provides 
+ *   <code>direction</code> ("left", "right", "up", or "down"), <code>deltaX</code>, <code>deltaY</code>, and 
+ *   <code>pointerType</code> properties.</li>
+ *  <li><code>pinch</code>: the distance between two pointers changed.  Provides <code>phase</code> ("start", "move", 
+ *   or "end"), <code>scale</code> (current distance between pointers relative to the initial distance), and 
+ *   <code>centerX</code>/<code>centerY</code> properties.</li>
+ * </ul>
+ * All positions are reported in client coordinates.
+ * Pointers pressed on the element are captured by the element until released.
+ */
+Core.Web.Event.GestureRecognizer = Core.extend({
+
+    $static: {
+    
+        /**
+         * Time (in milliseconds) a pointer must be held to perform a long-press gesture.
+         * @type Number
+         */
+        LONG_PRESS_TIME: 500,
+        
+        /**
+         * Minimum distance (in pixels) a pointer must be moved to perform a swipe gesture.
+         * @type Number
+         */
+        SWIPE_MIN_DISTANCE: 30,
+        
+        /**
+         * Maximum time (in milliseconds) in which a swipe gesture must be performed.
+         * @type Number
+         */
+        SWIPE_MAX_TIME: 500,
+        
+        /**
+         * Maximum distance (in pixels) a pointer may be moved while performing a tap or long-press gesture.
+         * @type Number
+         */
+        TAP_MAX_DISTANCE: 10
+    },
+    
+    /**
+     * The element on which gestures are recognized.
+     * @type Element
+     */
+    element: null,
+    
+    /**
+     * Listener list.
+     * @type Core.ListenerList
+     */
+    _listenerList: null,
+    
+    /**
+     * Mapping between pointer ids and objects describing active pointers, providing <code>startX</code>, 
+     * <code>startY</code>, <code>startTime</code>, <code>x</code>, <code>y</code>, and <code>pointerType</code> 
+     * properties.
+     */
+    _pointers: null,
+    
+    /**
+     * Number of active pointers.
+     * @type Number
+     */
+    _pointerCount: 0,
+    
+    /**
+     * Runnable which fires the long-press event, scheduled when a single pointer is pressed.
+     * @type Core.Web.Scheduler.Runnable
+     */
+    _longPressRunnable: null,
+    
+    /**
+     * Distance between pointers at the start of the active pinch gesture, null if no pinch gesture is active.
+     * @type Number
+     */
+    _pinchStartDistance: null,
+    
+    /**
+     * Most recently reported scale and center point of the active pinch gesture.
+     * @type Number
+     */
+    _pinchScale: null, _pinchCenterX: null, _pinchCenterY: null,
+    
+    /**
+     * Flag indicating whether the active gesture has been completed or abandoned, such that no further tap, long-press,
+     * or swipe events should be fired until all pointers are released.
+     * @type Boolean
+     */
+    _gestureDone: false,
+    
+    /**
+     * Creates a new GestureRecognizer.
+     * 
+     * @param {Element} element the element on which gestures should be recognized
+     */
+    $construct: function(element) {
+        this.element = element;
+        this._listenerList = new Core.ListenerList();
+        this._pointers = {};
+        this._processPointerDownRef = Core.method(this, this._processPointerDown);
+        this._processPointerMoveRef = Core.method(this, this._processPointerMove);
+        this._processPointerUpRef = Core.method(this, this._processPointerUp);
+        this._processPointerCancelRef = Core.method(this, this._processPointerCancel);
+        Core.Web.Event.add(element, "pointerdown", this._processPointerDownRef, false);
+        Core.Web.Event.add(element, "pointermove", this._processPointerMoveRef, false);
+        Core.Web.Event.add(element, "pointerup", this._processPointerUpRef, false);
+        Core.Web.Event.add(element, "pointercancel", this._processPointerCancelRef, false);
+    },
+    
+    /**
+     * Adds a gesture listener.
+     * 
+     * @param {String} eventType the gesture type, i.e., "tap", "longpress", "swipe", or "pinch"
+     * @param {Function} eventTarget the listener function
+     */
+    addListener: function(eventType, eventTarget) {
+        this._listenerList.addListener(eventType, eventTarget);
+    },
+    
+    /**
+     * Cancels the scheduled long-press event, if any.
+     */
+    _cancelLongPress: function() {
+        if (this._longPressRunnable) {
+            Core.Web.Scheduler.remove(this._longPressRunnable);
+            this._longPressRunnable = null;
+        }
+    },
+    
+    /**
+     * Disposes of the recognizer, removing its listeners from the element.
+     */
+    dispose: function() {
+        this._cancelLongPress();
+        Core.Web.Event.remove(this.element, "pointerdown", this._processPointerDownRef, false);
+        Core.Web.Event.remove(this.element, "pointermove", this._processPointerMoveRef, false);
+        Core.Web.Event.remove(this.element, "pointerup", this._processPointerUpRef, false);
+        Core.Web.Event.remove(this.element, "pointercancel", this._processPointerCancelRef, false);
+        this._pointers = {};
+        this._pointerCount = 0;
+        this.element = null;
+    },
+    
+    /**
+     * Fires a gesture event.
+     * 
+     * @param {String} type the gesture type
+     * @param properties additional event properties
+     */
+    _fireGesture: function(type, properties) {
+        var e = { type: type, source: this };
+        for (var x in properties) {
+            e[x] = properties[x];
+        }
+        this._listenerList.fireEvent(e);
+    },
+    
+    /**
+     * Returns the distance and center point between the first two active pointers.
+     * 
+     * @return an object providing <code>distance</code>, <code>centerX</code>, and <code>centerY</code> properties
+     */
+    _getPinchMetrics: function() {
+        var points = [];
+        for (var id in this._pointers) {
+            points.push(this._pointers[id]);
+            if (points.length == 2) {
+                break;
+            }
+        }
+        var dx = points[1].x - points[0].x, dy = points[1].y - points[0].y;
+        return {
+            distance: Math.sqrt(dx * dx + dy * dy),
+            centerX: (points[0].x + points[1].x) / 2,
+            centerY: (points[0].y + points[1].y) / 2
+        };
+    },
+    
+    /**
+     * Ends the active pinch gesture, if any, firing a "pinch" event with the "end" phase.
+     */
+    _endPinch: function() {
+        if (this._pinchStartDistance != null) {
+            this._fireGesture("pinch", { phase: "end", scale: this._pinchScale, centerX: this._pinchCenterX,
+                    centerY: this._pinchCenterY });
+            this._pinchStartDistance = null;
+        }
+    },
+    
+    /**
+     * Processes a pointer cancel event.
+     * 
+     * @param e the event
+     */
+    _processPointerCancel: function(e) {
+        if (this._pointers[e.pointerId]) {
+            this._gestureDone = true;
+            this._removePointer(e.pointerId);
+        }
+        return true;
+    },
+    
+    /**
+     * Processes a pointer down event.
+     * 
+     * @param e the event
+     */
+    _processPointerDown: function(e) {
+        if (e.pointerType == "mouse" && e.button !== 0) {
+            return true;
+        }
+        Core.Web.Event.setPointerCapture(this.element, e.pointerId);
+        this._pointers[e.pointerId] = { startX: e.clientX, startY: e.clientY, x: e.clientX, y: e.clientY, 
+                startTime: new Date().getTime(), pointerType: e.pointerType };
+        ++this._pointerCount;
+        
+        if (this._pointerCount == 1) {
+            this._gestureDone = false;
+            this._cancelLongPress();
+            var pointer = this._pointers[e.pointerId];
+            this._longPressRunnable = Core.Web.Scheduler.run(Core.method(this, function() {
+                this._longPressRunnable = null;
+                if (!this._gestureDone && this._pointerCount == 1) {
+                    this._gestureDone = true;
+                    this._fireGesture("longpress", { x: pointer.x, y: pointer.y, pointerType: pointer.pointerType });
+                }
+            }), Core.Web.Event.GestureRecognizer.LONG_PRESS_TIME);
+        } else {
+            // Multiple pointers: not a tap, long-press, or swipe.
+            this._gestureDone = true;
+            this._cancelLongPress();
+            if (this._pointerCount == 2) {
+                var metrics = this._getPinchMetrics();
+                this._pinchStartDistance = metrics.distance || 1;
+                this._pinchScale = 1;
+                this._pinchCenterX = metrics.centerX;
+                this._pinchCenterY = metrics.centerY;
+                this._fireGesture("pinch", { phase: "start", scale: 1, centerX: metrics.centerX, 
+                        centerY: metrics.centerY });
+            }
+        }
+        return true;
+    },
+    
+    /**
+     * Processes a pointer move event.
+     * 
+     * @param e the event
+     */
+    _processPointerMove: function(e) {
+        var pointer = this._pointers[e.pointerId];
+        if (!pointer) {
+            return true;
+        }
+        pointer.x = e.clientX;
+        pointer.y = e.clientY;
+        
+        if (this._pinchStartDistance != null) {
+            var metrics = this._getPinchMetrics();
+            this._pinchScale = metrics.distance / this._pinchStartDistance;
+            this._pinchCenterX = metrics.centerX;
+            this._pinchCenterY = metrics.centerY;
+            this._fireGesture("pinch", { phase: "move", scale: this._pinchScale, centerX: metrics.centerX, 
+                    centerY: metrics.centerY });
+        } else if (this._longPressRunnable && Math.abs(pointer.x - pointer.startX) + Math.abs(pointer.y - pointer.startY) > 
+                Core.Web.Event.GestureRecognizer.TAP_MAX_DISTANCE) {
+            this._cancelLongPress();
+        }
+        return true;
+    },
+    
+    /**
+     * Processes a pointer up event.
+     * 
+     * @param e the event
+     */
+    _processPointerUp: function(e) {
+        var pointer = this._pointers[e.pointerId];
+        if (!pointer) {
+            return true;
+        }
+        pointer.x = e.clientX;
+        pointer.y = e.clientY;
+        
+        if (!this._gestureDone && this._pointerCount == 1) {
+            var deltaX = pointer.x - pointer.startX,
+                deltaY = pointer.y - pointer.startY,
+                distance = Math.sqrt(deltaX * deltaX + deltaY * deltaY),
+                time = new Date().getTime() - pointer.startTime;
+            if (distance <= Core.Web.Event.GestureRecognizer.TAP_MAX_DISTANCE) {
+                this._fireGesture("tap", { x: pointer.x, y: pointer.y, pointerType: pointer.pointerType });
+            } else if (distance >= Core.Web.Event.GestureRecognizer.SWIPE_MIN_DISTANCE && 
+                    time <= Core.Web.Event.GestureRecognizer.SWIPE_MAX_TIME) {
+                var direction = Math.abs(deltaX) > Math.abs(deltaY) ? (deltaX < 0 ? "left" : "right") : 
+                        (deltaY < 0 ? "up" : "down");
+                this._fireGesture("swipe", { direction: direction, deltaX: deltaX, deltaY: deltaY, 
+                        pointerType: pointer.pointerType });
+            }
+            this._gestureDone = true;
+        }
+        
+        this._removePointer(e.pointerId);
+        return true;
+    },
+    
+    /**
+     * Removes an active pointer, ending any pinch gesture in which it participates.
+     * 
+     * @param {Number} pointerId the pointer id
+     */
+    _removePointer: function(pointerId) {
+        this._endPinch();
+        this._cancelLongPress();
+        Core.Web.Event.releasePointerCapture(this.element, pointerId);
+        delete this._pointers[pointerId];
+        --this._pointerCount;
+    },
+    
+    /**
+     * Removes a gesture listener.
+     * 
+     * @param {String} eventType the gesture type
+     * @param {Function} eventTarget the listener function
+     */
+    removeListener: function(eventType, eventTarget) {
+        this._listenerList.removeListener(eventType, eventTarget);
+    }
+});
+
+/**
+ * Abstract base class for HTTP transports, i.e., connections to the hosting server.
+ * Provides configurable timeouts, cancellation, retries with exponential backoff, and progress notification,
+ * independent of the underlying browser API.  Implementations are <code>Core.Web.HttpConnection</code> 
+ * (<code>XMLHttpRequest</code>) and <code>Core.Web.FetchConnection</code> (<code>fetch()</code>);
+ * <code>Core.Web.Transport.create()</code> creates the most capable implementation supported by the browser.
+ * <p>
+ * The following options may be specified when a transport is created:
+ * <ul>
+ *  <li><code>timeout</code>: the maximum time (in milliseconds) to wait for each attempt to complete (default: no 
+ *   timeout)</li>
+ *  <li><code>retries</code>: the number of times a failed request will be retried (default: 0).  Only requests using
+ *   idempotent methods (e.g., GET, PUT, DELETE) are retried, and only in the event of a network error, timeout, or 
+ *   a 408, 429, or 5xx response status.</li>
+ *  <li><code>retryDelay</code>: the delay (in milliseconds) before the first retry, doubled for each subsequent 
+ *   retry (default: 500)</li>
+ *  <li><code>signal</code>: an <code>AbortSignal</code> (e.g., from an <code>AbortController</code>) which aborts the 
+ *   request when signaled (<code>abort()</code> may also be invoked directly)</li>
+ *  <li><code>priority</code>: the priority of the request, one of the <code>PRIORITY_*</code> constants (default: 
+ *   <code>PRIORITY_NORMAL</code>)</li>
+ *  <li><code>offline</code>: flag indicating that the request may be queued and performed later if the network is 
+ *   unavailable, when the offline queue is enabled (see <code>Core.Web.OfflineQueue</code>)</li>
+ * </ul>
+ * <p>
+ * Requests are scheduled by <code>Core.Web.ConnectionManager</code>, which limits the number of concurrent requests
+ * to each host, starts queued requests in order of priority, and coalesces identical GET requests.
+ * <p>
+ * A "response" event is fired to response listeners when the request has completed, failed (after any retries), 
+ * timed out, or been aborted.  The event's <code>valid</code> property indicates whether a successful response was 
+ * received; the <code>timeout</code>, <code>networkError</code>, and <code>aborted</code> properties indicate the 
+ * reason for failure where applicable, and the <code>exception</code> property provides any exception that occurred.
+ * The <code>queued</code> property indicates that the request was queued by the offline queue.
+ * "progress" events are fired to progress listeners as data is transferred, with <code>loaded</code>, 
+ * <code>total</code>, <code>lengthComputable</code>, and <code>upload</code> properties.
+ * "retry" events are fired to retry listeners before a failed request is retried, with <code>attempt</code> 
+ * (the number of the upcoming attempt) and <code>delay</code> properties.
+ * <p>
+ * Plain objects and arrays provided as the message are serialized as JSON, with a default content type of
+ * <code>application/json</code>.  JSON responses may be retrieved with <code>getResponseJson()</code>.
+ */
+Core.Web.Transport = Core.extend({
+
+    $static: {
+    
+        /**
+         * Set of HTTP methods which are idempotent, and may thus be safely retried.
+         */
+        IDEMPOTENT_METHODS: { GET: true, HEAD: true, PUT: true, DELETE: true, OPTIONS: true, TRACE: true },
+        
+        /**
+         * Priority of requests which should be performed ahead of others, e.g., requests made in response to user 
+         * input.
+         * @type Number
+         */
+        PRIORITY_HIGH: 1,
+        
+        /**
+         * Default request priority.
+         * @type Number
+         */
+        PRIORITY_NORMAL: 0,
+        
+        /**
+         * Priority of background requests, e.g., loading of libraries.
+         * @type Number
+         */
+        PRIORITY_LOW: -1,
+        
+        /**
+         * The content type used for messages serialized as JSON, when no content type is specified.
+         * @type String
+         */
+        JSON_CONTENT_TYPE: "application/json; charset=UTF-8",
+        
+        /**
+         * Creates a transport, using <code>Core.Web.FetchConnection</code> if supported by the browser (the 
+         * <code>fetch()</code> and <code>AbortController</code> APIs are available) and 
+         * <code>Core.Web.HttpConnection</code> otherwise.
+         * 
+         * @param {String} url the target URL
+         * @param {String} method the connection method, i.e., GET or POST
+         * @param messageObject the message to send (may be a String, XML DOM, or an object or array to be sent as JSON)
+         * @param {String} contentType the request content-type
+         * @param options the transport options (see class description)
+         * @return the created transport
+         * @type Core.Web.Transport
+         */
+        create: function(url, method, messageObject, contentType, options) {
+            if (window.fetch && window.AbortController) {
+                return new Core.Web.FetchConnection(url, method, messageObject, contentType, options);
+            } else {
+                return new Core.Web.HttpConnection(url, method, messageObject, contentType, options);
+            }
+        }
+    },
+    
+    $abstract: {
+    
+        /**
+         * Adopts the response received by another transport of the same type, with which this transport's request
+         * was coalesced.  Invoked in place of <code>_send()</code> for coalesced requests.  The getters of this 
+         * transport must subsequently return the adopted response.
+         * 
+         * @param {Core.Web.Transport} source the transport which performed the request
+         */
+        _adopt: function(source) { },
+        
+        /**
+         * Cancels the in-progress attempt, if any, in the underlying browser API.  
+         * The implementation must not subsequently invoke <code>_complete()</code> for the cancelled attempt.
+         */
+        _cancel: function() { },
+        
+        /**
+         * Returns all the headers of the response.
+         * 
+         * @return the response headers
+         * @type String
+         */
+        getAllResponseHeaders: function() { },
+        
+        /**
+         * Returns a header from the received response.
+         * 
+         * @param {String} header the header to retrieve
+         * @return the header value
+         * @type String
+         */
+        getResponseHeader: function(header) { },
+        
+        /**
+         * Returns the response as text.
+         * This method may only be invoked from a response handler.
+         *
+         * @return the response, as text
+         * @type String
+         */
+        getResponseText: function() { },
+        
+        /**
+         * Returns the response as an XML DOM.
+         * This method may only be invoked from a response handler.
+         *
+         * @return the response, as an XML DOM
+         * @type Document
+         */
+        getResponseXml: function() { },
+        
+        /**
+         * Returns the response status code of the HTTP connection, if available.
+         * 
+         * @return the response status code
+         * @type Number
+         */
+        getStatus: function() { },
+        
+        /**
+         * Starts an attempt to perform the request using the underlying browser API.
+         * The implementation must invoke <code>_complete()</code> when the attempt completes or fails, and
+         * should invoke <code>_fireProgress()</code> as data is transferred.
+         */
+        _send: function() { }
+    },
+    
+    $virtual: {
+    
+        /**
+         * Disposes of the connection.  This method must be invoked when the connection 
+         * will no longer be used/processed.
+         */
+        dispose: function() {
+            Core.Web.ConnectionManager._remove(this);
+            this._clearRunnables();
+            if (this._signal && this._abortRef) {
+                this._signal.removeEventListener("abort", this._abortRef);
+            }
+            this._signal = null;
+            this._listenerList = null;
+            this._messageObject = null;
+            this._disposed = true;
+            this._requestHeaders = null;
+            this._responseJson = undefined;
+        }
+    },
+
+    /** The URL. */
+    _url: null,
+    
+    /** The request content type. */
+    _contentType: null,
+    
+    /** The request method. */
+    _method: null,
+    
+    /** The message content object. */
+    _messageObject: null,
+    
+    /** Listener storage facility. */
+    _listenerList: null,
+    
+    /** Disposed state. */
+    _disposed: false,
+    
+    /** Request header value map. */
+    _requestHeaders: null,
+    
+    /**
+     * The parsed JSON response (lazily created).
+     */
+    _responseJson: undefined,
+    
+    /**
+     * Timeout of each attempt, in milliseconds, or null for no timeout.
+     * @type Number
+     */
+    timeout: null,
+    
+    /**
+     * Number of times a failed (idempotent) request will be retried.
+     * @type Number
+     */
+    retries: 0,
+    
+    /**
+     * Delay before the first retry, in milliseconds.  Doubled for each subsequent retry.
+     * @type Number
+     */
+    retryDelay: 500,
+    
+    /**
+     * The request priority, one of the <code>PRIORITY_*</code> constants.
+     * @type Number
+     */
+    priority: 0,
+    
+    /**
+     * Flag indicating whether the request may be queued by the offline queue.
+     * @type Boolean
+     */
+    offline: false,
+    
+    /**
+     * Flag indicating whether the transport is queued by the connection manager, awaiting either a connection or the 
+     * response of a coalesced request.
+     * @type Boolean
+     */
+    _queued: false,
+    
+    /**
+     * Abort signal, if provided.
+     * @type AbortSignal
+     */
+    _signal: null,
+    
+    /**
+     * Method reference to <code>abort()</code>, registered as a listener on the abort signal.
+     * @type Function
+     */
+    _abortRef: null,
+    
+    /**
+     * Number of the current attempt (1 for the initial attempt).
+     * @type Number
+     */
+    _attempt: 0,
+    
+    /**
+     * Flag indicating whether an attempt is in progress.
+     * @type Boolean
+     */
+    _inProgress: false,
+    
+    /**
+     * Runnable which will time out the current attempt.
+     * @type Core.Web.Scheduler.Runnable
+     */
+    _timeoutRunnable: null,
+    
+    /**
+     * Runnable which will start the next attempt.
+     * @type Core.Web.Scheduler.Runnable
+     */
+    _retryRunnable: null,
+    
+    /**
+     * Creates a new transport.
+     * This method simply configures the connection, the connection
+     * will not be opened until <code>connect()</code> is invoked.
+     *
+     * @param {String} url the target URL
+     * @param {String} method the connection method, i.e., GET or POST
+     * @param messageObject the message to send (may be a String, XML DOM, or an object or array to be sent as JSON)
+     * @param {String} contentType the request content-type
+     * @param options the transport options (see class description)
+     */
+    $construct: function(url, method, messageObject, contentType, options) {
+        var messageType = Object.prototype.toString.call(messageObject);
+        if (messageObject != null && (messageType == "[object Object]" || messageType == "[object Array]") && 
+                !messageObject.nodeType) {
+            messageObject = JSON.stringify(messageObject);
+            contentType = contentType || Core.Web.Transport.JSON_CONTENT_TYPE;
+        }
+        this._url = url;
+        this._contentType = contentType;
+        this._method = method;
+        this._messageObject = messageObject;
+        this._listenerList = new Core.ListenerList();
+        if (options) {
+            if (options.timeout) {
+                this.timeout = options.timeout;
+            }
+            if (options.retries) {
+                this.retries = options.retries;
+            }
+            if (options.retryDelay != null) {
+                this.retryDelay = options.retryDelay;
+            }
+            if (options.priority != null) {
+                this.priority = options.priority;
+            }
+            if (options.offline) {
+                this.offline = true;
+            }
+            this._signal = options.signal || null;
+        }
+    },
+    
+    /**
+     * Aborts the request.  A response event will be fired with its <code>aborted</code> property set to true, unless
+     * the request has already completed.
+     */
+    abort: function() {
+        if (this._disposed || (!this._inProgress && !this._retryRunnable && !this._queued)) {
+            return;
+        }
+        this._clearRunnables();
+        Core.Web.ConnectionManager._remove(this);
+        if (this._inProgress) {
+            this._inProgress = false;
+            this._cancel();
+        }
+        this._fireResponse({ type: "response", source: this, valid: false, aborted: true });
+    },
+    
+    /**
+     * Adds a progress listener to be notified as data is transferred.
+     * 
+     * @param {Function} l the listener to add
+     */
+    addProgressListener: function(l) {
+        this._listenerList.addListener("progress", l);
+    },
+    
+    /**
+     * Adds a response listener to be notified when a response is received from the connection.
+     * 
+     * @param {Function} l the listener to add
+     */
+    addResponseListener: function(l) {
+        this._listenerList.addListener("response", l);
+    },
+    
+    /**
+     * Adds a retry listener to be notified before a failed request is retried.
+     * 
+     * @param {Function} l the listener to add
+     */
+    addRetryListener: function(l) {
+        this._listenerList.addListener("retry", l);
+    },
+    
+    /**
+     * Removes the timeout and retry runnables, if scheduled.
+     */
+    _clearRunnables: function() {
+        if (this._timeoutRunnable) {
+            Core.Web.Scheduler.remove(this._timeoutRunnable);
+            this._timeoutRunnable = null;
+        }
+        if (this._retryRunnable) {
+            Core.Web.Scheduler.remove(this._retryRunnable);
+            this._retryRunnable = null;
+        }
+    },
+    
+    /**
+     * Processes the completion of an attempt.  Invoked by implementations.
+     * Retries the request if the attempt failed and may be retried, and otherwise fires a response event.
+     * 
+     * @param result an object describing the result of the attempt, providing <code>status</code> (the response 
+     *        status code, if a response was received), <code>exception</code> (an exception which occurred), 
+     *        and <code>networkError</code>/<code>timeout</code> (flags indicating the reason the attempt failed) properties
+     */
+    _complete: function(result) {
+        if (this._disposed || !this._inProgress) {
+            return;
+        }
+        this._inProgress = false;
+        this._clearRunnables();
+        Core.Web.ConnectionManager._release(this);
+        
+        var status = result.status,
+            failed = !!(result.exception || result.networkError || result.timeout),
+            // 0 included as a valid response code for non-served applications.
+            valid = !failed && (!status || (status >= 200 && status <= 299));
+        
+        if (!valid && this._attempt <= this.retries && this._isRetryable(result)) {
+            var delay = this.retryDelay * Math.pow(2, this._attempt - 1);
+            this._listenerList.fireEvent({ type: "retry", source: this, attempt: this._attempt + 1, delay: delay });
+            this._retryRunnable = Core.Web.Scheduler.run(Core.method(this, function() {
+                this._retryRunnable = null;
+                Core.Web.ConnectionManager._enqueue(this);
+            }), delay);
+            return;
+        }
+        
+        var responseEvent = { type: "response", source: this, valid: valid };
+        if (result.exception) {
+            responseEvent.exception = result.exception;
+        }
+        if (result.timeout) {
+            responseEvent.timeout = true;
+        }
+        if (result.networkError) {
+            responseEvent.networkError = true;
+            if (this.offline && Core.Web.OfflineQueue.enabled) {
+                Core.Web.OfflineQueue._notifyNetworkError();
+                if (Core.Web.OfflineQueue._add(this)) {
+                    responseEvent.queued = true;
+                }
+            }
+        }
+        
+        // Notify transports whose requests were coalesced with this one.
+        var followers = Core.Web.ConnectionManager._detachFollowers(this),
+            followerException = null;
+        for (var i = 0; i < followers.length; ++i) {
+            try {
+                followers[i]._completeCoalesced(this, responseEvent);
+            } catch (ex) {
+                followerException = followerException || ex;
+            }
+        }
+        
+        this._fireResponse(responseEvent);
+        
+        if (followerException) {
+            throw followerException;
+        }
+    },
+    
+    /**
+     * Completes a coalesced request with the response received by the transport which performed it.
+     * 
+     * @param {Core.Web.Transport} source the transport which performed the request
+     * @param sourceEvent the response event fired by the source transport
+     */
+    _completeCoalesced: function(source, sourceEvent) {
+        if (this._disposed) {
+            return;
+        }
+        this._queued = false;
+        this._adopt(source);
+        var responseEvent = { };
+        for (var x in sourceEvent) {
+            responseEvent[x] = sourceEvent[x];
+        }
+        responseEvent.source = this;
+        // Only the request of the source transport is queued by the offline queue.
+        delete responseEvent.queued;
+        this._fireResponse(responseEvent);
+    },
+    
+    /**
+     * Executes the HTTP connection.
+     * This method will return before the HTTP connection has received a response.
+     */
+    connect: function() {
+        if (this._signal) {
+            if (this._signal.aborted) {
+                this._fireResponse({ type: "response", source: this, valid: false, aborted: true });
+                return;
+            }
+            this._abortRef = Core.method(this, this.abort);
+            this._signal.addEventListener("abort", this._abortRef);
+        }
+        if (this.offline && Core.Web.OfflineQueue.enabled && Core.Web.OfflineQueue._isQueueing() && 
+                Core.Web.OfflineQueue._add(this)) {
+            // Network unavailable, earlier requests pending, or persisted requests not yet loaded: request queued.
+            // Listeners are notified in a subsequent execution context, as for a performed request.
+            Core.Web.Scheduler.run(Core.method(this, function() {
+                if (!this._disposed) {
+                    this._fireResponse({ type: "response", source: this, valid: false, queued: true });
+                }
+            }));
+            return;
+        }
+        Core.Web.ConnectionManager._enqueue(this);
+    },
+    
+    /**
+     * Fires a progress event.  Invoked by implementations.
+     * 
+     * @param {Number} loaded the number of bytes transferred
+     * @param {Number} total the total number of bytes to be transferred, or null if unknown
+     * @param {Boolean} upload true if the request is being uploaded, false if the response is being downloaded
+     */
+    _fireProgress: function(loaded, total, upload) {
+        if (this._disposed || !this._listenerList.hasListeners("progress")) {
+            return;
+        }
+        this._listenerList.fireEvent({ type: "progress", source: this, loaded: loaded, total: total || null, 
+                lengthComputable: !!total, upload: !!upload });
+    },
+    
+    /**
+     * Fires a response event and disposes of the connection.
+     * 
+     * @param e the response event
+     */
+    _fireResponse: function(e) {
+        try {
+            this._listenerList.fireEvent(e);
+        } finally {
+            this.dispose();
+        }
+    },
+    
+    /**
+     * Returns the response parsed as JSON.  Returns null if the response is empty.
+     * This method may only be invoked from a response handler.
+     * 
+     * @return the response, parsed as JSON
+     * @throws Error if the response is not valid JSON; the error provides the <code>responseText</code> and the
+     *         parser exception (<code>cause</code>)
+     */
+    getResponseJson: function() {
+        if (this._responseJson === undefined) {
+            var text = this.getResponseText();
+            if (!text || !/\S/.test(text)) {
+                this._responseJson = null;
+            } else {
+                try {
+                    this._responseJson = JSON.parse(text);
+                } catch (ex) {
+                    var error = new Error("Invalid JSON response from \"" + this._url + "\": " + ex.message);
+                    error.cause = ex;
+                    error.responseText = text;
+                    throw error;
+                }
+            }
+        }
+        return this._responseJson;
+    },
+    
+    /**
+     * Determines if a failed attempt may be retried, i.e., the request method is idempotent and the failure is 
+     * potentially transient.
+     * 
+     * @param result the attempt result (see <code>_complete()</code>)
+     * @return true if the attempt may be retried
+     * @type Boolean
+     */
+    _isRetryable: function(result) {
+        if (!Core.Web.Transport.IDEMPOTENT_METHODS[(this._method || "GET").toUpperCase()]) {
+            return false;
+        }
+        var status = result.status;
+        return !!(result.networkError || result.timeout || status == 408 || status == 429 || status >= 500);
+    },
+    
+    /**
+     * Processes the timeout of an attempt.
+     */
+    _processTimeout: function() {
+        this._timeoutRunnable = null;
+        if (!this._inProgress) {
+            return;
+        }
+        this._cancel();
+        this._complete({ timeout: true });
+    },
+    
+    /**
+     * Removes a progress listener.
+     * 
+     * @param {Function} l the listener to remove
+     */
+    removeProgressListener: function(l) {
+        this._listenerList.removeListener("progress", l);
+    },
+    
+    /**
+     * Removes a response listener to be notified when a response is received from the connection.
+     * 
+     * @param {Function} l the listener to remove
+     */
+    removeResponseListener: function(l) {
+        this._listenerList.removeListener("response", l);
+    },
+    
+    /**
+     * Removes a retry listener.
+     * 
+     * @param {Function} l the listener to remove
+     */
+    removeRetryListener: function(l) {
+        this._listenerList.removeListener("retry", l);
+    },
+    
+    /**
+     * Sets a header in the request.
+     * 
+     * @param {String} header the header to retrieve
+     * @param {String} value the value of the header
+     */
+    setRequestHeader: function(header, value) {
+        if (!this._requestHeaders) {
+            this._requestHeaders = { };
+        } 
+        this._requestHeaders[header] = value;
+    },
+    
+    /**
+     * Starts an attempt, scheduling its timeout if configured.
+     * Invoked by the connection manager.  An exception thrown initiating the request completes the attempt as failed.
+     */
+    _startAttempt: function() {
+        if (this._disposed) {
+            return;
+        }
+        ++this._attempt;
+        this._inProgress = true;
+        if (this.timeout) {
+            this._timeoutRunnable = Core.Web.Scheduler.run(Core.method(this, this._processTimeout), this.timeout);
+        }
+        try {
+            this._send();
+        } catch (ex) {
+            // Failure to initiate the request is not retried: the attempt is completed with the exception, such that 
+            // response listeners are notified (in a subsequent execution context, as for any other completion).
+            this._clearRunnables();
+            Core.Web.Scheduler.run(Core.method(this, function() {
+                this._complete({ exception: ex });
+            }));
+        }
+    }
+});
+
+/**
+ * An HTTP connection to the hosting server.  This method provides a cross
+ * platform wrapper for XMLHttpRequest and additionally allows method
+ * reference-based listener registration.  
+ */
+Core.Web.HttpConnection = Core.extend(Core.Web.Transport, {
+
+    /** Browser XMLHttpRequest object. */
+    _xmlHttpRequest: null,
+    
+    /**
+     * Flag indicating that a network error occurred during the current attempt.
+     * @type Boolean
+     */
+    _networkError: false,
+
+    /**
+     * Creates a new <code>HttpConnection</code>.
+     * This method simply configures the connection, the connection
+     * will not be opened until <code>connect()</code> is invoked.
+     *
+     * @param {String} url the target URL
+     * @param {String} method the connection method, i.e., GET or POST
+     * @param messageObject the message to send (may be a String, XML DOM, or an object or array to be sent as JSON)
+     * @param {String} contentType the request content-type
+     * @param options the transport options (see <code>Core.Web.Transport</code>)
+     * @constructor
+     */
+    $construct: function(url, method, messageObject, contentType, options) {
+        if (Core.Web.Env.QUIRK_WEBKIT_DOM_TEXT_ESCAPE && messageObject instanceof Document) {
+            this._preprocessWebkitDOM(messageObject.documentElement);
+        }
+        Core.Web.Transport.call(this, url, method, messageObject, contentType, options);
+    },
+    
+    /**
+     * Preprocesses outgoing requests to Webkit (invoked when appropriate quirk is detected).
+     * All less than, greater than, and ampersands are replaced with escaped values, as this render engine
+     * is broken in this regard and will otherwise fail. Recursively invoked on nodes, starting with
+     * document element.
+     * 
+     * @param {Node} node the node to process
+     */
+    _preprocessWebkitDOM: function(node) {
+        if (node.nodeType == 3) {
+            var value = node.data;
+            value = value.replace(/&/g, "&amp;");
+            value = value.replace(/</g, "&lt;");
+            value = value.replace(/>/g, "&gt;");
+            node.data = value;
+        } else {
+            var child = node.firstChild;
+            while (child) {
+                this._preprocessWebkitDOM(child);
+                child = child.nextSibling;
             }
-        } else if (this.ENGINE_GECKO) {
-            this.QUIRK_KEY_PRESS_FIRED_FOR_SPECIAL_KEYS = true;
-            this.MEASURE_OFFSET_EXCLUDES_BORDER = true;
-            this.QUIRK_MEASURE_OFFSET_HIDDEN_BORDER = true;
-            if (this.BROWSER_FIREFOX) {
-                if (this.BROWSER_VERSION_MAJOR < 2) {
-                    this.QUIRK_DELAYED_FOCUS_REQUIRED = true;
+        }
+    },
+    
+    /** @see Core.Web.Transport#_adopt */
+    _adopt: function(source) {
+        this._xmlHttpRequest = source._xmlHttpRequest;
+    },
+    
+    /** @see Core.Web.Transport#_cancel */
+    _cancel: function() {
+        if (this._xmlHttpRequest) {
+            this._xmlHttpRequest.onreadystatechange = function() { };
+            this._xmlHttpRequest.onerror = null;
+            try {
+                this._xmlHttpRequest.abort();
+            } catch (ex) {
+                // Ignore.
+            }
+        }
+    },
+    
+    /** @see Core.Web.Transport#_send */
+    _send: function() {
+        var usingActiveXObject = false;
+        if (window.XMLHttpRequest) {
+            this._xmlHttpRequest = new XMLHttpRequest();
+        } else if (window.ActiveXObject) {
+            usingActiveXObject = true;
+            this._xmlHttpRequest = new ActiveXObject("Microsoft.XMLHTTP");
+        } else {
+            throw "Connect failed: Cannot create XMLHttpRequest.";
+        }
+        this._networkError = false;
+    
+        var instance = this,
+            xmlHttpRequest = this._xmlHttpRequest;
+        
+        // Create closure around instance.
+        xmlHttpRequest.onreadystatechange = function() { 
+            if (!instance) {
+                return;
+            }
+            try {
+                instance._processReadyStateChange(xmlHttpRequest);
+            } finally {
+                if (instance._disposed) {
+                    // Release instance reference to allow garbage collection.
+                    instance = null;
                 }
-            } else {
-                this.QUIRK_PERFORMANCE_LARGE_DOM_REMOVE = true;
-                this.QUIRK_DELAYED_FOCUS_REQUIRED = true;
             }
-        } else if (this.ENGINE_PRESTO) {
-            this.QUIRK_KEY_CODE_IS_CHAR_CODE = true;
-            this.QUIRK_TABLE_CELL_WIDTH_EXCLUDES_PADDING = true;
-            if (this.BROWSER_VERSION_MAJOR == 9 && this.BROWSER_VERSION_MINOR >= 50) {
-                this.QUIRK_OPERA_CSS_POSITIONING = true;
+        };
+        
+        if (!usingActiveXObject) {
+            xmlHttpRequest.onerror = function() {
+                if (instance) {
+                    instance._networkError = true;
+                }
+            };
+            xmlHttpRequest.onprogress = function(e) {
+                if (instance) {
+                    instance._fireProgress(e.loaded, e.lengthComputable ? e.total : null, false);
+                }
+            };
+            if (xmlHttpRequest.upload && this._messageObject) {
+                xmlHttpRequest.upload.onprogress = function(e) {
+                    if (instance) {
+                        instance._fireProgress(e.loaded, e.lengthComputable ? e.total : null, true);
+                    }
+                };
             }
-            this.NOT_SUPPORTED_RELATIVE_COLUMN_WIDTHS = true;
-        } else if (this.ENGINE_WEBKIT) {
-            this.MEASURE_OFFSET_EXCLUDES_BORDER = true;
-            if (this.ENGINE_VERSION_MAJOR < 526 || (this.ENGINE_VERSION_MAJOR == 526 && this.ENGINE_VERSION_MINOR < 8)) {
-                this.QUIRK_WEBKIT_DOM_TEXT_ESCAPE = true; //https://bugs.webkit.org/show_bug.cgi?id=18421, fixed in 526.8
+        }
+        
+        xmlHttpRequest.open(this._method, this._url, true);
+
+        // Set headers.
+        if (this._requestHeaders && (usingActiveXObject || xmlHttpRequest.setRequestHeader)) {
+            for(var h in this._requestHeaders) {
+                try {
+                    xmlHttpRequest.setRequestHeader(h, this._requestHeaders[h]);
+                } catch (e) {
+                    throw new Error("Failed to set header \"" + h + "\"");
+                }
+            }
+        }
+        
+        // Set Content-Type, if supplied.
+        if (this._contentType && (usingActiveXObject || xmlHttpRequest.setRequestHeader)) {
+            xmlHttpRequest.setRequestHeader("Content-Type", this._contentType);
+        }
+
+        // Execute request.
+        if (Core.Web.Env.QUIRK_SERIALIZE_XML_BEFORE_XML_HTTP_REQ) {
+            // serialize before sending
+            xmlHttpRequest.send(this._messageObject ? new XMLSerializer().serializeToString(this._messageObject) : null);
+        } else {
+            xmlHttpRequest.send(this._messageObject ? this._messageObject : null);
+        }
+    },
+    
+    /** @see Core.Web.Transport#dispose */
+    dispose: function() {
+        Core.Web.Transport.prototype.dispose.call(this);
+        this._xmlHttpRequest = null;
+    },
+    
+    /** @see Core.Web.Transport#getResponseHeader */
+    getResponseHeader: function(header) {
+        return this._xmlHttpRequest ? this._xmlHttpRequest.getResponseHeader(header) : null;
+    },
+    
+    /** @see Core.Web.Transport#getAllResponseHeaders */
+    getAllResponseHeaders: function() {
+        return this._xmlHttpRequest ? this._xmlHttpRequest.getAllResponseHeaders() : null;
+    },
+    
+    /** @see Core.Web.Transport#getStatus */
+    getStatus: function() {
+        return this._xmlHttpRequest ? this._xmlHttpRequest.status : null;
+    },
+    
+    /** @see Core.Web.Transport#getResponseText */
+    getResponseText: function() {
+        return this._xmlHttpRequest ? this._xmlHttpRequest.responseText : null;
+    },
+    
+    /** @see Core.Web.Transport#getResponseXml */
+    getResponseXml: function() {
+        return this._xmlHttpRequest ? this._xmlHttpRequest.responseXML : null;
+    },
+    
+    /**
+     * Event listener for <code>readystatechange</code> events received from
+     * the <code>XMLHttpRequest</code>.
+     * 
+     * @param {XMLHttpRequest} xmlHttpRequest the request object of the attempt
+     */
+    _processReadyStateChange: function(xmlHttpRequest) {
+        if (this._disposed || xmlHttpRequest != this._xmlHttpRequest) {
+            return;
+        }
+        
+        if (xmlHttpRequest.readyState == 4) {
+            var result;
+            try {
+                result = { status: xmlHttpRequest.status };
+            } catch (ex) {
+                result = { exception: ex };
             }
+            
+            // Complete in subsequent execution context, such that network errors (reported by "error" events after
+            // the ready state change) are detected.
+            Core.Web.Scheduler.run(Core.method(this, function() {
+                if (xmlHttpRequest != this._xmlHttpRequest) {
+                    return;
+                }
+                if (this._networkError) {
+                    result.networkError = true;
+                }
+                this._complete(result);
+            }));
+        }
+    }
+});
+
+/**
+ * An HTTP connection to the hosting server based on the <code>fetch()</code> API.
+ * Requires browser support for <code>fetch()</code> and <code>AbortController</code>.
+ * Download progress is reported where the browser supports streaming response bodies.
+ */
+Core.Web.FetchConnection = Core.extend(Core.Web.Transport, {
+
+    /**
+     * Controller used to cancel the current attempt.
+     * @type AbortController
+     */
+    _abortController: null,
+    
+    /**
+     * The received response.
+     * @type Response
+     */
+    _response: null,
+    
+    /**
+     * The received response text.
+     * @type String
+     */
+    _responseText: null,
+    
+    /**
+     * The response parsed as an XML DOM (lazily created).
+     * @type Document
+     */
+    _responseXml: null,
+    
+    /** @see Core.Web.Transport#_adopt */
+    _adopt: function(source) {
+        this._response = source._response;
+        this._responseText = source._responseText;
+    },
+    
+    /** @see Core.Web.Transport#_cancel */
+    _cancel: function() {
+        if (this._abortController) {
+            var abortController = this._abortController;
+            this._abortController = null;
+            abortController.abort();
         }
     },
     
     /**
-     * Parses version information from user agent string. The text argument specifies
-     * the string that prefixes the version info in the ua string (ie 'version/' for Safari for example).
-     * <p>
-     * The major version is retrieved by getting the int between text and the first dot. The minor version
-     * is retrieved by getting the int between the first dot and the first non-numeric character that appears
-     * after the dot, or the end of the ua string (whichever comes first).
-     * If the ua string does not supply a minor version, the minor version is assumed to be 0.
-     *
-     * @param ua the lower cased user agent string
-     * @param searchString the text that prefixes the version info (version info must be the first appearance of 
-     *          this text in the ua string)
+     * Reads the body of a response, reporting progress if the body may be streamed.
+     * 
+     * @param {Response} response the response
+     * @param {AbortController} abortController the controller of the attempt
+     * @return a promise which will be resolved with the body text
+     * @type Promise
      */
-    _parseVersionInfo: function(searchString) {
-        var version = { };
-        
-        var ix1 = this._ua.indexOf(searchString);
-        if (ix1 == -1) {
-            return;
+    _readBody: function(response, abortController) {
+        if (!response.body || !response.body.getReader || typeof TextDecoder == "undefined") {
+            return response.text();
         }
         
-        var ix2 = this._ua.indexOf(".", ix1);
-        var ix3 = this._ua.length;
+        var instance = this,
+            reader = response.body.getReader(),
+            decoder = new TextDecoder(),
+            length = parseInt(response.headers.get("Content-Length"), 10) || null,
+            loaded = 0,
+            text = "";
         
-        if (ix2 == -1) {
-            ix2 = this._ua.length;
-        } else {
-            // search for the first non-number character after the dot
-            for (var i = ix2 + 1; i < this._ua.length; i++) {
-                var c = this._ua.charAt(i);
-                if (isNaN(c)) {
-                    ix3 = i;
-                    break;
+        var read = function() {
+            return reader.read().then(function(chunk) {
+                if (chunk.done) {
+                    return text + decoder.decode();
                 }
-            }
-        }
+                loaded += chunk.value.length;
+                text += decoder.decode(chunk.value, { stream: true });
+                if (instance._abortController == abortController) {
+                    instance._fireProgress(loaded, length, false);
+                }
+                return read();
+            });
+        };
+        return read();
+    },
+    
+    /** @see Core.Web.Transport#_send */
+    _send: function() {
+        var instance = this,
+            abortController = this._abortController = new AbortController(),
+            headers = { },
+            body = null;
         
-        version.major = parseInt(this._ua.substring(ix1 + searchString.length, ix2), 10);
-        if (ix2 == this._ua.length) {
-            version.minor = 0;
-        } else {
-            version.minor = parseInt(this._ua.substring(ix2 + 1, ix3), 10);
+        this._response = this._responseText = this._responseXml = null;
+        
+        for (var h in this._requestHeaders) {
+            headers[h] = this._requestHeaders[h];
+        }
+        if (this._contentType) {
+            headers["Content-Type"] = this._contentType;
+        }
+        if (this._messageObject != null) {
+            body = this._messageObject.nodeType == 9 ? new XMLSerializer().serializeToString(this._messageObject) :
+                    this._messageObject;
         }
         
-        return version;
+        window.fetch(this._url, { method: this._method, headers: headers, body: body, credentials: "same-origin",
+                signal: abortController.signal }).then(function(response) {
+            if (instance._abortController != abortController) {
+                return null;
+            }
+            instance._response = response;
+            return instance._readBody(response, abortController);
+        }).then(function(text) {
+            if (instance._abortController != abortController) {
+                return;
+            }
+            instance._responseText = text;
+            instance._completeAttempt(abortController, { status: instance._response.status });
+        }, function(ex) {
+            if (instance._abortController != abortController) {
+                // Attempt was cancelled.
+                return;
+            }
+            instance._completeAttempt(abortController, { exception: ex, networkError: true });
+        });
     },
     
-    _testUAString: function(browser) {
-        return this._uaAlpha.indexOf("/" + browser + "/") != -1;
-    }
-};
-
-/**
- * Event Processing System namespace. The static methods in this object provide
- * a standard framework for handling DOM events across often-incompatible
- * browser platforms.
- * <p>
- * <b>Event Propagation:</b> Capturing listeners are notified of events first,
- * followed by bubbling listeners. During the capturing phase of event firing,
- * listeners on higher-level DOM elements are notified before the lower-level
- * DOM elements. During the bubbling phase of event firing, lower-level DOM
- * elements are notified before higher-level DOM elements.
- * <p>
- * For example, given the DOM hierarchy
- * <code>&lt;body&gt;&lt;div&gt;&lt;span&gt;&lt;/span&gt;&lt;/div&gt;&lt;/body&gt;</code>,
- * with click listeners registered for both capturing and bubbling phases on all
- * elements, the listener notification order for a click on the
- * <code>&lt;span&gt;</code> element would be as folows:
- * <ol>
- * <li>Notify capturing listener of <code>&lt;body&gt;</code> element.</li>
- * <li>Notify capturing listener of <code>&lt;div&gt;</code> element.</li>
- * <li>Notify capturing listener of <code>&lt;span&gt;</code> element.</li>
- * <li>Notify bubbling listener of <code>&lt;span&gt;</code> element.</li>
- * <li>Notify bubbling listener of <code>&lt;div&gt;</code> element.</li>
- * <li>Notify bubbling listener of <code>&lt;body&gt;</code> element.</li>
- * </ol>
- * <b>Listener Return Values:</b> Listeners should return a value of true if
- * they wish to continue to allow propogation of an event, and false if they do
- * not.
- * <p>
- * <b>Capturing/Bubbling Listeners:</b> This implementation allows for the
- * registration of both capturing and bubbling event listeners on all browser
- * platforms, including Internet Explorer, even though Internet Explorer does
- * not inhererntly support such listeners. This is accomplished by the Event
- * system adding a layer of abstraction between event registration and the
- * browser, and then invoking event listeners itself.
- * <p>
- * This implementation relies on the fact that all event listeners will be 
- * registered through it.  The implementation is in fact internally registering only
- * bubbling-phase event listeners on the DOM.  Thus, if other event listeners are 
- * registered directly on the DOM, scenarios may occur such as a direct-registered
- * bubbling listener receiving an event before a Core.Web.Event-registered capturing
- * listener.  This is not necessarily a critical issue, but the developer should
- * be aware of it. 
- * 
- * @class
- */
-Core.Web.Event = {
-    
     /**
-     * Provides utilities for restricting selection of DOM elements.  These are necessary as double click and drag
-     * events will cause/begin undesired selections.
+     * Completes an attempt in a subsequent execution context, outside of promise reaction handlers, such that 
+     * exceptions thrown by response listeners are propagated rather than converted into promise rejections.
+     * 
+     * @param {AbortController} abortController the controller of the attempt
+     * @param result the attempt result (see <code>Core.Web.Transport._complete()</code>)
      */
-    Selection: {
-
-        /**
-         * Adds a listener to an element that will prevent text selection / highlighting as a result of mouse clicks.
-         * The disable() method should be invoked when the element is to be disposed.
-         * The event is registered using the event processor, so invoking Core.Web.Event.removeAll() on its
-         * element will also dispose it.
-         *
-         * @param {Element} element the element on which to forbid text selection
-         * @see Core.Web.Event.Selection#enable
-         */
-        disable: function(element) {
-            Core.Web.Event.add(element, "mousedown", Core.Web.Event.Selection._disposeEvent, false);
-            if (Core.Web.Env.PROPRIETARY_EVENT_SELECT_START_SUPPORTED) {
-                Core.Web.Event.add(element, "selectstart", Core.Web.Event.Selection._disposeEvent, false);
+    _completeAttempt: function(abortController, result) {
+        Core.Web.Scheduler.run(Core.method(this, function() {
+            if (this._abortController != abortController) {
+                // Attempt was cancelled.
+                return;
             }
-        },
-        
-        /**
-         * Selection denial listener implementation.
-         * 
-         * @param e the selection/click event
-         */
-        _disposeEvent: function(e) {
-            Core.Web.DOM.preventEventDefault(e);
-        },
+            this._abortController = null;
+            this._complete(result);
+        }));
+    },
     
-        /**
-         * Removes a selection denial listener.
-         * 
-         * @param element the element from which to remove the selection denial listener
-         * @see Core.Web.Event.Selection#enable
-         */
-        enable: function(element) {
-            Core.Web.Event.remove(element, "mousedown", Core.Web.Event.Selection._disposeEvent, false);
-            if (Core.Web.Env.PROPRIETARY_EVENT_SELECT_START_SUPPORTED) {
-                Core.Web.Event.remove(element, "selectstart", Core.Web.Event.Selection._disposeEvent, false);
-            }
+    /** @see Core.Web.Transport#dispose */
+    dispose: function() {
+        Core.Web.Transport.prototype.dispose.call(this);
+        this._response = null;
+        this._responseText = null;
+        this._responseXml = null;
+    },
+    
+    /** @see Core.Web.Transport#getAllResponseHeaders */
+    getAllResponseHeaders: function() {
+        if (!this._response) {
+            return null;
         }
+        var out = "";
+        this._response.headers.forEach(function(value, name) {
+            out += name + ": " + value + "\r\n";
+        });
+        return out;
     },
     
-    /**
-     * Next available sequentially assigned element identifier.
-     * Elements are assigned unique identifiers to enable mapping between 
-     * elements and lists of registered event listeners.
-     *
-     * @type Integer
-     */
-    _nextId: 0,
+    /** @see Core.Web.Transport#getResponseHeader */
+    getResponseHeader: function(header) {
+        return this._response ? this._response.headers.get(header) : null;
+    },
     
-    /**
-     * Current listener count.
-     */
-    _listenerCount: 0,
+    /** @see Core.Web.Transport#getResponseText */
+    getResponseText: function() {
+        return this._responseText;
+    },
     
+    /** @see Core.Web.Transport#getResponseXml */
+    getResponseXml: function() {
+        if (!this._responseXml && this._responseText) {
+            this._responseXml = new DOMParser().parseFromString(this._responseText, "application/xml");
+        }
+        return this._responseXml;
+    },
+    
+    /** @see Core.Web.Transport#getStatus */
+    getStatus: function() {
+        return this._response ? this._response.status : null;
+    }
+});
+
+/**
+ * Schedules the requests of transports (<code>Core.Web.Transport</code>).
+ * Limits the number of concurrent requests to each host, such that requests made by the application are not starved 
+ * by background requests (e.g., library loading).  Queued requests are started in order of priority, and in the order 
+ * they were made within a priority.  Identical GET requests (same URL, no message or custom headers) which are 
+ * made while such a request is queued or in progress are coalesced: a single request is performed, and its response 
+ * is provided to all requesting transports.  The timeout and retry settings of the transport which performs a 
+ * coalesced request apply to it.
+ * @class
+ */
+Core.Web.ConnectionManager = {
+
     /**
-     * Flag to display listener count every time an event is fired.  Enable this flag to check for listener leaks.
+     * Maximum number of concurrent requests to a single host.
+     * @type Number
      */
-    debugListenerCount: false,
+    maxConnectionsPerHost: 4,
     
     /**
-     * Mapping between element ids and ListenerLists containing listeners to invoke during capturing phase.
-     * @type Core.Arrays.LargeMap
+     * Mapping between host names and host records, providing <code>active</code> (transports whose requests are in 
+     * progress) and <code>queue</code> (transports awaiting connections, ordered by priority) arrays.
      */
-    _capturingListenerMap: new Core.Arrays.LargeMap(),
+    _hosts: { },
     
     /**
-     * Mapping between element ids and ListenerLists containing listeners to invoke during bubbling phase.
-     * @type Core.Arrays.LargeMap
+     * Mapping between coalescing keys and groups of coalesced requests, providing <code>leader</code> (the transport 
+     * which performs the request) and <code>followers</code> (the transports awaiting its response) properties.
      */
-    _bubblingListenerMap: new Core.Arrays.LargeMap(),
+    _groups: { },
     
     /**
-     * Registers an event handler.
-     *
-     * @param {Element} element the DOM element on which to add the event handler
-     * @param {String} eventType the DOM event type
-     * @param {Function} eventTarget the event handler to invoke when the event is fired
-     * @param {Boolean} capture true to fire the event during the capturing phase, false to fire the event during
-     *        the bubbling phase
+     * Removes the followers of a coalesced request, to be notified of its response.
+     * 
+     * @param {Core.Web.Transport} transport the transport performing the request
+     * @return the transports whose requests were coalesced with that of the transport
+     * @type Array
      */
-    add: function(element, eventType, eventTarget, capture) {
-        // Assign event processor element id to element if not present.
-        if (!element.__eventProcessorId) {
-            element.__eventProcessorId = ++Core.Web.Event._nextId;
+    _detachFollowers: function(transport) {
+        var key = this._getCoalescingKey(transport),
+            group = key && this._groups[key];
+        if (!group || group.leader != transport) {
+            return [];
         }
+        delete this._groups[key];
+        return group.followers;
+    },
     
-        var listenerList;
+    /**
+     * Queues the request of a transport, coalescing it with an identical request if possible.
+     * 
+     * @param {Core.Web.Transport} transport the transport
+     */
+    _enqueue: function(transport) {
+        var key = this._getCoalescingKey(transport),
+            group = key && this._groups[key],
+            host = this._getHost(transport);
         
-        // Determine the Core.ListenerList to which the listener should be added.
-        if (element.__eventProcessorId == Core.Web.Event._lastId && 
-                capture == Core.Web.Event._lastCapture) {
-            // If the 'element' and 'capture' properties are identical to those specified on the prior invocation
-            // of this method, the correct listener list is stored in the '_lastListenerList' property. 
-            listenerList = Core.Web.Event._lastListenerList; 
-        } else {
-            // Obtain correct id->ListenerList mapping based on capture parameter.
-            var listenerMap = capture ? Core.Web.Event._capturingListenerMap : Core.Web.Event._bubblingListenerMap;
-            
-            // Obtain ListenerList based on element id.                              
-            listenerList = listenerMap.map[element.__eventProcessorId];
-            if (!listenerList) {
-                // Create new ListenerList if none exists.
-                listenerList = new Core.ListenerList();
-                listenerMap.map[element.__eventProcessorId] = listenerList;
+        transport._queued = true;
+        
+        if (group && group.leader != transport && group.leader.constructor == transport.constructor) {
+            group.followers.push(transport);
+            if (transport.priority > group.leader.priority && group.leader._queued) {
+                // Raise priority of queued request to that of the highest priority follower.
+                group.leader.priority = transport.priority;
+                Core.Arrays.remove(host.queue, group.leader);
+                this._insert(host.queue, group.leader);
             }
-            
-            // Cache element's event processor id, capture parameter value, and listener list.
-            // If the same element/capture properties are provided in the next call (which commonly occurs),
-            // the lookup operation will be unnecessary.
-            Core.Web.Event._lastId = element.__eventProcessorId;
-            Core.Web.Event._lastCapture = capture;
-            Core.Web.Event._lastListenerList = listenerList;
+            return;
+        }
+        
+        if (key && !group) {
+            this._groups[key] = { leader: transport, followers: [] };
         }
+        this._insert(host.queue, transport);
+        this._process(host);
+    },
     
-        // Register event listener on DOM element.
-        if (!listenerList.hasListeners(eventType)) {
-            Core.Web.DOM.addEventListener(element, eventType, Core.Web.Event._processEvent, false);
-            ++Core.Web.Event._listenerCount;
+    /**
+     * Returns the coalescing key of a transport's request, or null if the request may not be coalesced.
+     * 
+     * @param {Core.Web.Transport} transport the transport
+     * @return the key
+     * @type String
+     */
+    _getCoalescingKey: function(transport) {
+        if (transport._messageObject != null || transport._requestHeaders || 
+                (transport._method || "GET").toUpperCase() != "GET") {
+            return null;
+        }
+        return transport._url;
+    },
+    
+    /**
+     * Returns the host record of a transport, creating it if necessary.
+     * 
+     * @param {Core.Web.Transport} transport the transport
+     * @return the host record
+     */
+    _getHost: function(transport) {
+        var match = /^[a-z][a-z0-9+.\-]*:\/\/([^\/?#]*)/i.exec(transport._url),
+            name = match ? match[1].toLowerCase() : "";
+        if (!this._hosts[name]) {
+            this._hosts[name] = { name: name, active: [], queue: [] };
         }
-
-        // Add event handler to the ListenerList.
-        listenerList.addListener(eventType, eventTarget);
+        return this._hosts[name];
     },
     
     /**
-     * Listener method which is invoked when ANY event registered with the event processor occurs.
+     * Returns the number of requests which are in progress or queued.
      * 
-     * @param {Event} e 
+     * @param {String} host the host name (including the port, if specified in request URLs), or an empty string for
+     *        requests made to relative URLs; if omitted, requests to all hosts are counted
+     * @return the number of requests
+     * @type Number
      */
-    _processEvent: function(e) {
-        if (Core.Web.Event.debugListenerCount) {
-            Core.Debug.consoleWrite("Core.Web.Event listener count: " + Core.Web.Event._listenerCount);        
-        }
-
-        e = e ? e : window.event;
-        
-        if (!e.target && e.srcElement) {
-            // The Internet Explorer event model stores the target element in the 'srcElement' property of an event.
-            // Modify the event such the target is retrievable using the W3C DOM Level 2 specified property 'target'.
-            e.target = e.srcElement;
-        }
-
-        // Establish array containing elements ancestry, with index 0 containing 
-        // the element and the last index containing its most distant ancestor.  
-        // Only record elements that have ids.
-        var elementAncestry = [];
-        var targetElement = e.target;
-        while (targetElement) {
-            if (targetElement.__eventProcessorId) { // Element Node with identifier.
-                elementAncestry.push(targetElement);
-            }
-            targetElement = targetElement.parentNode;
-        }
-
-        var listenerList, i, propagate = true;
-
-        // Fire event to capturing listeners.
-        for (i = elementAncestry.length - 1; i >= 0; --i) {
-            listenerList = Core.Web.Event._capturingListenerMap.map[elementAncestry[i].__eventProcessorId];
-            if (listenerList) {
-                // Set registered target on event.
-                e.registeredTarget = elementAncestry[i];
-                if (!listenerList.fireEvent(e)) {
-                    // Stop propagation if requested.
-                    propagate = false;
-                    break;
-                }
+    getPendingCount: function(host) {
+        var count = 0;
+        for (var name in this._hosts) {
+            if (host == null || name == host.toLowerCase()) {
+                count += this._hosts[name].active.length + this._hosts[name].queue.length;
             }
         }
-
-        if (propagate) {
-            // Fire event to bubbling listeners.
-            for (i = 0; i < elementAncestry.length; ++i) {
-                listenerList = Core.Web.Event._bubblingListenerMap.map[elementAncestry[i].__eventProcessorId];
-                if (listenerList) {
-                    // Set registered target on event.
-                    e.registeredTarget = elementAncestry[i];
-                    if (!listenerList.fireEvent(e)) {
-                        // Stop propagation if requested.
-                        break;
-                    }
-                }
+        for (var key in this._groups) {
+            if (host == null || this._getHost(this._groups[key].leader).name == host.toLowerCase()) {
+                count += this._groups[key].followers.length;
             }
         }
-
-        // Inform DOM to stop propagation of event, in all cases.
-        // Event will otherwise be re-processed by higher-level elements registered with the event processor.
-        Core.Web.DOM.stopEventPropagation(e);
+        return count;
     },
     
     /**
-     * Unregisters an event handler.
-     * 
-     * CAUTION: If you are unregistering an event listener created with Core.method(), please see the documentation for
-     * Core.method() and note that a new closure-wrapped method is returned each time Core.method() is invoked.
-     * Thus calling removeListener(Core.method(this, this,_someListener)) will NOT remove an existing listener.
-     * The solution to this issue is to retain a reference to Core.method() wrapped listeners within the object
-     * that will register and unregister them.
+     * Inserts a transport into a queue, after all transports of greater or equal priority.
      * 
-     * If you are removing all listeners registered for a particular element (e.g., one which is being disposed)
-     * it is more efficient to simply invoke removeAll().
-     *
-     * @param {Element} element the DOM element on which to add the event handler
-     * @param {String} eventType the DOM event type
-     * @param {Function} eventTarget the function to invoke when the event is fired
-     * @param {Boolean} capture true to fire the event during the capturing phase, false to fire the event during
-     *        the bubbling phase
+     * @param {Array} queue the queue
+     * @param {Core.Web.Transport} transport the transport
      */
-    remove: function(element, eventType, eventTarget, capture) {
-        Core.Web.Event._lastId = null;
-        
-        if (!element.__eventProcessorId) {
-            return;
-        }
-    
-        // Obtain correct id->ListenerList mapping based on capture parameter.
-        var listenerMap = capture ? Core.Web.Event._capturingListenerMap : Core.Web.Event._bubblingListenerMap;
-    
-        // Obtain ListenerList based on element id.                              
-        var listenerList = listenerMap.map[element.__eventProcessorId];
-        if (listenerList) {
-            // Remove event handler from the ListenerList.
-            listenerList.removeListener(eventType, eventTarget);
-            
-            if (listenerList.isEmpty()) {
-                listenerMap.remove(element.__eventProcessorId);
-            }
-
-            // Unregister event listener on DOM element if all listeners have been removed.
-            if (!listenerList.hasListeners(eventType)) {
-                Core.Web.DOM.removeEventListener(element, eventType, Core.Web.Event._processEvent, false);
-                --Core.Web.Event._listenerCount;
-            }
+    _insert: function(queue, transport) {
+        var i = queue.length;
+        while (i > 0 && queue[i - 1].priority < transport.priority) {
+            --i;
         }
+        queue.splice(i, 0, transport);
     },
     
     /**
-     * Unregister all event handlers from a specific element.
-     * Use of this operation is recommended when disposing of components, it is
-     * more efficient than removing listeners individually and guarantees proper clean-up.
+     * Starts queued requests to a host, while connections are available.
      * 
-     * @param {Element} element the element
+     * @param host the host record
      */
-    removeAll: function(element) {
-        Core.Web.Event._lastId = null;
-        if (!element.__eventProcessorId) {
-            return;
+    _process: function(host) {
+        while (host.queue.length > 0 && host.active.length < this.maxConnectionsPerHost) {
+            var transport = host.queue.shift();
+            transport._queued = false;
+            host.active.push(transport);
+            transport._startAttempt();
         }
-        Core.Web.Event._removeAllImpl(element, Core.Web.Event._capturingListenerMap);
-        Core.Web.Event._removeAllImpl(element, Core.Web.Event._bubblingListenerMap);
     },
     
     /**
-     * Implementation method for removeAll().
-     * Removes all capturing or bubbling listeners from a specific element
+     * Releases the connection used by a transport, if any.  Queued requests will be started in the next 
+     * execution context.
      * 
-     * @param {Element} element the element
-     * @param {Core.Arrays.LargeMap} listenerMap the map from which the listeners should be removed, either
-     *        Core.Web.Event._capturingListenerMap or Core.Web.Event._bubblingListenerMap
+     * @param {Core.Web.Transport} transport the transport
      */
-    _removeAllImpl: function(element, listenerMap) {
-        var listenerList = listenerMap.map[element.__eventProcessorId];
-        if (!listenerList) {
+    _release: function(transport) {
+        var host = this._getHost(transport),
+            index = Core.Arrays.indexOf(host.active, transport);
+        if (index == -1) {
             return;
         }
-    
-        var types = listenerList.getListenerTypes();
-        for (var i = 0; i < types.length; ++i) {
-            Core.Web.DOM.removeEventListener(element, types[i], Core.Web.Event._processEvent, false);
-            --Core.Web.Event._listenerCount;
+        host.active.splice(index, 1);
+        if (host.queue.length > 0) {
+            Core.Web.Scheduler.run(Core.method(this, function() {
+                this._process(host);
+            }));
         }
-        
-        listenerMap.remove(element.__eventProcessorId);
     },
     
     /**
-     * toString() implementation for debugging purposes.
-     * Displays contents of capturing and bubbling listener maps.
+     * Removes a transport from the connection manager, e.g., when it is aborted or disposed.
+     * Releases its connection and removes it from queues.  If other requests were coalesced with the transport's 
+     * request, they are queued again.
      * 
-     * @return string representation of listener maps
-     * @type String
+     * @param {Core.Web.Transport} transport the transport
      */
-    toString: function() {
-        return "Capturing: " + Core.Web.Event._capturingListenerMap + "\n" + "Bubbling: " + Core.Web.Event._bubblingListenerMap;
+    _remove: function(transport) {
+        this._release(transport);
+        Core.Arrays.remove(this._getHost(transport).queue, transport);
+        transport._queued = false;
+        
+        var key = this._getCoalescingKey(transport),
+            group = key && this._groups[key];
+        if (!group) {
+            return;
+        }
+        if (group.leader == transport) {
+            delete this._groups[key];
+            for (var i = 0; i < group.followers.length; ++i) {
+                this._enqueue(group.followers[i]);
+            }
+        } else {
+            Core.Arrays.remove(group.followers, transport);
+        }
     }
 };
 
 /**
- * An HTTP connection to the hosting server.  This method provides a cross
- * platform wrapper for XMLHttpRequest and additionally allows method
- * reference-based listener registration.  
+ * Opt-in offline request queue.
+ * When enabled, requests of transports created with the <code>offline</code> option set (see 
+ * <code>Core.Web.Transport</code>) are queued rather than performed while the network is unavailable, i.e., when the
+ * browser reports that it is offline, or when such a request has failed due to a network error.  Queued requests are 
+ * persisted (in IndexedDB where available, and otherwise in localStorage), and are replayed in the order they were 
+ * made once connectivity returns, including after the page has been reloaded.  While requests are pending (or 
+ * persisted requests are being loaded), subsequent offline-capable requests are queued behind them, such that order 
+ * is preserved.  Custom request headers are retained only in memory unless the <code>persistHeaders</code> option is
+ * enabled (see <code>enable()</code>), as they may contain credentials, e.g., authorization or CSRF tokens.
+ * <p>
+ * The response listeners of a transport whose request is queued are notified immediately, with a response event 
+ * whose <code>queued</code> property is set to true.  The results of replayed requests are provided by "replay" 
+ * events, with <code>request</code> (the queued request, providing <code>url</code>, <code>method</code>, 
+ * <code>body</code>, <code>contentType</code>, <code>headers</code>, and <code>time</code> properties), 
+ * <code>valid</code>, and <code>status</code> properties.  "status" events, providing <code>online</code> and 
+ * <code>pending</code> (the number of queued requests) properties, are fired when connectivity or the number of 
+ * queued requests changes, e.g., such that a wait indicator may display "offline, 3 pending".
+ * @class
  */
-Core.Web.HttpConnection = Core.extend({
+Core.Web.OfflineQueue = {
 
-    /** The URL. */
-    _url: null,
+    /**
+     * Interval (in milliseconds) at which replay is attempted while requests are pending after a network error.
+     * @type Number
+     */
+    RETRY_INTERVAL: 30000,
     
-    /** The request content type. */
-    _contentType: null,
+    /**
+     * Flag indicating whether the offline queue is enabled.
+     * @type Boolean
+     */
+    enabled: false,
     
-    /** The request method. */
-    _method: null,
+    /**
+     * Queued requests, in order.
+     * @type Array
+     */
+    _requests: [],
     
-    /** The message content object. */
-    _messageObject: null,
+    /**
+     * Flag indicating whether persisted requests have been loaded.
+     * @type Boolean
+     */
+    _loaded: false,
     
-    /** Listener storage facility. */
+    /**
+     * Flag indicating whether custom request headers should be persisted.
+     * @type Boolean
+     */
+    _persistHeaders: false,
+    
+    /**
+     * Flag indicating that a network error has occurred, and that connectivity has not since been restored.
+     * @type Boolean
+     */
+    _networkError: false,
+    
+    /**
+     * Flag indicating whether a queued request is being replayed.
+     * @type Boolean
+     */
+    _replaying: false,
+    
+    /**
+     * Runnable which will reattempt replay.
+     * @type Core.Web.Scheduler.Runnable
+     */
+    _retryRunnable: null,
+    
+    /**
+     * The persistent storage, providing <code>load(callback)</code> and <code>save(requests)</code> methods.
+     */
+    _storage: null,
+    
+    /**
+     * Listener storage (lazily created).
+     * @type Core.ListenerList
+     */
     _listenerList: null,
     
-    /** Disposed state. */
-    _disposed: false,
+    /**
+     * Method reference to <code>_processOnline()</code>.
+     * @type Function
+     */
+    _processOnlineRef: null,
     
-    /** Browser XMLHttpRequest object. */
-    _xmlHttpRequest: null,
+    /**
+     * Method reference to <code>_processOffline()</code>.
+     * @type Function
+     */
+    _processOfflineRef: null,
     
-    /** Request header value map. */
-    _requestHeaders: null,
-
     /**
-     * Creates a new <code>HttpConnection</code>.
-     * This method simply configures the connection, the connection
-     * will not be opened until <code>connect()</code> is invoked.
-     *
-     * @param {String} url the target URL
-     * @param {String} method the connection method, i.e., GET or POST
-     * @param messageObject the message to send (may be a String or XML DOM)
-     * @param {String} contentType the request content-type
-     * @constructor
+     * Queues the request of a transport.
+     * 
+     * @param {Core.Web.Transport} transport the transport
+     * @return true if the request was queued, false if it cannot be (e.g., its message cannot be serialized)
+     * @type Boolean
+     */
+    _add: function(transport) {
+        var body = transport._messageObject;
+        if (body != null && typeof body != "string") {
+            if (body.nodeType == 9 && typeof XMLSerializer != "undefined") {
+                body = new XMLSerializer().serializeToString(body);
+            } else {
+                return false;
+            }
+        }
+        var headers = null;
+        for (var h in transport._requestHeaders) {
+            headers = headers || { };
+            headers[h] = transport._requestHeaders[h];
+        }
+        this._requests.push({ url: transport._url, method: transport._method, body: body, 
+                contentType: transport._contentType || null, headers: headers, time: new Date().getTime() });
+        this._save();
+        this._fireStatus();
+        this._replay();
+        return true;
+    },
+    
+    /**
+     * Adds a listener to be notified of the results of replayed requests.
+     * 
+     * @param {Function} l the listener to add
+     */
+    addReplayListener: function(l) {
+        this._getListenerList().addListener("replay", l);
+    },
+    
+    /**
+     * Adds a listener to be notified when connectivity or the number of pending requests changes.
+     * 
+     * @param {Function} l the listener to add
+     */
+    addStatusListener: function(l) {
+        this._getListenerList().addListener("status", l);
+    },
+    
+    /**
+     * Removes all queued requests, without performing them.
+     */
+    clear: function() {
+        this._requests = [];
+        this._save();
+        this._fireStatus();
+    },
+    
+    /**
+     * Disables the offline queue.  Queued requests remain persisted, and will be replayed when the queue is next 
+     * enabled.
+     */
+    disable: function() {
+        if (!this.enabled) {
+            return;
+        }
+        this.enabled = false;
+        Core.Web.DOM.removeEventListener(window, "online", this._processOnlineRef, false);
+        Core.Web.DOM.removeEventListener(window, "offline", this._processOfflineRef, false);
+        if (this._retryRunnable) {
+            Core.Web.Scheduler.remove(this._retryRunnable);
+            this._retryRunnable = null;
+        }
+        this._requests = [];
+        this._storage = null;
+        this._loaded = false;
+        this._persistHeaders = false;
+    },
+    
+    /**
+     * Enables the offline queue, loading any persisted requests and replaying them if the network is available.
+     * 
+     * @param options (optional) an object providing <code>storage</code> (the persistent storage to use, either 
+     *        "indexedDB" or "localStorage"; by default IndexedDB is used where available), <code>name</code> (the 
+     *        name of the database/storage key, default "Core.Web.OfflineQueue"), and <code>persistHeaders</code> (flag
+     *        indicating whether custom request headers should be persisted in plain text, such that they are sent 
+     *        when requests are replayed after the page has been reloaded, default false) properties
+     */
+    enable: function(options) {
+        if (this.enabled) {
+            return;
+        }
+        options = options || { };
+        this.enabled = true;
+        this._loaded = false;
+        this._persistHeaders = !!options.persistHeaders;
+        
+        var name = options.name || "Core.Web.OfflineQueue";
+        if (window.indexedDB && options.storage != "localStorage") {
+            this._storage = new Core.Web.OfflineQueue._IndexedDbStorage(name);
+        } else {
+            this._storage = new Core.Web.OfflineQueue._LocalStorage(name);
+        }
+        
+        this._processOnlineRef = Core.method(this, this._processOnline);
+        this._processOfflineRef = Core.method(this, this._processOffline);
+        Core.Web.DOM.addEventListener(window, "online", this._processOnlineRef, false);
+        Core.Web.DOM.addEventListener(window, "offline", this._processOfflineRef, false);
+        
+        var storage = this._storage;
+        storage.load(Core.method(this, function(requests) {
+            if (storage != this._storage) {
+                // Disabled before loading completed.
+                return;
+            }
+            this._loaded = true;
+            if (requests && requests.length) {
+                // Persisted requests precede those queued while loading.
+                this._requests = requests.concat(this._requests);
+            }
+            this._save();
+            this._fireStatus();
+            this._replay();
+        }));
+    },
+    
+    /**
+     * Fires a "status" event.
      */
-    $construct: function(url, method, messageObject, contentType) {
-        this._url = url;
-        this._contentType = contentType;
-        this._method = method;
-        if (Core.Web.Env.QUIRK_WEBKIT_DOM_TEXT_ESCAPE && messageObject instanceof Document) {
-            this._preprocessWebkitDOM(messageObject.documentElement);
+    _fireStatus: function() {
+        if (this._listenerList) {
+            this._listenerList.fireEvent({ type: "status", source: this, online: this.isOnline(), 
+                    pending: this._requests.length });
         }
-        
-        this._messageObject = messageObject;
-        this._listenerList = new Core.ListenerList();
     },
     
     /**
-     * Preprocesses outgoing requests to Webkit (invoked when appropriate quirk is detected).
-     * All less than, greater than, and ampersands are replaced with escaped values, as this render engine
-     * is broken in this regard and will otherwise fail. Recursively invoked on nodes, starting with
-     * document element.
+     * Returns the listener list, creating it if necessary.
      * 
-     * @param {Node} node the node to process
+     * @return the listener list
+     * @type Core.ListenerList
      */
-    _preprocessWebkitDOM: function(node) {
-        if (node.nodeType == 3) {
-            var value = node.data;
-            value = value.replace(/&/g, "&amp;");
-            value = value.replace(/</g, "&lt;");
-            value = value.replace(/>/g, "&gt;");
-            node.data = value;
-        } else {
-            var child = node.firstChild;
-            while (child) {
-                this._preprocessWebkitDOM(child);
-                child = child.nextSibling;
-            }
+    _getListenerList: function() {
+        if (!this._listenerList) {
+            this._listenerList = new Core.ListenerList();
         }
+        return this._listenerList;
     },
     
     /**
-     * Adds a response listener to be notified when a response is received from the connection.
+     * Returns the number of queued requests.
      * 
-     * @param {Function} l the listener to add
+     * @return the number of queued requests
+     * @type Number
      */
-    addResponseListener: function(l) {
-        this._listenerList.addListener("response", l);
+    getPendingCount: function() {
+        return this._requests.length;
     },
     
     /**
-     * Executes the HTTP connection.
-     * This method will return before the HTTP connection has received a response.
+     * Determines whether offline-capable requests must currently be queued, i.e., the network is unavailable, 
+     * requests are pending, or persisted requests have not yet been loaded.
+     * 
+     * @return true if requests must be queued
+     * @type Boolean
      */
-    connect: function() {
-        var usingActiveXObject = false;
-        if (window.XMLHttpRequest) {
-            this._xmlHttpRequest = new XMLHttpRequest();
-        } else if (window.ActiveXObject) {
-            usingActiveXObject = true;
-            this._xmlHttpRequest = new ActiveXObject("Microsoft.XMLHTTP");
-        } else {
-            throw "Connect failed: Cannot create XMLHttpRequest.";
-        }
+    _isQueueing: function() {
+        return !this._loaded || this._requests.length > 0 || !this.isOnline();
+    },
     
-        var instance = this;
-        
-        // Create closure around instance.
-        this._xmlHttpRequest.onreadystatechange = function() { 
-            if (!instance) {
-                return;
-            }
-            try {
-                instance._processReadyStateChange();
-            } finally {
-                if (instance._disposed) {
-                    // Release instance reference to allow garbage collection.
-                    instance = null;
-                }
-            }
-        };
-        
-        this._xmlHttpRequest.open(this._method, this._url, true);
-
-        // Set headers.
-        if (this._requestHeaders && (usingActiveXObject || this._xmlHttpRequest.setRequestHeader)) {
-            for(var h in this._requestHeaders) {
-                try {
-                    this._xmlHttpRequest.setRequestHeader(h, this._requestHeaders[h]);
-                } catch (e) {
-                    throw new Error("Failed to set header \"" + h + "\"");
-                }
-            }
-        }
-        
-        // Set Content-Type, if supplied.
-        if (this._contentType && (usingActiveXObject || this._xmlHttpRequest.setRequestHeader)) {
-            this._xmlHttpRequest.setRequestHeader("Content-Type", this._contentType);
-        }
-
-        // Execute request.
-        if (Core.Web.Env.QUIRK_SERIALIZE_XML_BEFORE_XML_HTTP_REQ) {
-            // serialize before sending
-            this._xmlHttpRequest.send(this._messageObject ? new XMLSerializer().serializeToString(this._messageObject) : null);
-        } else {
-            this._xmlHttpRequest.send(this._messageObject ? this._messageObject : null);
-        }
+    /**
+     * Determines whether the network is believed to be available, i.e., the browser does not report that it is 
+     * offline, and no network error has occurred since connectivity was last restored.
+     * 
+     * @return true if the network is available
+     * @type Boolean
+     */
+    isOnline: function() {
+        return !this._networkError && !(window.navigator && window.navigator.onLine === false);
     },
     
     /**
-     * Disposes of the connection.  This method must be invoked when the connection 
-     * will no longer be used/processed.
+     * Processes a network error which occurred performing an offline-capable request.
+     * Schedules a reattempt of replay.
      */
-    dispose: function() {
-        this._listenerList = null;
-        this._messageObject = null;
-        this._xmlHttpRequest = null;
-        this._disposed = true;
-        this._requestHeaders = null;
+    _notifyNetworkError: function() {
+        var wasOnline = this.isOnline();
+        this._networkError = true;
+        if (!this._retryRunnable) {
+            this._retryRunnable = Core.Web.Scheduler.run(Core.method(this, function() {
+                this._retryRunnable = null;
+                this._networkError = false;
+                this._replay();
+            }), this.RETRY_INTERVAL);
+        }
+        if (wasOnline) {
+            this._fireStatus();
+        }
     },
     
     /**
-     * Returns a header from the received response.
-     * @param {String} header the header to retrieve
+     * Processes a window "offline" event.
+     * 
+     * @param e the event
      */
-    getResponseHeader: function(header) {
-        return this._xmlHttpRequest ? this._xmlHttpRequest.getResponseHeader(header) : null;
+    _processOffline: function(e) {
+        this._fireStatus();
     },
     
     /**
-     * Returns all the headers of the response.
-     * @param {String} header the header to retrieve
+     * Processes a window "online" event, replaying queued requests.
+     * 
+     * @param e the event
      */
-    getAllResponseHeaders: function() {
-        return this._xmlHttpRequest ? this._xmlHttpRequest.getAllResponseHeaders() : null;
+    _processOnline: function(e) {
+        this._networkError = false;
+        if (this._retryRunnable) {
+            Core.Web.Scheduler.remove(this._retryRunnable);
+            this._retryRunnable = null;
+        }
+        this._fireStatus();
+        this._replay();
     },
     
     /**
-     * Returns the response status code of the HTTP connection, if available.
+     * Removes a listener from being notified of the results of replayed requests.
      * 
-     * @return the response status code
-     * @type Integer
+     * @param {Function} l the listener to remove
      */
-    getStatus: function() {
-        return this._xmlHttpRequest ? this._xmlHttpRequest.status : null;
+    removeReplayListener: function(l) {
+        this._getListenerList().removeListener("replay", l);
     },
     
     /**
-     * Returns the response as text.
-     * This method may only be invoked from a response handler.
-     *
-     * @return the response, as text
-     * @type String
+     * Removes a listener from being notified when connectivity or the number of pending requests changes.
+     * 
+     * @param {Function} l the listener to remove
      */
-    getResponseText: function() {
-        return this._xmlHttpRequest ? this._xmlHttpRequest.responseText : null;
+    removeStatusListener: function(l) {
+        this._getListenerList().removeListener("status", l);
     },
     
     /**
-     * Returns the response as an XML DOM.
-     * This method may only be invoked from a response handler.
-     *
-     * @return the response, as an XML DOM
-     * @type Document
+     * Replays queued requests, in order, one at a time.  Replay stops if a request fails due to a network error.
      */
-    getResponseXml: function() {
-        return this._xmlHttpRequest ? this._xmlHttpRequest.responseXML : null;
+    _replay: function() {
+        if (!this.enabled || !this._loaded || this._replaying || this._requests.length === 0 || !this.isOnline()) {
+            return;
+        }
+        this._replaying = true;
+        
+        var request = this._requests[0],
+            conn = Core.Web.Transport.create(request.url, request.method, request.body, request.contentType);
+        for (var h in request.headers) {
+            conn.setRequestHeader(h, request.headers[h]);
+        }
+        conn.addResponseListener(Core.method(this, function(e) {
+            this._replaying = false;
+            if (!this.enabled || this._requests[0] != request) {
+                return;
+            }
+            if (e.networkError) {
+                this._notifyNetworkError();
+                return;
+            }
+            this._requests.shift();
+            this._save();
+            this._fireStatus();
+            try {
+                if (this._listenerList) {
+                    this._listenerList.fireEvent({ type: "replay", source: this, request: request, valid: e.valid, 
+                            status: e.source.getStatus(), transport: e.source });
+                }
+            } finally {
+                this._replay();
+            }
+        }));
+        conn.connect();
     },
     
     /**
-     * Event listener for <code>readystatechange</code> events received from
-     * the <code>XMLHttpRequest</code>.
+     * Persists the queued requests.  Custom request headers are omitted unless <code>persistHeaders</code> is enabled.
      */
-    _processReadyStateChange: function() {
-        if (this._disposed) {
+    _save: function() {
+        if (!this._storage) {
             return;
         }
+        var requests = this._requests;
+        if (!this._persistHeaders) {
+            requests = [];
+            for (var i = 0; i < this._requests.length; ++i) {
+                var request = this._requests[i];
+                requests.push({ url: request.url, method: request.method, body: request.body, 
+                        contentType: request.contentType, headers: null, time: request.time });
+            }
+        }
+        this._storage.save(requests);
+    },
+    
+    /**
+     * Persistent storage of queued requests in localStorage.
+     */
+    _LocalStorage: Core.extend({
+    
+        /**
+         * The storage key.
+         * @type String
+         */
+        _key: null,
+        
+        /**
+         * Creates a new localStorage-based storage.
+         * 
+         * @param {String} key the storage key
+         * @constructor
+         */
+        $construct: function(key) {
+            this._key = key;
+        },
+        
+        /**
+         * Loads persisted requests.
+         * 
+         * @param {Function} callback function to invoke (asynchronously) with the array of persisted requests, or 
+         *        null if none are available
+         */
+        load: function(callback) {
+            var requests = null;
+            try {
+                var data = window.localStorage && window.localStorage.getItem(this._key);
+                requests = data ? JSON.parse(data) : null;
+            } catch (ex) {
+                // Storage unavailable or content invalid: treat as empty.
+                requests = null;
+            }
+            Core.Web.Scheduler.run(function() {
+                callback(requests);
+            });
+        },
         
-        if (this._xmlHttpRequest.readyState == 4) {
-            var responseEvent;
+        /**
+         * Persists requests.
+         * 
+         * @param {Array} requests the requests to persist
+         */
+        save: function(requests) {
             try {
-                // 0 included as a valid response code for non-served applications.
-                var valid = !this._xmlHttpRequest.status ||  
-                        (this._xmlHttpRequest.status >= 200 && this._xmlHttpRequest.status <= 299);
-                responseEvent = {type: "response", source: this, valid: valid};
+                if (!window.localStorage) {
+                    return;
+                }
+                if (requests.length) {
+                    window.localStorage.setItem(this._key, JSON.stringify(requests));
+                } else {
+                    window.localStorage.removeItem(this._key);
+                }
             } catch (ex) {
-                responseEvent = {type: "response", source: this, valid: false, exception: ex};
+                // Storage unavailable or quota exceeded: requests remain queued in memory only.
             }
+        }
+    }),
+    
+    /**
+     * Persistent storage of queued requests in IndexedDB.
+     * Requests are stored as a single record, such that their order is maintained.
+     */
+    _IndexedDbStorage: Core.extend({
+    
+        $static: {
+        
+            /** Name of object store. */
+            _STORE: "requests",
             
-            Core.Web.Scheduler.run(Core.method(this, function() {
-                this._listenerList.fireEvent(responseEvent);
-                this.dispose();
-            }));
+            /** Key of the record containing the queued requests. */
+            _KEY: "queue"
+        },
+    
+        /**
+         * The database name.
+         * @type String
+         */
+        _name: null,
+        
+        /**
+         * The open database, if available.
+         * @type IDBDatabase
+         */
+        _db: null,
+        
+        /**
+         * Creates a new IndexedDB-based storage.
+         * 
+         * @param {String} name the database name
+         * @constructor
+         */
+        $construct: function(name) {
+            this._name = name;
+        },
+        
+        /**
+         * Loads persisted requests, opening the database.
+         * 
+         * @param {Function} callback function to invoke (asynchronously) with the array of persisted requests, or 
+         *        null if none are available
+         */
+        load: function(callback) {
+            var instance = this,
+                store = Core.Web.OfflineQueue._IndexedDbStorage._STORE,
+                request;
+            
+            try {
+                request = window.indexedDB.open(this._name, 1);
+            } catch (ex) {
+                Core.Web.Scheduler.run(function() {
+                    callback(null);
+                });
+                return;
+            }
+            request.onupgradeneeded = function() {
+                request.result.createObjectStore(store);
+            };
+            request.onerror = function() {
+                callback(null);
+            };
+            request.onsuccess = function() {
+                instance._db = request.result;
+                var get;
+                try {
+                    get = instance._db.transaction(store, "readonly").objectStore(store).get(
+                            Core.Web.OfflineQueue._IndexedDbStorage._KEY);
+                } catch (ex) {
+                    callback(null);
+                    return;
+                }
+                get.onsuccess = function() {
+                    callback(get.result || null);
+                };
+                get.onerror = function() {
+                    callback(null);
+                };
+            };
+        },
+        
+        /**
+         * Persists requests.  Requests are not persisted until loading has completed.
+         * 
+         * @param {Array} requests the requests to persist
+         */
+        save: function(requests) {
+            if (!this._db) {
+                return;
+            }
+            try {
+                var store = Core.Web.OfflineQueue._IndexedDbStorage._STORE;
+                this._db.transaction(store, "readwrite").objectStore(store).put(requests.slice(), 
+                        Core.Web.OfflineQueue._IndexedDbStorage._KEY);
+            } catch (ex) {
+                // Database unavailable: requests remain queued in memory only.
+            }
         }
-    },
+    })
+};
+
+/**
+ * Appender which sends log records to a server, in batches, as JSON-encoded HTTP POST requests.
+ * The request body is an object containing a single <code>records</code> property, an array of log records.
+ * Structured fields which cannot be serialized are converted to strings.
+ * Records are discarded if a request fails.
+ */
+Core.Log.HttpAppender = Core.extend(Core.Log.Appender, {
+
+    /**
+     * The URL to which records are posted.
+     * @type String
+     */
+    url: null,
     
     /**
-     * Removes a response listener to be notified when a response is received from the connection.
+     * The number of pending records which will trigger an immediate send.
+     * @type Number
+     */
+    batchSize: 20,
+    
+    /**
+     * The maximum interval, in milliseconds, for which a record will be held before being sent.
+     * @type Number
+     */
+    interval: 5000,
+    
+    /** Records awaiting transmission. */
+    _pending: null,
+    
+    /** Runnable scheduled to send pending records. */
+    _runnable: null,
+
+    /**
+     * Creates a new <code>HttpAppender</code>.
      * 
-     * @param {Function} l the listener to remove
+     * @param {String} url the URL to which records should be posted
+     * @param options (optional) object containing configuration overrides, which may include 
+     *        <code>level</code>, <code>batchSize</code> and/or <code>interval</code> properties
      */
-    removeResponseListener: function(l) {
-        this._listenerList.removeListener("response", l);
+    $construct: function(url, options) {
+        this.url = url;
+        this._pending = [];
+        if (options) {
+            for (var x in options) {
+                if (x == "level" || x == "batchSize" || x == "interval") {
+                    this[x] = options[x];
+                }
+            }
+        }
+    },
+    
+    /** @see Core.Log.Appender#append */
+    append: function(record) {
+        this._pending.push(record);
+        if (this._pending.length >= this.batchSize) {
+            this.flush();
+        } else if (!this._runnable) {
+            this._runnable = Core.Web.Scheduler.run(Core.method(this, this.flush), this.interval);
+        }
+    },
+    
+    /**
+     * Immediately sends all pending records.
+     */
+    flush: function() {
+        if (this._runnable) {
+            Core.Web.Scheduler.remove(this._runnable);
+            this._runnable = null;
+        }
+        if (this._pending.length === 0) {
+            return;
+        }
+        var records = this._pending;
+        this._pending = [];
+        var conn = new Core.Web.HttpConnection(this.url, "POST", this._serialize(records), "application/json");
+        conn.connect();
     },
     
     /**
-     * Sets a header in the request.
+     * Serializes records to JSON.  Fields whose values cannot be serialized (e.g., DOM elements or cyclic
+     * object graphs) are converted to strings.
      * 
-     * @param {String} header the header to retrieve
-     * @param {String} value the value of the header
+     * @param {Array} records the records to serialize
+     * @return the JSON representation
+     * @type String
      */
-    setRequestHeader: function(header, value) {
-        if (!this._requestHeaders) {
-            this._requestHeaders = { };
-        } 
-        this._requestHeaders[header] = value;
+    _serialize: function(records) {
+        var data = [];
+        for (var i = 0; i < records.length; ++i) {
+            var record = records[i],
+                fields = null;
+            if (record.fields) {
+                fields = {};
+                for (var x in record.fields) {
+                    var value = record.fields[x];
+                    if (value && (value.nodeType || value instanceof Error)) {
+                        // Serialize DOM nodes and exceptions by their string representations.
+                        fields[x] = String(value);
+                        continue;
+                    }
+                    try {
+                        JSON.stringify(value);
+                        fields[x] = value;
+                    } catch (ex) {
+                        fields[x] = String(value);
+                    }
+                }
+            }
+            data.push({ logger: record.logger, level: record.levelName, message: record.message, fields: fields, 
+                    time: record.time });
+        }
+        return JSON.stringify({ records: data });
     }
 });
 
@@ -2717,8 +8297,75 @@ Core.Web.Image = {
     }
 };
 
+/**
+ * Keyboard event normalization utilities.
+ * <p>
+ * Legacy key codes are translated to standard (Internet Explorer/WebKit) values with <code>translateKeyCode()</code>, 
+ * based on per-engine tables.  Modern key events are normalized with <code>normalize()</code>, which derives a 
+ * standard key code from the <code>key</code> and <code>code</code> properties of the event (where available), 
+ * falling back to the legacy tables.  The key code of a character key is derived from the character it produces 
+ * (where that character is a Latin letter, digit or punctuation character), such that shortcuts follow the 
+ * user's keyboard layout, and otherwise from the physical key, such that shortcuts remain usable with non-Latin 
+ * layouts.
+ * @class
+ */
 Core.Web.Key = {
     
+    /**
+     * Mapping between <code>KeyboardEvent.code</code> values and standard key codes, for keys whose code values
+     * cannot be derived from their names (letter keys "KeyA" to "KeyZ", digit keys "Digit0" to "Digit9", and 
+     * function keys "F1" to "F24" are derived).
+     */
+    _CODE_KEY_CODES: {
+        Backspace: 8, Tab: 9, Enter: 13, NumpadEnter: 13, ShiftLeft: 16, ShiftRight: 16, ControlLeft: 17, 
+        ControlRight: 17, AltLeft: 18, AltRight: 18, Pause: 19, CapsLock: 20, Escape: 27, Space: 32, PageUp: 33, 
+        PageDown: 34, End: 35, Home: 36, ArrowLeft: 37, ArrowUp: 38, ArrowRight: 39, ArrowDown: 40, Insert: 45, 
+        Delete: 46, MetaLeft: 91, OSLeft: 91, MetaRight: 92, OSRight: 92, ContextMenu: 93, 
+        Numpad0: 96, Numpad1: 97, Numpad2: 98, Numpad3: 99, Numpad4: 100, Numpad5: 101, Numpad6: 102, Numpad7: 103, 
+        Numpad8: 104, Numpad9: 105, NumpadMultiply: 106, NumpadAdd: 107, NumpadSubtract: 109, NumpadDecimal: 110, 
+        NumpadDivide: 111, NumLock: 144, ScrollLock: 145, Semicolon: 186, Equal: 187, Comma: 188, Minus: 189, 
+        Period: 190, Slash: 191, Backquote: 192, BracketLeft: 219, Backslash: 220, BracketRight: 221, Quote: 222
+    },
+    
+    /**
+     * Mapping between (non-character) <code>KeyboardEvent.key</code> values and standard key codes.
+     * Includes legacy values reported by older browsers (e.g., "Esc", "Left", "Spacebar").
+     */
+    _KEY_KEY_CODES: {
+        Backspace: 8, Tab: 9, Enter: 13, Shift: 16, Control: 17, Alt: 18, Pause: 19, CapsLock: 20, 
+        Escape: 27, Esc: 27, " ": 32, Spacebar: 32, PageUp: 33, PageDown: 34, End: 35, Home: 36, 
+        ArrowLeft: 37, Left: 37, ArrowUp: 38, Up: 38, ArrowRight: 39, Right: 39, ArrowDown: 40, Down: 40, 
+        Insert: 45, Delete: 46, Del: 46, Meta: 91, OS: 91, Win: 91, ContextMenu: 93, Apps: 93, NumLock: 144, 
+        ScrollLock: 145, ";": 186, ":": 186, "=": 187, "+": 187, ",": 188, "<": 188, "-": 189, "_": 189, ".": 190, 
+        ">": 190, "/": 191, "?": 191, "`": 192, "~": 192, "[": 219, "{": 219, "\\": 220, "|": 220, "]": 221, "}": 221, 
+        "'": 222, "\"": 222
+    },
+    
+    /**
+     * Mapping between standard key codes and <code>KeyboardEvent.key</code> values, used to provide key values where
+     * the browser does not.  Letter, digit, and function keys are derived.
+     */
+    _KEY_CODE_KEYS: {
+        8: "Backspace", 9: "Tab", 13: "Enter", 16: "Shift", 17: "Control", 18: "Alt", 19: "Pause", 20: "CapsLock", 
+        27: "Escape", 32: " ", 33: "PageUp", 34: "PageDown", 35: "End", 36: "Home", 37: "ArrowLeft", 38: "ArrowUp", 
+        39: "ArrowRight", 40: "ArrowDown", 45: "Insert", 46: "Delete", 91: "Meta", 92: "Meta", 93: "ContextMenu", 
+        144: "NumLock", 145: "ScrollLock"
+    },
+    
+    /**
+     * Legacy <code>KeyboardEvent.key</code> values and their standard equivalents.
+     */
+    _LEGACY_KEYS: {
+        Esc: "Escape", Spacebar: " ", Left: "ArrowLeft", Up: "ArrowUp", Right: "ArrowRight", Down: "ArrowDown", 
+        Del: "Delete", OS: "Meta", Win: "Meta", Apps: "ContextMenu"
+    },
+    
+    /**
+     * Set of standard key codes of keys currently held down, used to detect repeated key down events where the 
+     * browser does not provide <code>KeyboardEvent.repeat</code>.
+     */
+    _downKeyCodes: { },
+    
     _KEY_TABLES: {
         
         GECKO: { 
@@ -2727,75 +8374,549 @@ Core.Web.Key = {
             109: 189
         },
         
-        MAC_GECKO: {
+        MAC_GECKO: {
+        },
+        
+        PRESTO: {
+            59: 186,
+            61: 187,
+            44: 188,
+            45: 189,
+            46: 190,
+            47: 191,
+            96: 192,
+            91: 219,
+            92: 220,
+            93: 221,
+            39: 222
+        },
+        
+        WEBKIT: {
+        }
+    },
+    
+    _keyTable: null,
+    
+    _loadKeyTable: function() {
+        if (Core.Web.Env.ENGINE_GECKO) {
+            this._keyTable = this._KEY_TABLES.GECKO;
+        } else if(Core.Web.Env.ENGINE_PRESTO) {
+            this._keyTable = this._KEY_TABLES.PRESTO;
+        } else {
+            this._keyTable = { };
+        }
+    },
+
+    /**
+     * Determines the standard key code of a key event, based on its <code>key</code> and <code>code</code> properties 
+     * if available, falling back to its (translated) legacy <code>keyCode</code>.
+     * 
+     * @param e the key event
+     * @return the standard key code
+     * @type Number
+     */
+    _getKeyCode: function(e) {
+        var key = e.key, code = e.code;
+        
+        if (code && code.indexOf("Numpad") === 0 && this._CODE_KEY_CODES[code]) {
+            // Numeric keypad: key codes differ from those of the main keyboard.
+            return this._CODE_KEY_CODES[code];
+        }
+        if (key && key.length == 1 && /[a-zA-Z0-9]/.test(key)) {
+            // Latin letter or digit: use character (layout-dependent).
+            return key.toUpperCase().charCodeAt(0);
+        }
+        if (key && this._KEY_KEY_CODES[key]) {
+            return this._KEY_KEY_CODES[key];
+        }
+        if (code) {
+            // Non-Latin character or unknown key: use physical key (layout-independent).
+            if (/^Key[A-Z]$/.test(code)) {
+                return code.charCodeAt(3);
+            } else if (/^Digit[0-9]$/.test(code)) {
+                return code.charCodeAt(5);
+            } else if (/^F([1-9]|1[0-9]|2[0-4])$/.test(code)) {
+                return 111 + parseInt(code.substring(1), 10);
+            } else if (this._CODE_KEY_CODES[code]) {
+                return this._CODE_KEY_CODES[code];
+            }
+        }
+        return this.translateKeyCode(e.keyCode);
+    },
+    
+    /**
+     * Returns the <code>KeyboardEvent.key</code> value of a key event, normalizing legacy values, or deriving it from 
+     * the standard key code where the browser does not provide it.  Derived values of character keys do not
+     * reflect the shift state or keyboard layout, and are "Unidentified" where unknown.
+     * 
+     * @param e the key event
+     * @param {Number} keyCode the standard key code of the event
+     * @return the key value
+     * @type String
+     */
+    _getKey: function(e, keyCode) {
+        if (e.key && e.key != "Unidentified") {
+            return this._LEGACY_KEYS[e.key] || e.key;
+        }
+        if (this._KEY_CODE_KEYS[keyCode]) {
+            return this._KEY_CODE_KEYS[keyCode];
+        } else if ((keyCode >= 48 && keyCode <= 57) || (keyCode >= 65 && keyCode <= 90)) {
+            return String.fromCharCode(keyCode).toLowerCase();
+        } else if (keyCode >= 96 && keyCode <= 105) {
+            return String.fromCharCode(keyCode - 48);
+        } else if (keyCode >= 112 && keyCode <= 135) {
+            return "F" + (keyCode - 111);
+        }
+        return "Unidentified";
+    },
+    
+    /**
+     * Normalizes a DOM key event (keydown, keypress, or keyup), returning an object providing the following properties:
+     * <ul>
+     *  <li><code>keyCode</code>: the standard key code (see <code>translateKeyCode()</code>), derived from the 
+     *   <code>key</code>/<code>code</code> properties of the event where available</li>
+     *  <li><code>key</code>: the <code>KeyboardEvent.key</code> value, e.g., "a", "A", "Enter", or "ArrowLeft"</li>
+     *  <li><code>code</code>: the <code>KeyboardEvent.code</code> value identifying the physical key, e.g., "KeyA", 
+     *   or null if not provided by the browser</li>
+     *  <li><code>altKey</code>, <code>ctrlKey</code>, <code>metaKey</code>, <code>shiftKey</code>: modifier key 
+     *   states</li>
+     *  <li><code>repeat</code>: flag indicating the event was generated by a key being held down (always false for 
+     *   keyup events)</li>
+     *  <li><code>isComposing</code>: flag indicating the event occurred during IME composition (in which case it
+     *   should generally be ignored by shortcut handlers)</li>
+     * </ul>
+     * 
+     * @param e the DOM key event
+     * @return the normalized key
+     */
+    normalize: function(e) {
+        var keyCode = this._getKeyCode(e),
+            repeat;
+        
+        if (e.type == "keyup") {
+            delete this._downKeyCodes[keyCode];
+            repeat = false;
+        } else if (typeof e.repeat == "boolean") {
+            repeat = e.repeat;
+        } else {
+            repeat = !!this._downKeyCodes[keyCode];
+        }
+        if (e.type == "keydown") {
+            this._downKeyCodes[keyCode] = true;
+        }
+        
+        return {
+            keyCode: keyCode,
+            key: this._getKey(e, keyCode),
+            code: e.code || null,
+            altKey: !!e.altKey,
+            ctrlKey: !!e.ctrlKey,
+            metaKey: !!e.metaKey,
+            shiftKey: !!e.shiftKey,
+            repeat: repeat,
+            // Key code 229 is reported for key events processed by an IME.
+            isComposing: !!e.isComposing || e.keyCode == 229
+        };
+    },
+
+    /**
+     * Translates a legacy key code to its standard value, based on the browser's rendering engine.
+     * 
+     * @param {Number} keyCode the key code reported by the browser
+     * @return the standard key code
+     * @type Number
+     */
+    translateKeyCode: function(keyCode) {
+        if (!this._keyTable) {
+            this._loadKeyTable();
+        }
+        return this._keyTable[keyCode] || keyCode;
+    }
+};
+
+/**
+ * Utilities for dynamically loading additional script libraries.
+ * @class
+ */
+Core.Web.Library = {
+
+    /**
+     * Set of loaded libraries (keys are library urls, value is true when library has been loaded).
+     */
+    _loadedLibraries: { },
+    
+    /**
+     * Library manifest (keys are library urls, values are manifest entries, see <code>addManifest()</code>).
+     */
+    _manifest: { },
+    
+    /**
+     * Number of times retrieval of a library will be retried in the event of a network error, timeout, or
+     * server error.
+     * @type Number
+     */
+    retries: 2,
+    
+    /**
+     * Maximum time (in milliseconds) to wait for each attempt to retrieve a library, or null for no timeout.
+     * @type Number
+     */
+    timeout: null,
+    
+    /**
+     * Priority of library retrieval requests (see <code>Core.Web.Transport</code>).  Libraries are retrieved at low
+     * priority by default, such that application requests are not delayed by library loading.
+     * @type Number
+     */
+    priority: Core.Web.Transport.PRIORITY_LOW,
+    
+    /**
+     * Determined source code line number of eval() library load statement (useful for debugging on browsers which do not 
+     * properly report line numbers for evaluated scripts).
+     * @type Number
+     */
+    evalLine: null,
+    
+    /**
+     * The strategy used to install (non-module) libraries, one of the following values:
+     * <ul>
+     *  <li>"eval": library code is retrieved and evaluated with <code>eval()</code> (default)</li>
+     *  <li>"script": library code is retrieved and installed by inserting inline script elements, marked with the 
+     *   <code>nonce</code> and a source URL comment (for debuggers); compatible with a Content Security Policy 
+     *   which does not allow 'unsafe-eval' but allows inline scripts by nonce</li>
+     *  <li>"src": libraries are installed by inserting script elements referencing their URLs, marked with the 
+     *   <code>nonce</code> and the <code>integrity</code> hash from the library manifest, if specified; compatible with a 
+     *   Content Security Policy which allows scripts by nonce, hash, or source</li>
+     * </ul>
+     * The strategy does not affect load events: libraries are installed in the same order, and failures are 
+     * reported in the same way, regardless of strategy.
+     * @type String
+     */
+    installMode: "eval",
+    
+    /**
+     * Version of the library cache, or null to disable caching (default).  When set, retrieved libraries are cached 
+     * (in Cache Storage where available, and otherwise in localStorage), and are installed from the cache on 
+     * subsequent loads without being retrieved.  Libraries cached under other versions are discarded, thus the version 
+     * should be changed whenever libraries are updated.  Libraries installed by script elements referencing their URLs
+     * (modules and the <code>installMode</code> "src") are cached by the browser and are not affected.
+     * @type String
+     */
+    cacheVersion: null,
+    
+    /**
+     * The storage used for the library cache, either "cacheStorage" or "localStorage".  If not set, Cache Storage is
+     * used where available.
+     * @type String
+     */
+    cacheStorage: null,
+    
+    /**
+     * The Content Security Policy nonce applied to script elements used to install libraries.  If not set, the nonce
+     * of the first script element of the document which provides one is used.
+     * @type String
+     */
+    nonce: null,
+    
+    /**
+     * Adds entries to the library manifest, which declares the dependencies of libraries and how they are installed.
+     * The manifest is an object whose keys are library URLs and whose values are objects providing the following
+     * (optional) properties:
+     * <ul>
+     *  <li><code>dependencies</code>: an array of the URLs of the libraries which must be installed before the 
+     *   library (URLs must be specified exactly as they are added to library groups/manifests)</li>
+     *  <li><code>module</code>: a boolean flag indicating that the library is an ES module, to be installed by 
+     *   injecting a <code>&lt;script type="module"&gt;</code> element rather than by evaluating its code</li>
+     *  <li><code>integrity</code>: the Subresource Integrity metadata of the library, i.e., one or more 
+     *   space-separated hashes of its content (e.g., "sha384-..."), supporting the SHA-256, SHA-384, and SHA-512 
+     *   algorithms.  Retrieved (or cached) library code is verified before installation, and a library which fails 
+     *   verification fails its group.  Verification requires the Web Cryptography API.  As library code is verified 
+     *   after it has been decoded as text, hashes are computed over its UTF-8 encoding: libraries must be UTF-8 
+     *   encoded without a byte order mark for their hashes to match those of their files.  The integrity metadata is 
+     *   also applied to script elements referencing the library (modules and the <code>installMode</code> "src"), 
+     *   such that the browser verifies them.</li>
+     * </ul>
+     * Entries for libraries already present in the manifest are replaced.
+     * 
+     * @param manifest the manifest entries to add
+     */
+    addManifest: function(manifest) {
+        for (var url in manifest) {
+            this._manifest[url] = manifest[url];
+        }
+    },
+    
+    /**
+     * Appends a script or link element used to install a library to the document head.
+     * The Content Security Policy nonce, if any, is applied to the element.
+     * 
+     * @param {Element} element the element to append
+     */
+    _appendElement: function(element) {
+        var nonce = this._getNonce();
+        if (nonce) {
+            element.nonce = nonce;
+            element.setAttribute("nonce", nonce);
+        }
+        (document.getElementsByTagName("head")[0] || document.documentElement).appendChild(element);
+    },
+    
+    /**
+     * Returns the Content Security Policy nonce to apply to script elements, either as configured or as determined 
+     * from the script elements of the document.
+     * 
+     * @return the nonce, or null if none is available
+     * @type String
+     */
+    _getNonce: function() {
+        if (this.nonce) {
+            return this.nonce;
+        }
+        var scripts = document.getElementsByTagName("script");
+        for (var i = 0; i < scripts.length; ++i) {
+            // Browsers hide the nonce attribute value from the DOM, but provide it by the nonce property.
+            var nonce = scripts[i].nonce || scripts[i].getAttribute("nonce");
+            if (nonce) {
+                return nonce;
+            }
+        }
+        return null;
+    },
+    
+    /**
+     * Verifies the content of a library against Subresource Integrity metadata.
+     * As specified for Subresource Integrity, only the hashes using the strongest algorithm provided are considered, 
+     * and metadata providing no hashes of supported algorithms is ignored.  The hash is computed over the UTF-8 encoding
+     * of the content (the raw bytes of the library are not available once it has been decoded).
+     * 
+     * @param {String} url the URL of the library (used in error messages)
+     * @param {String} content the library content
+     * @param {String} integrity the integrity metadata
+     * @param {Function} callback function to invoke (asynchronously) once verification has completed; an 
+     *        <code>Error</code> describing the failure is provided in the event that the content could not be verified
+     */
+    _verifyIntegrity: function(url, content, integrity, callback) {
+        var algorithms = { sha256: "SHA-256", sha384: "SHA-384", sha512: "SHA-512" },
+            strength = { sha256: 1, sha384: 2, sha512: 3 },
+            tokens = integrity.split(/\s+/),
+            algorithm = null,
+            hashes = [],
+            i;
+        
+        // Callback is never invoked from a promise reaction handler, where its exceptions would be lost.
+        var complete = function(ex) {
+            Core.Web.Scheduler.run(function() {
+                callback(ex);
+            });
+        };
+        
+        for (i = 0; i < tokens.length; ++i) {
+            var match = /^(sha256|sha384|sha512)-([A-Za-z0-9+\/=_\-]+)/.exec(tokens[i]);
+            if (!match) {
+                continue;
+            }
+            if (!algorithm || strength[match[1]] > strength[algorithm]) {
+                algorithm = match[1];
+                hashes = [];
+            }
+            if (match[1] == algorithm) {
+                // Normalize URL-safe Base64 encoding.
+                hashes.push(match[2].replace(/-/g, "+").replace(/_/g, "/"));
+            }
+        }
+        
+        if (!algorithm) {
+            complete(null);
+            return;
+        }
+        if (!(window.crypto && window.crypto.subtle && typeof TextEncoder != "undefined")) {
+            complete(new Error("Cannot verify integrity of library \"" + url + "\": Web Cryptography API unavailable."));
+            return;
+        }
+        
+        window.crypto.subtle.digest(algorithms[algorithm], new TextEncoder().encode(content)).then(function(digest) {
+            var bytes = new Uint8Array(digest),
+                binary = "";
+            for (var j = 0; j < bytes.length; ++j) {
+                binary += String.fromCharCode(bytes[j]);
+            }
+            var hash = window.btoa(binary);
+            for (var k = 0; k < hashes.length; ++k) {
+                if (hashes[k].replace(/=+$/, "") == hash.replace(/=+$/, "")) {
+                    complete(null);
+                    return;
+                }
+            }
+            complete(new Error("Integrity verification failed for library \"" + url + "\": expected " + 
+                    algorithm + "-" + hashes.join(" or " + algorithm + "-") + ", computed " + algorithm + "-" + hash + "."));
+        }, function(ex) {
+            complete(new Error("Cannot verify integrity of library \"" + url + "\": " + ex));
+        });
+    },
+    
+    /**
+     * Versioned cache of library content, see <code>Core.Web.Library.cacheVersion</code>.
+     * Cache failures are not reported: a library which cannot be read from the cache is retrieved.
+     * @class
+     */
+    _Cache: {
+    
+        /**
+         * Prefix of cache names (Cache Storage) and keys (localStorage).
+         * @type String
+         */
+        _PREFIX: "Core.Web.Library.",
+        
+        /**
+         * The cache version for which libraries cached under other versions have been discarded.
+         * @type String
+         */
+        _purgedVersion: null,
+        
+        /**
+         * Returns the name of the cache (Cache Storage) or the key prefix (localStorage) of the current version.
+         * 
+         * @return the name
+         * @type String
+         */
+        _getName: function() {
+            return this._PREFIX + Core.Web.Library.cacheVersion;
+        },
+        
+        /**
+         * Determines whether Cache Storage is used.
+         * 
+         * @return true if Cache Storage is used, false if localStorage is used
+         * @type Boolean
+         */
+        _isCacheStorage: function() {
+            return Core.Web.Library.cacheStorage != "localStorage" && !!window.caches;
+        },
+        
+        /**
+         * Retrieves cached library content.
+         * 
+         * @param {String} url the library URL
+         * @param {Function} callback function to invoke (asynchronously, by the scheduler) with the cached content, or 
+         *        null if the library is not cached
+         */
+        get: function(url, callback) {
+            this._purge();
+            if (this._isCacheStorage()) {
+                window.caches.open(this._getName()).then(function(cache) {
+                    return cache.match(url);
+                }).then(function(response) {
+                    return response ? response.text() : null;
+                }).then(function(content) {
+                    Core.Web.Scheduler.run(function() {
+                        callback(content);
+                    });
+                }, function() {
+                    Core.Web.Scheduler.run(function() {
+                        callback(null);
+                    });
+                });
+            } else {
+                var content = null;
+                try {
+                    content = window.localStorage ? window.localStorage.getItem(this._getName() + ":" + url) : null;
+                } catch (ex) {
+                    // Storage unavailable.
+                }
+                Core.Web.Scheduler.run(function() {
+                    callback(content);
+                });
+            }
+        },
+        
+        /**
+         * Removes all libraries cached under versions other than the current version.
+         */
+        _purge: function() {
+            if (this._purgedVersion == Core.Web.Library.cacheVersion) {
+                return;
+            }
+            this._purgedVersion = Core.Web.Library.cacheVersion;
+            var prefix = this._PREFIX,
+                name = this._getName(),
+                i;
+            if (this._isCacheStorage()) {
+                window.caches.keys().then(function(keys) {
+                    for (var i = 0; i < keys.length; ++i) {
+                        if (keys[i].indexOf(prefix) === 0 && keys[i] != name) {
+                            window.caches["delete"](keys[i]);
+                        }
+                    }
+                }, function() { });
+            } else {
+                try {
+                    for (i = window.localStorage.length - 1; i >= 0; --i) {
+                        var key = window.localStorage.key(i);
+                        if (key.indexOf(prefix) === 0 && key.indexOf(name + ":") !== 0) {
+                            window.localStorage.removeItem(key);
+                        }
+                    }
+                } catch (ex) {
+                    // Storage unavailable.
+                }
+            }
         },
         
-        PRESTO: {
-            59: 186,
-            61: 187,
-            44: 188,
-            45: 189,
-            46: 190,
-            47: 191,
-            96: 192,
-            91: 219,
-            92: 220,
-            93: 221,
-            39: 222
+        /**
+         * Stores library content in the cache.
+         * 
+         * @param {String} url the library URL
+         * @param {String} content the library content
+         */
+        put: function(url, content) {
+            if (this._isCacheStorage()) {
+                window.caches.open(this._getName()).then(function(cache) {
+                    return cache.put(url, new Response(content, { headers: { "Content-Type": "text/javascript" } }));
+                })["catch"](function() { });
+            } else {
+                try {
+                    window.localStorage.setItem(this._getName() + ":" + url, content);
+                } catch (ex) {
+                    // Storage unavailable or quota exceeded: library is not cached.
+                }
+            }
         },
         
-        WEBKIT: {
-        }
-    },
-    
-    _keyTable: null,
-    
-    _loadKeyTable: function() {
-        if (Core.Web.Env.ENGINE_GECKO) {
-            this._keyTable = this._KEY_TABLES.GECKO;
-        } else if(Core.Web.Env.ENGINE_PRESTO) {
-            this._keyTable = this._KEY_TABLES.PRESTO;
-        } else {
-            this._keyTable = { };
+        /**
+         * Removes library content from the cache.
+         * 
+         * @param {String} url the library URL
+         */
+        remove: function(url) {
+            if (this._isCacheStorage()) {
+                window.caches.open(this._getName()).then(function(cache) {
+                    return cache["delete"](url);
+                })["catch"](function() { });
+            } else {
+                try {
+                    window.localStorage.removeItem(this._getName() + ":" + url);
+                } catch (ex) {
+                    // Storage unavailable.
+                }
+            }
         }
     },
-
-    translateKeyCode: function(keyCode) {
-        if (!this._keyTable) {
-            this._loadKeyTable();
-        }
-        return this._keyTable[keyCode] || keyCode;
-    }
-};
-
-/**
- * Utilities for dynamically loading additional script libraries.
- * @class
- */
-Core.Web.Library = {
-
-    /**
-     * Set of loaded libraries (keys are library urls, value is true when library has been loaded).
-     */
-    _loadedLibraries: { },
-    
-    /**
-     * Determined source code line number of eval() library load statement (useful for debugging on browsers which do not 
-     * properly report line numbers for evaluated scripts).
-     * @type Number
-     */
-    evalLine: null,
     
     /**
      * A representation of a group of libraries to be loaded at the same time.
-     * Libraries will be retrieved asynchronously, and then installed once ALL the libraries have
-     * been retrieved.  Installation will be done in the order in which the add() method was
-     * invoked to add libraries to the group (without regard for the order in which the 
-     * HTTP server returns the library code).
+     * Libraries will be retrieved asynchronously (in parallel), and then installed once ALL the libraries have
+     * been retrieved.  Libraries are installed after the libraries on which they depend (as declared in the library 
+     * manifest, see <code>Core.Web.Library.addManifest()</code>), and otherwise in the order in which the add() 
+     * method was invoked to add libraries to the group (without regard for the order in which the 
+     * HTTP server returns the library code).  Dependencies which have not previously been loaded are added to the
+     * group automatically.  A group containing cyclic dependencies fails to load.
      * 
      * A "load" event will be fired (listeners registered via <code>addLoadListener()</code>) when the group
      * has completed loading and the libraries have been installed.  The "success" property of the fired event
      * will be set to true in the event that all libraries were successfully loaded, and false otherwise.
+     * A library which cannot be retrieved (after retrying per the <code>retries</code> setting of 
+     * <code>Core.Web.Library</code>), or whose content fails integrity verification, fails the group: none of its 
+     * libraries will be installed.
      * In the event of a library loading failure, the following properties will be available in the event:
      * <ul>
      *  <li><code>url</code>: the URL of the failed library.</li>
@@ -2815,11 +8936,22 @@ Core.Web.Library = {
          */
         _libraries: null,
         
+        /**
+         * Mapping between URLs and libraries to be loaded.
+         */
+        _libraryMap: null,
+        
         /** Number of libraries which have been loaded. */
         _loadedCount: 0,
         
         /** Number of libraries to load. */
         _totalCount: 0,
+        
+        /** 
+         * Flag indicating whether loading of the group has failed.
+         * @type Boolean
+         */
+        _failed: false,
     
         /**
          * Creates a new library group.
@@ -2828,22 +8960,36 @@ Core.Web.Library = {
         $construct: function() {
             this._listenerList = new Core.ListenerList();
             this._libraries = [];
+            this._libraryMap = { };
         },
         
         /**
-         * Adds a library to the library group.
+         * Adds a library to the library group, along with its dependencies.
          * Libraries which have previously been loaded will not be loaded again.
          *
          * @param {String} libraryUrl the URL from which to retrieve the library.
+         * @param manifestEntry (optional) the manifest entry of the library, declaring its dependencies and whether 
+         *        it is a module (see <code>Core.Web.Library.addManifest()</code>)
          */
-        add: function(libraryUrl) {
-            if (Core.Web.Library._loadedLibraries[libraryUrl]) {
-                // Library already loaded: ignore.
+        add: function(libraryUrl, manifestEntry) {
+            if (manifestEntry) {
+                Core.Web.Library._manifest[libraryUrl] = manifestEntry;
+            }
+            if (Core.Web.Library._loadedLibraries[libraryUrl] || this._libraryMap[libraryUrl]) {
+                // Library already loaded or added: ignore.
                 return;
             }
             
-            var libraryItem = new Core.Web.Library._Item(this, libraryUrl);
+            var entry = Core.Web.Library._manifest[libraryUrl],
+                libraryItem = new Core.Web.Library._Item(this, libraryUrl, entry && entry.module);
             this._libraries.push(libraryItem);
+            this._libraryMap[libraryUrl] = libraryItem;
+            
+            if (entry && entry.dependencies) {
+                for (var i = 0; i < entry.dependencies.length; ++i) {
+                    this.add(entry.dependencies[i]);
+                }
+            }
         },
         
         /**
@@ -2866,6 +9012,33 @@ Core.Web.Library = {
             return this._libraries.length > 0;
         },
         
+        /**
+         * Fails the group, notifying load listeners of the failure.
+         * Throws an error unless a listener cancels it.
+         * 
+         * @param {String} url the URL of the library which failed to load
+         * @param ex the exception which occurred
+         * @param {String} message a description of the failure, used in the thrown error
+         */
+        _fail: function(url, ex, message) {
+            this._failed = true;
+            var e = {
+                type: "load", 
+                source: this, 
+                success: false, 
+                ex: ex, 
+                url: url,
+                cancel: false
+            };
+            try {
+                this._listenerList.fireEvent(e);
+            } finally {
+                if (!e.cancel) {
+                    throw new Error(message + " \"" + url + "\"; " + ex);
+                }
+            }
+        },
+        
         /**
          * Installs all libraries in the group.
          * This method is invoked once all libraries have been successfully
@@ -2873,35 +9046,73 @@ Core.Web.Library = {
          * once the libraries have been installed.
          */
         _install: function() {
-            for (var i = 0; i < this._libraries.length; ++i) {
+            this._installFrom(0);
+        },
+        
+        /**
+         * Installs libraries in the group, starting at the specified index.
+         * Installation is suspended while a library is being installed by a script element referencing it, and resumed 
+         * once it has executed.
+         * Load listeners are notified once all libraries have been installed.
+         * 
+         * @param {Number} index the index of the first library to install
+         */
+        _installFrom: function(index) {
+            for (var i = index; i < this._libraries.length; ++i) {
+                var libraryItem = this._libraries[i];
+                if (libraryItem._isElementInstalled() && !Core.Web.Library._loadedLibraries[libraryItem._url]) {
+                    this._installElement(i);
+                    return;
+                }
                 try {
-                    this._libraries[i]._install();
+                    libraryItem._install();
                 } catch (ex) {
-                    var e = {
-                        type: "load", 
-                        source: this, 
-                        success: false, 
-                        ex: ex, 
-                        url: this._libraries[i]._url,
-                        cancel: false
-                    };
-                    try {
-                        this._listenerList.fireEvent(e);
-                    } finally {
-                        if (!e.cancel) {
-                            throw new Error("Exception installing library \"" + this._libraries[i]._url + "\"; " + ex);
-                        }
-                    }
+                    this._fail(libraryItem._url, ex, "Exception installing library");
+                    return;
                 }
             }
             this._listenerList.fireEvent({type: "load", source: this, success: true});
         },
         
+        /**
+         * Installs a library by a script element referencing it, resuming installation of the group once it has 
+         * executed.
+         * 
+         * @param {Number} index the index of the library
+         */
+        _installElement: function(index) {
+            var libraryItem = this._libraries[index];
+            libraryItem._installElement(Core.method(this, function(ex) {
+                if (ex) {
+                    this._fail(libraryItem._url, ex, "Exception installing library");
+                } else {
+                    this._installFrom(index + 1);
+                }
+            }));
+        },
+        
+        /**
+         * Event listener invoked when a single library could not be retrieved.
+         * Fails the group, unless it has already failed.
+         * 
+         * @param {Core.Web.Library._Item} item the library which could not be retrieved
+         * @param ex the exception describing the failure
+         */
+        _notifyFailed: function(item, ex) {
+            if (this._failed) {
+                return;
+            }
+            this._fail(item._url, ex, "Exception retrieving library");
+        },
+        
         /**
          * Event listener invoked when a single library has been successfully retrieved.
          * When all libraries have been retrieved, this method will invoke _install().
          */
         _notifyRetrieved: function() {
+            if (this._failed) {
+                return;
+            }
             ++this._loadedCount;
             if (this._loadedCount == this._totalCount) {
                 this._install();
@@ -2916,6 +9127,12 @@ Core.Web.Library = {
          * be invoked.
          */
         load: function() {
+            var cycle = this._sort();
+            if (cycle) {
+                this._fail(cycle[0], new Error("Cyclic library dependency: " + cycle.join(" -> ")), 
+                        "Exception resolving dependencies of library");
+                return;
+            }
             this._totalCount = this._libraries.length;
             for (var i = 0; i < this._libraries.length; ++i) {
                 this._libraries[i]._retrieve();
@@ -2929,6 +9146,58 @@ Core.Web.Library = {
          */
         removeLoadListener: function(l) {
             this._listenerList.removeListener("load", l);
+        },
+        
+        /**
+         * Sorts the libraries of the group in installation order, such that each library follows the libraries on 
+         * which it depends (a topological sort of the dependency graph).  Libraries are otherwise kept in the order in 
+         * which they were added.
+         * 
+         * @return null if the libraries were sorted, or, if a dependency cycle exists, an array of the URLs of the 
+         *         libraries forming the cycle (with the first URL repeated at its end)
+         * @type Array
+         */
+        _sort: function() {
+            var sorted = [],
+                state = { }, // 1: visiting, 2: visited
+                path = [],
+                libraryMap = this._libraryMap;
+            
+            var visit = function(libraryItem) {
+                var url = libraryItem._url;
+                if (state[url] == 2) {
+                    return null;
+                } else if (state[url] == 1) {
+                    var cycle = path.slice(Core.Arrays.indexOf(path, url));
+                    cycle.push(url);
+                    return cycle;
+                }
+                state[url] = 1;
+                path.push(url);
+                var entry = Core.Web.Library._manifest[url],
+                    dependencies = (entry && entry.dependencies) || [];
+                for (var i = 0; i < dependencies.length; ++i) {
+                    if (libraryMap[dependencies[i]]) {
+                        var dependencyCycle = visit(libraryMap[dependencies[i]]);
+                        if (dependencyCycle) {
+                            return dependencyCycle;
+                        }
+                    }
+                }
+                path.pop();
+                state[url] = 2;
+                sorted.push(libraryItem);
+                return null;
+            };
+            
+            for (var i = 0; i < this._libraries.length; ++i) {
+                var cycle = visit(this._libraries[i]);
+                if (cycle) {
+                    return cycle;
+                }
+            }
+            this._libraries = sorted;
+            return null;
         }
     }),
 
@@ -2948,17 +9217,25 @@ Core.Web.Library = {
          * @type String
          */
         _content: null,
+        
+        /**
+         * Flag indicating whether the library is an ES module.
+         * @type Boolean
+         */
+        _module: false,
     
         /**
          * Creates a new library item.
          * 
          * @param {Core.Web.Library.Group} group the library group in which the item is contained
          * @param {String} url the URL from which the library may be retrieved
+         * @param {Boolean} module flag indicating whether the library is an ES module
          * @constructor
          */
-        $construct: function(group, url) {
+        $construct: function(group, url, module) {
             this._url = url;
             this._group = group;
+            this._module = !!module;
         },
         
         /**
@@ -2968,11 +9245,56 @@ Core.Web.Library = {
          */
         _retrieveListener: function(e) {
             if (!e.valid) {
-                throw new Error("Invalid HTTP response retrieving library \"" + this._url + 
-                        "\", received status: " + e.source.getStatus());
+                var reason;
+                if (e.timeout) {
+                    reason = "request timed out";
+                } else if (e.aborted) {
+                    reason = "request aborted";
+                } else if (e.exception) {
+                    reason = e.exception;
+                } else {
+                    reason = "received status: " + e.source.getStatus();
+                }
+                this._group._notifyFailed(this, new Error("Invalid HTTP response retrieving library \"" + this._url + 
+                        "\", " + reason));
+                return;
+            }
+            this._processContent(e.source.getResponseText(), false);
+        },
+        
+        /**
+         * Processes retrieved or cached library content, verifying its integrity (if specified in the manifest).
+         * Verified content is stored for installation, and cached (if retrieved and caching is enabled).
+         * Cached content which fails verification is discarded, and the library is retrieved.
+         * 
+         * @param {String} content the library content
+         * @param {Boolean} cached flag indicating whether the content was read from the cache
+         */
+        _processContent: function(content, cached) {
+            var entry = Core.Web.Library._manifest[this._url];
+            
+            var accept = Core.method(this, function(ex) {
+                if (ex) {
+                    if (cached) {
+                        Core.Web.Library._Cache.remove(this._url);
+                        this._request();
+                    } else {
+                        this._group._notifyFailed(this, ex);
+                    }
+                    return;
+                }
+                if (!cached && Core.Web.Library.cacheVersion != null) {
+                    Core.Web.Library._Cache.put(this._url, content);
+                }
+                this._content = content;
+                this._group._notifyRetrieved();
+            });
+            
+            if (entry && entry.integrity) {
+                Core.Web.Library._verifyIntegrity(this._url, content, entry.integrity, accept);
+            } else {
+                accept(null);
             }
-            this._content = e.source.getResponseText();
-            this._group._notifyRetrieved();
         },
         
         /**
@@ -2989,18 +9311,147 @@ Core.Web.Library = {
                 throw new Error("Attempt to install library when no content has been loaded.");
             }
             
+            if (Core.Web.Library.installMode == "script") {
+                this._installScript();
+                return;
+            }
+            
             // Execute content to install library.
             Core.Web.Library.evalLine = new Error().lineNumber + 1;
             eval(this._content);
         },
         
         /**
-         * Asynchronously retrieves the library.
+         * Installs the library by a script element referencing it, either as an ES module or as a classic script
+         * (when the <code>installMode</code> is "src").
+         * 
+         * @param {Function} callback function to invoke once the library has executed, or failed to load; an 
+         *        <code>Error</code> is provided in the event of failure
+         */
+        _installElement: function(callback) {
+            Core.Web.Library._loadedLibraries[this._url] = true;
+            var url = this._url,
+                entry = Core.Web.Library._manifest[url],
+                script = document.createElement("script");
+            if (this._module) {
+                script.type = "module";
+            } else {
+                // Execute in insertion order.
+                script.async = false;
+            }
+            if (entry && entry.integrity) {
+                script.integrity = entry.integrity;
+                script.setAttribute("integrity", entry.integrity);
+            }
+            
+            // Capture exceptions thrown by the library code, which are reported as window error events.
+            var error = null;
+            var errorListener = function(e) {
+                if (e.filename && e.filename == script.src) {
+                    error = error || e.error || new Error(e.message);
+                }
+            };
+            Core.Web.DOM.addEventListener(window, "error", errorListener, false);
+            
+            script.onload = function() {
+                script.onload = script.onerror = null;
+                Core.Web.DOM.removeEventListener(window, "error", errorListener, false);
+                callback(error);
+            };
+            script.onerror = function() {
+                script.onload = script.onerror = null;
+                Core.Web.DOM.removeEventListener(window, "error", errorListener, false);
+                delete Core.Web.Library._loadedLibraries[url];
+                callback(new Error("Failed to load " + (script.type == "module" ? "module " : "") + 
+                        "library \"" + url + "\"" + 
+                        (entry && entry.integrity ? " (the library may have failed integrity verification)." : ".")));
+            };
+            script.src = url;
+            Core.Web.Library._appendElement(script);
+        },
+        
+        /**
+         * Installs the library by inserting an inline script element containing its code.
+         * Exceptions thrown by the library code are rethrown.
+         */
+        _installScript: function() {
+            var script = document.createElement("script"),
+                error = null;
+            var errorListener = function(e) {
+                error = error || e.error || new Error(e.message);
+            };
+            script.text = this._content + "\n//# sourceURL=" + this._url;
+            Core.Web.DOM.addEventListener(window, "error", errorListener, false);
+            try {
+                Core.Web.Library._appendElement(script);
+            } finally {
+                Core.Web.DOM.removeEventListener(window, "error", errorListener, false);
+                script.parentNode.removeChild(script);
+            }
+            if (error) {
+                throw error;
+            }
+        },
+        
+        /**
+         * Determines whether the library is installed by a script element referencing it (rather than by installing 
+         * retrieved code), i.e., the library is a module or the <code>installMode</code> is "src".
+         * 
+         * @return true if the library is installed by a script element referencing it
+         * @type Boolean
+         */
+        _isElementInstalled: function() {
+            return this._module || Core.Web.Library.installMode == "src";
+        },
+        
+        /**
+         * Asynchronously retrieves the library, from the cache if enabled and available, and otherwise from the server.
          * This method will invoke the retrieve listener when the library has been completed,
          * it will return before the library has been retrieved.
+         * Failed retrievals are retried per the <code>retries</code> and <code>timeout</code> settings of 
+         * <code>Core.Web.Library</code>.
          */
         _retrieve: function() {
-            var conn = new Core.Web.HttpConnection(this._url, "GET");
+            if (this._isElementInstalled()) {
+                // Library will be retrieved by the browser when installed: request that it be fetched in advance.
+                var link = document.createElement("link"),
+                    entry = Core.Web.Library._manifest[this._url];
+                if (this._module) {
+                    link.rel = "modulepreload";
+                } else {
+                    link.rel = "preload";
+                    link.setAttribute("as", "script");
+                }
+                if (entry && entry.integrity) {
+                    link.setAttribute("integrity", entry.integrity);
+                }
+                link.href = this._url;
+                Core.Web.Library._appendElement(link);
+                Core.Web.Scheduler.run(Core.method(this._group, this._group._notifyRetrieved));
+                return;
+            }
+            
+            if (Core.Web.Library.cacheVersion != null) {
+                Core.Web.Library._Cache.get(this._url, Core.method(this, function(content) {
+                    if (content == null) {
+                        this._request();
+                    } else {
+                        this._processContent(content, true);
+                    }
+                }));
+                return;
+            }
+            
+            this._request();
+        },
+        
+        /**
+         * Requests the library from the server.
+         */
+        _request: function() {
+            var conn = Core.Web.Transport.create(this._url, "GET", null, null, 
+                    { retries: Core.Web.Library.retries, timeout: Core.Web.Library.timeout, 
+                    priority: Core.Web.Library.priority });
             conn.addResponseListener(Core.method(this, this._retrieveListener));
             conn.connect();
         }
@@ -3755,6 +10206,8 @@ Echo = { };
  *        frequency with which it will be fired.
  * @event focus An event fired when the focused component of the application changes.
  * @event modal An event fired when the modal state of the application changes.
+ * @event locale An event fired when the locale of the application changes, once the maps of all registered resource
+ *        bundles have been loaded for the new locale.  The <code>locale</code> property specifies the new locale.
  */
 Echo.Application = Core.extend({
     
@@ -3836,6 +10289,12 @@ Echo.Application = Core.extend({
      * @type Array 
      */
     _modalComponents: null,
+    
+    /**
+     * Array of registered resource bundles, which will be loaded when the locale changes.
+     * @type Array
+     */
+    _resourceBundles: null,
 
     /** 
      * Displayed style sheet.
@@ -3869,6 +10328,12 @@ Echo.Application = Core.extend({
      */
     focusManager: null,
     
+    /**
+     * AcceleratorManager instance containing the application's keyboard accelerators.
+     * @type Echo.AcceleratorManager
+     */
+    acceleratorManager: null,
+    
     /**
      * Creates a new application instance.  
      * @constructor
@@ -3880,8 +10345,24 @@ Echo.Application = Core.extend({
         this.rootComponent.componentType = "Root";
         this.rootComponent.register(this);
         this._modalComponents = [];
+        this._resourceBundles = [];
         this.updateManager = new Echo.Update.Manager(this);
         this.focusManager = new Echo.FocusManager(this);
+        this.acceleratorManager = new Echo.AcceleratorManager(this);
+    },
+    
+    /**
+     * Registers a keyboard accelerator.
+     * 
+     * @param {String} keys the accelerator specification, e.g., "Ctrl+S", "Alt+Shift+N", or "Ctrl+K Ctrl+C"
+     * @param {Function} action the function to invoke when the accelerator is entered
+     * @param options optional settings object, providing <code>component</code> (scope component) and 
+     *        <code>requireFocus</code> properties
+     * @return the accelerator, which may be passed to <code>removeAccelerator()</code>
+     * @see Echo.AcceleratorManager#add
+     */
+    addAccelerator: function(keys, action, options) {
+        return this.acceleratorManager.add(keys, action, options);
     },
 
     /**
@@ -3972,7 +10453,7 @@ Echo.Application = Core.extend({
      * @type Echo.Component 
      */
     getComponentByRenderId: function(renderId) {
-        return this._idToComponentMap.map[renderId];
+        return this._idToComponentMap.get(renderId);
     },
     
     /**
@@ -4018,17 +10499,66 @@ Echo.Application = Core.extend({
             return this._modalComponents[0];
         }
         
-        return this._findModalContextRoot();
+        return this._findModalContextRoot();
+    },
+    
+    /**
+     * Returns the application style sheet.
+     * 
+     * @return the application style sheet
+     * @type Echo.StyleSheet
+     */
+    getStyleSheet: function() {
+        return this._styleSheet;
+    },
+    
+    /**
+     * Loads the maps of a resource bundle for the current locale.
+     * Exceptions thrown while loading are logged, and loading of the bundle is considered complete. 
+     * 
+     * @param {Core.ResourceBundle} bundle the resource bundle
+     * @param {Function} callback an optional function to invoke (once) when loading is complete
+     */
+    _loadResourceBundle: function(bundle, callback) {
+        var completed = false;
+        var complete = function() {
+            if (!completed) {
+                completed = true;
+                if (callback) {
+                    callback();
+                }
+            }
+        };
+        
+        try {
+            bundle.load(this._locale, complete);
+        } catch (ex) {
+            Core.Log.getLogger("Echo.Application").error("Cannot load resource bundle", { locale: this._locale, ex: ex });
+            complete();
+        }
     },
     
     /**
-     * Returns the application style sheet.
-     * 
-     * @return the application style sheet
-     * @type Echo.StyleSheet
+     * Loads the maps of registered resource bundles for the current locale.
+     * Fires a "locale" event and refreshes the application once loading is complete, if the locale has not since 
+     * changed.
      */
-    getStyleSheet: function() {
-        return this._styleSheet;
+    _loadResourceBundles: function() {
+        var locale = this._locale,
+            pending = this._resourceBundles.length + 1;
+        
+        var complete = Core.method(this, function() {
+            if (--pending > 0 || locale !== this._locale) {
+                return;
+            }
+            this._listenerList.fireEvent({ type: "locale", source: this, locale: locale });
+            this.updateManager._processFullRefresh();
+        });
+        
+        for (var i = 0; i < this._resourceBundles.length; ++i) {
+            this._loadResourceBundle(this._resourceBundles[i], complete);
+        }
+        complete();
     },
     
     /**
@@ -4041,8 +10571,9 @@ Echo.Application = Core.extend({
      * @param newValue the new property value
      * @param rendered optional flag indicating whether the update has already been rendered by the containing client; 
      *        if enabled, the property update will not be sent to the update manager
+     * @param {Number} index for "children" updates, the index at which the child was added or from which it was removed
      */
-    notifyComponentUpdate: function(parent, propertyName, oldValue, newValue, rendered) {
+    notifyComponentUpdate: function(parent, propertyName, oldValue, newValue, rendered, index) {
         if (parent.modalSupport && propertyName == "modal") {
             this._setModal(parent, newValue);
         }
@@ -4051,7 +10582,7 @@ Echo.Application = Core.extend({
                     oldValue: oldValue, newValue: newValue});
         }
         if (!rendered) {
-            this.updateManager._processComponentUpdate(parent, propertyName, oldValue, newValue);
+            this.updateManager._processComponentUpdate(parent, propertyName, oldValue, newValue, index);
         }
     },
     
@@ -4063,15 +10594,41 @@ Echo.Application = Core.extend({
      * @param {Echo.Component} component the component to register
      */
     _registerComponent: function(component) {
-        if (this._idToComponentMap.map[component.renderId]) {
+        if (this._idToComponentMap.has(component.renderId)) {
             throw new Error("Component already exists with id: " + component.renderId);
         }
-        this._idToComponentMap.map[component.renderId] = component;
+        this._idToComponentMap.set(component.renderId, component);
         if (component.modalSupport && component.get("modal")) {
             this._setModal(component, true);
         }
     },
     
+    /**
+     * Registers a resource bundle with the application.  The bundle's locale-specific maps will be loaded 
+     * (see <code>Core.ResourceBundle.load()</code>) for the application locale, and again whenever the locale is changed.
+     * If the application locale is not set, the language negotiated from the user's preferred languages will be loaded.
+     * No "locale" event is fired and the application is not refreshed when the bundle is registered; use 
+     * <code>Core.ResourceBundle.addLoadListener()</code> to be notified once its maps have been loaded.
+     * 
+     * @param {Core.ResourceBundle} bundle the resource bundle
+     */
+    registerResourceBundle: function(bundle) {
+        if (Core.Arrays.indexOf(this._resourceBundles, bundle) != -1) {
+            return;
+        }
+        this._resourceBundles.push(bundle);
+        this._loadResourceBundle(bundle, null);
+    },
+    
+    /**
+     * Unregisters a keyboard accelerator.
+     * 
+     * @param accelerator the accelerator, as returned by <code>addAccelerator()</code>
+     */
+    removeAccelerator: function(accelerator) {
+        this.acceleratorManager.remove(accelerator);
+    },
+    
     /**
      * Removes an arbitrary event listener.
      * 
@@ -4126,12 +10683,15 @@ Echo.Application = Core.extend({
     
     /**
      * Sets the application default locale.
+     * The maps of registered resource bundles (see <code>registerResourceBundle()</code>) which have loaders will be 
+     * loaded for the new locale.  Once loading is complete, a "locale" event will be fired and the application will
+     * be fully refreshed, such that components re-render their localized text.
      * 
      * @param {String} newValue the new locale
      */
     setLocale: function(newValue) {
         this._locale = newValue;
-        this.updateManager._processFullRefresh();
+        this._loadResourceBundles();
     },
     
     /**
@@ -4185,6 +10745,15 @@ Echo.Application = Core.extend({
         if (component.modalSupport) {
             this._setModal(component, false);
         }
+    },
+    
+    /**
+     * Unregisters a resource bundle from the application.
+     * 
+     * @param {Core.ResourceBundle} bundle the resource bundle
+     */
+    unregisterResourceBundle: function(bundle) {
+        Core.Arrays.remove(this._resourceBundles, bundle);
     }
 });
 
@@ -4489,7 +11058,8 @@ Echo.Component = Core.extend({
         
         if (this.application) {
             component.register(this.application);
-            this.application.notifyComponentUpdate(this, "children", null, component);
+            this.application.notifyComponentUpdate(this, "children", null, component, false, 
+                    index == null ? this.children.length - 1 : index);
         }
         
         if (component._listenerList && component._listenerList.hasListeners("parent")) {
@@ -4507,12 +11077,15 @@ Echo.Component = Core.extend({
      * @param {String} eventType the event type name
      * @param {Function} eventTarget the method to invoke when the event occurs 
      *        (the event will be passed as the single argument)
+     * @param options (optional) listener options, i.e., <code>priority</code>, <code>once</code>, and/or 
+     *        <code>capture</code> (see <code>Core.ListenerList.addListener()</code>); capturing listeners will be 
+     *        notified of bubbling events fired by descendant components before the descendants' listeners
      */
-    addListener: function(eventType, eventTarget) {
+    addListener: function(eventType, eventTarget, options) {
         if (this._listenerList == null) {
             this._listenerList = new Core.ListenerList();
         }
-        this._listenerList.addListener(eventType, eventTarget);
+        this._listenerList.addListener(eventType, eventTarget, options);
         if (this.application) {
             this.application.notifyComponentUpdate(this, "listeners", null, eventType);
         }
@@ -4521,14 +11094,99 @@ Echo.Component = Core.extend({
     /**
      * Provides notification of an arbitrary event.
      * Listeners will be notified based on the event's type property.
+     * <p>
+     * If the event is a <code>Core.Event</code> whose <code>bubbles</code> flag is set, it will be propagated through
+     * the component hierarchy: capturing listeners of ancestor components will be notified first (beginning with the 
+     * root), followed by the listeners of this component, followed by the non-capturing listeners of ancestor components
+     * (beginning with the parent).  Propagation may be halted by invoking the event's <code>stopPropagation()</code> 
+     * method.
+     * <p>
+     * Listeners are notified synchronously, and exceptions thrown by listeners are propagated to the caller.
+     * Listeners may return promises (or other "thenable" objects) to perform asynchronous work, in which case a promise
+     * will be returned which will be settled once all of them are settled (see 
+     * <code>Core.ListenerList.fireEventAsync()</code> for a description of the returned promise).
      * 
      * @param event the event to fire
+     * @return a promise describing the aggregate result of the listeners which returned promises, or null if no listener
+     *         returned a promise (or promises are not supported)
      */
     fireEvent: function(event) {
-        if (this._listenerList == null) {
+        var pending = [];
+        this._dispatchEvent(event, function(listenerList, phase) {
+            listenerList._notify(event, phase, pending);
+        });
+        return pending.length === 0 ? null : Core.ListenerList._settle(pending);
+    },
+    
+    /**
+     * Provides notification of an arbitrary event, returning a promise which will be settled once the results of all
+     * listeners (which may return promises) are available.  The event is propagated exactly as by 
+     * <code>fireEvent()</code>.  See <code>Core.ListenerList.fireEventAsync()</code> for a description of the
+     * returned promise.
+     * 
+     * @param event the event to fire
+     * @return a promise describing the aggregate result of the listeners, or null if promises are not supported
+     */
+    fireEventAsync: function(event) {
+        var results = [];
+        this._dispatchEvent(event, function(listenerList, phase) {
+            listenerList._notifyAsync(event, phase, results);
+        });
+        return Core.ListenerList._settle(results);
+    },
+    
+    /**
+     * Dispatches an event to the listener lists of this component and, for bubbling events, its ancestors.
+     * 
+     * @param event the event to dispatch
+     * @param {Function} notify a function which notifies the listeners of a listener list, which will be invoked with
+     *        the listener list and the propagation phase
+     * @see #fireEvent
+     */
+    _dispatchEvent: function(event, notify) {
+        if (!event.bubbles) {
+            if (this._listenerList == null) {
+                return;
+            }
+            notify(this._listenerList, null);
             return;
         }
-        this._listenerList.fireEvent(event);
+        
+        var ancestors = [],
+            component = this.parent,
+            i;
+        while (component) {
+            ancestors.push(component);
+            component = component.parent;
+        }
+        
+        // Capture phase.
+        event.phase = Core.Event.PHASE_CAPTURE;
+        for (i = ancestors.length - 1; i >= 0 && !event.propagationStopped; --i) {
+            if (ancestors[i]._listenerList) {
+                event.currentTarget = ancestors[i];
+                notify(ancestors[i]._listenerList, Core.Event.PHASE_CAPTURE);
+            }
+        }
+        
+        // Target phase.
+        if (!event.propagationStopped && this._listenerList) {
+            event.phase = Core.Event.PHASE_TARGET;
+            event.currentTarget = this;
+            notify(this._listenerList, Core.Event.PHASE_TARGET);
+        }
+        
+        // Bubble phase.
+        event.phase = Core.Event.PHASE_BUBBLE;
+        for (i = 0; i < ancestors.length && !event.propagationStopped; ++i) {
+            if (ancestors[i]._listenerList) {
+                event.currentTarget = ancestors[i];
+                notify(ancestors[i]._listenerList, Core.Event.PHASE_BUBBLE);
+            }
+        }
+        
+        event.phase = null;
+        event.currentTarget = null;
     },
     
     /**
@@ -4908,7 +11566,7 @@ Echo.Component = Core.extend({
         component.parent = null;
         
         if (this.application) {
-            this.application.notifyComponentUpdate(this, "children", component, null);
+            this.application.notifyComponentUpdate(this, "children", component, null, false, index);
         }
         
         if (component._listenerList && component._listenerList.hasListeners("parent")) {
@@ -5253,116 +11911,486 @@ Echo.FocusManager = Core.extend({
         if (focusedIndex == -1) {
             return null;
         }
-        
-        var componentIndex = focusedIndex;
-        var component = focusedComponent;
-        do {
-            component = this.find(component, reverse, visitedIds);
-            if (component == null || visitedIds[component.renderId]) {
-                return null;
+        
+        var componentIndex = focusedIndex;
+        var component = focusedComponent;
+        do {
+            component = this.find(component, reverse, visitedIds);
+            if (component == null || visitedIds[component.renderId]) {
+                return null;
+            }
+            componentIndex = this._getDescendantIndex(parentComponent, component);
+            visitedIds[component.renderId] = true;
+        } while (Math.abs(componentIndex - focusedIndex) < minimumDistance && component != focusedComponent);
+
+        if (component == focusedComponent) {
+            // Search wrapped, only one focusable component.
+            return null;
+        }
+        
+        this._application.setFocusedComponent(component);
+        return component;
+    },
+    
+    /**
+     * Determines the index of the child of <code>parent</code> in which
+     * <code>descendant</code> is contained.
+     * 
+     * @param {Echo.Component} parent the parent component
+     * @param {Echo.Component} descendant the descendant component
+     * @return the descendant index, or -1 if the component is not a descendant of <code>parent</code>
+     * @type Number
+     */
+    _getDescendantIndex: function(parent, descendant) {
+        while (descendant.parent != parent && descendant.parent != null) {
+            descendant = descendant.parent;
+        }
+        if (descendant.parent == null) {
+            return -1;
+        }
+        return parent.indexOf(descendant);
+    },
+    
+    /**
+     * Returns and validates the component's natural focus order, if provided.
+     * Null is returned in the event the component's natural focus order is invalid, i.e., one or more component
+     * indices are repeated.
+     * 
+     * @param {Echo.Component} component the component
+     * @return the focus order, an array of component indices
+     * @type Array
+     */
+    _getFocusOrder: function(component) {
+        var focusOrder = component.getFocusOrder ? component.getFocusOrder() : null;
+        if (!focusOrder) {
+            return null;
+        }
+        
+        var testOrder = focusOrder.slice().sort();
+        for (var i = 1; i < testOrder.length; ++i) {
+            if (testOrder[i - 1] >= testOrder[i]) {
+                // Invalid focus order.
+                Core.Debug.consoleWrite("Invalid focus order for component " + component + ": " + focusOrder);
+                return null;
+            }
+        }
+
+        return focusOrder;
+    },
+    
+    /**
+     * Returns the next sibling candidate focus component adjacent the specified component.
+     * Uses the focus order provided by <code>Echo.Component.getFocusOrder()</code> if provided.
+     * 
+     * @param {Echo.Component} component the current focused/analyzed component
+     * @param {Boolean} reverse flag indicating whether next component (false) or previous copmonent (true)
+     *        should be returned
+     * @return the next focus candidate
+     * @type Echo.Component
+     */
+    _getNextCandidate: function(component, reverse) {
+        if (!component.parent) {
+            return null;
+        }
+        
+        var focusOrder = this._getFocusOrder(component.parent);
+        var componentIndex, orderIndex;
+        
+        if (reverse) {
+            componentIndex = component.parent.indexOf(component);
+            if (focusOrder) {
+                orderIndex = Core.Arrays.indexOf(focusOrder, componentIndex);
+                if (orderIndex > 0) {
+                    return component.parent.children[focusOrder[orderIndex - 1]];
+                }
+            } else {
+                if (componentIndex > 0) {
+                    return component.parent.getComponent(componentIndex - 1);
+                }
+            }
+        } else {
+            componentIndex = component.parent.indexOf(component);
+            if (focusOrder) {
+                orderIndex = Core.Arrays.indexOf(focusOrder, componentIndex);
+                if (orderIndex < focusOrder.length - 1) {
+                    return component.parent.children[focusOrder[orderIndex + 1]];
+                }
+            } else {
+                if (componentIndex < component.parent.getComponentCount() - 1) {
+                    return component.parent.getComponent(componentIndex + 1);
+                }
+            }
+        }
+    }
+});
+
+/**
+ * Registry of keyboard accelerators (shortcuts) for an application.
+ * One AcceleratorManager is created for each application, and is invoked by the client when key down events are received.
+ * <p>
+ * Accelerators are specified as strings containing one or more key chords separated by spaces, where each chord is a 
+ * list of zero or more modifiers followed by a key, separated by "+" characters, e.g., "Ctrl+S", "Alt+Shift+N", or 
+ * "Ctrl+K Ctrl+C" (a multi-key sequence).  Modifiers are "Ctrl" (or "Control"), "Alt", "Shift", and "Meta" 
+ * (or "Cmd").  Keys are letters, digits, function keys ("F1" through "F24"), punctuation characters, or the names
+ * contained in <code>KEY_NAMES</code>, e.g., "Enter", "Esc", or "PageDown".  Names are not case-sensitive.  
+ * Key codes are normalized with <code>Core.Web.Key.translateKeyCode()</code>.
+ * <p>
+ * Each accelerator is scoped to a component (the root component if not specified), and is active only when that
+ * component is active, i.e., enabled and within the current modal context.  An accelerator may additionally 
+ * require that the focused component be the scope component or one of its descendants.  If multiple active 
+ * accelerators match a key sequence, the one with the innermost scope is invoked.  
+ * <p>
+ * Accelerators with identical scopes conflict if their key sequences are identical or one is a prefix of the other
+ * (such that the shorter sequence would make the longer unreachable).  Attempting to add a conflicting accelerator 
+ * throws an error.
+ */
+Echo.AcceleratorManager = Core.extend({
+
+    $static: {
+    
+        /**
+         * Mapping between (lower-case) key names and key codes.
+         */
+        KEY_NAMES: {
+            backspace: 8, tab: 9, enter: 13, "return": 13, pause: 19, esc: 27, escape: 27, space: 32, 
+            pageup: 33, pagedown: 34, end: 35, home: 36, left: 37, up: 38, right: 39, down: 40, 
+            insert: 45, "delete": 46, del: 46, plus: 187,
+            ";": 186, "=": 187, ",": 188, "-": 189, ".": 190, "/": 191, "`": 192, "[": 219, "\\": 220, "]": 221, "'": 222
+        },
+        
+        /**
+         * Maximum time (in milliseconds) between the key chords of a multi-key sequence.
+         * @type Number
+         */
+        SEQUENCE_TIMEOUT: 1500,
+        
+        /**
+         * Set of key codes of modifier keys, which do not by themselves form chords.
+         */
+        _MODIFIER_KEY_CODES: { 16: true, 17: true, 18: true, 91: true, 92: true, 93: true, 224: true },
+        
+        /**
+         * Returns the normalized representation of a key chord.
+         * 
+         * @param {Number} keyCode the (translated) key code
+         * @param {Boolean} ctrl flag indicating whether the control key is pressed
+         * @param {Boolean} alt flag indicating whether the alt key is pressed
+         * @param {Boolean} shift flag indicating whether the shift key is pressed
+         * @param {Boolean} meta flag indicating whether the meta key is pressed
+         * @return the normalized chord
+         * @type String
+         */
+        _formatChord: function(keyCode, ctrl, alt, shift, meta) {
+            return (ctrl ? "C" : "") + (alt ? "A" : "") + (shift ? "S" : "") + (meta ? "M" : "") + ":" + keyCode;
+        },
+        
+        /**
+         * Determines whether an element accepts text input, i.e., is a text-entry <code>input</code> element, a 
+         * <code>textarea</code> or <code>select</code> element, or an editable content element.
+         * 
+         * @param {Element} element the element
+         * @return true if the element accepts text input
+         * @type Boolean
+         */
+        _isEditable: function(element) {
+            if (!element || element.nodeType != 1) {
+                return false;
+            }
+            if (element.isContentEditable) {
+                return true;
+            }
+            switch (element.nodeName.toLowerCase()) {
+            case "textarea":
+            case "select":
+                return true;
+            case "input":
+                return !/^(button|checkbox|radio|submit|reset|image|file|color|range|hidden)$/i.test(element.type || "");
+            default:
+                return false;
+            }
+        },
+        
+        /**
+         * Parses an accelerator specification string into an array of normalized key chords.
+         * 
+         * @param {String} keys the accelerator specification, e.g., "Ctrl+S" or "Ctrl+K Ctrl+C"
+         * @return the normalized key chords
+         * @type Array
+         * @throws Error if the specification is invalid
+         */
+        parse: function(keys) {
+            var chordStrings = keys.split(/\s+/),
+                chords = [];
+            for (var i = 0; i < chordStrings.length; ++i) {
+                if (!chordStrings[i]) {
+                    continue;
+                }
+                var parts = chordStrings[i].split("+"),
+                    ctrl = false, alt = false, shift = false, meta = false, keyCode = null;
+                for (var j = 0; j < parts.length; ++j) {
+                    var name = parts[j].toLowerCase();
+                    if (name === "" && j == parts.length - 1 && j > 0) {
+                        // Trailing "+", i.e., the "+" key itself ("Ctrl++").
+                        name = "plus";
+                    } else if (name === "") {
+                        continue;
+                    }
+                    if (j < parts.length - 1) {
+                        switch (name) {
+                        case "ctrl": case "control": ctrl = true; continue;
+                        case "alt": case "option": alt = true; continue;
+                        case "shift": shift = true; continue;
+                        case "meta": case "cmd": case "command": meta = true; continue;
+                        }
+                        throw new Error("Invalid accelerator modifier \"" + parts[j] + "\" in: " + keys);
+                    }
+                    if (Echo.AcceleratorManager.KEY_NAMES[name]) {
+                        keyCode = Echo.AcceleratorManager.KEY_NAMES[name];
+                    } else if (/^[a-z0-9]$/.test(name)) {
+                        keyCode = name.toUpperCase().charCodeAt(0);
+                    } else if (/^f([1-9]|1[0-9]|2[0-4])$/.test(name)) {
+                        keyCode = 111 + parseInt(name.substring(1), 10);
+                    } else {
+                        throw new Error("Invalid accelerator key \"" + parts[j] + "\" in: " + keys);
+                    }
+                }
+                if (keyCode == null) {
+                    throw new Error("Invalid accelerator (no key specified): " + keys);
+                }
+                chords.push(Echo.AcceleratorManager._formatChord(keyCode, ctrl, alt, shift, meta));
+            }
+            if (chords.length === 0) {
+                throw new Error("Invalid accelerator (no key specified): " + keys);
+            }
+            return chords;
+        }
+    },
+
+    /**
+     * The managed application.
+     * @type Echo.Application
+     */
+    _application: null,
+    
+    /**
+     * Array of registered accelerators.
+     * @type Array
+     */
+    _accelerators: null,
+    
+    /**
+     * Normalized key chords of the partially entered multi-key sequence.
+     * @type Array
+     */
+    _pendingChords: null,
+    
+    /**
+     * Time at which the last chord of the partially entered multi-key sequence was entered.
+     * @type Number
+     */
+    _pendingTime: 0,
+    
+    /**
+     * Creates a new AcceleratorManager.
+     * One AcceleratorManager is created for each application.
+     * 
+     * @param {Echo.Application} application the managed application
+     */
+    $construct: function(application) {
+        this._application = application;
+        this._accelerators = [];
+        this._pendingChords = [];
+    },
+    
+    /**
+     * Registers an accelerator.
+     * 
+     * @param {String} keys the accelerator specification, e.g., "Ctrl+S", "Alt+Shift+N", or "Ctrl+K Ctrl+C"
+     * @param {Function} action the function to invoke when the accelerator is entered; will be passed an event 
+     *        with <code>accelerator</code> (the accelerator object returned by this method), <code>keys</code>, 
+     *        and <code>focusedComponent</code> properties
+     * @param options optional settings object, providing the following properties:
+     *        <ul>
+     *         <li><code>component</code>: the scope component (default: the root component)</li>
+     *         <li><code>requireFocus</code>: flag indicating that the accelerator should only be active when
+     *          the scope component or one of its descendants is focused (default: false)</li>
+     *        </ul>
+     *        Accelerators beginning with a key without the Ctrl, Alt, or Meta modifier (other than Escape and the 
+     *        function keys) are not triggered while an editable element (e.g., a text field) is focused, such that 
+     *        they do not interfere with typing.
+     * @return the accelerator, an object providing <code>keys</code>, <code>action</code>, <code>component</code>, 
+     *         and <code>requireFocus</code> properties, which may be passed to <code>remove()</code>
+     * @throws Error if the specification is invalid or conflicts with an existing accelerator
+     */
+    add: function(keys, action, options) {
+        var accelerator = {
+            keys: keys,
+            action: action,
+            component: (options && options.component) || null,
+            requireFocus: !!(options && options.requireFocus),
+            _sequence: Echo.AcceleratorManager.parse(keys).join(" ")
+        };
+        var conflicts = this._getConflicts(accelerator._sequence, accelerator.component);
+        if (conflicts.length > 0) {
+            throw new Error("Accelerator \"" + keys + "\" conflicts with \"" + conflicts[0].keys + "\"" + 
+                    (accelerator.component ? " on component " + accelerator.component : "") + ".");
+        }
+        this._accelerators.push(accelerator);
+        return accelerator;
+    },
+    
+    /**
+     * Returns the registered accelerators which would conflict with an accelerator having the specified keys and
+     * scope component.
+     * 
+     * @param {String} keys the accelerator specification
+     * @param {Echo.Component} component the scope component (null for the root component)
+     * @return the conflicting accelerators (an empty array if none)
+     * @type Array
+     */
+    getConflicts: function(keys, component) {
+        return this._getConflicts(Echo.AcceleratorManager.parse(keys).join(" "), component || null);
+    },
+    
+    /**
+     * Returns the registered accelerators which would conflict with an accelerator having the specified normalized
+     * sequence and scope component.
+     * 
+     * @param {String} sequence the normalized key sequence
+     * @param {Echo.Component} component the scope component (null for the root component)
+     * @return the conflicting accelerators
+     * @type Array
+     */
+    _getConflicts: function(sequence, component) {
+        var conflicts = [];
+        for (var i = 0; i < this._accelerators.length; ++i) {
+            var accelerator = this._accelerators[i],
+                other = accelerator._sequence;
+            if (accelerator.component != component) {
+                continue;
+            }
+            if (other == sequence || other.indexOf(sequence + " ") === 0 || sequence.indexOf(other + " ") === 0) {
+                conflicts.push(accelerator);
             }
-            componentIndex = this._getDescendantIndex(parentComponent, component);
-            visitedIds[component.renderId] = true;
-        } while (Math.abs(componentIndex - focusedIndex) < minimumDistance && component != focusedComponent);
-
-        if (component == focusedComponent) {
-            // Search wrapped, only one focusable component.
-            return null;
         }
-        
-        this._application.setFocusedComponent(component);
-        return component;
+        return conflicts;
     },
     
     /**
-     * Determines the index of the child of <code>parent</code> in which
-     * <code>descendant</code> is contained.
+     * Determines the depth of an accelerator's scope component in the hierarchy, or -1 if the accelerator is inactive.
      * 
-     * @param {Echo.Component} parent the parent component
-     * @param {Echo.Component} descendant the descendant component
-     * @return the descendant index, or -1 if the component is not a descendant of <code>parent</code>
+     * @param accelerator the accelerator
+     * @param {Echo.Component} focusedComponent the focused component
+     * @return the depth of the scope component, or -1
      * @type Number
      */
-    _getDescendantIndex: function(parent, descendant) {
-        while (descendant.parent != parent && descendant.parent != null) {
-            descendant = descendant.parent;
+    _getActiveDepth: function(accelerator, focusedComponent) {
+        var component = accelerator.component || this._application.rootComponent;
+        if (component.application != this._application || !component.isActive()) {
+            return -1;
         }
-        if (descendant.parent == null) {
+        if (accelerator.requireFocus && !(focusedComponent && component.isAncestorOf(focusedComponent))) {
             return -1;
         }
-        return parent.indexOf(descendant);
+        var depth = 0;
+        while (component.parent) {
+            component = component.parent;
+            ++depth;
+        }
+        return depth;
     },
     
     /**
-     * Returns and validates the component's natural focus order, if provided.
-     * Null is returned in the event the component's natural focus order is invalid, i.e., one or more component
-     * indices are repeated.
+     * Processes a key down event.  Invoked by the client.  
+     * If the key completes the key sequence of an active accelerator, its action is invoked.
      * 
-     * @param {Echo.Component} component the component
-     * @return the focus order, an array of component indices
-     * @type Array
+     * @param {Number} keyCode the key code, translated by <code>Core.Web.Key.translateKeyCode()</code>
+     * @param e the key event, providing <code>ctrlKey</code>, <code>altKey</code>, <code>shiftKey</code>, and
+     *        <code>metaKey</code> properties
+     * @return true if the key was consumed, i.e., invoked an accelerator or began/continued a multi-key sequence, in
+     *         which case the key event should not be further processed
+     * @type Boolean
      */
-    _getFocusOrder: function(component) {
-        var focusOrder = component.getFocusOrder ? component.getFocusOrder() : null;
-        if (!focusOrder) {
-            return null;
+    processKeyDown: function(keyCode, e) {
+        if (this._accelerators.length === 0 || Echo.AcceleratorManager._MODIFIER_KEY_CODES[keyCode]) {
+            return false;
         }
         
-        var testOrder = focusOrder.slice().sort();
-        for (var i = 1; i < testOrder.length; ++i) {
-            if (testOrder[i - 1] >= testOrder[i]) {
-                // Invalid focus order.
-                Core.Debug.consoleWrite("Invalid focus order for component " + component + ": " + focusOrder);
-                return null;
+        var chord = Echo.AcceleratorManager._formatChord(keyCode, e.ctrlKey, e.altKey, e.shiftKey, e.metaKey),
+            time = new Date().getTime();
+        if (this._pendingChords.length > 0 && time - this._pendingTime > Echo.AcceleratorManager.SEQUENCE_TIMEOUT) {
+            this._pendingChords = [];
+        }
+        if (this._pendingChords.length === 0 && !e.ctrlKey && !e.altKey && !e.metaKey && keyCode != 27 && 
+                !(keyCode >= 112 && keyCode <= 135) && Echo.AcceleratorManager._isEditable(e.target)) {
+            // Unmodified key typed into an editable element: text input, not the beginning of an accelerator.
+            return false;
+        }
+        
+        var pending = this._pendingChords.length > 0;
+        this._pendingChords.push(chord);
+        this._pendingTime = time;
+        
+        var sequence = this._pendingChords.join(" "),
+            focusedComponent = this._application.getFocusedComponent(),
+            match = null,
+            matchDepth = -1,
+            prefix = false;
+        
+        for (var i = 0; i < this._accelerators.length; ++i) {
+            var accelerator = this._accelerators[i];
+            if (accelerator._sequence != sequence && accelerator._sequence.indexOf(sequence + " ") !== 0) {
+                continue;
+            }
+            var depth = this._getActiveDepth(accelerator, focusedComponent);
+            if (depth == -1) {
+                continue;
+            }
+            if (accelerator._sequence != sequence) {
+                prefix = true;
+            } else if (depth > matchDepth) {
+                match = accelerator;
+                matchDepth = depth;
             }
         }
-
-        return focusOrder;
+        
+        if (match) {
+            this._pendingChords = [];
+            match.action({ type: "accelerator", source: this, accelerator: match, keys: match.keys, 
+                    focusedComponent: focusedComponent });
+            return true;
+        } else if (prefix) {
+            // Partially entered multi-key sequence: await next chord.
+            return true;
+        } else {
+            this._pendingChords = [];
+            // An unmatched chord following a partial sequence may itself begin/be an accelerator.
+            return pending ? this.processKeyDown(keyCode, e) : false;
+        }
     },
     
     /**
-     * Returns the next sibling candidate focus component adjacent the specified component.
-     * Uses the focus order provided by <code>Echo.Component.getFocusOrder()</code> if provided.
+     * Unregisters an accelerator.
      * 
-     * @param {Echo.Component} component the current focused/analyzed component
-     * @param {Boolean} reverse flag indicating whether next component (false) or previous copmonent (true)
-     *        should be returned
-     * @return the next focus candidate
-     * @type Echo.Component
+     * @param accelerator the accelerator, as returned by <code>add()</code>
      */
-    _getNextCandidate: function(component, reverse) {
-        if (!component.parent) {
-            return null;
-        }
-        
-        var focusOrder = this._getFocusOrder(component.parent);
-        var componentIndex, orderIndex;
-        
-        if (reverse) {
-            componentIndex = component.parent.indexOf(component);
-            if (focusOrder) {
-                orderIndex = Core.Arrays.indexOf(focusOrder, componentIndex);
-                if (orderIndex > 0) {
-                    return component.parent.children[focusOrder[orderIndex - 1]];
-                }
-            } else {
-                if (componentIndex > 0) {
-                    return component.parent.getComponent(componentIndex - 1);
-                }
-            }
-        } else {
-            componentIndex = component.parent.indexOf(component);
-            if (focusOrder) {
-                orderIndex = Core.Arrays.indexOf(focusOrder, componentIndex);
-                if (orderIndex < focusOrder.length - 1) {
-                    return component.parent.children[focusOrder[orderIndex + 1]];
-                }
-            } else {
-                if (componentIndex < component.parent.getComponentCount() - 1) {
-                    return component.parent.getComponent(componentIndex + 1);
-                }
+    remove: function(accelerator) {
+        Core.Arrays.remove(this._accelerators, accelerator);
+        this._pendingChords = [];
+    },
+    
+    /**
+     * Unregisters all accelerators scoped to the specified component.
+     * 
+     * @param {Echo.Component} component the scope component (null for the root component)
+     */
+    removeAll: function(component) {
+        for (var i = this._accelerators.length - 1; i >= 0; --i) {
+            if (this._accelerators[i].component == (component || null)) {
+                this._accelerators.splice(i, 1);
             }
         }
+        this._pendingChords = [];
     }
 });
 
@@ -5592,6 +12620,13 @@ Echo.Update.ComponentUpdate = Core.extend({
      */
     _addedChildIds: null,
     
+    /**
+     * The ids of the children of the <code>parent</code> prior to the first addition/removal of a child in this update,
+     * in order.
+     * @type Array
+     */
+    _originalChildIds: null,
+    
     /**
      * A mapping between property names of the parent component and 
      * <code>PropertyUpdate</code>s.
@@ -5649,13 +12684,15 @@ Echo.Update.ComponentUpdate = Core.extend({
      * Records the addition of a child to the parent component.
      * 
      * @param {Echo.Component} child the added child
+     * @param {Number} index the index at which the child was added
      */
-    _addChild: function(child) {
+    _addChild: function(child, index) {
+        this._storeOriginalChildIds(child, index, true);
         if (!this._addedChildIds) {
             this._addedChildIds = [];
         }
         this._addedChildIds.push(child.renderId);
-        this._manager._idMap[child.renderId] = child;
+        this._manager._idMap.set(child.renderId, child);
     },
     
     /**
@@ -5708,11 +12745,63 @@ Echo.Update.ComponentUpdate = Core.extend({
         }
         var components = [];
         for (var i = 0; i < this._addedChildIds.length; ++i) {
-            components[i] = this._manager._idMap[this._addedChildIds[i]];
+            components[i] = this._manager._idMap.get(this._addedChildIds[i]);
         }
         return components;
     },
     
+    /**
+     * Returns an edit script describing the changes made to the order of the parent's children in this update,
+     * or null if no children were added or removed.
+     * The operations are those computed by <code>Core.Arrays.diff()</code> between the previous and current
+     * child arrays, the <code>item</code> of each operation being a component.  Children which were removed and
+     * re-added are described by "move" operations (or none at all if their relative order was not changed) rather than
+     * by deletions and insertions.  Note that such children are nonetheless also returned by 
+     * <code>getAddedChildren()</code> and <code>getRemovedChildren()</code>. 
+     * 
+     * @return the operations
+     * @type Array
+     */
+    getChildOperations: function() {
+        if (!this._originalChildIds) {
+            return null;
+        }
+        var currentIds = [],
+            i;
+        for (i = 0; i < this.parent.children.length; ++i) {
+            currentIds.push(this.parent.children[i].renderId);
+        }
+        var operations = Core.Arrays.diff(this._originalChildIds, currentIds);
+        for (i = 0; i < operations.length; ++i) {
+            var id = operations[i].item;
+            operations[i].item = operations[i].type == "delete" ? this._manager._removedIdMap[id] : 
+                    this.parent.application.getComponentByRenderId(id);
+        }
+        return operations;
+    },
+    
+    /**
+     * Returns an array containing the children whose positions were changed in this update, i.e., those which were
+     * removed and re-added such that their order relative to other retained children changed, 
+     * or null if none were moved.
+     * 
+     * @return the moved children
+     * @type Array
+     */
+    getMovedChildren: function() {
+        var operations = this.getChildOperations();
+        if (!operations) {
+            return null;
+        }
+        var components = [];
+        for (var i = 0; i < operations.length; ++i) {
+            if (operations[i].type == "move") {
+                components.push(operations[i].item);
+            }
+        }
+        return components.length === 0 ? null : components;
+    },
+    
     /**
      * Returns an array containing the children removed in this update,
      * or null if none were removed.
@@ -5764,7 +12853,7 @@ Echo.Update.ComponentUpdate = Core.extend({
         }
         var components = [];
         for (var i = 0; i < this._updatedLayoutDataChildIds.length; ++i) {
-            components[i] = this._manager._idMap[this._updatedLayoutDataChildIds[i]];
+            components[i] = this._manager._idMap.get(this._updatedLayoutDataChildIds[i]);
         }
         return components;
     },
@@ -5779,6 +12868,17 @@ Echo.Update.ComponentUpdate = Core.extend({
         return this._addedChildIds != null;
     },
     
+    /**
+     * Determines if any children were moved during this update.
+     * 
+     * @return true if any children were moved
+     * @type Boolean
+     * @see #getMovedChildren
+     */
+    hasMovedChildren: function() {
+        return this.getMovedChildren() != null;
+    },
+    
     /**
      * Determines if any children were removed during this update.
      * 
@@ -5896,8 +12996,10 @@ Echo.Update.ComponentUpdate = Core.extend({
      * Records the removal of a child from the parent component.
      * 
      * @param {Echo.Component} child the removed child
+     * @param {Number} index the index from which the child was removed (null if the child has not yet been removed)
      */
-    _removeChild: function(child) {
+    _removeChild: function(child, index) {
+        this._storeOriginalChildIds(child, index, false);
         this._manager._removedIdMap[child.renderId] = child;
     
         if (this._addedChildIds) {
@@ -5941,6 +13043,31 @@ Echo.Update.ComponentUpdate = Core.extend({
         }
     },
     
+    /**
+     * Stores the ids of the parent's children as they existed prior to any child addition/removal in this update, if
+     * not previously stored.
+     * 
+     * @param {Echo.Component} child the added/removed child
+     * @param {Number} index the index at which the child was added or from which it was removed
+     * @param {Boolean} added true if the child was added, false if it was removed
+     */
+    _storeOriginalChildIds: function(child, index, added) {
+        if (this._originalChildIds) {
+            return;
+        }
+        this._originalChildIds = [];
+        for (var i = 0; i < this.parent.children.length; ++i) {
+            this._originalChildIds.push(this.parent.children[i].renderId);
+        }
+        if (index != null) {
+            if (added) {
+                this._originalChildIds.splice(index, 1);
+            } else {
+                this._originalChildIds.splice(index, 0, child.renderId);
+            }
+        }
+    },
+    
     /**
      * Returns a string representation.
      * 
@@ -5964,7 +13091,7 @@ Echo.Update.ComponentUpdate = Core.extend({
      * @param {Echo.Component} child the child component whose layout data was updated
      */
     _updateLayoutData: function(child) {
-        this._manager._idMap[child.renderId] = child;
+        this._manager._idMap.set(child.renderId, child);
         if (this._updatedLayoutDataChildIds == null) {
             this._updatedLayoutDataChildIds = [];
         }
@@ -6039,6 +13166,7 @@ Echo.Update.Manager = Core.extend({
     /**
      * Associative mapping between component ids and component instances for all
      * updates held in this manager object.
+     * @type Core.Arrays.LargeMap
      */
     _idMap: null,
     
@@ -6066,7 +13194,7 @@ Echo.Update.Manager = Core.extend({
         this._componentUpdateMap = { };
         this.application = application;
         this._listenerList = new Core.ListenerList();
-        this._idMap = { };
+        this._idMap = new Core.Arrays.LargeMap();
         this._removedIdMap = { };
     },
     
@@ -6178,8 +13306,9 @@ Echo.Update.Manager = Core.extend({
      * 
      * @param {Echo.Component} parent the parent component
      * @param {Echo.Component} child the added child component
+     * @param {Number} index the index at which the child was added
      */
-    _processComponentAdd: function(parent, child) {
+    _processComponentAdd: function(parent, child, index) {
         if (this.fullRefreshRequired) {
             // A full refresh indicates an update already exists which encompasses this update.
             return;
@@ -6189,7 +13318,7 @@ Echo.Update.Manager = Core.extend({
             return;
         }
         var update = this._createComponentUpdate(parent);
-        update._addChild(child);
+        update._addChild(child, index);
     },
     
     /**
@@ -6234,8 +13363,9 @@ Echo.Update.Manager = Core.extend({
      * 
      * @param {Echo.Component} parent the parent component
      * @param {Echo.Component} child the removed child component
+     * @param {Number} index the index from which the child was removed (null if the child has not yet been removed)
      */
-    _processComponentRemove: function(parent, child) {
+    _processComponentRemove: function(parent, child, index) {
         if (this.fullRefreshRequired) {
             // A full refresh indicates an update already exists which encompasses this update.
             return;
@@ -6245,7 +13375,7 @@ Echo.Update.Manager = Core.extend({
             return;
         }
         var update = this._createComponentUpdate(parent);
-        update._removeChild(child);
+        update._removeChild(child, index);
         
         var disposedIds = null;
         
@@ -6318,16 +13448,17 @@ Echo.Update.Manager = Core.extend({
      * @param {String} propertyName the updated property name
      * @param oldValue the previous value of the property
      * @param newValue the new value of the property
+     * @param {Number} index for "children" updates, the index at which the child was added or from which it was removed
      */
-    _processComponentUpdate: function(parent, propertyName, oldValue, newValue) {
+    _processComponentUpdate: function(parent, propertyName, oldValue, newValue, index) {
         if (propertyName == "children") {
             // Child added/removed.
             if (newValue == null) {
                 // Process child removal.
-                this._processComponentRemove(parent, oldValue);
+                this._processComponentRemove(parent, oldValue, index);
             } else {
                 // Process child addition.
-                this._processComponentAdd(parent, newValue);
+                this._processComponentAdd(parent, newValue, index);
             }
         } else if (propertyName == "layoutData") {
             // Process a layout data update.
@@ -6349,7 +13480,7 @@ Echo.Update.Manager = Core.extend({
     purge: function() {
         this.fullRefreshRequired = false;
         this._componentUpdateMap = { };
-        this._idMap = { };
+        this._idMap.clear();
         this._removedIdMap = { };
         this._hasUpdates = false;
         this._lastAncestorTestParentId = null;
@@ -6453,9 +13584,12 @@ Echo.AbstractButton = Core.extend(Echo.Component, {
         
         /**
          * Programmatically performs a button action.
+         * 
+         * @return a promise which will be settled when all asynchronous action listeners have completed (see 
+         *         <code>Echo.Component.fireEvent()</code>), or null if no action listener returned a promise
          */
         doAction: function() {
-            this.fireEvent({type: "action", source: this, actionCommand: this.get("actionCommand")});
+            return this.fireEvent(new Core.Event("action", this, { actionCommand: this.get("actionCommand") }));
         }
     }
 });
@@ -6586,9 +13720,12 @@ Echo.AbstractListComponent = Core.extend(Echo.Component, {
         
         /**
          * Programmatically performs a list select action.
+         * 
+         * @return a promise which will be settled when all asynchronous action listeners have completed (see 
+         *         <code>Echo.Component.fireEvent()</code>), or null if no action listener returned a promise
          */
         doAction: function() {
-            this.fireEvent({type: "action", source: this, actionCommand: this.get("actionCommand")});
+            return this.fireEvent(new Core.Event("action", this, { actionCommand: this.get("actionCommand") }));
         }
     }
 });
@@ -7127,6 +14264,29 @@ Echo.SplitPane = Core.extend(Echo.Component, {
 Echo.TextComponent = Core.extend(Echo.Component, {
 
     $abstract: true,
+    
+    $static: {
+    
+        /**
+         * Copies the properties of a normalized key to a key event.
+         * 
+         * @param e the key event
+         * @param key the normalized key (see <code>Core.Web.Key.normalize()</code>), may be null
+         */
+        _addKeyProperties: function(e, key) {
+            if (!key) {
+                return;
+            }
+            e.key = key.key;
+            e.code = key.code;
+            e.altKey = key.altKey;
+            e.ctrlKey = key.ctrlKey;
+            e.metaKey = key.metaKey;
+            e.shiftKey = key.shiftKey;
+            e.repeat = key.repeat;
+            e.isComposing = key.isComposing;
+        }
+    },
 
     $load: function() {
         Echo.ComponentFactory.registerType("TextComponent", this);
@@ -7137,18 +14297,25 @@ Echo.TextComponent = Core.extend(Echo.Component, {
         
         /**
          * Programmatically performs a text component action.
+         * 
+         * @return a promise which will be settled when all asynchronous action listeners have completed (see 
+         *         <code>Echo.Component.fireEvent()</code>), or null if no action listener returned a promise
          */
         doAction: function() {
-            this.fireEvent({type: "action", source: this, actionCommand: this.get("actionCommand")});
+            return this.fireEvent(new Core.Event("action", this, { actionCommand: this.get("actionCommand") }));
         },
         
         /**
          * Notifies listeners of a key down event.
          * 
          * @param keyCode the (standardized) key code
+         * @param key the normalized key (see <code>Core.Web.Key.normalize()</code>), whose <code>key</code>, 
+         *        <code>code</code>, modifier, <code>repeat</code>, and <code>isComposing</code> properties will be 
+         *        provided by the fired event (optional)
          */
-        doKeyDown: function(keyCode) {
+        doKeyDown: function(keyCode, key) {
             var e = { type: "keyDown", source: this, keyCode: keyCode };
+            Echo.TextComponent._addKeyProperties(e, key);
             this.fireEvent(e);
             return !e.veto;
         },
@@ -7158,9 +14325,13 @@ Echo.TextComponent = Core.extend(Echo.Component, {
          * 
          * @param keyCode the (standardized) key code
          * @param charCode the charater code
+         * @param key the normalized key (see <code>Core.Web.Key.normalize()</code>), whose <code>key</code>, 
+         *        <code>code</code>, modifier, <code>repeat</code>, and <code>isComposing</code> properties will be 
+         *        provided by the fired event (optional)
          */
-        doKeyPress: function(keyCode, charCode) {
+        doKeyPress: function(keyCode, charCode, key) {
             var e = { type: "keyPress", source: this, keyCode: keyCode, charCode: charCode };
+            Echo.TextComponent._addKeyProperties(e, key);
             this.fireEvent(e);
             return !e.veto;
         }
@@ -7451,11 +14622,30 @@ Echo.WindowPane = Core.extend(Echo.Component, {
  */
 Echo.Render = {
 
+    /**
+     * Interface which must be implemented by all component synchronization peers.
+     * Peers which are not derived from <code>Echo.Render.ComponentSync</code> are validated against this interface
+     * when they are loaded.  Only the presence of the methods is required: as peers commonly omit unused parameters, 
+     * no argument counts are enforced.
+     */
+    PEER_INTERFACE: {
+        $name: "Peer",
+        renderAdd: 0,
+        renderDispose: 0,
+        renderUpdate: 0
+    },
+
     /**
      * Count of loaded/unloaded peers.  Used for testing purposes to ensure peers are not being leaked.
      * @type Number
      */
     _loadedPeerCount: 0,
+    
+    /**
+     * The "Echo.Render" logger.
+     * @type Core.Log.Logger
+     */
+    _log: Core.Log.getLogger("Echo.Render"),
 
     /**
      * Next sequentially assigned unique peer identifier.
@@ -7589,11 +14779,21 @@ Echo.Render = {
             throw new Error("Peer not found for: " + component.componentType);
         }
         
+        var peer = new peerClass();
+        if (!(peer instanceof Echo.Render.ComponentSync) && !Core.implementsInterface(peer, Echo.Render.PEER_INTERFACE)) {
+            throw new Error("Peer for " + component.componentType + " does not implement peer interface: " +
+                    Core._getInterfaceViolation(peer, Echo.Render.PEER_INTERFACE));
+        }
+        
         ++this._loadedPeerCount;        
-        component.peer = new peerClass();
+        component.peer = peer;
         component.peer._peerId = this._nextPeerId++;
         component.peer.component = component;
         component.peer.client = client;
+        
+        if (peer.delegatedEvents) {
+            client._addDelegatedEvents(peer.delegatedEvents);
+        }
     },
     
     /**
@@ -7648,6 +14848,14 @@ Echo.Render = {
             return;
         }
         
+        // Determine logging state once, such that disabled logging has negligible cost.
+        var log = Echo.Render._log,
+            debugEnabled = log.isEnabled(Core.Log.DEBUG),
+            traceEnabled = log.isEnabled(Core.Log.TRACE),
+            startTime = debugEnabled ? new Date().getTime() : null,
+            fullRenderCount = 0,
+            unloadedPeerCount = 0;
+        
         // Create map to contain removed components (for peer unloading).
         Echo.Render._disposedComponents = {};
         
@@ -7694,12 +14902,18 @@ Echo.Render = {
             // Obtain component synchronization peer.
             peer = updates[i].parent.peer;
             
+            if (traceEnabled) {
+                log.trace("Rendering update", { component: updates[i].parent.renderId, 
+                        componentType: updates[i].parent.componentType });
+            }
+            
             // Perform update by invoking peer's renderUpdate() method.
             var fullRender = peer.renderUpdate(updates[i]);
             
             // If the update required re-rendering descendants of the updated component,
             // null-out any pending updates to descendant components.
             if (fullRender) {
+                ++fullRenderCount;
                 for (j = i + 1; j < updates.length; ++j) {
                     if (updates[j] != null && updates[i].parent.isAncestorOf(updates[j].parent)) {
                         updates[j] = null;
@@ -7761,6 +14975,7 @@ Echo.Render = {
         for (var peerId in Echo.Render._disposedComponents) {
             var component = Echo.Render._disposedComponents[peerId];
             Echo.Render._unloadPeer(component);
+            ++unloadedPeerCount;
         }
 
         // Clear disposed component list.
@@ -7771,6 +14986,11 @@ Echo.Render = {
         
         // Perform focus update.
         Echo.Render.updateFocus(client);
+        
+        if (debugEnabled) {
+            log.debug("Processed updates", { updates: updates.length, fullRenders: fullRenderCount, 
+                    unloadedPeers: unloadedPeerCount, duration: new Date().getTime() - startTime });
+        }
     },
     
     /**
@@ -7943,6 +15163,8 @@ Echo.Render = {
  */
 Echo.Render.ComponentSync = Core.extend({ 
 
+    $implements: [ Echo.Render.PEER_INTERFACE ],
+
     $static: {
     
         /**
@@ -8096,7 +15318,10 @@ Echo.Render.ComponentSync = Core.extend({
          * Invoked by client based on current focused component of application.
          * 
          * @function
-         * @param e the key event, containing (processed) keyCode property
+         * @param e the key event, containing (processed) keyCode property, the normalized <code>key</code>, 
+         *        <code>code</code>, modifier (<code>altKey</code>, <code>ctrlKey</code>, <code>metaKey</code>, 
+         *        <code>shiftKey</code>), <code>repeat</code>, and <code>isComposing</code> properties, and the 
+         *        normalized key object itself (<code>normalizedKey</code>, see <code>Core.Web.Key.normalize()</code>)
          * @return true if higher-level containers should be allowed to process the key event as well
          * @type Boolean
          */
@@ -8124,6 +15349,26 @@ Echo.Render.ComponentSync = Core.extend({
          */
         clientKeyUp: null,
         
+        /**
+         * (Optional) Mapping between DOM event types and the names of peer methods which should process them, enabling
+         * delegated event handling.  Rather than registering listeners on each rendered element, the client registers a 
+         * single listener for each delegated event type on its <code>domainElement</code> (and any elements registered
+         * with <code>Echo.Client.addElement()</code>).  When an event occurs, the client walks from the event's target
+         * toward the root, and for each element whose id is the renderId of a component, invokes the method of the 
+         * component's peer mapped to the event type (if any), with the event's <code>registeredTarget</code> property set
+         * to that element.
+         * <p>
+         * The "focus" and "blur" event types may be specified; they are delivered by the (bubbling) "focusin" and 
+         * "focusout" events.  Only event types which bubble are otherwise supported.  Delegated events are processed 
+         * after any listeners registered directly (via <code>Core.Web.Event.add()</code>) on descendants of the
+         * root element, and will not be received if such a listener stops propagation.
+         * <p>
+         * Example: <code>delegatedEvents: { click: "_processClick", focus: "_processFocus" }</code>
+         * 
+         * @return true if the event should be processed by peers of ancestor components as well
+         */
+        delegatedEvents: null,
+        
         /**
          * Returns the focus flags for the component, one or more of the following values, ORed together.
          * <ul>
@@ -10886,6 +18131,9 @@ Echo.Client = Core.extend({
 
         /**
          * Default client configuration, copied into client configuration.
+         * The "StopError.Message" and "Action.Restart" values may use the syntax supported by 
+         * <code>Core.ResourceBundle.formatMessage()</code>, e.g., the "StopError.Message" value may include the error
+         * details with the <code>{detail}</code> argument.
          */
         DEFAULT_CONFIGURATION: {
             "StopError.Message": "This application has been stopped due to an error.",
@@ -10911,6 +18159,24 @@ Echo.Client = Core.extend({
          * @type Array
          */
         _activeClients: [],
+        
+        /**
+         * The "Echo.Client" logger.
+         * @type Core.Log.Logger
+         */
+        _log: Core.Log.getLogger("Echo.Client"),
+        
+        /**
+         * Mapping between delegated event types which are not received by ancestor elements and the (bubbling) DOM 
+         * event types by which they are delivered.
+         */
+        _delegatedEventDomTypes: { focus: "focusin", blur: "focusout" },
+        
+        /**
+         * Mapping between DOM event types and the delegated event types they deliver, the inverse of 
+         * <code>_delegatedEventDomTypes</code>.
+         */
+        _domDelegatedEventTypes: { focusin: "focus", focusout: "blur" },
 
         /**
          * Global listener to respond to resizing of browser window.
@@ -10947,7 +18213,8 @@ Echo.Client = Core.extend({
     /**
      * Application-configurable properties.
      * Initialized at construction, this value should never be set, only individual properties of the configuration may
-     * be modified.
+     * be modified.  Modifications made with <code>Core.set()</code> may be observed by registering a listener with
+     * <code>Core.addChangeListener()</code>.
      * @type Object
      */
     configuration: null,
@@ -11007,12 +18274,35 @@ Echo.Client = Core.extend({
      */
     _lastKeyCode: null,
     
+    /**
+     * Normalized key (see <code>Core.Web.Key.normalize()</code>) of last received <code>keydown</code> event.  
+     * Used for firing cross-browser <code>keypress</code> events.
+     */
+    _lastKey: null,
+    
     /**
      * Method reference to this._processKey().
      * @type Function
      */
     _processKeyRef: null,
     
+    /**
+     * Method reference to this._processDelegatedEvent().
+     * @type Function
+     */
+    _processDelegatedEventRef: null,
+    
+    /**
+     * Set of DOM event types for which delegated event listeners are registered.
+     */
+    _delegatedDomEventTypes: null,
+    
+    /**
+     * Elements registered with <code>addElement()</code>, on which delegated event listeners are registered.
+     * @type Array
+     */
+    _elements: null,
+    
     /**
      * Flag indicating wait indicator is active.
      * @type Boolean
@@ -11065,6 +18355,9 @@ Echo.Client = Core.extend({
         
         this._inputRestrictionMap = { };
         this._processKeyRef = Core.method(this, this._processKey);
+        this._processDelegatedEventRef = Core.method(this, this._processDelegatedEvent);
+        this._delegatedDomEventTypes = { };
+        this._elements = [];
         this._processApplicationFocusRef = Core.method(this, this._processApplicationFocus);
         this._waitIndicator = new Echo.Client.DefaultWaitIndicator();
         this._waitIndicatorRunnable = new Core.Web.Scheduler.MethodRunnable(Core.method(this, this._waitIndicatorActivate), 
@@ -11152,6 +18445,30 @@ Echo.Client = Core.extend({
         Core.Web.Event.add(element, "keypress", this._processKeyRef, false);
         Core.Web.Event.add(element, "keydown", this._processKeyRef, false);
         Core.Web.Event.add(element, "keyup", this._processKeyRef, false);
+        for (var domType in this._delegatedDomEventTypes) {
+            Core.Web.Event.add(element, domType, this._processDelegatedEventRef, false);
+        }
+        this._elements.push(element);
+    },
+    
+    /**
+     * Registers delegated event listeners for the event types of a peer's <code>delegatedEvents</code> mapping,
+     * for types which are not already registered.  Invoked when a peer is loaded.
+     * 
+     * @param delegatedEvents the peer's mapping between event types and method names
+     * @see Echo.Render.ComponentSync#delegatedEvents
+     */
+    _addDelegatedEvents: function(delegatedEvents) {
+        for (var type in delegatedEvents) {
+            var domType = Echo.Client._delegatedEventDomTypes[type] || type;
+            if (this._delegatedDomEventTypes[domType]) {
+                continue;
+            }
+            this._delegatedDomEventTypes[domType] = true;
+            for (var i = 0; i < this._elements.length; ++i) {
+                Core.Web.Event.add(this._elements[i], domType, this._processDelegatedEventRef, false);
+            }
+        }
     },
     
     /**
@@ -11322,6 +18639,30 @@ Echo.Client = Core.extend({
         }));
     },
     
+    /**
+     * Returns a message from the client configuration, formatted using the locale of the application.
+     * Configuration messages may use the syntax supported by <code>Core.ResourceBundle.formatMessage()</code>.
+     * 
+     * @param {String} key the configuration property name, e.g., "StopError.Message"
+     * @param args (optional) an object containing the named arguments of the message
+     * @return the formatted message (or the unformatted configuration property value, if it is not a valid message 
+     *         pattern), or null if the configuration property is not set
+     * @type String
+     */
+    getConfigurationMessage: function(key, args) {
+        var pattern = this.configuration[key];
+        if (pattern == null) {
+            return null;
+        }
+        try {
+            return Core.ResourceBundle.formatMessage(pattern, args, 
+                    this.application ? this.application.getLocale() : null);
+        } catch (ex) {
+            Echo.Client._log.warn("Invalid configuration message", { key: key, ex: ex });
+            return pattern;
+        }
+    },
+    
     /**
      * Handles an application failure.
      * If the "StopError.URI" property of the <code>configuration</code> is set, the window is redirected to that URI.
@@ -11336,7 +18677,10 @@ Echo.Client = Core.extend({
             return;
         }
         this._failed = true;
-        var element = this.domainElement;
+        Echo.Client._log.error("Client failed", { detail: detail });
+        var element = this.domainElement,
+            message = this.getConfigurationMessage("StopError.Message", { detail: detail }),
+            actionText = this.getConfigurationMessage("Action.Restart");
         try {
             // Attempt to dispose.
             this.dispose();
@@ -11346,8 +18690,7 @@ Echo.Client = Core.extend({
                 window.location.href = this.configuration["StopError.URI"];
             } else {
                 // Display error.
-                this.displayError(element, this.configuration["StopError.Message"], detail, this.configuration["Action.Restart"], 
-                        function() {
+                this.displayError(element, message, detail, actionText, function() {
                     window.location.reload();
                 });
             }
@@ -11397,6 +18740,47 @@ Echo.Client = Core.extend({
         }
     },
     
+    /**
+     * Delegated event listener, registered on <code>domainElement</code> and elements registered with 
+     * <code>addElement()</code> for each event type in the <code>delegatedEvents</code> mapping of a loaded peer.
+     * Notifies the peers of components rendered at and above the event target, from the innermost outward, 
+     * until one returns a value other than true.
+     * 
+     * @param e the event
+     * @return true if the event should continue to propagate
+     * @type Boolean
+     * @see Echo.Render.ComponentSync#delegatedEvents
+     */
+    _processDelegatedEvent: function(e) {
+        if (!this.application) {
+            return true;
+        }
+        
+        var type = Echo.Client._domDelegatedEventTypes[e.type] || e.type,
+            rootElement = e.registeredTarget,
+            element = e.target;
+        
+        while (element) {
+            if (element.id) {
+                var component = this.application.getComponentByRenderId(element.id);
+                if (component && component.peer && component.peer.delegatedEvents && 
+                        component.peer.delegatedEvents[type]) {
+                    e.registeredTarget = element;
+                    var propagate = component.peer[component.peer.delegatedEvents[type]](e);
+                    e.registeredTarget = rootElement;
+                    if (!propagate) {
+                        return false;
+                    }
+                }
+            }
+            if (element == rootElement) {
+                break;
+            }
+            element = element.parentNode;
+        }
+        return true;
+    },
+    
     /**
      * Event handler for <code>keydown</code>, <code>keypress</code> events, and <code>keyup</code> events.
      * Notifies focsued component (and its ancestry) of event via <code>clientKeyDown</code>, <code>clientKeyPress</code>,
@@ -11410,15 +18794,22 @@ Echo.Client = Core.extend({
             component = this.application.getFocusedComponent(),
             bubble = true,
             keyEvent = null,
+            key,
             keyCode;
         
         // Determine key code.
         if (press) {
-            // If key event is a keypress, retrieve keycode from previous keydown event.
+            // If key event is a keypress, retrieve key/keycode from previous keydown event.
+            key = this._lastKey || Core.Web.Key.normalize(e);
             keyCode = this._lastKeyCode;
         } else {
-            // If key event is not a keypress, translate value from event and additionally store in _lastKeyCode property.
-            keyCode = this._lastKeyCode = Core.Web.Key.translateKeyCode(e.keyCode);
+            // If key event is not a keypress, normalize value from event and additionally store in _lastKey/_lastKeyCode
+            // properties.
+            key = Core.Web.Key.normalize(e);
+            if (!up) {
+                this._lastKey = key;
+            }
+            keyCode = this._lastKeyCode = key.keyCode;
         }
         
         if (!up) {
@@ -11433,6 +18824,15 @@ Echo.Client = Core.extend({
                 this.application.focusNext(e.shiftKey);
                 Core.Web.DOM.preventEventDefault(e);
             }
+            
+            if (!press && !key.isComposing && this.verifyInput() && 
+                    this.application.acceleratorManager.processKeyDown(keyCode, e)) {
+                // Key invoked an accelerator (or is part of a multi-key accelerator sequence): prevent default browser 
+                // action, do not fire clientKeyXXX() events for the key.
+                Core.Web.DOM.preventEventDefault(e);
+                this._keyFocusedComponentId = null;
+                return true;
+            }
         
             if (press && Core.Web.Env.QUIRK_KEY_PRESS_FIRED_FOR_SPECIAL_KEYS && !e.charCode) {
                 // Do nothing in the event no char code is provided for a keypress.
@@ -11464,7 +18864,9 @@ Echo.Client = Core.extend({
             if (component.peer && component.peer[eventMethod]) {
                 if (!keyEvent) {
                     // Lazy-create key event.
-                    keyEvent = { type: e.type, source: this, keyCode: keyCode, domEvent: e };
+                    keyEvent = { type: e.type, source: this, keyCode: keyCode, key: key.key, code: key.code, 
+                            altKey: key.altKey, ctrlKey: key.ctrlKey, metaKey: key.metaKey, shiftKey: key.shiftKey,
+                            repeat: key.repeat, isComposing: key.isComposing, normalizedKey: key, domEvent: e };
                     if (press) {
                         keyEvent.charCode = Core.Web.Env.QUIRK_KEY_CODE_IS_CHAR_CODE ? e.keyCode : e.charCode;
                     }
@@ -11490,16 +18892,17 @@ Echo.Client = Core.extend({
             this.removeInputRestriction(ir);
             this.forceRedraw();
         } catch (ex) {
+            var fields = { exception: ex };
             if (ex.lineNumber) {
-                // Display reported line number and adjusted line number (used if script was loaded dynamically).
-                Core.Debug.consoleWrite("Reported Line #: " + ex.lineNumber);
-                Core.Debug.consoleWrite("Evaluated Line #: " + (ex.lineNumber - Core.Web.Library.evalLine) + 
-                        " (if evaluated script)");
+                // Record reported line number and adjusted line number (used if script was loaded dynamically).
+                fields.lineNumber = ex.lineNumber;
+                fields.evaluatedLineNumber = ex.lineNumber - Core.Web.Library.evalLine;
             }
             if (ex.stack) {
-                // Display stack trace if available (Mozilla browsers).
-                Core.Debug.consoleWrite("Exception: " + ex + ", Stack Trace: " + ex.stack);
+                // Record stack trace if available.
+                fields.stack = ex.stack;
             }
+            Echo.Client._log.error("Exception during Client.processUpdates()", fields);
             this.fail("Exception during Client.processUpdates(): " + ex.message);
             throw (ex);
         }
@@ -11550,6 +18953,24 @@ Echo.Client = Core.extend({
         }
     },
     
+    /**
+     * Restricts input until a promise is settled, e.g., a promise returned by <code>Echo.AbstractButton.doAction()</code>
+     * for an action whose listeners perform asynchronous validation.
+     * The input restriction is removed whether the promise is fulfilled or rejected (e.g., due to failed validation); 
+     * a rejection is considered handled, and is not reported as an unhandled rejection.
+     * 
+     * @param promise the promise
+     * @return the specified promise
+     */
+    restrictInputUntilSettled: function(promise) {
+        var restriction = this.createInputRestriction();
+        var removeRestriction = Core.method(this, function() {
+            this.removeInputRestriction(restriction);
+        });
+        promise.then(removeRestriction, removeRestriction);
+        return promise;
+    },
+    
     /**
      * Shows/hides wait indicator.
      * 
@@ -11603,6 +19024,10 @@ Echo.Client = Core.extend({
         Core.Web.Event.remove(element, "keypress", this._processKeyRef, false);
         Core.Web.Event.remove(element, "keydown", this._processKeyRef, false);
         Core.Web.Event.remove(element, "keyup", this._processKeyRef, false);
+        for (var domType in this._delegatedDomEventTypes) {
+            Core.Web.Event.remove(element, domType, this._processDelegatedEventRef, false);
+        }
+        Core.Arrays.remove(this._elements, element);
     },
     
     /**
@@ -11808,115 +19233,614 @@ Echo.FreeClient = Core.extend(Echo.Client, {
     /** Resource package name to base URL mapping for resource paths. */
     _resourcePaths: null,
     
-    /** 
-     * Flag indicating that a runnable has been enqueued to invoke _doRender(). 
+    /** 
+     * Flag indicating that a runnable has been enqueued to invoke _doRender(). 
+     * @type Boolean
+     */
+    _renderPending: false,
+
+    /**
+     * Creates a new FreeClient.
+     *
+     * @param {Echo.Application} application the application which the client will contain
+     * @param {Element} domainElement the HTML element in which the client will be rendered
+     */
+    $construct: function(application, domainElement) {
+        Echo.Client.call(this);
+        this._doRenderRef = Core.method(this, this._doRender);
+        this._processUpdateRef = Core.method(this, this._processUpdate);
+        this.configure(application, domainElement);
+        this._processUpdate();
+    },
+    
+    /**
+     * Associates a resource package name with a base URL.
+     * Later inquiries to <code>getResourceUrl()</code> with the specified package name will return
+     * URLs with the specified <code>baseUrl</code> prepended to the resource name provided in the
+     * call to <code>getResourceUrl()</code>.
+     *
+     * @param {String} packageName the resource package name
+     * @param {String} baseUrl the base URL to prepend to resources in the specified package
+     */
+    addResourcePath: function(packageName, baseUrl) {
+        if (!this._resourcePaths) {
+            this._resourcePaths = { };
+        }
+        this._resourcePaths[packageName] = baseUrl;
+    },
+
+    /**
+     * Disposes of the FreeClient.
+     * This method must be invoked when the client will no longer be used, in order to clean up resources.
+     */
+    dispose: function() {
+        this.application.updateManager.removeUpdateListener(this._processUpdateRef);
+        Echo.Render.renderComponentDispose(null, this.application.rootComponent);
+        Echo.Client.prototype.dispose.call(this);
+    },
+    
+    /**
+     * Performs rendering operations by invoking Echo.Render.processUpdates().
+     * Invoked in separate execution context (scheduled).
+     */
+    _doRender: function() {
+        if (this.application) {
+            // Only execute updates in the event client has not been deconfigured, which can
+            // occur before auto-update fires if other operations were scheduled for immediate
+            // execution.
+            this.processUpdates();
+            this._renderPending = false;
+        }
+    },
+    
+    /** @see Echo.Client#getResoruceUrl */
+    getResourceUrl: function(packageName, resourceName) {
+        if (this._resourcePaths && this._resourcePaths[packageName]) {
+            return this._resourcePaths[packageName] + resourceName;
+        } else {
+            return Echo.Client.prototype.getResourceUrl.call(this, packageName, resourceName);
+        }
+    },
+    
+    /**
+     * Initializes the FreeClient.
+     * This method must be invoked before the client is initially used.
+     */
+    init: function() {
+        Core.Web.init();
+        this.application.updateManager.addUpdateListener(this._processUpdateRef);
+    },
+    
+    /**
+     * Loads an XML style sheet into the client application from a URL.
+     * 
+     * @param {String} url the URL from which the StyleSheet should be fetched.
+     * @param options (optional) transport options, e.g., <code>timeout</code> and <code>retries</code> 
+     *        (see <code>Core.Web.Transport</code>); by default, failed requests are retried twice
+     */
+    loadStyleSheet: function(url, options) {
+        var conn = Core.Web.Transport.create(url, "GET", null, null, options || { retries: 2 });
+        conn.addResponseListener(Core.method(this, this._processStyleSheet));
+        conn.connect();
+    },
+    
+    /**
+     * Event listener invoked when a StyleSheet fetched via loadStyleSheet() has been retrieved.
+     * 
+     * @param e the HttpConnection response event
+     */
+    _processStyleSheet: function(e) {
+        if (!e.valid) {
+            throw new Error("Received invalid response from StyleSheet HTTP request" + 
+                    (e.timeout ? " (timed out)." : (e.aborted ? " (aborted)." : ".")));
+        }
+        
+        var ssElement =  e.source.getResponseXml().documentElement;
+        var styleSheet = Echo.Serial.loadStyleSheet(this, ssElement);
+        this.application.setStyleSheet(styleSheet);
+    },
+
+    /** Schedules doRender() to run in next execution context. */  
+    _processUpdate: function(e) {
+        if (!this._renderPending) {
+            this._renderPending = true;
+            Core.Web.Scheduler.run(this._doRenderRef);
+        }
+    }
+});
+/**
+ * @fileoverview
+ * Component inspector module.
+ * Requires Core, Core.Web, Application, Render, Client.
+ */
+
+/**
+ * A toggleable in-browser inspector overlay, used for debugging applications.
+ * The inspector displays the component hierarchy of a client's application and, for the selected component, its 
+ * local style data, named style, resolved style sheet properties, layout data, registered listener types, and the
+ * <code>Echo.Render.ComponentSync</code> peer which rendered it.  While the inspector is displayed, clicking on the 
+ * application selects the component under the pointer (the click is not delivered to the application), and the
+ * inspector's console pane serves as <code>Core.Debug.consoleElement</code>.
+ * <p>
+ * Example: <code>Echo.Inspector.toggle(client);</code>
+ */
+Echo.Inspector = Core.extend({
+
+    $static: {
+    
+        /**
+         * Maximum depth to which nested objects are formatted.
+         * @type Number
+         */
+        MAX_FORMAT_DEPTH: 3,
+        
+        /**
+         * The z-index of the overlay.
+         * @type Number
+         */
+        Z_INDEX: 32767,
+    
+        /**
+         * Inspector instances created by <code>toggle()</code>.
+         * @type Array
+         */
+        _instances: [],
+        
+        /**
+         * Formats a property value for display.
+         * 
+         * @param value the value
+         * @param {Number} depth the current nesting depth (omit for top-level values)
+         * @return the formatted value
+         * @type String
+         */
+        formatValue: function(value, depth) {
+            depth = depth || 0;
+            var parts = [],
+                i;
+            if (value == null) {
+                return String(value);
+            } else if (value instanceof Array) {
+                if (depth >= Echo.Inspector.MAX_FORMAT_DEPTH) {
+                    return "[...]";
+                }
+                for (i = 0; i < value.length; ++i) {
+                    parts.push(Echo.Inspector.formatValue(value[i], depth + 1));
+                }
+                return "[" + parts.join(", ") + "]";
+            } else if (typeof value == "object" && value.toString === Object.prototype.toString) {
+                if (depth >= Echo.Inspector.MAX_FORMAT_DEPTH) {
+                    return "{...}";
+                }
+                for (i in value) {
+                    if (typeof value[i] != "function") {
+                        parts.push(i + ": " + Echo.Inspector.formatValue(value[i], depth + 1));
+                    }
+                }
+                return "{" + parts.join(", ") + "}";
+            } else if (typeof value == "string" && depth > 0) {
+                return "\"" + value + "\"";
+            }
+            return String(value);
+        },
+        
+        /**
+         * Shows or hides the inspector of a client, creating it if necessary.
+         * 
+         * @param {Echo.Client} client the client
+         * @return the inspector
+         * @type Echo.Inspector
+         */
+        toggle: function(client) {
+            var inspector = null;
+            for (var i = 0; i < this._instances.length; ++i) {
+                if (this._instances[i].client == client) {
+                    inspector = this._instances[i];
+                    break;
+                }
+            }
+            if (!inspector) {
+                inspector = new Echo.Inspector(client);
+                this._instances.push(inspector);
+            }
+            inspector.toggle();
+            return inspector;
+        }
+    },
+    
+    /**
+     * The inspected client.
+     * @type Echo.Client
+     */
+    client: null,
+    
+    /**
+     * The selected component.
+     * @type Echo.Component
+     */
+    selectedComponent: null,
+    
+    /**
+     * Flag indicating whether clicks on the application should select components.
+     * @type Boolean
+     */
+    pickEnabled: true,
+    
+    /**
+     * The overlay element, null when not displayed.
+     * @type Element
+     */
+    _div: null,
+    
+    /** Container element of the component tree. */
+    _treeDiv: null,
+    
+    /** Container element of the selected component's details. */
+    _detailDiv: null,
+    
+    /** Console element. */
+    _consoleDiv: null,
+    
+    /** The value of <code>Core.Debug.consoleElement</code> prior to the inspector being displayed. */
+    _previousConsoleElement: null,
+    
+    /** Element of the selected component which is highlighted in the application. */
+    _highlightElement: null,
+    
+    /** The original outline style of the highlighted element. */
+    _highlightOutline: null,
+    
+    /** Flag indicating that a refresh of the inspector has been scheduled. */
+    _refreshPending: false,
+    
+    /** Method reference to <code>_processClick()</code>. */
+    _processClickRef: null,
+    
+    /** Method reference to <code>_processComponentUpdate()</code>. */
+    _processComponentUpdateRef: null,
+
+    /**
+     * Creates a new inspector.  The inspector is not displayed until <code>show()</code> is invoked.
+     * 
+     * @param {Echo.Client} client the client to inspect
+     */
+    $construct: function(client) {
+        this.client = client;
+        this._processClickRef = Core.method(this, this._processClick);
+        this._processComponentUpdateRef = Core.method(this, this._processComponentUpdate);
+    },
+    
+    /**
+     * Creates a titled section element.
+     * 
+     * @param {String} title the title
+     * @return the section element
+     * @type Element
+     */
+    _createSection: function(title) {
+        var sectionDiv = document.createElement("div");
+        sectionDiv.style.cssText = "margin-bottom:6px;";
+        var titleDiv = document.createElement("div");
+        titleDiv.style.cssText = "font-weight:bold;border-bottom:1px solid #5f5f5f;margin-bottom:2px;";
+        titleDiv.appendChild(document.createTextNode(title));
+        sectionDiv.appendChild(titleDiv);
+        return sectionDiv;
+    },
+    
+    /**
+     * Returns the component rendered by an element or its nearest ancestor element, determined by searching for an
+     * element whose id is the render id of a registered component.
+     * 
+     * @param {Element} element the element
+     * @return the component, or null if none was found
+     * @type Echo.Component
+     */
+    _findComponent: function(element) {
+        while (element && element != this.client.domainElement.parentNode) {
+            if (element.id) {
+                var component = this.client.application.getComponentByRenderId(element.id);
+                if (component) {
+                    return component;
+                }
+            }
+            element = element.parentNode;
+        }
+        return null;
+    },
+    
+    /**
+     * Returns the name of a peer's class.
+     * 
+     * @param {Echo.Render.ComponentSync} peer the peer
+     * @return the class name, or "(unnamed)" if the class cannot be identified
+     * @type String
+     */
+    _getPeerName: function(peer) {
+        // Search the Echo namespace for peers which were not named in their definitions (without registering them).
+        return Core.Reflect.getName(peer.constructor) || Core.Reflect.findName(peer.constructor, Echo, "Echo") || 
+                "(unnamed)";
+    },
+    
+    /**
+     * Hides the inspector and releases its resources.
+     */
+    dispose: function() {
+        this.hide();
+        this.selectedComponent = null;
+        Core.Arrays.remove(Echo.Inspector._instances, this);
+    },
+    
+    /**
+     * Hides the inspector.
+     */
+    hide: function() {
+        if (!this._div) {
+            return;
+        }
+        this._setHighlight(null);
+        Core.Web.DOM.removeEventListener(this.client.domainElement, "click", this._processClickRef, true);
+        this.client.application.removeListener("componentUpdate", this._processComponentUpdateRef);
+        if (Core.Debug.consoleElement == this._consoleDiv) {
+            Core.Debug.consoleElement = this._previousConsoleElement;
+        }
+        this._previousConsoleElement = null;
+        this._div.parentNode.removeChild(this._div);
+        this._div = this._treeDiv = this._detailDiv = this._consoleDiv = null;
+    },
+    
+    /**
+     * Determines whether the inspector is displayed.
+     * 
+     * @return true if the inspector is displayed
      * @type Boolean
      */
-    _renderPending: false,
-
+    isVisible: function() {
+        return this._div != null;
+    },
+    
     /**
-     * Creates a new FreeClient.
-     *
-     * @param {Echo.Application} application the application which the client will contain
-     * @param {Element} domainElement the HTML element in which the client will be rendered
+     * Processes a (capturing) click event on the client's domain element, selecting the component under the pointer.
+     * 
+     * @param e the event
      */
-    $construct: function(application, domainElement) {
-        Echo.Client.call(this);
-        this._doRenderRef = Core.method(this, this._doRender);
-        this._processUpdateRef = Core.method(this, this._processUpdate);
-        this.configure(application, domainElement);
-        this._processUpdate();
+    _processClick: function(e) {
+        e = e ? e : window.event;
+        if (!this.pickEnabled) {
+            return true;
+        }
+        var target = e.target || e.srcElement;
+        if (this._div && Core.Web.DOM.isAncestorOf(this._div, target)) {
+            // Click on inspector itself.
+            return true;
+        }
+        var component = this._findComponent(target);
+        if (!component) {
+            return true;
+        }
+        Core.Web.DOM.preventEventDefault(e);
+        Core.Web.DOM.stopEventPropagation(e);
+        this.select(component);
+        return false;
     },
     
     /**
-     * Associates a resource package name with a base URL.
-     * Later inquiries to <code>getResourceUrl()</code> with the specified package name will return
-     * URLs with the specified <code>baseUrl</code> prepended to the resource name provided in the
-     * call to <code>getResourceUrl()</code>.
-     *
-     * @param {String} packageName the resource package name
-     * @param {String} baseUrl the base URL to prepend to resources in the specified package
+     * Processes a <code>componentUpdate</code> event from the application, scheduling a refresh of the inspector.
+     * 
+     * @param e the event
      */
-    addResourcePath: function(packageName, baseUrl) {
-        if (!this._resourcePaths) {
-            this._resourcePaths = { };
+    _processComponentUpdate: function(e) {
+        if (this._refreshPending) {
+            return;
         }
-        this._resourcePaths[packageName] = baseUrl;
+        this._refreshPending = true;
+        Core.Web.Scheduler.run(Core.method(this, function() {
+            this._refreshPending = false;
+            if (this.selectedComponent && !this.selectedComponent.application) {
+                // Selected component has been removed from the hierarchy.
+                this.selectedComponent = null;
+            }
+            this.refresh();
+        }));
     },
-
+    
     /**
-     * Disposes of the FreeClient.
-     * This method must be invoked when the client will no longer be used, in order to clean up resources.
+     * Re-renders the component tree and the selected component's details.
      */
-    dispose: function() {
-        this.application.updateManager.removeUpdateListener(this._processUpdateRef);
-        Echo.Render.renderComponentDispose(null, this.application.rootComponent);
-        Echo.Client.prototype.dispose.call(this);
+    refresh: function() {
+        if (!this._div) {
+            return;
+        }
+        this._renderTree();
+        this._renderDetail();
+        this._setHighlight(this.selectedComponent ? document.getElementById(this.selectedComponent.renderId) : null);
     },
     
     /**
-     * Performs rendering operations by invoking Echo.Render.processUpdates().
-     * Invoked in separate execution context (scheduled).
+     * Renders the overlay.
      */
-    _doRender: function() {
-        if (this.application) {
-            // Only execute updates in the event client has not been deconfigured, which can
-            // occur before auto-update fires if other operations were scheduled for immediate
-            // execution.
-            this.processUpdates();
-            this._renderPending = false;
+    _render: function() {
+        this._div = document.createElement("div");
+        this._div.style.cssText = "position:fixed;top:0;right:0;bottom:0;width:400px;overflow:hidden;" +
+                "background-color:#1f1f1f;color:#dfdfdf;font:11px monospace;z-index:" + Echo.Inspector.Z_INDEX + ";";
+        
+        var headerDiv = document.createElement("div");
+        headerDiv.style.cssText = "position:absolute;top:0;left:0;right:0;height:20px;padding:2px 4px;" +
+                "background-color:#3f3f3f;";
+        headerDiv.appendChild(document.createTextNode("Inspector "));
+        var pickInput = document.createElement("input");
+        pickInput.type = "checkbox";
+        pickInput.checked = this.pickEnabled;
+        pickInput.title = "Select components by clicking on the application";
+        pickInput.onclick = Core.method(this, function() {
+            this.pickEnabled = pickInput.checked;
+        });
+        headerDiv.appendChild(pickInput);
+        headerDiv.appendChild(document.createTextNode("Pick "));
+        var closeButton = document.createElement("button");
+        closeButton.appendChild(document.createTextNode("Close"));
+        closeButton.onclick = Core.method(this, this.hide);
+        headerDiv.appendChild(closeButton);
+        this._div.appendChild(headerDiv);
+        
+        this._treeDiv = document.createElement("div");
+        this._treeDiv.style.cssText = "position:absolute;top:24px;left:0;right:0;height:30%;overflow:auto;" +
+                "border-bottom:1px solid #5f5f5f;";
+        this._div.appendChild(this._treeDiv);
+        
+        this._detailDiv = document.createElement("div");
+        this._detailDiv.style.cssText = "position:absolute;top:30%;left:0;right:0;bottom:20%;overflow:auto;padding:4px;" +
+                "margin-top:24px;border-bottom:1px solid #5f5f5f;";
+        this._div.appendChild(this._detailDiv);
+
+        this._consoleDiv = document.createElement("div");
+        this._consoleDiv.style.cssText = "position:absolute;left:0;right:0;bottom:0;height:20%;overflow:auto;padding:4px;";
+        this._div.appendChild(this._consoleDiv);
+        
+        document.body.appendChild(this._div);
+    },
+    
+    /**
+     * Renders the details of the selected component.
+     */
+    _renderDetail: function() {
+        var component = this.selectedComponent;
+        Core.Web.DOM.removeAllChildren(this._detailDiv);
+        if (!component) {
+            this._detailDiv.appendChild(document.createTextNode("No component selected."));
+            return;
         }
+        
+        var styleSheet = this.client.application.getStyleSheet(),
+            styleName = component.getStyleName(),
+            listenerTypes = component._listenerList ? component._listenerList.getListenerTypes() : [];
+        
+        this._renderProperties("Component", { 
+            type: component.componentType, 
+            renderId: component.renderId, 
+            styleName: styleName,
+            peer: component.peer ? this._getPeerName(component.peer) : "(not rendered)"
+        });
+        this._renderProperties("Local Style", component.getLocalStyleData());
+        this._renderProperties("Style", component.getStyle());
+        this._renderProperties("Style Sheet", styleSheet ? 
+                styleSheet.getRenderStyle(styleName != null ? styleName : "", component.componentType) : null);
+        this._renderProperties("Layout Data", component.get("layoutData"));
+        this._renderProperties("Listeners", listenerTypes.length === 0 ? null : { types: listenerTypes });
     },
     
-    /** @see Echo.Client#getResoruceUrl */
-    getResourceUrl: function(packageName, resourceName) {
-        if (this._resourcePaths && this._resourcePaths[packageName]) {
-            return this._resourcePaths[packageName] + resourceName;
-        } else {
-            return Echo.Client.prototype.getResourceUrl.call(this, packageName, resourceName);
+    /**
+     * Renders a section listing the properties of an object.
+     * 
+     * @param {String} title the section title
+     * @param properties the object whose properties should be listed (may be null)
+     */
+    _renderProperties: function(title, properties) {
+        var sectionDiv = this._createSection(title),
+            empty = true;
+        if (properties) {
+            for (var name in properties) {
+                if (typeof properties[name] == "function") {
+                    continue;
+                }
+                var propertyDiv = document.createElement("div");
+                propertyDiv.appendChild(document.createTextNode(name + ": " + 
+                        Echo.Inspector.formatValue(properties[name])));
+                sectionDiv.appendChild(propertyDiv);
+                empty = false;
+            }
+        }
+        if (empty) {
+            sectionDiv.appendChild(document.createTextNode("(none)"));
         }
+        this._detailDiv.appendChild(sectionDiv);
     },
     
     /**
-     * Initializes the FreeClient.
-     * This method must be invoked before the client is initially used.
+     * Renders the component tree.
      */
-    init: function() {
-        Core.Web.init();
-        this.application.updateManager.addUpdateListener(this._processUpdateRef);
+    _renderTree: function() {
+        Core.Web.DOM.removeAllChildren(this._treeDiv);
+        this._renderTreeNode(this.client.application.rootComponent, 0);
     },
     
     /**
-     * Loads an XML style sheet into the client application from a URL.
+     * Renders a node of the component tree (and, recursively, its descendants).
      * 
-     * @param {String} url the URL from which the StyleSheet should be fetched.
+     * @param {Echo.Component} component the component represented by the node
+     * @param {Number} depth the depth of the component in the hierarchy
      */
-    loadStyleSheet: function(url) {
-        var conn = new Core.Web.HttpConnection(url, "GET");
-        conn.addResponseListener(Core.method(this, this._processStyleSheet));
-        conn.connect();
+    _renderTreeNode: function(component, depth) {
+        var nodeDiv = document.createElement("div");
+        nodeDiv.style.cssText = "cursor:pointer;white-space:nowrap;padding-left:" + (4 + depth * 12) + "px;" +
+                (component == this.selectedComponent ? "background-color:#3f5f9f;" : "");
+        var text = component.componentType + " [" + component.renderId + "]";
+        if (component.getStyleName()) {
+            text += " \"" + component.getStyleName() + "\"";
+        }
+        nodeDiv.appendChild(document.createTextNode(text));
+        nodeDiv.onclick = Core.method(this, function() {
+            this.select(component);
+        });
+        this._treeDiv.appendChild(nodeDiv);
+        
+        for (var i = 0; i < component.children.length; ++i) {
+            this._renderTreeNode(component.children[i], depth + 1);
+        }
     },
     
     /**
-     * Event listener invoked when a StyleSheet fetched via loadStyleSheet() has been retrieved.
+     * Selects a component, displaying its details and highlighting its rendered element.
      * 
-     * @param e the HttpConnection response event
+     * @param {Echo.Component} component the component to select (may be null)
      */
-    _processStyleSheet: function(e) {
-        if (!e.valid) {
-            throw new Error("Received invalid response from StyleSheet HTTP request.");
+    select: function(component) {
+        this.selectedComponent = component;
+        this.refresh();
+    },
+    
+    /**
+     * Highlights an element of the application by outlining it, removing the highlight from any previously 
+     * highlighted element.
+     * 
+     * @param {Element} element the element to highlight (may be null)
+     */
+    _setHighlight: function(element) {
+        if (element == this._highlightElement) {
+            return;
+        }
+        if (this._highlightElement) {
+            this._highlightElement.style.outline = this._highlightOutline;
+        }
+        this._highlightElement = element;
+        if (element) {
+            this._highlightOutline = element.style.outline || "";
+            element.style.outline = "2px solid #ff7f00";
         }
-        
-        var ssElement =  e.source.getResponseXml().documentElement;
-        var styleSheet = Echo.Serial.loadStyleSheet(this, ssElement);
-        this.application.setStyleSheet(styleSheet);
     },
-
-    /** Schedules doRender() to run in next execution context. */  
-    _processUpdate: function(e) {
-        if (!this._renderPending) {
-            this._renderPending = true;
-            Core.Web.Scheduler.run(this._doRenderRef);
+    
+    /**
+     * Displays the inspector.
+     */
+    show: function() {
+        if (this._div) {
+            return;
+        }
+        this._render();
+        this._previousConsoleElement = Core.Debug.consoleElement;
+        Core.Debug.consoleElement = this._consoleDiv;
+        Core.Web.DOM.addEventListener(this.client.domainElement, "click", this._processClickRef, true);
+        this.client.application.addListener("componentUpdate", this._processComponentUpdateRef);
+        this.refresh();
+    },
+    
+    /**
+     * Displays the inspector if it is hidden, or hides it if it is displayed.
+     */
+    toggle: function() {
+        if (this._div) {
+            this.hide();
+        } else {
+            this.show();
         }
     }
 });
@@ -12713,21 +20637,33 @@ Echo.Sync.Button = Core.extend(Echo.Render.ComponentSync, {
      */
     _processRolloverExitRef: null,
     
-    /**
-     * Method reference to _processInitEvent.
-     * @type Function
-     */
-    _processInitEventRef: null,
-    
     /**
      * The rendered focus state of the button.
      * @type Boolean
      */
     _focused: false,
     
+    /**
+     * Delegated event handlers.  Buttons register no event listeners on their rendered elements, as there may be a 
+     * large number of buttons present on the screen, each of which would require many event listeners.
+     * @see Echo.Render.ComponentSync#delegatedEvents
+     */
+    delegatedEvents: {
+        blur: "_processBlur",
+        click: "_processClick",
+        focus: "_processFocus",
+        mousedown: "_processSelectStart",
+        mouseout: "_processMouseOut",
+        mouseover: "_processMouseOver",
+        pointercancel: "_processRelease",
+        pointerdown: "_processPress",
+        pointerup: "_processRelease",
+        selectstart: "_processSelectStart"
+    },
+    
     /** Creates a new Echo.Sync.Button */
     $construct: function() { 
-        this._processInitEventRef = Core.method(this, this._processInitEvent);
+        this._processRolloverExitRef = Core.method(this, this._processRolloverExit);
     },
     
     $virtual: {
@@ -12735,9 +20671,13 @@ Echo.Sync.Button = Core.extend(Echo.Render.ComponentSync, {
         /**
          * Processes a user action (i.e., clicking or pressing enter when button is focused).
          * Default implementation invokes <code>doAction()</code> on supported <code>Echo.Component</code>.
+         * If any action listener returns a promise, input will be restricted until it has been settled.
          */
         doAction: function() {
-            this.component.doAction();
+            var result = this.component.doAction();
+            if (result) {
+                this.client.restrictInputUntilSettled(result);
+            }
         },
         
         /**
@@ -12814,36 +20754,6 @@ Echo.Sync.Button = Core.extend(Echo.Render.ComponentSync, {
         }
     },
     
-    /**
-     * Registers event listeners on the button.  This method is invoked lazily, i.e., the first time the button
-     * is focused or rolled over with the mouse.  The initial focus/mouse rollover listeners are removed by this method.
-     * This strategy is used for performance reasons due to the fact that many buttons may be present 
-     * on the screen, and each button has many event listeners, which would otherwise need to be registered on the initial render.
-     */
-    _addEventListeners: function() {
-        this._processRolloverExitRef = Core.method(this, this._processRolloverExit);
-    
-        // Remove initialization listeners.
-        Core.Web.Event.remove(this.div, "focus", this._processInitEventRef);
-        Core.Web.Event.remove(this.div, "mouseover", this._processInitEventRef);
-        
-        Core.Web.Event.add(this.div, "click", Core.method(this, this._processClick), false);
-        if (this.component.render("rolloverEnabled")) {
-            Core.Web.Event.add(this.div, Core.Web.Env.PROPRIETARY_EVENT_MOUSE_ENTER_LEAVE_SUPPORTED ? "mouseenter" : "mouseover", 
-                    Core.method(this, this._processRolloverEnter), false);
-            Core.Web.Event.add(this.div, Core.Web.Env.PROPRIETARY_EVENT_MOUSE_ENTER_LEAVE_SUPPORTED ? "mouseleave" : "mouseout", 
-                    Core.method(this, this._processRolloverExit), false);
-        }
-        if (this.component.render("pressedEnabled")) {
-            Core.Web.Event.add(this.div, "mousedown", Core.method(this, this._processPress), false);
-            Core.Web.Event.add(this.div, "mouseup", Core.method(this, this._processRelease), false);
-        }
-        Core.Web.Event.add(this.div, "focus", Core.method(this, this._processFocus), false);
-        Core.Web.Event.add(this.div, "blur", Core.method(this, this._processBlur), false);
-        
-        Core.Web.Event.Selection.disable(this.div);
-    },
-    
     /** 
      * Processes a key press event.  Invokes <code>doAction()</code> in the case of enter being pressed.
      * @see Echo.Render.ComponentSync#clientKeyDown 
@@ -12897,6 +20807,9 @@ Echo.Sync.Button = Core.extend(Echo.Render.ComponentSync, {
         
     /** Processes a focus blur event. */
     _processBlur: function(e) {
+        if (!this.enabled) {
+            return true;
+        }
         this._focused = false;
         this.setHighlightState(false, false);
     },
@@ -12919,37 +20832,42 @@ Echo.Sync.Button = Core.extend(Echo.Render.ComponentSync, {
         this.setHighlightState(false, false);
     },
     
-    /**
-     * The Initial focus/mouse rollover listener.
-     * This listener is invoked the FIRST TIME the button is focused or mouse rolled over.
-     * It invokes the addListeners() method to lazily add the full listener set to the button.
+    /** 
+     * Processes a mouse out event, invoking <code>_processRolloverExit()</code> if the mouse has left the button 
+     * (rather than moved between its descendant elements).
      */
-    _processInitEvent: function(e) {
-        this._addEventListeners();
-        switch (e.type) {
-        case "focus":
-            this._processFocus(e);
-            break;
-        case "mouseover":
-            if (this.component.render("rolloverEnabled")) {
-                this._processRolloverEnter(e);
-            }
-            break;
+    _processMouseOut: function(e) {
+        if (!this.enabled || !this.component.render("rolloverEnabled") || 
+                (e.relatedTarget && Core.Web.DOM.isAncestorOf(this.div, e.relatedTarget))) {
+            return true;
+        }
+        return this._processRolloverExit(e);
+    },
+    
+    /** 
+     * Processes a mouse over event, invoking <code>_processRolloverEnter()</code> if the mouse has entered the button
+     * (rather than moved between its descendant elements).
+     */
+    _processMouseOver: function(e) {
+        if (!this.component.render("rolloverEnabled") || 
+                (e.relatedTarget && Core.Web.DOM.isAncestorOf(this.div, e.relatedTarget))) {
+            return true;
         }
+        return this._processRolloverEnter(e);
     },
     
-    /** Processes a mouse button press event, displaying the button's pressed appearance. */
+    /** Processes a pointer (mouse button/touch/pen) press event, displaying the button's pressed appearance. */
     _processPress: function(e) {
-        if (!this.client || !this.client.verifyInput(this.component)) {
+        if (!this.client || !this.client.verifyInput(this.component) || !this.component.render("pressedEnabled")) {
             return true;
         }
         Core.Web.DOM.preventEventDefault(e);
         this.setHighlightState(false, true);
     },
     
-    /** Processes a mouse button release event on the button, displaying the button's normal appearance. */
+    /** Processes a pointer release (or cancel) event on the button, displaying the button's normal appearance. */
     _processRelease: function(e) {
-        if (!this.client) {
+        if (!this.client || !this.enabled || !this.component.render("pressedEnabled")) {
             return true;
         }
         this.setHighlightState(false, false);
@@ -12977,6 +20895,15 @@ Echo.Sync.Button = Core.extend(Echo.Render.ComponentSync, {
         return true;
     },
     
+    /** Processes a mouse down or (IE-specific) select start event to prevent mouse-selection of text in the button. */
+    _processSelectStart: function(e) {
+        if (!this.enabled) {
+            return true;
+        }
+        Core.Web.DOM.preventEventDefault(e);
+        return true;
+    },
+    
     /** @see Echo.Render.ComponentSync#renderAdd */
     renderAdd: function(update, parentElement) {
         this.enabled = this.component.isRenderEnabled();
@@ -13020,14 +20947,6 @@ Echo.Sync.Button = Core.extend(Echo.Render.ComponentSync, {
         
         this.renderContent();
         
-        if (this.enabled) {
-            // Add event listeners for focus and mouse rollover.  When invoked, these listeners will register the full gamut
-            // of button event listeners.  There may be a large number of such listeners depending on how many effects
-            // are enabled, and as such we do this lazily for performance reasons.
-            Core.Web.Event.add(this.div, "focus", this._processInitEventRef, false);
-            Core.Web.Event.add(this.div, "mouseover", this._processInitEventRef, false);
-        }
-        
         parentElement.appendChild(this.div);
     },
     
@@ -14447,7 +22366,25 @@ Echo.Sync.ListComponent = Core.extend(Echo.Render.ComponentSync, {
          * Alternate rendering: default selected item foreground.
          * @type #Color
          */
-        DEFAULT_SELECTED_FOREGROUND: "#ffffff"
+        DEFAULT_SELECTED_FOREGROUND: "#ffffff",
+        
+        /**
+         * Set of properties which may be updated without re-rendering the component, i.e., by patching rendered items 
+         * in place.
+         */
+        _itemUpdatePropertySet: { items: true, selection: true, selectedId: true },
+        
+        /**
+         * Returns the key by which an item is identified when reconciling rendered items with updated items.
+         * Items are identified by id, if provided, or otherwise by text.
+         * 
+         * @param item the item
+         * @return the key
+         * @type String
+         */
+        _getItemKey: function(item) {
+            return item.id != null ? "id:" + item.id : "text:" + (item.text == null ? item.toString() : item.text);
+        }
     },
 
     $abstract: {
@@ -14459,6 +22396,12 @@ Echo.Sync.ListComponent = Core.extend(Echo.Render.ComponentSync, {
         listBox: null
     },
     
+    /**
+     * Copy of the array of items which are currently rendered.
+     * @type Array
+     */
+    _renderedItems: null,
+    
     /**
      * Flag indicating that one or more of the items in the list component has been rendered with a selected appearance.
      * @type Boolean
@@ -14509,6 +22452,27 @@ Echo.Sync.ListComponent = Core.extend(Echo.Render.ComponentSync, {
      */
     _focused: false,
     
+    /**
+     * Delegated event handlers.
+     * @see Echo.Render.ComponentSync#delegatedEvents
+     */
+    delegatedEvents: {
+        blur: "_processBlur",
+        click: "_processClick",
+        focus: "_processFocus",
+        selectstart: "_processSelectStart"
+    },
+    
+    /**
+     * Performs the component's action, restricting input until any asynchronous action listeners have completed.
+     */
+    _doAction: function() {
+        var result = this.component.doAction();
+        if (result) {
+            this.client.restrictInputUntilSettled(result);
+        }
+    },
+    
     /**
      * Determines current selection state.
      * By default, the value of the "selection" property of the component is returned.
@@ -14554,10 +22518,13 @@ Echo.Sync.ListComponent = Core.extend(Echo.Render.ComponentSync, {
     
     /**
      * Processes a click event.
-     * This event handler is registered only in the case of the "alternate" DHTML-based rendered
+     * This event handler is effective only in the case of the "alternate" DHTML-based rendered
      * listbox for IE6, i.e., the _alternateRender flag will be true. 
      */
     _processClick: function(e) {
+        if (!this._alternateRender || !this._enabled) {
+            return true;
+        }
         if (!this.client || !this.client.verifyInput(this.component)) {
             Core.Web.DOM.preventEventDefault(e);
             this._renderSelection();
@@ -14601,7 +22568,7 @@ Echo.Sync.ListComponent = Core.extend(Echo.Render.ComponentSync, {
         }
         
         this._setSelection(selection);
-        this.component.doAction();
+        this._doAction();
         this._renderSelection();
     },
     
@@ -14631,11 +22598,14 @@ Echo.Sync.ListComponent = Core.extend(Echo.Render.ComponentSync, {
         }
     
         this._setSelection(selection);
-        this.component.doAction();
+        this._doAction();
     },
     
     /** Processes a focus event */
     _processFocus: function(e) {
+        if (!this._enabled) {
+            return true;
+        }
         this._focused = true;
         if (!this.client || !this.client.verifyInput(this.component)) {
             return true;
@@ -14645,7 +22615,9 @@ Echo.Sync.ListComponent = Core.extend(Echo.Render.ComponentSync, {
     
     /** IE-specific event handler to prevent mouse-selection of text in DOM-rendered listbox component. */
     _processSelectStart: function(e) {
-        Core.Web.DOM.preventEventDefault(e);
+        if (this._alternateRender && this._enabled) {
+            Core.Web.DOM.preventEventDefault(e);
+        }
     },
 
     /** @see Echo.Render.ComponentSync#renderAdd */
@@ -14735,33 +22707,69 @@ Echo.Sync.ListComponent = Core.extend(Echo.Render.ComponentSync, {
         var items = this.component.get("items");
         if (items) {
             for (var i = 0; i < items.length; ++i) {
-                var optionElement = document.createElement("div");
-                if (items[i].text) {
-                    optionElement.appendChild(document.createTextNode(items[i].text));
-                } else {
-                    optionElement.appendChild(document.createTextNode(items[i].toString()));
-                }
-                if (items[i].foreground) {
-                    Echo.Sync.Color.render(items[i].foreground, optionElement, "color");
-                }
-                if (items[i].background) {
-                    Echo.Sync.Color.render(items[i].background, optionElement, "backgroundColor");
-                }
-                if (items[i].font) {
-                    Echo.Sync.Font.render(items[i].font, optionElement);
-                }
-                this._div.appendChild(optionElement);
+                this._div.appendChild(this._renderItem(items[i]));
             }
         }
+        this._renderedItems = items ? items.slice() : [];
         
-        if (this._enabled) {
-            Core.Web.Event.add(this._element, "blur", Core.method(this, this._processBlur), false);
-            Core.Web.Event.add(this._element, "focus", Core.method(this, this._processFocus), false);
-            Core.Web.Event.add(this._div, "click", Core.method(this, this._processClick), false);
-            Core.Web.Event.add(this._div, "selectstart", Core.method(this, this._processSelectStart), false);
+        parentElement.appendChild(this._element);
+    },
+    
+    /**
+     * Renders an item, as a DIV element if the alternate rendering is in use, or as an OPTION element otherwise.
+     * 
+     * @param item the item to render
+     * @return the rendered element
+     * @type Element
+     */
+    _renderItem: function(item) {
+        var optionElement;
+        if (this._alternateRender) {
+            optionElement = document.createElement("div");
+            optionElement.appendChild(document.createTextNode(item.text ? item.text : item.toString()));
+        } else {
+            optionElement = document.createElement("option");
+            optionElement.appendChild(document.createTextNode(item.text == null ? item.toString() : item.text));
+        }
+        if (item.foreground) {
+            Echo.Sync.Color.render(item.foreground, optionElement, "color");
+        }
+        if (item.background) {
+            Echo.Sync.Color.render(item.background, optionElement, "backgroundColor");
         }
+        if (item.font) {
+            Echo.Sync.Font.render(item.font, optionElement);
+        }
+        return optionElement;
+    },
+    
+    /**
+     * Updates the rendered items to reflect the current "items" property of the component, inserting, removing,
+     * moving, and replacing only the elements of changed items.
+     */
+    _renderItemsUpdate: function() {
+        var items = this.component.get("items") || [],
+            containerElement = this._alternateRender ? this._div : this._element,
+            instance = this;
         
-        parentElement.appendChild(this._element);
+        Core.Arrays.reconcile(this._renderedItems, items, Echo.Sync.ListComponent._getItemKey, {
+            "delete": function(item, index) {
+                containerElement.removeChild(containerElement.childNodes[index]);
+            },
+            insert: function(item, index) {
+                containerElement.insertBefore(instance._renderItem(item), containerElement.childNodes[index] || null);
+            },
+            move: function(item, from, to) {
+                var optionElement = containerElement.childNodes[from];
+                containerElement.removeChild(optionElement);
+                containerElement.insertBefore(optionElement, containerElement.childNodes[to] || null);
+            },
+            update: function(oldItem, newItem, index) {
+                containerElement.replaceChild(instance._renderItem(newItem), containerElement.childNodes[index]);
+            }
+        });
+        
+        this._renderedItems = items.slice();
     },
     
     /**
@@ -14816,29 +22824,14 @@ Echo.Sync.ListComponent = Core.extend(Echo.Render.ComponentSync, {
         var items = this.component.get("items");
         if (items) {
             for (var i = 0; i < items.length; ++i) {
-                var optionElement = document.createElement("option");
-                if (items[i].text == null) {
-                    optionElement.appendChild(document.createTextNode(items[i].toString()));
-                } else {
-                    optionElement.appendChild(document.createTextNode(items[i].text));
-                }
-                if (items[i].foreground) {
-                    Echo.Sync.Color.render(items[i].foreground, optionElement, "color");
-                }
-                if (items[i].background) {
-                    Echo.Sync.Color.render(items[i].background, optionElement, "backgroundColor");
-                }
-                if (items[i].font) {
-                    Echo.Sync.Font.render(items[i].font, optionElement);
-                }
-                this._element.appendChild(optionElement);
+                this._element.appendChild(this._renderItem(items[i]));
             }
         }
+        this._renderedItems = items ? items.slice() : [];
     
         if (this._enabled) {
+            // Change events are not delegated, as they do not bubble in all browsers.
             Core.Web.Event.add(this._element, "change", Core.method(this, this._processChange), false);
-            Core.Web.Event.add(this._element, "blur", Core.method(this, this._processBlur), false);
-            Core.Web.Event.add(this._element, "focus", Core.method(this, this._processFocus), false);
         }
 
         parentElement.appendChild(this._element);
@@ -14898,6 +22891,13 @@ Echo.Sync.ListComponent = Core.extend(Echo.Render.ComponentSync, {
         if (update.getUpdatedProperty("selectedId") && !update.getUpdatedProperty("selection")) {
             this._selectedIdPriority = true;
         }
+        
+        if (update.hasUpdatedProperties() && update.isUpdatedPropertySetIn(Echo.Sync.ListComponent._itemUpdatePropertySet)) {
+            // Only items and/or selection were updated: patch rendered items in place.
+            // (Selection state will be rendered by renderDisplay().)
+            this._renderItemsUpdate();
+            return false;
+        }
     
         var element = this._element;
         var containerElement = element.parentNode;
@@ -15524,13 +23524,14 @@ Echo.Sync.SplitPane = Core.extend(Echo.Render.ComponentSync, {
         this._overlay = null;
     },
     
-    /** Processes a mouse down event on a SplitPane separator that is about to be dragged. */
+    /** Processes a pointer down event on a SplitPane separator that is about to be dragged. */
     _processSeparatorMouseDown: function(e) {
-        if (!this.client || !this.client.verifyInput(this.component)) {
+        if (!this.client || !this.client.verifyInput(this.component) || e.isPrimary === false) {
             return true;
         }
     
         Core.Web.DOM.preventEventDefault(e);
+        Core.Web.Event.setPointerCapture(this._separatorDiv, e.pointerId);
         
         Core.Web.dragInProgress = true;
     
@@ -15541,12 +23542,13 @@ Echo.Sync.SplitPane = Core.extend(Echo.Render.ComponentSync, {
             this._dragInitMouseOffset = e.clientX;
         }
         
-        Core.Web.Event.add(document.body, "mousemove", this._processSeparatorMouseMoveRef, true);
-        Core.Web.Event.add(document.body, "mouseup", this._processSeparatorMouseUpRef, true);
+        Core.Web.Event.add(document.body, "pointermove", this._processSeparatorMouseMoveRef, true);
+        Core.Web.Event.add(document.body, "pointerup", this._processSeparatorMouseUpRef, true);
+        Core.Web.Event.add(document.body, "pointercancel", this._processSeparatorMouseUpRef, true);
         this._overlayAdd();
     },
     
-    /** Processes a mouse move event on a SplitPane separator that is being dragged. */
+    /** Processes a pointer move event on a SplitPane separator that is being dragged. */
     _processSeparatorMouseMove: function(e) {
         var mousePosition = this._orientationVertical ? e.clientY : e.clientX;
         this._rendered = this._getBoundedSeparatorPosition(this._orientationTopLeft ?
@@ -15555,7 +23557,7 @@ Echo.Sync.SplitPane = Core.extend(Echo.Render.ComponentSync, {
         this._redraw(this._rendered);
     },
     
-    /** Processes a mouse up event on a SplitPane separator that was being dragged. */
+    /** Processes a pointer up (or cancel) event on a SplitPane separator that was being dragged. */
     _processSeparatorMouseUp: function(e) {
         Core.Web.DOM.preventEventDefault(e);
         
@@ -15631,8 +23633,9 @@ Echo.Sync.SplitPane = Core.extend(Echo.Render.ComponentSync, {
      * Removes listeners from the separator used to monitor its state while it is being dragging.
      */
     _removeSeparatorListeners: function() {
-        Core.Web.Event.remove(document.body, "mousemove", this._processSeparatorMouseMoveRef, true);
-        Core.Web.Event.remove(document.body, "mouseup", this._processSeparatorMouseUpRef, true);
+        Core.Web.Event.remove(document.body, "pointermove", this._processSeparatorMouseMoveRef, true);
+        Core.Web.Event.remove(document.body, "pointerup", this._processSeparatorMouseUpRef, true);
+        Core.Web.Event.remove(document.body, "pointercancel", this._processSeparatorMouseUpRef, true);
     },
     
     /**
@@ -15690,7 +23693,8 @@ Echo.Sync.SplitPane = Core.extend(Echo.Render.ComponentSync, {
         parentElement.appendChild(this._splitPaneDiv);
         
         if (this._resizable) {
-            Core.Web.Event.add(this._separatorDiv, "mousedown", 
+            Core.Web.Event.setTouchAction(this._separatorDiv, "none");
+            Core.Web.Event.add(this._separatorDiv, "pointerdown", 
                     Core.method(this, this._processSeparatorMouseDown), false);
             Core.Web.Event.add(this._separatorDiv, "mouseover", 
                     Core.method(this, this._processSeparatorRolloverEnter), false);
@@ -16118,7 +24122,7 @@ Echo.Sync.TextComponent = Core.extend(Echo.Render.ComponentSync, {
     clientKeyDown: function(e) {
         this._storeValue(e);
         if (this.client && this.component.isActive()) {
-            if (!this.component.doKeyDown(e.keyCode)) {
+            if (!this.component.doKeyDown(e.keyCode, e.normalizedKey)) {
                 Core.Web.DOM.preventEventDefault(e.domEvent);
             }
         }
@@ -16129,7 +24133,7 @@ Echo.Sync.TextComponent = Core.extend(Echo.Render.ComponentSync, {
     clientKeyPress: function(e) {
         this._storeValue(e);
         if (this.client && this.component.isActive()) {
-            if (!this.component.doKeyPress(e.keyCode, e.charCode)) {
+            if (!this.component.doKeyPress(e.keyCode, e.charCode, e.normalizedKey)) {
                 Core.Web.DOM.preventEventDefault(e.domEvent);
             }
         }
@@ -16385,7 +24389,11 @@ Echo.Sync.TextComponent = Core.extend(Echo.Render.ComponentSync, {
         this._lastProcessedValue = this.input.value;
         
         if (keyEvent && keyEvent.keyCode == 13 && keyEvent.type == "keydown") {
-            this.component.doAction();
+            var result = this.component.doAction();
+            if (result) {
+                // Restrict input until any asynchronous action listeners have completed.
+                this.client.restrictInputUntilSettled(result);
+            }
         }
     }
 });
@@ -16552,6 +24560,7 @@ Echo.Sync.ToggleButton = Core.extend(Echo.Sync.Button, {
     /** Processes a change event from the state INPUT element (checkbox/radio form control itself). */
     _processStateChange: function(e) {
         this._updateStateElement();
+        return true;
     },
     
     /** @see Echo.Render.ComponentSync#renderAdd */
@@ -16744,10 +24753,10 @@ Echo.Sync.RadioButton = Core.extend(Echo.Sync.ToggleButton, {
     renderAdd: function(update, parentElement) {
         var groupId = this.component.render("group");
         if (groupId != null) {
-            var group = Echo.Sync.RadioButton._groups.map[groupId];
+            var group = Echo.Sync.RadioButton._groups.get(groupId);
             if (!group) {
                 group = new Echo.Sync.RadioButton.Group(groupId);
-                Echo.Sync.RadioButton._groups.map[groupId] = group;
+                Echo.Sync.RadioButton._groups.set(groupId, group);
             }
             group.add(this);
             this._group = group;
@@ -17160,10 +25169,10 @@ Echo.Sync.WindowPane = Core.extend(Echo.Render.ComponentSync, {
     },
     
     /**
-     * Processes a mouse-down event on the window border (resize drag).
+     * Processes a pointer-down event on the window border (resize drag).
      */
     _processBorderMouseDown: function(e) {
-        if (!this.client || !this.client.verifyInput(this.component)) {
+        if (!this.client || !this.client.verifyInput(this.component) || e.isPrimary === false) {
             return true;
         }
 
@@ -17192,13 +25201,15 @@ Echo.Sync.WindowPane = Core.extend(Echo.Render.ComponentSync, {
         case this._borderDivs[6]: this._resizeIncrement = { x: -1, y:  0 }; break; 
         case this._borderDivs[7]: this._resizeIncrement = { x: -1, y: -1 }; break;
         }
+        Core.Web.Event.setPointerCapture(e.target, e.pointerId);
             
-        Core.Web.Event.add(document.body, "mousemove", this._processBorderMouseMoveRef, true);
-        Core.Web.Event.add(document.body, "mouseup", this._processBorderMouseUpRef, true);
+        Core.Web.Event.add(document.body, "pointermove", this._processBorderMouseMoveRef, true);
+        Core.Web.Event.add(document.body, "pointerup", this._processBorderMouseUpRef, true);
+        Core.Web.Event.add(document.body, "pointercancel", this._processBorderMouseUpRef, true);
     },
     
     /**
-     * Processes a mouse-move event on the window border (resize drag).
+     * Processes a pointer-move event on the window border (resize drag).
      */
     _processBorderMouseMove: function(e) {
         this._setBounds({
@@ -17211,7 +25222,7 @@ Echo.Sync.WindowPane = Core.extend(Echo.Render.ComponentSync, {
     },
 
     /**
-     * Processes a mouse-up event on the window border (resize drag).
+     * Processes a pointer-up (or cancel) event on the window border (resize drag).
      */
     _processBorderMouseUp: function(e) {
         Core.Web.DOM.preventEventDefault(e);
@@ -17320,14 +25331,14 @@ Echo.Sync.WindowPane = Core.extend(Echo.Render.ComponentSync, {
     },
     
     /**
-     * Processes a mouse down event on the window title bar (move drag).
+     * Processes a pointer down event on the window title bar (move drag).
      */
     _processTitleBarMouseDown: function(e) {
-        if (!this.client || !this.client.verifyInput(this.component)) {
+        if (!this.client || !this.client.verifyInput(this.component) || e.isPrimary === false) {
             return true;
         }
         
-        // Ignore mouse down clicks on control icons.
+        // Ignore pointer down events on control icons.
         var target = e.target;
         while (target != e.registeredTarget) {
             if (target._controlData) {
@@ -17347,13 +25358,15 @@ Echo.Sync.WindowPane = Core.extend(Echo.Render.ComponentSync, {
         this._loadContainerSize();
         this._dragInit = { x: this._rendered.x, y: this._rendered.y };
         this._dragOrigin = { x: e.clientX, y: e.clientY };
+        Core.Web.Event.setPointerCapture(this._titleBarDiv, e.pointerId);
     
-        Core.Web.Event.add(document.body, "mousemove", this._processTitleBarMouseMoveRef, true);
-        Core.Web.Event.add(document.body, "mouseup", this._processTitleBarMouseUpRef, true);
+        Core.Web.Event.add(document.body, "pointermove", this._processTitleBarMouseMoveRef, true);
+        Core.Web.Event.add(document.body, "pointerup", this._processTitleBarMouseUpRef, true);
+        Core.Web.Event.add(document.body, "pointercancel", this._processTitleBarMouseUpRef, true);
     },
     
     /**
-     * Processes a mouse move event on the window title bar (move drag).
+     * Processes a pointer move event on the window title bar (move drag).
      */
     _processTitleBarMouseMove: function(e) {
         this._setBounds({
@@ -17363,7 +25376,7 @@ Echo.Sync.WindowPane = Core.extend(Echo.Render.ComponentSync, {
     },
     
     /**
-     * Processes a mouse up event on the window title bar (move drag).
+     * Processes a pointer up (or cancel) event on the window title bar (move drag).
      */
     _processTitleBarMouseUp: function(e) {
         Core.Web.dragInProgress = false;
@@ -17407,16 +25420,18 @@ Echo.Sync.WindowPane = Core.extend(Echo.Render.ComponentSync, {
      * Removes mouseup/mousemove listeners from border.  Invoked after resize drag has completed/on dispose.
      */
     _removeBorderListeners: function() {
-        Core.Web.Event.remove(document.body, "mousemove", this._processBorderMouseMoveRef, true);
-        Core.Web.Event.remove(document.body, "mouseup", this._processBorderMouseUpRef, true);
+        Core.Web.Event.remove(document.body, "pointermove", this._processBorderMouseMoveRef, true);
+        Core.Web.Event.remove(document.body, "pointerup", this._processBorderMouseUpRef, true);
+        Core.Web.Event.remove(document.body, "pointercancel", this._processBorderMouseUpRef, true);
     },
     
     /**
      * Removes mouseup/mousemove listeners from title bar.  Invoked after move drag has completed/on dispose.
      */
     _removeTitleBarListeners: function() {
-        Core.Web.Event.remove(document.body, "mousemove", this._processTitleBarMouseMoveRef, true);
-        Core.Web.Event.remove(document.body, "mouseup", this._processTitleBarMouseUpRef, true);
+        Core.Web.Event.remove(document.body, "pointermove", this._processTitleBarMouseMoveRef, true);
+        Core.Web.Event.remove(document.body, "pointerup", this._processTitleBarMouseUpRef, true);
+        Core.Web.Event.remove(document.body, "pointercancel", this._processTitleBarMouseUpRef, true);
     },
     
     /** @see Echo.Render.ComponentSync#renderAdd */
@@ -17504,7 +25519,8 @@ Echo.Sync.WindowPane = Core.extend(Echo.Render.ComponentSync, {
                 if (this._resizable) {
                     this._borderDivs[i].style.zIndex = 2;
                     this._borderDivs[i].style.cursor = Echo.Sync.WindowPane.CURSORS[i];
-                    Core.Web.Event.add(this._borderDivs[i], "mousedown", mouseDownHandler, true);
+                    Core.Web.Event.setTouchAction(this._borderDivs[i], "none");
+                    Core.Web.Event.add(this._borderDivs[i], "pointerdown", mouseDownHandler, true);
                 }
             }
         }
@@ -17570,7 +25586,8 @@ Echo.Sync.WindowPane = Core.extend(Echo.Render.ComponentSync, {
         this._titleBarDiv.style.overflow = "hidden";
         if (movable) {
             this._titleBarDiv.style.cursor = "move";
-            Core.Web.Event.add(this._titleBarDiv, "mousedown", Core.method(this, this._processTitleBarMouseDown), true);
+            Core.Web.Event.setTouchAction(this._titleBarDiv, "none");
+            Core.Web.Event.add(this._titleBarDiv, "pointerdown", Core.method(this, this._processTitleBarMouseDown), true);
         }
     
         Echo.Sync.Color.render(this.component.render("titleForeground"), this._titleBarDiv, "color");
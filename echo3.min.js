@@ -4,4 +4,4 @@
  * License: MPL, GPL
  * http://echo.nextapp.com/site/echo3/
  */
-Core={_copyFunction:function(a){return function(){a.apply(this,arguments)}},_createFunction:function(){return function(){}},extend:function(){var h=arguments.length==1?null:arguments[0];var g=arguments.length==1?arguments[0]:arguments[1];var b,e;if(arguments.length==2){if(typeof(h)!="function"){throw new Error("Base class is not a function, cannot derive.")}}if(!g){throw new Error("Object definition not provided.")}var a;if(g.$construct){a=g.$construct;delete g.$construct}else{if(h){a=Core._copyFunction(h)}else{a=Core._createFunction()}}a.$virtual={};a.$super=h;if(h){var f=Core._createFunction();f.prototype=h.prototype;a.prototype=new f()}a.prototype.constructor=a;if(g.$abstract){a.$abstract={};if(h&&h.$abstract){for(b in h.$abstract){a.$abstract[b]=h.$abstract[b]}}if(g.$abstract instanceof Object){for(b in g.$abstract){a.$abstract[b]=true;a.$virtual[b]=true}}delete g.$abstract}if(h){for(e in h.$virtual){a.$virtual[e]=h.$virtual[e]}}if(g.$virtual){Core._inherit(a.prototype,g.$virtual,a.$virtual);for(e in g.$virtual){a.$virtual[e]=true}delete g.$virtual}if(g.hasOwnProperty("toString")){a.prototype.toString=g.toString}if(g.hasOwnProperty("valueOf")){a.prototype.valueOf=g.valueOf}delete g.toString;delete g.valueOf;if(g.$include){var c=g.$include.reverse();Core._processMixins(a,c);delete g.$include}var d=null;if(g.$load){d=g.$load;delete g.$load}if(g.$static){Core._inherit(a,g.$static);delete g.$static}Core._inherit(a.prototype,g,a.$virtual);if(!a.$abstract){this._verifyAbstractImpl(a)}if(d){d.call(a)}return a},get:function(a,c){for(var b=0;b<c.length;++b){a=a[c[b]];if(!a){return null}}return a},_isVirtual:function(b,a){switch(a){case"toString":case"valueOf":return true}return b[a]},_inherit:function(a,d,c){for(var b in d){if(c&&a[b]!==undefined&&!this._isVirtual(c,b)){throw new Error('Cannot override non-virtual property "'+b+'".')}else{a[b]=d[b]}}},method:function(a,b){return function(){return b.apply(a,arguments)}},_processMixins:function(b,c){for(var d=0;d<c.length;++d){for(var a in c[d]){if(b.prototype[a]){continue}b.prototype[a]=c[d][a]}}},set:function(a,e,d){var c=null;for(var b=0;b<e.length-1;++b){c=a;a=a[e[b]];if(!a){a={};c[e[b]]=a}}a[e[e.length-1]]=d},_verifyAbstractImpl:function(b){var c=b.$super;if(!c||!c.$abstract||c.$abstract===true){return}for(var a in c.$abstract){if(b.prototype[a]==null){throw new Error('Concrete class does not provide implementation of abstract method "'+a+'".')}}}};Core.Debug={consoleElement:null,useAlertDialog:false,consoleWrite:function(b){if(Core.Debug.consoleElement){var a=document.createElement("div");a.appendChild(document.createTextNode(b));if(Core.Debug.consoleElement.childNodes.length===0){Core.Debug.consoleElement.appendChild(a)}else{Core.Debug.consoleElement.insertBefore(a,Core.Debug.consoleElement.firstChild)}}else{if(Core.Debug.useAlertDialog){alert("DEBUG:"+b)}}},toString:function(b){var c="";for(var a in b){if(typeof b[a]!="function"){c+=a+":"+b[a]+"\n"}}return c}};Core.Arrays={containsAll:function(f,d,g){if(g&&f.length<d.length){return false}if(d.length===0){return true}var e,c;for(var b=0;b<d.length;++b){e=false;c=d[b];for(var a=0;a<f.length;++a){if(c==f[a]){e=true;break}}if(!e){return false}}return true},indexOf:function(c,b){for(var a=0;a<c.length;++a){if(b==c[a]){return a}}return -1},remove:function(c,b){for(var a=0;a<c.length;++a){if(b==c[a]){c.splice(a,1);return}}},removeDuplicates:function(c){c.sort();var b=0;for(var a=c.length-1;a>0;--a){if(c[a]==c[a-1]){c[a]=c[c.length-1-b];++b}}if(b>0){c.length=c.length-b}}};Core.Arrays.LargeMap=Core.extend({$static:{garbageCollectEnabled:false},_removeCount:0,garbageCollectionInterval:250,map:null,$construct:function(){this.map={}},_garbageCollect:function(){this._removeCount=0;var a={};for(var b in this.map){a[b]=this.map[b]}this.map=a},remove:function(a){delete this.map[a];if(Core.Arrays.LargeMap.garbageCollectEnabled){++this._removeCount;if(this._removeCount>=this.garbageCollectionInterval){this._garbageCollect()}}},toString:function(){return Core.Debug.toString(this.map)}});Core.ListenerList=Core.extend({_data:null,$construct:function(){this._data=[]},addListener:function(a,b){this._data.push(a,b)},fireEvent:function(d){if(d.type==null){throw new Error("Cannot fire event, type property not set.")}var a,c=true,b=[];for(a=0;a<this._data.length;a+=2){if(this._data[a]==d.type){b.push(this._data[a+1])}}for(a=0;a<b.length;++a){c=b[a](d)&&c}return c},getListenerTypes:function(){var b=[];for(var a=0;a<this._data.length;a+=2){b.push(this._data[a])}Core.Arrays.removeDuplicates(b);return b},getListeners:function(b){var c=[];for(var a=0;a<this._data.length;a+=2){if(this._data[a]==b){c.push(this._data[a+1])}}return c},getListenerCount:function(b){var c=0;for(var a=0;a<this._data.length;a+=2){if(this._data[a]==b){++c}}return c},hasListeners:function(b){for(var a=0;a<this._data.length;a+=2){if(this._data[a]==b){return true}}return false},isEmpty:function(){return this._data.length===0},removeListener:function(b,d){for(var a=0;a<this._data.length;a+=2){if(this._data[a]==b&&d==this._data[a+1]){var c=this._data.length;this._data.splice(a,2);return}}},toString:function(){var a="";for(var b=0;b<this._data.length;b+=2){if(b>0){a+=", "}a+=this._data[b]+":"+this._data[b+1]}return a}});Core.ResourceBundle=Core.extend({$static:{getParentLanguageCode:function(a){if(a.indexOf("-")==-1){return null}else{return a.substring(0,a.indexOf("-"))}}},_sourceMaps:null,_generatedMaps:null,_defaultMap:null,$construct:function(a){this._sourceMaps={};this._generatedMaps={};this._defaultMap=a},get:function(d){var c=d?this._generatedMaps[d]:this._defaultMap;if(c){return c}c={};var a;var e=this._sourceMaps[d];if(e){for(a in e){c[a]=e[a]}}var b=Core.ResourceBundle.getParentLanguageCode(d);if(b){e=this._sourceMaps[b];if(e){for(a in e){if(c[a]===undefined){c[a]=e[a]}}}}for(a in this._defaultMap){if(c[a]===undefined){c[a]=this._defaultMap[a]}}this._generatedMaps[d]=c;return c},set:function(b,a){this._generatedMaps={};this._sourceMaps[b]=a},toString:function(){var b="ResourceBundle: ";for(var a in this._sourceMaps){b+=" "+a}return b}});Core.Web={dragInProgress:false,init:function(){if(Core.Web.initialized){return}Core.Web.Env._init();Core.Web.Measure._calculateExtentSizes();Core.Web.Measure.Bounds._initMeasureContainer();if(Core.Web.Env.QUIRK_CSS_POSITIONING_ONE_SIDE_ONLY){Core.Web.VirtualPosition._init()}if(Core.Web.Env.ENGINE_MSHTML){Core.Web.DOM.addEventListener(document,"selectstart",Core.Web._selectStartListener,false);Core.Web.DOM.addEventListener(document,"dragstart",Core.Web._selectStartListener,false)}Core.Web.initialized=true},_selectStartListener:function(a){a=a?a:window.event;if(Core.Web.dragInProgress){Core.Web.DOM.preventEventDefault(a)}}};Core.Web.DOM={_focusPendingElement:null,_focusRunnable:null,addEventListener:function(d,c,b,a){if(d.addEventListener){d.addEventListener(c,b,a)}else{if(d.attachEvent){d.attachEvent("on"+c,b)}}},createDocument:function(a,f){if(document.implementation&&document.implementation.createDocument){var g;if(Core.Web.Env.BROWSER_FIREFOX&&Core.Web.Env.BROWSER_VERSION_MAJOR==3&&Core.Web.Env.BROWSER_VERSION_MINOR===0){g=new DOMParser().parseFromString("<?xml version='1.0' encoding='UTF-8'?><"+f+"/>","application/xml")}else{g=document.implementation.createDocument(a,f,null);try{g.charset="utf-8"}catch(d){}}if(!g.documentElement){g.appendChild(g.createElement(f))}return g}else{if(window.ActiveXObject){var b=new ActiveXObject("Microsoft.XMLDOM");var c=b.createElement(f);b.appendChild(c);return b}else{throw new Error("XML DOM creation not supported by browser environment.")}}},focusElement:function(a){if(!this._focusRunnable){this._focusRunnable=new (Core.extend(Core.Web.Scheduler.Runnable,{repeat:true,attempt:0,timeInterval:25,run:function(){a=Core.Web.DOM._focusPendingElement;Core.Debug.consoleWrite("Focus:"+a+"/"+a.id+"/"+Core.Web.DOM.isDisplayed(a));var b=false;if(Core.Web.DOM.isDisplayed(a)){b=true;try{a.focus()}catch(c){}}b|=this.attempt>25;++this.attempt;if(b){Core.Web.DOM._focusPendingElement=null;Core.Web.Scheduler.remove(this)}}}))()}if(!(a&&a.focus&&Core.Web.DOM.isAncestorOf(document.body,a))){Core.Web.DOM._focusPendingElement=null;Core.Web.Scheduler.remove(this._focusRunnable);return}this._focusPendingElement=a;this._focusRunnable.attempt=0;Core.Web.Scheduler.add(this._focusRunnable)},getChildElementByTagName:function(a,c){var b=a.firstChild;while(b){if(b.nodeType==1&&b.nodeName==c){return b}b=b.nextSibling}return null},getChildElementsByTagName:function(a,c){var d=[];var b=a.firstChild;while(b){if(b.nodeType==1&&b.nodeName==c){d.push(b)}b=b.nextSibling}return d},getEventOffset:function(b){if(typeof b.offsetX=="number"){return{x:b.offsetX,y:b.offsetY}}else{var a=new Core.Web.Measure.Bounds(this.getEventTarget(b));return{x:b.clientX-a.left,y:b.clientY-a.top}}},getEventTarget:function(a){return a.target?a.target:a.srcElement},getEventRelatedTarget:function(a){return a.relatedTarget?a.relatedTarget:a.toElement},isAncestorOf:function(a,c){var b=c;while(b!=null){if(b==a){return true}b=b.parentNode}return false},isDisplayed:function(a){while(a!=null){if(a.nodeType==1){if(a.style){if(a.style.visibility=="hidden"){return false}if(a.style.display=="none"){return false}}}if(a==document.body){return true}a=a.parentNode}return false},preventEventDefault:function(a){if(a.preventDefault){a.preventDefault()}else{a.returnValue=false}},removeAllChildren:function(a){while(a.firstChild){a.removeChild(a.firstChild)}},removeEventListener:function(d,c,b,a){if(d.removeEventListener){d.removeEventListener(c,b,a)}else{if(d.detachEvent){d.detachEvent("on"+c,b)}}},removeNode:function(b){var a=b.parentNode;if(!a){return}if(Core.Web.Env.QUIRK_PERFORMANCE_LARGE_DOM_REMOVE){this._removeNodeRecursive(b)}else{a.removeChild(b)}},_removeNodeRecursive:function(c){var b=c.firstChild;while(b){var a=b.nextSibling;this._removeNodeRecursive(b);b=a}c.parentNode.removeChild(c)},stopEventPropagation:function(a){if(a.stopPropagation){a.stopPropagation()}else{a.cancelBubble=true}}};Core.Web.Env={ENGINE_PRESTO:null,ENGINE_WEBKIT:null,ENGINE_KHTML:null,ENGINE_MSHTML:null,ENGINE_GECKO:null,BROWSER_MOZILLA:null,BROWSER_OPERA:null,BROWSER_KONQUEROR:null,BROWSER_FIREFOX:null,BROWSER_INTERNET_EXPLORER:null,BROWSER_CHROME:null,BROWSER_VERSION_MAJOR:null,BROWSER_VERSION_MINOR:null,ENGINE_VERSION_MAJOR:null,ENGINE_VERSION_MINOR:null,DECEPTIVE_USER_AGENT:null,CSS_FLOAT:"cssFloat",MEASURE_OFFSET_EXCLUDES_BORDER:null,NOT_SUPPORTED_CSS_OPACITY:null,NOT_SUPPORTED_RELATIVE_COLUMN_WIDTHS:null,NOT_SUPPORTED_INPUT_SELECTION:null,NOT_SUPPORTED_RANGE:null,PROPRIETARY_EVENT_MOUSE_ENTER_LEAVE_SUPPORTED:null,PROPRIETARY_EVENT_SELECT_START_SUPPORTED:null,PROPRIETARY_IE_OPACITY_FILTER_REQUIRED:null,PROPRIETARY_IE_PNG_ALPHA_FILTER_REQUIRED:null,PROPRIETARY_IE_RANGE:null,QUIRK_KEY_CODE_IS_CHAR_CODE:null,QUIRK_KEY_PRESS_FIRED_FOR_SPECIAL_KEYS:null,QUIRK_KEY_DOWN_NOT_FIRED_FOR_SPECIAL_KEYS:null,QUIRK_CSS_BORDER_COLLAPSE_INSIDE:null,QUIRK_CSS_POSITIONING_ONE_SIDE_ONLY:null,QUIRK_DELAYED_FOCUS_REQUIRED:null,QUIRK_IE_BLANK_SCREEN:null,QUIRK_IE_HAS_LAYOUT:null,QUIRK_IE_SELECT_LIST_DOM_UPDATE:null,QUIRK_IE_SELECT_PERCENT_WIDTH:null,QUIRK_IE_SELECT_Z_INDEX:null,QUIRK_IE_SECURE_ITEMS:null,QUIRK_IE_TABLE_PERCENT_WIDTH_SCROLLBAR_ERROR:null,QUIRK_MEASURE_OFFSET_HIDDEN_BORDER:null,QUIRK_OPERA_CSS_POSITIONING:null,QUIRK_PERFORMANCE_LARGE_DOM_REMOVE:null,QUIRK_WEBKIT_DOM_TEXT_ESCAPE:null,QUIRK_TABLE_CELL_WIDTH_EXCLUDES_PADDING:null,QUIRK_UNLOADED_IMAGE_HAS_SIZE:null,QUIRK_SERIALIZE_XML_BEFORE_XML_HTTP_REQ:null,_ua:null,_uaAlpha:null,_init:function(){var b=null,c=null,a=false;this._ua=navigator.userAgent.toLowerCase();this._uaAlpha="/"+this._ua.replace(/[^a-z]+/g,"/")+"/";if(this._testUAString("opera")){this.BROWSER_OPERA=a=this.ENGINE_PRESTO=true;b=this._parseVersionInfo("opera/")}else{if(this._testUAString("chrome")){this.BROWSER_CHROME=a=this.ENGINE_WEBKIT=true;b=this._parseVersionInfo("chrome/")}else{if(this._testUAString("safari")){this.BROWSER_SAFARI=a=this.ENGINE_WEBKIT=true;b=this._parseVersionInfo("version/")}else{if(this._testUAString("konqueror")){this.BROWSER_KONQUEROR=a=this.ENGINE_KHTML=true;b=this._parseVersionInfo("konqueror/")}else{if(this._testUAString("firefox")){this.BROWSER_FIREFOX=this.BROWSER_MOZILLA=a=this.ENGINE_GECKO=true;b=this._parseVersionInfo("firefox/")}else{if(this._testUAString("msie")){this.BROWSER_INTERNET_EXPLORER=a=this.ENGINE_MSHTML=true;c=b=this._parseVersionInfo("msie ")}}}}}}if(!a){if(this._testUAString("presto")){this.ENGINE_PRESTO=true}else{if(this._testUAString("webkit")){this.ENGINE_WEBKIT=true}else{if(this._testUAString("khtml")){this.ENGINE_KHTML=true}else{if(this._testUAString("trident")){this.ENGINE_MSHTML=true}else{if(this._testUAString("gecko")){this.BROWSER_MOZILLA=this.ENGINE_GECKO=true}}}}}}if(!c){if(this.ENGINE_PRESTO){c=this._parseVersionInfo("presto/")}else{if(this.ENGINE_WEBKIT){c=this._parseVersionInfo("webkit/")}else{if(this.ENGINE_GECKO){c=this._parseVersionInfo("rv:");if(!b){b=c}}}}}if(b){this.BROWSER_VERSION_MAJOR=b.major;this.BROWSER_VERSION_MINOR=b.minor}if(c){this.ENGINE_VERSION_MAJOR=c.major;this.ENGINE_VERSION_MINOR=c.minor}this.DECEPTIVE_USER_AGENT=this.BROWSER_OPERA||this.BROWSER_SAFARI||this.BROWSER_CHROME||this.BROWSER_KONQUEROR;this.MEASURE_OFFSET_EXCLUDES_BORDER=false;if(this.BROWSER_INTERNET_EXPLORER){this.CSS_FLOAT="styleFloat";this.QUIRK_KEY_CODE_IS_CHAR_CODE=true;this.QUIRK_IE_SECURE_ITEMS=true;this.NOT_SUPPORTED_RANGE=true;this.NOT_SUPPORTED_INPUT_SELECTION=true;this.PROPRIETARY_IE_RANGE=true;this.PROPRIETARY_EVENT_MOUSE_ENTER_LEAVE_SUPPORTED=true;this.PROPRIETARY_EVENT_SELECT_START_SUPPORTED=true;this.QUIRK_DELAYED_FOCUS_REQUIRED=true;this.QUIRK_UNLOADED_IMAGE_HAS_SIZE=true;this.MEASURE_OFFSET_EXCLUDES_BORDER=true;this.QUIRK_IE_HAS_LAYOUT=true;this.NOT_SUPPORTED_CSS_OPACITY=true;this.PROPRIETARY_IE_OPACITY_FILTER_REQUIRED=true;if(this.BROWSER_VERSION_MAJOR<9){this.QUIRK_IE_BLANK_SCREEN=true}if(this.BROWSER_VERSION_MAJOR<8){this.QUIRK_TABLE_CELL_WIDTH_EXCLUDES_PADDING=true;this.NOT_SUPPORTED_RELATIVE_COLUMN_WIDTHS=true;this.QUIRK_CSS_BORDER_COLLAPSE_INSIDE=true;this.QUIRK_IE_TABLE_PERCENT_WIDTH_SCROLLBAR_ERROR=true;this.QUIRK_IE_SELECT_PERCENT_WIDTH=true;if(this.BROWSER_VERSION_MAJOR<7){this.QUIRK_IE_SELECT_LIST_DOM_UPDATE=true;this.QUIRK_CSS_POSITIONING_ONE_SIDE_ONLY=true;this.PROPRIETARY_IE_PNG_ALPHA_FILTER_REQUIRED=true;this.QUIRK_IE_SELECT_Z_INDEX=true;Core.Arrays.LargeMap.garbageCollectEnabled=true}}if(this.BROWSER_VERSION_MAJOR==9){this.QUIRK_SERIALIZE_XML_BEFORE_XML_HTTP_REQ=true}}else{if(this.ENGINE_GECKO){this.QUIRK_KEY_PRESS_FIRED_FOR_SPECIAL_KEYS=true;this.MEASURE_OFFSET_EXCLUDES_BORDER=true;this.QUIRK_MEASURE_OFFSET_HIDDEN_BORDER=true;if(this.BROWSER_FIREFOX){if(this.BROWSER_VERSION_MAJOR<2){this.QUIRK_DELAYED_FOCUS_REQUIRED=true}}else{this.QUIRK_PERFORMANCE_LARGE_DOM_REMOVE=true;this.QUIRK_DELAYED_FOCUS_REQUIRED=true}}else{if(this.ENGINE_PRESTO){this.QUIRK_KEY_CODE_IS_CHAR_CODE=true;this.QUIRK_TABLE_CELL_WIDTH_EXCLUDES_PADDING=true;if(this.BROWSER_VERSION_MAJOR==9&&this.BROWSER_VERSION_MINOR>=50){this.QUIRK_OPERA_CSS_POSITIONING=true}this.NOT_SUPPORTED_RELATIVE_COLUMN_WIDTHS=true}else{if(this.ENGINE_WEBKIT){this.MEASURE_OFFSET_EXCLUDES_BORDER=true;if(this.ENGINE_VERSION_MAJOR<526||(this.ENGINE_VERSION_MAJOR==526&&this.ENGINE_VERSION_MINOR<8)){this.QUIRK_WEBKIT_DOM_TEXT_ESCAPE=true}}}}}},_parseVersionInfo:function(e){var d={};var b=this._ua.indexOf(e);if(b==-1){return}var a=this._ua.indexOf(".",b);var h=this._ua.length;if(a==-1){a=this._ua.length}else{for(var f=a+1;f<this._ua.length;f++){var g=this._ua.charAt(f);if(isNaN(g)){h=f;break}}}d.major=parseInt(this._ua.substring(b+e.length,a),10);if(a==this._ua.length){d.minor=0}else{d.minor=parseInt(this._ua.substring(a+1,h),10)}return d},_testUAString:function(a){return this._uaAlpha.indexOf("/"+a+"/")!=-1}};Core.Web.Event={Selection:{disable:function(a){Core.Web.Event.add(a,"mousedown",Core.Web.Event.Selection._disposeEvent,false);if(Core.Web.Env.PROPRIETARY_EVENT_SELECT_START_SUPPORTED){Core.Web.Event.add(a,"selectstart",Core.Web.Event.Selection._disposeEvent,false)}},_disposeEvent:function(a){Core.Web.DOM.preventEventDefault(a)},enable:function(a){Core.Web.Event.remove(a,"mousedown",Core.Web.Event.Selection._disposeEvent,false);if(Core.Web.Env.PROPRIETARY_EVENT_SELECT_START_SUPPORTED){Core.Web.Event.remove(a,"selectstart",Core.Web.Event.Selection._disposeEvent,false)}}},_nextId:0,_listenerCount:0,debugListenerCount:false,_capturingListenerMap:new Core.Arrays.LargeMap(),_bubblingListenerMap:new Core.Arrays.LargeMap(),add:function(c,b,d,a){if(!c.__eventProcessorId){c.__eventProcessorId=++Core.Web.Event._nextId}var f;if(c.__eventProcessorId==Core.Web.Event._lastId&&a==Core.Web.Event._lastCapture){f=Core.Web.Event._lastListenerList}else{var e=a?Core.Web.Event._capturingListenerMap:Core.Web.Event._bubblingListenerMap;f=e.map[c.__eventProcessorId];if(!f){f=new Core.ListenerList();e.map[c.__eventProcessorId]=f}Core.Web.Event._lastId=c.__eventProcessorId;Core.Web.Event._lastCapture=a;Core.Web.Event._lastListenerList=f}if(!f.hasListeners(b)){Core.Web.DOM.addEventListener(c,b,Core.Web.Event._processEvent,false);++Core.Web.Event._listenerCount}f.addListener(b,d)},_processEvent:function(d){if(Core.Web.Event.debugListenerCount){Core.Debug.consoleWrite("Core.Web.Event listener count: "+Core.Web.Event._listenerCount)}d=d?d:window.event;if(!d.target&&d.srcElement){d.target=d.srcElement}var f=[];var b=d.target;while(b){if(b.__eventProcessorId){f.push(b)}b=b.parentNode}var g,c,a=true;for(c=f.length-1;c>=0;--c){g=Core.Web.Event._capturingListenerMap.map[f[c].__eventProcessorId];if(g){d.registeredTarget=f[c];if(!g.fireEvent(d)){a=false;break}}}if(a){for(c=0;c<f.length;++c){g=Core.Web.Event._bubblingListenerMap.map[f[c].__eventProcessorId];if(g){d.registeredTarget=f[c];if(!g.fireEvent(d)){break}}}}Core.Web.DOM.stopEventPropagation(d)},remove:function(c,b,d,a){Core.Web.Event._lastId=null;if(!c.__eventProcessorId){return}var e=a?Core.Web.Event._capturingListenerMap:Core.Web.Event._bubblingListenerMap;var f=e.map[c.__eventProcessorId];if(f){f.removeListener(b,d);if(f.isEmpty()){e.remove(c.__eventProcessorId)}if(!f.hasListeners(b)){Core.Web.DOM.removeEventListener(c,b,Core.Web.Event._processEvent,false);--Core.Web.Event._listenerCount}}},removeAll:function(a){Core.Web.Event._lastId=null;if(!a.__eventProcessorId){return}Core.Web.Event._removeAllImpl(a,Core.Web.Event._capturingListenerMap);Core.Web.Event._removeAllImpl(a,Core.Web.Event._bubblingListenerMap)},_removeAllImpl:function(c,d){var e=d.map[c.__eventProcessorId];if(!e){return}var b=e.getListenerTypes();for(var a=0;a<b.length;++a){Core.Web.DOM.removeEventListener(c,b[a],Core.Web.Event._processEvent,false);--Core.Web.Event._listenerCount}d.remove(c.__eventProcessorId)},toString:function(){return"Capturing: "+Core.Web.Event._capturingListenerMap+"\nBubbling: "+Core.Web.Event._bubblingListenerMap}};Core.Web.HttpConnection=Core.extend({_url:null,_contentType:null,_method:null,_messageObject:null,_listenerList:null,_disposed:false,_xmlHttpRequest:null,_requestHeaders:null,$construct:function(a,d,b,c){this._url=a;this._contentType=c;this._method=d;if(Core.Web.Env.QUIRK_WEBKIT_DOM_TEXT_ESCAPE&&b instanceof Document){this._preprocessWebkitDOM(b.documentElement)}this._messageObject=b;this._listenerList=new Core.ListenerList()},_preprocessWebkitDOM:function(a){if(a.nodeType==3){var b=a.data;b=b.replace(/&/g,"&amp;");b=b.replace(/</g,"&lt;");b=b.replace(/>/g,"&gt;");a.data=b}else{var c=a.firstChild;while(c){this._preprocessWebkitDOM(c);c=c.nextSibling}}},addResponseListener:function(a){this._listenerList.addListener("response",a)},connect:function(){var b=false;if(window.XMLHttpRequest){this._xmlHttpRequest=new XMLHttpRequest()}else{if(window.ActiveXObject){b=true;this._xmlHttpRequest=new ActiveXObject("Microsoft.XMLHTTP")}else{throw"Connect failed: Cannot create XMLHttpRequest."}}var a=this;this._xmlHttpRequest.onreadystatechange=function(){if(!a){return}try{a._processReadyStateChange()}finally{if(a._disposed){a=null}}};this._xmlHttpRequest.open(this._method,this._url,true);if(this._requestHeaders&&(b||this._xmlHttpRequest.setRequestHeader)){for(var c in this._requestHeaders){try{this._xmlHttpRequest.setRequestHeader(c,this._requestHeaders[c])}catch(d){throw new Error('Failed to set header "'+c+'"')}}}if(this._contentType&&(b||this._xmlHttpRequest.setRequestHeader)){this._xmlHttpRequest.setRequestHeader("Content-Type",this._contentType)}if(Core.Web.Env.QUIRK_SERIALIZE_XML_BEFORE_XML_HTTP_REQ){this._xmlHttpRequest.send(this._messageObject?new XMLSerializer().serializeToString(this._messageObject):null)}else{this._xmlHttpRequest.send(this._messageObject?this._messageObject:null)}},dispose:function(){this._listenerList=null;this._messageObject=null;this._xmlHttpRequest=null;this._disposed=true;this._requestHeaders=null},getResponseHeader:function(a){return this._xmlHttpRequest?this._xmlHttpRequest.getResponseHeader(a):null},getAllResponseHeaders:function(){return this._xmlHttpRequest?this._xmlHttpRequest.getAllResponseHeaders():null},getStatus:function(){return this._xmlHttpRequest?this._xmlHttpRequest.status:null},getResponseText:function(){return this._xmlHttpRequest?this._xmlHttpRequest.responseText:null},getResponseXml:function(){return this._xmlHttpRequest?this._xmlHttpRequest.responseXML:null},_processReadyStateChange:function(){if(this._disposed){return}if(this._xmlHttpRequest.readyState==4){var c;try{var b=!this._xmlHttpRequest.status||(this._xmlHttpRequest.status>=200&&this._xmlHttpRequest.status<=299);c={type:"response",source:this,valid:b}}catch(a){c={type:"response",source:this,valid:false,exception:a}}Core.Web.Scheduler.run(Core.method(this,function(){this._listenerList.fireEvent(c);this.dispose()}))}},removeResponseListener:function(a){this._listenerList.removeListener("response",a)},setRequestHeader:function(b,a){if(!this._requestHeaders){this._requestHeaders={}}this._requestHeaders[b]=a}});Core.Web.Image={_EXPIRE_TIME:5000,_Monitor:Core.extend({_processImageLoadRef:null,_runnable:null,_listener:null,_images:null,_count:0,_expiration:null,_imagesLoadedSinceUpdate:false,$construct:function(d,e,a){this._listener=e;this._processImageLoadRef=Core.method(this,this._processImageLoad);this._runnable=new Core.Web.Scheduler.MethodRunnable(Core.method(this,this._updateProgress),a||250,true);var b=d.getElementsByTagName("img");this._images=[];for(var c=0;c<b.length;++c){if(!b[c].complete&&(Core.Web.Env.QUIRK_UNLOADED_IMAGE_HAS_SIZE||(!b[c].height&&!b[c].style.height))){this._images.push(b[c]);Core.Web.Event.add(b[c],"load",this._processImageLoadRef,false)}}this._count=this._images.length;if(this._count>0){this._expiration=new Date().getTime()+Core.Web.Image._EXPIRE_TIME;Core.Web.Scheduler.add(this._runnable)}},_processImageLoad:function(b){b=b?b:window.event;var a=Core.Web.DOM.getEventTarget(b);this._imagesLoadedSinceUpdate=true;Core.Web.Event.remove(a,"load",this._processImageLoadRef,false);Core.Arrays.remove(this._images,a);--this._count;if(this._count===0){this._stop();this._notify()}},_notify:function(){Core.Web.Scheduler.run(Core.method(this,function(){this._listener({source:this,type:"imageLoad",expired:this._expired,complete:this._expired||this._count===0})}))},_stop:function(){Core.Web.Scheduler.remove(this._runnable);this._runnable=null;for(var a=0;a<this._images.length;++a){Core.Web.Event.remove(this._images[a],"load",this._processImageLoadRef,false)}},_updateProgress:function(){if(new Date().getTime()>this._expiration){this._expired=true;this._stop();this._notify();return}if(this._imagesLoadedSinceUpdate){this._imagesLoadedSinceUpdate=false;this._notify()}}}),monitor:function(d,b,c){var a=new Core.Web.Image._Monitor(d,b,c);return a._count>0}};Core.Web.Key={_KEY_TABLES:{GECKO:{59:186,61:187,109:189},MAC_GECKO:{},PRESTO:{59:186,61:187,44:188,45:189,46:190,47:191,96:192,91:219,92:220,93:221,39:222},WEBKIT:{}},_keyTable:null,_loadKeyTable:function(){if(Core.Web.Env.ENGINE_GECKO){this._keyTable=this._KEY_TABLES.GECKO}else{if(Core.Web.Env.ENGINE_PRESTO){this._keyTable=this._KEY_TABLES.PRESTO}else{this._keyTable={}}}},translateKeyCode:function(a){if(!this._keyTable){this._loadKeyTable()}return this._keyTable[a]||a}};Core.Web.Library={_loadedLibraries:{},evalLine:null,Group:Core.extend({_listenerList:null,_libraries:null,_loadedCount:0,_totalCount:0,$construct:function(){this._listenerList=new Core.ListenerList();this._libraries=[]},add:function(b){if(Core.Web.Library._loadedLibraries[b]){return}var a=new Core.Web.Library._Item(this,b);this._libraries.push(a)},addLoadListener:function(a){this._listenerList.addListener("load",a)},hasNewLibraries:function(){return this._libraries.length>0},_install:function(){for(var b=0;b<this._libraries.length;++b){try{this._libraries[b]._install()}catch(a){var c={type:"load",source:this,success:false,ex:a,url:this._libraries[b]._url,cancel:false};try{this._listenerList.fireEvent(c)}finally{if(!c.cancel){throw new Error('Exception installing library "'+this._libraries[b]._url+'"; '+a)}}}}this._listenerList.fireEvent({type:"load",source:this,success:true})},_notifyRetrieved:function(){++this._loadedCount;if(this._loadedCount==this._totalCount){this._install()}},load:function(){this._totalCount=this._libraries.length;for(var a=0;a<this._libraries.length;++a){this._libraries[a]._retrieve()}},removeLoadListener:function(a){this._listenerList.removeListener("load",a)}}),_Item:Core.extend({_url:null,_group:null,_content:null,$construct:function(b,a){this._url=a;this._group=b},_retrieveListener:function(a){if(!a.valid){throw new Error('Invalid HTTP response retrieving library "'+this._url+'", received status: '+a.source.getStatus())}this._content=a.source.getResponseText();this._group._notifyRetrieved()},_install:function(){if(Core.Web.Library._loadedLibraries[this._url]){return}Core.Web.Library._loadedLibraries[this._url]=true;if(this._content==null){throw new Error("Attempt to install library when no content has been loaded.")}Core.Web.Library.evalLine=new Error().lineNumber+1;eval(this._content)},_retrieve:function(){var a=new Core.Web.HttpConnection(this._url,"GET");a.addResponseListener(Core.method(this,this._retrieveListener));a.connect()}}),exec:function(b,c){var d=null;for(var a=0;a<b.length;++a){if(!Core.Web.Library._loadedLibraries[b[a]]){if(d==null){d=new Core.Web.Library.Group()}d.add(b[a])}}if(d==null){Core.Web.Scheduler.run(c);return}d.addLoadListener(c);d.load()}};Core.Web.Measure={_scrollElements:["div","body"],_hInch:96,_vInch:96,_hEx:7,_vEx:7,_hEm:13.3333,_vEm:13.3333,SCROLL_WIDTH:17,SCROLL_HEIGHT:17,_PARSER:/^(-?\d+(?:\.\d+)?)(.+)?$/,extentToPixels:function(d,a){var f=this._PARSER.exec(d);if(!f){throw new Error("Invalid Extent: "+d)}var e=parseFloat(f[1]);var b=f[2]?f[2]:"px";if(!b||b=="px"){return e}var c=a?Core.Web.Measure._hInch:Core.Web.Measure._vInch;switch(b){case"%":return null;case"in":return e*(a?Core.Web.Measure._hInch:Core.Web.Measure._vInch);case"cm":return e*(a?Core.Web.Measure._hInch:Core.Web.Measure._vInch)/2.54;case"mm":return e*(a?Core.Web.Measure._hInch:Core.Web.Measure._vInch)/25.4;case"pt":return e*(a?Core.Web.Measure._hInch:Core.Web.Measure._vInch)/72;case"pc":return e*(a?Core.Web.Measure._hInch:Core.Web.Measure._vInch)/6;case"em":return e*(a?Core.Web.Measure._hEm:Core.Web.Measure._vEm);case"ex":return e*(a?Core.Web.Measure._hEx:Core.Web.Measure._vEx)}},_calculateExtentSizes:function(){var h=document.getElementsByTagName("body")[0];var f=document.createElement("div");f.style.width="4in";f.style.height="4in";h.appendChild(f);Core.Web.Measure._hInch=f.offsetWidth/4;Core.Web.Measure._vInch=f.offsetHeight/4;h.removeChild(f);var b=document.createElement("div");b.style.width="24em";b.style.height="24em";h.appendChild(b);Core.Web.Measure._hEm=b.offsetWidth/24;Core.Web.Measure._vEm=b.offsetHeight/24;h.removeChild(b);var a=document.createElement("div");a.style.width="24ex";a.style.height="24ex";h.appendChild(a);Core.Web.Measure._hEx=a.offsetWidth/24;Core.Web.Measure._vEx=a.offsetHeight/24;h.removeChild(a);var g=document.createElement("div");g.style.cssText="width:500px;height:100px;overflow:auto;";var d=document.createElement("div");d.style.cssText="width:100px;height:200px;";g.appendChild(d);var e=document.createElement("div");e.style.cssText="width:100%;height:10px;";g.appendChild(e);h.appendChild(g);var c=500-e.offsetWidth;if(c){Core.Web.Measure.SCROLL_WIDTH=Core.Web.Measure.SCROLL_HEIGHT=c}h.removeChild(g)},_getScrollOffset:function(b){var a=0,c=0;do{if(b.scrollLeft||b.scrollTop){a+=b.scrollTop||0;c+=b.scrollLeft||0}b=b.offsetParent}while(b);return{left:c,top:a}},_getCumulativeOffset:function(b){var a=0,d=0,e=true;do{a+=b.offsetTop||0;d+=b.offsetLeft||0;if(!e&&Core.Web.Env.MEASURE_OFFSET_EXCLUDES_BORDER){if(b.style.borderLeftWidth&&b.style.borderLeftStyle!="none"){var c=Core.Web.Measure.extentToPixels(b.style.borderLeftWidth,true);d+=c;if(Core.Web.Env.QUIRK_MEASURE_OFFSET_HIDDEN_BORDER&&b.style.overflow=="hidden"){d+=c}}if(b.style.borderTopWidth&&b.style.borderTopStyle!="none"){var f=Core.Web.Measure.extentToPixels(b.style.borderTopWidth,false);a+=f;if(Core.Web.Env.QUIRK_MEASURE_OFFSET_HIDDEN_BORDER&&b.style.overflow=="hidden"){a+=f}}}e=false;b=b.offsetParent}while(b);return{left:d,top:a}},Bounds:Core.extend({$static:{FLAG_MEASURE_DIMENSION:1,FLAG_MEASURE_POSITION:2,_initMeasureContainer:function(){this._offscreenDiv=document.createElement("div");this._offscreenDiv.style.cssText="position: absolute; top: -1300px; left: -1700px; width: 1600px; height: 1200px;";document.body.appendChild(this._offscreenDiv)}},width:null,height:null,top:null,left:null,$construct:function(g,e){var b=(e&&e.flags)||(Core.Web.Measure.Bounds.FLAG_MEASURE_DIMENSION|Core.Web.Measure.Bounds.FLAG_MEASURE_POSITION);if(g===document.body){return{x:0,y:0,height:window.innerHeight||document.documentElement.clientHeight,width:window.innerWidth||document.documentElement.clientWidth}}var a=g;while(a&&a!=document){a=a.parentNode}var c=a==document;var i,f;if(b&Core.Web.Measure.Bounds.FLAG_MEASURE_DIMENSION){if(!c){i=g.parentNode;f=g.nextSibling;if(i){i.removeChild(g)}if(e){if(e.width){Core.Web.Measure.Bounds._offscreenDiv.width=e.width}if(e.height){Core.Web.Measure.Bounds._offscreenDiv.height=e.height}}Core.Web.Measure.Bounds._offscreenDiv.appendChild(g);if(e){Core.Web.Measure.Bounds._offscreenDiv.width="1600px";Core.Web.Measure.Bounds._offscreenDiv.height="1200px"}}this.width=g.offsetWidth;this.height=g.offsetHeight;if(!c){Core.Web.Measure.Bounds._offscreenDiv.removeChild(g);if(i){i.insertBefore(g,f)}}}if(c&&(b&Core.Web.Measure.Bounds.FLAG_MEASURE_POSITION)){var d=Core.Web.Measure._getCumulativeOffset(g);var h=Core.Web.Measure._getScrollOffset(g);this.top=d.top-h.top;this.left=d.left-h.left}},toString:function(){return(this.left!=null?(this.left+","+this.top+" : "):"")+(this.width!=null?("["+this.width+"x"+this.height+"]"):"")}})};Core.Web.Scheduler={_runnables:[],_threadHandle:null,_nextExecution:null,add:function(a){Core.Arrays.remove(Core.Web.Scheduler._runnables,a);a._nextExecution=new Date().getTime()+(a.timeInterval?a.timeInterval:0);Core.Web.Scheduler._runnables.push(a);Core.Web.Scheduler._setTimeout(a._nextExecution)},_execute:function(){Core.Web.Scheduler._threadHandle=null;var d=new Date().getTime();var f=Number.MAX_VALUE;var c,e;for(c=0;c<Core.Web.Scheduler._runnables.length;++c){e=Core.Web.Scheduler._runnables[c];if(e&&e._nextExecution&&e._nextExecution<=d){e._nextExecution=null;try{e.run()}catch(b){throw (b)}}}var g=[];for(c=0;c<Core.Web.Scheduler._runnables.length;++c){e=Core.Web.Scheduler._runnables[c];if(e==null){continue}if(e._nextExecution){g.push(e);var a=e._nextExecution-d;if(a<f){f=a}continue}if(e.timeInterval!=null&&e.repeat){e._nextExecution=d+e.timeInterval;g.push(e);if(e.timeInterval<f){f=e.timeInterval}}}Core.Web.Scheduler._runnables=g;if(f<Number.MAX_VALUE){Core.Web.Scheduler._setTimeout(d+f)}},remove:function(b){var a=Core.Arrays.indexOf(Core.Web.Scheduler._runnables,b);Core.Web.Scheduler._runnables[a]=null},run:function(d,a,c){var b=new Core.Web.Scheduler.MethodRunnable(d,a,c);Core.Web.Scheduler.add(b);return b},_setTimeout:function(c){if(Core.Web.Scheduler._threadHandle!=null&&Core.Web.Scheduler._nextExecution<c){return}if(Core.Web.Scheduler._threadHandle!=null){window.clearTimeout(Core.Web.Scheduler._threadHandle)}var a=new Date().getTime();Core.Web.Scheduler._nextExecution=c;var b=c-a>0?c-a:0;Core.Web.Scheduler._threadHandle=window.setTimeout(Core.Web.Scheduler._execute,b)},update:function(c){if(Core.Arrays.indexOf(Core.Web.Scheduler._runnables,c)==-1){return}var b=new Date().getTime();var a=c.timeInterval?c.timeInterval:0;c._nextExecution=b+a;Core.Web.Scheduler._setTimeout(c._nextExecution)}};Core.Web.Scheduler.Runnable=Core.extend({_nextExecution:null,$virtual:{timeInterval:null,repeat:false},$abstract:{run:function(){}}});Core.Web.Scheduler.MethodRunnable=Core.extend(Core.Web.Scheduler.Runnable,{f:null,$construct:function(c,a,b){if(!a&&b){throw new Error("Cannot create repeating runnable without time delay:"+c)}this.f=c;this.timeInterval=a;this.repeat=!!b},$virtual:{run:function(){this.f()}}});Core.Web.VirtualPosition={_OFFSETS_VERTICAL:["paddingTop","paddingBottom","marginTop","marginBottom","borderTopWidth","borderBottomWidth"],_OFFSETS_HORIZONTAL:["paddingLeft","paddingRight","marginLeft","marginRight","borderLeftWidth","borderRightWidth"],enabled:false,_calculateOffsets:function(e,b){var c=0;for(var a=0;a<e.length;++a){var d=b[e[a]];if(d){if(d.toString().indexOf("px")==-1){return -1}c+=parseInt(d,10)}}return c},_init:function(){this.enabled=true},redraw:function(c){if(!this.enabled){return}if(!c||!c.parentNode){return}var f;if(this._verifyPixelValue(c.style.top)&&this._verifyPixelValue(c.style.bottom)){var b=c.parentNode.offsetHeight;if(!isNaN(b)){f=this._calculateOffsets(this._OFFSETS_VERTICAL,c.style);if(f!=-1){var e=b-parseInt(c.style.top,10)-parseInt(c.style.bottom,10)-f;if(e<=0){c.style.height=0}else{if(c.style.height!=e+"px"){c.style.height=e+"px"}}}}}if(this._verifyPixelValue(c.style.left)&&this._verifyPixelValue(c.style.right)){var d=c.parentNode.offsetWidth;if(!isNaN(d)){f=this._calculateOffsets(this._OFFSETS_HORIZONTAL,c.style);if(f!=-1){var a=d-parseInt(c.style.left,10)-parseInt(c.style.right,10)-f;if(a<=0){c.style.width=0}else{if(c.style.width!=a+"px"){c.style.width=a+"px"}}}}}},_verifyPixelValue:function(b){if(b==null||b===""){return false}var a=b.toString();return a=="0"||a.indexOf("px")!=-1}};Echo={};Echo.Application=Core.extend({$static:{_nextUid:1,generateUid:function(){return this._nextUid++}},$abstract:true,$virtual:{init:function(){},dispose:function(){},isActive:function(){return true}},client:null,_idToComponentMap:null,_listenerList:null,_locale:null,_modalComponents:null,_styleSheet:null,_focusedComponent:null,rootComponent:null,updateManager:null,focusManager:null,$construct:function(){this._idToComponentMap=new Core.Arrays.LargeMap();this._listenerList=new Core.ListenerList();this.rootComponent=new Echo.Component();this.rootComponent.componentType="Root";this.rootComponent.register(this);this._modalComponents=[];this.updateManager=new Echo.Update.Manager(this);this.focusManager=new Echo.FocusManager(this)},addListener:function(a,b){this._listenerList.addListener(a,b)},doDispose:function(){this.updateManager.dispose();this.dispose()},doInit:function(){this.init()},_findModalContextRoot:function(a){a=a?a:this.rootComponent;for(var c=a.children.length-1;c>=0;--c){var b=this._findModalContextRoot(a.children[c]);if(b){return b}}if(a.modalSupport&&a.get("modal")){return a}return null},fireEvent:function(a){if(this._listenerList==null){return}this._listenerList.fireEvent(a)},focusNext:function(a){var b=this.focusManager.find(null,a);if(b!=null){this.setFocusedComponent(b)}},getComponentByRenderId:function(a){return this._idToComponentMap.map[a]},getFocusedComponent:function(){return this._focusedComponent},getLayoutDirection:function(){return this._layoutDirection?this._layoutDirection:Echo.LayoutDirection.LTR},getLocale:function(){return this._locale},getModalContextRoot:function(){if(this._modalComponents.length===0){return null}else{if(this._modalComponents.length==1){return this._modalComponents[0]}}return this._findModalContextRoot()},getStyleSheet:function(){return this._styleSheet},notifyComponentUpdate:function(c,a,b,d,e){if(c.modalSupport&&a=="modal"){this._setModal(c,d)}if(this._listenerList.hasListeners("componentUpdate")){this._listenerList.fireEvent({type:"componentUpdate",parent:c,propertyName:a,oldValue:b,newValue:d})}if(!e){this.updateManager._processComponentUpdate(c,a,b,d)}},_registerComponent:function(a){if(this._idToComponentMap.map[a.renderId]){throw new Error("Component already exists with id: "+a.renderId)}this._idToComponentMap.map[a.renderId]=a;if(a.modalSupport&&a.get("modal")){this._setModal(a,true)}},removeListener:function(a,b){this._listenerList.removeListener(a,b)},setFocusedComponent:function(c){var a=this._focusedComponent;while(c!=null&&!c.focusable){c=c.parent}if(this._modalComponents.length>0){var b=this.getModalContextRoot();if(!b.isAncestorOf(c)){return}}if(this._focusedComponent==c){return}this._focusedComponent=c;this._listenerList.fireEvent({type:"focus",source:this,oldValue:a,newValue:c})},setLayoutDirection:function(a){this._layoutDirection=a;this.updateManager._processFullRefresh()},setLocale:function(a){this._locale=a;this.updateManager._processFullRefresh()},_setModal:function(a,b){Core.Arrays.remove(this._modalComponents,a);if(b){this._modalComponents.push(a)}if(this._modalComponents.length>0&&this._focusedComponent){var c=this.getModalContextRoot();if(!c.isAncestorOf(this._focusedComponent)){if(c.focusable){this.setFocusedComponent(c)}else{this.setFocusedComponent(this.focusManager.findInParent(c,false))}}}this.fireEvent({source:this,type:"modal",modal:this._modalComponents.length>0})},setStyleSheet:function(a){this._styleSheet=a;this.updateManager._processFullRefresh()},_unregisterComponent:function(a){this._idToComponentMap.remove(a.renderId);if(a.modalSupport){this._setModal(a,false)}}});Echo.ComponentFactory={_typeToConstructorMap:{},newInstance:function(a,c){var d=this._typeToConstructorMap[a];if(!d){throw new Error("Type not registered with ComponentFactory: "+a)}var b=new d();b.renderId=c;return b},getConstructor:function(a){return this._typeToConstructorMap[a]},getSuperType:function(a){var b=this._typeToConstructorMap[a];if(!b){return"Component"}if(b.$super){return b.$super.prototype.componentType}else{return null}},registerType:function(a,b){if(this._typeToConstructorMap[a]){throw new Error("Type already registered: "+a)}this._typeToConstructorMap[a]=b}};Echo.Component=Core.extend({$static:{_nextRenderId:0},$load:function(){Echo.ComponentFactory.registerType("Component",this)},$abstract:true,$virtual:{componentType:"Component",focusable:false,getFocusOrder:null,pane:false},_layoutDirection:null,_locale:null,renderId:null,parent:null,application:null,_listenerList:null,_style:null,_styleName:null,_enabled:true,children:null,focusNextId:null,focusPreviousId:null,_localStyle:null,$construct:function(d){this.children=[];this._localStyle={};if(d){for(var a in d){switch(a){case"style":this._style=d.style;break;case"styleName":this._styleName=d.styleName;break;case"renderId":this.renderId=d.renderId;break;case"children":for(var c=0;c<d.children.length;++c){this.add(d.children[c])}break;case"events":for(var b in d.events){this.addListener(b,d.events[b])}break;default:this._localStyle[a]=d[a]}}}},add:function(b,a){if(!(b instanceof Echo.Component)){throw new Error("Cannot add child: specified component object is not derived from Echo.Component. Parent: "+this+", Child: "+b)}if(!b.componentType){throw new Error("Cannot add child: specified component object does not have a componentType property. Parent: "+this+", Child: "+b)}if(b.parent){b.parent.remove(b)}b.parent=this;if(a==null||a==this.children.length){this.children.push(b)}else{this.children.splice(a,0,b)}if(this.application){b.register(this.application);this.application.notifyComponentUpdate(this,"children",null,b)}if(b._listenerList&&b._listenerList.hasListeners("parent")){b._listenerList.fireEvent({type:"parent",source:b,oldValue:null,newValue:this})}if(this._listenerList&&this._listenerList.hasListeners("children")){this._listenerList.fireEvent({type:"children",source:this,add:b,index:a})}},addListener:function(a,b){if(this._listenerList==null){this._listenerList=new Core.ListenerList()}this._listenerList.addListener(a,b);if(this.application){this.application.notifyComponentUpdate(this,"listeners",null,a)}},fireEvent:function(a){if(this._listenerList==null){return}this._listenerList.fireEvent(a)},get:function(a){return this._localStyle[a]},getComponent:function(a){return this.children[a]},getComponentCount:function(){return this.children.length},getIndex:function(b,a){var c=this._localStyle[b];return c?c[a]:null},getLayoutDirection:function(){return this._layoutDirection},getLocale:function(){return this._locale},getLocalStyleData:function(){return this._localStyle},getRenderLayoutDirection:function(){var a=this;while(a){if(a._layoutDirection){return a._layoutDirection}a=a.parent}if(this.application){return this.application.getLayoutDirection()}return null},getRenderLocale:function(){var a=this;while(a){if(a._locale){return a._locale}a=a.parent}if(this.application){return this.application.getLocale()}return null},getStyle:function(){return this._style},getStyleName:function(){return this._styleName},indexOf:function(a){for(var b=0;b<this.children.length;++b){if(this.children[b]==a){return b}}return -1},isActive:function(){if(!this.isRenderEnabled()){return false}if(!this.application||!this.application.isActive()){return false}var a=this.application.getModalContextRoot();if(a!=null&&!a.isAncestorOf(this)){return false}return true},isAncestorOf:function(a){while(a!=null&&a!=this){a=a.parent}return a==this},isEnabled:function(){return this._enabled},isRenderEnabled:function(){var a=this;while(a!=null){if(!a._enabled){return false}a=a.parent}return true},register:function(a){if(a&&this.application){throw new Error("Attempt to re-register or change registered application of component.")}var b;if(!a){if(this.children!=null){for(b=0;b<this.children.length;++b){this.children[b].register(false)}}this.application._unregisterComponent(this);if(this.application._focusedComponent==this){this.application.setFocusedComponent(this.parent)}if(this._listenerList!=null&&this._listenerList.hasListeners("dispose")){this._listenerList.fireEvent({type:"dispose",source:this})}}this.application=a;if(a){if(this.renderId==null){this.renderId="CL."+(++Echo.Component._nextRenderId)}this.application._registerComponent(this);if(this._listenerList!=null&&this._listenerList.hasListeners("init")){this._listenerList.fireEvent({type:"init",source:this})}if(this.children!=null){for(b=0;b<this.children.length;++b){this.children[b].register(a)}}}},render:function(b,a){var d=this._localStyle[b];if(d==null){if(this._style!=null){d=this._style[b]}if(d==null&&this.application&&this.application._styleSheet){var c=this.application._styleSheet.getRenderStyle(this._styleName!=null?this._styleName:"",this.componentType);if(c){d=c[b]}}}return d==null?a:d},renderIndex:function(c,b,a){var e=this._localStyle[c];var f=e?e[b]:null;if(f==null){if(this._style!=null){e=this._style[c];f=e?e[b]:null}if(f==null&&this._styleName&&this.application&&this.application._styleSheet){var d=this.application._styleSheet.getRenderStyle(this._styleName!=null?this._styleName:"",this.componentType);if(d){e=d[c];f=e?e[b]:null}}}return f==null?a:f},remove:function(c){var b;var a;if(typeof c=="number"){a=c;b=this.children[a];if(!b){throw new Error("Component.remove(): index out of bounds: "+a+", parent: "+this)}}else{b=c;a=this.indexOf(b);if(a==-1){return}}if(this.application){b.register(null)}this.children.splice(a,1);b.parent=null;if(this.application){this.application.notifyComponentUpdate(this,"children",b,null)}if(b._listenerList&&b._listenerList.hasListeners("parent")){b._listenerList.fireEvent({type:"parent",source:b,oldValue:this,newValue:null})}if(this._listenerList&&this._listenerList.hasListeners("children")){this._listenerList.fireEvent({type:"children",source:this,remove:b,index:a})}},removeAll:function(){while(this.children.length>0){this.remove(this.children.length-1)}},removeListener:function(a,b){if(this._listenerList==null){return}this._listenerList.removeListener(a,b);if(this.application){this.application.notifyComponentUpdate(this,"listeners",a,null)}},set:function(b,c,d){var a=this._localStyle[b];if(a===c){return}this._localStyle[b]=c;if(this._listenerList&&this._listenerList.hasListeners("property")){this._listenerList.fireEvent({type:"property",source:this,propertyName:b,oldValue:a,newValue:c})}if(this.application){this.application.notifyComponentUpdate(this,b,a,c,d)}},setEnabled:function(b){var a=this._enabled;this._enabled=b;if(this.application){this.application.notifyComponentUpdate(this,"enabled",a,b)}},setIndex:function(c,b,e,f){var d=this._localStyle[c];var a=null;if(d){a=d[b];if(a===e){return}}else{d=[];this._localStyle[c]=d}d[b]=e;if(this.application){this.application.notifyComponentUpdate(this,c,a,e,f)}if(this._listenerList&&this._listenerList.hasListeners("property")){this._listenerList.fireEvent({type:"property",source:this,propertyName:c,index:b,oldValue:a,newValue:e})}},setLayoutDirection:function(b){var a=this._layoutDirection;this._layoutDirection=b;if(this.application){this.application.notifyComponentUpdate(this,"layoutDirection",a,b)}},setLocale:function(b){var a=this._locale;this._locale=b;if(this.application){this.application.notifyComponentUpdate(this,"locale",a,b)}},setStyle:function(b){var a=this._style;this._style=b;if(this.application){this.application.notifyComponentUpdate(this,"style",a,b)}},setStyleName:function(b){var a=this._styleName;this._styleName=b;if(this.application){this.application.notifyComponentUpdate(this,"styleName",a,b)}},toString:function(e){var c=this.renderId+"/"+this.componentType;if(e){c+="\n";var b=this.getComponentCount();c+=this.renderId+"/properties:"+this._localStyle+"\n";for(var d=0;d<b;++d){var a=this.getComponent(d);c+=this.renderId+"/child:"+a.renderId+"\n";c+=a.toString(true)}}return c}});Echo.FocusManager=Core.extend({_application:null,$construct:function(a){this._application=a},find:function(h,g){if(!h){h=this._application.getFocusedComponent();if(!h){h=this._application.rootComponent}}var f=g?h.focusPreviousId:h.focusNextId;if(f){var j=this._application.getComponentByRenderId(f);if(j&&j.isActive()&&j.focusable){return j}}var b=h;var c={};var a=null;while(true){var d=null;if((g&&h==b)||(a&&a.parent==h)){}else{var e=h.getComponentCount();if(e>0){var i=this._getFocusOrder(h);if(i){d=h.getComponent(i[g?e-1:0])}else{d=h.getComponent(g?e-1:0)}if(c[d.renderId]){d=null}}}if(d==null){if(h.parent){d=this._getNextCandidate(h,g)}}if(d==null){d=h.parent}if(d==null){return null}a=h;h=d;c[h.renderId]=true;if(h!=b&&h.isActive()&&h.focusable){return h}}},findInParent:function(g,d,c){if(!c){c=1}var h={},e=this._application.getFocusedComponent();if(!e){return null}h[e.renderId]=true;var f=this._getDescendantIndex(g,e);if(f==-1){return null}var a=f;var b=e;do{b=this.find(b,d,h);if(b==null||h[b.renderId]){return null}a=this._getDescendantIndex(g,b);h[b.renderId]=true}while(Math.abs(a-f)<c&&b!=e);if(b==e){return null}this._application.setFocusedComponent(b);return b},_getDescendantIndex:function(b,a){while(a.parent!=b&&a.parent!=null){a=a.parent}if(a.parent==null){return -1}return b.indexOf(a)},_getFocusOrder:function(b){var d=b.getFocusOrder?b.getFocusOrder():null;if(!d){return null}var a=d.slice().sort();for(var c=1;c<a.length;++c){if(a[c-1]>=a[c]){Core.Debug.consoleWrite("Invalid focus order for component "+b+": "+d);return null}}return d},_getNextCandidate:function(c,b){if(!c.parent){return null}var e=this._getFocusOrder(c.parent);var a,d;if(b){a=c.parent.indexOf(c);if(e){d=Core.Arrays.indexOf(e,a);if(d>0){return c.parent.children[e[d-1]]}}else{if(a>0){return c.parent.getComponent(a-1)}}}else{a=c.parent.indexOf(c);if(e){d=Core.Arrays.indexOf(e,a);if(d<e.length-1){return c.parent.children[e[d+1]]}}else{if(a<c.parent.getComponentCount()-1){return c.parent.getComponent(a+1)}}}}});Echo.LayoutDirection=Core.extend({_ltr:false,$construct:function(a){this._ltr=a},isLeftToRight:function(){return this._ltr}});Echo.LayoutDirection.LTR=new Echo.LayoutDirection(true);Echo.LayoutDirection.RTL=new Echo.LayoutDirection(false);Echo.StyleSheet=Core.extend({_nameToStyleMap:null,_renderCache:null,$construct:function(c){this._renderCache={};this._nameToStyleMap={};if(c){for(var b in c){for(var a in c[b]){this.setStyle(b,a,c[b][a])}}}},getRenderStyle:function(b,a){var d=this._renderCache[b];if(!d){return null}var c=d[a];if(c!==undefined){return c}else{return this._loadRenderStyle(b,a)}},_loadRenderStyle:function(c,b){var e=this._nameToStyleMap[c];if(e==null){this._renderCache[c][b]=null;return null}var d=e[b];if(d==null){var a=b;while(d==null){a=Echo.ComponentFactory.getSuperType(a);if(a==null){this._renderCache[c][a]=null;return null}d=e[a]}}this._renderCache[c][b]=d;return d},getStyle:function(b,a){var c=this._nameToStyleMap[b];if(c==null){return null}return c[a]},setStyle:function(b,a,c){this._renderCache[b]={};var d=this._nameToStyleMap[b];if(d==null){d={};this._nameToStyleMap[b]=d}d[a]=c}});Echo.Update={};Echo.Update.ComponentUpdate=Core.extend({$static:{PropertyUpdate:function(a,b){this.oldValue=a;this.newValue=b}},_manager:null,parent:null,renderContext:null,_addedChildIds:null,_propertyUpdates:null,_removedChildIds:null,_removedDescendantIds:null,_updatedLayoutDataChildIds:null,_listenerUpdates:null,$construct:function(a,b){this._manager=a;this.parent=b},_addChild:function(a){if(!this._addedChildIds){this._addedChildIds=[]}this._addedChildIds.push(a.renderId);this._manager._idMap[a.renderId]=a},_appendRemovedDescendants:function(b){var a;if(b._removedDescendantIds!=null){if(this._removedDescendantIds==null){this._removedDescendantIds=[]}for(a=0;a<b._removedDescendantIds.length;++a){this._removedDescendantIds.push(b._removedDescendantIds[a])}}if(b._removedChildIds!=null){if(this._removedDescendantIds==null){this._removedDescendantIds=[]}for(a=0;a<b._removedChildIds.length;++a){this._removedDescendantIds.push(b._removedChildIds[a])}}if(this._removedDescendantIds!=null){Core.Arrays.removeDuplicates(this._removedDescendantIds)}},getAddedChildren:function(){if(!this._addedChildIds){return null}var b=[];for(var a=0;a<this._addedChildIds.length;++a){b[a]=this._manager._idMap[this._addedChildIds[a]]}return b},getRemovedChildren:function(){if(!this._removedChildIds){return null}var b=[];for(var a=0;a<this._removedChildIds.length;++a){b[a]=this._manager._removedIdMap[this._removedChildIds[a]]}return b},getRemovedDescendants:function(){if(!this._removedDescendantIds){return null}var b=[];for(var a=0;a<this._removedDescendantIds.length;++a){b[a]=this._manager._removedIdMap[this._removedDescendantIds[a]]}return b},getUpdatedLayoutDataChildren:function(){if(!this._updatedLayoutDataChildIds){return null}var b=[];for(var a=0;a<this._updatedLayoutDataChildIds.length;++a){b[a]=this._manager._idMap[this._updatedLayoutDataChildIds[a]]}return b},hasAddedChildren:function(){return this._addedChildIds!=null},hasRemovedChildren:function(){return this._removedChildIds!=null},hasUpdatedLayoutDataChildren:function(){return this._updatedLayoutDataChildIds!=null},hasUpdatedProperties:function(){return this._propertyUpdates!=null},getUpdatedProperty:function(a){if(this._propertyUpdates==null){return null}return this._propertyUpdates[a]},isListenerTypeUpdated:function(a){return this._listenerUpdates==null?false:this._listenerUpdates[a]},getUpdatedPropertyNames:function(){if(this._propertyUpdates==null){return[]}var b=[];for(var a in this._propertyUpdates){b.push(a)}return b},hasUpdatedPropertyIn:function(b){for(var a in this._propertyUpdates){if(b[a]){return true}}return false},isUpdatedPropertySetIn:function(b){for(var a in this._propertyUpdates){if(!b[a]){return false}}return true},_removeChild:function(b){this._manager._removedIdMap[b.renderId]=b;if(this._addedChildIds){Core.Arrays.remove(this._addedChildIds,b.renderId)}if(this._updatedLayoutDataChildIds){Core.Arrays.remove(this._updatedLayoutDataChildIds,b.renderId)}if(!this._removedChildIds){this._removedChildIds=[]}this._removedChildIds.push(b.renderId);for(var a=0;a<b.children.length;++a){this._removeDescendant(b.children[a])}},_removeDescendant:function(b){this._manager._removedIdMap[b.renderId]=b;if(!this._removedDescendantIds){this._removedDescendantIds=[]}this._removedDescendantIds.push(b.renderId);for(var a=0;a<b.children.length;++a){this._removeDescendant(b.children[a])}},toString:function(){var a="ComponentUpdate\n";a+="- Parent: "+this.parent+"\n";a+="- Adds: "+this._addedChildIds+"\n";a+="- Removes: "+this._removedChildIds+"\n";a+="- DescendantRemoves: "+this._removedDescendantIds+"\n";a+="- Properties: "+Core.Debug.toString(this._propertyUpdates)+"\n";a+="- LayoutDatas: "+this._updatedLayoutDataChildIds+"\n";return a},_updateLayoutData:function(a){this._manager._idMap[a.renderId]=a;if(this._updatedLayoutDataChildIds==null){this._updatedLayoutDataChildIds=[]}this._updatedLayoutDataChildIds.push(a.renderId)},_updateListener:function(a){if(this._listenerUpdates==null){this._listenerUpdates={}}this._listenerUpdates[a]=true},_updateProperty:function(a,b,d){if(this._propertyUpdates==null){this._propertyUpdates={}}var c=new Echo.Update.ComponentUpdate.PropertyUpdate(b,d);this._propertyUpdates[a]=c}});Echo.Update.Manager=Core.extend({_componentUpdateMap:null,fullRefreshRequired:false,application:null,_hasUpdates:false,_listenerList:null,_idMap:null,_removedIdMap:null,_lastAncestorTestParentId:null,$construct:function(a){this._componentUpdateMap={};this.application=a;this._listenerList=new Core.ListenerList();this._idMap={};this._removedIdMap={}},addUpdateListener:function(a){this._listenerList.addListener("update",a)},_createComponentUpdate:function(a){this._hasUpdates=true;var b=this._componentUpdateMap[a.renderId];if(!b){b=new Echo.Update.ComponentUpdate(this,a);this._componentUpdateMap[a.renderId]=b}return b},dispose:function(){this.application=null},_fireUpdate:function(){if(!this._listenerList.isEmpty()){this._listenerList.fireEvent({type:"update",source:this})}},getUpdates:function(){var b=[];for(var a in this._componentUpdateMap){b.push(this._componentUpdateMap[a])}return b},hasUpdates:function(){return this._hasUpdates},_isAncestorBeingAdded:function(a){var f=a;var d=a.parent;var c=d?d.renderId:null;if(c&&this._lastAncestorTestParentId==c){return false}while(d){var e=this._componentUpdateMap[d.renderId];if(e&&e._addedChildIds){for(var b=0;b<e._addedChildIds.length;++b){if(e._addedChildIds[b]==f.renderId){return true}}}f=d;d=d.parent}this._lastAncestorTestParentId=c;return false},_processComponentAdd:function(a,c){if(this.fullRefreshRequired){return}if(this._isAncestorBeingAdded(c)){return}var b=this._createComponentUpdate(a);b._addChild(c)},_processComponentLayoutDataUpdate:function(a){if(this.fullRefreshRequired){return}var b=a.parent;if(b==null||this._isAncestorBeingAdded(b)){return}var c=this._createComponentUpdate(b);c._updateLayoutData(a)},_processComponentListenerUpdate:function(a,b){if(this.fullRefreshRequired){return}if(this._isAncestorBeingAdded(a)){return}var c=this._createComponentUpdate(a);c._updateListener(b)},_processComponentRemove:function(d,g){if(this.fullRefreshRequired){return}if(this._isAncestorBeingAdded(d)){return}var f=this._createComponentUpdate(d);f._removeChild(g);var b=null;for(var a in this._componentUpdateMap){var e=this._componentUpdateMap[a];if(g.isAncestorOf(e.parent)){f._appendRemovedDescendants(e);if(b==null){b=[]}b.push(a)}}if(b!=null){for(var c=0;c<b.length;++c){delete this._componentUpdateMap[b[c]]}}},_processComponentPropertyUpdate:function(c,a,b,d){if(this.fullRefreshRequired){return}if(this._isAncestorBeingAdded(c)){return}var e=this._createComponentUpdate(c);e._updateProperty(a,b,d)},_processFullRefresh:function(){for(var a=0;a<this.application.rootComponent.children.length;++a){this._processComponentRemove(this.application.rootComponent,this.application.rootComponent.children[a])}this.fullRefreshRequired=true;var b=this._createComponentUpdate(this.application.rootComponent);b.fullRefresh=true;this._fireUpdate()},_processComponentUpdate:function(c,a,b,d){if(a=="children"){if(d==null){this._processComponentRemove(c,b)}else{this._processComponentAdd(c,d)}}else{if(a=="layoutData"){this._processComponentLayoutDataUpdate(c)}else{if(a=="listeners"){this._processComponentListenerUpdate(c,b||d)}else{this._processComponentPropertyUpdate(c,a,b,d)}}}this._fireUpdate()},purge:function(){this.fullRefreshRequired=false;this._componentUpdateMap={};this._idMap={};this._removedIdMap={};this._hasUpdates=false;this._lastAncestorTestParentId=null},removeUpdateListener:function(a){this._listenerList.removeListener("update",a)},toString:function(){var b="[ UpdateManager ]\n";if(this.fullRefreshRequired){b+="fullRefresh"}else{for(var a in this._componentUpdateMap){b+=this._componentUpdateMap[a]}}return b}});Echo.AbstractButton=Core.extend(Echo.Component,{$abstract:true,$load:function(){Echo.ComponentFactory.registerType("AbstractButton",this);Echo.ComponentFactory.registerType("AB",this)},componentType:"AbstractButton",focusable:true,$virtual:{doAction:function(){this.fireEvent({type:"action",source:this,actionCommand:this.get("actionCommand")})}}});Echo.Button=Core.extend(Echo.AbstractButton,{$load:function(){Echo.ComponentFactory.registerType("Button",this);Echo.ComponentFactory.registerType("B",this)},componentType:"Button"});Echo.ToggleButton=Core.extend(Echo.AbstractButton,{$load:function(){Echo.ComponentFactory.registerType("ToggleButton",this);Echo.ComponentFactory.registerType("TB",this)},$abstract:true,componentType:"ToggleButton"});Echo.CheckBox=Core.extend(Echo.ToggleButton,{$load:function(){Echo.ComponentFactory.registerType("CheckBox",this);Echo.ComponentFactory.registerType("CB",this)},componentType:"CheckBox"});Echo.RadioButton=Core.extend(Echo.ToggleButton,{$load:function(){Echo.ComponentFactory.registerType("RadioButton",this);Echo.ComponentFactory.registerType("RB",this)},componentType:"RadioButton"});Echo.AbstractListComponent=Core.extend(Echo.Component,{$abstract:true,$load:function(){Echo.ComponentFactory.registerType("AbstractListComponent",this);Echo.ComponentFactory.registerType("LC",this)},componentType:"AbstractListComponent",focusable:true,$virtual:{doAction:function(){this.fireEvent({type:"action",source:this,actionCommand:this.get("actionCommand")})}}});Echo.ListBox=Core.extend(Echo.AbstractListComponent,{$static:{SINGLE_SELECTION:0,MULTIPLE_SELECTION:2},$load:function(){Echo.ComponentFactory.registerType("ListBox",this);Echo.ComponentFactory.registerType("LB",this)},componentType:"ListBox"});Echo.SelectField=Core.extend(Echo.AbstractListComponent,{$load:function(){Echo.ComponentFactory.registerType("SelectField",this);Echo.ComponentFactory.registerType("SF",this)},componentType:"SelectField"});Echo.Column=Core.extend(Echo.Component,{$load:function(){Echo.ComponentFactory.registerType("Column",this);Echo.ComponentFactory.registerType("C",this)},componentType:"Column"});Echo.Composite=Core.extend(Echo.Component,{$abstract:true,$load:function(){Echo.ComponentFactory.registerType("Composite",this);Echo.ComponentFactory.registerType("CM",this)},componentType:"Composite"});Echo.Panel=Core.extend(Echo.Composite,{$load:function(){Echo.ComponentFactory.registerType("Panel",this);Echo.ComponentFactory.registerType("P",this)},componentType:"Panel"});Echo.ContentPane=Core.extend(Echo.Component,{$static:{OVERFLOW_AUTO:0,OVERFLOW_HIDDEN:1,OVERFLOW_SCROLL:2},$load:function(){Echo.ComponentFactory.registerType("ContentPane",this);Echo.ComponentFactory.registerType("CP",this)},componentType:"ContentPane",pane:true});Echo.Grid=Core.extend(Echo.Component,{$static:{ORIENTATION_HORIZONTAL:0,ORIENTATION_VERTICAL:1,SPAN_FILL:-1},$load:function(){Echo.ComponentFactory.registerType("Grid",this);Echo.ComponentFactory.registerType("G",this)},componentType:"Grid"});Echo.Label=Core.extend(Echo.Component,{$load:function(){Echo.ComponentFactory.registerType("Label",this);Echo.ComponentFactory.registerType("L",this)},componentType:"Label"});Echo.Row=Core.extend(Echo.Component,{$load:function(){Echo.ComponentFactory.registerType("Row",this);Echo.ComponentFactory.registerType("R",this)},componentType:"Row"});Echo.SplitPane=Core.extend(Echo.Component,{$static:{ORIENTATION_HORIZONTAL_LEADING_TRAILING:0,ORIENTATION_HORIZONTAL_TRAILING_LEADING:1,ORIENTATION_HORIZONTAL_LEFT_RIGHT:2,ORIENTATION_HORIZONTAL_RIGHT_LEFT:3,ORIENTATION_VERTICAL_TOP_BOTTOM:4,ORIENTATION_VERTICAL_BOTTOM_TOP:5,DEFAULT_SEPARATOR_POSITION:"50%",DEFAULT_SEPARATOR_SIZE_FIXED:0,DEFAULT_SEPARATOR_SIZE_RESIZABLE:4,DEFAULT_SEPARATOR_COLOR:"#3f3f4f",OVERFLOW_AUTO:0,OVERFLOW_HIDDEN:1,OVERFLOW_SCROLL:2},$load:function(){Echo.ComponentFactory.registerType("SplitPane",this);Echo.ComponentFactory.registerType("SP",this)},componentType:"SplitPane",pane:true,getFocusOrder:function(){if(this.children.length<2){return null}switch(this.render("orientation")){case Echo.SplitPane.ORIENTATION_VERTICAL_BOTTOM_TOP:case Echo.SplitPane.ORIENTATION_HORIZONTAL_TRAILING_LEADING:return[1,0];case Echo.SplitPane.ORIENTATION_HORIZONTAL_LEFT_RIGHT:return this.getRenderLayoutDirection().isLeftToRight()?null:[1,0];case Echo.SplitPane.ORIENTATION_HORIZONTAL_RIGHT_LEFT:return this.getRenderLayoutDirection().isLeftToRight()?[1,0]:null;default:return null}}});Echo.TextComponent=Core.extend(Echo.Component,{$abstract:true,$load:function(){Echo.ComponentFactory.registerType("TextComponent",this);Echo.ComponentFactory.registerType("TC",this)},$virtual:{doAction:function(){this.fireEvent({type:"action",source:this,actionCommand:this.get("actionCommand")})},doKeyDown:function(b){var a={type:"keyDown",source:this,keyCode:b};this.fireEvent(a);return !a.veto},doKeyPress:function(c,a){var b={type:"keyPress",source:this,keyCode:c,charCode:a};this.fireEvent(b);return !b.veto}},componentType:"TextComponent",focusable:true});Echo.TextArea=Core.extend(Echo.TextComponent,{$load:function(){Echo.ComponentFactory.registerType("TextArea",this);Echo.ComponentFactory.registerType("TA",this)},componentType:"TextArea"});Echo.TextField=Core.extend(Echo.TextComponent,{$load:function(){Echo.ComponentFactory.registerType("TextField",this);Echo.ComponentFactory.registerType("TF",this)},componentType:"TextField"});Echo.PasswordField=Core.extend(Echo.TextField,{$load:function(){Echo.ComponentFactory.registerType("PasswordField",this);Echo.ComponentFactory.registerType("PF",this)},componentType:"PasswordField"});Echo.WindowPane=Core.extend(Echo.Component,{$load:function(){Echo.ComponentFactory.registerType("WindowPane",this);Echo.ComponentFactory.registerType("WP",this)},$static:{DEFAULT_RESOURCE_TIMEOUT:300,DEFAULT_BORDER:{color:"#36537a",borderInsets:20,contentInsets:3},DEFAULT_BACKGROUND:"#ffffff",DEFAULT_FOREGROUND:"#000000",DEFAULT_CONTROLS_INSETS:4,DEFAULT_CONTROLS_SPACING:4,DEFAULT_HEIGHT:"15em",DEFAULT_MINIMUM_WIDTH:100,DEFAULT_MINIMUM_HEIGHT:100,DEFAULT_TITLE_BACKGROUND:"#becafe",DEFAULT_TITLE_HEIGHT:30,DEFAULT_TITLE_INSETS:"5px 10px",DEFAULT_WIDTH:"30em"},componentType:"WindowPane",modalSupport:true,floatingPane:true,pane:true,focusable:true,_preMaximizedState:null,userClose:function(){this.fireEvent({type:"close",source:this})},userMaximize:function(){if(this.render("width")=="100%"&&this.render("height")=="100%"){if(this._preMaximizedState){this.set("width",this._preMaximizedState.width);this.set("height",this._preMaximizedState.height);this.set("positionX",this._preMaximizedState.x);this.set("positionY",this._preMaximizedState.y)}}else{this._preMaximizedState={x:this.get("positionX"),y:this.get("positionY"),width:this.get("width"),height:this.get("height")};this.set("width","100%");this.set("height","100%")}this.fireEvent({type:"maximize",source:this})},userMinimize:function(){this.fireEvent({type:"minimize",source:this})}});Echo.Render={_loadedPeerCount:0,_nextPeerId:0,_peers:{},_disposedComponents:null,_componentDepthArraySort:function(d,c){return Echo.Render._getComponentDepth(d.parent)-Echo.Render._getComponentDepth(c.parent)},_doRenderDisplay:function(b,a){var d,c=b;var e=c.parent;while(e){if(e.peer.isChildVisible&&!e.peer.isChildVisible(c)){return}c=e;e=e.parent}if(a){Echo.Render._doRenderDisplayImpl(b)}else{if(b.peer.isChildVisible){for(d=0;d<b.children.length;++d){if(b.peer.isChildVisible(b.children[d])){Echo.Render._doRenderDisplayImpl(b.children[d])}}}else{for(d=0;d<b.children.length;++d){Echo.Render._doRenderDisplayImpl(b.children[d])}}}},_doRenderDisplayImpl:function(a){if(!a.peer){return}if(a.peer.renderDisplay){a.peer.renderDisplay()}a.peer.displayed=true;var b;if(a.peer.isChildVisible){for(b=0;b<a.children.length;++b){if(a.peer.isChildVisible(a.children[b])){Echo.Render._doRenderDisplayImpl(a.children[b])}}}else{for(b=0;b<a.children.length;++b){Echo.Render._doRenderDisplayImpl(a.children[b])}}},_getComponentDepth:function(a){var b=-1;while(a!=null){a=a.parent;++b}return b},_loadPeer:function(a,b){if(b.peer){return}var c=Echo.Render._peers[b.componentType];if(!c){throw new Error("Peer not found for: "+b.componentType)}++this._loadedPeerCount;b.peer=new c();b.peer._peerId=this._nextPeerId++;b.peer.component=b;b.peer.client=a},notifyResize:function(a){Echo.Render._doRenderDisplay(a,false)},_processDispose:function(c){var a,b=c.getRemovedDescendants();if(b){for(a=0;a<b.length;++a){Echo.Render._renderComponentDisposeImpl(c,b[a])}}b=c.getRemovedChildren();if(b){for(a=0;a<b.length;++a){Echo.Render._renderComponentDisposeImpl(c,b[a])}}},processUpdates:function(c){var g=c.application.updateManager;if(!g.hasUpdates()){return}Echo.Render._disposedComponents={};var l=g.getUpdates();l.sort(Echo.Render._componentDepthArraySort);var h,f,e;for(f=0;f<l.length;++f){l[f].renderContext={};h=l[f].parent.peer;if(h==null&&l[f].parent.componentType=="Root"){Echo.Render._loadPeer(c,l[f].parent)}}for(f=l.length-1;f>=0;--f){if(l[f]==null){continue}h=l[f].parent.peer;Echo.Render._processDispose(l[f])}if(Echo.Client.profilingTimer){Echo.Client.profilingTimer.mark("rem")}for(f=0;f<l.length;++f){if(l[f]==null){continue}h=l[f].parent.peer;var m=h.renderUpdate(l[f]);if(m){for(e=f+1;e<l.length;++e){if(l[e]!=null&&l[f].parent.isAncestorOf(l[e].parent)){l[e]=null}}}Echo.Render._setPeerDisposedState(l[f].parent,false)}if(Echo.Client.profilingTimer){Echo.Client.profilingTimer.mark("up")}var d=[];for(f=0;f<l.length;++f){if(l[f]==null){continue}var b=false;for(e=0;e<d.length;++e){if(d[e].isAncestorOf(l[f].parent)){b=true;break}}if(b){continue}if(l[f].renderContext.displayRequired){for(e=0;e<l[f].renderContext.displayRequired.length;++e){d.push(l[f].renderContext.displayRequired[e]);Echo.Render._doRenderDisplay(l[f].renderContext.displayRequired[e],true)}}else{d.push(l[f].parent);Echo.Render._doRenderDisplay(l[f].parent,true)}}if(Echo.Client.profilingTimer){Echo.Client.profilingTimer.mark("disp")}for(var a in Echo.Render._disposedComponents){var k=Echo.Render._disposedComponents[a];Echo.Render._unloadPeer(k)}Echo.Render._disposedComponents=null;g.purge();Echo.Render.updateFocus(c)},registerPeer:function(a,b){if(this._peers[a]){throw new Error("Peer already registered: "+a)}this._peers[a]=b},renderComponentAdd:function(c,b,a){if(!b.parent||!b.parent.peer||!b.parent.peer.client){throw new Error("Cannot find reference to the Client with which this component should be associated: cannot load peer.  This is due to the component's parent's peer not being associated with a Client. Component = "+b+", Parent = "+b.parent+", Parent Peer = "+(b.parent?b.parent.peer:"N/A")+", Parent Peer Client = "+((b.parent&&b.parent.peer)?b.parent.peer.client:"N/A"))}Echo.Render._loadPeer(b.parent.peer.client,b);Echo.Render._setPeerDisposedState(b,false);b.peer.renderAdd(c,a)},renderComponentDisplay:function(a){this._doRenderDisplay(a,true)},renderComponentDispose:function(b,a){this._renderComponentDisposeImpl(b,a)},_renderComponentDisposeImpl:function(c,a){if(!a.peer||a.peer.disposed){return}Echo.Render._setPeerDisposedState(a,true);a.peer.renderDispose(c);for(var b=0;b<a.children.length;++b){Echo.Render._renderComponentDisposeImpl(c,a.children[b])}},renderComponentHide:function(a){if(!a.peer||a.peer.disposed){return}if(a.peer.displayed){if(a.peer.renderHide){a.peer.renderHide()}a.peer.displayed=false;for(var b=0;b<a.children.length;++b){Echo.Render.renderComponentHide(a.children[b])}}},_setPeerDisposedState:function(a,b){if(b){a.peer.disposed=true;Echo.Render._disposedComponents[a.peer._peerId]=a}else{a.peer.disposed=false;delete Echo.Render._disposedComponents[a.peer._peerId]}},_unloadPeer:function(a){a.peer.client=null;a.peer.component=null;a.peer=null;--this._loadedPeerCount},updateFocus:function(a){var b=a.application.getFocusedComponent();if(b&&b.peer){if(!b.peer.renderFocus){throw new Error("Cannot focus component: "+b+", peer does not provide renderFocus() implementation.")}b.peer.renderFocus()}else{Core.Web.DOM.focusElement(null)}}};Echo.Render.ComponentSync=Core.extend({$static:{FOCUS_PERMIT_ARROW_UP:1,FOCUS_PERMIT_ARROW_DOWN:2,FOCUS_PERMIT_ARROW_LEFT:4,FOCUS_PERMIT_ARROW_RIGHT:8,FOCUS_PERMIT_ARROW_ALL:15,SIZE_HEIGHT:1,SIZE_WIDTH:2},_peerId:null,client:null,component:null,displayed:false,disposed:false,$construct:function(){},$abstract:{renderAdd:function(b,a){},renderDispose:function(a){},renderUpdate:function(a){}},$virtual:{clientKeyDown:null,clientKeyPress:null,clientKeyUp:null,getFocusFlags:null,getPreferredSize:null,isChildVisible:null,renderFocus:null,renderHide:null,renderDisplay:null}});Echo.Render.RootSync=Core.extend(Echo.Render.ComponentSync,{$load:function(){Echo.Render.registerPeer("Root",this)},renderAdd:function(b,a){throw new Error("Unsupported operation: renderAdd().")},_renderContent:function(b){Echo.Render.renderComponentDispose(b,b.parent);Core.Web.DOM.removeAllChildren(this.client.domainElement);for(var a=0;a<b.parent.children.length;++a){Echo.Render.renderComponentAdd(b,b.parent.children[a],this.client.domainElement)}},renderDispose:function(a){},renderUpdate:function(d){var b,a=false;if(d.fullRefresh||d.hasAddedChildren()||d.hasRemovedChildren()){Echo.Sync.renderComponentDefaults(this.component,this.client.domainElement);var c=this.component.render("title");if(c){document.title=c}this._renderContent(d);a=true}else{this.client.domainElement.dir=this.client.application.getLayoutDirection().isLeftToRight()?"ltr":"rtl";if(d.hasUpdatedProperties()){b=d.getUpdatedProperty("title");if(b){document.title=b.newValue}b=d.getUpdatedProperty("background");if(b){Echo.Sync.Color.renderClear(b.newValue,this.client.domainElement,"backgroundColor")}b=d.getUpdatedProperty("foreground");if(b){Echo.Sync.Color.renderClear(b.newValue,this.client.domainElement,"foreground")}b=d.getUpdatedProperty("font");if(b){Echo.Sync.Font.renderClear(b.newValue,this.client.domainElement)}Echo.Sync.LayoutDirection.render(this.component.getLayoutDirection(),this.client.domainElement)}}return a}});Echo.Sync={getEffectProperty:function(b,g,f,c,a,e){var d;if(c){d=b.render(f,e)}if(!d){d=b.render(g,a)}return d},renderComponentDefaults:function(c,d){var b;if((b=c.render("foreground"))){b=Echo.Sync.Color.toTransparent(b);d.style.color=b}if((b=c.render("background"))){b=Echo.Sync.Color.toTransparent(b);d.style.backgroundColor=b}var a=c.render("font");if(a){Echo.Sync.Font.render(a,d)}if(c.getLayoutDirection()){d.dir=c.getLayoutDirection().isLeftToRight()?"ltr":"rtl"}}};Echo.Sync.Alignment={_HORIZONTALS:{left:true,center:true,right:true,leading:true,trailing:true},_VERTICALS:{top:true,middle:true,bottom:true},getRenderedHorizontal:function(d,b){if(d==null){return null}var c=b?b.getRenderLayoutDirection():Echo.LayoutDirection.LTR;var a=typeof(d)=="object"?d.horizontal:d;switch(a){case"leading":return c.isLeftToRight()?"left":"right";case"trailing":return c.isLeftToRight()?"right":"left";default:return a in this._HORIZONTALS?a:null}},getHorizontal:function(a){if(a==null){return null}if(typeof(a=="string")){return a in this._HORIZONTALS?a:null}else{return a.horizontal}},getVertical:function(a){if(a==null){return null}if(typeof(a=="string")){return a in this._VERTICALS?a:null}else{return a.vertical}},render:function(h,e,d,g){if(h==null){return}var b=Echo.Sync.Alignment.getRenderedHorizontal(h,g);var c=typeof(h)=="object"?h.vertical:h;var a;switch(b){case"left":a="left";break;case"center":a="center";break;case"right":a="right";break;default:a="";break}var f;switch(c){case"top":f="top";break;case"middle":f="middle";break;case"bottom":f="bottom";break;default:f="";break}if(d){e.align=a;e.vAlign=f}else{e.style.textAlign=a;e.style.verticalAlign=f}}};Echo.Sync.Border={_PARSER_PX:new RegExp("^(-?\\d+px)?(?:^|$|(?= )) ?(none|hidden|dotted|dashed|solid|double|groove|ridge|inset|outset)?(?:^|$|(?= )) ?(#[0-9a-fA-F]{6})?$"),_PARSER:new RegExp("^(-?\\d+(?:\\.\\d*)?(?:px|pt|pc|cm|mm|in|em|ex))?(?:^|$|(?= )) ?(none|hidden|dotted|dashed|solid|double|groove|ridge|inset|outset)?(?:^|$|(?= )) ?(#[0-9a-fA-F]{6})?$"),_TEST_EXTENT_PX:/^-?\d+px$/,compose:function(c,d,a){if(typeof c=="number"){c+="px"}var b=[];if(c){b.push(c)}if(d){b.push(d)}if(a){b.push(a)}return b.join(" ")},isMultisided:function(a){return(a&&(a.top||a.bottom||a.left||a.right))?true:false},parse:function(a){if(!a){return{}}if(typeof(a)=="string"){var b=this._PARSER.exec(a);return{size:b[1],style:b[2],color:b[3]}}else{return Echo.Sync.Border.parse(a.top||a.right||a.bottom||a.left)}},render:function(a,b,d){if(!a){return}d=d?d:"border";if(typeof(a)=="string"){if(this._PARSER_PX.test(a)){b.style[d]=a}else{var c=this._PARSER.exec(a);if(c==null){throw new Error('Invalid border: "'+a+'"')}this.render(Echo.Sync.Extent.toPixels(c[1])+"px "+c[2]+" "+c[3],b,d)}}else{this.render(a.top,b,d+"Top");if(a.right!==null){this.render(a.right||a.top,b,d+"Right")}if(a.bottom!==null){this.render(a.bottom||a.top,b,d+"Bottom")}if(a.left!==null){this.render(a.left||a.right||a.top,b,d+"Left")}}},renderClear:function(a,b){if(a){if(a instanceof Object){b.style.border=""}this.render(a,b)}else{b.style.border=""}},getPixelSize:function(b,a){if(!b){return 0}if(typeof(b)=="string"){var d=this._PARSER.exec(b)[1];if(d==null){return 0}else{if(this._TEST_EXTENT_PX.test(d)){return parseInt(d,10)}else{return Echo.Sync.Extent.toPixels(d)}}}else{if(typeof(b)=="object"){while(true){var c=this.getPixelSize(b[a]);if(c==null){switch(a){case"left":a="right";continue;case"right":case"bottom":a="top";continue}}return c}}}}};Echo.Sync.Color={adjust:function(h,e,d,c){var j=parseInt(h.substring(1),16);var i=Math.floor(j/65536)+e;var f=Math.floor(j/256)%256+d;var a=j%256+c;return this.toHex(i,f,a)},blend:function(c,b,d){d=d<0?0:(d>1?1:d);var g=parseInt(c.substring(1),16);var e=parseInt(b.substring(1),16);var h=Math.round(Math.floor(g/65536)*(1-d)+Math.floor(e/65536)*d);var f=Math.round(Math.floor(g/256)%256*(1-d)+Math.floor(e/256)%256*d);var a=Math.round((g%256)*(1-d)+(e%256)*d);return this.toHex(h,f,a)},render:function(a,b,c){if(a){a=this.toTransparent(a);b.style[c]=a}},renderClear:function(a,b,c){b.style[c]=a?a:""},renderFB:function(b,c){var a;if((a=b.render("foreground"))){a=this.toTransparent(a);c.style.color=a}if((a=b.render("background"))){a=this.toTransparent(a);c.style.backgroundColor=a}},toHex:function(c,b,a){if(c<0){c=0}else{if(c>255){c=255}}if(b<0){b=0}else{if(b>255){b=255}}if(a<0){a=0}else{if(a>255){a=255}}return"#"+(c<16?"0":"")+c.toString(16)+(b<16?"0":"")+b.toString(16)+(a<16?"0":"")+a.toString(16)},toTransparent:function(a){return(a==-1||a=="#-1"||(a&&a.toLowerCase()=="#transparent"))?"transparent":a}};Echo.Sync.Extent={_PARSER:/^(-?\d+(?:\.\d+)?)(.+)?$/,_FORMATTED_INT_PIXEL_TEST:/^(-?\d+px *)$/,_FORMATTED_DECIMAL_PIXEL_TEST:/^(-?\d+(.\d+)?px *)$/,isPercent:function(a){if(a==null||typeof(a)=="number"){return false}else{var b=this._PARSER.exec(a);if(!b){return false}return b[2]=="%"}},render:function(e,c,f,b,d){var a=Echo.Sync.Extent.toCssValue(e,b,d);if(a!==""){c.style[f]=a}},toCssValue:function(c,a,b){switch(typeof(c)){case"number":return Math.round(c)+"px";case"string":if(this._FORMATTED_INT_PIXEL_TEST.test(c)){return c}else{if(this._FORMATTED_DECIMAL_PIXEL_TEST.test(c)){return Math.round(parseFloat(c))+"px"}else{if(this.isPercent(c)){return b?c:""}else{var d=this.toPixels(c,a);return d==null?"":this.toPixels(c,a)+"px"}}}break}return""},toPixels:function(b,a){if(b==null){return 0}else{if(typeof(b)=="number"){return Math.round(b)}else{return Math.round(Core.Web.Measure.extentToPixels(b,a))}}}};Echo.Sync.FillImage={_REPEAT_VALUES:{"0":"no-repeat",x:"repeat-x",y:"repeat-y",xy:"repeat","no-repeat":"no-repeat","repeat-x":"repeat-x","repeat-y":"repeat-y",repeat:"repeat"},FLAG_ENABLE_IE_PNG_ALPHA_FILTER:1,getPosition:function(b){if(b.x||b.y){var a,c;if(Echo.Sync.Extent.isPercent(b.x)){a=b.x}else{a=Echo.Sync.Extent.toPixels(b.x,true)+"px"}if(Echo.Sync.Extent.isPercent(b.y)){c=b.y}else{c=Echo.Sync.Extent.toPixels(b.y,false)+"px"}return a+" "+c}else{return null}},getRepeat:function(a){if(this._REPEAT_VALUES[a.repeat]){return this._REPEAT_VALUES[a.repeat]}else{return null}},getUrl:function(a){if(a==null){return null}return typeof(a)=="object"?a.url:a},render:function(f,e,c){if(f==null){return}var b=typeof(f)=="object";var d=b?f.url:f;if(Core.Web.Env.QUIRK_IE_SECURE_ITEMS&&document.location.protocol=="https:"){if(d.substring(0,5)!="http:"&&d.substring(0,6)!="https:"){d=document.location.protocol+"//"+document.location.hostname+(document.location.port?(":"+document.location.port):"")+d}}if(Core.Web.Env.PROPRIETARY_IE_PNG_ALPHA_FILTER_REQUIRED&&c&&(c&this.FLAG_ENABLE_IE_PNG_ALPHA_FILTER)){e.style.filter="progid:DXImageTransform.Microsoft.AlphaImageLoader(src='"+d+"', sizingMethod='scale')"}else{e.style.backgroundImage="url("+d+")"}if(b){var a=Echo.Sync.FillImage.getPosition(f);e.style.backgroundPosition=a?a:"";e.style.backgroundRepeat=this._REPEAT_VALUES[f.repeat]?this._REPEAT_VALUES[f.repeat]:""}},renderClear:function(c,b,a){if(c){this.render(c,b,a)}else{if(Core.Web.Env.PROPRIETARY_IE_PNG_ALPHA_FILTER_REQUIRED){b.style.filter=""}b.style.backgroundImage="";b.style.backgroundPosition="";b.style.backgroundRepeat=""}}};Echo.Sync.FillImageBorder={_NAMES:["top","topRight","right","bottomRight","bottom","bottomLeft","left","topLeft"],_MAP:[[0,0,0,0,0,0,0,0],[1,0,0,0,0,0,0,0],[0,0,1,0,0,0,0,0],[1,1,1,0,0,0,0,0],[0,0,0,0,1,0,0,0],[1,0,0,0,1,0,0,0],[0,0,1,1,1,0,0,0],[1,1,1,1,1,0,0,0],[0,0,0,0,0,0,1,0],[1,0,0,0,0,0,1,1],[0,0,1,0,0,0,1,0],[1,1,1,0,0,0,1,1],[0,0,0,0,1,1,1,0],[1,0,0,0,1,1,1,1],[0,0,1,1,1,1,1,0],[1,1,1,1,1,1,1,1]],_PROTOTYPES:[],_createSegment:function(b,a){var c=document.createElement("div");c.style.cssText="font-size:1px;line-height:0;position:absolute;"+a;b.appendChild(c)},_createPrototype:function(a){var b=document.createElement("div");if(Core.Web.Env.QUIRK_IE_HAS_LAYOUT){b.style.zoom=1}if(a&1){this._createSegment(b,"top:0;");if(a&2){this._createSegment(b,"top:0;right:0;")}}if(a&2){this._createSegment(b,"right:0;");if(a&4){this._createSegment(b,"bottom:0;right:0;")}}if(a&4){this._createSegment(b,"bottom:0;");if(a&8){this._createSegment(b,"bottom:0;left:0;")}}if(a&8){this._createSegment(b,"left:0;");if(a&1){this._createSegment(b,"top:0;left:0;")}}return b},getBorder:function(c){var a=[];var b=c.firstChild;while(b){if(b.__FIB_segment!=null){a[b.__FIB_segment]=b}b=b.nextSibling}return a},getContainerContent:function(b){if(!b.__FIB_hasContent){return null}var a=b.firstChild;while(a){if(a.__FIB_content){return a}a=a.nextSibling}return null},renderContainer:function(a,e){a=a||{};e=e||{};var j=Echo.Sync.Insets.toPixels(a.borderInsets);var p=(j.left&&8)|(j.bottom&&4)|(j.right&&2)|(j.top&&1);var c=this._MAP[p];var h=this._PROTOTYPES[p]?this._PROTOTYPES[p]:this._PROTOTYPES[p]=this._createPrototype(p);var b,d,l,o,k,n=null,g=[],m=null,r,f;if(e.update){b=e.update;d=b.firstChild;while(d){r=d;d=d.nextSibling;if(r.__FIB_segment!=null){m=d;b.removeChild(r)}if(r.__FIB_content){n=r}}d=h.firstChild;while(d){l=d.cloneNode(true);if(!o){o=l}if(m){b.insertBefore(l,m)}else{b.appendChild(l)}d=d.nextSibling}}else{b=h.cloneNode(true);o=b.firstChild;if(e.content||e.child){n=document.createElement("div");n.__FIB_content=true;if(e.child){n.appendChild(e.child)}b.__FIB_hasContent=true;b.appendChild(n)}if(e.absolute){b.__FIB_absolute=true;b.style.position="absolute"}else{b.style.position="relative";if(n){n.style.position="relative";if(Core.Web.Env.QUIRK_IE_HAS_LAYOUT){n.style.zoom=1}}}}b.__key=p;d=o;for(k=0;k<8;++k){if(!c[k]){continue}d.__FIB_segment=k;g[k]=d;if(a.color){d.style.backgroundColor=a.color}if(k===0||k===1||k===7){d.style.height=j.top+"px"}else{if(k>=3&&k<=5){d.style.height=j.bottom+"px"}}if(k>=1&&k<=3){d.style.width=j.right+"px"}else{if(k>=5){d.style.width=j.left+"px"}}Echo.Sync.FillImage.render(a[this._NAMES[k]],d,Echo.Sync.FillImage.FLAG_ENABLE_IE_PNG_ALPHA_FILTER);d=d.nextSibling}if(j.top){g[0].style.left=j.left+"px";g[0].style.right=j.right+"px"}if(j.right){g[2].style.top=j.top+"px";g[2].style.bottom=j.bottom+"px"}if(j.bottom){g[4].style.left=j.left+"px";g[4].style.right=j.right+"px"}if(j.left){g[6].style.top=j.top+"px";g[6].style.bottom=j.bottom+"px"}if(b.__FIB_absolute){if(n){var q=Echo.Sync.Insets.toPixels(a.contentInsets);n.style.position="absolute";n.style.overflow="auto";n.style.top=q.top+"px";n.style.right=q.right+"px";n.style.bottom=q.bottom+"px";n.style.left=q.left+"px"}}else{if(n){Echo.Sync.Insets.render(a.contentInsets,n,"padding")}if(!e.update){b.style.position="relative";if(n){n.style.position="relative"}}}return b},renderContainerDisplay:function(d){var c;if(Core.Web.VirtualPosition.enabled){if(d.__FIB_absolute){Core.Web.VirtualPosition.redraw(d);if((c=this.getContainerContent(d))){Core.Web.VirtualPosition.redraw(c)}}var a=this.getBorder(d);for(var b=0;b<8;b+=2){if(a[b]){Core.Web.VirtualPosition.redraw(a[b])}}}}};Echo.Sync.Font={render:function(a,b){if(!a){return}if(a.typeface){if(a.typeface instanceof Array){b.style.fontFamily=a.typeface.join(",")}else{b.style.fontFamily=a.typeface}}if(a.size){b.style.fontSize=Echo.Sync.Extent.toCssValue(a.size)}if(a.bold){b.style.fontWeight="bold"}if(a.italic){b.style.fontStyle="italic"}if(a.underline){b.style.textDecoration="underline"}else{if(a.overline){b.style.textDecoration="overline"}else{if(a.lineThrough){b.style.textDecoration="line-through"}}}},renderClear:function(a,b){if(a){this.render(a,b);if(!a.typeface){b.style.fontFamily=""}if(!a.underline&&!a.overline&&!a.lineThrough){b.style.textDecoration=""}if(!a.bold){b.style.fontWeight=""}if(!a.size){b.style.fontSize=""}if(!a.italic){b.style.fontStyle=""}}else{b.style.fontFamily="";b.style.fontSize="";b.style.fontWeight="";b.style.fontStyle="";b.style.textDecoration=""}}};Echo.Sync.ImageReference={getUrl:function(a){return a?(typeof(a)=="string"?a:a.url):null},renderImg:function(a,b){if(!a){return}if(typeof(a)=="string"){b.src=a}else{b.src=a.url;if(a.width){b.style.width=Echo.Sync.Extent.toCssValue(a.width,true)}if(a.height){b.style.height=Echo.Sync.Extent.toCssValue(a.height,false)}}}};Echo.Sync.Insets={_FORMATTED_PIXEL_INSETS:/^(-?\d+px *){1,4}$/,_ZERO:{top:0,right:0,bottom:0,left:0},_INDEX_MAPS:{1:[0,0,0,0],2:[0,1,0,1],3:[0,1,2,1],4:[0,1,2,3]},render:function(a,b,d){switch(typeof(a)){case"number":b.style[d]=Math.round(a)+"px";break;case"string":if(this._FORMATTED_PIXEL_INSETS.test(a)){b.style[d]=a}else{var c=this.toPixels(a);b.style[d]=c.top+"px "+c.right+"px "+c.bottom+"px "+c.left+"px"}break}},renderPosition:function(a,b){var c=this.toPixels(a);b.style.top=c.top+"px";b.style.right=c.right+"px";b.style.bottom=c.bottom+"px";b.style.left=c.left+"px"},toCssValue:function(a){switch(typeof(a)){case"number":return a+"px";case"string":if(this._FORMATTED_PIXEL_INSETS.test(a)){return a}else{var b=this.toPixels(a);return b.top+"px "+b.right+"px "+b.bottom+"px "+b.left+"px"}break}return""},toPixels:function(a){if(a==null){return this._ZERO}else{if(typeof(a)=="number"){a=Math.round(a);return{top:a,right:a,bottom:a,left:a}}}a=a.split(" ");var b=this._INDEX_MAPS[a.length];return{top:Echo.Sync.Extent.toPixels(a[b[0]],false),right:Echo.Sync.Extent.toPixels(a[b[1]],true),bottom:Echo.Sync.Extent.toPixels(a[b[2]],false),left:Echo.Sync.Extent.toPixels(a[b[3]],true)}}};Echo.Sync.LayoutDirection={render:function(b,a){if(b){a.dir=b.isLeftToRight()?"ltr":"rtl"}}};Echo.Sync.TriCellTable=Core.extend({$static:{INVERTED:1,VERTICAL:2,LEADING_TRAILING:0,TRAILING_LEADING:1,TOP_BOTTOM:2,BOTTOM_TOP:3,_createTablePrototype:function(){var b=document.createElement("table");b.style.borderCollapse="collapse";b.style.padding="0";var a=document.createElement("tbody");b.appendChild(a);return b},getInvertedOrientation:function(c,b,a){return this.getOrientation(c,b,a)^this.INVERTED},getOrientation:function(e,d,b){var a=e.render(d,b);var c;if(a){switch(Echo.Sync.Alignment.getRenderedHorizontal(a,e)){case"left":return this.LEADING_TRAILING;case"right":return this.TRAILING_LEADING}switch(Echo.Sync.Alignment.getVertical(a,e)){case"top":return this.TOP_BOTTOM;case"bottom":return this.BOTTOM_TOP}}return e.getRenderLayoutDirection().isLeftToRight()?this.TRAILING_LEADING:this.LEADING_TRAILING}},$load:function(){this._tablePrototype=this._createTablePrototype()},tableElement:null,tbodyElement:null,$construct:function(c,b,a,d){this.tableElement=Echo.Sync.TriCellTable._tablePrototype.cloneNode(true);this.tbodyElement=this.tableElement.firstChild;if(a==null){this._configure2(c,b)}else{this._configure3(c,b,a,d)}},_addColumn:function(a,b){if(b!=null){a.appendChild(b)}},_addRow:function(b){if(b==null){return}var a=document.createElement("tr");a.appendChild(b);this.tbodyElement.appendChild(a)},_addSpacer:function(b,d,c){var a=document.createElement("div");if(c){a.style.cssText="width:1px;height:"+d+"px;font-size:1px;line-height:0;"}else{a.style.cssText="width:"+d+"px;height:1px;font-size:1px;line-height:0;"}b.appendChild(a)},_configure2:function(c,a){this.tdElements=[document.createElement("td"),document.createElement("td")];this.tdElements[0].style.padding="0";this.tdElements[1].style.padding="0";this.marginTdElements=[];if(a){this.marginTdElements[0]=document.createElement("td");this.marginTdElements[0].style.padding="0";if((c&Echo.Sync.TriCellTable.VERTICAL)===0){this.marginTdElements[0].style.width=a+"px";this._addSpacer(this.marginTdElements[0],a,false)}else{this.marginTdElements[0].style.height=a+"px";this._addSpacer(this.marginTdElements[0],a,true)}}if(c&Echo.Sync.TriCellTable.VERTICAL){if(c&Echo.Sync.TriCellTable.INVERTED){this._addRow(this.tdElements[1]);this._addRow(this.marginTdElements[0]);this._addRow(this.tdElements[0])}else{this._addRow(this.tdElements[0]);this._addRow(this.marginTdElements[0]);this._addRow(this.tdElements[1])}}else{var b=document.createElement("tr");if(c&Echo.Sync.TriCellTable.INVERTED){this._addColumn(b,this.tdElements[1]);this._addColumn(b,this.marginTdElements[0]);this._addColumn(b,this.tdElements[0])}else{this._addColumn(b,this.tdElements[0]);this._addColumn(b,this.marginTdElements[0]);this._addColumn(b,this.tdElements[1])}this.tbodyElement.appendChild(b)}},_configure3:function(g,d,c,h){this.tdElements=[];for(var b=0;b<3;++b){this.tdElements[b]=document.createElement("td");this.tdElements[b].style.padding="0"}this.marginTdElements=[];if(d||h!=null){if(d&&d>0){this.marginTdElements[0]=document.createElement("td");if(g&Echo.Sync.TriCellTable.VERTICAL){this.marginTdElements[0].style.height=d+"px";this._addSpacer(this.marginTdElements[0],d,true)}else{this.marginTdElements[0].style.width=d+"px";this._addSpacer(this.marginTdElements[0],d,false)}}if(h!=null&&h>0){this.marginTdElements[1]=document.createElement("td");if(g&Echo.Sync.TriCellTable.VERTICAL){this.marginTdElements[1].style.height=h+"px";this._addSpacer(this.marginTdElements[1],h,true)}else{this.marginTdElements[1].style.width=h+"px";this._addSpacer(this.marginTdElements[1],h,false)}}}if(g&Echo.Sync.TriCellTable.VERTICAL){if(c&Echo.Sync.TriCellTable.VERTICAL){if(c&Echo.Sync.TriCellTable.INVERTED){this._addRow(this.tdElements[2]);this._addRow(this.marginTdElements[1])}if(g&Echo.Sync.TriCellTable.INVERTED){this._addRow(this.tdElements[1]);this._addRow(this.marginTdElements[0]);this._addRow(this.tdElements[0])}else{this._addRow(this.tdElements[0]);this._addRow(this.marginTdElements[0]);this._addRow(this.tdElements[1])}if(!(c&Echo.Sync.TriCellTable.INVERTED)){this._addRow(this.marginTdElements[1]);this._addRow(this.tdElements[2])}}else{var f=(d&&d>0)?3:2;this.tdElements[2].rowSpan=f;if(this.marginTdElements[1]){this.marginTdElements[1].rowSpan=f}var e=document.createElement("tr");if(c&Echo.Sync.TriCellTable.INVERTED){this._addColumn(e,this.tdElements[2]);this._addColumn(e,this.marginTdElements[1]);if(g&Echo.Sync.TriCellTable.INVERTED){this._addColumn(e,this.tdElements[1])}else{this._addColumn(e,this.tdElements[0])}}else{if(g&Echo.Sync.TriCellTable.INVERTED){this._addColumn(e,this.tdElements[1])}else{this._addColumn(e,this.tdElements[0])}this._addColumn(e,this.marginTdElements[1]);this._addColumn(e,this.tdElements[2])}this.tbodyElement.appendChild(e);this._addRow(this.marginTdElements[0]);if(g&Echo.Sync.TriCellTable.INVERTED){this._addRow(this.tdElements[0])}else{this._addRow(this.tdElements[1])}}}else{if(c&Echo.Sync.TriCellTable.VERTICAL){var a=d?3:2;this.tdElements[2].setAttribute("colspan",a);if(this.marginTdElements[1]!=null){this.marginTdElements[1].setAttribute("colspan",a)}if(c&Echo.Sync.TriCellTable.INVERTED){this._addRow(this.tdElements[2]);this._addRow(this.marginTdElements[1])}e=document.createElement("tr");if((g&Echo.Sync.TriCellTable.INVERTED)===0){this._addColumn(e,this.tdElements[0]);this._addColumn(e,this.marginTdElements[0]);this._addColumn(e,this.tdElements[1])}else{this._addColumn(e,this.tdElements[1]);this._addColumn(e,this.marginTdElements[0]);this._addColumn(e,this.tdElements[0])}this.tbodyElement.appendChild(e);if(!(c&Echo.Sync.TriCellTable.INVERTED)){this._addRow(this.marginTdElements[1]);this._addRow(this.tdElements[2])}}else{e=document.createElement("tr");if(c&Echo.Sync.TriCellTable.INVERTED){this._addColumn(e,this.tdElements[2]);this._addColumn(e,this.marginTdElements[1])}if(g&Echo.Sync.TriCellTable.INVERTED){this._addColumn(e,this.tdElements[1]);this._addColumn(e,this.marginTdElements[0]);this._addColumn(e,this.tdElements[0])}else{this._addColumn(e,this.tdElements[0]);this._addColumn(e,this.marginTdElements[0]);this._addColumn(e,this.tdElements[1])}if(!(c&Echo.Sync.TriCellTable.INVERTED)){this._addColumn(e,this.marginTdElements[1]);this._addColumn(e,this.tdElements[2])}this.tbodyElement.appendChild(e)}}}});Echo.Serial={_translatorMap:{},_translatorTypeData:[],addPropertyTranslator:function(b,a){this._translatorMap[b]=a},addPropertyTranslatorByType:function(b,a){this._translatorTypeData.push(b,a)},getPropertyTranslator:function(a){return this._translatorMap[a]},getPropertyTranslatorByType:function(b){for(var a=0;a<this._translatorTypeData.length;a+=2){if(this._translatorTypeData[a]==b){return this._translatorTypeData[a+1]}}return null},loadComponent:function(d,c,g,h){if(!c.nodeName=="c"){throw new Error("Element is not a component.")}var i=c.getAttribute("t");var b=c.getAttribute("i");var j=Echo.ComponentFactory.newInstance(i,b);var f=j.getLocalStyleData();var e=c.firstChild;while(e){if(e.nodeType==1){switch(e.nodeName){case"c":var a=this.loadComponent(d,e,g,h);j.add(a);break;case"p":this.loadProperty(d,e,j,f,g);break;case"s":j.setStyleName(e.firstChild?e.firstChild.nodeValue:null);break;case"sr":j.setStyle(h?h[e.firstChild.nodeValue]:null);break;case"e":this._loadComponentEvent(d,e,j);break;case"en":j.setEnabled(e.firstChild.nodeValue=="true");break;case"locale":j.setLocale(e.firstChild?e.firstChild.nodeValue:null);break;case"dir":j.setLayoutDirection(e.firstChild?(e.firstChild.nodeValue=="rtl"?Echo.LayoutDirection.RTL:Echo.LayoutDirection.LTR):null);break;case"f":if(e.getAttribute("n")){j.focusNextId=e.getAttribute("n")}if(e.getAttribute("p")){j.focusPreviousId=e.getAttribute("p")}}}e=e.nextSibling}return j},_loadComponentEvent:function(a,c,b){if(a.addComponentListener){var d=c.getAttribute("t");a.addComponentListener(b,d)}},loadProperty:function(d,k,e,h,i){var a=k.getAttribute("n");var j=k.getAttribute("t");var g=k.getAttribute("x");var l;if(j){var f=Echo.Serial._translatorMap[j];if(!f){throw new Error("Translator not available for property type: "+j)}l=f.toProperty(d,k)}else{if(i){var c=k.getAttribute("r");if(c){l=i[c]}else{l=Echo.Serial.String.toProperty(d,k)}}else{l=Echo.Serial.String.toProperty(d,k)}}if(a){if(h){if(g==null){h[a]=l}else{var m=h[a];if(!m){m=[];h[a]=m}m[g]=l}}else{if(g==null){e.set(a,l)}else{e.setIndex(a,g,l)}}}else{var b=k.getAttribute("m");if(g==null){e[b](l)}else{e[b](g,l)}}},loadStyleSheet:function(c,b,a){var g=new Echo.StyleSheet();var f=b.firstChild;while(f){if(f.nodeType==1){if(f.nodeName=="s"){var e={};var d=f.firstChild;while(d){if(d.nodeType==1){if(d.nodeName=="p"){this.loadProperty(c,d,null,e,a)}}d=d.nextSibling}g.setStyle(f.getAttribute("n")||"",f.getAttribute("t"),e)}}f=f.nextSibling}return g},storeProperty:function(a,b,d){if(d==null){}else{if(typeof(d)=="object"){var c=null;if(d.className){c=this._translatorMap[d.className]}else{c=this.getPropertyTranslatorByType(d.constructor)}if(!c||!c.toXml){return}c.toXml(a,b,d)}else{b.appendChild(b.ownerDocument.createTextNode(d.toString()))}}}};Echo.Serial.PropertyTranslator=Core.extend({$abstract:true,$static:{toProperty:function(a,b){return null},toXml:null}});Echo.Serial.Null=Core.extend(Echo.Serial.PropertyTranslator,{$static:{toProperty:function(a,b){return null}},$load:function(){Echo.Serial.addPropertyTranslator("0",this)}});Echo.Serial.Boolean=Core.extend(Echo.Serial.PropertyTranslator,{$static:{toProperty:function(a,b){return b.firstChild.data=="true"}},$load:function(){Echo.Serial.addPropertyTranslator("b",this)}});Echo.Serial.Integer=Core.extend(Echo.Serial.PropertyTranslator,{$static:{toProperty:function(a,b){return parseInt(b.firstChild.data,10)}},$load:function(){Echo.Serial.addPropertyTranslator("i",this)}});Echo.Serial.Number=Core.extend(Echo.Serial.PropertyTranslator,{$static:{toProperty:function(a,b){return parseFloat(b.firstChild.data)}},$load:function(){Echo.Serial.addPropertyTranslator("n",this)}});Echo.Serial.String=Core.extend(Echo.Serial.PropertyTranslator,{$static:{toProperty:function(a,b){var d=b.firstChild;if(!d){return""}var c=d.data;while(d.nextSibling){d=d.nextSibling;c+=d.data}return c}},$load:function(){Echo.Serial.addPropertyTranslator("s",this)}});Echo.Serial.Date=Core.extend(Echo.Serial.PropertyTranslator,{$static:{_expr:/(\d{4})\.(\d{2}).(\d{2})/,toProperty:function(b,c){var d=Echo.Serial.String.toProperty(b,c);var a=this._expr.exec(d);if(!a){return null}return new Date(a[1],parseInt(a[2],10)-1,a[3])},toXml:function(a,b,c){b.appendChild(b.ownerDocument.createTextNode(c.getFullYear()+"."+(c.getMonth()+1)+"."+c.getDate()))}},$load:function(){Echo.Serial.addPropertyTranslator("d",this);Echo.Serial.addPropertyTranslatorByType(Date,this)}});Echo.Serial.Map=Core.extend(Echo.Serial.PropertyTranslator,{$static:{toProperty:function(a,b){var d={};var c=b.firstChild;while(c){if(c.nodeType!=1){continue}Echo.Serial.loadProperty(a,c,null,d,null);c=c.nextSibling}return d}},$load:function(){Echo.Serial.addPropertyTranslator("m",this)}});Echo.Serial.Alignment=Core.extend(Echo.Serial.PropertyTranslator,{$static:{_HORIZONTAL_MAP:{leading:"leading",trailing:"trailing",left:"left",center:"center",right:"right"},_VERTICAL_MAP:{top:"top",center:"middle",bottom:"bottom"},toProperty:function(a,c){var d=Core.Web.DOM.getChildElementByTagName(c,"a");var e=this._HORIZONTAL_MAP[d.getAttribute("h")];var b=this._VERTICAL_MAP[d.getAttribute("v")];if(e){if(b){return{horizontal:e,vertical:b}}return e}if(b){return b}return null}},$load:function(){Echo.Serial.addPropertyTranslator("Alignment",this);Echo.Serial.addPropertyTranslator("AL",this)}});Echo.Serial.Border=Core.extend(Echo.Serial.PropertyTranslator,{$static:{toProperty:function(a,b){if(b.firstChild.nodeType==3){return b.firstChild.data}else{if(b.getAttribute("v")){return b.getAttribute("v")}else{var d=Core.Web.DOM.getChildElementByTagName(b,"b");var c={};var e=d.getAttribute("t");if(e){c.top=e;e=d.getAttribute("r");if(e){c.right=e;e=d.getAttribute("b");if(e){c.bottom=e;e=d.getAttribute("l");if(e){c.left=e}}}}else{throw new Error("Invalid multi-sided border: no sides set.")}return c}}}},$load:function(){Echo.Serial.addPropertyTranslator("Border",this);Echo.Serial.addPropertyTranslator("BO",this)}});Echo.Serial.FillImage=Core.extend(Echo.Serial.PropertyTranslator,{$static:{parseElement:function(b,c){var d=c.getAttribute("u");if(b.decompressUrl){d=b.decompressUrl(d)}var e=c.getAttribute("r");var a=c.getAttribute("x");var f=c.getAttribute("y");if(e||a||f){return{url:d,repeat:e,x:a,y:f}}else{return d}},toProperty:function(a,b){var c=Core.Web.DOM.getChildElementByTagName(b,"fi");return this.parseElement(a,c)}},$load:function(){Echo.Serial.addPropertyTranslator("FillImage",this);Echo.Serial.addPropertyTranslator("FI",this)}});Echo.Serial.FillImageBorder=Core.extend(Echo.Serial.PropertyTranslator,{$static:{_NAMES:["topLeft","top","topRight","left","right","bottomLeft","bottom","bottomRight"],_parseElement:function(a,e){var d={contentInsets:e.getAttribute("ci")?e.getAttribute("ci"):null,borderInsets:e.getAttribute("bi")?e.getAttribute("bi"):null,color:e.getAttribute("bc")};var c=e.firstChild;var b=0;while(c){if(c.nodeType==1){if(c.nodeName=="fi"){d[this._NAMES[b]]=Echo.Serial.FillImage.parseElement(a,c);++b}else{if(c.nodeName=="null-fi"){++b}}}c=c.nextSibling}if(!(b===0||b==8)){throw new Error("Invalid FillImageBorder image count: "+b)}return d},toProperty:function(a,b){var c=Core.Web.DOM.getChildElementByTagName(b,"fib");return Echo.Serial.FillImageBorder._parseElement(a,c)}},$load:function(){Echo.Serial.addPropertyTranslator("FillImageBorder",this);Echo.Serial.addPropertyTranslator("FIB",this)}});Echo.Serial.Font=Core.extend(Echo.Serial.PropertyTranslator,{$static:{toProperty:function(b,d){var g=Core.Web.DOM.getChildElementByTagName(d,"f");var a=Core.Web.DOM.getChildElementsByTagName(g,"tf");var c={};if(a.length>1){c.typeface=[];for(var f=0;f<a.length;++f){c.typeface[f]=a[f].firstChild.data}}else{if(a.length==1){c.typeface=a[0].firstChild.data}}var e=g.getAttribute("sz");if(e){c.size=e}if(g.getAttribute("bo")){c.bold=true}if(g.getAttribute("it")){c.italic=true}if(g.getAttribute("un")){c.underline=true}if(g.getAttribute("ov")){c.overline=true}if(g.getAttribute("lt")){c.lineThrough=true}return c}},$load:function(){Echo.Serial.addPropertyTranslator("Font",this);Echo.Serial.addPropertyTranslator("F",this)}});Echo.Serial.ImageReference=Core.extend(Echo.Serial.PropertyTranslator,{$static:{toProperty:function(b,c){var d;if(c.firstChild.nodeType==1){var f=c.firstChild;d=f.firstChild.data;if(b.decompressUrl){d=b.decompressUrl(d)}var e=f.getAttribute("w");e=e?e:null;var a=f.getAttribute("h");a=a?a:null;if(e||a){return{url:d,width:e,height:a}}else{return d}}else{d=c.firstChild.data;return b.decompressUrl?b.decompressUrl(d):d}}},$load:function(){Echo.Serial.addPropertyTranslator("ImageReference",this);Echo.Serial.addPropertyTranslator("I",this)}});Echo.Serial.LayoutData=Core.extend(Echo.Serial.PropertyTranslator,{$static:{toProperty:function(a,b){var d={};var c=b.firstChild;while(c){if(c.nodeType==1){if(c.nodeName=="p"){Echo.Serial.loadProperty(a,c,null,d)}}c=c.nextSibling}return d}},$load:function(){Echo.Serial.addPropertyTranslator("LayoutData",this);Echo.Serial.addPropertyTranslator("L",this)}});Echo.Client=Core.extend({$static:{DEFAULT_CONFIGURATION:{"StopError.Message":"This application has been stopped due to an error.","WaitIndicator.Text":"Please wait...","Action.Continue":"Continue","Action.Restart":"Restart Application"},STYLE_CRITICAL:0,STYLE_MESSAGE:1,_activeClients:[],_globalWindowResizeListener:function(b){for(var a=0;a<Echo.Client._activeClients.length;++a){Echo.Client._activeClients[a]._windowResizeListener(b)}},windowId:null},$load:function(){Core.Web.DOM.addEventListener(window,"resize",this._globalWindowResizeListener,false);var b=/EchoWindowId=([0-9a-f]*\.[0-9a-f]*);/i;var a=b.exec(window.name||"");this.windowId=a&&a[1];if(!this.windowId){this.windowId=new Date().getTime().toString(16)+"."+parseInt(Math.random()*4294967296,10).toString(16);window.name=(window.name||"")+";EchoWindowId="+this.windowId+";"}},configuration:null,designMode:false,domainElement:null,application:null,_lastInputRestrictionId:0,_inputRestrictionCount:0,_inputRestrictionListeners:null,_inputRescriptionMap:null,_keyFocusedComponentId:null,_lastKeyCode:null,_processKeyRef:null,_waitIndicatorActive:false,_processApplicationFocusRef:null,parent:null,_waitIndicator:null,_preWaitIndicatorDelay:500,_waitIndicatorRunnable:null,_failed:false,$construct:function(){this.configuration={};for(var a in Echo.Client.DEFAULT_CONFIGURATION){this.configuration[a]=Echo.Client.DEFAULT_CONFIGURATION[a]}this._inputRestrictionMap={};this._processKeyRef=Core.method(this,this._processKey);this._processApplicationFocusRef=Core.method(this,this._processApplicationFocus);this._waitIndicator=new Echo.Client.DefaultWaitIndicator();this._waitIndicatorRunnable=new Core.Web.Scheduler.MethodRunnable(Core.method(this,this._waitIndicatorActivate),this._preWaitIndicatorDelay,false)},$abstract:true,$virtual:{getResourceUrl:function(a,b){if(this.parent){return this.parent.getResourceUrl(a,b)}else{return null}},verifyInput:function(a){if(this._inputRestrictionCount!==0){return false}if(a){return a.isActive()}else{return this.application.isActive()}},dispose:function(){this.configure(null,null);this._setWaitVisible(false)}},addElement:function(a){Core.Web.Event.add(a,"keypress",this._processKeyRef,false);Core.Web.Event.add(a,"keydown",this._processKeyRef,false);Core.Web.Event.add(a,"keyup",this._processKeyRef,false)},configure:function(a,b){if(this.application){Core.Arrays.remove(Echo.Client._activeClients,this);this.removeElement(this.domainElement);this.application.removeListener("focus",this._processApplicationFocusRef);this.application.doDispose();this.application.client=null}this.application=a;this.domainElement=b;if(this.application){this.application.client=this;this.application.doInit();this.application.addListener("focus",this._processApplicationFocusRef);this.addElement(this.domainElement);Echo.Client._activeClients.push(this)}},createInputRestriction:function(){this._setWaitVisible(true);var a=(++this._lastInputRestrictionId).toString();++this._inputRestrictionCount;this._inputRestrictionMap[a]=true;return a},displayError:function(n,o,i,h,g,b){n=n||document.body;var f=this.createInputRestriction();this._setWaitVisible(false);var k=document.createElement("div");k.style.cssText="position:absolute;z-index:32766;width:100%;height:100%;background-color:#000000;opacity:0.75";if(Core.Web.Env.PROPRIETARY_IE_OPACITY_FILTER_REQUIRED){k.style.filter="alpha(opacity=75)"}n.appendChild(k);var a=document.createElement("div");a.style.cssText="position:absolute;z-index:32767;width:100%;height:100%;overflow:hidden;";n.appendChild(a);var e=document.createElement("div");e.style.cssText="color:#ffffff;padding:20px 40px 0px;"+(b===Echo.Client.STYLE_MESSAGE?"border-bottom:4px solid #1f1faf;background-color:#1f1f5f":"border-bottom:4px solid #af1f1f;background-color:#5f1f1f");if(o){var m=document.createElement("div");m.style.cssText="font-weight: bold; margin-bottom:20px;";m.appendChild(document.createTextNode(o));e.appendChild(m)}if(i){var l=document.createElement("div");l.style.cssText="max-height:10em;overflow:auto;margin-bottom:20px;";l.appendChild(document.createTextNode(i));e.appendChild(l)}a.appendChild(e);if(h){var d=document.createElement("div");d.tabIndex="0";d.style.cssText="margin-bottom:20px;cursor:pointer;font-weight:bold;padding:2px 10px;"+(b===Echo.Client.STYLE_MESSAGE?"border: 1px outset #2f2faf;background-color:#2f2faf;":"border: 1px outset #af2f2f;background-color:#af2f2f;");d.appendChild(document.createTextNode(h));e.appendChild(d);var c=Core.method(this,function(p){if(p.type!="keypress"||p.keyCode==13){try{Core.Web.DOM.removeEventListener(d,"click",c,false);Core.Web.DOM.removeEventListener(d,"keypress",c,false);a.parentNode.removeChild(a);k.parentNode.removeChild(k);this.removeInputRestriction(f)}finally{if(g){g()}}}});Core.Web.DOM.addEventListener(d,"click",c,false);Core.Web.DOM.addEventListener(d,"keypress",c,false);Core.Web.DOM.focusElement(d)}var j=document.createElement("div");j.style.cssText="position:absolute;top:2px;right:8px;color:#ffffff;font-weight:bold;cursor:pointer;";j.appendChild(document.createTextNode("x"));Core.Web.DOM.addEventListener(j,"click",Core.method(this,function(){k.parentNode.removeChild(k);a.parentNode.removeChild(a)}),false);a.appendChild(j)},exec:function(b,c){var a=this.createInputRestriction();Core.Web.Library.exec(b,Core.method(this,function(d){if(d&&!d.success){this.fail("Cannot install library: "+d.url+" Exception: "+d.ex);return}this.removeInputRestriction(a);c()}))},fail:function(b){if(this._failed){return}this._failed=true;var a=this.domainElement;try{this.dispose()}finally{if(this.configuration["StopError.URI"]){window.location.href=this.configuration["StopError.URI"]}else{this.displayError(a,this.configuration["StopError.Message"],b,this.configuration["Action.Restart"],function(){window.location.reload()})}}},forceRedraw:function(){if(this.parent){this.parent.forceRedraw()}else{if(Core.Web.Env.QUIRK_IE_BLANK_SCREEN){if(this.domainElement&&this.domainElement.offsetHeight===0){var a=document.documentElement.style.display||"";document.documentElement.style.display="none";document.documentElement.style.display=a}}}},getWaitIndicator:function(){return this._waitIndicator},_processApplicationFocus:function(b){var a=this.application.getFocusedComponent();if(a&&a.peer&&a.peer.renderFocus){a.peer.renderFocus()}},_processKey:function(c){var a=c.type=="keyup",b=c.type=="keypress",g=this.application.getFocusedComponent(),f=true,d=null,i;if(b){i=this._lastKeyCode}else{i=this._lastKeyCode=Core.Web.Key.translateKeyCode(c.keyCode)}if(!a){if(i==8){var h=c.target.nodeName?c.target.nodeName.toLowerCase():null;if(h!="input"&&h!="textarea"){Core.Web.DOM.preventEventDefault(c)}}else{if(!b&&i==9){this.application.focusNext(c.shiftKey);Core.Web.DOM.preventEventDefault(c)}}if(b&&Core.Web.Env.QUIRK_KEY_PRESS_FIRED_FOR_SPECIAL_KEYS&&!c.charCode){return true}}if(!g){return true}if(a||b){if(this._keyFocusedComponentId!=g.renderId){return true}}else{this._keyFocusedComponentId=g.renderId}var j=b?"clientKeyPress":(a?"clientKeyUp":"clientKeyDown");while(g&&f){if(g.peer&&g.peer[j]){if(!d){d={type:c.type,source:this,keyCode:i,domEvent:c};if(b){d.charCode=Core.Web.Env.QUIRK_KEY_CODE_IS_CHAR_CODE?c.keyCode:c.charCode}}f=g.peer[j](d)}g=g.parent}return true},processUpdates:function(){var b=null;try{b=this.createInputRestriction();Echo.Render.processUpdates(this);this.removeInputRestriction(b);this.forceRedraw()}catch(a){if(a.lineNumber){Core.Debug.consoleWrite("Reported Line #: "+a.lineNumber);Core.Debug.consoleWrite("Evaluated Line #: "+(a.lineNumber-Core.Web.Library.evalLine)+" (if evaluated script)")}if(a.stack){Core.Debug.consoleWrite("Exception: "+a+", Stack Trace: "+a.stack)}this.fail("Exception during Client.processUpdates(): "+a.message);throw (a)}},registerRestrictionListener:function(b,a){if(!this._inputRestrictionListeners){this._inputRestrictionListeners={}}this._inputRestrictionListeners[b.renderId]=a},removeInputRestriction:function(c){if(this._inputRestrictionMap[c]===undefined){return}delete this._inputRestrictionMap[c];--this._inputRestrictionCount;if(this._inputRestrictionCount===0){this._setWaitVisible(false);if(this._inputRestrictionListeners){var b=this._inputRestrictionListeners;this._inputRestrictionListeners=null;for(var a in b){b[a]()}}}},_setWaitVisible:function(a){if(a){if(!this._waitIndicatorActive){this._waitIndicatorActive=true;Core.Web.Scheduler.add(this._waitIndicatorRunnable)}}else{if(this._waitIndicatorActive){this._waitIndicatorActive=false;Core.Web.Scheduler.remove(this._waitIndicatorRunnable);this._waitIndicator.deactivate(this);this.forceRedraw()}}},setWaitIndicator:function(a){if(this._waitIndicator){this._setWaitVisible(false);if(this._waitIndicator.dispose){this._waitIndicator.dispose(this)}}this._waitIndicator=a},removeElement:function(a){Core.Web.Event.remove(a,"keypress",this._processKeyRef,false);Core.Web.Event.remove(a,"keydown",this._processKeyRef,false);Core.Web.Event.remove(a,"keyup",this._processKeyRef,false)},_waitIndicatorActivate:function(){this._waitIndicator.activate(this)},_windowResizeListener:function(a){if(this.application.rootComponent.peer){Echo.Render.notifyResize(this.application.rootComponent)}}});Echo.Client.Timer=Core.extend({_times:null,_labels:null,$construct:function(){this._times=[new Date().getTime()];this._labels=["Start"]},mark:function(a){this._times.push(new Date().getTime());this._labels.push(a)},toString:function(){var a="";for(var b=1;b<this._times.length;++b){var c=this._times[b]-this._times[b-1];a+=this._labels[b]+":"+c+" "}a+="TOT:"+(this._times[this._times.length-1]-this._times[0])+"ms";return a}});Echo.Client.WaitIndicator=Core.extend({$abstract:{activate:function(a){},deactivate:function(a){}},$virtual:{dispose:null}});Echo.Client.DefaultWaitIndicator=Core.extend(Echo.Client.WaitIndicator,{$construct:function(){this._divElement=document.createElement("div");this._divElement.style.cssText="display: none;z-index:32000;position:absolute;top:30px;right:30px;width:200px;padding:20px;border:1px outset #abcdef;background-color:#abcdef;color:#000000;text-align:center;";this._textNode=document.createTextNode("");this._divElement.appendChild(this._textNode);this._fadeRunnable=new Core.Web.Scheduler.MethodRunnable(Core.method(this,this._tick),50,true);document.body.appendChild(this._divElement)},activate:function(a){if(a.configuration["WaitIndicator.Background"]){this._divElement.style.backgroundColor=a.configuration["WaitIndicator.Background"];this._divElement.style.borderColor=a.configuration["WaitIndicator.Background"]}if(a.configuration["WaitIndicator.Foreground"]){this._divElement.style.color=a.configuration["WaitIndicator.Foreground"]}this._textNode.nodeValue=a.configuration["WaitIndicator.Text"];this._divElement.style.display="block";Core.Web.Scheduler.add(this._fadeRunnable);this._opacity=0},deactivate:function(a){this._divElement.style.display="none";Core.Web.Scheduler.remove(this._fadeRunnable)},dispose:function(a){if(this._divElement&&this._divElement.parentNode){this._divElement.parentNode.removeChild(this._divElement)}this._divElement=null;this._textNode=null},_tick:function(){++this._opacity;var a=1-(Math.abs((this._opacity%40)-20)/30);if(!Core.Web.Env.PROPRIETARY_IE_OPACITY_FILTER_REQUIRED){this._divElement.style.opacity=a}}});Echo.FreeClient=Core.extend(Echo.Client,{_processUpdateRef:null,_doRenderRef:null,_resourcePaths:null,_renderPending:false,$construct:function(a,b){Echo.Client.call(this);this._doRenderRef=Core.method(this,this._doRender);this._processUpdateRef=Core.method(this,this._processUpdate);this.configure(a,b);this._processUpdate()},addResourcePath:function(a,b){if(!this._resourcePaths){this._resourcePaths={}}this._resourcePaths[a]=b},dispose:function(){this.application.updateManager.removeUpdateListener(this._processUpdateRef);Echo.Render.renderComponentDispose(null,this.application.rootComponent);Echo.Client.prototype.dispose.call(this)},_doRender:function(){if(this.application){this.processUpdates();this._renderPending=false}},getResourceUrl:function(a,b){if(this._resourcePaths&&this._resourcePaths[a]){return this._resourcePaths[a]+b}else{return Echo.Client.prototype.getResourceUrl.call(this,a,b)}},init:function(){Core.Web.init();this.application.updateManager.addUpdateListener(this._processUpdateRef)},loadStyleSheet:function(a){var b=new Core.Web.HttpConnection(a,"GET");b.addResponseListener(Core.method(this,this._processStyleSheet));b.connect()},_processStyleSheet:function(b){if(!b.valid){throw new Error("Received invalid response from StyleSheet HTTP request.")}var a=b.source.getResponseXml().documentElement;var c=Echo.Serial.loadStyleSheet(this,a);this.application.setStyleSheet(c)},_processUpdate:function(a){if(!this._renderPending){this._renderPending=true;Core.Web.Scheduler.run(this._doRenderRef)}}});Echo.Arc={};Echo.Arc.Application=Core.extend(Echo.Application,{arcSync:null,isActive:function(){if(!this.arcSync.component.isActive()){return false}else{return Echo.Application.prototype.isActive.call(this)}}});Echo.Arc.Client=Core.extend(Echo.FreeClient,{arcSync:null,verifyInput:function(b,a){if(!this.arcSync.client.verifyInput(this.arcSync.component,a)){return false}return Echo.FreeClient.prototype.verifyInput.call(this,b,a)}});Echo.Arc.ComponentSync=Core.extend(Echo.Render.ComponentSync,{arcApplication:null,arcClient:null,baseComponent:null,_defaultDomainElement:null,_applicationFocusRef:null,$abstract:{createComponent:function(){}},$virtual:{getDomainElement:function(){if(!this._defaultDomainElement){this._defaultDomainElement=document.createElement("div")}return this._defaultDomainElement},_processApplicationFocus:function(a){if(a.source==this.component.application){if(a.newValue!=this.component){this.arcApplication.setFocusedComponent(null)}}else{if(a.source==this.arcApplication&&a.newValue){this.component.application.setFocusedComponent(this.component)}}},renderAdd:function(c,a){var b=this.getDomainElement();a.appendChild(b)},renderDisplay:function(){if(this.arcApplication){if(!this.baseComponent.peer){return}Echo.Render.renderComponentDisplay(this.baseComponent)}else{this.arcApplication=new Echo.Arc.Application();this.arcApplication.arcSync=this;this.arcApplication.setStyleSheet(this.client.application.getStyleSheet());this.baseComponent=this.createComponent();if(!this.baseComponent){throw new Error("Invalid base component: null")}this.arcApplication.rootComponent.add(this.baseComponent);this.arcClient=new Echo.Arc.Client(this.arcApplication,this.getDomainElement());this.arcClient.arcSync=this;this.arcClient.parent=this.client;this.arcClient.init();this._applicationFocusRef=Core.method(this,this._processApplicationFocus);this.arcApplication.addListener("focus",this._applicationFocusRef);this.client.application.addListener("focus",this._applicationFocusRef)}},renderDispose:function(a){if(this._applicationFocusRef){this.arcApplication.removeListener("focus",this._applicationFocusRef);this.client.application.removeListener("focus",this._applicationFocusRef);this._applicationFocusRef=null}if(this.arcClient){this.arcClient.dispose();this.arcClient=null}if(this.arcApplication){this.arcApplication.arcSync=null;this.arcApplication=null;this.baseComponent=null}this._defaultDomainElement=null},renderHide:function(){if(this.arcApplication){if(!this.baseComponent.peer){return}Echo.Render.renderComponentHide(this.baseComponent)}},renderUpdate:function(c){var a=this.getDomainElement();var b=a.parentNode;Echo.Render.renderComponentDispose(c,c.parent);b.removeChild(a);this.renderAdd(c,b)}}});Echo.Arc.ChildContainer=Core.extend(Echo.Component,{$load:function(){Echo.ComponentFactory.registerType("ArcChildContainer",this)},componentType:"ArcChildContainer"});Echo.Arc.ChildContainerPeer=Core.extend(Echo.Render.ComponentSync,{$load:function(){Echo.Render.registerPeer("ArcChildContainer",this)},renderAdd:function(c,a){this._div=document.createElement("div");var b=this.component.get("component");if(b){if(!b.parent||!b.parent.peer||!b.parent.peer.client){throw new Error("Invalid component: not part of registered hierarchy.")}Echo.Render.renderComponentAdd(null,b,this._div)}a.appendChild(this._div)},renderDisplay:function(){var a=this.component.get("component");if(a){Echo.Render.renderComponentDisplay(a)}},renderDispose:function(b){var a=this.component.get("component");if(a){Echo.Render.renderComponentDispose(null,a)}this._div=null},renderUpdate:function(a){}});Echo.Sync.ArrayContainer=Core.extend(Echo.Render.ComponentSync,{$abstract:{cellElementNodeName:null,renderChildLayoutData:function(b,a){}},$virtual:{prevFocusKey:null,prevFocusFlag:null,nextFocusKey:null,nextFocusFlag:null,invertFocusRtl:false},element:null,containerElement:null,spacingPrototype:null,cellSpacing:null,_childIdToElementMap:null,clientKeyDown:function(f){switch(f.keyCode){case this.prevFocusKey:case this.nextFocusKey:var a=f.keyCode==this.prevFocusKey;if(this.invertFocusRtl&&!this.component.getRenderLayoutDirection().isLeftToRight()){a=!a}var c=this.client.application.getFocusedComponent();if(c&&c.peer&&c.peer.getFocusFlags){var d=c.peer.getFocusFlags();if((a&&d&this.prevFocusFlag)||(!a&&d&this.nextFocusFlag)){var b=this.client.application.focusManager.findInParent(this.component,a);if(b){this.client.application.setFocusedComponent(b);Core.Web.DOM.preventEventDefault(f.domEvent);return false}}}break}return true},_renderAddChild:function(g,f,b){var a=document.createElement(this.cellElementNodeName);this._childIdToElementMap[f.renderId]=a;Echo.Render.renderComponentAdd(g,f,a);this.renderChildLayoutData(f,a);if(b!=null){var d;if(this.containerElement.childNodes.length>=3&&this.cellSpacing){d=(this.containerElement.childNodes.length+1)/2}else{d=this.containerElement.childNodes.length}if(b==d){b=null}}if(b==null||!this.containerElement.firstChild){if(this.cellSpacing&&this.containerElement.firstChild){this.containerElement.appendChild(this.spacingPrototype.cloneNode(false))}this.containerElement.appendChild(a)}else{var e=this.cellSpacing?b*2:b;var c=this.containerElement.childNodes[e];this.containerElement.insertBefore(a,c);if(this.cellSpacing){this.containerElement.insertBefore(this.spacingPrototype.cloneNode(false),c)}}},renderAddChildren:function(d){this._childIdToElementMap={};var a=this.component.getComponentCount();for(var b=0;b<a;++b){var c=this.component.getComponent(b);this._renderAddChild(d,c)}},renderDispose:function(a){this.element=null;this.containerElement=null;this._childIdToElementMap=null;this.spacingPrototype=null},_renderRemoveChild:function(c,b){var a=this._childIdToElementMap[b.renderId];if(!a){return}if(this.cellSpacing){if(a.previousSibling){this.containerElement.removeChild(a.previousSibling)}else{if(a.nextSibling){this.containerElement.removeChild(a.nextSibling)}}}this.containerElement.removeChild(a);delete this._childIdToElementMap[b.renderId]},renderUpdate:function(g){var c,d=false;if(g.hasUpdatedProperties()||g.hasUpdatedLayoutDataChildren()){d=true}else{var a=g.getRemovedChildren();if(a){for(c=0;c<a.length;++c){this._renderRemoveChild(g,a[c])}}var e=g.getAddedChildren();if(e){for(c=0;c<e.length;++c){this._renderAddChild(g,e[c],this.component.indexOf(e[c]))}}}if(d){var b=this.element;var f=b.parentNode;Echo.Render.renderComponentDispose(g,g.parent);f.removeChild(b);this.renderAdd(g,f)}return d}});Echo.Sync.Column=Core.extend(Echo.Sync.ArrayContainer,{$load:function(){Echo.Render.registerPeer("Column",this)},cellElementNodeName:"div",prevFocusKey:38,prevFocusFlag:Echo.Render.ComponentSync.FOCUS_PERMIT_ARROW_UP,nextFocusKey:40,nextFocusFlag:Echo.Render.ComponentSync.FOCUS_PERMIT_ARROW_DOWN,renderAdd:function(b,a){this.element=this.containerElement=document.createElement("div");this.element.id=this.component.renderId;this.element.style.outlineStyle="none";this.element.tabIndex="-1";Echo.Sync.renderComponentDefaults(this.component,this.element);Echo.Sync.Border.render(this.component.render("border"),this.element);Echo.Sync.Insets.render(this.component.render("insets"),this.element,"padding");this.cellSpacing=Echo.Sync.Extent.toPixels(this.component.render("cellSpacing"),false);if(this.cellSpacing){this.spacingPrototype=document.createElement("div");this.spacingPrototype.style.height=this.cellSpacing+"px";this.spacingPrototype.style.fontSize="1px";this.spacingPrototype.style.lineHeight="0"}this.renderAddChildren(b);a.appendChild(this.element)},renderChildLayoutData:function(c,a){var b=c.render("layoutData");if(b){Echo.Sync.Color.render(b.background,a,"backgroundColor");Echo.Sync.FillImage.render(b.backgroundImage,a);Echo.Sync.Insets.render(b.insets,a,"padding");Echo.Sync.Alignment.render(b.alignment,a,true,this.component);if(b.height){a.style.height=Echo.Sync.Extent.toPixels(b.height,false)+"px"}}}});Echo.Sync.Row=Core.extend(Echo.Sync.ArrayContainer,{$static:{_createRowPrototype:function(){var c=document.createElement("div");c.style.outlineStyle="none";c.tabIndex="-1";var b=document.createElement("table");b.style.borderCollapse="collapse";c.appendChild(b);var a=document.createElement("tbody");b.appendChild(a);a.appendChild(document.createElement("tr"));return c},_rowPrototype:null},$load:function(){this._rowPrototype=this._createRowPrototype();Echo.Render.registerPeer("Row",this)},cellElementNodeName:"td",prevFocusKey:37,prevFocusFlag:Echo.Render.ComponentSync.FOCUS_PERMIT_ARROW_LEFT,nextFocusKey:39,nextFocusFlag:Echo.Render.ComponentSync.FOCUS_PERMIT_ARROW_RIGHT,invertFocusRtl:true,renderAdd:function(b,a){this.element=Echo.Sync.Row._rowPrototype.cloneNode(true);this.element.id=this.component.renderId;Echo.Sync.renderComponentDefaults(this.component,this.element);Echo.Sync.Border.render(this.component.render("border"),this.element);Echo.Sync.Insets.render(this.component.render("insets"),this.element,"padding");Echo.Sync.Alignment.render(this.component.render("alignment"),this.element,true,this.component);this.containerElement=this.element.firstChild.firstChild.firstChild;this.cellSpacing=Echo.Sync.Extent.toPixels(this.component.render("cellSpacing"),false);if(this.cellSpacing){this.spacingPrototype=document.createElement("td");this.spacingPrototype.style.padding=0;this.spacingPrototype.style.width=this.cellSpacing+"px"}this.renderAddChildren(b);a.appendChild(this.element)},renderChildLayoutData:function(d,b){var c=d.render("layoutData");var a;if(c){a=c.insets;Echo.Sync.Color.render(c.background,b,"backgroundColor");Echo.Sync.FillImage.render(c.backgroundImage,b);Echo.Sync.Alignment.render(c.alignment,b,true,this.component);if(c.width){if(Echo.Sync.Extent.isPercent(c.width)){b.style.width=c.width;if(this.element.firstChild.style.width!="100%"){this.element.firstChild.style.width="100%"}}else{b.style.width=Echo.Sync.Extent.toPixels(c.width,true)+"px"}}}if(!a){a=0}Echo.Sync.Insets.render(a,b,"padding")}});Echo.Sync.Button=Core.extend(Echo.Render.ComponentSync,{$static:{_defaultIconTextMargin:5,_prototypeButton:null,_createPrototypeButton:function(){var a=document.createElement("div");a.tabIndex="0";a.style.outlineStyle="none";a.style.cursor="pointer";return a}},$load:function(){this._prototypeButton=this._createPrototypeButton();Echo.Render.registerPeer("Button",this)},enabled:null,div:null,_textElement:null,iconImg:null,_processRolloverExitRef:null,_processInitEventRef:null,_focused:false,$construct:function(){this._processInitEventRef=Core.method(this,this._processInitEvent)},$virtual:{doAction:function(){this.component.doAction()},renderContent:function(){var e=this.component.render("text");var d=Echo.Sync.getEffectProperty(this.component,"icon","disabledIcon",!this.enabled);if(e!=null){if(d){var a=this.component.render("iconTextMargin",Echo.Sync.Button._defaultIconTextMargin);var c=Echo.Sync.TriCellTable.getOrientation(this.component,"textPosition");var b=new Echo.Sync.TriCellTable(c,Echo.Sync.Extent.toPixels(a));this.renderButtonText(b.tdElements[0],e);this.iconImg=this.renderButtonIcon(b.tdElements[1],d);this.div.appendChild(b.tableElement)}else{this.renderButtonText(this.div,e)}}else{if(d){this.iconImg=this.renderButtonIcon(this.div,d)}}},setHighlightState:function(j,f){var h=this.component&&this.component.application&&this.component.application.getFocusedComponent()==this.component;var k=f?"pressed":(j?"rollover":"focused");var b=h||f||j;var g=Echo.Sync.getEffectProperty(this.component,"foreground",k+"Foreground",b);var c=Echo.Sync.getEffectProperty(this.component,"background",k+"Background",b);var i=Echo.Sync.getEffectProperty(this.component,"backgroundImage",k+"BackgroundImage",b);var d=Echo.Sync.getEffectProperty(this.component,"font",k+"Font",b);var e=Echo.Sync.getEffectProperty(this.component,"border",k+"Border",b);Echo.Sync.Color.renderClear(g,this.div,"color");Echo.Sync.Color.renderClear(c,this.div,"backgroundColor");Echo.Sync.FillImage.renderClear(i,this.div,"backgroundColor");if(b){Echo.Sync.Insets.render(this.getInsetsForBorder(this.component.render(k+"Border")),this.div,"padding")}else{Echo.Sync.Insets.render(this.component.render("insets"),this.div,"padding")}Echo.Sync.Border.renderClear(e,this.div);if(this._textElement){Echo.Sync.Font.renderClear(d,this._textElement)}if(this.iconImg){var a=Echo.Sync.ImageReference.getUrl(Echo.Sync.getEffectProperty(this.component,"icon",k+"Icon",b));if(a!=this.iconImg.src){this.iconImg.src=a}}}},_addEventListeners:function(){this._processRolloverExitRef=Core.method(this,this._processRolloverExit);Core.Web.Event.remove(this.div,"focus",this._processInitEventRef);Core.Web.Event.remove(this.div,"mouseover",this._processInitEventRef);Core.Web.Event.add(this.div,"click",Core.method(this,this._processClick),false);if(this.component.render("rolloverEnabled")){Core.Web.Event.add(this.div,Core.Web.Env.PROPRIETARY_EVENT_MOUSE_ENTER_LEAVE_SUPPORTED?"mouseenter":"mouseover",Core.method(this,this._processRolloverEnter),false);Core.Web.Event.add(this.div,Core.Web.Env.PROPRIETARY_EVENT_MOUSE_ENTER_LEAVE_SUPPORTED?"mouseleave":"mouseout",Core.method(this,this._processRolloverExit),false)}if(this.component.render("pressedEnabled")){Core.Web.Event.add(this.div,"mousedown",Core.method(this,this._processPress),false);Core.Web.Event.add(this.div,"mouseup",Core.method(this,this._processRelease),false)}Core.Web.Event.add(this.div,"focus",Core.method(this,this._processFocus),false);Core.Web.Event.add(this.div,"blur",Core.method(this,this._processBlur),false);Core.Web.Event.Selection.disable(this.div)},clientKeyDown:function(a){if(!this.client||!this.client.verifyInput(this.component)){return true}if(a.keyCode==13){this.doAction();return false}else{return true}},getFocusFlags:function(){return Echo.Render.ComponentSync.FOCUS_PERMIT_ARROW_ALL},getInsetsForBorder:function(c){var b=this.component.render("border");if(!c){return this.component.render("insets")}var d=Echo.Sync.Insets.toPixels(this.component.render("insets"));for(var a in d){d[a]+=Echo.Sync.Border.getPixelSize(b,a)-Echo.Sync.Border.getPixelSize(c,a);if(d[a]<0){d[a]=0}}return d.top+" "+d.right+" "+d.bottom+" "+d.left},_processBlur:function(a){this._focused=false;this.setHighlightState(false,false)},_processClick:function(a){if(!this.client||!this.client.verifyInput(this.component)){return true}this.client.application.setFocusedComponent(this.component);this.doAction()},_processFocus:function(a){if(!this.client||!this.client.verifyInput(this.component)){return true}this.client.application.setFocusedComponent(this.component);this.setHighlightState(false,false)},_processInitEvent:function(a){this._addEventListeners();switch(a.type){case"focus":this._processFocus(a);break;case"mouseover":if(this.component.render("rolloverEnabled")){this._processRolloverEnter(a)}break}},_processPress:function(a){if(!this.client||!this.client.verifyInput(this.component)){return true}Core.Web.DOM.preventEventDefault(a);this.setHighlightState(false,true)},_processRelease:function(a){if(!this.client){return true}this.setHighlightState(false,false)},_processRolloverEnter:function(a){if(!this.client||!this.client.verifyInput(this.component)||Core.Web.dragInProgress){return true}this.client.application.addListener("focus",this._processRolloverExitRef);this.setHighlightState(true,false);return true},_processRolloverExit:function(a){if(!this.client||!this.client.application){return true}if(this._processRolloverExitRef){this.client.application.removeListener("focus",this._processRolloverExitRef)}this.setHighlightState(false,false);return true},renderAdd:function(e,b){this.enabled=this.component.isRenderEnabled();this.div=Echo.Sync.Button._prototypeButton.cloneNode(false);this.div.id=this.component.renderId;Echo.Sync.LayoutDirection.render(this.component.getLayoutDirection(),this.div);if(this.enabled){Echo.Sync.Color.renderFB(this.component,this.div);Echo.Sync.Border.render(this.component.render("border"),this.div);Echo.Sync.FillImage.render(this.component.render("backgroundImage"),this.div)}else{this.div.style.cursor="auto";Echo.Sync.Color.render(Echo.Sync.getEffectProperty(this.component,"foreground","disabledForeground",true),this.div,"color");Echo.Sync.Color.render(Echo.Sync.getEffectProperty(this.component,"background","disabledBackground",true),this.div,"backgroundColor");Echo.Sync.Border.render(Echo.Sync.getEffectProperty(this.component,"border","disabledBorder",true),this.div);Echo.Sync.FillImage.render(Echo.Sync.getEffectProperty(this.component,"backgroundImage","disabledBackgroundImage",true),this.div)}Echo.Sync.Insets.render(this.component.render("insets"),this.div,"padding");Echo.Sync.Alignment.render(this.component.render("alignment"),this.div,true,this.component);var d=this.component.render("toolTipText");if(d){this.div.title=d}var c=this.component.render("width");if(c){this.div.style.width=Echo.Sync.Extent.toCssValue(c,true,true)}var a=this.component.render("height");if(a){this.div.style.height=Echo.Sync.Extent.toCssValue(a,false);this.div.style.overflow="hidden"}this.renderContent();if(this.enabled){Core.Web.Event.add(this.div,"focus",this._processInitEventRef,false);Core.Web.Event.add(this.div,"mouseover",this._processInitEventRef,false)}b.appendChild(this.div)},renderButtonText:function(a,c){this._textElement=a;var b=this.component.render("textAlignment");if(b){Echo.Sync.Alignment.render(b,a,true,this.component)}if(this.enabled){Echo.Sync.Font.render(this.component.render("font"),this._textElement)}else{Echo.Sync.Font.render(Echo.Sync.getEffectProperty(this.component,"font","disabledFont",true),this._textElement)}a.appendChild(document.createTextNode(c));if(!this.component.render("lineWrap",true)){a.style.whiteSpace="nowrap"}},renderButtonIcon:function(a,b){var d=this.component.render("alignment");if(d){Echo.Sync.Alignment.render(d,a,true,this.component)}var c=document.createElement("img");Echo.Sync.ImageReference.renderImg(b,c);a.appendChild(c);return c},renderDispose:function(a){if(this._processRolloverExitRef){this.client.application.removeListener("focus",this._processRolloverExitRef)}Core.Web.Event.removeAll(this.div);this._focused=false;this.div=null;this._textElement=null;this.iconImg=null},renderFocus:function(){if(this._focused){return}Core.Web.DOM.focusElement(this.div);this._focused=true},renderUpdate:function(c){var a=this.div;var b=a.parentNode;this.renderDispose(c);b.removeChild(a);this.renderAdd(c,b);return false}});Echo.Sync.Composite=Core.extend(Echo.Render.ComponentSync,{$load:function(){Echo.Render.registerPeer("Composite",this)},div:null,contentDiv:null,$virtual:{renderStyle:function(){Echo.Sync.renderComponentDefaults(this.component,this.div)}},renderAdd:function(b,a){this.div=this.contentDiv=document.createElement("div");this.div.id=this.component.renderId;if(this.component.children.length!==0){this.renderStyle();Echo.Render.renderComponentAdd(b,this.component.children[0],this.contentDiv)}a.appendChild(this.div)},renderDispose:function(a){this.contentDiv=null;this.div=null},renderUpdate:function(c){var a=this.div;var b=a.parentNode;Echo.Render.renderComponentDispose(c,c.parent);b.removeChild(a);this.renderAdd(c,b);return true}});Echo.Sync.Panel=Core.extend(Echo.Sync.Composite,{$load:function(){Echo.Render.registerPeer("Panel",this)},renderDisplay:function(){if(this._imageBorder){Echo.Sync.FillImageBorder.renderContainerDisplay(this.div)}},renderStyle:function(){this._imageBorder=this.component.render("imageBorder");var e=this.component.children.length!==0?this.component.children[0]:null;var b=this.component.render("width");var a=this.component.render("height");if(Echo.Sync.Extent.isPercent(a)){a=null}if(e&&e.pane){this.div.style.position="relative";if(!a){a="10em"}}if(b||a){this.contentDiv.style.overflow="hidden";if(a&&this._imageBorder){var d=Echo.Sync.Insets.toPixels(this._imageBorder.contentInsets);var c=Echo.Sync.Extent.toPixels(a)-d.top-d.bottom;if(!e||!e.pane){d=Echo.Sync.Insets.toPixels(this.component.render("insets"));c-=d.top+d.bottom}this.contentDiv.style.height=c+"px"}}if(this._imageBorder){this.div=Echo.Sync.FillImageBorder.renderContainer(this._imageBorder,{child:this.contentDiv})}else{Echo.Sync.Border.render(this.component.render("border"),this.contentDiv)}Echo.Sync.renderComponentDefaults(this.component,this.contentDiv);if(!e||!e.pane){Echo.Sync.Insets.render(this.component.render("insets"),this.contentDiv,"padding")}Echo.Sync.Alignment.render(this.component.render("alignment"),this.contentDiv,true,this.component);Echo.Sync.FillImage.render(this.component.render("backgroundImage"),this.contentDiv);Echo.Sync.Extent.render(b,this.div,"width",true,true);Echo.Sync.Extent.render(a,this.div,"height",false,false)}});Echo.Sync.ContentPane=Core.extend(Echo.Render.ComponentSync,{$load:function(){Echo.Render.registerPeer("ContentPane",this)},_floatingPaneStack:null,_zIndexRenderRequired:false,$construct:function(){this._floatingPaneStack=[]},getSize:function(){return new Core.Web.Measure.Bounds(this._div)},raise:function(a){if(this._floatingPaneStack[this._floatingPaneStack.length-1]==a){return}Core.Arrays.remove(this._floatingPaneStack,a);this._floatingPaneStack.push(a);this._renderFloatingPaneZIndices();this._storeFloatingPaneZIndices()},renderAdd:function(g,a){var d;this._div=document.createElement("div");this._div.id=this.component.renderId;this._div.style.position="absolute";this._div.style.width="100%";this._div.style.height="100%";this._div.style.overflow="hidden";this._div.style.zIndex="0";Echo.Sync.renderComponentDefaults(this.component,this._div);var c=this.component.render("background");var e=this.component.render("backgroundImage");Echo.Sync.FillImage.render(e,this._div);if(!c&&!e){Echo.Sync.FillImage.render(this.client.getResourceUrl("Echo","resource/Transparent.gif"),this._div)}this._childIdToElementMap={};var b=this.component.getComponentCount();for(d=0;d<b;++d){var f=this.component.getComponent(d);this._renderAddChild(g,f)}this._pendingScrollX=this.component.render("horizontalScroll");this._pendingScrollY=this.component.render("verticalScroll");a.appendChild(this._div);if(this._zIndexRenderRequired){this._renderFloatingPaneZIndices()}},_renderAddChild:function(c,a){var e=document.createElement("div");this._childIdToElementMap[a.renderId]=e;e.style.position="absolute";if(a.floatingPane){var h=a.render("zIndex");if(h!=null){var j=false;var d=0;while(d<this._floatingPaneStack.length&&!j){var f=this._floatingPaneStack[d].render("zIndex");if(f!=null&&f>h){this._floatingPaneStack.splice(d,0,a);j=true}++d}if(!j){this._floatingPaneStack.push(a)}}else{this._floatingPaneStack.push(a)}e.style.zIndex="1";e.style.left=e.style.top=0;this._zIndexRenderRequired=true}else{var b=this.component.render("insets",0);var g=Echo.Sync.Insets.toPixels(b);e.style.zIndex="0";e.style.left=g.left+"px";e.style.top=g.top+"px";e.style.bottom=g.bottom+"px";e.style.right=g.right+"px";if(a.pane){e.style.overflow="hidden"}else{switch(this.component.render("overflow")){case Echo.ContentPane.OVERFLOW_HIDDEN:e.style.overflow="hidden";break;case Echo.ContentPane.OVERFLOW_SCROLL:e.style.overflow="scroll";break;default:e.style.overflow="auto";break}}}Echo.Render.renderComponentAdd(c,a,e);this._div.appendChild(e)},renderDisplay:function(){var h=this._div.firstChild;while(h){Core.Web.VirtualPosition.redraw(h);h=h.nextSibling}if(this._pendingScrollX||this._pendingScrollY){var c=this.component.getComponentCount();for(var d=0;d<c;++d){h=this.component.getComponent(d);if(!h.floatingPane){var f=this._childIdToElementMap[h.renderId];var b,e;if(this._pendingScrollX){var a=Echo.Sync.Extent.toPixels(this._pendingScrollX);if(Echo.Sync.Extent.isPercent(this._pendingScrollX)||a<0){e=a<0?100:parseInt(this._pendingScrollX,10);b=Math.round((f.scrollWidth-f.offsetWidth)*e/100);if(b>0){f.scrollLeft=b;if(Core.Web.Env.ENGINE_MSHTML){b=Math.round((f.scrollWidth-f.offsetWidth)*e/100);f.scrollLeft=b}}}else{f.scrollLeft=a}this._pendingScrollX=null}if(this._pendingScrollY){var g=Echo.Sync.Extent.toPixels(this._pendingScrollY);if(Echo.Sync.Extent.isPercent(this._pendingScrollY)||g<0){e=g<0?100:parseInt(this._pendingScrollY,10);b=Math.round((f.scrollHeight-f.offsetHeight)*e/100);if(b>0){f.scrollTop=b;if(Core.Web.Env.ENGINE_MSHTML){b=Math.round((f.scrollHeight-f.offsetHeight)*e/100);f.scrollTop=b}}}else{f.scrollTop=g}this._pendingScrollY=null}break}}}},renderDispose:function(a){this._childIdToElementMap=null;this._div=null},_renderFloatingPaneZIndices:function(){for(var b=0;b<this._floatingPaneStack.length;++b){var a=this._childIdToElementMap[this._floatingPaneStack[b].renderId];a.style.zIndex=2+b}this._zIndexRenderRequired=false},_renderRemoveChild:function(d,c){if(c.floatingPane){Core.Arrays.remove(this._floatingPaneStack,c)}var a=this._childIdToElementMap[c.renderId];if(!a){return}var b=false;if(c.peer.renderContentPaneRemove){b=c.peer.renderContentPaneRemove(this._childIdToElementMap[c.renderId],Core.method(this,function(){a.parentNode.removeChild(a)}))}if(!b){a.parentNode.removeChild(a)}delete this._childIdToElementMap[c.renderId]},renderUpdate:function(g){var c,d=false;if(g.hasUpdatedProperties()||g.hasUpdatedLayoutDataChildren()){d=true}else{var a=g.getRemovedChildren();if(a){for(c=0;c<a.length;++c){this._renderRemoveChild(g,a[c])}}var e=g.getAddedChildren();g.renderContext.displayRequired=[];if(e){for(c=0;c<e.length;++c){if(!e[c].floatingPane){g.renderContext.displayRequired=null}this._renderAddChild(g,e[c],this.component.indexOf(e[c]));if(g.renderContext.displayRequired){g.renderContext.displayRequired.push(e[c])}}if(this._zIndexRenderRequired){this._renderFloatingPaneZIndices()}}}if(d){this._floatingPaneStack=[];var b=this._div;var f=b.parentNode;Echo.Render.renderComponentDispose(g,g.parent);f.removeChild(b);this.renderAdd(g,f)}return d},_storeFloatingPaneZIndices:function(){for(var a=0;a<this._floatingPaneStack.length;++a){this._floatingPaneStack[a].set("zIndex",a)}}});Echo.Sync.Grid=Core.extend(Echo.Render.ComponentSync,{$static:{_createPrototypeTable:function(){var c=document.createElement("div");var a=document.createElement("table");a.style.outlineStyle="none";a.tabIndex="-1";a.style.borderCollapse="collapse";var b=document.createElement("colgroup");a.appendChild(b);a.appendChild(document.createElement("tbody"));c.appendChild(a);return c},Processor:Core.extend({$static:{Cell:Core.extend({xSpan:null,ySpan:null,index:null,component:null,$construct:function(c,b,d,a){this.component=c;this.index=b;this.xSpan=d;this.ySpan=a}})},cellArrays:null,grid:null,gridXSize:null,gridYSize:null,xExtents:null,yExtents:null,horizontalOrientation:null,$construct:function(b){this.grid=b;this.cellArrays=[];this.horizontalOrientation=b.render("orientation")!=Echo.Grid.ORIENTATION_VERTICAL;var a=this.createCells();if(a==null){this.gridXSize=0;this.gridYSize=0;return}this.renderCellMatrix(a);this.calculateExtents();this.reduceY();this.reduceX()},addExtents:function(e,c,d){var f=Echo.Sync.Extent.isPercent(e),g=Echo.Sync.Extent.isPercent(c);if(f||g){if(f&&g){return(parseFloat(e)+parseFloat(c))+"%"}else{return f?e:c}}else{return Echo.Sync.Extent.toPixels(e)+Echo.Sync.Extent.toPixels(c)}},calculateExtents:function(){var c,b=this.horizontalOrientation?"columnWidth":"rowHeight",a=this.horizontalOrientation?"rowHeight":"columnWidth";this.xExtents=[];for(c=0;c<this.gridXSize;++c){this.xExtents.push(this.grid.renderIndex(b,c))}this.yExtents=[];for(c=0;c<this.gridYSize;++c){this.yExtents.push(this.grid.renderIndex(a,c))}},createCells:function(){var b=this.grid.getComponentCount();if(b===0){return null}var c=[];for(var d=0;d<b;++d){var g=this.grid.getComponent(d);var f=g.render("layoutData");if(f){var e=this.horizontalOrientation?f.columnSpan:f.rowSpan;var a=this.horizontalOrientation?f.rowSpan:f.columnSpan;c.push(new Echo.Sync.Grid.Processor.Cell(g,d,e?e:1,a?a:1))}else{c.push(new Echo.Sync.Grid.Processor.Cell(g,d,1,1))}}return c},_getCellArray:function(a){while(a>=this.cellArrays.length){this.cellArrays.push([])}return this.cellArrays[a]},getColumnCount:function(){return this.horizontalOrientation?this.gridXSize:this.gridYSize},getCell:function(a,b){if(this.horizontalOrientation){return this.cellArrays[b][a]}else{return this.cellArrays[a][b]}},getRowCount:function(){return this.horizontalOrientation?this.gridYSize:this.gridXSize},reduceX:function(){var c=[],b=1,g,e=this.cellArrays[0].length;while(b<e){g=0;var f=true;while(g<this.cellArrays.length){if(this.cellArrays[g][b]!=this.cellArrays[g][b-1]){f=false;break}++g}if(f){c[b]=true}++b}if(c.length===0){return}for(var a=this.gridXSize-1;a>=1;--a){if(!c[a]){continue}for(g=0;g<this.gridYSize;++g){if(g===0||this.cellArrays[g][a-1]!=this.cellArrays[g-1][a-1]){if(this.cellArrays[g][a-1]!=null){--this.cellArrays[g][a-1].xSpan}}this.cellArrays[g].splice(a,1)}var d=this.xExtents.splice(a,1)[0];if(d){this.xExtents[a-1]=this.addExtents(this.xExtents[a-1],d,this.horizontalOrientation?true:false)}--this.gridXSize}},reduceY:function(){var h=[],e=1,g,j=this.cellArrays.length,i,c=this.cellArrays[0];while(e<j){i=c;c=this.cellArrays[e];g=0;var f=true;while(g<c.length){if(c[g]!=i[g]){f=false;break}++g}if(f){h[e]=true}++e}if(h.length===0){return}for(var d=this.gridYSize-1;d>=0;--d){if(!h[d]){continue}var b=this.cellArrays[d-1];for(g=0;g<this.gridXSize;++g){if(g===0||b[g]!=b[g-1]){if(b[g]!=null){--b[g].ySpan}}}this.cellArrays.splice(d,1);var a=this.yExtents.splice(d,1)[0];if(a){this.yExtents[d-1]=this.addExtents(this.yExtents[d-1],a,this.horizontalOrientation?false:true)}--this.gridYSize}},renderCellMatrix:function(i){this.gridXSize=parseInt(this.grid.render("size",2),10);var g=0,f=0,b,e,h=this._getCellArray(f);for(var c=0;c<i.length;++c){if(i[c].xSpan==Echo.Grid.SPAN_FILL||i[c].xSpan>this.gridXSize-g){i[c].xSpan=this.gridXSize-g}if(i[c].xSpan<1){i[c].xSpan=1}if(i[c].ySpan<1){i[c].ySpan=1}if(i[c].xSpan!=1||i[c].ySpan!=1){for(b=1;b<i[c].xSpan;++b){if(h[g+b]!=null){i[c].xSpan=b;break}}for(e=0;e<i[c].ySpan;++e){var d=this._getCellArray(f+e);for(b=0;b<i[c].xSpan;++b){d[g+b]=i[c]}}}h[g]=i[c];if(c<i.length-1){var a=false;while(!a){if(g<this.gridXSize-1){++g}else{g=0;++f;h=this._getCellArray(f)}a=h[g]==null}}}this.gridYSize=this.cellArrays.length}})},$load:function(){this._prototypeTable=this._createPrototypeTable();Echo.Render.registerPeer("Grid",this)},_columnCount:null,_rowCount:null,clientKeyDown:function(f){var a,c,d,b;switch(f.keyCode){case 37:case 39:a=this.component.getRenderLayoutDirection().isLeftToRight()?f.keyCode==37:f.keyCode==39;c=this.client.application.getFocusedComponent();if(c&&c.peer&&c.peer.getFocusFlags){d=c.peer.getFocusFlags();if((a&&d&Echo.Render.ComponentSync.FOCUS_PERMIT_ARROW_LEFT)||(!a&&d&Echo.Render.ComponentSync.FOCUS_PERMIT_ARROW_RIGHT)){b=this.client.application.focusManager.findInParent(this.component,a);if(b){this.client.application.setFocusedComponent(b);Core.Web.DOM.preventEventDefault(f.domEvent);return false}}}break;case 38:case 40:a=f.keyCode==38;c=this.client.application.getFocusedComponent();if(c&&c.peer&&c.peer.getFocusFlags){d=c.peer.getFocusFlags();if((a&&d&Echo.Render.ComponentSync.FOCUS_PERMIT_ARROW_UP)||(!a&&d&Echo.Render.ComponentSync.FOCUS_PERMIT_ARROW_DOWN)){b=this.client.application.focusManager.findInParent(this.component,a,this._columnCount);if(b){this.client.application.setFocusedComponent(b);Core.Web.DOM.preventEventDefault(f.domEvent);return false}}}break}return true},renderAdd:function(o,j){var g=new Echo.Sync.Grid.Processor(this.component),m=Echo.Sync.Insets.toCssValue(this.component.render("insets",0)),f,l=this.component.render("border",""),u=this.component.render("width"),r=this.component.render("height"),n,z;f=Echo.Sync.Insets.toPixels(m);this._columnCount=g.getColumnCount();this._rowCount=g.getRowCount();this._div=Echo.Sync.Grid._prototypeTable.cloneNode(true);this._div.id=this.component.renderId;var y=this._div.firstChild;Echo.Sync.renderComponentDefaults(this.component,y);Echo.Sync.Border.render(l,y);y.style.padding=m;if(u&&Core.Web.Env.QUIRK_IE_TABLE_PERCENT_WIDTH_SCROLLBAR_ERROR&&Echo.Sync.Extent.isPercent(u)){this._div.style.zoom=1}if(u){if(Echo.Sync.Extent.isPercent(u)){y.style.width=u}else{y.style.width=Echo.Sync.Extent.toCssValue(u,true)}}if(r){if(Echo.Sync.Extent.isPercent(r)){y.style.height=r}else{y.style.height=Echo.Sync.Extent.toCssValue(r,false)}}var t=y.firstChild;for(z=0;z<this._columnCount;++z){var k=document.createElement("col");u=g.xExtents[z];if(u!=null){if(Echo.Sync.Extent.isPercent(u)){k.style.width=u.toString()}else{var x=Echo.Sync.Extent.toPixels(u,true);if(Core.Web.Env.QUIRK_TABLE_CELL_WIDTH_EXCLUDES_PADDING){x-=f.left+f.right;if(x<0){x=0}}k.style.width=x+"px"}}t.appendChild(k)}var b=t.nextSibling;var q=parseInt(this.component.render("size",2),10);var c;var e={};var a,s;if(g.horizontalOrientation){a="colSpan";s="rowSpan"}else{a="rowSpan";s="colSpan"}var w=document.createElement("td");Echo.Sync.Border.render(l,w);w.style.padding=m;for(var p=0;p<this._rowCount;++p){c=document.createElement("tr");r=g.yExtents[p];if(r){c.style.height=Echo.Sync.Extent.toCssValue(r,false)}b.appendChild(c);for(z=0;z<this._columnCount;++z){var d=g.getCell(z,p);if(d==null){n=document.createElement("td");c.appendChild(n);continue}if(e[d.component.renderId]){continue}e[d.component.renderId]=true;n=w.cloneNode(false);if(d.xSpan>1){n.setAttribute(a,d.xSpan)}if(d.ySpan>1){n.setAttribute(s,d.ySpan)}var v=d.component.render("layoutData");if(v){var i=g.xExtents[z];if(Core.Web.Env.QUIRK_TABLE_CELL_WIDTH_EXCLUDES_PADDING&&i&&!Echo.Sync.Extent.isPercent(i)){var h=Echo.Sync.Insets.toPixels(v.insets);if(f.left+f.right<h.left+h.right){n.style.width=(Echo.Sync.Extent.toPixels(i)-(h.left+h.right))+"px"}}Echo.Sync.Insets.render(v.insets,n,"padding");Echo.Sync.Alignment.render(v.alignment,n,true,this.component);Echo.Sync.FillImage.render(v.backgroundImage,n);Echo.Sync.Color.render(v.background,n,"backgroundColor")}Echo.Render.renderComponentAdd(o,d.component,n);c.appendChild(n)}}j.appendChild(this._div)},renderDispose:function(a){this._div=null},renderUpdate:function(c){var a=this._div;var b=a.parentNode;Echo.Render.renderComponentDispose(c,c.parent);b.removeChild(a);this.renderAdd(c,b);return true}});Echo.Sync.Label=Core.extend(Echo.Render.ComponentSync,{$static:{_defaultIconTextMargin:5},$load:function(){Echo.Render.registerPeer("Label",this)},_node:null,_formatWhitespace:function(e,c){e=e.replace(/\t/g," \u00a0 \u00a0");e=e.replace(/ {2}/g," \u00a0");var b=e.split("\n");for(var d=0;d<b.length;d++){var a=b[d];if(d>0){c.appendChild(document.createElement("br"))}if(a.length>0){c.appendChild(document.createTextNode(a))}}},renderAdd:function(g,l){this._containerElement=l;var k=this.component.render("icon"),m=this.component.render("text"),i=this.component.render("foreground"),b=this.component.render("background"),a=this.component.render("toolTipText"),h;if(m!=null){var n=this.component.render("lineWrap",true);var f=this.component.render("formatWhitespace",false)&&(m.indexOf(" ")!=-1||m.indexOf("\n")!=-1||m.indexOf("\t")!=-1);if(k){var e=this.component.render("iconTextMargin",Echo.Sync.Label._defaultIconTextMargin);var c=Echo.Sync.TriCellTable.getOrientation(this.component,"textPosition");var j=new Echo.Sync.TriCellTable(c,Echo.Sync.Extent.toPixels(e));h=document.createElement("img");Echo.Sync.ImageReference.renderImg(k,h);if(f){this._formatWhitespace(m,j.tdElements[0])}else{j.tdElements[0].appendChild(document.createTextNode(m))}if(!n){j.tdElements[0].style.whiteSpace="nowrap"}j.tdElements[1].appendChild(h);this._node=j.tableElement;this._node.id=this.component.renderId;Echo.Sync.renderComponentDefaults(this.component,this._node)}else{var d=this.component.render("font");if(!this.client.designMode&&!a&&!d&&n&&!i&&!b&&!f&&!this.component.getLayoutDirection()){this._node=document.createTextNode(m)}else{this._node=document.createElement("span");this._node.id=this.component.renderId;if(f){this._formatWhitespace(m,this._node)}else{this._node.appendChild(document.createTextNode(m))}if(!n){this._node.style.whiteSpace="nowrap"}Echo.Sync.renderComponentDefaults(this.component,this._node)}}}else{if(k){h=document.createElement("img");Echo.Sync.ImageReference.renderImg(k,h);this._node=document.createElement("span");this._node.id=this.component.renderId;this._node.appendChild(h);Echo.Sync.Color.render(this.component.render("background"),this._node,"backgroundColor")}else{if(this.client.designMode){this._node=document.createElement("span");this._node.id=this.component.renderId}else{this._node=null}}}if(this._node){if(a){this._node.title=a}l.appendChild(this._node)}},renderDispose:function(a){this._containerElement=null;this._node=null},renderUpdate:function(a){if(this._node){this._node.parentNode.removeChild(this._node)}this.renderAdd(a,this._containerElement);return false}});Echo.Sync.ListComponent=Core.extend(Echo.Render.ComponentSync,{$static:{DEFAULT_DIV_BORDER:"1px solid #7f7f7f",DEFAULT_SELECTED_BACKGROUND:"#0a246a",DEFAULT_SELECTED_FOREGROUND:"#ffffff"},$abstract:{listBox:null},_hasRenderedSelectedItems:false,_multipleSelect:false,_selectedIdPriority:false,_alternateRender:false,_element:null,_div:null,_focused:false,_getSelection:function(){var d=this._selectedIdPriority?null:this.component.get("selection");if(d==null){var b=this.component.get("selectedId");if(b){var a=this.component.get("items");for(var c=0;c<a.length;++c){if(a[c].id==b){d=c;break}}}if(d==null){d=this.listBox?[]:0}}return d},_processBlur:function(a){this._focused=false},_processClick:function(d){if(!this.client||!this.client.verifyInput(this.component)){Core.Web.DOM.preventEventDefault(d);this._renderSelection();return true}var f=this._div.firstChild;var b=0;while(f){if(f==d.target){break}f=f.nextSibling;++b}if(f==null){return}if(this._multipleSelect&&d.ctrlKey){var c=this._getSelection();if(c==null){c=[]}else{if(!(c instanceof Array)){c=[c]}else{c=c.slice()}}var a=Core.Arrays.indexOf(c,b);if(a==-1){c.push(b)}else{c.splice(a,1)}}else{c=b}this._setSelection(c);this.component.doAction();this._renderSelection()},_processChange:function(c){if(!this.client||!this.client.verifyInput(this.component)){Core.Web.DOM.preventEventDefault(c);this._renderSelection();return false}var b;if(this._multipleSelect){b=[];for(var a=0;a<this._element.options.length;++a){if(this._element.options[a].selected){b.push(a)}}}else{if(this._element.selectedIndex!=-1){b=this._element.selectedIndex}}this._setSelection(b);this.component.doAction()},_processFocus:function(a){this._focused=true;if(!this.client||!this.client.verifyInput(this.component)){return true}this.client.application.setFocusedComponent(this.component)},_processSelectStart:function(a){Core.Web.DOM.preventEventDefault(a)},renderAdd:function(b,a){this._multipleSelect=this.component.get("selectionMode")==Echo.ListBox.MULTIPLE_SELECTION;if(this.listBox&&Core.Web.Env.QUIRK_IE_SELECT_LIST_DOM_UPDATE){this._alternateRender=true}this._enabled=this.component.isRenderEnabled();if(this._alternateRender){this._renderMainAsDiv(b,a)}else{this._renderMainAsSelect(b,a)}},renderDisplay:function(){this._renderSelection()},renderDispose:function(a){Core.Web.Event.removeAll(this._element);this._element=null;if(this._div){Core.Web.Event.removeAll(this._div);this._div=null}},renderFocus:function(){if(this._focused){return}this._focused=true;Core.Web.DOM.focusElement(this._element)},_renderMainAsDiv:function(e,j){this._element=document.createElement("table");this._element.id=this.component.renderId;var a=document.createElement("tbody");this._element.appendChild(a);var g=document.createElement("tr");a.appendChild(g);var c=document.createElement("td");g.appendChild(c);this._div=document.createElement("div");c.appendChild(this._div);this._div.style.cssText="cursor:default;overflow:auto;";this._div.style.height=Echo.Sync.Extent.toCssValue(this.component.render("height","6em"),false,false);var b=this.component.render("width");if(!Echo.Sync.Extent.isPercent(b)){this._div.style.width=Echo.Sync.Extent.toCssValue(b,true,false)}if(this._enabled){Echo.Sync.renderComponentDefaults(this.component,this._element)}else{Echo.Sync.LayoutDirection.render(this.component.getLayoutDirection(),this._element);Echo.Sync.Color.render(Echo.Sync.getEffectProperty(this.component,"foreground","disabledForeground",true),this._div,"color");Echo.Sync.Color.render(Echo.Sync.getEffectProperty(this.component,"background","disabledBackground",true),this._div,"backgroundColor");Echo.Sync.Font.render(Echo.Sync.getEffectProperty(this.component,"font","disabledFont",true),this._div)}Echo.Sync.Border.render(Echo.Sync.getEffectProperty(this.component,"border","disabledBorder",!this._enabled,Echo.Sync.ListComponent.DEFAULT_DIV_BORDER,null),this._div);Echo.Sync.Insets.render(this.component.render("insets"),this._div,"padding");var h=this.component.get("items");if(h){for(var f=0;f<h.length;++f){var d=document.createElement("div");if(h[f].text){d.appendChild(document.createTextNode(h[f].text))}else{d.appendChild(document.createTextNode(h[f].toString()))}if(h[f].foreground){Echo.Sync.Color.render(h[f].foreground,d,"color")}if(h[f].background){Echo.Sync.Color.render(h[f].background,d,"backgroundColor")}if(h[f].font){Echo.Sync.Font.render(h[f].font,d)}this._div.appendChild(d)}}if(this._enabled){Core.Web.Event.add(this._element,"blur",Core.method(this,this._processBlur),false);Core.Web.Event.add(this._element,"focus",Core.method(this,this._processFocus),false);Core.Web.Event.add(this._div,"click",Core.method(this,this._processClick),false);Core.Web.Event.add(this._div,"selectstart",Core.method(this,this._processSelectStart),false)}j.appendChild(this._element)},_renderMainAsSelect:function(f,b){this._element=document.createElement("select");this._element.id=this.component.renderId;this._element.size=this.listBox?6:1;if(!this._enabled){this._element.disabled=true}if(this._multipleSelect){this._element.multiple="multiple"}this._element.style.height=Echo.Sync.Extent.toCssValue(this.component.render("height"),false,false);var e=this.component.render("width");if(e){if(Echo.Sync.Extent.isPercent(e)){if(!Core.Web.Env.QUIRK_IE_SELECT_PERCENT_WIDTH){this._element.style.width=e}}else{this._element.style.width=Echo.Sync.Extent.toCssValue(e,true,false)}}if(this._enabled){Echo.Sync.renderComponentDefaults(this.component,this._element)}else{Echo.Sync.LayoutDirection.render(this.component.getLayoutDirection(),this._element);Echo.Sync.Color.render(Echo.Sync.getEffectProperty(this.component,"foreground","disabledForeground",true),this._element,"color");Echo.Sync.Color.render(Echo.Sync.getEffectProperty(this.component,"background","disabledBackground",true),this._element,"backgroundColor");Echo.Sync.Font.render(Echo.Sync.getEffectProperty(this.component,"font","disabledFont",true),this._element)}Echo.Sync.Border.render(Echo.Sync.getEffectProperty(this.component,"border","disabledBorder",!this._enabled),this._element);Echo.Sync.Insets.render(this.component.render("insets"),this._element,"padding");var c=this.component.get("items");if(c){for(var d=0;d<c.length;++d){var a=document.createElement("option");if(c[d].text==null){a.appendChild(document.createTextNode(c[d].toString()))}else{a.appendChild(document.createTextNode(c[d].text))}if(c[d].foreground){Echo.Sync.Color.render(c[d].foreground,a,"color")}if(c[d].background){Echo.Sync.Color.render(c[d].background,a,"backgroundColor")}if(c[d].font){Echo.Sync.Font.render(c[d].font,a)}this._element.appendChild(a)}}if(this._enabled){Core.Web.Event.add(this._element,"change",Core.method(this,this._processChange),false);Core.Web.Event.add(this._element,"blur",Core.method(this,this._processBlur),false);Core.Web.Event.add(this._element,"focus",Core.method(this,this._processFocus),false)}b.appendChild(this._element)},_renderSelection:function(){var c=this._getSelection(),b;if(this._alternateRender){if(this._hasRenderedSelectedItems){var a=this.component.get("items");for(b=0;b<a.length;++b){Echo.Sync.Color.renderClear(a[b].foreground,this._div.childNodes[b],"color");Echo.Sync.Color.renderClear(a[b].background,this._div.childNodes[b],"backgroundColor")}}if(c instanceof Array){for(b=0;b<c.length;++b){if(c[b]>=0&&c[b]<this._div.childNodes.length){Echo.Sync.Color.render(Echo.Sync.ListComponent.DEFAULT_SELECTED_FOREGROUND,this._div.childNodes[c[b]],"color");Echo.Sync.Color.render(Echo.Sync.ListComponent.DEFAULT_SELECTED_BACKGROUND,this._div.childNodes[c[b]],"backgroundColor")}}}else{if(c>=0&&c<this._div.childNodes.length){Echo.Sync.Color.render(Echo.Sync.ListComponent.DEFAULT_SELECTED_FOREGROUND,this._div.childNodes[c],"color");Echo.Sync.Color.render(Echo.Sync.ListComponent.DEFAULT_SELECTED_BACKGROUND,this._div.childNodes[c],"backgroundColor")}}}else{if(this._hasRenderedSelectedItems){this._element.selectedIndex=-1}if(c instanceof Array){for(b=0;b<c.length;++b){if(c[b]>=0&&c[b]<this._element.options.length){this._element.options[c[b]].selected=true}}}else{if(c>=0&&c<this._element.options.length){this._element.options[c].selected=true}}}this._hasRenderedSelectedItems=true},renderUpdate:function(c){if(c.getUpdatedProperty("selectedId")&&!c.getUpdatedProperty("selection")){this._selectedIdPriority=true}var a=this._element;var b=a.parentNode;this.renderDispose(c);b.removeChild(a);this.renderAdd(c,b);if(this._focused){Core.Web.DOM.focusElement(this._element)}return false},_setSelection:function(e){this._selectedIdPriority=false;var c=null;if(e instanceof Array&&e.length==1){e=e[0]}var b=this.component.get("items");if(e instanceof Array){c=[];for(var d=0;d<e.length;++d){var a=e[d];if(a<b.length){if(b[a].id!=null){c.push(b[a].id)}}}}else{if(e<b.length){if(b[e].id!=null){c=b[e].id}}}this.component.set("selection",e);this.component.set("selectedId",c)}});Echo.Sync.ListBox=Core.extend(Echo.Sync.ListComponent,{listBox:true,$load:function(){Echo.Render.registerPeer("ListBox",this)}});Echo.Sync.SelectField=Core.extend(Echo.Sync.ListComponent,{listBox:false,$load:function(){Echo.Render.registerPeer("SelectField",this)}});Echo.Sync.SplitPane=Core.extend(Echo.Render.ComponentSync,{$static:{ChildPane:Core.extend({minimumSize:0,maximumSize:null,component:null,layoutData:null,scrollLeft:0,scrollTop:0,scrollRequired:false,_permanentSizes:false,_peer:null,$construct:function(b,a){this._peer=b;this.component=a;this.layoutData=a.render("layoutData")},loadDisplayData:function(){if(this._permanentSizes){return}var a;this._permanentSizes=true;if(this.layoutData){if(this.layoutData.minimumSize){if(Echo.Sync.Extent.isPercent(this.layoutData.minimumSize)){a=this._peer._getSize();this.minimumSize=Math.round((this._peer._orientationVertical?a.height:a.width)*parseInt(this.layoutData.minimumSize,10)/100);this._permanentSizes=false}else{this.minimumSize=Math.round(Echo.Sync.Extent.toPixels(this.layoutData.minimumSize,!this._peer._orientationVertical))}}if(this.layoutData.maximumSize){if(Echo.Sync.Extent.isPercent(this.layoutData.maximumSize)){a=this._peer._getSize();this.maximumSize=Math.round((this._peer._orientationVertical?a.height:a.width)*parseInt(this.layoutData.maximumSize,10)/100);this._permanentSizes=false}else{this.maximumSize=Math.round(Echo.Sync.Extent.toPixels(this.layoutData.maximumSize,!this._peer._orientationVertical))}}}},loadScrollPositions:function(a){a.scrollLeft=this.scrollLeft;a.scrollTop=this.scrollTop},storeScrollPositions:function(a){this.scrollLeft=a.scrollLeft;this.scrollTop=a.scrollTop}})},$load:function(){Echo.Render.registerPeer("SplitPane",this)},_childPanes:null,_paneDivs:null,_separatorDiv:null,_autoPositioned:false,_overlay:null,_redisplayRequired:false,_requested:null,_rendered:null,_processSeparatorMouseMoveRef:null,_processSeparatorMouseUpRef:null,_initialAutoSizeComplete:false,_size:null,$construct:function(){this._childPanes=[];this._paneDivs=[];this._processSeparatorMouseMoveRef=Core.method(this,this._processSeparatorMouseMove);this._processSeparatorMouseUpRef=Core.method(this,this._processSeparatorMouseUp)},clientKeyDown:function(f){var a,c,d,b;switch(f.keyCode){case 37:case 39:if(!this._orientationVertical){a=(f.keyCode==37)^(!this._orientationTopLeft);c=this.client.application.getFocusedComponent();if(c&&c.peer&&c.peer.getFocusFlags){d=c.peer.getFocusFlags();if((a&&d&Echo.Render.ComponentSync.FOCUS_PERMIT_ARROW_LEFT)||(!a&&d&Echo.Render.ComponentSync.FOCUS_PERMIT_ARROW_RIGHT)){b=this.client.application.focusManager.findInParent(this.component,a);if(b){this.client.application.setFocusedComponent(b);Core.Web.DOM.preventEventDefault(f.domEvent);return false}}}}break;case 38:case 40:if(this._orientationVertical){a=(f.keyCode==38)^(!this._orientationTopLeft);c=this.client.application.getFocusedComponent();if(c&&c.peer&&c.peer.getFocusFlags){d=c.peer.getFocusFlags();if((a&&d&Echo.Render.ComponentSync.FOCUS_PERMIT_ARROW_UP)||(!a&&d&Echo.Render.ComponentSync.FOCUS_PERMIT_ARROW_DOWN)){b=this.client.application.focusManager.findInParent(this.component,a);if(b){this.client.application.setFocusedComponent(b);Core.Web.DOM.preventEventDefault(f.domEvent);return false}}}}break}return true},_getBoundedSeparatorPosition:function(a){if(this._childPanes[1]){var b=this._orientationVertical?this._getSize().height:this._getSize().width;if(a>b-this._childPanes[1].minimumSize-this._separatorSize){a=b-this._childPanes[1].minimumSize-this._separatorSize}else{if(this._childPanes[1].maximumSize!=null&&a<b-this._childPanes[1].maximumSize-this._separatorSize){a=b-this._childPanes[1].maximumSize-this._separatorSize}}}if(this._childPanes[0]){if(a<this._childPanes[0].minimumSize){a=this._childPanes[0].minimumSize}else{if(this._childPanes[0].maximumSize!=null&&a>this._childPanes[0].maximumSize){a=this._childPanes[0].maximumSize}}}return a},_getInsetsSizeAdjustment:function(a,d){if(!d||d.insets==null){return 0}var c=Echo.Sync.Insets.toPixels(d.insets);var b;if(this._orientationVertical){b=c.top+c.bottom}else{b=c.left+c.right}if(a!=null&&b>a){b=a}return b},getPreferredSize:function(h){if(this.component.children.length===0){return null}var e,b,g;h=h||(Echo.Render.ComponentSync.SIZE_WIDTH|Echo.Render.ComponentSync.SIZE_HEIGHT);var f;if(this.component.children[0].peer.getPreferredSize){f=this.component.children[0].peer.getPreferredSize(h)||{}}else{if(!this.component.children[0].pane&&(h&Echo.Render.ComponentSync.SIZE_HEIGHT)&&this._paneDivs[0].firstChild){e=new Core.Web.Measure.Bounds(this._paneDivs[0].firstChild);f={height:e.height===0?null:e.height};if(f.height){g=this.component.children[0].render("layoutData");if(g&&g.insets){b=Echo.Sync.Insets.toPixels(g.insets);f.height+=b.top+b.bottom}}}else{f={}}}var d;if(this.component.children.length==1){d={width:0,height:0}}else{if(this.component.children[1].peer.getPreferredSize){d=this.component.children[1].peer.getPreferredSize(h)||{}}else{if(!this.component.children[1].pane&&(h&Echo.Render.ComponentSync.SIZE_HEIGHT)&&this._paneDivs[1].firstChild){e=new Core.Web.Measure.Bounds(this._paneDivs[1].firstChild);d={height:e.height===0?null:e.height};if(d.height){g=this.component.children[1].render("layoutData");if(g&&g.insets){b=Echo.Sync.Insets.toPixels(g.insets);d.height+=b.top+b.bottom}}}else{d={}}}}var a=null;if((h&Echo.Render.ComponentSync.SIZE_HEIGHT)&&f.height!=null&&d.height!=null){if(this._orientationVertical){a=f.height+d.height+this._separatorSize}else{a=f.height>d.height?f.height:d.height}}var c=null;if((h&Echo.Render.ComponentSync.SIZE_WIDTH)&&f.width!=null&&d.width!=null){if(this._orientationVertical){c=f.width>d.width?f.width:d.width}else{c=f.width+d.width+this._separatorSize}}return{height:a,width:c}},_getSize:function(){if(!this._size){this._size=new Core.Web.Measure.Bounds(this._splitPaneDiv)}return this._size},_hasRelocatedChildren:function(f){var c=this._childPanes[0]?this._childPanes[0].component:null;var b=this._childPanes[1]?this._childPanes[1].component:null;var a=this.component.getComponentCount();var e=a>0?this.component.getComponent(0):null;var d=a>1?this.component.getComponent(1):null;return(c!=null&&c==d)||(b!=null&&b==e)},_loadRenderData:function(){var a=this.component.render("orientation",Echo.SplitPane.ORIENTATION_HORIZONTAL_LEADING_TRAILING);switch(a){case Echo.SplitPane.ORIENTATION_HORIZONTAL_LEADING_TRAILING:this._orientationTopLeft=this.component.getRenderLayoutDirection().isLeftToRight();this._orientationVertical=false;break;case Echo.SplitPane.ORIENTATION_HORIZONTAL_TRAILING_LEADING:this._orientationTopLeft=!this.component.getRenderLayoutDirection().isLeftToRight();this._orientationVertical=false;break;case Echo.SplitPane.ORIENTATION_HORIZONTAL_LEFT_RIGHT:this._orientationTopLeft=true;this._orientationVertical=false;break;case Echo.SplitPane.ORIENTATION_HORIZONTAL_RIGHT_LEFT:this._orientationTopLeft=false;this._orientationVertical=false;break;case Echo.SplitPane.ORIENTATION_VERTICAL_TOP_BOTTOM:this._orientationTopLeft=true;this._orientationVertical=true;break;case Echo.SplitPane.ORIENTATION_VERTICAL_BOTTOM_TOP:this._orientationTopLeft=false;this._orientationVertical=true;break;default:throw new Error("Invalid orientation: "+a)}this._resizable=this.component.render("resizable");this._autoPositioned=this.component.render("autoPositioned");this._requested=this.component.render("separatorPosition");var b=this._resizable?Echo.SplitPane.DEFAULT_SEPARATOR_SIZE_RESIZABLE:Echo.SplitPane.DEFAULT_SEPARATOR_SIZE_FIXED;var c=this.component.render(this._orientationVertical?"separatorHeight":"separatorWidth",b);this._separatorSize=Echo.Sync.Extent.toPixels(c,this._orientationVertical);if(this._separatorSize==null){this._separatorSize=b}this._separatorVisible=this._resizable||(this.component.render("separatorVisible",true)&&this._separatorSize>0);if(!this._separatorVisible){this._separatorSize=0}if(this._separatorSize>0){this._separatorColor=this.component.render("separatorColor",Echo.SplitPane.DEFAULT_SEPARATOR_COLOR);this._separatorRolloverColor=this.component.render("separatorRolloverColor")||Echo.Sync.Color.adjust(this._separatorColor,32,32,32);this._separatorImage=this.component.render(this._orientationVertical?"separatorVerticalImage":"separatorHorizontalImage");this._separatorRolloverImage=this.component.render(this._orientationVertical?"separatorVerticalRolloverImage":"separatorHorizontalRolloverImage")}},_overlayAdd:function(){if(this._overlay){return}this._overlay=document.createElement("div");this._overlay.style.cssText="position:absolute;z-index:32600;width:100%;height:100%;";Echo.Sync.FillImage.render(this.client.getResourceUrl("Echo","resource/Transparent.gif"),this._overlay);document.body.appendChild(this._overlay)},_overlayRemove:function(){if(!this._overlay){return}document.body.removeChild(this._overlay);this._overlay=null},_processSeparatorMouseDown:function(a){if(!this.client||!this.client.verifyInput(this.component)){return true}Core.Web.DOM.preventEventDefault(a);Core.Web.dragInProgress=true;this._dragInitPosition=this._rendered;if(this._orientationVertical){this._dragInitMouseOffset=a.clientY}else{this._dragInitMouseOffset=a.clientX}Core.Web.Event.add(document.body,"mousemove",this._processSeparatorMouseMoveRef,true);Core.Web.Event.add(document.body,"mouseup",this._processSeparatorMouseUpRef,true);this._overlayAdd()},_processSeparatorMouseMove:function(a){var b=this._orientationVertical?a.clientY:a.clientX;this._rendered=this._getBoundedSeparatorPosition(this._orientationTopLeft?this._dragInitPosition+b-this._dragInitMouseOffset:this._dragInitPosition-b+this._dragInitMouseOffset);this._redraw(this._rendered)},_processSeparatorMouseUp:function(a){Core.Web.DOM.preventEventDefault(a);this._overlayRemove();Core.Web.dragInProgress=false;this._removeSeparatorListeners();this.component.set("separatorPosition",this._rendered);this._requested=this._rendered;if(this._paneDivs[0]){Core.Web.VirtualPosition.redraw(this._paneDivs[0])}if(this._paneDivs[1]){Core.Web.VirtualPosition.redraw(this._paneDivs[1])}Echo.Render.notifyResize(this.component)},_processSeparatorRolloverEnter:function(a){if(!this.client||!this.client.verifyInput(this.component)){return true}if(this._separatorRolloverImage){Echo.Sync.FillImage.render(this._separatorRolloverImage,this._separatorDiv,0)}else{Echo.Sync.Color.render(this._separatorRolloverColor,this._separatorDiv,"backgroundColor")}},_processSeparatorRolloverExit:function(a){if(this._separatorRolloverImage){Echo.Sync.FillImage.renderClear(this._separatorImage,this._separatorDiv,0)}else{Echo.Sync.Color.render(this._separatorColor,this._separatorDiv,"backgroundColor")}},_redraw:function(b){var e=0;if(this.component.getComponentCount()>0){var d=this.component.getComponent(0).render("layoutData");e=this._getInsetsSizeAdjustment(b,d)}var a=this._orientationVertical?"height":"width";var c=this._orientationVertical?(this._orientationTopLeft?"top":"bottom"):(this._orientationTopLeft?"left":"right");if(this._paneDivs[0]){this._paneDivs[0].style[a]=(b-e)+"px"}if(this._paneDivs[1]){this._paneDivs[1].style[c]=(b+this._separatorSize)+"px"}if(this._separatorDiv){this._separatorDiv.style[c]=b+"px"}},_removeSeparatorListeners:function(){Core.Web.Event.remove(document.body,"mousemove",this._processSeparatorMouseMoveRef,true);Core.Web.Event.remove(document.body,"mouseup",this._processSeparatorMouseUpRef,true)},renderAdd:function(h,a){this._initialAutoSizeComplete=false;this._loadRenderData();var b=this.component.getComponentCount();if(b>2){throw new Error("Cannot render SplitPane with more than two child components.")}var f=b<1?null:this.component.getComponent(0);var d=b<2?null:this.component.getComponent(1);this._splitPaneDiv=document.createElement("div");this._splitPaneDiv.id=this.component.renderId;this._splitPaneDiv.style.cssText="position:absolute;overflow:hidden;top:0;left:0;right:0;bottom:0;";Echo.Sync.renderComponentDefaults(this.component,this._splitPaneDiv);if(this._separatorVisible){this._separatorDiv=document.createElement("div");this._separatorDiv.style.cssText="position:absolute;font-size:1px;line-height:0;z-index:2;";Echo.Sync.Color.render(this._separatorColor,this._separatorDiv,"backgroundColor");var e=null;if(this._orientationVertical){e=this._orientationTopLeft?"s-resize":"n-resize";this._separatorDiv.style.width="100%";this._separatorDiv.style.height=this._separatorSize+"px";Echo.Sync.FillImage.render(this._separatorImage,this._separatorDiv,0)}else{e=this._orientationTopLeft?"e-resize":"w-resize";this._separatorDiv.style.height="100%";this._separatorDiv.style.width=this._separatorSize+"px";Echo.Sync.FillImage.render(this._separatorImage,this._separatorDiv,0)}if(this._resizable&&e){this._separatorDiv.style.cursor=e}this._splitPaneDiv.appendChild(this._separatorDiv)}else{this._separatorDiv=null}for(var c=0;c<b&&c<2;++c){var g=this.component.getComponent(c);this._renderAddChild(h,g,c)}a.appendChild(this._splitPaneDiv);if(this._resizable){Core.Web.Event.add(this._separatorDiv,"mousedown",Core.method(this,this._processSeparatorMouseDown),false);Core.Web.Event.add(this._separatorDiv,"mouseover",Core.method(this,this._processSeparatorRolloverEnter),false);Core.Web.Event.add(this._separatorDiv,"mouseout",Core.method(this,this._processSeparatorRolloverExit),false)}},_renderAddChild:function(f,e,b){var d=this.component.indexOf(e);var a=document.createElement("div");this._paneDivs[b]=a;a.style.cssText="position: absolute; overflow: auto; z-index: 1;";var c=e.render("layoutData");if(c){Echo.Sync.Alignment.render(c.alignment,a,false,this.component);Echo.Sync.Color.render(c.background,a,"backgroundColor");Echo.Sync.FillImage.render(c.backgroundImage,a);if(!e.pane){Echo.Sync.Insets.render(c.insets,a,"padding");switch(c.overflow){case Echo.SplitPane.OVERFLOW_HIDDEN:a.style.overflow="hidden";break;case Echo.SplitPane.OVERFLOW_SCROLL:a.style.overflow="scroll";break}}}if(e.pane){a.style.overflow="hidden"}if(this._orientationVertical){a.style.left=0;a.style.right=0;if((this._orientationTopLeft&&b===0)||(!this._orientationTopLeft&&b==1)){a.style.top=0}else{a.style.bottom=0}}else{a.style.top="0";a.style.bottom="0";if((this._orientationTopLeft&&b===0)||(!this._orientationTopLeft&&b==1)){a.style.left=0}else{a.style.right=0}}Echo.Render.renderComponentAdd(f,e,a);this._splitPaneDiv.appendChild(a);if(this._childPanes[b]&&this._childPanes[b].component==e){this._childPanes[b].scrollRequired=true}else{this._childPanes[b]=new Echo.Sync.SplitPane.ChildPane(this,e)}},renderDisplay:function(){Core.Web.VirtualPosition.redraw(this._splitPaneDiv);Core.Web.VirtualPosition.redraw(this._paneDivs[0]);Core.Web.VirtualPosition.redraw(this._paneDivs[1]);this._size=null;if(this._childPanes[0]){this._childPanes[0].loadDisplayData()}if(this._childPanes[1]){this._childPanes[1].loadDisplayData()}var a=this._requested;if(a==null&&this._autoPositioned&&this._paneDivs[0]){if(this.component.children[0].peer.getPreferredSize){var c=this.component.children[0].peer.getPreferredSize(this._orientationVertical?Echo.Render.ComponentSync.SIZE_HEIGHT:Echo.Render.ComponentSync.SIZE_WIDTH);a=c?(this._orientationVertical?c.height:c.width):null}if(a==null&&this._orientationVertical&&!this.component.children[0].pane){this._paneDivs[0].style.height="";var d=new Core.Web.Measure.Bounds(this._paneDivs[0]);a=d.height}if(a!=null&&!this._initialAutoSizeComplete){this._initialAutoSizeComplete=true;var f=Core.method(this,function(){if(this.component){Echo.Render.renderComponentDisplay(this.component)}});Core.Web.Image.monitor(this._paneDivs[0],f)}}if(a==null){a=Echo.SplitPane.DEFAULT_SEPARATOR_POSITION}if(Echo.Sync.Extent.isPercent(a)){var b=this._orientationVertical?this._getSize().height:this._getSize().width;a=Math.round((parseInt(a,10)/100)*b)}else{a=Math.round(Echo.Sync.Extent.toPixels(a,!this._orientationVertical))}this._rendered=this._getBoundedSeparatorPosition(a);this._redraw(this._rendered);Core.Web.VirtualPosition.redraw(this._paneDivs[0]);Core.Web.VirtualPosition.redraw(this._paneDivs[1]);for(var e=0;e<this._childPanes.length;++e){if(this._childPanes[e]&&this._childPanes[e].scrollRequired&&this._paneDivs[e]){this._childPanes[e].loadScrollPositions(this._paneDivs[e]);this._childPanes[e].scrollRequired=false}}},renderDispose:function(b){this._overlayRemove();for(var a=0;a<2;++a){if(this._paneDivs[a]){if(this._childPanes[a]){this._childPanes[a].storeScrollPositions(this._paneDivs[a])}this._paneDivs[a]=null}}if(this._separatorDiv){Core.Web.Event.removeAll(this._separatorDiv);this._separatorDiv=null}Core.Web.Event.removeAll(this._splitPaneDiv);this._splitPaneDiv=null},_renderRemoveChild:function(c,b){var a;if(this._childPanes[0]&&this._childPanes[0].component==b){a=0}else{if(this._childPanes[1]&&this._childPanes[1].component==b){a=1}else{return}}this._childPanes[a]=null;Core.Web.DOM.removeNode(this._paneDivs[a]);this._paneDivs[a]=null},renderUpdate:function(g){var d=false,c;if(this._hasRelocatedChildren()){d=true}else{if(g.hasUpdatedProperties()||g.hasUpdatedLayoutDataChildren()){if(g.isUpdatedPropertySetIn({separatorPosition:true})){this._requested=this.component.render("separatorPosition")}else{d=true}}}if(!d&&(g.hasAddedChildren()||g.hasRemovedChildren())){var a=g.getRemovedChildren();if(a){for(c=0;c<a.length;++c){this._renderRemoveChild(g,a[c])}}var e=g.getAddedChildren();if(e){for(c=0;c<e.length;++c){this._renderAddChild(g,e[c],this.component.indexOf(e[c]))}}}if(d){var b=this._splitPaneDiv;var f=b.parentNode;Echo.Render.renderComponentDispose(g,g.parent);f.removeChild(b);this.renderAdd(g,f)}return d}});Echo.Sync.TextComponent=Core.extend(Echo.Render.ComponentSync,{$abstract:true,$virtual:{getSupportedPartialProperties:function(){return["text","editable","selectionStart","selectionEnd"]},processBlur:function(a){this._focused=false;this._storeSelection();this._storeValue();return true},processFocus:function(a){this._focused=true;if(this.client){if(this.component.isActive()){this.client.application.setFocusedComponent(this.component)}else{this._resetFocus()}}return false},sanitizeInput:function(){var a=this.component.render("maximumLength",-1);if(a>=0){if(this.input.value&&this.input.value.length>a){this.input.value=this.input.value.substring(0,a)}}}},input:null,container:null,_focused:false,_lastProcessedValue:null,percentWidth:false,_selectionStart:0,_selectionEnd:0,_renderStyle:function(){if(this.component.isRenderEnabled()){Echo.Sync.renderComponentDefaults(this.component,this.input);Echo.Sync.Border.render(this.component.render("border"),this.input);Echo.Sync.FillImage.render(this.component.render("backgroundImage"),this.input);if(this.input.readOnly){Echo.Sync.Color.render(Echo.Sync.getEffectProperty(this.component,"foreground","readOnlyForeground",true),this.input,"color");Echo.Sync.Color.render(Echo.Sync.getEffectProperty(this.component,"background","readOnlyBackground",true),this.input,"backgroundColor");Echo.Sync.Border.render(Echo.Sync.getEffectProperty(this.component,"border","readOnlyBorder",true),this.input);Echo.Sync.Font.render(Echo.Sync.getEffectProperty(this.component,"font","readOnlyFont",true),this.input);Echo.Sync.FillImage.render(Echo.Sync.getEffectProperty(this.component,"backgroundImage","readOnlyBackgroundImage",true),this.input)}}else{Echo.Sync.LayoutDirection.render(this.component.getLayoutDirection(),this.input);Echo.Sync.Color.render(Echo.Sync.getEffectProperty(this.component,"foreground","disabledForeground",true),this.input,"color");Echo.Sync.Color.render(Echo.Sync.getEffectProperty(this.component,"background","disabledBackground",true),this.input,"backgroundColor");Echo.Sync.Border.render(Echo.Sync.getEffectProperty(this.component,"border","disabledBorder",true),this.input);Echo.Sync.Font.render(Echo.Sync.getEffectProperty(this.component,"font","disabledFont",true),this.input);Echo.Sync.FillImage.render(Echo.Sync.getEffectProperty(this.component,"backgroundImage","disabledBackgroundImage",true),this.input)}Echo.Sync.Alignment.render(this.component.render("alignment"),this.input,false,null);Echo.Sync.Insets.render(this.component.render("insets"),this.input,"padding");var b=this.component.render("width");this.percentWidth=Echo.Sync.Extent.isPercent(b);if(b){if(this.percentWidth){this.input.style.width="5px"}else{this.input.style.width=Echo.Sync.Extent.toCssValue(b,true)}}var a=this.component.render("height");if(a){this.input.style.height=Echo.Sync.Extent.toCssValue(a,false)}var c=this.component.render("toolTipText");if(c){this.input.title=c}},_addEventHandlers:function(){Core.Web.Event.add(this.input,"keydown",Core.method(this,this._processKeyDown),false);Core.Web.Event.add(this.input,"click",Core.method(this,this._processClick),false);Core.Web.Event.add(this.input,"focus",Core.method(this,this.processFocus),false);Core.Web.Event.add(this.input,"blur",Core.method(this,this.processBlur),false)},_adjustPercentWidth:function(a,d,b){var c=(100-(100*d/b))*a/100;return c>0?c:0},clientKeyDown:function(a){this._storeValue(a);if(this.client&&this.component.isActive()){if(!this.component.doKeyDown(a.keyCode)){Core.Web.DOM.preventEventDefault(a.domEvent)}}return true},clientKeyPress:function(a){this._storeValue(a);if(this.client&&this.component.isActive()){if(!this.component.doKeyPress(a.keyCode,a.charCode)){Core.Web.DOM.preventEventDefault(a.domEvent)}}return true},clientKeyUp:function(a){this._storeSelection();this._storeValue(a);return true},_processClick:function(a){if(!this.client||!this.component.isActive()){Core.Web.DOM.preventEventDefault(a);return true}this.client.application.setFocusedComponent(this.component);this._storeSelection();return false},_processKeyDown:function(a){if(!this.component.isActive()){Core.Web.DOM.preventEventDefault(a)}return true},_processRestrictionsClear:function(){if(!this.client){return}if(!this.client.verifyInput(this.component)||this.input.readOnly){this.input.value=this.component.get("text");return}this.component.set("text",this.input.value,true)},_resetFocus:function(){var b=document.createElement("div");b.style.cssText="position:absolute;width:0;height:0;overflow:hidden;";var a=document.createElement("input");a.type="text";b.appendChild(a);document.body.appendChild(b);a.focus();document.body.removeChild(b);b=null;a=null;this.client.forceRedraw();Echo.Render.updateFocus(this.client)},renderAddToParent:function(a){if(Core.Web.Env.ENGINE_MSHTML&&this.percentWidth){this.container=document.createElement("div");this.container.appendChild(this.input);a.appendChild(this.container)}else{a.appendChild(this.input)}},renderDisplay:function(){var d=this.component.render("width");if(d&&Echo.Sync.Extent.isPercent(d)&&this.input.parentNode.offsetWidth){var b=this.component.render("border");var c=b?(Echo.Sync.Border.getPixelSize(b,"left")+Echo.Sync.Border.getPixelSize(b,"right")):4;var a=this.component.render("insets");if(a){var e=Echo.Sync.Insets.toPixels(a);c+=e.left+e.right}if(Core.Web.Env.ENGINE_MSHTML){c+=1;if(Core.Web.Env.BROWSER_VERSION_MAJOR<8){if(this.container){this.container.style.width=this._adjustPercentWidth(100,Core.Web.Measure.SCROLL_WIDTH,this.input.parentNode.offsetWidth)+"%"}else{c+=Core.Web.Measure.SCROLL_WIDTH}}}else{if(Core.Web.Env.BROWSER_CHROME&&this.input.nodeName.toLowerCase()=="textarea"){c+=3}else{if(Core.Web.Env.BROWSER_SAFARI&&this.input.nodeName.toLowerCase()=="input"){c+=1}else{if(Core.Web.Env.ENGINE_PRESTO){c+=1}}}}this.input.style.width=this._adjustPercentWidth(parseInt(d,10),c,this.input.parentNode.offsetWidth)+"%"}},renderDispose:function(a){Core.Web.Event.removeAll(this.input);this._focused=false;this.input=null;this.container=null},renderFocus:function(){if(this._focused){return}this._focused=true;Core.Web.DOM.focusElement(this.input)},renderUpdate:function(g){var c=!Core.Arrays.containsAll(this.getSupportedPartialProperties(),g.getUpdatedPropertyNames(),true);if(c){var a=this.container?this.container:this.input;var f=a.parentNode;this.renderDispose(g);f.removeChild(a);this.renderAdd(g,f)}else{if(g.hasUpdatedProperties()){var e=g.getUpdatedProperty("text");if(e){var d=e.newValue==null?"":e.newValue;if(d!=this._lastProcessedValue){this.input.value=d;this._lastProcessedValue=d}}var b=g.getUpdatedProperty("editable");if(b!=null){this.input.readOnly=!b.newValue;this._renderStyle(this.input)}}}return false},_storeSelection:function(){var a,b;if(!this.component){return}if(!Core.Web.Env.NOT_SUPPORTED_INPUT_SELECTION){this._selectionStart=this.input.selectionStart;this._selectionEnd=this.input.selectionEnd}else{if(Core.Web.Env.PROPRIETARY_IE_RANGE){a=document.selection.createRange();if(a.parentElement()!=this.input){return}b=a.duplicate();if(this.input.nodeName.toLowerCase()=="textarea"){b.moveToElementText(this.input)}else{b.expand("textedit")}b.setEndPoint("EndToEnd",a);this._selectionStart=b.text.length-a.text.length;this._selectionEnd=this._selectionStart+a.text.length}else{return}}this.component.set("selectionStart",this._selectionStart,true);this.component.set("selectionEnd",this._selectionEnd,true)},_storeValue:function(a){if(!this.client||!this.component.isActive()){if(a){Core.Web.DOM.preventEventDefault(a)}return}this.sanitizeInput();if(!this.client.verifyInput(this.component)){this.client.registerRestrictionListener(this.component,Core.method(this,this._processRestrictionsClear));return}this.component.set("text",this.input.value,true);this._lastProcessedValue=this.input.value;if(a&&a.keyCode==13&&a.type=="keydown"){this.component.doAction()}}});Echo.Sync.TextArea=Core.extend(Echo.Sync.TextComponent,{$load:function(){Echo.Render.registerPeer("TextArea",this)},renderAdd:function(b,a){this.input=document.createElement("textarea");this.input.id=this.component.renderId;if(!this.component.render("editable",true)){this.input.readOnly=true}this._renderStyle(this.input);this.input.style.overflow="auto";this._addEventHandlers(this.input);if(this.component.get("text")){this.input.value=this.component.get("text")}this.renderAddToParent(a)}});Echo.Sync.TextField=Core.extend(Echo.Sync.TextComponent,{$load:function(){Echo.Render.registerPeer("TextField",this)},$virtual:{_type:"text"},getFocusFlags:function(){return Echo.Render.ComponentSync.FOCUS_PERMIT_ARROW_UP|Echo.Render.ComponentSync.FOCUS_PERMIT_ARROW_DOWN},renderAdd:function(c,a){this.input=document.createElement("input");this.input.id=this.component.renderId;if(!this.component.render("editable",true)){this.input.readOnly=true}this.input.type=this._type;var b=this.component.render("maximumLength",-1);if(b>=0){this.input.maxLength=b}this._renderStyle(this.input);this._addEventHandlers(this.input);if(this.component.get("text")){this.input.value=this.component.get("text")}this.renderAddToParent(a)},sanitizeInput:function(){}});Echo.Sync.PasswordField=Core.extend(Echo.Sync.TextField,{$load:function(){Echo.Render.registerPeer("PasswordField",this)},_type:"password"});Echo.Sync.ToggleButton=Core.extend(Echo.Sync.Button,{$load:function(){Echo.Render.registerPeer("ToggleButton",this)},$abstract:{inputType:null},_selected:false,_stateElement:null,doAction:function(){this.setSelected(!this._selected);Echo.Sync.Button.prototype.doAction.call(this)},getStateIcon:function(b,c){var a;if(this._selected){a=Echo.Sync.getEffectProperty(this.component,"selectedStateIcon","disabledSelectedStateIcon",!this.enabled);if(a){if(c){a=this.component.render("pressedSelectedStateIcon",a)}else{if(b){a=this.component.render("rolloverSelectedStateIcon",a)}}}}if(!a){a=Echo.Sync.getEffectProperty(this.component,"stateIcon","disabledStateIcon",!this.enabled);if(a){if(c){a=this.component.render("pressedStateIcon",a)}else{if(b){a=this.component.render("rolloverStateIcon",a)}}}}return a},_processStateChange:function(a){this._updateStateElement()},renderAdd:function(b,a){this._selected=this.component.render("selected");Echo.Sync.Button.prototype.renderAdd.call(this,b,a)},renderContent:function(){var h=this.component.render("text");var d=this.component.render("icon");var c,e,b;var a=(h!=null?1:0)+(d?1:0)+1;if(a==1){if(h!=null){this.renderButtonText(this.div,h)}else{if(d){this.iconImg=this.renderButtonIcon(this.div,d)}else{this._stateElement=this._renderButtonState(this.div)}}}else{if(a==2){c=Echo.Sync.TriCellTable.getInvertedOrientation(this.component,"statePosition","leading");e=this.component.render("stateMargin",Echo.Sync.Button._defaultIconTextMargin);b=new Echo.Sync.TriCellTable(c,Echo.Sync.Extent.toPixels(e));if(h!=null){this.renderButtonText(b.tdElements[0],h);if(d){this.iconImg=this.renderButtonIcon(b.tdElements[1],d)}else{this._stateElement=this._renderButtonState(b.tdElements[1])}}else{this.iconImg=this.renderButtonIcon(b.tdElements[0],d);this._stateElement=this._renderButtonState(b.tdElements[1])}this.div.appendChild(b.tableElement)}else{if(a==3){c=Echo.Sync.TriCellTable.getOrientation(this.component,"textPosition");e=this.component.render("iconTextMargin",Echo.Sync.Button._defaultIconTextMargin);var f=Echo.Sync.TriCellTable.getInvertedOrientation(this.component,"statePosition","leading");var g=this.component.render("stateMargin",Echo.Sync.Button._defaultIconTextMargin);b=new Echo.Sync.TriCellTable(c,Echo.Sync.Extent.toPixels(e),f,Echo.Sync.Extent.toPixels(g));this.renderButtonText(b.tdElements[0],h);this.iconImg=this.renderButtonIcon(b.tdElements[1],d);this._stateElement=this._renderButtonState(b.tdElements[2]);this.div.appendChild(b.tableElement)}}}},renderDispose:function(a){Echo.Sync.Button.prototype.renderDispose.call(this,a);if(this._stateElement){Core.Web.Event.removeAll(this._stateElement);this._stateElement=null}},_renderButtonState:function(a){var c=this.getStateIcon();var b;if(c){b=document.createElement("img");Echo.Sync.ImageReference.renderImg(c,b)}else{b=document.createElement("input");b.type=this.inputType;if(this.inputType=="radio"){b.name="__echo_"+Echo.Sync.RadioButton._nextNameId++}b.defaultChecked=this._selected?true:false;b.disabled=!this.enabled;Core.Web.Event.add(b,"change",Core.method(this,this._processStateChange),false);Core.Web.Event.add(this.div,"click",Core.method(this,this._processStateChange),false)}a.appendChild(b);var d=this.component.render("stateAlignment");if(d){Echo.Sync.Alignment.render(d,a,true,this.component)}return b},setHighlightState:function(b,c){Echo.Sync.Button.prototype.setHighlightState.call(this,b,c);var d=this.getStateIcon(b,c);if(d){var a=Echo.Sync.ImageReference.getUrl(d);if(this._stateElement.src!=a){this._stateElement.src=a}}},setSelected:function(a){if(this._selected==a){return}this._selected=a;this.component.set("selected",a);this._updateStateElement()},_updateStateElement:function(){var a=this.getStateIcon();if(a){this._stateElement.src=Echo.Sync.ImageReference.getUrl(a)}else{this._stateElement.checked=this._selected?true:false}}});Echo.Sync.CheckBox=Core.extend(Echo.Sync.ToggleButton,{$load:function(){Echo.Render.registerPeer("CheckBox",this)},inputType:"checkbox"});Echo.Sync.RadioButton=Core.extend(Echo.Sync.ToggleButton,{$static:{_nextNameId:0,_groups:new Core.Arrays.LargeMap()},$load:function(){Echo.Render.registerPeer("RadioButton",this)},inputType:"radio",_group:null,doAction:function(){if(this._group){this._group.deselect()}Echo.Sync.ToggleButton.prototype.doAction.call(this)},renderAdd:function(d,a){var b=this.component.render("group");if(b!=null){var c=Echo.Sync.RadioButton._groups.map[b];if(!c){c=new Echo.Sync.RadioButton.Group(b);Echo.Sync.RadioButton._groups.map[b]=c}c.add(this);this._group=c}Echo.Sync.ToggleButton.prototype.renderAdd.call(this,d,a)},renderDispose:function(a){Echo.Sync.ToggleButton.prototype.renderDispose.call(this,a);if(this._group){this._group.remove(this);if(this._group.size()===0){Echo.Sync.RadioButton._groups.remove(this._group.id)}this._group=null}}});Echo.Sync.RadioButton.Group=Core.extend({id:null,_buttons:null,$construct:function(a){this.id=a;this._buttons=[]},add:function(a){this._buttons.push(a)},deselect:function(){for(var a=0;a<this._buttons.length;++a){this._buttons[a].setSelected(false)}},remove:function(b){var c=-1;for(var a=0;a<this._buttons.length;++a){if(this._buttons[a]==b){c=a;break}}if(c==-1){throw new Error("No such button: "+b.component.renderId)}if(this._buttons.length==1){this._buttons=[]}else{this._buttons[c]=this._buttons[this._buttons.length-1];this._buttons.length=this._buttons.length-1}},size:function(){return this._buttons.length}});Echo.Sync.WindowPane=Core.extend(Echo.Render.ComponentSync,{$static:{CURSORS:["n-resize","ne-resize","e-resize","se-resize","s-resize","sw-resize","w-resize","nw-resize"],PARTIAL_PROPERTIES:{background:true,backgroundImage:true,border:true,closable:true,closeIcon:true,closeIconInsets:true,controlsInsets:true,font:true,foreground:true,height:true,icon:true,iconInsets:true,insets:true,maximizeEnabled:true,maximizeIcon:true,maximumHeight:true,maximumWidth:true,minimizeEnabled:true,minimizeIcon:true,minimumHeight:true,minimumWidth:true,movable:true,positionX:true,positionY:true,resizable:true,title:true,titleBackground:true,titleBackgroundImage:true,titleFont:true,titleForeground:true,titleHeight:true,titleInsets:true,width:true},NON_RENDERED_PROPERTIES:{zIndex:true},PARTIAL_PROPERTIES_POSITION_SIZE:{positionX:true,positionY:true,width:true,height:true},FadeRunnable:Core.extend(Core.Web.Scheduler.Runnable,{timeInterval:20,repeat:true,_directionOut:false,_div:null,_completeMethod:null,_time:null,$construct:function(d,c,a,b){this._directionOut=c;this._div=d;this._completeMethod=b;this._time=a},run:function(){if(!this._startTime){this._startTime=new Date().getTime()}var a=(new Date().getTime()-this._startTime)/this._time;if(a>1){a=1}this._div.style.opacity=this._directionOut?1-a:a;if(a===1){this.repeat=false;if(this._completeMethod){this._completeMethod();this._completeMethod=null}}}})},$load:function(){Echo.Render.registerPeer("WindowPane",this)},_initialRenderDisplayComplete:false,_displayed:false,_requested:null,_rendered:null,_dragInit:null,_dragOrigin:null,_resizeIncrement:null,_containerSize:null,_processBorderMouseMoveRef:null,_processBorderMouseUpRef:null,_processTitleBarMouseMoveRef:null,_processTitleBarMouseUpRef:null,_controlIcons:null,_overlay:null,_closeAnimationTime:null,_opening:false,_imageWaitStartTime:null,$construct:function(){this._processBorderMouseMoveRef=Core.method(this,this._processBorderMouseMove);this._processBorderMouseUpRef=Core.method(this,this._processBorderMouseUp);this._processTitleBarMouseMoveRef=Core.method(this,this._processTitleBarMouseMove);this._processTitleBarMouseUpRef=Core.method(this,this._processTitleBarMouseUp)},_centerIcon:function(){if(!this._titleIconImg||!this._titleIconImg.complete||!this._titleIconImg.height){return}var b=Echo.Sync.Insets.toPixels(this.component.render("iconInsets"));var a=parseInt(this._titleBarDiv.style.height,10)-b.top-b.bottom-this._titleIconImg.height;if(a<=0){return}this._titleIconDiv.style.paddingTop=Math.floor(a/2)+"px"},_imageLoadListener:function(a){if(!this.component){return}if(this._titleIconImgLoading&&this._titleIconImg.complete){this._titleIconImgLoading=false;this._titleBarDiv.style.height="";this._titleBarHeight=new Core.Web.Measure.Bounds(this._titleBarDiv).height||Echo.Sync.Extent.toPixels(Echo.WindowPane.DEFAULT_TITLE_HEIGHT);this._titleBarDiv.style.height=this._titleBarHeight+"px";this._contentDiv.style.top=(this._contentInsets.top+this._titleBarHeight)+"px"}if(a.complete){this._imageWaitStartTime=null}Echo.Render.renderComponentDisplay(this.component)},_loadPositionAndSize:function(){this._requested={x:this.component.render("positionX","50%"),y:this.component.render("positionY","50%"),contentWidth:this.component.render("contentWidth"),contentHeight:this.component.render("contentHeight")};this._requested.width=this.component.render("width",this._requested.contentWidth?null:Echo.WindowPane.DEFAULT_WIDTH);this._requested.height=this.component.render("height")},_loadContainerSize:function(){this._containerSize=this.component.parent.peer.getSize()},_overlayAdd:function(){if(this._overlay){return}this._overlay=document.createElement("div");this._overlay.style.cssText="position:absolute;z-index:32600;width:100%;height:100%;";Echo.Sync.FillImage.render(this.client.getResourceUrl("Echo","resource/Transparent.gif"),this._overlay);document.body.appendChild(this._overlay)},_overlayRemove:function(){if(!this._overlay){return}document.body.removeChild(this._overlay);this._overlay=null},_processBorderMouseDown:function(a){if(!this.client||!this.client.verifyInput(this.component)){return true}Core.Web.dragInProgress=true;Core.Web.DOM.preventEventDefault(a);this._overlayAdd();this._loadContainerSize();this._dragInit={x:this._rendered.x,y:this._rendered.y,width:this._rendered.width,height:this._rendered.height};this._dragOrigin={x:a.clientX,y:a.clientY};switch(a.target){case this._borderDivs[0]:this._resizeIncrement={x:0,y:-1};break;case this._borderDivs[1]:this._resizeIncrement={x:1,y:-1};break;case this._borderDivs[2]:this._resizeIncrement={x:1,y:0};break;case this._borderDivs[3]:this._resizeIncrement={x:1,y:1};break;case this._borderDivs[4]:this._resizeIncrement={x:0,y:1};break;case this._borderDivs[5]:this._resizeIncrement={x:-1,y:1};break;case this._borderDivs[6]:this._resizeIncrement={x:-1,y:0};break;case this._borderDivs[7]:this._resizeIncrement={x:-1,y:-1};break}Core.Web.Event.add(document.body,"mousemove",this._processBorderMouseMoveRef,true);Core.Web.Event.add(document.body,"mouseup",this._processBorderMouseUpRef,true)},_processBorderMouseMove:function(a){this._setBounds({x:this._resizeIncrement.x==-1?this._dragInit.x+a.clientX-this._dragOrigin.x:null,y:this._resizeIncrement.y==-1?this._dragInit.y+a.clientY-this._dragOrigin.y:null,width:this._dragInit.width+(this._resizeIncrement.x*(a.clientX-this._dragOrigin.x)),height:this._dragInit.height+(this._resizeIncrement.y*(a.clientY-this._dragOrigin.y))},true);Echo.Sync.FillImageBorder.renderContainerDisplay(this._div)},_processBorderMouseUp:function(a){Core.Web.DOM.preventEventDefault(a);Core.Web.dragInProgress=false;this._overlayRemove();this._removeBorderListeners();this.component.set("positionX",this._rendered.x);this.component.set("positionY",this._rendered.y);this.component.set("width",this._rendered.width);this.component.set("height",this._rendered.height);this._requested={x:this._rendered.x,y:this._rendered.y,width:this._rendered.width,height:this._rendered.height};Echo.Sync.FillImageBorder.renderContainerDisplay(this._div);Core.Web.VirtualPosition.redraw(this._contentDiv);Core.Web.VirtualPosition.redraw(this._maskDiv);Echo.Render.notifyResize(this.component)},_processControlClick:function(a){if(!this.client||!this.client.verifyInput(this.component)){return true}switch(a.registeredTarget._controlData.name){case"close":this.component.userClose();break;case"maximize":this.component.userMaximize();Echo.Render.processUpdates(this.client);break;case"minimize":this.component.userMinimize();break}},_processControlRolloverEnter:function(a){if(!this.client||!this.client.verifyInput(this.component)){return true}Echo.Sync.ImageReference.renderImg(a.registeredTarget._controlData.rolloverIcon,a.registeredTarget.firstChild)},_processControlRolloverExit:function(a){Echo.Sync.ImageReference.renderImg(a.registeredTarget._controlData.icon,a.registeredTarget.firstChild)},renderContentPaneRemove:function(a,b){if(this._closeAnimationTime>0){Core.Web.Scheduler.add(new Echo.Sync.WindowPane.FadeRunnable(a,true,this._closeAnimationTime,b));return true}else{return false}},clientKeyDown:function(a){if(a.keyCode==27){if(this.component.render("closable",true)){this.component.userClose();Core.Web.DOM.preventEventDefault(a.domEvent);return false}}return true},_processFocusClick:function(a){if(!this.client||!this.client.verifyInput(this.component)){return true}this.component.parent.peer.raise(this.component);return true},_processTitleBarMouseDown:function(b){if(!this.client||!this.client.verifyInput(this.component)){return true}var a=b.target;while(a!=b.registeredTarget){if(a._controlData){return}a=a.parentNode}this.component.parent.peer.raise(this.component);Core.Web.dragInProgress=true;Core.Web.DOM.preventEventDefault(b);this._overlayAdd();this._loadContainerSize();this._dragInit={x:this._rendered.x,y:this._rendered.y};this._dragOrigin={x:b.clientX,y:b.clientY};Core.Web.Event.add(document.body,"mousemove",this._processTitleBarMouseMoveRef,true);Core.Web.Event.add(document.body,"mouseup",this._processTitleBarMouseUpRef,true)},_processTitleBarMouseMove:function(a){this._setBounds({x:this._dragInit.x+a.clientX-this._dragOrigin.x,y:this._dragInit.y+a.clientY-this._dragOrigin.y},true)},_processTitleBarMouseUp:function(a){Core.Web.dragInProgress=false;this._overlayRemove();this._removeTitleBarListeners();this.component.set("positionX",this._rendered.x);this.component.set("positionY",this._rendered.y);this._requested.x=this._rendered.x;this._requested.y=this._rendered.y},_redraw:function(){if(this._rendered.width<=0||this._rendered.height<=0){return}var b=this._rendered.width-this._borderInsets.left-this._borderInsets.right;var a=this._rendered.height-this._borderInsets.top-this._borderInsets.bottom;this._div.style.left=this._rendered.x+"px";this._div.style.top=this._rendered.y+"px";this._div.style.width=this._rendered.width+"px";this._div.style.height=this._rendered.height+"px";this._titleBarDiv.style.width=(this._rendered.width-this._contentInsets.left-this._contentInsets.right)+"px";Echo.Sync.FillImageBorder.renderContainerDisplay(this._div);Core.Web.VirtualPosition.redraw(this._contentDiv);Core.Web.VirtualPosition.redraw(this._maskDiv)},_removeBorderListeners:function(){Core.Web.Event.remove(document.body,"mousemove",this._processBorderMouseMoveRef,true);Core.Web.Event.remove(document.body,"mouseup",this._processBorderMouseUpRef,true)},_removeTitleBarListeners:function(){Core.Web.Event.remove(document.body,"mousemove",this._processTitleBarMouseMoveRef,true);Core.Web.Event.remove(document.body,"mouseup",this._processTitleBarMouseUpRef,true)},renderAdd:function(d,b){this._opening=d.parent==this.component.parent;this._rtl=!this.component.getRenderLayoutDirection().isLeftToRight();this._closeAnimationTime=Core.Web.Env.NOT_SUPPORTED_CSS_OPACITY?0:this.component.render("closeAnimationTime",0);this._contentDiv=document.createElement("div");var c=this.component.getComponentCount();if(c==1){Echo.Render.renderComponentAdd(d,this.component.getComponent(0),this._contentDiv)}else{if(c>1){throw new Error("Too many children: "+c)}}if(Core.Web.Env.QUIRK_IE_SELECT_Z_INDEX){this._maskDiv=document.createElement("div");this._maskDiv.style.cssText="filter:alpha(opacity=0);z-index:1;position:absolute;left:0,right:0,top:0,bottom:0,borderWidth:0;";var a=document.createElement("iframe");a.style.cssText="width:100%;height:100%;";a.src=this.client.getResourceUrl("Echo","resource/Blank.html");this._maskDiv.appendChild(a)}Echo.Sync.LayoutDirection.render(this.component.getLayoutDirection(),this._div);this._renderAddFrame(b)},_renderAddFrame:function(f){this._initialRenderDisplayComplete=false;this._loadPositionAndSize();this._minimumWidth=Echo.Sync.Extent.toPixels(this.component.render("minimumWidth",Echo.WindowPane.DEFAULT_MINIMUM_WIDTH),true);this._minimumHeight=Echo.Sync.Extent.toPixels(this.component.render("minimumHeight",Echo.WindowPane.DEFAULT_MINIMUM_HEIGHT),false);this._maximumWidth=Echo.Sync.Extent.toPixels(this.component.render("maximumWidth"),true);this._maximumHeight=Echo.Sync.Extent.toPixels(this.component.render("maximumHeight"),false);this._resizable=this.component.render("resizable",true);var o=this.component.render("border",Echo.WindowPane.DEFAULT_BORDER);this._borderInsets=Echo.Sync.Insets.toPixels(o.borderInsets);this._contentInsets=Echo.Sync.Insets.toPixels(o.contentInsets);var e=this.component.render("movable",true);var g=this.component.render("closable",true);var h=this.component.render("maximizeEnabled",false);var c=this.component.render("minimizeEnabled",false);var d=g||h||c;var b=this.component.render("ieAlphaRenderBorder")?Echo.Sync.FillImage.FLAG_ENABLE_IE_PNG_ALPHA_FILTER:0;this._div=Echo.Sync.FillImageBorder.renderContainer(o,{absolute:true});this._div.id=this.component.renderId;this._div.tabIndex="0";this._div.style.outlineStyle="none";this._div.style.overflow="hidden";this._div.style.zIndex=1;if(!this._displayed){this._div.style.visibility="hidden"}this._borderDivs=Echo.Sync.FillImageBorder.getBorder(this._div);var a=this._resizable?Core.method(this,this._processBorderMouseDown):null;for(var q=0;q<8;++q){if(this._borderDivs[q]){if(this._resizable){this._borderDivs[q].style.zIndex=2;this._borderDivs[q].style.cursor=Echo.Sync.WindowPane.CURSORS[q];Core.Web.Event.add(this._borderDivs[q],"mousedown",a,true)}}}var l=this.component.render("titleInsets",Echo.WindowPane.DEFAULT_TITLE_INSETS);this._titleBarDiv=document.createElement("div");this._titleBarDiv.style.position="absolute";this._titleBarDiv.style.zIndex=3;var r=this.component.render("icon");if(r){this._titleIconDiv=document.createElement("div");this._titleIconDiv.style[Core.Web.Env.CSS_FLOAT]=this._rtl?"right":"left";var m=this.component.render("iconInsets");if(m){Echo.Sync.Insets.render(m,this._titleIconDiv,"padding")}else{var s=Echo.Sync.Insets.toPixels(l);if(this._rtl){this._titleIconDiv.style.paddingRight=s.right+"px"}else{this._titleIconDiv.style.paddingLeft=s.left+"px"}}this._titleBarDiv.appendChild(this._titleIconDiv);this._titleIconImg=document.createElement("img");Echo.Sync.ImageReference.renderImg(r,this._titleIconImg);this._titleIconDiv.appendChild(this._titleIconImg);this._titleIconImgLoading=true}var t=this.component.render("title");var j=document.createElement("div");if(r){j.style[Core.Web.Env.CSS_FLOAT]=this._rtl?"right":"left"}j.style.whiteSpace="nowrap";Echo.Sync.Font.render(this.component.render("titleFont"),j);Echo.Sync.Insets.render(l,j,"padding");j.appendChild(document.createTextNode(t?t:"\u00a0"));this._titleBarDiv.appendChild(j);var n=this.component.render("titleHeight");if(n){this._titleBarHeight=Echo.Sync.Extent.toPixels(n)}if(!n){this._titleBarHeight=new Core.Web.Measure.Bounds(this._titleBarDiv).height||Echo.Sync.Extent.toPixels(Echo.WindowPane.DEFAULT_TITLE_HEIGHT)}this._titleBarDiv.style.top=this._contentInsets.top+"px";this._titleBarDiv.style.left=this._contentInsets.left+"px";this._titleBarDiv.style.height=this._titleBarHeight+"px";this._titleBarDiv.style.overflow="hidden";if(e){this._titleBarDiv.style.cursor="move";Core.Web.Event.add(this._titleBarDiv,"mousedown",Core.method(this,this._processTitleBarMouseDown),true)}Echo.Sync.Color.render(this.component.render("titleForeground"),this._titleBarDiv,"color");var p=this.component.render("titleBackground");var k=this.component.render("titleBackgroundImage");if(p){this._titleBarDiv.style.backgroundColor=p}if(k){Echo.Sync.FillImage.render(k,this._titleBarDiv)}if(!p&&!k){this._titleBarDiv.style.backgroundColor=Echo.WindowPane.DEFAULT_TITLE_BACKGROUND}if(d){this._controlDiv=document.createElement("div");this._controlDiv.style.cssText="position:absolute;top:0;";this._controlDiv.style[this._rtl?"left":"right"]=0;Echo.Sync.Insets.render(this.component.render("controlsInsets",Echo.WindowPane.DEFAULT_CONTROLS_INSETS),this._controlDiv,"margin");this._titleBarDiv.appendChild(this._controlDiv);if(g){this._renderControlIcon("close",this.client.getResourceUrl("Echo","resource/WindowPaneClose.gif"),"[X]")}if(h){this._renderControlIcon("maximize",this.client.getResourceUrl("Echo","resource/WindowPaneMaximize.gif"),"[+]")}if(c){this._renderControlIcon("minimize",this.client.getResourceUrl("Echo","resource/WindowPaneMinimize.gif"),"[-]")}}this._div.appendChild(this._titleBarDiv);this._contentDiv.style.cssText="position:absolute;z-index:2;top:"+(this._contentInsets.top+this._titleBarHeight)+"px;bottom:"+this._contentInsets.bottom+"px;left:"+this._contentInsets.left+"px;right:"+this._contentInsets.right+"px;overflow:"+((this.component.children.length===0||this.component.children[0].pane)?"hidden;":"auto;");Echo.Sync.Font.renderClear(this.component.render("font"),this._contentDiv);if(this.component.children.length>0&&!this.component.children[0].pane){Echo.Sync.Insets.render(this.component.render("insets"),this._contentDiv,"padding")}Echo.Sync.Color.render(this.component.render("background",Echo.WindowPane.DEFAULT_BACKGROUND),this._contentDiv,"backgroundColor");Echo.Sync.Color.render(this.component.render("foreground",Echo.WindowPane.DEFAULT_FOREGROUND),this._contentDiv,"color");Echo.Sync.FillImage.render(this.component.render("backgroundImage"),this._contentDiv);this._div.appendChild(this._contentDiv);if(Core.Web.Env.QUIRK_IE_SELECT_Z_INDEX){this._div.appendChild(this._maskDiv)}Core.Web.Event.add(this._div,"click",Core.method(this,this._processFocusClick),true);f.appendChild(this._div)},_renderControlIcon:function(d,h,b){var a=document.createElement("div"),g=this.component.render(d+"Icon",h),f=this.component.render(d+"RolloverIcon");var e=Echo.Sync.Extent.toCssValue(this.component.render("controlsSpacing",Echo.WindowPane.DEFAULT_CONTROLS_SPACING));a.style.cssText=this._rtl?("float:left;cursor:pointer;margin-right:"+e):("float:right;cursor:pointer;margin-left:"+e);Echo.Sync.Insets.render(this.component.render(d+"Insets"),a,"padding");if(g){var c=document.createElement("img");Echo.Sync.ImageReference.renderImg(g,c);a.appendChild(c);if(f){Core.Web.Event.add(a,"mouseover",Core.method(this,this._processControlRolloverEnter),false);Core.Web.Event.add(a,"mouseout",Core.method(this,this._processControlRolloverExit),false)}}else{a.appendChild(document.createTextNode(b))}Core.Web.Event.add(a,"click",Core.method(this,this._processControlClick),false);this._controlDiv.appendChild(a);if(this._controlIcons==null){this._controlIcons=[]}this._controlIcons.push(a);a._controlData={name:d,icon:g,rolloverIcon:f}},renderDisplay:function(){this._loadContainerSize();this._setBounds(this._requested,false);Core.Web.VirtualPosition.redraw(this._contentDiv);Core.Web.VirtualPosition.redraw(this._maskDiv);this._centerIcon();var a=parseInt(this.component.render("resourceTimeout"),10)||Echo.WindowPane.DEFAULT_RESOURCE_TIMEOUT;if(!this._initialRenderDisplayComplete){this._initialRenderDisplayComplete=true;if(a){if(Core.Web.Image.monitor(this._div,Core.method(this,this._imageLoadListener))){this._imageWaitStartTime=new Date().getTime()}}}if(!this._displayed){if(this._imageWaitStartTime&&new Date().getTime()>this._imageWaitStartTime+a){this._imageWaitStartTime=null}if(!this._imageWaitStartTime){this._displayed=true;var b=(Core.Web.Env.NOT_SUPPORTED_CSS_OPACITY||!this._opening)?0:this.component.render("openAnimationTime",0);if(b>0){Core.Web.Scheduler.add(new Echo.Sync.WindowPane.FadeRunnable(this._div,false,b,null));this._div.style.opacity=0}this._div.style.visibility=""}}},renderDispose:function(a){this._overlayRemove();this._renderDisposeFrame();this._maskDiv=null;this._contentDiv=null;this._controlDiv=null},_renderDisposeFrame:function(){var a;Core.Web.Event.removeAll(this._div);for(a=0;a<8;++a){if(this._borderDivs[a]){Core.Web.Event.removeAll(this._borderDivs[a])}}this._borderDivs=null;if(this._controlIcons!=null){for(a=0;a<this._controlIcons.length;++a){Core.Web.Event.removeAll(this._controlIcons[a])}this._controlIcons=null}Core.Web.Event.removeAll(this._titleBarDiv);this._titleBarDiv=null;this._titleIconDiv=null;this._titleIconImg=null;this._titleIconImgLoading=false;this._div=null},renderFocus:function(){Core.Web.DOM.focusElement(this._div)},renderUpdate:function(c){if(c.hasAddedChildren()||c.hasRemovedChildren()){}else{if(c.isUpdatedPropertySetIn(Echo.Sync.WindowPane.NON_RENDERED_PROPERTIES)){return false}else{if(c.isUpdatedPropertySetIn(Echo.Sync.WindowPane.PARTIAL_PROPERTIES_POSITION_SIZE)){this._loadPositionAndSize();return false}else{if(c.isUpdatedPropertySetIn(Echo.Sync.WindowPane.PARTIAL_PROPERTIES)){this._renderUpdateFrame();return false}}}}var a=this._div;var b=a.parentNode;Echo.Render.renderComponentDispose(c,c.parent);b.removeChild(a);this.renderAdd(c,b);return true},_renderUpdateFrame:function(){var a=this._div;var b=a.parentNode;this._renderDisposeFrame();b.removeChild(a);this._renderAddFrame(b)},_setBounds:function(h,f){var b={},i=false;if(f){if(h.x!=null&&h.x<0){h.x=0}if(h.y!=null&&h.y<0){h.y=0}}if(h.width!=null){b.width=Math.round(Echo.Sync.Extent.isPercent(h.width)?(parseInt(h.width,10)*this._containerSize.width/100):Echo.Sync.Extent.toPixels(h.width,true))}else{if(h.contentWidth!=null){b.contentWidth=Math.round(Echo.Sync.Extent.isPercent(h.contentWidth)?(parseInt(h.contentWidth,10)*this._containerSize.width/100):Echo.Sync.Extent.toPixels(h.contentWidth,true));b.width=this._contentInsets.left+this._contentInsets.right+b.contentWidth}}if(h.height!=null){b.height=Math.round(Echo.Sync.Extent.isPercent(h.height)?(parseInt(h.height,10)*this._containerSize.height/100):Echo.Sync.Extent.toPixels(h.height,false))}else{if(h.contentHeight!=null){b.contentHeight=Math.round(Echo.Sync.Extent.isPercent(h.contentHeight)?(parseInt(h.contentHeight,10)*this._containerSize.height/100):Echo.Sync.Extent.toPixels(h.contentHeight,false));b.height=this._contentInsets.top+this._contentInsets.bottom+this._titleBarHeight+b.contentHeight}else{if(!f){i=true;if(this.component.children[0]){var a=b.contentWidth?b.contentWidth:b.width-(this._contentInsets.left+this._contentInsets.right);var d=this._contentDiv.style.cssText;if(this.component.children[0].peer.getPreferredSize){this._contentDiv.style.cssText="position:absolute;width:"+a+"px;height:"+this._containerSize.height+"px";var c=this.component.children[0].peer.getPreferredSize(Echo.Render.ComponentSync.SIZE_HEIGHT);if(c&&c.height){b.height=this._contentInsets.top+this._contentInsets.bottom+this._titleBarHeight+c.height}this._contentDiv.style.cssText=d}if(!b.height&&!this.component.children[0].pane){var e=Echo.Sync.Insets.toPixels(this.component.render("insets"));this._contentDiv.style.position="static";this._contentDiv.style.width=(a-e.left-e.right)+"px";this._contentDiv.style.height="";this._contentDiv.style.padding="";var g=new Core.Web.Measure.Bounds(this._contentDiv).height;if(g){b.height=this._contentInsets.top+this._contentInsets.bottom+this._titleBarHeight+g+e.top+e.bottom}this._contentDiv.style.cssText=d}}if(!b.height){b.height=Echo.Sync.Extent.toPixels(Echo.WindowPane.DEFAULT_HEIGHT,false)}}}}if(h.x!=null){if(Echo.Sync.Extent.isPercent(h.x)){b.x=Math.round((this._containerSize.width-b.width)*(parseInt(h.x,10)/100));if(b.x<0){b.x=0}}else{b.x=Math.round(Echo.Sync.Extent.toPixels(h.x,true));if(b.x<0){b.x+=this._containerSize.width-b.width}}}if(h.y!=null){if(Echo.Sync.Extent.isPercent(h.y)){b.y=Math.round((this._containerSize.height-b.height)*(parseInt(h.y,10)/100));if(b.y<0){b.y=0}}else{b.y=Math.round(Echo.Sync.Extent.toPixels(h.y,false));if(b.y<0){b.y+=this._containerSize.height-b.height}}}if(this._rendered==null){this._rendered={}}if(b.width!=null){if(this._resizable&&b.width>this._containerSize.width){b.width=this._containerSize.width}if(this._maximumWidth&&b.width>this._maximumWidth){if(f&&b.x!=null){b.x+=(b.width-this._maximumWidth)}b.width=this._maximumWidth}if(b.width<this._minimumWidth){if(f&&b.x!=null){b.x+=(b.width-this._minimumWidth)}b.width=this._minimumWidth}this._rendered.width=Math.round(b.width)}if(b.height!=null){if((i||this._resizable)&&b.height>this._containerSize.height){b.height=this._containerSize.height}if(this._maximumHeight&&b.height>this._maximumHeight){if(f&&b.y!=null){b.y+=(b.height-this._maximumHeight)}b.height=this._maximumHeight}if(b.height<this._minimumHeight){if(f&&b.y!=null){b.y+=(b.height-this._minimumHeight)}b.height=this._minimumHeight}this._rendered.height=Math.round(b.height)}if(b.x!=null){if(this._containerSize.width>0&&b.x>this._containerSize.width-this._rendered.width){b.x=this._containerSize.width-this._rendered.width}if(b.x<0){b.x=0}this._rendered.x=Math.round(b.x)}if(b.y!=null){if(this._containerSize.height>0&&b.y>this._containerSize.height-this._rendered.height){b.y=this._containerSize.height-this._rendered.height}if(b.y<0){b.y=0}this._rendered.y=Math.round(b.y)}this._redraw()}});
\ No newline at end of file
+Core={_CHANGE_LISTENERS_PROPERTY:"__coreChangeListeners",addChangeListener:function(e,t){var n=e[Core._CHANGE_LISTENERS_PROPERTY];if(!n)if(n=new Core.ListenerList,Object.defineProperty)try{Object.defineProperty(e,Core._CHANGE_LISTENERS_PROPERTY,{value:n,configurable:!0,writable:!0,enumerable:!1})}catch(t){e[Core._CHANGE_LISTENERS_PROPERTY]=n}else e[Core._CHANGE_LISTENERS_PROPERTY]=n;n.addListener("change",t)},_copyFunction:function(e){return function(){e.apply(this,arguments)}},_createFunction:function(){return function(){}},_createAdvisedMethod:function(e,t){return function(){var n,i=this,r=Array.prototype.slice.call(arguments);if(t.before&&t.before.apply(this,r),t.around){n=t.around.apply(this,[function(){return e.apply(i,arguments.length>0?arguments:r)}].concat(r))}else n=e.apply(this,r);return t.after&&t.after.apply(this,[n].concat(r)),n}},_createPropertyGetter:function(e){return function(){return Core._getProperty(this,e)}},_createPropertySetter:function(e){return function(t){Core._setProperty(this,e,t)}},delete:function(e,t,n){t=Core._parsePath(t);var i=n&&"error"==n.missing?"error":"ignore",r=Core._getContainer(e,t,i),o=t[t.length-1];if(!r||!(o in r)){if("error"==i)throw new Error("Path not found: "+Core._formatPath(t));return!1}var s=r[o];return r instanceof Array&&"number"==typeof o?r.splice(o,1):delete r[o],Core._fireChange(e,t,s,void 0),!0},extend:function(){var e,t,n,i=1==arguments.length?null:arguments[0],r=1==arguments.length?arguments[0]:arguments[1];if(2==arguments.length&&"function"!=typeof i)throw new Error("Base class is not a function, cannot derive.");if(!r)throw new Error("Object definition not provided.");r.$construct?(n=r.$construct,delete r.$construct):n=i?Core._copyFunction(i):Core._createFunction(),n.$virtual={},n.$super=i;var o=r.$name;if(delete r.$name,i){var s=Core._createFunction();s.prototype=i.prototype,n.prototype=new s}if(n.prototype.constructor=n,r.$abstract){if(n.$abstract={},i&&i.$abstract)for(e in i.$abstract)n.$abstract[e]=i.$abstract[e];if(r.$abstract instanceof Object)for(e in r.$abstract)n.$abstract[e]=!0,n.$virtual[e]=!0;delete r.$abstract}if((r.$implements||i&&i.$implements)&&(n.$implements=i&&i.$implements?i.$implements:[],r.$implements&&(n.$implements=n.$implements.concat(r.$implements),delete r.$implements)),i)for(t in i.$virtual)n.$virtual[t]=i.$virtual[t];if(r.$virtual){for(t in Core._inherit(n.prototype,r.$virtual,n.$virtual),r.$virtual)n.$virtual[t]=!0;delete r.$virtual}r.hasOwnProperty("toString")&&(n.prototype.toString=r.toString),r.hasOwnProperty("valueOf")&&(n.prototype.valueOf=r.valueOf),delete r.toString,delete r.valueOf,r.$include&&(Core._processMixins(n,r.$include,r.$resolve),delete r.$include),delete r.$resolve;var l=null;r.$advice&&(l=r.$advice,delete r.$advice);var a=null;r.$properties&&(a=r.$properties,delete r.$properties);var h=null;return r.$load&&(h=r.$load,delete r.$load),r.$static&&(Core._inherit(n,r.$static),delete r.$static),Core._inherit(n.prototype,r,n.$virtual),l&&Core._processAdvice(n,l),(a||i&&i.$properties)&&Core._processProperties(n,a),n.$abstract||(this._verifyAbstractImpl(n),n.$implements&&this._verifyInterfaceImpl(n)),Core.Reflect._register(n,o),h&&h.call(n),n},_fireChange:function(e,t,n,i){var r=e[Core._CHANGE_LISTENERS_PROPERTY];r&&r.fireEvent({type:"change",source:e,path:t.slice(),oldValue:n,newValue:i})},_formatPath:function(e){for(var t="",n=0;n<e.length;++n)"number"==typeof e[n]?t+="["+e[n]+"]":t+=(0===n?"":".")+String(e[n]).replace(/[\\.\[\]]/g,"\\$&");return t},_getContainer:function(e,t,n){var i;if(0===t.length)throw new Error("Path must not be empty.");for(var r=0;r<t.length-1;++r)if(i=e,null==(e=e[t[r]]))switch(n){case"create":e="number"==typeof t[r+1]?[]:{},i[t[r]]=e;break;case"error":throw new Error("Path not found: "+Core._formatPath(t.slice(0,r+1)));default:return null}return e},get:function(e,t,n){var i=Core._getValue(e,t,n&&"error"==n.missing);return i||null},_getValue:function(e,t,n){t=Core._parsePath(t);for(var i=0;i<t.length;++i)if(null==(e=e[t[i]])){if(n)throw new Error("Path not found: "+Core._formatPath(t.slice(0,i+1)));return}return e},_getProperty:function(e,t){var n=e.constructor.$properties[t];if(!n)throw new Error('Property "'+t+'" is not declared.');return n.computed?(e._propertyCache||(e._propertyCache={}),e._propertyCache.hasOwnProperty(t)||(e._propertyCache[t]=n.computed.call(e)),e._propertyCache[t]):e._propertyValues&&e._propertyValues.hasOwnProperty(t)?e._propertyValues[t]:n.value},_getPropertyDependents:function(e,t){for(var n,i,r=[],o=[t];o.length>0;)for(i in n=o.shift(),e)e[i].computed&&-1!=Core.Arrays.indexOf(e[i].depends,n)&&-1==Core.Arrays.indexOf(r,i)&&(r.push(i),o.push(i));return r},_getInterfaceViolation:function(e,t){var n=t.$name?'"'+t.$name+'"':"(unnamed)";for(var i in t)if("$"!=i.charAt(0)){if("function"!=typeof e[i])return'Does not provide method "'+i+'" of interface '+n+".";if(e[i].length<t[i])return'Method "'+i+'" of interface '+n+" must accept "+t[i]+" argument(s), declares "+e[i].length+"."}return null},implementsInterface:function(e,t){return null!=e&&null==Core._getInterfaceViolation(e,t)},_isVirtual:function(e,t){switch(t){case"toString":case"valueOf":return!0}return e[t]},_inherit:function(e,t,n){for(var i in t){if(n&&void 0!==e[i]&&!this._isVirtual(n,i))throw new Error('Cannot override non-virtual property "'+i+'".');e[i]=t[i]}},method:function(e,t){return function(){return t.apply(e,arguments)}},_parsePath:function(e){if("string"!=typeof e)return e;for(var t,n,i,r=[],o=null,s=0;s<e.length;++s)switch(t=e.charAt(s)){case"\\":if(s==e.length-1)throw new Error("Invalid path, trailing escape character: "+e);o=(o||"")+e.charAt(++s);break;case".":if(null==o){if(0===s||"]"!=e.charAt(s-1))throw new Error("Invalid path, empty property name: "+e)}else r.push(o),o=null;break;case"[":if(null!=o&&(r.push(o),o=null),i=-1==(n=e.indexOf("]",s))?"":e.substring(s+1,n),!/^\d+$/.test(i))throw new Error("Invalid path, illegal array index: "+e);if(r.push(parseInt(i,10)),(s=n)<e.length-1&&"."!=e.charAt(s+1)&&"["!=e.charAt(s+1))throw new Error("Invalid path, index not followed by separator: "+e);break;default:o=(o||"")+t}if(null!=o)r.push(o);else if(e.length>0&&"."==e.charAt(e.length-1))throw new Error("Invalid path, empty property name: "+e);return r},_processAdvice:function(e,t){for(var n in t){if("function"!=typeof e.prototype[n])throw new Error('Cannot apply advice to undefined method "'+n+'".');e.prototype[n]=Core._createAdvisedMethod(e.prototype[n],t[n])}},_processMixins:function(e,t,n){var i,r,o,s={},l={};for(o=0;o<t.length;++o)for(i in t[o])e.prototype[i]||(s[i]&&s[i][i]!==t[o][i]&&(l[i]=!0),s[i]=t[o]);for(i in s){if(l[i]&&(!n||!n[i]))throw new Error('Property "'+i+'" is provided by multiple mixins, but no resolution is specified.');e.prototype[i]=s[i][i]}for(i in n){if("function"!=typeof(r=n[i])){if(-1==Core.Arrays.indexOf(t,r)||void 0===r[i])throw new Error('Resolution of property "'+i+'" does not specify a mixin providing it.');r=r[i]}if(!s[i])throw new Error('Cannot resolve property "'+i+'", it is not provided by any mixin.');e.prototype[i]=r}},_processProperties:function(e,t){var n,i,r,o,s=e.$super,l=e.prototype;if(e.$properties={},s&&s.$properties)for(n in s.$properties)e.$properties[n]=s.$properties[n];for(n in t){if(e.$properties[n])throw new Error('Cannot redeclare property "'+n+'".');i=(i=t[n])&&"function"==typeof i.computed?{computed:i.computed,depends:i.depends||[]}:{value:i},e.$properties[n]=i,void 0===l["get"+(r=n.charAt(0).toUpperCase()+n.substring(1))]&&(l["get"+r]=Core._createPropertyGetter(n)),i.computed||void 0!==l["set"+r]||(l["set"+r]=Core._createPropertySetter(n))}for(n in t)if((i=e.$properties[n]).computed){for(o=0;o<i.depends.length;++o)if(!e.$properties[i.depends[o]])throw new Error('Computed property "'+n+'" depends on undeclared property "'+i.depends[o]+'".');if(-1!=Core.Arrays.indexOf(Core._getPropertyDependents(e.$properties,n),n))throw new Error('Computed property "'+n+'" has a circular dependency.')}for(n in Core._propertyMethods)void 0===l[n]&&(l[n]=Core._propertyMethods[n])},_propertyMethods:{addListener:function(e,t){null==this._listenerList&&(this._listenerList=new Core.ListenerList),this._listenerList.addListener(e,t)},get:function(e){return Core._getProperty(this,e)},removeListener:function(e,t){null!=this._listenerList&&this._listenerList.removeListener(e,t)},set:function(e,t){Core._setProperty(this,e,t)}},removeChangeListener:function(e,t){var n=e[Core._CHANGE_LISTENERS_PROPERTY];if(n&&(n.removeListener("change",t),n.isEmpty()))try{delete e[Core._CHANGE_LISTENERS_PROPERTY]}catch(t){e[Core._CHANGE_LISTENERS_PROPERTY]=null}},set:function(e,t,n,i){t=Core._parsePath(t);var r=Core._getContainer(e,t,i&&i.missing?i.missing:"create");if(!r)return!1;var o=t[t.length-1],s=r[o];return r[o]=n,s!==n&&Core._fireChange(e,t,s,n),!0},_setProperty:function(e,t,n){var i,r=e.constructor.$properties,o=r[t];if(!o)throw new Error('Property "'+t+'" is not declared.');if(o.computed)throw new Error('Cannot set computed property "'+t+'".');var s=Core._getProperty(e,t);if(s!==n){var l=e._listenerList&&e._listenerList.hasListeners("property"),a=Core._getPropertyDependents(r,t),h=[];if(l)for(i=0;i<a.length;++i)h[i]=Core._getProperty(e,a[i]);if(e._propertyValues||(e._propertyValues={}),e._propertyValues[t]=n,e._propertyCache)for(i=0;i<a.length;++i)delete e._propertyCache[a[i]];if(l)for(e._listenerList.fireEvent({type:"property",source:e,propertyName:t,oldValue:s,newValue:n}),i=0;i<a.length;++i){var c=Core._getProperty(e,a[i]);c!==h[i]&&e._listenerList.fireEvent({type:"property",source:e,propertyName:a[i],oldValue:h[i],newValue:c})}}},_verifyAbstractImpl:function(e){var t=e.$super;if(t&&t.$abstract&&!0!==t.$abstract)for(var n in t.$abstract)if(null==e.prototype[n])throw new Error('Concrete class does not provide implementation of abstract method "'+n+'".')},_verifyInterfaceImpl:function(e){for(var t=0;t<e.$implements.length;++t){var n=this._getInterfaceViolation(e.prototype,e.$implements[t]);if(n)throw new Error("Concrete class does not implement interface: "+n)}}},Core.Debug={consoleElement:null,useAlertDialog:!1,consoleWrite:function(e){Core.Log.getLogger("Core.Debug").info(e)},toString:function(e){var t="";for(var n in e)"function"!=typeof e[n]&&(t+=n+":"+e[n]+"\n");return t}},Core.Reflect={recordClasses:!1,_classes:[],_nameToClassMap:{},findName:function(e,t,n){var i=null;return this._visitNamespace(t,n,[],function(t,n){return t===e&&(i=t.$name||n,!0)}),i},getAbstractMembers:function(e,t){return this._getMembers(e,"$abstract",t)},getClass:function(e){return this._nameToClassMap.hasOwnProperty(e)?this._nameToClassMap[e]:null},getClassNames:function(){var e=[];for(var t in this._nameToClassMap)this._nameToClassMap.hasOwnProperty(t)&&e.push(t);return e.sort(),e},getDeclaringClass:function(e,t){for(;e;){if(e.prototype.hasOwnProperty(t))return e;e=e.$super}return null},_getMembers:function(e,t,n){var i=[],r=e[t],o=e.$super?e.$super[t]:null;if(!(r instanceof Object))return i;for(var s in r)n&&o instanceof Object&&o[s]||i.push(s);return i},getName:function(e){return e.$name||null},getOverridingClasses:function(e,t){for(var n=[],i=this.getSubclasses(e,!0),r=0;r<i.length;++r)i[r].prototype.hasOwnProperty(t)&&n.push(i[r]);return n},getSubclasses:function(e,t){for(var n,i=[],r=0;r<this._classes.length;++r)for(n=this._classes[r].$super;n;){if(n===e){i.push(this._classes[r]);break}n=t?n.$super:null}return i},getSuperclasses:function(e){for(var t=[];e.$super;)e=e.$super,t.push(e);return t},getVirtualMembers:function(e,t){return this._getMembers(e,"$virtual",t)},_register:function(e,t){t?this.registerClass(t,e):this.recordClasses&&this._classes.push(e)},registerClass:function(e,t){if(this._nameToClassMap.hasOwnProperty(e)){if(this._nameToClassMap[e]===t)return;throw new Error("Class already registered: "+e)}if(t.$name&&t.$name!=e)throw new Error('Class already registered as "'+t.$name+'", cannot register as: '+e);t.$name=e,this._nameToClassMap[e]=t,-1==Core.Arrays.indexOf(this._classes,t)&&this._classes.push(t)},registerNamespace:function(e,t){this._visitNamespace(e,t,[],Core.method(this,function(e,t){return e.$name||this.registerClass(t,e),!1}))},_visitNamespace:function(e,t,n,i){if(-1!=Core.Arrays.indexOf(n,e))return!1;var r,o;for(var s in n.push(e),e)if(e.hasOwnProperty(s)&&"_"!=s.charAt(0)&&"$"!=s.charAt(0))if(o=t+"."+s,"function"==typeof(r=e[s])){if(!r.$virtual||!r.hasOwnProperty("$super"))continue;if(i(r,o)||this._visitNamespace(r,r.$name||o,n,i))return!0}else if(r&&"object"==typeof r&&r.constructor===Object&&this._visitNamespace(r,o,n,i))return!0;return!1}},Core.Log={TRACE:0,DEBUG:1,INFO:2,WARN:3,ERROR:4,OFF:5,LEVEL_NAMES:["TRACE","DEBUG","INFO","WARN","ERROR","OFF"],formatters:{"Core.Debug":function(e){return e.message}},rootLevel:2,_appenders:[],_levels:{},_loggers:{},addAppender:function(e){Core.Arrays.remove(this._appenders,e),this._appenders.push(e)},format:function(e){if(this.formatters.hasOwnProperty(e.logger))return this.formatters[e.logger](e);var t=e.levelName+" "+e.logger+": "+e.message;if(e.fields){var n=[];for(var i in e.fields)n.push(i+"="+e.fields[i]);n.length>0&&(t+=" {"+n.join(", ")+"}")}return t},getEffectiveLevel:function(e){for(;e;){if(null!=this._levels[e])return this._levels[e];var t=e.lastIndexOf(".");e=-1==t?null:e.substring(0,t)}return this.rootLevel},getLogger:function(e){var t=this._loggers[e];return t||(t=this._loggers[e]=new Core.Log.Logger(e)),t},_publish:function(e){for(var t=this._appenders.slice(),n=0;n<t.length;++n)if(!(e.level<t[n].level))try{t[n].append(e)}catch(e){}},removeAppender:function(e){Core.Arrays.remove(this._appenders,e)},setLevel:function(e,t){null==t?delete this._levels[e]:this._levels[e]=t}},Core.Log.Logger=Core.extend({name:null,$construct:function(e){this.name=e},debug:function(e,t){this.log(Core.Log.DEBUG,e,t)},error:function(e,t){this.log(Core.Log.ERROR,e,t)},info:function(e,t){this.log(Core.Log.INFO,e,t)},isEnabled:function(e){return e>=Core.Log.getEffectiveLevel(this.name)&&e<Core.Log.OFF},log:function(e,t,n){this.isEnabled(e)&&Core.Log._publish({logger:this.name,level:e,levelName:Core.Log.LEVEL_NAMES[e],message:String(t),fields:n||null,time:(new Date).getTime()})},trace:function(e,t){this.log(Core.Log.TRACE,e,t)},warn:function(e,t){this.log(Core.Log.WARN,e,t)}}),Core.Log.Appender=Core.extend({$abstract:{append:function(e){}},$virtual:{level:0}}),Core.Log.ConsoleAppender=Core.extend(Core.Log.Appender,{_methods:["debug","debug","info","warn","error"],append:function(e){if("undefined"!=typeof console){var t=console[this._methods[e.level]]?this._methods[e.level]:"log",n=e.levelName+" "+e.logger+": "+e.message;e.fields?console[t](n,e.fields):console[t](n)}}}),Core.Log.DomAppender=Core.extend(Core.Log.Appender,{element:null,$construct:function(e){this.element=e||null},append:function(e){var t=this.element||Core.Debug.consoleElement,n=Core.Log.format(e);if(t){var i=document.createElement("div");i.appendChild(document.createTextNode(n)),0===t.childNodes.length?t.appendChild(i):t.insertBefore(i,t.firstChild)}else Core.Debug.useAlertDialog&&alert("DEBUG:"+n)}}),Core.Log.MemoryAppender=Core.extend(Core.Log.Appender,{capacity:null,_buffer:null,_next:0,_count:0,$construct:function(e){this.capacity=e||100,this._buffer=[]},append:function(e){this._buffer[this._next]=e,this._next=(this._next+1)%this.capacity,this._count<this.capacity&&++this._count},clear:function(){this._buffer=[],this._next=0,this._count=0},getRecords:function(){for(var e=this._count<this.capacity?0:this._next,t=[],n=0;n<this._count;++n)t.push(this._buffer[(e+n)%this.capacity]);return t}}),Core.Log._appenders.push(new Core.Log.DomAppender),Core.Arrays={containsAll:function(e,t,n){if(n&&e.length<t.length)return!1;if(0===t.length)return!0;for(var i,r,o=0;o<t.length;++o){i=!1,r=t[o];for(var s=0;s<e.length;++s)if(r==e[s]){i=!0;break}if(!i)return!1}return!0},diff:function(e,t,n){var i,r=this._getDiffKeys(e,n),o=this._getDiffKeys(t,n),s={},l={},a=[],h=[];for(i=0;i<r.length;++i)s[r[i]]=i;for(i=0;i<o.length;++i)l[o[i]]=i;for(i=r.length-1;i>=0;--i)null==l[r[i]]&&a.push({type:"delete",index:i,item:e[i]});for(i=0;i<r.length;++i)null!=l[r[i]]&&h.push(r[i]);var c=[],d=[],u={};for(i=0;i<o.length;++i)null!=s[o[i]]&&(c.push(o[i]),d.push(s[o[i]]));var p=this._getLongestIncreasingSubsequence(d);for(i=0;i<p.length;++i)u[c[p[i]]]=!0;var _,f,m=null;for(i=o.length-1;i>=0;--i)u[o[i]]||(_=null==m?h.length:this.indexOf(h,m),null==s[o[i]]?a.push({type:"insert",index:_,item:t[i]}):(f=this.indexOf(h,o[i]),h.splice(f,1),f<_&&--_,f!=_&&a.push({type:"move",from:f,to:_,item:t[i]})),h.splice(_,0,o[i])),m=o[i];return a},_getDiffKeys:function(e,t){for(var n=[],i={},r=0;r<e.length;++r){var o="_"+(t?t(e[r]):e[r]);i[o]?(n.push(o+"\0"+i[o]),++i[o]):(n.push(o),i[o]=1)}return n},_getLongestIncreasingSubsequence:function(e){var t,n=[],i=[];for(t=0;t<e.length;++t){for(var r=0,o=n.length;r<o;){var s=r+o>>1;e[n[s]]<e[t]?r=s+1:o=s}i[t]=r>0?n[r-1]:-1,n[r]=t}var l=[];for(t=n.length>0?n[n.length-1]:-1;-1!=t;t=i[t])l.unshift(t);return l},indexOf:function(e,t){for(var n=0;n<e.length;++n)if(t==e[n])return n;return-1},patch:function(e,t){for(var n=0;n<t.length;++n){var i=t[n];switch(i.type){case"delete":e.splice(i.index,1);break;case"insert":e.splice(i.index,0,i.item);break;case"move":e.splice(i.from,1),e.splice(i.to,0,i.item)}}return e},reconcile:function(e,t,n,i){var r,o=this.diff(e,t,n);for(r=0;r<o.length;++r){var s=o[r];switch(s.type){case"delete":i.delete&&i.delete(s.item,s.index);break;case"insert":i.insert&&i.insert(s.item,s.index);break;case"move":i.move&&i.move(s.item,s.from,s.to)}}if(i.update){var l=this._getDiffKeys(e,n),a=this._getDiffKeys(t,n),h={};for(r=0;r<l.length;++r)h[l[r]]=e[r];for(r=0;r<a.length;++r)h.hasOwnProperty(a[r])&&h[a[r]]!==t[r]&&i.update(h[a[r]],t[r],r)}return o},remove:function(e,t){for(var n=0;n<e.length;++n)if(t==e[n])return void e.splice(n,1)},removeDuplicates:function(e){e.sort();for(var t=0,n=e.length-1;n>0;--n)e[n]==e[n-1]&&(e[n]=e[e.length-1-t],++t);t>0&&(e.length=e.length-t)}},Core.Arrays.LargeMap=Core.extend({$static:{garbageCollectEnabled:!1,Iterator:Core.extend({_node:null,_type:null,$construct:function(e,t){this._node=e,this._type=t},next:function(){for(;this._node&&this._node.removed;)this._node=this._node.next;if(!this._node)return{done:!0,value:void 0};var e=this._node;return this._node=e.next,{done:!1,value:"key"==this._type?e.key:"value"==this._type?e.value:[e.key,e.value]}}})},$load:function(){"undefined"!=typeof Symbol&&Symbol.iterator&&(this.Iterator.prototype[Symbol.iterator]=function(){return this},this.prototype[Symbol.iterator]=this.prototype.entries)},_removeCount:0,garbageCollectionInterval:250,map:null,_nodes:null,_head:null,_tail:null,capacity:null,_listenerList:null,size:0,$construct:function(e){this.map={},this._nodes={},this.capacity=e||null},addEvictListener:function(e){this._listenerList||(this._listenerList=new Core.ListenerList),this._listenerList.addListener("evict",e)},clear:function(){for(var e=this._head;e;e=e.next)e.removed=!0;this.map={},this._nodes={},this._head=this._tail=null,this.size=0,this._removeCount=0},entries:function(){return new Core.Arrays.LargeMap.Iterator(this._head,"entry")},forEach:function(e,t){for(var n,i=this.entries();!(n=i.next()).done;)e.call(t,n.value[1],n.value[0],this)},_garbageCollect:function(){this._removeCount=0;var e={},t={};for(var n in this.map)this._setOwn(e,n,this.map[n]),this._setOwn(t,n,this._nodes[n]);this.map=e,this._nodes=t},get:function(e){var t=this._getNode(e);return t?(this.capacity&&this._moveToTail(t),t.value):null},_getNode:function(e){return Object.prototype.hasOwnProperty.call(this._nodes,e)?this._nodes[e]:null},has:function(e){return!!this._getNode(e)},keys:function(){return new Core.Arrays.LargeMap.Iterator(this._head,"key")},_moveToTail:function(e){if(e!=this._tail){this._unlink(e);var t={key:e.key,value:e.value,previous:this._tail,next:null,removed:!1};this._setOwn(this._nodes,e.key,t),this._tail.next=t,this._tail=t}},remove:function(e){var t=this._getNode(e);t&&(this._unlink(t),--this.size,delete this._nodes[e],delete this.map[e],Core.Arrays.LargeMap.garbageCollectEnabled&&(++this._removeCount,this._removeCount>=this.garbageCollectionInterval&&this._garbageCollect()))},removeEvictListener:function(e){this._listenerList&&this._listenerList.removeListener("evict",e)},set:function(e,t){if(null!=t){var n=this._getNode(e);if(n)return n.value=t,this._setOwn(this.map,e,t),void(this.capacity&&this._moveToTail(n));for(n={key:e,value:t,previous:this._tail,next:null,removed:!1},this._setOwn(this._nodes,e,n),this._setOwn(this.map,e,t),this._tail?this._tail.next=n:this._head=n,this._tail=n,++this.size;this.capacity&&this.size>this.capacity;){var i=this._head;this.remove(i.key),this._listenerList&&this._listenerList.fireEvent({type:"evict",source:this,key:i.key,value:i.value})}}else this.remove(e)},_setOwn:function(e,t,n){"__proto__"==t&&Object.defineProperty?Object.defineProperty(e,t,{value:n,writable:!0,enumerable:!0,configurable:!0}):e[t]=n},toString:function(){return Core.Debug.toString(this.map)},_unlink:function(e){e.previous?e.previous.next=e.next:this._head=e.next,e.next?e.next.previous=e.previous:this._tail=e.previous,e.removed=!0},values:function(){return new Core.Arrays.LargeMap.Iterator(this._head,"value")}}),Core.Event=Core.extend({$static:{PHASE_CAPTURE:1,PHASE_TARGET:2,PHASE_BUBBLE:3},type:null,source:null,currentTarget:null,phase:null,bubbles:!1,defaultPrevented:!1,propagationStopped:!1,immediatePropagationStopped:!1,$construct:function(e,t,n){for(var i in this.type=e,this.source=t,n)this[i]=n[i]},preventDefault:function(){this.defaultPrevented=!0},stopPropagation:function(){this.propagationStopped=!0},stopImmediatePropagation:function(){this.propagationStopped=!0,this.immediatePropagationStopped=!0}}),Core.ListenerList=Core.extend({$static:{_settle:function(e){if("undefined"==typeof Promise){for(var t=0;t<e.length;++t)if(e[t].failed)throw e[t].ex;return null}return new Promise(function(t,n){var i=[],r=[],o=e.length,s=function(){if(!(--o>0))if(0===r.length)t(i);else{var s=new Error(r.length+" of "+e.length+" listener(s) failed: "+r[0]);s.errors=r,s.results=i,n(s)}},l=function(t){if(e[t].failed)return r.push(e[t].ex),void s();Promise.resolve(e[t].value).then(function(e){i[t]=e,s()},function(e){r.push(e),s()})};if(0!==o)for(var a=0;a<e.length;++a)l(a);else t(i)})}},_data:null,$construct:function(){this._data=[]},addListener:function(e,t,n){var i=n&&n.priority?n.priority:0,r=this._data.length;if(r>0&&this._getPriority(r-3)<i)for(r=0;r<this._data.length&&!(this._getPriority(r)<i);r+=3);this._data.splice(r,0,e,t,n||null)},fireEvent:function(e,t){return this._notify(e,t,null)},fireEventAsync:function(e,t){var n=[];return this._notifyAsync(e,t,n),Core.ListenerList._settle(n)},_getEventListeners:function(e,t){if(null==e.type)throw new Error("Cannot fire event, type property not set.");for(var n,i=[],r=0;r<this._data.length;r+=3)if(this._data[r]==e.type){if(n=!(!this._data[r+2]||!this._data[r+2].capture),t==Core.Event.PHASE_CAPTURE&&!n||t==Core.Event.PHASE_BUBBLE&&n)continue;i.push({listener:this._data[r+1],options:this._data[r+2]})}return i},_prepareNotify:function(e,t){if(!t.options||!t.options.once)return!0;for(var n=0;n<this._data.length;n+=3)if(this._data[n]==e.type&&this._data[n+1]==t.listener&&this._data[n+2]==t.options)return this._data.splice(n,3),!0;return!1},_getPriority:function(e){var t=this._data[e+2];return t&&t.priority?t.priority:0},getListenerTypes:function(){for(var e=[],t=0;t<this._data.length;t+=3)e.push(this._data[t]);return Core.Arrays.removeDuplicates(e),e},getListeners:function(e){for(var t=[],n=0;n<this._data.length;n+=3)this._data[n]==e&&t.push(this._data[n+1]);return t},getListenerCount:function(e){for(var t=0,n=0;n<this._data.length;n+=3)this._data[n]==e&&++t;return t},hasListeners:function(e){for(var t=0;t<this._data.length;t+=3)if(this._data[t]==e)return!0;return!1},isEmpty:function(){return 0===this._data.length},_notify:function(e,t,n){for(var i,r=!0,o=this._getEventListeners(e,t),s=0;s<o.length&&!e.immediatePropagationStopped;++s)this._prepareNotify(e,o[s])&&(i=o[s].listener(e),n&&i&&"function"==typeof i.then&&n.push({value:i}),r=i&&r);return r},_notifyAsync:function(e,t,n){for(var i=this._getEventListeners(e,t),r=0;r<i.length&&!e.immediatePropagationStopped;++r)if(this._prepareNotify(e,i[r]))try{n.push({value:i[r].listener(e)})}catch(e){n.push({failed:!0,ex:e})}},removeListener:function(e,t){for(var n=0;n<this._data.length;n+=3)if(this._data[n]==e&&t==this._data[n+1])return void this._data.splice(n,3)},toString:function(){for(var e="",t=0;t<this._data.length;t+=3)t>0&&(e+=", "),e+=this._data[t]+":"+this._data[t+1];return e}}),Core.ResourceBundle=Core.extend({$static:{formatters:{number:function(e,t,n){if("undefined"!=typeof Intl&&Intl.NumberFormat){var i="percent"==t?{style:"percent"}:"integer"==t?{maximumFractionDigits:0}:{};return new Intl.NumberFormat(n||void 0,i).format(e)}switch(t){case"integer":return String(Math.round(e));case"percent":return Math.round(100*e)+"%";default:return String(e)}},date:function(e,t,n){return e instanceof Date||(e=new Date(e)),"undefined"!=typeof Intl&&Intl.DateTimeFormat?new Intl.DateTimeFormat(n||void 0,t?{dateStyle:t}:{}).format(e):e.toLocaleDateString()}},pluralRules:{en:function(e){return 1==e?"one":"other"},fr:function(e){return e>=0&&e<2?"one":"other"},ru:function(e){var t=e%10,n=e%100;return e!=Math.floor(e)?"other":1==t&&11!=n?"one":t>=2&&t<=4&&(n<12||n>14)?"few":"many"},pl:function(e){var t=e%10,n=e%100;return e!=Math.floor(e)?"other":1==e?"one":t>=2&&t<=4&&(n<12||n>14)?"few":"many"},cs:function(e){return e!=Math.floor(e)?"many":1==e?"one":e>=2&&e<=4?"few":"other"},ja:function(e){return"other"}},createHttpLoader:function(urlTemplate){return function(languageCode,callback){var conn=new Core.Web.HttpConnection(urlTemplate.replace("{locale}",languageCode),"GET");conn.addResponseListener(function(e){var map=null;if(e.valid&&404!=conn.getStatus())try{var text=conn.getResponseText();map="undefined"!=typeof JSON?JSON.parse(text):eval("("+text+")")}catch(e){map=null}callback(map)}),conn.connect()}},createLibraryLoader:function(e){return function(t,n){Core.Web.Library.exec([e.replace("{locale}",t)],function(){n(null)})}},_findClosingBrace:function(e,t){for(var n,i=0,r=t;r<e.length;++r)if("'"==(n=e.charAt(r))){if("'"==e.charAt(r+1))++r;else if(-1!="{}#".indexOf(e.charAt(r+1))&&""!==e.charAt(r+1)&&-1==(r=e.indexOf("'",r+1)))break}else if("{"==n)++i;else if("}"==n&&0===--i)return r;throw new Error("Invalid message pattern, unmatched brace: "+e)},_formatArgument:function(e,t,n){var i=e.indexOf(","),r=Core.ResourceBundle._trim(-1==i?e:e.substring(0,i)),o=t?Core._getValue(t,r):null;if(-1==i)return null==o?"{"+r+"}":String(o);var s,l=e.indexOf(",",i+1),a=Core.ResourceBundle._trim(-1==l?e.substring(i+1):e.substring(i+1,l)),h=-1==l?null:Core.ResourceBundle._trim(e.substring(l+1));switch(a){case"plural":var c=(s=Core.ResourceBundle._parseOptions(h))["="+(o=Number(o))];return null==c&&null==(c=s[Core.ResourceBundle.getPluralCategory(n,o)])&&(c=s.other),null==c?"":Core.ResourceBundle._formatPattern(c,t,n,o);case"select":var d=(s=Core.ResourceBundle._parseOptions(h)).hasOwnProperty(String(o))?s[String(o)]:s.other;return null==d?"":Core.ResourceBundle._formatPattern(d,t,n,null);default:var u=Core.ResourceBundle.formatters[a];if(!u)throw new Error('Invalid message pattern, unknown format type "'+a+'".');return null==o?"{"+r+"}":u(o,h,n)}},_formatPattern:function(e,t,n,i){for(var r,o,s="",l=0;l<e.length;++l)switch(r=e.charAt(l)){case"'":"'"==e.charAt(l+1)?(s+="'",++l):""!==e.charAt(l+1)&&-1!="{}#".indexOf(e.charAt(l+1))?(-1==(o=e.indexOf("'",l+1))&&(o=e.length),s+=e.substring(l+1,o),l=o):s+=r;break;case"{":o=Core.ResourceBundle._findClosingBrace(e,l),s+=Core.ResourceBundle._formatArgument(e.substring(l+1,o),t,n),l=o;break;case"}":throw new Error("Invalid message pattern, unmatched brace: "+e);case"#":s+=null==i?r:Core.ResourceBundle.formatters.number(i,null,n);break;default:s+=r}return s},formatMessage:function(e,t,n){return Core.ResourceBundle._formatPattern(e,t,n||null,null)},getPreferredLanguages:function(){if("undefined"==typeof navigator)return[];if(navigator.languages&&navigator.languages.length)return Array.prototype.slice.call(navigator.languages);var e=navigator.language||navigator.userLanguage;return e?[e]:[]},getPluralCategory:function(e,t){var n=Core.ResourceBundle.pluralRules;if(e){if(n.hasOwnProperty(e))return n[e](t);var i=Core.ResourceBundle.getParentLanguageCode(e);if(i&&n.hasOwnProperty(i))return n[i](t);if("undefined"!=typeof Intl&&Intl.PluralRules)try{return new Intl.PluralRules(e).select(t)}catch(e){}}return n.en(t)},getParentLanguageCode:function(e){return-1==e.indexOf("-")?null:e.substring(0,e.indexOf("-"))},_parseOptions:function(e){var t,n,i={},r=0;if(!e)throw new Error("Invalid message pattern, options not specified.");for(;;){for(;r<e.length&&-1!=" \t\r\n".indexOf(e.charAt(r));)++r;if(r>=e.length)break;for(t=r;r<e.length&&"{"!=e.charAt(r)&&-1==" \t\r\n".indexOf(e.charAt(r));)++r;for(var o=e.substring(t,r);r<e.length&&-1!=" \t\r\n".indexOf(e.charAt(r));)++r;if("{"!=e.charAt(r))throw new Error('Invalid message pattern, no sub-message specified for "'+o+'".');n=Core.ResourceBundle._findClosingBrace(e,r),i[o]=e.substring(r+1,n),r=n+1}return i},_trim:function(e){return e.replace(/^\s+|\s+$/g,"")}},$load:function(){var e=this.pluralRules;e.de=e.es=e.it=e.nl=e.pt=e.sv=e.da=e.no=e.fi=e.en,e.uk=e.be=e.ru,e.sk=e.cs,e.zh=e.ko=e.th=e.vi=e.id=e.ja},_sourceMaps:null,_generatedMaps:null,_defaultMap:null,_loader:null,_availableLanguages:null,_loadCallbacks:null,_negotiatedLanguageCode:null,_listenerList:null,$construct:function(e){this._sourceMaps={},this._generatedMaps={},this._loadCallbacks={},this._defaultMap=e},addLoadListener:function(e){this._listenerList||(this._listenerList=new Core.ListenerList),this._listenerList.addListener("load",e)},format:function(e,t,n){e=e||this._negotiatedLanguageCode;var i=this.get(e)[t];return null==i?null:Core.ResourceBundle.formatMessage(i,n,e)},get:function(e){var t,n=(e=e||this._negotiatedLanguageCode)?this._generatedMaps[e]:this._defaultMap;if(n)return n;n={};var i=this._sourceMaps[e];if(i)for(t in i)n[t]=i[t];var r=Core.ResourceBundle.getParentLanguageCode(e);if(r&&(i=this._sourceMaps[r]))for(t in i)void 0===n[t]&&(n[t]=i[t]);for(t in this._defaultMap)void 0===n[t]&&(n[t]=this._defaultMap[t]);return this._generatedMaps[e]=n,n},load:function(e,t){e||(e=this._negotiatedLanguageCode=this.negotiate());var n,i,r=[],o=e?Core.ResourceBundle.getParentLanguageCode(e):null,s=!0;e&&r.push(e),o&&r.push(o),n=r.length+1;var l=Core.method(this,function(i){if(s=s&&i,!(--n>0)){var r={type:"load",source:this,languageCode:e,success:s};this._listenerList&&this._listenerList.fireEvent(r),t&&t(r)}});for(i=0;i<r.length;++i)this._loadMap(r[i],l);l(!0)},_loadMap:function(e,t){if(!this._loader||this._sourceMaps[e]||this._availableLanguages&&-1==Core.Arrays.indexOf(this._availableLanguages,e))t(!0);else if(null!==this._loadCallbacks[e])if(this._loadCallbacks[e])this._loadCallbacks[e].push(t);else{this._loadCallbacks[e]=[t];try{this._loader.call(this,e,Core.method(this,function(t){t&&this.set(e,t);var n=this._loadCallbacks[e],i=!!this._sourceMaps[e];this._loadCallbacks[e]=null;for(var r=0;r<n.length;++r)n[r](i||!this._availableLanguages)}))}catch(t){throw this._loadCallbacks[e]=null,t}}else t(!0)},negotiate:function(e){if(e=e||Core.ResourceBundle.getPreferredLanguages(),!this._availableLanguages)return e.length>0?e[0]:null;var t,n,i,r={};for(i=0;i<this._availableLanguages.length;++i)r[this._availableLanguages[i].toLowerCase()]=this._availableLanguages[i];for(i=0;i<e.length;++i){if(r[t=e[i].toLowerCase()])return r[t];if((n=Core.ResourceBundle.getParentLanguageCode(t))&&r[n])return r[n]}return null},removeLoadListener:function(e){this._listenerList&&this._listenerList.removeListener("load",e)},set:function(e,t){this._generatedMaps={},this._sourceMaps[e]=t},setLoader:function(e,t){this._loader=e,this._availableLanguages=t||null},toString:function(){var e="ResourceBundle: ";for(var t in this._sourceMaps)e+=" "+t;return e}}),Core.Web={dragInProgress:!1,init:function(){Core.Web.initialized||(Core.Web.Env._init(),Core.Web.Measure._calculateExtentSizes(),Core.Web.Measure.Bounds._initMeasureContainer(),Core.Web.Env.QUIRK_CSS_POSITIONING_ONE_SIDE_ONLY&&Core.Web.VirtualPosition._init(),Core.Web.Env.ENGINE_MSHTML&&(Core.Web.DOM.addEventListener(document,"selectstart",Core.Web._selectStartListener,!1),Core.Web.DOM.addEventListener(document,"dragstart",Core.Web._selectStartListener,!1)),Core.Web.initialized=!0)},_selectStartListener:function(e){e=e||window.event,Core.Web.dragInProgress&&Core.Web.DOM.preventEventDefault(e)}},Core.Web.DOM={_focusPendingElement:null,_focusRunnable:null,addEventListener:function(e,t,n,i){e.addEventListener?e.addEventListener(t,n,i):e.attachEvent&&e.attachEvent("on"+t,n)},createDocument:function(e,t){if(document.implementation&&document.implementation.createDocument){var n;if(Core.Web.Env.BROWSER_FIREFOX&&3==Core.Web.Env.BROWSER_VERSION_MAJOR&&0===Core.Web.Env.BROWSER_VERSION_MINOR)n=(new DOMParser).parseFromString("<?xml version='1.0' encoding='UTF-8'?><"+t+"/>","application/xml");else{n=document.implementation.createDocument(e,t,null);try{n.charset="utf-8"}catch(e){}}return n.documentElement||n.appendChild(n.createElement(t)),n}if(window.ActiveXObject){var i=new ActiveXObject("Microsoft.XMLDOM"),r=i.createElement(t);return i.appendChild(r),i}throw new Error("XML DOM creation not supported by browser environment.")},focusElement:function(e){if(this._focusRunnable||(this._focusRunnable=new(Core.extend(Core.Web.Scheduler.Runnable,{repeat:!0,attempt:0,timeInterval:25,run:function(){e=Core.Web.DOM._focusPendingElement,Core.Log.getLogger("Core.Web.DOM").debug("Focus",{element:e,id:e.id,displayed:Core.Web.DOM.isDisplayed(e)});var t=!1;if(Core.Web.DOM.isDisplayed(e)){t=!0;try{e.focus()}catch(e){}}t|=this.attempt>25,++this.attempt,t&&(Core.Web.DOM._focusPendingElement=null,Core.Web.Scheduler.remove(this))}}))),!(e&&e.focus&&Core.Web.DOM.isAncestorOf(document.body,e)))return Core.Web.DOM._focusPendingElement=null,void Core.Web.Scheduler.remove(this._focusRunnable);this._focusPendingElement=e,this._focusRunnable.attempt=0,Core.Web.Scheduler.add(this._focusRunnable)},getChildElementByTagName:function(e,t){for(var n=e.firstChild;n;){if(1==n.nodeType&&n.nodeName==t)return n;n=n.nextSibling}return null},getChildElementsByTagName:function(e,t){for(var n=[],i=e.firstChild;i;)1==i.nodeType&&i.nodeName==t&&n.push(i),i=i.nextSibling;return n},getEventOffset:function(e){if("number"==typeof e.offsetX)return{x:e.offsetX,y:e.offsetY};var t=new Core.Web.Measure.Bounds(this.getEventTarget(e));return{x:e.clientX-t.left,y:e.clientY-t.top}},getEventTarget:function(e){return e.target?e.target:e.srcElement},getEventRelatedTarget:function(e){return e.relatedTarget?e.relatedTarget:e.toElement},isAncestorOf:function(e,t){for(var n=t;null!=n;){if(n==e)return!0;n=n.parentNode}return!1},isDisplayed:function(e){for(;null!=e;){if(1==e.nodeType&&e.style){if("hidden"==e.style.visibility)return!1;if("none"==e.style.display)return!1}if(e==document.body)return!0;e=e.parentNode}return!1},preventEventDefault:function(e){e.preventDefault?e.preventDefault():e.returnValue=!1},removeAllChildren:function(e){for(;e.firstChild;)e.removeChild(e.firstChild)},removeEventListener:function(e,t,n,i){e.removeEventListener?e.removeEventListener(t,n,i):e.detachEvent&&e.detachEvent("on"+t,n)},removeNode:function(e){var t=e.parentNode;t&&(Core.Web.Env.QUIRK_PERFORMANCE_LARGE_DOM_REMOVE?this._removeNodeRecursive(e):t.removeChild(e))},_removeNodeRecursive:function(e){for(var t=e.firstChild;t;){var n=t.nextSibling;this._removeNodeRecursive(t),t=n}e.parentNode.removeChild(e)},stopEventPropagation:function(e){e.stopPropagation?e.stopPropagation():e.cancelBubble=!0}},Core.Web.Env={ENGINE_PRESTO:null,ENGINE_WEBKIT:null,ENGINE_KHTML:null,ENGINE_MSHTML:null,ENGINE_GECKO:null,BROWSER_MOZILLA:null,BROWSER_OPERA:null,BROWSER_KONQUEROR:null,BROWSER_FIREFOX:null,BROWSER_INTERNET_EXPLORER:null,BROWSER_CHROME:null,BROWSER_VERSION_MAJOR:null,BROWSER_VERSION_MINOR:null,ENGINE_VERSION_MAJOR:null,ENGINE_VERSION_MINOR:null,DECEPTIVE_USER_AGENT:null,CSS_FLOAT:"cssFloat",MEASURE_OFFSET_EXCLUDES_BORDER:null,NOT_SUPPORTED_CSS_OPACITY:null,NOT_SUPPORTED_RELATIVE_COLUMN_WIDTHS:null,NOT_SUPPORTED_INPUT_SELECTION:null,NOT_SUPPORTED_RANGE:null,NOT_SUPPORTED_POINTER_EVENTS:null,PROPRIETARY_EVENT_MOUSE_ENTER_LEAVE_SUPPORTED:null,PROPRIETARY_EVENT_SELECT_START_SUPPORTED:null,PROPRIETARY_IE_OPACITY_FILTER_REQUIRED:null,PROPRIETARY_IE_PNG_ALPHA_FILTER_REQUIRED:null,PROPRIETARY_IE_RANGE:null,QUIRK_KEY_CODE_IS_CHAR_CODE:null,QUIRK_KEY_PRESS_FIRED_FOR_SPECIAL_KEYS:null,QUIRK_KEY_DOWN_NOT_FIRED_FOR_SPECIAL_KEYS:null,QUIRK_CSS_BORDER_COLLAPSE_INSIDE:null,QUIRK_CSS_POSITIONING_ONE_SIDE_ONLY:null,QUIRK_DELAYED_FOCUS_REQUIRED:null,QUIRK_IE_BLANK_SCREEN:null,QUIRK_IE_HAS_LAYOUT:null,QUIRK_IE_SELECT_LIST_DOM_UPDATE:null,QUIRK_IE_SELECT_PERCENT_WIDTH:null,QUIRK_IE_SELECT_Z_INDEX:null,QUIRK_IE_SECURE_ITEMS:null,QUIRK_IE_TABLE_PERCENT_WIDTH_SCROLLBAR_ERROR:null,QUIRK_MEASURE_OFFSET_HIDDEN_BORDER:null,QUIRK_OPERA_CSS_POSITIONING:null,QUIRK_PERFORMANCE_LARGE_DOM_REMOVE:null,QUIRK_WEBKIT_DOM_TEXT_ESCAPE:null,QUIRK_TABLE_CELL_WIDTH_EXCLUDES_PADDING:null,QUIRK_UNLOADED_IMAGE_HAS_SIZE:null,QUIRK_SERIALIZE_XML_BEFORE_XML_HTTP_REQ:null,_detected:null,_initialized:!1,_overrides:{},_probes:{CSS_FLOAT:function(){return"cssFloat"in document.documentElement.style?"cssFloat":"styleFloat"in document.documentElement.style?"styleFloat":void 0},NOT_SUPPORTED_CSS_OPACITY:function(){return!("opacity"in document.documentElement.style)},NOT_SUPPORTED_INPUT_SELECTION:function(){return!("selectionStart"in document.createElement("input"))},NOT_SUPPORTED_POINTER_EVENTS:function(){return!window.PointerEvent},NOT_SUPPORTED_RANGE:function(){return!document.createRange},PROPRIETARY_EVENT_MOUSE_ENTER_LEAVE_SUPPORTED:function(){return"onmouseenter"in document.documentElement},PROPRIETARY_EVENT_SELECT_START_SUPPORTED:function(){return"onselectstart"in document.documentElement},PROPRIETARY_IE_OPACITY_FILTER_REQUIRED:function(){return this.NOT_SUPPORTED_CSS_OPACITY&&"filter"in document.documentElement.style},PROPRIETARY_IE_RANGE:function(){return!(!document.selection||!document.selection.createRange)},QUIRK_IE_HAS_LAYOUT:function(){var e=document.documentElement.currentStyle;return!!e&&"hasLayout"in e},QUIRK_KEY_CODE_IS_CHAR_CODE:function(){return!window.KeyboardEvent||!("charCode"in window.KeyboardEvent.prototype)||void 0},MEASURE_OFFSET_EXCLUDES_BORDER:function(){var e=this._probeOffsetBorder(!1);return null==e?void 0:e>0},QUIRK_MEASURE_OFFSET_HIDDEN_BORDER:function(){var e=this._probeOffsetBorder(!0);return null==e?void 0:e>1}},_ua:null,_uaAlpha:null,clearOverrides:function(){if(this._overrides={},this._initialized)for(var e in this._detected)this[e]=this._detected[e]},override:function(e){for(var t in e)null==e[t]?(delete this._overrides[t],this._initialized&&t in this._detected&&(this[t]=this._detected[t])):(this._overrides[t]=e[t],this._initialized&&(t in this._detected||(this._detected[t]=this[t]),this[t]=e[t]))},_init:function(){var e=null,t=null,n=!1;for(var i in this._ua=navigator.userAgent.toLowerCase(),this._uaAlpha="/"+this._ua.replace(/[^a-z]+/g,"/")+"/",this._testUAString("opera")?(this.BROWSER_OPERA=n=this.ENGINE_PRESTO=!0,e=this._parseVersionInfo("opera/")):this._testUAString("chrome")?(this.BROWSER_CHROME=n=this.ENGINE_WEBKIT=!0,e=this._parseVersionInfo("chrome/")):this._testUAString("safari")?(this.BROWSER_SAFARI=n=this.ENGINE_WEBKIT=!0,e=this._parseVersionInfo("version/")):this._testUAString("konqueror")?(this.BROWSER_KONQUEROR=n=this.ENGINE_KHTML=!0,e=this._parseVersionInfo("konqueror/")):this._testUAString("firefox")?(this.BROWSER_FIREFOX=this.BROWSER_MOZILLA=n=this.ENGINE_GECKO=!0,e=this._parseVersionInfo("firefox/")):this._testUAString("msie")&&(this.BROWSER_INTERNET_EXPLORER=n=this.ENGINE_MSHTML=!0,t=e=this._parseVersionInfo("msie ")),n||(this._testUAString("presto")?this.ENGINE_PRESTO=!0:this._testUAString("webkit")?this.ENGINE_WEBKIT=!0:this._testUAString("khtml")?this.ENGINE_KHTML=!0:this._testUAString("trident")?this.ENGINE_MSHTML=!0:this._testUAString("gecko")&&(this.BROWSER_MOZILLA=this.ENGINE_GECKO=!0)),t||(this.ENGINE_PRESTO?t=this._parseVersionInfo("presto/"):this.ENGINE_WEBKIT?t=this._parseVersionInfo("webkit/"):this.ENGINE_GECKO&&(t=this._parseVersionInfo("rv:"),e||(e=t))),e&&(this.BROWSER_VERSION_MAJOR=e.major,this.BROWSER_VERSION_MINOR=e.minor),t&&(this.ENGINE_VERSION_MAJOR=t.major,this.ENGINE_VERSION_MINOR=t.minor),this.DECEPTIVE_USER_AGENT=this.BROWSER_OPERA||this.BROWSER_SAFARI||this.BROWSER_CHROME||this.BROWSER_KONQUEROR,this.MEASURE_OFFSET_EXCLUDES_BORDER=!1,this.BROWSER_INTERNET_EXPLORER?(this.CSS_FLOAT="styleFloat",this.QUIRK_KEY_CODE_IS_CHAR_CODE=!0,this.QUIRK_IE_SECURE_ITEMS=!0,this.NOT_SUPPORTED_RANGE=!0,this.NOT_SUPPORTED_INPUT_SELECTION=!0,this.PROPRIETARY_IE_RANGE=!0,this.PROPRIETARY_EVENT_MOUSE_ENTER_LEAVE_SUPPORTED=!0,this.PROPRIETARY_EVENT_SELECT_START_SUPPORTED=!0,this.QUIRK_DELAYED_FOCUS_REQUIRED=!0,this.QUIRK_UNLOADED_IMAGE_HAS_SIZE=!0,this.MEASURE_OFFSET_EXCLUDES_BORDER=!0,this.QUIRK_IE_HAS_LAYOUT=!0,this.NOT_SUPPORTED_CSS_OPACITY=!0,this.PROPRIETARY_IE_OPACITY_FILTER_REQUIRED=!0,this.BROWSER_VERSION_MAJOR<9&&(this.QUIRK_IE_BLANK_SCREEN=!0),this.BROWSER_VERSION_MAJOR<8&&(this.QUIRK_TABLE_CELL_WIDTH_EXCLUDES_PADDING=!0,this.NOT_SUPPORTED_RELATIVE_COLUMN_WIDTHS=!0,this.QUIRK_CSS_BORDER_COLLAPSE_INSIDE=!0,this.QUIRK_IE_TABLE_PERCENT_WIDTH_SCROLLBAR_ERROR=!0,this.QUIRK_IE_SELECT_PERCENT_WIDTH=!0,this.BROWSER_VERSION_MAJOR<7&&(this.QUIRK_IE_SELECT_LIST_DOM_UPDATE=!0,this.QUIRK_CSS_POSITIONING_ONE_SIDE_ONLY=!0,this.PROPRIETARY_IE_PNG_ALPHA_FILTER_REQUIRED=!0,this.QUIRK_IE_SELECT_Z_INDEX=!0,Core.Arrays.LargeMap.garbageCollectEnabled=!0)),9==this.BROWSER_VERSION_MAJOR&&(this.QUIRK_SERIALIZE_XML_BEFORE_XML_HTTP_REQ=!0)):this.ENGINE_GECKO?(this.QUIRK_KEY_PRESS_FIRED_FOR_SPECIAL_KEYS=!this.BROWSER_FIREFOX||this.BROWSER_VERSION_MAJOR<65,this.MEASURE_OFFSET_EXCLUDES_BORDER=!0,this.QUIRK_MEASURE_OFFSET_HIDDEN_BORDER=!0,this.BROWSER_FIREFOX?this.BROWSER_VERSION_MAJOR<2&&(this.QUIRK_DELAYED_FOCUS_REQUIRED=!0):(this.QUIRK_PERFORMANCE_LARGE_DOM_REMOVE=!0,this.QUIRK_DELAYED_FOCUS_REQUIRED=!0)):this.ENGINE_PRESTO?(this.QUIRK_KEY_CODE_IS_CHAR_CODE=!0,this.QUIRK_TABLE_CELL_WIDTH_EXCLUDES_PADDING=!0,9==this.BROWSER_VERSION_MAJOR&&this.BROWSER_VERSION_MINOR>=50&&(this.QUIRK_OPERA_CSS_POSITIONING=!0),this.NOT_SUPPORTED_RELATIVE_COLUMN_WIDTHS=!0):this.ENGINE_WEBKIT&&(this.MEASURE_OFFSET_EXCLUDES_BORDER=!0,(this.ENGINE_VERSION_MAJOR<526||526==this.ENGINE_VERSION_MAJOR&&this.ENGINE_VERSION_MINOR<8)&&(this.QUIRK_WEBKIT_DOM_TEXT_ESCAPE=!0)),this._runProbes(),this._detected={},this._overrides)this._detected[i]=this[i],this[i]=this._overrides[i];this._initialized=!0},_parseVersionInfo:function(e){var t={},n=this._ua.indexOf(e);if(-1!=n){var i=this._ua.indexOf(".",n),r=this._ua.length;if(-1==i)i=this._ua.length;else for(var o=i+1;o<this._ua.length;o++){var s=this._ua.charAt(o);if(isNaN(s)){r=o;break}}return t.major=parseInt(this._ua.substring(n+e.length,i),10),i==this._ua.length?t.minor=0:t.minor=parseInt(this._ua.substring(i+1,r),10),t}},_probeOffsetBorder:function(e){if(!document.body)return null;var t=document.createElement("div");t.style.cssText="position:absolute;visibility:hidden;left:0;top:0;width:20px;height:20px;border:7px solid #000000;"+(e?"overflow:hidden;":"");var n=document.createElement("div");n.style.cssText="position:absolute;left:0;top:0;width:1px;height:1px;",t.appendChild(n),document.body.appendChild(t);try{if(!t.offsetWidth||!t.getBoundingClientRect)return 0;var i=n.getBoundingClientRect().left-t.getBoundingClientRect().left,r=n.offsetLeft+(n.offsetParent==t?0:-t.offsetLeft);return Math.round((i-r)/7)}finally{document.body.removeChild(t)}},_runProbes:function(){for(var e in this._probes){var t;try{t=this._probes[e].call(this)}catch(e){continue}void 0!==t&&(this[e]=t)}},_testUAString:function(e){return-1!=this._uaAlpha.indexOf("/"+e+"/")}},Core.Web.Event={Selection:{disable:function(e){Core.Web.Event.add(e,"mousedown",Core.Web.Event.Selection._disposeEvent,!1),Core.Web.Env.PROPRIETARY_EVENT_SELECT_START_SUPPORTED&&Core.Web.Event.add(e,"selectstart",Core.Web.Event.Selection._disposeEvent,!1)},_disposeEvent:function(e){Core.Web.DOM.preventEventDefault(e)},enable:function(e){Core.Web.Event.remove(e,"mousedown",Core.Web.Event.Selection._disposeEvent,!1),Core.Web.Env.PROPRIETARY_EVENT_SELECT_START_SUPPORTED&&Core.Web.Event.remove(e,"selectstart",Core.Web.Event.Selection._disposeEvent,!1)}},_nextId:0,_listenerCount:0,debugListenerCount:!1,_capturingListenerMap:new Core.Arrays.LargeMap,_bubblingListenerMap:new Core.Arrays.LargeMap,_TOUCH_MOUSE_SUPPRESS_TIME:1e3,_pointerFallbackTypes:{mousedown:"pointerdown",mousemove:"pointermove",mouseup:"pointerup",touchstart:"pointerdown",touchmove:"pointermove",touchend:"pointerup",touchcancel:"pointercancel"},_pointerFallbackInstalled:!1,_pointerCaptureElements:{},_primaryTouchPointerId:null,_lastTouchTime:0,add:function(e,t,n,i){var r;if(e.__eventProcessorId||(e.__eventProcessorId=++Core.Web.Event._nextId),e.__eventProcessorId==Core.Web.Event._lastId&&i==Core.Web.Event._lastCapture)r=Core.Web.Event._lastListenerList;else{var o=i?Core.Web.Event._capturingListenerMap:Core.Web.Event._bubblingListenerMap;(r=o.get(e.__eventProcessorId))||(r=new Core.ListenerList,o.set(e.__eventProcessorId,r)),Core.Web.Event._lastId=e.__eventProcessorId,Core.Web.Event._lastCapture=i,Core.Web.Event._lastListenerList=r}Core.Web.Event._isSynthesizedType(t)?Core.Web.Event._installPointerFallback():r.hasListeners(t)||(Core.Web.DOM.addEventListener(e,t,Core.Web.Event._processEvent,!1),++Core.Web.Event._listenerCount),r.addListener(t,n)},_fireEvent:function(e){for(var t=[],n=e.target;n;)n.__eventProcessorId&&t.push(n),n=n.parentNode;var i,r,o=!0;for(r=t.length-1;r>=0;--r)if((i=Core.Web.Event._capturingListenerMap.get(t[r].__eventProcessorId))&&(e.registeredTarget=t[r],!i.fireEvent(e))){o=!1;break}if(o)for(r=0;r<t.length&&(!(i=Core.Web.Event._bubblingListenerMap.get(t[r].__eventProcessorId))||(e.registeredTarget=t[r],i.fireEvent(e)));++r);},_firePointerEvent:function(e,t,n,i,r){var o="mouse"==r,s="pointerup"==t||"pointercancel"==t;o||"pointerdown"!=t||null!=Core.Web.Event._primaryTouchPointerId||(Core.Web.Event._primaryTouchPointerId=i);var l={type:t,pointerId:i,pointerType:r,isPrimary:o||i==Core.Web.Event._primaryTouchPointerId,target:Core.Web.Event._pointerCaptureElements[i]||n.target||n.srcElement,clientX:n.clientX,clientY:n.clientY,pageX:n.pageX,pageY:n.pageY,button:o?e.button:0,buttons:o?e.buttons:s?0:1,altKey:e.altKey,ctrlKey:e.ctrlKey,metaKey:e.metaKey,shiftKey:e.shiftKey,originalEvent:e,defaultPrevented:!1,preventDefault:function(){this.defaultPrevented=!0},stopPropagation:function(){}};return Core.Web.Event._fireEvent(l),s&&(delete Core.Web.Event._pointerCaptureElements[i],i==Core.Web.Event._primaryTouchPointerId&&(Core.Web.Event._primaryTouchPointerId=null)),l.defaultPrevented},_installPointerFallback:function(){if(!Core.Web.Event._pointerFallbackInstalled){for(var e in Core.Web.Event._pointerFallbackTypes)Core.Web.DOM.addEventListener(document,e,Core.Web.Event._processPointerFallback,!0);Core.Web.Event._pointerFallbackInstalled=!0}},_isSynthesizedType:function(e){return Core.Web.Env.NOT_SUPPORTED_POINTER_EVENTS&&("pointerdown"==e||"pointermove"==e||"pointerup"==e||"pointercancel"==e)},_processEvent:function(e){Core.Web.Event.debugListenerCount&&Core.Debug.consoleWrite("Core.Web.Event listener count: "+Core.Web.Event._listenerCount),!(e=e||window.event).target&&e.srcElement&&(e.target=e.srcElement),Core.Web.Event._fireEvent(e),Core.Web.DOM.stopEventPropagation(e)},_processPointerFallback:function(e){e=e||window.event;var t=Core.Web.Event._pointerFallbackTypes[e.type],n=!1,i=(new Date).getTime();if(e.changedTouches){Core.Web.Event._lastTouchTime=i;for(var r=0;r<e.changedTouches.length;++r)Core.Web.Event._firePointerEvent(e,t,e.changedTouches[r],e.changedTouches[r].identifier+2,"touch")&&(n=!0);n&&"pointermove"==t&&Core.Web.DOM.preventEventDefault(e)}else{if(i-Core.Web.Event._lastTouchTime<Core.Web.Event._TOUCH_MOUSE_SUPPRESS_TIME)return;Core.Web.Event._firePointerEvent(e,t,e,1,"mouse")&&Core.Web.DOM.preventEventDefault(e)}},releasePointerCapture:function(e,t){if(Core.Web.Env.NOT_SUPPORTED_POINTER_EVENTS)Core.Web.Event._pointerCaptureElements[t]==e&&delete Core.Web.Event._pointerCaptureElements[t];else if(e.releasePointerCapture)try{e.releasePointerCapture(t)}catch(e){}},remove:function(e,t,n,i){if(Core.Web.Event._lastId=null,e.__eventProcessorId){var r=i?Core.Web.Event._capturingListenerMap:Core.Web.Event._bubblingListenerMap,o=r.get(e.__eventProcessorId);o&&(o.removeListener(t,n),o.isEmpty()&&r.remove(e.__eventProcessorId),o.hasListeners(t)||Core.Web.Event._isSynthesizedType(t)||(Core.Web.DOM.removeEventListener(e,t,Core.Web.Event._processEvent,!1),--Core.Web.Event._listenerCount))}},removeAll:function(e){Core.Web.Event._lastId=null,e.__eventProcessorId&&(Core.Web.Event._removeAllImpl(e,Core.Web.Event._capturingListenerMap),Core.Web.Event._removeAllImpl(e,Core.Web.Event._bubblingListenerMap))},_removeAllImpl:function(e,t){var n=t.get(e.__eventProcessorId);if(n){for(var i=n.getListenerTypes(),r=0;r<i.length;++r)Core.Web.Event._isSynthesizedType(i[r])||(Core.Web.DOM.removeEventListener(e,i[r],Core.Web.Event._processEvent,!1),--Core.Web.Event._listenerCount);t.remove(e.__eventProcessorId)}},setPointerCapture:function(e,t){if(Core.Web.Env.NOT_SUPPORTED_POINTER_EVENTS)Core.Web.Event._pointerCaptureElements[t]=e;else if(e.setPointerCapture)try{e.setPointerCapture(t)}catch(e){}},setTouchAction:function(e,t){e.style.touchAction=t,Core.Web.Env.BROWSER_INTERNET_EXPLORER&&(e.style.msTouchAction=t)},toString:function(){return"Capturing: "+Core.Web.Event._capturingListenerMap+"\nBubbling: "+Core.Web.Event._bubblingListenerMap}},Core.Web.Event.GestureRecognizer=Core.extend({$static:{LONG_PRESS_TIME:500,SWIPE_MIN_DISTANCE:30,SWIPE_MAX_TIME:500,TAP_MAX_DISTANCE:10},element:null,_listenerList:null,_pointers:null,_pointerCount:0,_longPressRunnable:null,_pinchStartDistance:null,_pinchScale:null,_pinchCenterX:null,_pinchCenterY:null,_gestureDone:!1,$construct:function(e){this.element=e,this._listenerList=new Core.ListenerList,this._pointers={},this._processPointerDownRef=Core.method(this,this._processPointerDown),this._processPointerMoveRef=Core.method(this,this._processPointerMove),this._processPointerUpRef=Core.method(this,this._processPointerUp),this._processPointerCancelRef=Core.method(this,this._processPointerCancel),Core.Web.Event.add(e,"pointerdown",this._processPointerDownRef,!1),Core.Web.Event.add(e,"pointermove",this._processPointerMoveRef,!1),Core.Web.Event.add(e,"pointerup",this._processPointerUpRef,!1),Core.Web.Event.add(e,"pointercancel",this._processPointerCancelRef,!1)},addListener:function(e,t){this._listenerList.addListener(e,t)},_cancelLongPress:function(){this._longPressRunnable&&(Core.Web.Scheduler.remove(this._longPressRunnable),this._longPressRunnable=null)},dispose:function(){this._cancelLongPress(),Core.Web.Event.remove(this.element,"pointerdown",this._processPointerDownRef,!1),Core.Web.Event.remove(this.element,"pointermove",this._processPointerMoveRef,!1),Core.Web.Event.remove(this.element,"pointerup",this._processPointerUpRef,!1),Core.Web.Event.remove(this.element,"pointercancel",this._processPointerCancelRef,!1),this._pointers={},this._pointerCount=0,this.element=null},_fireGesture:function(e,t){var n={type:e,source:this};for(var i in t)n[i]=t[i];this._listenerList.fireEvent(n)},_getPinchMetrics:function(){var e=[];for(var t in this._pointers)if(e.push(this._pointers[t]),2==e.length)break;var n=e[1].x-e[0].x,i=e[1].y-e[0].y;return{distance:Math.sqrt(n*n+i*i),centerX:(e[0].x+e[1].x)/2,centerY:(e[0].y+e[1].y)/2}},_endPinch:function(){null!=this._pinchStartDistance&&(this._fireGesture("pinch",{phase:"end",scale:this._pinchScale,centerX:this._pinchCenterX,centerY:this._pinchCenterY}),this._pinchStartDistance=null)},_processPointerCancel:function(e){return this._pointers[e.pointerId]&&(this._gestureDone=!0,this._removePointer(e.pointerId)),!0},_processPointerDown:function(e){if("mouse"==e.pointerType&&0!==e.button)return!0;if(Core.Web.Event.setPointerCapture(this.element,e.pointerId),this._pointers[e.pointerId]={startX:e.clientX,startY:e.clientY,x:e.clientX,y:e.clientY,startTime:(new Date).getTime(),pointerType:e.pointerType},++this._pointerCount,1==this._pointerCount){this._gestureDone=!1,this._cancelLongPress();var t=this._pointers[e.pointerId];this._longPressRunnable=Core.Web.Scheduler.run(Core.method(this,function(){this._longPressRunnable=null,this._gestureDone||1!=this._pointerCount||(this._gestureDone=!0,this._fireGesture("longpress",{x:t.x,y:t.y,pointerType:t.pointerType}))}),Core.Web.Event.GestureRecognizer.LONG_PRESS_TIME)}else if(this._gestureDone=!0,this._cancelLongPress(),2==this._pointerCount){var n=this._getPinchMetrics();this._pinchStartDistance=n.distance||1,this._pinchScale=1,this._pinchCenterX=n.centerX,this._pinchCenterY=n.centerY,this._fireGesture("pinch",{phase:"start",scale:1,centerX:n.centerX,centerY:n.centerY})}return!0},_processPointerMove:function(e){var t=this._pointers[e.pointerId];if(!t)return!0;if(t.x=e.clientX,t.y=e.clientY,null!=this._pinchStartDistance){var n=this._getPinchMetrics();this._pinchScale=n.distance/this._pinchStartDistance,this._pinchCenterX=n.centerX,this._pinchCenterY=n.centerY,this._fireGesture("pinch",{phase:"move",scale:this._pinchScale,centerX:n.centerX,centerY:n.centerY})}else this._longPressRunnable&&Math.abs(t.x-t.startX)+Math.abs(t.y-t.startY)>Core.Web.Event.GestureRecognizer.TAP_MAX_DISTANCE&&this._cancelLongPress();return!0},_processPointerUp:function(e){var t=this._pointers[e.pointerId];if(!t)return!0;if(t.x=e.clientX,t.y=e.clientY,!this._gestureDone&&1==this._pointerCount){var n=t.x-t.startX,i=t.y-t.startY,r=Math.sqrt(n*n+i*i),o=(new Date).getTime()-t.startTime;if(r<=Core.Web.Event.GestureRecognizer.TAP_MAX_DISTANCE)this._fireGesture("tap",{x:t.x,y:t.y,pointerType:t.pointerType});else if(r>=Core.Web.Event.GestureRecognizer.SWIPE_MIN_DISTANCE&&o<=Core.Web.Event.GestureRecognizer.SWIPE_MAX_TIME){var s=Math.abs(n)>Math.abs(i)?n<0?"left":"right":i<0?"up":"down";this._fireGesture("swipe",{direction:s,deltaX:n,deltaY:i,pointerType:t.pointerType})}this._gestureDone=!0}return this._removePointer(e.pointerId),!0},_removePointer:function(e){this._endPinch(),this._cancelLongPress(),Core.Web.Event.releasePointerCapture(this.element,e),delete this._pointers[e],--this._pointerCount},removeListener:function(e,t){this._listenerList.removeListener(e,t)}}),Core.Web.Transport=Core.extend({$static:{IDEMPOTENT_METHODS:{GET:!0,HEAD:!0,PUT:!0,DELETE:!0,OPTIONS:!0,TRACE:!0},PRIORITY_HIGH:1,PRIORITY_NORMAL:0,PRIORITY_LOW:-1,JSON_CONTENT_TYPE:"application/json; charset=UTF-8",create:function(e,t,n,i,r){return window.fetch&&window.AbortController?new Core.Web.FetchConnection(e,t,n,i,r):new Core.Web.HttpConnection(e,t,n,i,r)}},$abstract:{_adopt:function(e){},_cancel:function(){},getAllResponseHeaders:function(){},getResponseHeader:function(e){},getResponseText:function(){},getResponseXml:function(){},getStatus:function(){},_send:function(){}},$virtual:{dispose:function(){Core.Web.ConnectionManager._remove(this),this._clearRunnables(),this._signal&&this._abortRef&&this._signal.removeEventListener("abort",this._abortRef),this._signal=null,this._listenerList=null,this._messageObject=null,this._disposed=!0,this._requestHeaders=null,this._responseJson=void 0}},_url:null,_contentType:null,_method:null,_messageObject:null,_listenerList:null,_disposed:!1,_requestHeaders:null,_responseJson:void 0,timeout:null,retries:0,retryDelay:500,priority:0,offline:!1,_queued:!1,_signal:null,_abortRef:null,_attempt:0,_inProgress:!1,_timeoutRunnable:null,_retryRunnable:null,$construct:function(e,t,n,i,r){var o=Object.prototype.toString.call(n);null==n||"[object Object]"!=o&&"[object Array]"!=o||n.nodeType||(n=JSON.stringify(n),i=i||Core.Web.Transport.JSON_CONTENT_TYPE),this._url=e,this._contentType=i,this._method=t,this._messageObject=n,this._listenerList=new Core.ListenerList,r&&(r.timeout&&(this.timeout=r.timeout),r.retries&&(this.retries=r.retries),null!=r.retryDelay&&(this.retryDelay=r.retryDelay),null!=r.priority&&(this.priority=r.priority),r.offline&&(this.offline=!0),this._signal=r.signal||null)},abort:function(){!this._disposed&&(this._inProgress||this._retryRunnable||this._queued)&&(this._clearRunnables(),Core.Web.ConnectionManager._remove(this),this._inProgress&&(this._inProgress=!1,this._cancel()),this._fireResponse({type:"response",source:this,valid:!1,aborted:!0}))},addProgressListener:function(e){this._listenerList.addListener("progress",e)},addResponseListener:function(e){this._listenerList.addListener("response",e)},addRetryListener:function(e){this._listenerList.addListener("retry",e)},_clearRunnables:function(){this._timeoutRunnable&&(Core.Web.Scheduler.remove(this._timeoutRunnable),this._timeoutRunnable=null),this._retryRunnable&&(Core.Web.Scheduler.remove(this._retryRunnable),this._retryRunnable=null)},_complete:function(e){if(!this._disposed&&this._inProgress){this._inProgress=!1,this._clearRunnables(),Core.Web.ConnectionManager._release(this);var t=e.status,n=!!!(e.exception||e.networkError||e.timeout)&&(!t||t>=200&&t<=299);if(!n&&this._attempt<=this.retries&&this._isRetryable(e)){var i=this.retryDelay*Math.pow(2,this._attempt-1);return this._listenerList.fireEvent({type:"retry",source:this,attempt:this._attempt+1,delay:i}),void(this._retryRunnable=Core.Web.Scheduler.run(Core.method(this,function(){this._retryRunnable=null,Core.Web.ConnectionManager._enqueue(this)}),i))}var r={type:"response",source:this,valid:n};e.exception&&(r.exception=e.exception),e.timeout&&(r.timeout=!0),e.networkError&&(r.networkError=!0,this.offline&&Core.Web.OfflineQueue.enabled&&(Core.Web.OfflineQueue._notifyNetworkError(),Core.Web.OfflineQueue._add(this)&&(r.queued=!0)));for(var o=Core.Web.ConnectionManager._detachFollowers(this),s=null,l=0;l<o.length;++l)try{o[l]._completeCoalesced(this,r)}catch(e){s=s||e}if(this._fireResponse(r),s)throw s}},_completeCoalesced:function(e,t){if(!this._disposed){this._queued=!1,this._adopt(e);var n={};for(var i in t)n[i]=t[i];n.source=this,delete n.queued,this._fireResponse(n)}},connect:function(){if(this._signal){if(this._signal.aborted)return void this._fireResponse({type:"response",source:this,valid:!1,aborted:!0});this._abortRef=Core.method(this,this.abort),this._signal.addEventListener("abort",this._abortRef)}this.offline&&Core.Web.OfflineQueue.enabled&&Core.Web.OfflineQueue._isQueueing()&&Core.Web.OfflineQueue._add(this)?Core.Web.Scheduler.run(Core.method(this,function(){this._disposed||this._fireResponse({type:"response",source:this,valid:!1,queued:!0})})):Core.Web.ConnectionManager._enqueue(this)},_fireProgress:function(e,t,n){!this._disposed&&this._listenerList.hasListeners("progress")&&this._listenerList.fireEvent({type:"progress",source:this,loaded:e,total:t||null,lengthComputable:!!t,upload:!!n})},_fireResponse:function(e){try{this._listenerList.fireEvent(e)}finally{this.dispose()}},getResponseJson:function(){if(void 0===this._responseJson){var e=this.getResponseText();if(e&&/\S/.test(e))try{this._responseJson=JSON.parse(e)}catch(n){var t=new Error('Invalid JSON response from "'+this._url+'": '+n.message);throw t.cause=n,t.responseText=e,t}else this._responseJson=null}return this._responseJson},_isRetryable:function(e){if(!Core.Web.Transport.IDEMPOTENT_METHODS[(this._method||"GET").toUpperCase()])return!1;var t=e.status;return!!(e.networkError||e.timeout||408==t||429==t||t>=500)},_processTimeout:function(){this._timeoutRunnable=null,this._inProgress&&(this._cancel(),this._complete({timeout:!0}))},removeProgressListener:function(e){this._listenerList.removeListener("progress",e)},removeResponseListener:function(e){this._listenerList.removeListener("response",e)},removeRetryListener:function(e){this._listenerList.removeListener("retry",e)},setRequestHeader:function(e,t){this._requestHeaders||(this._requestHeaders={}),this._requestHeaders[e]=t},_startAttempt:function(){if(!this._disposed){++this._attempt,this._inProgress=!0,this.timeout&&(this._timeoutRunnable=Core.Web.Scheduler.run(Core.method(this,this._processTimeout),this.timeout));try{this._send()}catch(e){this._clearRunnables(),Core.Web.Scheduler.run(Core.method(this,function(){this._complete({exception:e})}))}}}}),Core.Web.HttpConnection=Core.extend(Core.Web.Transport,{_xmlHttpRequest:null,_networkError:!1,$construct:function(e,t,n,i,r){Core.Web.Env.QUIRK_WEBKIT_DOM_TEXT_ESCAPE&&n instanceof Document&&this._preprocessWebkitDOM(n.documentElement),Core.Web.Transport.call(this,e,t,n,i,r)},_preprocessWebkitDOM:function(e){if(3==e.nodeType){var t=e.data;t=(t=(t=t.replace(/&/g,"&amp;")).replace(/</g,"&lt;")).replace(/>/g,"&gt;"),e.data=t}else for(var n=e.firstChild;n;)this._preprocessWebkitDOM(n),n=n.nextSibling},_adopt:function(e){this._xmlHttpRequest=e._xmlHttpRequest},_cancel:function(){if(this._xmlHttpRequest){this._xmlHttpRequest.onreadystatechange=function(){},this._xmlHttpRequest.onerror=null;try{this._xmlHttpRequest.abort()}catch(e){}}},_send:function(){var e=!1;if(window.XMLHttpRequest)this._xmlHttpRequest=new XMLHttpRequest;else{if(!window.ActiveXObject)throw"Connect failed: Cannot create XMLHttpRequest.";e=!0,this._xmlHttpRequest=new ActiveXObject("Microsoft.XMLHTTP")}this._networkError=!1;var t=this,n=this._xmlHttpRequest;if(n.onreadystatechange=function(){if(t)try{t._processReadyStateChange(n)}finally{t._disposed&&(t=null)}},e||(n.onerror=function(){t&&(t._networkError=!0)},n.onprogress=function(e){t&&t._fireProgress(e.loaded,e.lengthComputable?e.total:null,!1)},n.upload&&this._messageObject&&(n.upload.onprogress=function(e){t&&t._fireProgress(e.loaded,e.lengthComputable?e.total:null,!0)})),n.open(this._method,this._url,!0),this._requestHeaders&&(e||n.setRequestHeader))for(var i in this._requestHeaders)try{n.setRequestHeader(i,this._requestHeaders[i])}catch(e){throw new Error('Failed to set header "'+i+'"')}this._contentType&&(e||n.setRequestHeader)&&n.setRequestHeader("Content-Type",this._contentType),Core.Web.Env.QUIRK_SERIALIZE_XML_BEFORE_XML_HTTP_REQ?n.send(this._messageObject?(new XMLSerializer).serializeToString(this._messageObject):null):n.send(this._messageObject?this._messageObject:null)},dispose:function(){Core.Web.Transport.prototype.dispose.call(this),this._xmlHttpRequest=null},getResponseHeader:function(e){return this._xmlHttpRequest?this._xmlHttpRequest.getResponseHeader(e):null},getAllResponseHeaders:function(){return this._xmlHttpRequest?this._xmlHttpRequest.getAllResponseHeaders():null},getStatus:function(){return this._xmlHttpRequest?this._xmlHttpRequest.status:null},getResponseText:function(){return this._xmlHttpRequest?this._xmlHttpRequest.responseText:null},getResponseXml:function(){return this._xmlHttpRequest?this._xmlHttpRequest.responseXML:null},_processReadyStateChange:function(e){if(!this._disposed&&e==this._xmlHttpRequest&&4==e.readyState){var t;try{t={status:e.status}}catch(e){t={exception:e}}Core.Web.Scheduler.run(Core.method(this,function(){e==this._xmlHttpRequest&&(this._networkError&&(t.networkError=!0),this._complete(t))}))}}}),Core.Web.FetchConnection=Core.extend(Core.Web.Transport,{_abortController:null,_response:null,_responseText:null,_responseXml:null,_adopt:function(e){this._response=e._response,this._responseText=e._responseText},_cancel:function(){if(this._abortController){var e=this._abortController;this._abortController=null,e.abort()}},_readBody:function(e,t){if(!e.body||!e.body.getReader||"undefined"==typeof TextDecoder)return e.text();var n=this,i=e.body.getReader(),r=new TextDecoder,o=parseInt(e.headers.get("Content-Length"),10)||null,s=0,l="",a=function(){return i.read().then(function(e){return e.done?l+r.decode():(s+=e.value.length,l+=r.decode(e.value,{stream:!0}),n._abortController==t&&n._fireProgress(s,o,!1),a())})};return a()},_send:function(){var e=this,t=this._abortController=new AbortController,n={},i=null;for(var r in this._response=this._responseText=this._responseXml=null,this._requestHeaders)n[r]=this._requestHeaders[r];this._contentType&&(n["Content-Type"]=this._contentType),null!=this._messageObject&&(i=9==this._messageObject.nodeType?(new XMLSerializer).serializeToString(this._messageObject):this._messageObject),window.fetch(this._url,{method:this._method,headers:n,body:i,credentials:"same-origin",signal:t.signal}).then(function(n){return e._abortController!=t?null:(e._response=n,e._readBody(n,t))}).then(function(n){e._abortController==t&&(e._responseText=n,e._completeAttempt(t,{status:e._response.status}))},function(n){e._abortController==t&&e._completeAttempt(t,{exception:n,networkError:!0})})},_completeAttempt:function(e,t){Core.Web.Scheduler.run(Core.method(this,function(){this._abortController==e&&(this._abortController=null,this._complete(t))}))},dispose:function(){Core.Web.Transport.prototype.dispose.call(this),this._response=null,this._responseText=null,this._responseXml=null},getAllResponseHeaders:function(){if(!this._response)return null;var e="";return this._response.headers.forEach(function(t,n){e+=n+": "+t+"\r\n"}),e},getResponseHeader:function(e){return this._response?this._response.headers.get(e):null},getResponseText:function(){return this._responseText},getResponseXml:function(){return!this._responseXml&&this._responseText&&(this._responseXml=(new DOMParser).parseFromString(this._responseText,"application/xml")),this._responseXml},getStatus:function(){return this._response?this._response.status:null}}),Core.Web.ConnectionManager={maxConnectionsPerHost:4,_hosts:{},_groups:{},_detachFollowers:function(e){var t=this._getCoalescingKey(e),n=t&&this._groups[t];return n&&n.leader==e?(delete this._groups[t],n.followers):[]},_enqueue:function(e){var t=this._getCoalescingKey(e),n=t&&this._groups[t],i=this._getHost(e);if(e._queued=!0,n&&n.leader!=e&&n.leader.constructor==e.constructor)return n.followers.push(e),void(e.priority>n.leader.priority&&n.leader._queued&&(n.leader.priority=e.priority,Core.Arrays.remove(i.queue,n.leader),this._insert(i.queue,n.leader)));t&&!n&&(this._groups[t]={leader:e,followers:[]}),this._insert(i.queue,e),this._process(i)},_getCoalescingKey:function(e){return null!=e._messageObject||e._requestHeaders||"GET"!=(e._method||"GET").toUpperCase()?null:e._url},_getHost:function(e){var t=/^[a-z][a-z0-9+.\-]*:\/\/([^\/?#]*)/i.exec(e._url),n=t?t[1].toLowerCase():"";return this._hosts[n]||(this._hosts[n]={name:n,active:[],queue:[]}),this._hosts[n]},getPendingCount:function(e){var t=0;for(var n in this._hosts)null!=e&&n!=e.toLowerCase()||(t+=this._hosts[n].active.length+this._hosts[n].queue.length);for(var i in this._groups)null!=e&&this._getHost(this._groups[i].leader).name!=e.toLowerCase()||(t+=this._groups[i].followers.length);return t},_insert:function(e,t){for(var n=e.length;n>0&&e[n-1].priority<t.priority;)--n;e.splice(n,0,t)},_process:function(e){for(;e.queue.length>0&&e.active.length<this.maxConnectionsPerHost;){var t=e.queue.shift();t._queued=!1,e.active.push(t),t._startAttempt()}},_release:function(e){var t=this._getHost(e),n=Core.Arrays.indexOf(t.active,e);-1!=n&&(t.active.splice(n,1),t.queue.length>0&&Core.Web.Scheduler.run(Core.method(this,function(){this._process(t)})))},_remove:function(e){this._release(e),Core.Arrays.remove(this._getHost(e).queue,e),e._queued=!1;var t=this._getCoalescingKey(e),n=t&&this._groups[t];if(n)if(n.leader==e){delete this._groups[t];for(var i=0;i<n.followers.length;++i)this._enqueue(n.followers[i])}else Core.Arrays.remove(n.followers,e)}},Core.Web.OfflineQueue={RETRY_INTERVAL:3e4,enabled:!1,_requests:[],_loaded:!1,_persistHeaders:!1,_networkError:!1,_replaying:!1,_retryRunnable:null,_storage:null,_listenerList:null,_processOnlineRef:null,_processOfflineRef:null,_add:function(e){var t=e._messageObject;if(null!=t&&"string"!=typeof t){if(9!=t.nodeType||"undefined"==typeof XMLSerializer)return!1;t=(new XMLSerializer).serializeToString(t)}var n=null;for(var i in e._requestHeaders)(n=n||{})[i]=e._requestHeaders[i];return this._requests.push({url:e._url,method:e._method,body:t,contentType:e._contentType||null,headers:n,time:(new Date).getTime()}),this._save(),this._fireStatus(),this._replay(),!0},addReplayListener:function(e){this._getListenerList().addListener("replay",e)},addStatusListener:function(e){this._getListenerList().addListener("status",e)},clear:function(){this._requests=[],this._save(),this._fireStatus()},disable:function(){this.enabled&&(this.enabled=!1,Core.Web.DOM.removeEventListener(window,"online",this._processOnlineRef,!1),Core.Web.DOM.removeEventListener(window,"offline",this._processOfflineRef,!1),this._retryRunnable&&(Core.Web.Scheduler.remove(this._retryRunnable),this._retryRunnable=null),this._requests=[],this._storage=null,this._loaded=!1,this._persistHeaders=!1)},enable:function(e){if(!this.enabled){e=e||{},this.enabled=!0,this._loaded=!1,this._persistHeaders=!!e.persistHeaders;var t=e.name||"Core.Web.OfflineQueue";window.indexedDB&&"localStorage"!=e.storage?this._storage=new Core.Web.OfflineQueue._IndexedDbStorage(t):this._storage=new Core.Web.OfflineQueue._LocalStorage(t),this._processOnlineRef=Core.method(this,this._processOnline),this._processOfflineRef=Core.method(this,this._processOffline),Core.Web.DOM.addEventListener(window,"online",this._processOnlineRef,!1),Core.Web.DOM.addEventListener(window,"offline",this._processOfflineRef,!1);var n=this._storage;n.load(Core.method(this,function(e){n==this._storage&&(this._loaded=!0,e&&e.length&&(this._requests=e.concat(this._requests)),this._save(),this._fireStatus(),this._replay())}))}},_fireStatus:function(){this._listenerList&&this._listenerList.fireEvent({type:"status",source:this,online:this.isOnline(),pending:this._requests.length})},_getListenerList:function(){return this._listenerList||(this._listenerList=new Core.ListenerList),this._listenerList},getPendingCount:function(){return this._requests.length},_isQueueing:function(){return!this._loaded||this._requests.length>0||!this.isOnline()},isOnline:function(){return!(this._networkError||window.navigator&&!1===window.navigator.onLine)},_notifyNetworkError:function(){var e=this.isOnline();this._networkError=!0,this._retryRunnable||(this._retryRunnable=Core.Web.Scheduler.run(Core.method(this,function(){this._retryRunnable=null,this._networkError=!1,this._replay()}),this.RETRY_INTERVAL)),e&&this._fireStatus()},_processOffline:function(e){this._fireStatus()},_processOnline:function(e){this._networkError=!1,this._retryRunnable&&(Core.Web.Scheduler.remove(this._retryRunnable),this._retryRunnable=null),this._fireStatus(),this._replay()},removeReplayListener:function(e){this._getListenerList().removeListener("replay",e)},removeStatusListener:function(e){this._getListenerList().removeListener("status",e)},_replay:function(){if(this.enabled&&this._loaded&&!this._replaying&&0!==this._requests.length&&this.isOnline()){this._replaying=!0;var e=this._requests[0],t=Core.Web.Transport.create(e.url,e.method,e.body,e.contentType);for(var n in e.headers)t.setRequestHeader(n,e.headers[n]);t.addResponseListener(Core.method(this,function(t){if(this._replaying=!1,this.enabled&&this._requests[0]==e)if(t.networkError)this._notifyNetworkError();else{this._requests.shift(),this._save(),this._fireStatus();try{this._listenerList&&this._listenerList.fireEvent({type:"replay",source:this,request:e,valid:t.valid,status:t.source.getStatus(),transport:t.source})}finally{this._replay()}}})),t.connect()}},_save:function(){if(this._storage){var e=this._requests;if(!this._persistHeaders){e=[];for(var t=0;t<this._requests.length;++t){var n=this._requests[t];e.push({url:n.url,method:n.method,body:n.body,contentType:n.contentType,headers:null,time:n.time})}}this._storage.save(e)}},_LocalStorage:Core.extend({_key:null,$construct:function(e){this._key=e},load:function(e){var t=null;try{var n=window.localStorage&&window.localStorage.getItem(this._key);t=n?JSON.parse(n):null}catch(e){t=null}Core.Web.Scheduler.run(function(){e(t)})},save:function(e){try{if(!window.localStorage)return;e.length?window.localStorage.setItem(this._key,JSON.stringify(e)):window.localStorage.removeItem(this._key)}catch(e){}}}),_IndexedDbStorage:Core.extend({$static:{_STORE:"requests",_KEY:"queue"},_name:null,_db:null,$construct:function(e){this._name=e},load:function(e){var t,n=this,i=Core.Web.OfflineQueue._IndexedDbStorage._STORE;try{t=window.indexedDB.open(this._name,1)}catch(t){return void Core.Web.Scheduler.run(function(){e(null)})}t.onupgradeneeded=function(){t.result.createObjectStore(i)},t.onerror=function(){e(null)},t.onsuccess=function(){var r;n._db=t.result;try{r=n._db.transaction(i,"readonly").objectStore(i).get(Core.Web.OfflineQueue._IndexedDbStorage._KEY)}catch(t){return void e(null)}r.onsuccess=function(){e(r.result||null)},r.onerror=function(){e(null)}}},save:function(e){if(this._db)try{var t=Core.Web.OfflineQueue._IndexedDbStorage._STORE;this._db.transaction(t,"readwrite").objectStore(t).put(e.slice(),Core.Web.OfflineQueue._IndexedDbStorage._KEY)}catch(e){}}})},Core.Log.HttpAppender=Core.extend(Core.Log.Appender,{url:null,batchSize:20,interval:5e3,_pending:null,_runnable:null,$construct:function(e,t){if(this.url=e,this._pending=[],t)for(var n in t)"level"!=n&&"batchSize"!=n&&"interval"!=n||(this[n]=t[n])},append:function(e){this._pending.push(e),this._pending.length>=this.batchSize?this.flush():this._runnable||(this._runnable=Core.Web.Scheduler.run(Core.method(this,this.flush),this.interval))},flush:function(){if(this._runnable&&(Core.Web.Scheduler.remove(this._runnable),this._runnable=null),0!==this._pending.length){var e=this._pending;this._pending=[],new Core.Web.HttpConnection(this.url,"POST",this._serialize(e),"application/json").connect()}},_serialize:function(e){for(var t=[],n=0;n<e.length;++n){var i=e[n],r=null;if(i.fields)for(var o in r={},i.fields){var s=i.fields[o];if(s&&(s.nodeType||s instanceof Error))r[o]=String(s);else try{JSON.stringify(s),r[o]=s}catch(e){r[o]=String(s)}}t.push({logger:i.logger,level:i.levelName,message:i.message,fields:r,time:i.time})}return JSON.stringify({records:t})}}),Core.Web.Image={_EXPIRE_TIME:5e3,_Monitor:Core.extend({_processImageLoadRef:null,_runnable:null,_listener:null,_images:null,_count:0,_expiration:null,_imagesLoadedSinceUpdate:!1,$construct:function(e,t,n){this._listener=t,this._processImageLoadRef=Core.method(this,this._processImageLoad),this._runnable=new Core.Web.Scheduler.MethodRunnable(Core.method(this,this._updateProgress),n||250,!0);var i=e.getElementsByTagName("img");this._images=[];for(var r=0;r<i.length;++r)i[r].complete||!Core.Web.Env.QUIRK_UNLOADED_IMAGE_HAS_SIZE&&(i[r].height||i[r].style.height)||(this._images.push(i[r]),Core.Web.Event.add(i[r],"load",this._processImageLoadRef,!1));this._count=this._images.length,this._count>0&&(this._expiration=(new Date).getTime()+Core.Web.Image._EXPIRE_TIME,Core.Web.Scheduler.add(this._runnable))},_processImageLoad:function(e){e=e||window.event;var t=Core.Web.DOM.getEventTarget(e);this._imagesLoadedSinceUpdate=!0,Core.Web.Event.remove(t,"load",this._processImageLoadRef,!1),Core.Arrays.remove(this._images,t),--this._count,0===this._count&&(this._stop(),this._notify())},_notify:function(){Core.Web.Scheduler.run(Core.method(this,function(){this._listener({source:this,type:"imageLoad",expired:this._expired,complete:this._expired||0===this._count})}))},_stop:function(){Core.Web.Scheduler.remove(this._runnable),this._runnable=null;for(var e=0;e<this._images.length;++e)Core.Web.Event.remove(this._images[e],"load",this._processImageLoadRef,!1)},_updateProgress:function(){if((new Date).getTime()>this._expiration)return this._expired=!0,this._stop(),void this._notify();this._imagesLoadedSinceUpdate&&(this._imagesLoadedSinceUpdate=!1,this._notify())}}),monitor:function(e,t,n){return new Core.Web.Image._Monitor(e,t,n)._count>0}},Core.Web.Key={_CODE_KEY_CODES:{Backspace:8,Tab:9,Enter:13,NumpadEnter:13,ShiftLeft:16,ShiftRight:16,ControlLeft:17,ControlRight:17,AltLeft:18,AltRight:18,Pause:19,CapsLock:20,Escape:27,Space:32,PageUp:33,PageDown:34,End:35,Home:36,ArrowLeft:37,ArrowUp:38,ArrowRight:39,ArrowDown:40,Insert:45,Delete:46,MetaLeft:91,OSLeft:91,MetaRight:92,OSRight:92,ContextMenu:93,Numpad0:96,Numpad1:97,Numpad2:98,Numpad3:99,Numpad4:100,Numpad5:101,Numpad6:102,Numpad7:103,Numpad8:104,Numpad9:105,NumpadMultiply:106,NumpadAdd:107,NumpadSubtract:109,NumpadDecimal:110,NumpadDivide:111,NumLock:144,ScrollLock:145,Semicolon:186,Equal:187,Comma:188,Minus:189,Period:190,Slash:191,Backquote:192,BracketLeft:219,Backslash:220,BracketRight:221,Quote:222},_KEY_KEY_CODES:{Backspace:8,Tab:9,Enter:13,Shift:16,Control:17,Alt:18,Pause:19,CapsLock:20,Escape:27,Esc:27," ":32,Spacebar:32,PageUp:33,PageDown:34,End:35,Home:36,ArrowLeft:37,Left:37,ArrowUp:38,Up:38,ArrowRight:39,Right:39,ArrowDown:40,Down:40,Insert:45,Delete:46,Del:46,Meta:91,OS:91,Win:91,ContextMenu:93,Apps:93,NumLock:144,ScrollLock:145,";":186,":":186,"=":187,"+":187,",":188,"<":188,"-":189,_:189,".":190,">":190,"/":191,"?":191,"`":192,"~":192,"[":219,"{":219,"\\":220,"|":220,"]":221,"}":221,"'":222,'"':222},_KEY_CODE_KEYS:{8:"Backspace",9:"Tab",13:"Enter",16:"Shift",17:"Control",18:"Alt",19:"Pause",20:"CapsLock",27:"Escape",32:" ",33:"PageUp",34:"PageDown",35:"End",36:"Home",37:"ArrowLeft",38:"ArrowUp",39:"ArrowRight",40:"ArrowDown",45:"Insert",46:"Delete",91:"Meta",92:"Meta",93:"ContextMenu",144:"NumLock",145:"ScrollLock"},_LEGACY_KEYS:{Esc:"Escape",Spacebar:" ",Left:"ArrowLeft",Up:"ArrowUp",Right:"ArrowRight",Down:"ArrowDown",Del:"Delete",OS:"Meta",Win:"Meta",Apps:"ContextMenu"},_downKeyCodes:{},_KEY_TABLES:{GECKO:{59:186,61:187,109:189},MAC_GECKO:{},PRESTO:{59:186,61:187,44:188,45:189,46:190,47:191,96:192,91:219,92:220,93:221,39:222},WEBKIT:{}},_keyTable:null,_loadKeyTable:function(){Core.Web.Env.ENGINE_GECKO?this._keyTable=this._KEY_TABLES.GECKO:Core.Web.Env.ENGINE_PRESTO?this._keyTable=this._KEY_TABLES.PRESTO:this._keyTable={}},_getKeyCode:function(e){var t=e.key,n=e.code;if(n&&0===n.indexOf("Numpad")&&this._CODE_KEY_CODES[n])return this._CODE_KEY_CODES[n];if(t&&1==t.length&&/[a-zA-Z0-9]/.test(t))return t.toUpperCase().charCodeAt(0);if(t&&this._KEY_KEY_CODES[t])return this._KEY_KEY_CODES[t];if(n){if(/^Key[A-Z]$/.test(n))return n.charCodeAt(3);if(/^Digit[0-9]$/.test(n))return n.charCodeAt(5);if(/^F([1-9]|1[0-9]|2[0-4])$/.test(n))return 111+parseInt(n.substring(1),10);if(this._CODE_KEY_CODES[n])return this._CODE_KEY_CODES[n]}return this.translateKeyCode(e.keyCode)},_getKey:function(e,t){return e.key&&"Unidentified"!=e.key?this._LEGACY_KEYS[e.key]||e.key:this._KEY_CODE_KEYS[t]?this._KEY_CODE_KEYS[t]:t>=48&&t<=57||t>=65&&t<=90?String.fromCharCode(t).toLowerCase():t>=96&&t<=105?String.fromCharCode(t-48):t>=112&&t<=135?"F"+(t-111):"Unidentified"},normalize:function(e){var t,n=this._getKeyCode(e);return"keyup"==e.type?(delete this._downKeyCodes[n],t=!1):t="boolean"==typeof e.repeat?e.repeat:!!this._downKeyCodes[n],"keydown"==e.type&&(this._downKeyCodes[n]=!0),{keyCode:n,key:this._getKey(e,n),code:e.code||null,altKey:!!e.altKey,ctrlKey:!!e.ctrlKey,metaKey:!!e.metaKey,shiftKey:!!e.shiftKey,repeat:t,isComposing:!!e.isComposing||229==e.keyCode}},translateKeyCode:function(e){return this._keyTable||this._loadKeyTable(),this._keyTable[e]||e}},Core.Web.Library={_loadedLibraries:{},_manifest:{},retries:2,timeout:null,priority:Core.Web.Transport.PRIORITY_LOW,evalLine:null,installMode:"eval",cacheVersion:null,cacheStorage:null,nonce:null,addManifest:function(e){for(var t in e)this._manifest[t]=e[t]},_appendElement:function(e){var t=this._getNonce();t&&(e.nonce=t,e.setAttribute("nonce",t)),(document.getElementsByTagName("head")[0]||document.documentElement).appendChild(e)},_getNonce:function(){if(this.nonce)return this.nonce;for(var e=document.getElementsByTagName("script"),t=0;t<e.length;++t){var n=e[t].nonce||e[t].getAttribute("nonce");if(n)return n}return null},_verifyIntegrity:function(e,t,n,i){var r,o={sha256:1,sha384:2,sha512:3},s=n.split(/\s+/),l=null,a=[],h=function(e){Core.Web.Scheduler.run(function(){i(e)})};for(r=0;r<s.length;++r){var c=/^(sha256|sha384|sha512)-([A-Za-z0-9+\/=_\-]+)/.exec(s[r]);c&&((!l||o[c[1]]>o[l])&&(l=c[1],a=[]),c[1]==l&&a.push(c[2].replace(/-/g,"+").replace(/_/g,"/")))}l?window.crypto&&window.crypto.subtle&&"undefined"!=typeof TextEncoder?window.crypto.subtle.digest({sha256:"SHA-256",sha384:"SHA-384",sha512:"SHA-512"}[l],(new TextEncoder).encode(t)).then(function(t){for(var n=new Uint8Array(t),i="",r=0;r<n.length;++r)i+=String.fromCharCode(n[r]);for(var o=window.btoa(i),s=0;s<a.length;++s)if(a[s].replace(/=+$/,"")==o.replace(/=+$/,""))return void h(null);h(new Error('Integrity verification failed for library "'+e+'": expected '+l+"-"+a.join(" or "+l+"-")+", computed "+l+"-"+o+"."))},function(t){h(new Error('Cannot verify integrity of library "'+e+'": '+t))}):h(new Error('Cannot verify integrity of library "'+e+'": Web Cryptography API unavailable.')):h(null)},_Cache:{_PREFIX:"Core.Web.Library.",_purgedVersion:null,_getName:function(){return this._PREFIX+Core.Web.Library.cacheVersion},_isCacheStorage:function(){return"localStorage"!=Core.Web.Library.cacheStorage&&!!window.caches},get:function(e,t){if(this._purge(),this._isCacheStorage())window.caches.open(this._getName()).then(function(t){return t.match(e)}).then(function(e){return e?e.text():null}).then(function(e){Core.Web.Scheduler.run(function(){t(e)})},function(){Core.Web.Scheduler.run(function(){t(null)})});else{var n=null;try{n=window.localStorage?window.localStorage.getItem(this._getName()+":"+e):null}catch(e){}Core.Web.Scheduler.run(function(){t(n)})}},_purge:function(){if(this._purgedVersion!=Core.Web.Library.cacheVersion){this._purgedVersion=Core.Web.Library.cacheVersion;var e,t=this._PREFIX,n=this._getName();if(this._isCacheStorage())window.caches.keys().then(function(e){for(var i=0;i<e.length;++i)0===e[i].indexOf(t)&&e[i]!=n&&window.caches.delete(e[i])},function(){});else try{for(e=window.localStorage.length-1;e>=0;--e){var i=window.localStorage.key(e);0===i.indexOf(t)&&0!==i.indexOf(n+":")&&window.localStorage.removeItem(i)}}catch(e){}}},put:function(e,t){if(this._isCacheStorage())window.caches.open(this._getName()).then(function(n){return n.put(e,new Response(t,{headers:{"Content-Type":"text/javascript"}}))}).catch(function(){});else try{window.localStorage.setItem(this._getName()+":"+e,t)}catch(e){}},remove:function(e){if(this._isCacheStorage())window.caches.open(this._getName()).then(function(t){return t.delete(e)}).catch(function(){});else try{window.localStorage.removeItem(this._getName()+":"+e)}catch(e){}}},Group:Core.extend({_listenerList:null,_libraries:null,_libraryMap:null,_loadedCount:0,_totalCount:0,_failed:!1,$construct:function(){this._listenerList=new Core.ListenerList,this._libraries=[],this._libraryMap={}},add:function(e,t){if(t&&(Core.Web.Library._manifest[e]=t),!Core.Web.Library._loadedLibraries[e]&&!this._libraryMap[e]){var n=Core.Web.Library._manifest[e],i=new Core.Web.Library._Item(this,e,n&&n.module);if(this._libraries.push(i),this._libraryMap[e]=i,n&&n.dependencies)for(var r=0;r<n.dependencies.length;++r)this.add(n.dependencies[r])}},addLoadListener:function(e){this._listenerList.addListener("load",e)},hasNewLibraries:function(){return this._libraries.length>0},_fail:function(e,t,n){this._failed=!0;var i={type:"load",source:this,success:!1,ex:t,url:e,cancel:!1};try{this._listenerList.fireEvent(i)}finally{if(!i.cancel)throw new Error(n+' "'+e+'"; '+t)}},_install:function(){this._installFrom(0)},_installFrom:function(e){for(var t=e;t<this._libraries.length;++t){var n=this._libraries[t];if(n._isElementInstalled()&&!Core.Web.Library._loadedLibraries[n._url])return void this._installElement(t);try{n._install()}catch(e){return void this._fail(n._url,e,"Exception installing library")}}this._listenerList.fireEvent({type:"load",source:this,success:!0})},_installElement:function(e){var t=this._libraries[e];t._installElement(Core.method(this,function(n){n?this._fail(t._url,n,"Exception installing library"):this._installFrom(e+1)}))},_notifyFailed:function(e,t){this._failed||this._fail(e._url,t,"Exception retrieving library")},_notifyRetrieved:function(){this._failed||(++this._loadedCount,this._loadedCount==this._totalCount&&this._install())},load:function(){var e=this._sort();if(e)this._fail(e[0],new Error("Cyclic library dependency: "+e.join(" -> ")),"Exception resolving dependencies of library");else{this._totalCount=this._libraries.length;for(var t=0;t<this._libraries.length;++t)this._libraries[t]._retrieve()}},removeLoadListener:function(e){this._listenerList.removeListener("load",e)},_sort:function(){for(var e=[],t={},n=[],i=this._libraryMap,r=function(o){var s=o._url;if(2==t[s])return null;if(1==t[s]){var l=n.slice(Core.Arrays.indexOf(n,s));return l.push(s),l}t[s]=1,n.push(s);for(var a=Core.Web.Library._manifest[s],h=a&&a.dependencies||[],c=0;c<h.length;++c)if(i[h[c]]){var d=r(i[h[c]]);if(d)return d}return n.pop(),t[s]=2,e.push(o),null},o=0;o<this._libraries.length;++o){var s=r(this._libraries[o]);if(s)return s}return this._libraries=e,null}}),_Item:Core.extend({_url:null,_group:null,_content:null,_module:!1,$construct:function(e,t,n){this._url=t,this._group=e,this._module=!!n},_retrieveListener:function(e){var t;if(!e.valid)return t=e.timeout?"request timed out":e.aborted?"request aborted":e.exception?e.exception:"received status: "+e.source.getStatus(),void this._group._notifyFailed(this,new Error('Invalid HTTP response retrieving library "'+this._url+'", '+t));this._processContent(e.source.getResponseText(),!1)},_processContent:function(e,t){var n=Core.Web.Library._manifest[this._url],i=Core.method(this,function(n){n?t?(Core.Web.Library._Cache.remove(this._url),this._request()):this._group._notifyFailed(this,n):(t||null==Core.Web.Library.cacheVersion||Core.Web.Library._Cache.put(this._url,e),this._content=e,this._group._notifyRetrieved())});n&&n.integrity?Core.Web.Library._verifyIntegrity(this._url,e,n.integrity,i):i(null)},_install:function(){if(!Core.Web.Library._loadedLibraries[this._url]){if(Core.Web.Library._loadedLibraries[this._url]=!0,null==this._content)throw new Error("Attempt to install library when no content has been loaded.");"script"!=Core.Web.Library.installMode?(Core.Web.Library.evalLine=(new Error).lineNumber+1,eval(this._content)):this._installScript()}},_installElement:function(e){Core.Web.Library._loadedLibraries[this._url]=!0;var t=this._url,n=Core.Web.Library._manifest[t],i=document.createElement("script");this._module?i.type="module":i.async=!1,n&&n.integrity&&(i.integrity=n.integrity,i.setAttribute("integrity",n.integrity));var r=null,o=function(e){e.filename&&e.filename==i.src&&(r=r||e.error||new Error(e.message))};Core.Web.DOM.addEventListener(window,"error",o,!1),i.onload=function(){i.onload=i.onerror=null,Core.Web.DOM.removeEventListener(window,"error",o,!1),e(r)},i.onerror=function(){i.onload=i.onerror=null,Core.Web.DOM.removeEventListener(window,"error",o,!1),delete Core.Web.Library._loadedLibraries[t],e(new Error("Failed to load "+("module"==i.type?"module ":"")+'library "'+t+'"'+(n&&n.integrity?" (the library may have failed integrity verification).":".")))},i.src=t,Core.Web.Library._appendElement(i)},_installScript:function(){var e=document.createElement("script"),t=null,n=function(e){t=t||e.error||new Error(e.message)};e.text=this._content+"\n//# sourceURL="+this._url,Core.Web.DOM.addEventListener(window,"error",n,!1);try{Core.Web.Library._appendElement(e)}finally{Core.Web.DOM.removeEventListener(window,"error",n,!1),e.parentNode.removeChild(e)}if(t)throw t},_isElementInstalled:function(){return this._module||"src"==Core.Web.Library.installMode},_retrieve:function(){if(this._isElementInstalled()){var e=document.createElement("link"),t=Core.Web.Library._manifest[this._url];return this._module?e.rel="modulepreload":(e.rel="preload",e.setAttribute("as","script")),t&&t.integrity&&e.setAttribute("integrity",t.integrity),e.href=this._url,Core.Web.Library._appendElement(e),void Core.Web.Scheduler.run(Core.method(this._group,this._group._notifyRetrieved))}null==Core.Web.Library.cacheVersion?this._request():Core.Web.Library._Cache.get(this._url,Core.method(this,function(e){null==e?this._request():this._processContent(e,!0)}))},_request:function(){var e=Core.Web.Transport.create(this._url,"GET",null,null,{retries:Core.Web.Library.retries,timeout:Core.Web.Library.timeout,priority:Core.Web.Library.priority});e.addResponseListener(Core.method(this,this._retrieveListener)),e.connect()}}),exec:function(e,t){for(var n=null,i=0;i<e.length;++i)Core.Web.Library._loadedLibraries[e[i]]||(null==n&&(n=new Core.Web.Library.Group),n.add(e[i]));null!=n?(n.addLoadListener(t),n.load()):Core.Web.Scheduler.run(t)}},Core.Web.Measure={_scrollElements:["div","body"],_hInch:96,_vInch:96,_hEx:7,_vEx:7,_hEm:13.3333,_vEm:13.3333,SCROLL_WIDTH:17,SCROLL_HEIGHT:17,_PARSER:/^(-?\d+(?:\.\d+)?)(.+)?$/,extentToPixels:function(e,t){var n=this._PARSER.exec(e);if(!n)throw new Error("Invalid Extent: "+e);var i=parseFloat(n[1]),r=n[2]?n[2]:"px";if(!r||"px"==r)return i;t?Core.Web.Measure._hInch:Core.Web.Measure._vInch;switch(r){case"%":return null;case"in":return i*(t?Core.Web.Measure._hInch:Core.Web.Measure._vInch);case"cm":return i*(t?Core.Web.Measure._hInch:Core.Web.Measure._vInch)/2.54;case"mm":return i*(t?Core.Web.Measure._hInch:Core.Web.Measure._vInch)/25.4;case"pt":return i*(t?Core.Web.Measure._hInch:Core.Web.Measure._vInch)/72;case"pc":return i*(t?Core.Web.Measure._hInch:Core.Web.Measure._vInch)/6;case"em":return i*(t?Core.Web.Measure._hEm:Core.Web.Measure._vEm);case"ex":return i*(t?Core.Web.Measure._hEx:Core.Web.Measure._vEx)}},_calculateExtentSizes:function(){var e=document.getElementsByTagName("body")[0],t=document.createElement("div");t.style.width="4in",t.style.height="4in",e.appendChild(t),Core.Web.Measure._hInch=t.offsetWidth/4,Core.Web.Measure._vInch=t.offsetHeight/4,e.removeChild(t);var n=document.createElement("div");n.style.width="24em",n.style.height="24em",e.appendChild(n),Core.Web.Measure._hEm=n.offsetWidth/24,Core.Web.Measure._vEm=n.offsetHeight/24,e.removeChild(n);var i=document.createElement("div");i.style.width="24ex",i.style.height="24ex",e.appendChild(i),Core.Web.Measure._hEx=i.offsetWidth/24,Core.Web.Measure._vEx=i.offsetHeight/24,e.removeChild(i);var r=document.createElement("div");r.style.cssText="width:500px;height:100px;overflow:auto;";var o=document.createElement("div");o.style.cssText="width:100px;height:200px;",r.appendChild(o);var s=document.createElement("div");s.style.cssText="width:100%;height:10px;",r.appendChild(s),e.appendChild(r);var l=500-s.offsetWidth;l&&(Core.Web.Measure.SCROLL_WIDTH=Core.Web.Measure.SCROLL_HEIGHT=l),e.removeChild(r)},_getScrollOffset:function(e){var t=0,n=0;do{(e.scrollLeft||e.scrollTop)&&(t+=e.scrollTop||0,n+=e.scrollLeft||0),e=e.offsetParent}while(e);return{left:n,top:t}},_getCumulativeOffset:function(e){var t=0,n=0,i=!0;do{if(t+=e.offsetTop||0,n+=e.offsetLeft||0,!i&&Core.Web.Env.MEASURE_OFFSET_EXCLUDES_BORDER){if(e.style.borderLeftWidth&&"none"!=e.style.borderLeftStyle){var r=Core.Web.Measure.extentToPixels(e.style.borderLeftWidth,!0);n+=r,Core.Web.Env.QUIRK_MEASURE_OFFSET_HIDDEN_BORDER&&"hidden"==e.style.overflow&&(n+=r)}if(e.style.borderTopWidth&&"none"!=e.style.borderTopStyle){var o=Core.Web.Measure.extentToPixels(e.style.borderTopWidth,!1);t+=o,Core.Web.Env.QUIRK_MEASURE_OFFSET_HIDDEN_BORDER&&"hidden"==e.style.overflow&&(t+=o)}}i=!1,e=e.offsetParent}while(e);return{left:n,top:t}},Bounds:Core.extend({$static:{FLAG_MEASURE_DIMENSION:1,FLAG_MEASURE_POSITION:2,_initMeasureContainer:function(){this._offscreenDiv=document.createElement("div"),this._offscreenDiv.style.cssText="position: absolute; top: -1300px; left: -1700px; width: 1600px; height: 1200px;",document.body.appendChild(this._offscreenDiv)}},width:null,height:null,top:null,left:null,$construct:function(e,t){var n=t&&t.flags||Core.Web.Measure.Bounds.FLAG_MEASURE_DIMENSION|Core.Web.Measure.Bounds.FLAG_MEASURE_POSITION;if(e===document.body)return{x:0,y:0,height:window.innerHeight||document.documentElement.clientHeight,width:window.innerWidth||document.documentElement.clientWidth};for(var i=e;i&&i!=document;)i=i.parentNode;var r,o,s=i==document;if(n&Core.Web.Measure.Bounds.FLAG_MEASURE_DIMENSION&&(s||(r=e.parentNode,o=e.nextSibling,r&&r.removeChild(e),t&&(t.width&&(Core.Web.Measure.Bounds._offscreenDiv.width=t.width),t.height&&(Core.Web.Measure.Bounds._offscreenDiv.height=t.height)),Core.Web.Measure.Bounds._offscreenDiv.appendChild(e),t&&(Core.Web.Measure.Bounds._offscreenDiv.width="1600px",Core.Web.Measure.Bounds._offscreenDiv.height="1200px")),this.width=e.offsetWidth,this.height=e.offsetHeight,s||(Core.Web.Measure.Bounds._offscreenDiv.removeChild(e),r&&r.insertBefore(e,o))),s&&n&Core.Web.Measure.Bounds.FLAG_MEASURE_POSITION){var l=Core.Web.Measure._getCumulativeOffset(e),a=Core.Web.Measure._getScrollOffset(e);this.top=l.top-a.top,this.left=l.left-a.left}},toString:function(){return(null!=this.left?this.left+","+this.top+" : ":"")+(null!=this.width?"["+this.width+"x"+this.height+"]":"")}})},Core.Web.Scheduler={_runnables:[],_threadHandle:null,_nextExecution:null,add:function(e){Core.Arrays.remove(Core.Web.Scheduler._runnables,e),e._nextExecution=(new Date).getTime()+(e.timeInterval?e.timeInterval:0),Core.Web.Scheduler._runnables.push(e),Core.Web.Scheduler._setTimeout(e._nextExecution)},_execute:function(){Core.Web.Scheduler._threadHandle=null;var e,t,n=(new Date).getTime(),i=Number.MAX_VALUE;for(e=0;e<Core.Web.Scheduler._runnables.length;++e)if((t=Core.Web.Scheduler._runnables[e])&&t._nextExecution&&t._nextExecution<=n){t._nextExecution=null;try{t.run()}catch(e){throw e}}var r=[];for(e=0;e<Core.Web.Scheduler._runnables.length;++e)if(null!=(t=Core.Web.Scheduler._runnables[e]))if(t._nextExecution){r.push(t);var o=t._nextExecution-n;o<i&&(i=o)}else null!=t.timeInterval&&t.repeat&&(t._nextExecution=n+t.timeInterval,r.push(t),t.timeInterval<i&&(i=t.timeInterval));Core.Web.Scheduler._runnables=r,i<Number.MAX_VALUE&&Core.Web.Scheduler._setTimeout(n+i)},remove:function(e){var t=Core.Arrays.indexOf(Core.Web.Scheduler._runnables,e);Core.Web.Scheduler._runnables[t]=null},run:function(e,t,n){var i=new Core.Web.Scheduler.MethodRunnable(e,t,n);return Core.Web.Scheduler.add(i),i},_setTimeout:function(e){if(!(null!=Core.Web.Scheduler._threadHandle&&Core.Web.Scheduler._nextExecution<e)){null!=Core.Web.Scheduler._threadHandle&&window.clearTimeout(Core.Web.Scheduler._threadHandle);var t=(new Date).getTime();Core.Web.Scheduler._nextExecution=e;var n=e-t>0?e-t:0;Core.Web.Scheduler._threadHandle=window.setTimeout(Core.Web.Scheduler._execute,n)}},update:function(e){if(-1!=Core.Arrays.indexOf(Core.Web.Scheduler._runnables,e)){var t=(new Date).getTime(),n=e.timeInterval?e.timeInterval:0;e._nextExecution=t+n,Core.Web.Scheduler._setTimeout(e._nextExecution)}}},Core.Web.Scheduler.Runnable=Core.extend({_nextExecution:null,$virtual:{timeInterval:null,repeat:!1},$abstract:{run:function(){}}}),Core.Web.Scheduler.MethodRunnable=Core.extend(Core.Web.Scheduler.Runnable,{f:null,$construct:function(e,t,n){if(!t&&n)throw new Error("Cannot create repeating runnable without time delay:"+e);this.f=e,this.timeInterval=t,this.repeat=!!n},$virtual:{run:function(){this.f()}}}),Core.Web.VirtualPosition={_OFFSETS_VERTICAL:["paddingTop","paddingBottom","marginTop","marginBottom","borderTopWidth","borderBottomWidth"],_OFFSETS_HORIZONTAL:["paddingLeft","paddingRight","marginLeft","marginRight","borderLeftWidth","borderRightWidth"],enabled:!1,_calculateOffsets:function(e,t){for(var n=0,i=0;i<e.length;++i){var r=t[e[i]];if(r){if(-1==r.toString().indexOf("px"))return-1;n+=parseInt(r,10)}}return n},_init:function(){this.enabled=!0},redraw:function(e){if(this.enabled&&e&&e.parentNode){var t;if(this._verifyPixelValue(e.style.top)&&this._verifyPixelValue(e.style.bottom)){var n=e.parentNode.offsetHeight;if(!isNaN(n)&&-1!=(t=this._calculateOffsets(this._OFFSETS_VERTICAL,e.style))){var i=n-parseInt(e.style.top,10)-parseInt(e.style.bottom,10)-t;i<=0?e.style.height=0:e.style.height!=i+"px"&&(e.style.height=i+"px")}}if(this._verifyPixelValue(e.style.left)&&this._verifyPixelValue(e.style.right)){var r=e.parentNode.offsetWidth;if(!isNaN(r)&&-1!=(t=this._calculateOffsets(this._OFFSETS_HORIZONTAL,e.style))){var o=r-parseInt(e.style.left,10)-parseInt(e.style.right,10)-t;o<=0?e.style.width=0:e.style.width!=o+"px"&&(e.style.width=o+"px")}}}},_verifyPixelValue:function(e){if(null==e||""===e)return!1;var t=e.toString();return"0"==t||-1!=t.indexOf("px")}},Echo={},Echo.Application=Core.extend({$static:{_nextUid:1,generateUid:function(){return this._nextUid++}},$abstract:!0,$virtual:{init:function(){},dispose:function(){},isActive:function(){return!0}},client:null,_idToComponentMap:null,_listenerList:null,_locale:null,_modalComponents:null,_resourceBundles:null,_styleSheet:null,_focusedComponent:null,rootComponent:null,updateManager:null,focusManager:null,acceleratorManager:null,$construct:function(){this._idToComponentMap=new Core.Arrays.LargeMap,this._listenerList=new Core.ListenerList,this.rootComponent=new Echo.Component,this.rootComponent.componentType="Root",this.rootComponent.register(this),this._modalComponents=[],this._resourceBundles=[],this.updateManager=new Echo.Update.Manager(this),this.focusManager=new Echo.FocusManager(this),this.acceleratorManager=new Echo.AcceleratorManager(this)},addAccelerator:function(e,t,n){return this.acceleratorManager.add(e,t,n)},addListener:function(e,t){this._listenerList.addListener(e,t)},doDispose:function(){this.updateManager.dispose(),this.dispose()},doInit:function(){this.init()},_findModalContextRoot:function(e){for(var t=(e=e||this.rootComponent).children.length-1;t>=0;--t){var n=this._findModalContextRoot(e.children[t]);if(n)return n}return e.modalSupport&&e.get("modal")?e:null},fireEvent:function(e){null!=this._listenerList&&this._listenerList.fireEvent(e)},focusNext:function(e){var t=this.focusManager.find(null,e);null!=t&&this.setFocusedComponent(t)},getComponentByRenderId:function(e){return this._idToComponentMap.get(e)},getFocusedComponent:function(){return this._focusedComponent},getLayoutDirection:function(){return this._layoutDirection?this._layoutDirection:Echo.LayoutDirection.LTR},getLocale:function(){return this._locale},getModalContextRoot:function(){return 0===this._modalComponents.length?null:1==this._modalComponents.length?this._modalComponents[0]:this._findModalContextRoot()},getStyleSheet:function(){return this._styleSheet},_loadResourceBundle:function(e,t){var n=!1,i=function(){n||(n=!0,t&&t())};try{e.load(this._locale,i)}catch(e){Core.Log.getLogger("Echo.Application").error("Cannot load resource bundle",{locale:this._locale,ex:e}),i()}},_loadResourceBundles:function(){for(var e=this._locale,t=this._resourceBundles.length+1,n=Core.method(this,function(){--t>0||e!==this._locale||(this._listenerList.fireEvent({type:"locale",source:this,locale:e}),this.updateManager._processFullRefresh())}),i=0;i<this._resourceBundles.length;++i)this._loadResourceBundle(this._resourceBundles[i],n);n()},notifyComponentUpdate:function(e,t,n,i,r,o){e.modalSupport&&"modal"==t&&this._setModal(e,i),this._listenerList.hasListeners("componentUpdate")&&this._listenerList.fireEvent({type:"componentUpdate",parent:e,propertyName:t,oldValue:n,newValue:i}),r||this.updateManager._processComponentUpdate(e,t,n,i,o)},_registerComponent:function(e){if(this._idToComponentMap.has(e.renderId))throw new Error("Component already exists with id: "+e.renderId);this._idToComponentMap.set(e.renderId,e),e.modalSupport&&e.get("modal")&&this._setModal(e,!0)},registerResourceBundle:function(e){-1==Core.Arrays.indexOf(this._resourceBundles,e)&&(this._resourceBundles.push(e),this._loadResourceBundle(e,null))},removeAccelerator:function(e){this.acceleratorManager.remove(e)},removeListener:function(e,t){this._listenerList.removeListener(e,t)},setFocusedComponent:function(e){for(var t=this._focusedComponent;null!=e&&!e.focusable;)e=e.parent;if(this._modalComponents.length>0&&!this.getModalContextRoot().isAncestorOf(e))return;this._focusedComponent!=e&&(this._focusedComponent=e,this._listenerList.fireEvent({type:"focus",source:this,oldValue:t,newValue:e}))},setLayoutDirection:function(e){this._layoutDirection=e,this.updateManager._processFullRefresh()},setLocale:function(e){this._locale=e,this._loadResourceBundles()},_setModal:function(e,t){if(Core.Arrays.remove(this._modalComponents,e),t&&this._modalComponents.push(e),this._modalComponents.length>0&&this._focusedComponent){var n=this.getModalContextRoot();n.isAncestorOf(this._focusedComponent)||(n.focusable?this.setFocusedComponent(n):this.setFocusedComponent(this.focusManager.findInParent(n,!1)))}this.fireEvent({source:this,type:"modal",modal:this._modalComponents.length>0})},setStyleSheet:function(e){this._styleSheet=e,this.updateManager._processFullRefresh()},_unregisterComponent:function(e){this._idToComponentMap.remove(e.renderId),e.modalSupport&&this._setModal(e,!1)},unregisterResourceBundle:function(e){Core.Arrays.remove(this._resourceBundles,e)}}),Echo.ComponentFactory={_typeToConstructorMap:{},newInstance:function(e,t){var n=this._typeToConstructorMap[e];if(!n)throw new Error("Type not registered with ComponentFactory: "+e);var i=new n;return i.renderId=t,i},getConstructor:function(e){return this._typeToConstructorMap[e]},getSuperType:function(e){var t=this._typeToConstructorMap[e];return t?t.$super?t.$super.prototype.componentType:null:"Component"},registerType:function(e,t){if(this._typeToConstructorMap[e])throw new Error("Type already registered: "+e);this._typeToConstructorMap[e]=t}},Echo.Component=Core.extend({$static:{_nextRenderId:0},$load:function(){Echo.ComponentFactory.registerType("Component",this)},$abstract:!0,$virtual:{componentType:"Component",focusable:!1,getFocusOrder:null,pane:!1},_layoutDirection:null,_locale:null,renderId:null,parent:null,application:null,_listenerList:null,_style:null,_styleName:null,_enabled:!0,children:null,focusNextId:null,focusPreviousId:null,_localStyle:null,$construct:function(e){if(this.children=[],this._localStyle={},e)for(var t in e)switch(t){case"style":this._style=e.style;break;case"styleName":this._styleName=e.styleName;break;case"renderId":this.renderId=e.renderId;break;case"children":for(var n=0;n<e.children.length;++n)this.add(e.children[n]);break;case"events":for(var i in e.events)this.addListener(i,e.events[i]);break;default:this._localStyle[t]=e[t]}},add:function(e,t){if(!(e instanceof Echo.Component))throw new Error("Cannot add child: specified component object is not derived from Echo.Component. Parent: "+this+", Child: "+e);if(!e.componentType)throw new Error("Cannot add child: specified component object does not have a componentType property. Parent: "+this+", Child: "+e);e.parent&&e.parent.remove(e),e.parent=this,null==t||t==this.children.length?this.children.push(e):this.children.splice(t,0,e),this.application&&(e.register(this.application),this.application.notifyComponentUpdate(this,"children",null,e,!1,null==t?this.children.length-1:t)),e._listenerList&&e._listenerList.hasListeners("parent")&&e._listenerList.fireEvent({type:"parent",source:e,oldValue:null,newValue:this}),this._listenerList&&this._listenerList.hasListeners("children")&&this._listenerList.fireEvent({type:"children",source:this,add:e,index:t})},addListener:function(e,t,n){null==this._listenerList&&(this._listenerList=new Core.ListenerList),this._listenerList.addListener(e,t,n),this.application&&this.application.notifyComponentUpdate(this,"listeners",null,e)},fireEvent:function(e){var t=[];return this._dispatchEvent(e,function(n,i){n._notify(e,i,t)}),0===t.length?null:Core.ListenerList._settle(t)},fireEventAsync:function(e){var t=[];return this._dispatchEvent(e,function(n,i){n._notifyAsync(e,i,t)}),Core.ListenerList._settle(t)},_dispatchEvent:function(e,t){if(e.bubbles){for(var n,i=[],r=this.parent;r;)i.push(r),r=r.parent;for(e.phase=Core.Event.PHASE_CAPTURE,n=i.length-1;n>=0&&!e.propagationStopped;--n)i[n]._listenerList&&(e.currentTarget=i[n],t(i[n]._listenerList,Core.Event.PHASE_CAPTURE));for(!e.propagationStopped&&this._listenerList&&(e.phase=Core.Event.PHASE_TARGET,e.currentTarget=this,t(this._listenerList,Core.Event.PHASE_TARGET)),e.phase=Core.Event.PHASE_BUBBLE,n=0;n<i.length&&!e.propagationStopped;++n)i[n]._listenerList&&(e.currentTarget=i[n],t(i[n]._listenerList,Core.Event.PHASE_BUBBLE));e.phase=null,e.currentTarget=null}else{if(null==this._listenerList)return;t(this._listenerList,null)}},get:function(e){return this._localStyle[e]},getComponent:function(e){return this.children[e]},getComponentCount:function(){return this.children.length},getIndex:function(e,t){var n=this._localStyle[e];return n?n[t]:null},getLayoutDirection:function(){return this._layoutDirection},getLocale:function(){return this._locale},getLocalStyleData:function(){return this._localStyle},getRenderLayoutDirection:function(){for(var e=this;e;){if(e._layoutDirection)return e._layoutDirection;e=e.parent}return this.application?this.application.getLayoutDirection():null},getRenderLocale:function(){for(var e=this;e;){if(e._locale)return e._locale;e=e.parent}return this.application?this.application.getLocale():null},getStyle:function(){return this._style},getStyleName:function(){return this._styleName},indexOf:function(e){for(var t=0;t<this.children.length;++t)if(this.children[t]==e)return t;return-1},isActive:function(){if(!this.isRenderEnabled())return!1;if(!this.application||!this.application.isActive())return!1;var e=this.application.getModalContextRoot();return!(null!=e&&!e.isAncestorOf(this))},isAncestorOf:function(e){for(;null!=e&&e!=this;)e=e.parent;return e==this},isEnabled:function(){return this._enabled},isRenderEnabled:function(){for(var e=this;null!=e;){if(!e._enabled)return!1;e=e.parent}return!0},register:function(e){if(e&&this.application)throw new Error("Attempt to re-register or change registered application of component.");var t;if(!e){if(null!=this.children)for(t=0;t<this.children.length;++t)this.children[t].register(!1);this.application._unregisterComponent(this),this.application._focusedComponent==this&&this.application.setFocusedComponent(this.parent),null!=this._listenerList&&this._listenerList.hasListeners("dispose")&&this._listenerList.fireEvent({type:"dispose",source:this})}if(this.application=e,e&&(null==this.renderId&&(this.renderId="CL."+ ++Echo.Component._nextRenderId),this.application._registerComponent(this),null!=this._listenerList&&this._listenerList.hasListeners("init")&&this._listenerList.fireEvent({type:"init",source:this}),null!=this.children))for(t=0;t<this.children.length;++t)this.children[t].register(e)},render:function(e,t){var n=this._localStyle[e];if(null==n&&(null!=this._style&&(n=this._style[e]),null==n&&this.application&&this.application._styleSheet)){var i=this.application._styleSheet.getRenderStyle(null!=this._styleName?this._styleName:"",this.componentType);i&&(n=i[e])}return null==n?t:n},renderIndex:function(e,t,n){var i=this._localStyle[e],r=i?i[t]:null;if(null==r&&(null!=this._style&&(r=(i=this._style[e])?i[t]:null),null==r&&this._styleName&&this.application&&this.application._styleSheet)){var o=this.application._styleSheet.getRenderStyle(null!=this._styleName?this._styleName:"",this.componentType);o&&(r=(i=o[e])?i[t]:null)}return null==r?n:r},remove:function(e){var t,n;if("number"==typeof e){if(n=e,!(t=this.children[n]))throw new Error("Component.remove(): index out of bounds: "+n+", parent: "+this)}else if(t=e,-1==(n=this.indexOf(t)))return;this.application&&t.register(null),this.children.splice(n,1),t.parent=null,this.application&&this.application.notifyComponentUpdate(this,"children",t,null,!1,n),t._listenerList&&t._listenerList.hasListeners("parent")&&t._listenerList.fireEvent({type:"parent",source:t,oldValue:this,newValue:null}),this._listenerList&&this._listenerList.hasListeners("children")&&this._listenerList.fireEvent({type:"children",source:this,remove:t,index:n})},removeAll:function(){for(;this.children.length>0;)this.remove(this.children.length-1)},removeListener:function(e,t){null!=this._listenerList&&(this._listenerList.removeListener(e,t),this.application&&this.application.notifyComponentUpdate(this,"listeners",e,null))},set:function(e,t,n){var i=this._localStyle[e];i!==t&&(this._localStyle[e]=t,this._listenerList&&this._listenerList.hasListeners("property")&&this._listenerList.fireEvent({type:"property",source:this,propertyName:e,oldValue:i,newValue:t}),this.application&&this.application.notifyComponentUpdate(this,e,i,t,n))},setEnabled:function(e){var t=this._enabled;this._enabled=e,this.application&&this.application.notifyComponentUpdate(this,"enabled",t,e)},setIndex:function(e,t,n,i){var r=this._localStyle[e],o=null;if(r){if((o=r[t])===n)return}else r=[],this._localStyle[e]=r;r[t]=n,this.application&&this.application.notifyComponentUpdate(this,e,o,n,i),this._listenerList&&this._listenerList.hasListeners("property")&&this._listenerList.fireEvent({type:"property",source:this,propertyName:e,index:t,oldValue:o,newValue:n})},setLayoutDirection:function(e){var t=this._layoutDirection;this._layoutDirection=e,this.application&&this.application.notifyComponentUpdate(this,"layoutDirection",t,e)},setLocale:function(e){var t=this._locale;this._locale=e,this.application&&this.application.notifyComponentUpdate(this,"locale",t,e)},setStyle:function(e){var t=this._style;this._style=e,this.application&&this.application.notifyComponentUpdate(this,"style",t,e)},setStyleName:function(e){var t=this._styleName;this._styleName=e,this.application&&this.application.notifyComponentUpdate(this,"styleName",t,e)},toString:function(e){var t=this.renderId+"/"+this.componentType;if(e){t+="\n";var n=this.getComponentCount();t+=this.renderId+"/properties:"+this._localStyle+"\n";for(var i=0;i<n;++i){var r=this.getComponent(i);t+=this.renderId+"/child:"+r.renderId+"\n",t+=r.toString(!0)}}return t}}),Echo.FocusManager=Core.extend({_application:null,$construct:function(e){this._application=e},find:function(e,t){e||(e=this._application.getFocusedComponent())||(e=this._application.rootComponent);var n=t?e.focusPreviousId:e.focusNextId;if(n){var i=this._application.getComponentByRenderId(n);if(i&&i.isActive()&&i.focusable)return i}for(var r=e,o={},s=null;;){var l=null;if(t&&e==r||s&&s.parent==e);else{var a=e.getComponentCount();if(a>0){var h=this._getFocusOrder(e);o[(l=h?e.getComponent(h[t?a-1:0]):e.getComponent(t?a-1:0)).renderId]&&(l=null)}}if(null==l&&e.parent&&(l=this._getNextCandidate(e,t)),null==l&&(l=e.parent),null==l)return null;if(s=e,o[(e=l).renderId]=!0,e!=r&&e.isActive()&&e.focusable)return e}},findInParent:function(e,t,n){n||(n=1);var i={},r=this._application.getFocusedComponent();if(!r)return null;i[r.renderId]=!0;var o=this._getDescendantIndex(e,r);if(-1==o)return null;var s=o,l=r;do{if(null==(l=this.find(l,t,i))||i[l.renderId])return null;s=this._getDescendantIndex(e,l),i[l.renderId]=!0}while(Math.abs(s-o)<n&&l!=r);return l==r?null:(this._application.setFocusedComponent(l),l)},_getDescendantIndex:function(e,t){for(;t.parent!=e&&null!=t.parent;)t=t.parent;return null==t.parent?-1:e.indexOf(t)},_getFocusOrder:function(e){var t=e.getFocusOrder?e.getFocusOrder():null;if(!t)return null;for(var n=t.slice().sort(),i=1;i<n.length;++i)if(n[i-1]>=n[i])return Core.Debug.consoleWrite("Invalid focus order for component "+e+": "+t),null;return t},_getNextCandidate:function(e,t){if(!e.parent)return null;var n,i,r=this._getFocusOrder(e.parent);if(t){if(n=e.parent.indexOf(e),r){if((i=Core.Arrays.indexOf(r,n))>0)return e.parent.children[r[i-1]]}else if(n>0)return e.parent.getComponent(n-1)}else if(n=e.parent.indexOf(e),r){if((i=Core.Arrays.indexOf(r,n))<r.length-1)return e.parent.children[r[i+1]]}else if(n<e.parent.getComponentCount()-1)return e.parent.getComponent(n+1)}}),Echo.AcceleratorManager=Core.extend({$static:{KEY_NAMES:{backspace:8,tab:9,enter:13,return:13,pause:19,esc:27,escape:27,space:32,pageup:33,pagedown:34,end:35,home:36,left:37,up:38,right:39,down:40,insert:45,delete:46,del:46,plus:187,";":186,"=":187,",":188,"-":189,".":190,"/":191,"`":192,"[":219,"\\":220,"]":221,"'":222},SEQUENCE_TIMEOUT:1500,_MODIFIER_KEY_CODES:{16:!0,17:!0,18:!0,91:!0,92:!0,93:!0,224:!0},_formatChord:function(e,t,n,i,r){return(t?"C":"")+(n?"A":"")+(i?"S":"")+(r?"M":"")+":"+e},_isEditable:function(e){if(!e||1!=e.nodeType)return!1;if(e.isContentEditable)return!0;switch(e.nodeName.toLowerCase()){case"textarea":case"select":return!0;case"input":return!/^(button|checkbox|radio|submit|reset|image|file|color|range|hidden)$/i.test(e.type||"");default:return!1}},parse:function(e){for(var t=e.split(/\s+/),n=[],i=0;i<t.length;++i)if(t[i]){for(var r=t[i].split("+"),o=!1,s=!1,l=!1,a=!1,h=null,c=0;c<r.length;++c){var d=r[c].toLowerCase();if(""===d&&c==r.length-1&&c>0)d="plus";else if(""===d)continue;if(c<r.length-1){switch(d){case"ctrl":case"control":o=!0;continue;case"alt":case"option":s=!0;continue;case"shift":l=!0;continue;case"meta":case"cmd":case"command":a=!0;continue}throw new Error('Invalid accelerator modifier "'+r[c]+'" in: '+e)}if(Echo.AcceleratorManager.KEY_NAMES[d])h=Echo.AcceleratorManager.KEY_NAMES[d];else if(/^[a-z0-9]$/.test(d))h=d.toUpperCase().charCodeAt(0);else{if(!/^f([1-9]|1[0-9]|2[0-4])$/.test(d))throw new Error('Invalid accelerator key "'+r[c]+'" in: '+e);h=111+parseInt(d.substring(1),10)}}if(null==h)throw new Error("Invalid accelerator (no key specified): "+e);n.push(Echo.AcceleratorManager._formatChord(h,o,s,l,a))}if(0===n.length)throw new Error("Invalid accelerator (no key specified): "+e);return n}},_application:null,_accelerators:null,_pendingChords:null,_pendingTime:0,$construct:function(e){this._application=e,this._accelerators=[],this._pendingChords=[]},add:function(e,t,n){var i={keys:e,action:t,component:n&&n.component||null,requireFocus:!(!n||!n.requireFocus),_sequence:Echo.AcceleratorManager.parse(e).join(" ")},r=this._getConflicts(i._sequence,i.component);if(r.length>0)throw new Error('Accelerator "'+e+'" conflicts with "'+r[0].keys+'"'+(i.component?" on component "+i.component:"")+".");return this._accelerators.push(i),i},getConflicts:function(e,t){return this._getConflicts(Echo.AcceleratorManager.parse(e).join(" "),t||null)},_getConflicts:function(e,t){for(var n=[],i=0;i<this._accelerators.length;++i){var r=this._accelerators[i],o=r._sequence;r.component==t&&(o!=e&&0!==o.indexOf(e+" ")&&0!==e.indexOf(o+" ")||n.push(r))}return n},_getActiveDepth:function(e,t){var n=e.component||this._application.rootComponent;if(n.application!=this._application||!n.isActive())return-1;if(e.requireFocus&&(!t||!n.isAncestorOf(t)))return-1;for(var i=0;n.parent;)n=n.parent,++i;return i},processKeyDown:function(e,t){if(0===this._accelerators.length||Echo.AcceleratorManager._MODIFIER_KEY_CODES[e])return!1;var n=Echo.AcceleratorManager._formatChord(e,t.ctrlKey,t.altKey,t.shiftKey,t.metaKey),i=(new Date).getTime();if(this._pendingChords.length>0&&i-this._pendingTime>Echo.AcceleratorManager.SEQUENCE_TIMEOUT&&(this._pendingChords=[]),0===this._pendingChords.length&&!t.ctrlKey&&!t.altKey&&!t.metaKey&&27!=e&&!(e>=112&&e<=135)&&Echo.AcceleratorManager._isEditable(t.target))return!1;var r=this._pendingChords.length>0;this._pendingChords.push(n),this._pendingTime=i;for(var o=this._pendingChords.join(" "),s=this._application.getFocusedComponent(),l=null,a=-1,h=!1,c=0;c<this._accelerators.length;++c){var d=this._accelerators[c];if(d._sequence==o||0===d._sequence.indexOf(o+" ")){var u=this._getActiveDepth(d,s);-1!=u&&(d._sequence!=o?h=!0:u>a&&(l=d,a=u))}}return l?(this._pendingChords=[],l.action({type:"accelerator",source:this,accelerator:l,keys:l.keys,focusedComponent:s}),!0):!!h||(this._pendingChords=[],!!r&&this.processKeyDown(e,t))},remove:function(e){Core.Arrays.remove(this._accelerators,e),this._pendingChords=[]},removeAll:function(e){for(var t=this._accelerators.length-1;t>=0;--t)this._accelerators[t].component==(e||null)&&this._accelerators.splice(t,1);this._pendingChords=[]}}),Echo.LayoutDirection=Core.extend({_ltr:!1,$construct:function(e){this._ltr=e},isLeftToRight:function(){return this._ltr}}),Echo.LayoutDirection.LTR=new Echo.LayoutDirection(!0),Echo.LayoutDirection.RTL=new Echo.LayoutDirection(!1),Echo.StyleSheet=Core.extend({_nameToStyleMap:null,_renderCache:null,$construct:function(e){if(this._renderCache={},this._nameToStyleMap={},e)for(var t in e)for(var n in e[t])this.setStyle(t,n,e[t][n])},getRenderStyle:function(e,t){var n=this._renderCache[e];if(!n)return null;var i=n[t];return void 0!==i?i:this._loadRenderStyle(e,t)},_loadRenderStyle:function(e,t){var n=this._nameToStyleMap[e];if(null==n)return this._renderCache[e][t]=null,null;var i=n[t];if(null==i)for(var r=t;null==i;){if(null==(r=Echo.ComponentFactory.getSuperType(r)))return this._renderCache[e][r]=null,null;i=n[r]}return this._renderCache[e][t]=i,i},getStyle:function(e,t){var n=this._nameToStyleMap[e];return null==n?null:n[t]},setStyle:function(e,t,n){this._renderCache[e]={};var i=this._nameToStyleMap[e];null==i&&(i={},this._nameToStyleMap[e]=i),i[t]=n}}),Echo.Update={},Echo.Update.ComponentUpdate=Core.extend({$static:{PropertyUpdate:function(e,t){this.oldValue=e,this.newValue=t}},_manager:null,parent:null,renderContext:null,_addedChildIds:null,_originalChildIds:null,_propertyUpdates:null,_removedChildIds:null,_removedDescendantIds:null,_updatedLayoutDataChildIds:null,_listenerUpdates:null,$construct:function(e,t){this._manager=e,this.parent=t},_addChild:function(e,t){this._storeOriginalChildIds(e,t,!0),this._addedChildIds||(this._addedChildIds=[]),this._addedChildIds.push(e.renderId),this._manager._idMap.set(e.renderId,e)},_appendRemovedDescendants:function(e){var t;if(null!=e._removedDescendantIds)for(null==this._removedDescendantIds&&(this._removedDescendantIds=[]),t=0;t<e._removedDescendantIds.length;++t)this._removedDescendantIds.push(e._removedDescendantIds[t]);if(null!=e._removedChildIds)for(null==this._removedDescendantIds&&(this._removedDescendantIds=[]),t=0;t<e._removedChildIds.length;++t)this._removedDescendantIds.push(e._removedChildIds[t]);null!=this._removedDescendantIds&&Core.Arrays.removeDuplicates(this._removedDescendantIds)},getAddedChildren:function(){if(!this._addedChildIds)return null;for(var e=[],t=0;t<this._addedChildIds.length;++t)e[t]=this._manager._idMap.get(this._addedChildIds[t]);return e},getChildOperations:function(){if(!this._originalChildIds)return null;var e,t=[];for(e=0;e<this.parent.children.length;++e)t.push(this.parent.children[e].renderId);var n=Core.Arrays.diff(this._originalChildIds,t);for(e=0;e<n.length;++e){var i=n[e].item;n[e].item="delete"==n[e].type?this._manager._removedIdMap[i]:this.parent.application.getComponentByRenderId(i)}return n},getMovedChildren:function(){var e=this.getChildOperations();if(!e)return null;for(var t=[],n=0;n<e.length;++n)"move"==e[n].type&&t.push(e[n].item);return 0===t.length?null:t},getRemovedChildren:function(){if(!this._removedChildIds)return null;for(var e=[],t=0;t<this._removedChildIds.length;++t)e[t]=this._manager._removedIdMap[this._removedChildIds[t]];return e},getRemovedDescendants:function(){if(!this._removedDescendantIds)return null;for(var e=[],t=0;t<this._removedDescendantIds.length;++t)e[t]=this._manager._removedIdMap[this._removedDescendantIds[t]];return e},getUpdatedLayoutDataChildren:function(){if(!this._updatedLayoutDataChildIds)return null;for(var e=[],t=0;t<this._updatedLayoutDataChildIds.length;++t)e[t]=this._manager._idMap.get(this._updatedLayoutDataChildIds[t]);return e},hasAddedChildren:function(){return null!=this._addedChildIds},hasMovedChildren:function(){return null!=this.getMovedChildren()},hasRemovedChildren:function(){return null!=this._removedChildIds},hasUpdatedLayoutDataChildren:function(){return null!=this._updatedLayoutDataChildIds},hasUpdatedProperties:function(){return null!=this._propertyUpdates},getUpdatedProperty:function(e){return null==this._propertyUpdates?null:this._propertyUpdates[e]},isListenerTypeUpdated:function(e){return null!=this._listenerUpdates&&this._listenerUpdates[e]},getUpdatedPropertyNames:function(){if(null==this._propertyUpdates)return[];var e=[];for(var t in this._propertyUpdates)e.push(t);return e},hasUpdatedPropertyIn:function(e){for(var t in this._propertyUpdates)if(e[t])return!0;return!1},isUpdatedPropertySetIn:function(e){for(var t in this._propertyUpdates)if(!e[t])return!1;return!0},_removeChild:function(e,t){this._storeOriginalChildIds(e,t,!1),this._manager._removedIdMap[e.renderId]=e,this._addedChildIds&&Core.Arrays.remove(this._addedChildIds,e.renderId),this._updatedLayoutDataChildIds&&Core.Arrays.remove(this._updatedLayoutDataChildIds,e.renderId),this._removedChildIds||(this._removedChildIds=[]),this._removedChildIds.push(e.renderId);for(var n=0;n<e.children.length;++n)this._removeDescendant(e.children[n])},_removeDescendant:function(e){this._manager._removedIdMap[e.renderId]=e,this._removedDescendantIds||(this._removedDescendantIds=[]),this._removedDescendantIds.push(e.renderId);for(var t=0;t<e.children.length;++t)this._removeDescendant(e.children[t])},_storeOriginalChildIds:function(e,t,n){if(!this._originalChildIds){this._originalChildIds=[];for(var i=0;i<this.parent.children.length;++i)this._originalChildIds.push(this.parent.children[i].renderId);null!=t&&(n?this._originalChildIds.splice(t,1):this._originalChildIds.splice(t,0,e.renderId))}},toString:function(){var e="ComponentUpdate\n";return e+="- Parent: "+this.parent+"\n",e+="- Adds: "+this._addedChildIds+"\n",e+="- Removes: "+this._removedChildIds+"\n",e+="- DescendantRemoves: "+this._removedDescendantIds+"\n",e+="- Properties: "+Core.Debug.toString(this._propertyUpdates)+"\n",e+="- LayoutDatas: "+this._updatedLayoutDataChildIds+"\n"},_updateLayoutData:function(e){this._manager._idMap.set(e.renderId,e),null==this._updatedLayoutDataChildIds&&(this._updatedLayoutDataChildIds=[]),this._updatedLayoutDataChildIds.push(e.renderId)},_updateListener:function(e){null==this._listenerUpdates&&(this._listenerUpdates={}),this._listenerUpdates[e]=!0},_updateProperty:function(e,t,n){null==this._propertyUpdates&&(this._propertyUpdates={});var i=new Echo.Update.ComponentUpdate.PropertyUpdate(t,n);this._propertyUpdates[e]=i}}),Echo.Update.Manager=Core.extend({_componentUpdateMap:null,fullRefreshRequired:!1,application:null,_hasUpdates:!1,_listenerList:null,_idMap:null,_removedIdMap:null,_lastAncestorTestParentId:null,$construct:function(e){this._componentUpdateMap={},this.application=e,this._listenerList=new Core.ListenerList,this._idMap=new Core.Arrays.LargeMap,this._removedIdMap={}},addUpdateListener:function(e){this._listenerList.addListener("update",e)},_createComponentUpdate:function(e){this._hasUpdates=!0;var t=this._componentUpdateMap[e.renderId];return t||(t=new Echo.Update.ComponentUpdate(this,e),this._componentUpdateMap[e.renderId]=t),t},dispose:function(){this.application=null},_fireUpdate:function(){this._listenerList.isEmpty()||this._listenerList.fireEvent({type:"update",source:this})},getUpdates:function(){var e=[];for(var t in this._componentUpdateMap)e.push(this._componentUpdateMap[t]);return e},hasUpdates:function(){return this._hasUpdates},_isAncestorBeingAdded:function(e){var t=e,n=e.parent,i=n?n.renderId:null;if(i&&this._lastAncestorTestParentId==i)return!1;for(;n;){var r=this._componentUpdateMap[n.renderId];if(r&&r._addedChildIds)for(var o=0;o<r._addedChildIds.length;++o)if(r._addedChildIds[o]==t.renderId)return!0;t=n,n=n.parent}return this._lastAncestorTestParentId=i,!1},_processComponentAdd:function(e,t,n){this.fullRefreshRequired||(this._isAncestorBeingAdded(t)||this._createComponentUpdate(e)._addChild(t,n))},_processComponentLayoutDataUpdate:function(e){if(!this.fullRefreshRequired){var t=e.parent;if(null!=t&&!this._isAncestorBeingAdded(t))this._createComponentUpdate(t)._updateLayoutData(e)}},_processComponentListenerUpdate:function(e,t){this.fullRefreshRequired||(this._isAncestorBeingAdded(e)||this._createComponentUpdate(e)._updateListener(t))},_processComponentRemove:function(e,t,n){if(!this.fullRefreshRequired&&!this._isAncestorBeingAdded(e)){var i=this._createComponentUpdate(e);i._removeChild(t,n);var r=null;for(var o in this._componentUpdateMap){var s=this._componentUpdateMap[o];t.isAncestorOf(s.parent)&&(i._appendRemovedDescendants(s),null==r&&(r=[]),r.push(o))}if(null!=r)for(var l=0;l<r.length;++l)delete this._componentUpdateMap[r[l]]}},_processComponentPropertyUpdate:function(e,t,n,i){this.fullRefreshRequired||(this._isAncestorBeingAdded(e)||this._createComponentUpdate(e)._updateProperty(t,n,i))},_processFullRefresh:function(){for(var e=0;e<this.application.rootComponent.children.length;++e)this._processComponentRemove(this.application.rootComponent,this.application.rootComponent.children[e]);this.fullRefreshRequired=!0,this._createComponentUpdate(this.application.rootComponent).fullRefresh=!0,this._fireUpdate()},_processComponentUpdate:function(e,t,n,i,r){"children"==t?null==i?this._processComponentRemove(e,n,r):this._processComponentAdd(e,i,r):"layoutData"==t?this._processComponentLayoutDataUpdate(e):"listeners"==t?this._processComponentListenerUpdate(e,n||i):this._processComponentPropertyUpdate(e,t,n,i),this._fireUpdate()},purge:function(){this.fullRefreshRequired=!1,this._componentUpdateMap={},this._idMap.clear(),this._removedIdMap={},this._hasUpdates=!1,this._lastAncestorTestParentId=null},removeUpdateListener:function(e){this._listenerList.removeListener("update",e)},toString:function(){var e="[ UpdateManager ]\n";if(this.fullRefreshRequired)e+="fullRefresh";else for(var t in this._componentUpdateMap)e+=this._componentUpdateMap[t];return e}}),Echo.AbstractButton=Core.extend(Echo.Component,{$abstract:!0,$load:function(){Echo.ComponentFactory.registerType("AbstractButton",this),Echo.ComponentFactory.registerType("AB",this)},componentType:"AbstractButton",focusable:!0,$virtual:{doAction:function(){return this.fireEvent(new Core.Event("action",this,{actionCommand:this.get("actionCommand")}))}}}),Echo.Button=Core.extend(Echo.AbstractButton,{$load:function(){Echo.ComponentFactory.registerType("Button",this),Echo.ComponentFactory.registerType("B",this)},componentType:"Button"}),Echo.ToggleButton=Core.extend(Echo.AbstractButton,{$load:function(){Echo.ComponentFactory.registerType("ToggleButton",this),Echo.ComponentFactory.registerType("TB",this)},$abstract:!0,componentType:"ToggleButton"}),Echo.CheckBox=Core.extend(Echo.ToggleButton,{$load:function(){Echo.ComponentFactory.registerType("CheckBox",this),Echo.ComponentFactory.registerType("CB",this)},componentType:"CheckBox"}),Echo.RadioButton=Core.extend(Echo.ToggleButton,{$load:function(){Echo.ComponentFactory.registerType("RadioButton",this),Echo.ComponentFactory.registerType("RB",this)},componentType:"RadioButton"}),Echo.AbstractListComponent=Core.extend(Echo.Component,{$abstract:!0,$load:function(){Echo.ComponentFactory.registerType("AbstractListComponent",this),Echo.ComponentFactory.registerType("LC",this)},componentType:"AbstractListComponent",focusable:!0,$virtual:{doAction:function(){return this.fireEvent(new Core.Event("action",this,{actionCommand:this.get("actionCommand")}))}}}),Echo.ListBox=Core.extend(Echo.AbstractListComponent,{$static:{SINGLE_SELECTION:0,MULTIPLE_SELECTION:2},$load:function(){Echo.ComponentFactory.registerType("ListBox",this),Echo.ComponentFactory.registerType("LB",this)},componentType:"ListBox"}),Echo.SelectField=Core.extend(Echo.AbstractListComponent,{$load:function(){Echo.ComponentFactory.registerType("SelectField",this),Echo.ComponentFactory.registerType("SF",this)},componentType:"SelectField"}),Echo.Column=Core.extend(Echo.Component,{$load:function(){Echo.ComponentFactory.registerType("Column",this),Echo.ComponentFactory.registerType("C",this)},componentType:"Column"}),Echo.Composite=Core.extend(Echo.Component,{$abstract:!0,$load:function(){Echo.ComponentFactory.registerType("Composite",this),Echo.ComponentFactory.registerType("CM",this)},componentType:"Composite"}),Echo.Panel=Core.extend(Echo.Composite,{$load:function(){Echo.ComponentFactory.registerType("Panel",this),Echo.ComponentFactory.registerType("P",this)},componentType:"Panel"}),Echo.ContentPane=Core.extend(Echo.Component,{$static:{OVERFLOW_AUTO:0,OVERFLOW_HIDDEN:1,OVERFLOW_SCROLL:2},$load:function(){Echo.ComponentFactory.registerType("ContentPane",this),Echo.ComponentFactory.registerType("CP",this)},componentType:"ContentPane",pane:!0}),Echo.Grid=Core.extend(Echo.Component,{$static:{ORIENTATION_HORIZONTAL:0,ORIENTATION_VERTICAL:1,SPAN_FILL:-1},$load:function(){Echo.ComponentFactory.registerType("Grid",this),Echo.ComponentFactory.registerType("G",this)},componentType:"Grid"}),Echo.Label=Core.extend(Echo.Component,{$load:function(){Echo.ComponentFactory.registerType("Label",this),Echo.ComponentFactory.registerType("L",this)},componentType:"Label"}),Echo.Row=Core.extend(Echo.Component,{$load:function(){Echo.ComponentFactory.registerType("Row",this),Echo.ComponentFactory.registerType("R",this)},componentType:"Row"}),Echo.SplitPane=Core.extend(Echo.Component,{$static:{ORIENTATION_HORIZONTAL_LEADING_TRAILING:0,ORIENTATION_HORIZONTAL_TRAILING_LEADING:1,ORIENTATION_HORIZONTAL_LEFT_RIGHT:2,ORIENTATION_HORIZONTAL_RIGHT_LEFT:3,ORIENTATION_VERTICAL_TOP_BOTTOM:4,ORIENTATION_VERTICAL_BOTTOM_TOP:5,DEFAULT_SEPARATOR_POSITION:"50%",DEFAULT_SEPARATOR_SIZE_FIXED:0,DEFAULT_SEPARATOR_SIZE_RESIZABLE:4,DEFAULT_SEPARATOR_COLOR:"#3f3f4f",OVERFLOW_AUTO:0,OVERFLOW_HIDDEN:1,OVERFLOW_SCROLL:2},$load:function(){Echo.ComponentFactory.registerType("SplitPane",this),Echo.ComponentFactory.registerType("SP",this)},componentType:"SplitPane",pane:!0,getFocusOrder:function(){if(this.children.length<2)return null;switch(this.render("orientation")){case Echo.SplitPane.ORIENTATION_VERTICAL_BOTTOM_TOP:case Echo.SplitPane.ORIENTATION_HORIZONTAL_TRAILING_LEADING:return[1,0];case Echo.SplitPane.ORIENTATION_HORIZONTAL_LEFT_RIGHT:return this.getRenderLayoutDirection().isLeftToRight()?null:[1,0];case Echo.SplitPane.ORIENTATION_HORIZONTAL_RIGHT_LEFT:return this.getRenderLayoutDirection().isLeftToRight()?[1,0]:null;default:return null}}}),Echo.TextComponent=Core.extend(Echo.Component,{$abstract:!0,$static:{_addKeyProperties:function(e,t){t&&(e.key=t.key,e.code=t.code,e.altKey=t.altKey,e.ctrlKey=t.ctrlKey,e.metaKey=t.metaKey,e.shiftKey=t.shiftKey,e.repeat=t.repeat,e.isComposing=t.isComposing)}},$load:function(){Echo.ComponentFactory.registerType("TextComponent",this),Echo.ComponentFactory.registerType("TC",this)},$virtual:{doAction:function(){return this.fireEvent(new Core.Event("action",this,{actionCommand:this.get("actionCommand")}))},doKeyDown:function(e,t){var n={type:"keyDown",source:this,keyCode:e};return Echo.TextComponent._addKeyProperties(n,t),this.fireEvent(n),!n.veto},doKeyPress:function(e,t,n){var i={type:"keyPress",source:this,keyCode:e,charCode:t};return Echo.TextComponent._addKeyProperties(i,n),this.fireEvent(i),!i.veto}},componentType:"TextComponent",focusable:!0}),Echo.TextArea=Core.extend(Echo.TextComponent,{$load:function(){Echo.ComponentFactory.registerType("TextArea",this),Echo.ComponentFactory.registerType("TA",this)},componentType:"TextArea"}),Echo.TextField=Core.extend(Echo.TextComponent,{$load:function(){Echo.ComponentFactory.registerType("TextField",this),Echo.ComponentFactory.registerType("TF",this)},componentType:"TextField"}),Echo.PasswordField=Core.extend(Echo.TextField,{$load:function(){Echo.ComponentFactory.registerType("PasswordField",this),Echo.ComponentFactory.registerType("PF",this)},componentType:"PasswordField"}),Echo.WindowPane=Core.extend(Echo.Component,{$load:function(){Echo.ComponentFactory.registerType("WindowPane",this),Echo.ComponentFactory.registerType("WP",this)},$static:{DEFAULT_RESOURCE_TIMEOUT:300,DEFAULT_BORDER:{color:"#36537a",borderInsets:20,contentInsets:3},DEFAULT_BACKGROUND:"#ffffff",DEFAULT_FOREGROUND:"#000000",DEFAULT_CONTROLS_INSETS:4,DEFAULT_CONTROLS_SPACING:4,DEFAULT_HEIGHT:"15em",DEFAULT_MINIMUM_WIDTH:100,DEFAULT_MINIMUM_HEIGHT:100,DEFAULT_TITLE_BACKGROUND:"#becafe",DEFAULT_TITLE_HEIGHT:30,DEFAULT_TITLE_INSETS:"5px 10px",DEFAULT_WIDTH:"30em"},componentType:"WindowPane",modalSupport:!0,floatingPane:!0,pane:!0,focusable:!0,_preMaximizedState:null,userClose:function(){this.fireEvent({type:"close",source:this})},userMaximize:function(){"100%"==this.render("width")&&"100%"==this.render("height")?this._preMaximizedState&&(this.set("width",this._preMaximizedState.width),this.set("height",this._preMaximizedState.height),this.set("positionX",this._preMaximizedState.x),this.set("positionY",this._preMaximizedState.y)):(this._preMaximizedState={x:this.get("positionX"),y:this.get("positionY"),width:this.get("width"),height:this.get("height")},this.set("width","100%"),this.set("height","100%")),this.fireEvent({type:"maximize",source:this})},userMinimize:function(){this.fireEvent({type:"minimize",source:this})}}),Echo.Render={PEER_INTERFACE:{$name:"Peer",renderAdd:0,renderDispose:0,renderUpdate:0},_loadedPeerCount:0,_log:Core.Log.getLogger("Echo.Render"),_nextPeerId:0,_peers:{},_disposedComponents:null,_componentDepthArraySort:function(e,t){return Echo.Render._getComponentDepth(e.parent)-Echo.Render._getComponentDepth(t.parent)},_doRenderDisplay:function(e,t){for(var n,i=e,r=i.parent;r;){if(r.peer.isChildVisible&&!r.peer.isChildVisible(i))return;i=r,r=r.parent}if(t)Echo.Render._doRenderDisplayImpl(e);else if(e.peer.isChildVisible)for(n=0;n<e.children.length;++n)e.peer.isChildVisible(e.children[n])&&Echo.Render._doRenderDisplayImpl(e.children[n]);else for(n=0;n<e.children.length;++n)Echo.Render._doRenderDisplayImpl(e.children[n])},_doRenderDisplayImpl:function(e){var t;if(e.peer)if(e.peer.renderDisplay&&e.peer.renderDisplay(),e.peer.displayed=!0,e.peer.isChildVisible)for(t=0;t<e.children.length;++t)e.peer.isChildVisible(e.children[t])&&Echo.Render._doRenderDisplayImpl(e.children[t]);else for(t=0;t<e.children.length;++t)Echo.Render._doRenderDisplayImpl(e.children[t])},_getComponentDepth:function(e){for(var t=-1;null!=e;)e=e.parent,++t;return t},_loadPeer:function(e,t){if(!t.peer){var n=Echo.Render._peers[t.componentType];if(!n)throw new Error("Peer not found for: "+t.componentType);var i=new n;if(!(i instanceof Echo.Render.ComponentSync||Core.implementsInterface(i,Echo.Render.PEER_INTERFACE)))throw new Error("Peer for "+t.componentType+" does not implement peer interface: "+Core._getInterfaceViolation(i,Echo.Render.PEER_INTERFACE));++this._loadedPeerCount,t.peer=i,t.peer._peerId=this._nextPeerId++,t.peer.component=t,t.peer.client=e,i.delegatedEvents&&e._addDelegatedEvents(i.delegatedEvents)}},notifyResize:function(e){Echo.Render._doRenderDisplay(e,!1)},_processDispose:function(e){var t,n=e.getRemovedDescendants();if(n)for(t=0;t<n.length;++t)Echo.Render._renderComponentDisposeImpl(e,n[t]);if(n=e.getRemovedChildren())for(t=0;t<n.length;++t)Echo.Render._renderComponentDisposeImpl(e,n[t])},processUpdates:function(e){var t=e.application.updateManager;if(t.hasUpdates()){var n=Echo.Render._log,i=n.isEnabled(Core.Log.DEBUG),r=n.isEnabled(Core.Log.TRACE),o=i?(new Date).getTime():null,s=0,l=0;Echo.Render._disposedComponents={};var a,h,c,d=t.getUpdates();for(d.sort(Echo.Render._componentDepthArraySort),h=0;h<d.length;++h)d[h].renderContext={},null==(a=d[h].parent.peer)&&"Root"==d[h].parent.componentType&&Echo.Render._loadPeer(e,d[h].parent);for(h=d.length-1;h>=0;--h)null!=d[h]&&(a=d[h].parent.peer,Echo.Render._processDispose(d[h]));for(Echo.Client.profilingTimer&&Echo.Client.profilingTimer.mark("rem"),h=0;h<d.length;++h)if(null!=d[h]){if(a=d[h].parent.peer,r&&n.trace("Rendering update",{component:d[h].parent.renderId,componentType:d[h].parent.componentType}),a.renderUpdate(d[h]))for(++s,c=h+1;c<d.length;++c)null!=d[c]&&d[h].parent.isAncestorOf(d[c].parent)&&(d[c]=null);Echo.Render._setPeerDisposedState(d[h].parent,!1)}Echo.Client.profilingTimer&&Echo.Client.profilingTimer.mark("up");var u=[];for(h=0;h<d.length;++h)if(null!=d[h]){var p=!1;for(c=0;c<u.length;++c)if(u[c].isAncestorOf(d[h].parent)){p=!0;break}if(!p)if(d[h].renderContext.displayRequired)for(c=0;c<d[h].renderContext.displayRequired.length;++c)u.push(d[h].renderContext.displayRequired[c]),Echo.Render._doRenderDisplay(d[h].renderContext.displayRequired[c],!0);else u.push(d[h].parent),Echo.Render._doRenderDisplay(d[h].parent,!0)}for(var _ in Echo.Client.profilingTimer&&Echo.Client.profilingTimer.mark("disp"),Echo.Render._disposedComponents){var f=Echo.Render._disposedComponents[_];Echo.Render._unloadPeer(f),++l}Echo.Render._disposedComponents=null,t.purge(),Echo.Render.updateFocus(e),i&&n.debug("Processed updates",{updates:d.length,fullRenders:s,unloadedPeers:l,duration:(new Date).getTime()-o})}},registerPeer:function(e,t){if(this._peers[e])throw new Error("Peer already registered: "+e);this._peers[e]=t},renderComponentAdd:function(e,t,n){if(!t.parent||!t.parent.peer||!t.parent.peer.client)throw new Error("Cannot find reference to the Client with which this component should be associated: cannot load peer.  This is due to the component's parent's peer not being associated with a Client. Component = "+t+", Parent = "+t.parent+", Parent Peer = "+(t.parent?t.parent.peer:"N/A")+", Parent Peer Client = "+(t.parent&&t.parent.peer?t.parent.peer.client:"N/A"));Echo.Render._loadPeer(t.parent.peer.client,t),Echo.Render._setPeerDisposedState(t,!1),t.peer.renderAdd(e,n)},renderComponentDisplay:function(e){this._doRenderDisplay(e,!0)},renderComponentDispose:function(e,t){this._renderComponentDisposeImpl(e,t)},_renderComponentDisposeImpl:function(e,t){if(t.peer&&!t.peer.disposed){Echo.Render._setPeerDisposedState(t,!0),t.peer.renderDispose(e);for(var n=0;n<t.children.length;++n)Echo.Render._renderComponentDisposeImpl(e,t.children[n])}},renderComponentHide:function(e){if(e.peer&&!e.peer.disposed&&e.peer.displayed){e.peer.renderHide&&e.peer.renderHide(),e.peer.displayed=!1;for(var t=0;t<e.children.length;++t)Echo.Render.renderComponentHide(e.children[t])}},_setPeerDisposedState:function(e,t){t?(e.peer.disposed=!0,Echo.Render._disposedComponents[e.peer._peerId]=e):(e.peer.disposed=!1,delete Echo.Render._disposedComponents[e.peer._peerId])},_unloadPeer:function(e){e.peer.client=null,e.peer.component=null,e.peer=null,--this._loadedPeerCount},updateFocus:function(e){var t=e.application.getFocusedComponent();if(t&&t.peer){if(!t.peer.renderFocus)throw new Error("Cannot focus component: "+t+", peer does not provide renderFocus() implementation.");t.peer.renderFocus()}else Core.Web.DOM.focusElement(null)}},Echo.Render.ComponentSync=Core.extend({$implements:[Echo.Render.PEER_INTERFACE],$static:{FOCUS_PERMIT_ARROW_UP:1,FOCUS_PERMIT_ARROW_DOWN:2,FOCUS_PERMIT_ARROW_LEFT:4,FOCUS_PERMIT_ARROW_RIGHT:8,FOCUS_PERMIT_ARROW_ALL:15,SIZE_HEIGHT:1,SIZE_WIDTH:2},_peerId:null,client:null,component:null,displayed:!1,disposed:!1,$construct:function(){},$abstract:{renderAdd:function(e,t){},renderDispose:function(e){},renderUpdate:function(e){}},$virtual:{clientKeyDown:null,clientKeyPress:null,clientKeyUp:null,delegatedEvents:null,getFocusFlags:null,getPreferredSize:null,isChildVisible:null,renderFocus:null,renderHide:null,renderDisplay:null}}),Echo.Render.RootSync=Core.extend(Echo.Render.ComponentSync,{$load:function(){Echo.Render.registerPeer("Root",this)},renderAdd:function(e,t){throw new Error("Unsupported operation: renderAdd().")},_renderContent:function(e){Echo.Render.renderComponentDispose(e,e.parent),Core.Web.DOM.removeAllChildren(this.client.domainElement);for(var t=0;t<e.parent.children.length;++t)Echo.Render.renderComponentAdd(e,e.parent.children[t],this.client.domainElement)},renderDispose:function(e){},renderUpdate:function(e){var t,n=!1;if(e.fullRefresh||e.hasAddedChildren()||e.hasRemovedChildren()){Echo.Sync.renderComponentDefaults(this.component,this.client.domainElement);var i=this.component.render("title");i&&(document.title=i),this._renderContent(e),n=!0}else this.client.domainElement.dir=this.client.application.getLayoutDirection().isLeftToRight()?"ltr":"rtl",e.hasUpdatedProperties()&&((t=e.getUpdatedProperty("title"))&&(document.title=t.newValue),(t=e.getUpdatedProperty("background"))&&Echo.Sync.Color.renderClear(t.newValue,this.client.domainElement,"backgroundColor"),(t=e.getUpdatedProperty("foreground"))&&Echo.Sync.Color.renderClear(t.newValue,this.client.domainElement,"foreground"),(t=e.getUpdatedProperty("font"))&&Echo.Sync.Font.renderClear(t.newValue,this.client.domainElement),Echo.Sync.LayoutDirection.render(this.component.getLayoutDirection(),this.client.domainElement));return n}}),Echo.Sync={getEffectProperty:function(e,t,n,i,r,o){var s;return i&&(s=e.render(n,o)),s||(s=e.render(t,r)),s},renderComponentDefaults:function(e,t){var n;(n=e.render("foreground"))&&(n=Echo.Sync.Color.toTransparent(n),t.style.color=n),(n=e.render("background"))&&(n=Echo.Sync.Color.toTransparent(n),t.style.backgroundColor=n);var i=e.render("font");i&&Echo.Sync.Font.render(i,t),e.getLayoutDirection()&&(t.dir=e.getLayoutDirection().isLeftToRight()?"ltr":"rtl")}},Echo.Sync.Alignment={_HORIZONTALS:{left:!0,center:!0,right:!0,leading:!0,trailing:!0},_VERTICALS:{top:!0,middle:!0,bottom:!0},getRenderedHorizontal:function(e,t){if(null==e)return null;var n=t?t.getRenderLayoutDirection():Echo.LayoutDirection.LTR,i="object"==typeof e?e.horizontal:e;switch(i){case"leading":return n.isLeftToRight()?"left":"right";case"trailing":return n.isLeftToRight()?"right":"left";default:return i in this._HORIZONTALS?i:null}},getHorizontal:function(e){return null==e?null:e in this._HORIZONTALS?e:null},getVertical:function(e){return null==e?null:e in this._VERTICALS?e:null},render:function(e,t,n,i){if(null!=e){var r,o,s=Echo.Sync.Alignment.getRenderedHorizontal(e,i),l="object"==typeof e?e.vertical:e;switch(s){case"left":r="left";break;case"center":r="center";break;case"right":r="right";break;default:r=""}switch(l){case"top":o="top";break;case"middle":o="middle";break;case"bottom":o="bottom";break;default:o=""}n?(t.align=r,t.vAlign=o):(t.style.textAlign=r,t.style.verticalAlign=o)}}},Echo.Sync.Border={_PARSER_PX:new RegExp("^(-?\\d+px)?(?:^|$|(?= )) ?(none|hidden|dotted|dashed|solid|double|groove|ridge|inset|outset)?(?:^|$|(?= )) ?(#[0-9a-fA-F]{6})?$"),_PARSER:new RegExp("^(-?\\d+(?:\\.\\d*)?(?:px|pt|pc|cm|mm|in|em|ex))?(?:^|$|(?= )) ?(none|hidden|dotted|dashed|solid|double|groove|ridge|inset|outset)?(?:^|$|(?= )) ?(#[0-9a-fA-F]{6})?$"),_TEST_EXTENT_PX:/^-?\d+px$/,compose:function(e,t,n){"number"==typeof e&&(e+="px");var i=[];return e&&i.push(e),t&&i.push(t),n&&i.push(n),i.join(" ")},isMultisided:function(e){return!(!e||!(e.top||e.bottom||e.left||e.right))},parse:function(e){if(!e)return{};if("string"==typeof e){var t=this._PARSER.exec(e);return{size:t[1],style:t[2],color:t[3]}}return Echo.Sync.Border.parse(e.top||e.right||e.bottom||e.left)},render:function(e,t,n){if(e)if(n=n||"border","string"==typeof e)if(this._PARSER_PX.test(e))t.style[n]=e;else{var i=this._PARSER.exec(e);if(null==i)throw new Error('Invalid border: "'+e+'"');this.render(Echo.Sync.Extent.toPixels(i[1])+"px "+i[2]+" "+i[3],t,n)}else this.render(e.top,t,n+"Top"),null!==e.right&&this.render(e.right||e.top,t,n+"Right"),null!==e.bottom&&this.render(e.bottom||e.top,t,n+"Bottom"),null!==e.left&&this.render(e.left||e.right||e.top,t,n+"Left")},renderClear:function(e,t){e?(e instanceof Object&&(t.style.border=""),this.render(e,t)):t.style.border=""},getPixelSize:function(e,t){if(!e)return 0;if("string"==typeof e){var n=this._PARSER.exec(e)[1];return null==n?0:this._TEST_EXTENT_PX.test(n)?parseInt(n,10):Echo.Sync.Extent.toPixels(n)}if("object"==typeof e)for(;;){var i=this.getPixelSize(e[t]);if(null==i)switch(t){case"left":t="right";continue;case"right":case"bottom":t="top";continue}return i}}},Echo.Sync.Color={adjust:function(e,t,n,i){var r=parseInt(e.substring(1),16),o=Math.floor(r/65536)+t,s=Math.floor(r/256)%256+n,l=r%256+i;return this.toHex(o,s,l)},blend:function(e,t,n){n=n<0?0:n>1?1:n;var i=parseInt(e.substring(1),16),r=parseInt(t.substring(1),16),o=Math.round(Math.floor(i/65536)*(1-n)+Math.floor(r/65536)*n),s=Math.round(Math.floor(i/256)%256*(1-n)+Math.floor(r/256)%256*n),l=Math.round(i%256*(1-n)+r%256*n);return this.toHex(o,s,l)},render:function(e,t,n){e&&(e=this.toTransparent(e),t.style[n]=e)},renderClear:function(e,t,n){t.style[n]=e||""},renderFB:function(e,t){var n;(n=e.render("foreground"))&&(n=this.toTransparent(n),t.style.color=n),(n=e.render("background"))&&(n=this.toTransparent(n),t.style.backgroundColor=n)},toHex:function(e,t,n){return e<0?e=0:e>255&&(e=255),t<0?t=0:t>255&&(t=255),n<0?n=0:n>255&&(n=255),"#"+(e<16?"0":"")+e.toString(16)+(t<16?"0":"")+t.toString(16)+(n<16?"0":"")+n.toString(16)},toTransparent:function(e){return-1==e||"#-1"==e||e&&"#transparent"==e.toLowerCase()?"transparent":e}},Echo.Sync.Extent={_PARSER:/^(-?\d+(?:\.\d+)?)(.+)?$/,_FORMATTED_INT_PIXEL_TEST:/^(-?\d+px *)$/,_FORMATTED_DECIMAL_PIXEL_TEST:/^(-?\d+(.\d+)?px *)$/,isPercent:function(e){if(null==e||"number"==typeof e)return!1;var t=this._PARSER.exec(e);return!!t&&"%"==t[2]},render:function(e,t,n,i,r){var o=Echo.Sync.Extent.toCssValue(e,i,r);""!==o&&(t.style[n]=o)},toCssValue:function(e,t,n){switch(typeof e){case"number":return Math.round(e)+"px";case"string":return this._FORMATTED_INT_PIXEL_TEST.test(e)?e:this._FORMATTED_DECIMAL_PIXEL_TEST.test(e)?Math.round(parseFloat(e))+"px":this.isPercent(e)?n?e:"":null==this.toPixels(e,t)?"":this.toPixels(e,t)+"px"}return""},toPixels:function(e,t){return null==e?0:"number"==typeof e?Math.round(e):Math.round(Core.Web.Measure.extentToPixels(e,t))}},Echo.Sync.FillImage={_REPEAT_VALUES:{0:"no-repeat",x:"repeat-x",y:"repeat-y",xy:"repeat","no-repeat":"no-repeat","repeat-x":"repeat-x","repeat-y":"repeat-y",repeat:"repeat"},FLAG_ENABLE_IE_PNG_ALPHA_FILTER:1,getPosition:function(e){return e.x||e.y?(Echo.Sync.Extent.isPercent(e.x)?e.x:Echo.Sync.Extent.toPixels(e.x,!0)+"px")+" "+(Echo.Sync.Extent.isPercent(e.y)?e.y:Echo.Sync.Extent.toPixels(e.y,!1)+"px"):null},getRepeat:function(e){return this._REPEAT_VALUES[e.repeat]?this._REPEAT_VALUES[e.repeat]:null},getUrl:function(e){return null==e?null:"object"==typeof e?e.url:e},render:function(e,t,n){if(null!=e){var i="object"==typeof e,r=i?e.url:e;if(Core.Web.Env.QUIRK_IE_SECURE_ITEMS&&"https:"==document.location.protocol&&"http:"!=r.substring(0,5)&&"https:"!=r.substring(0,6)&&(r=document.location.protocol+"//"+document.location.hostname+(document.location.port?":"+document.location.port:"")+r),Core.Web.Env.PROPRIETARY_IE_PNG_ALPHA_FILTER_REQUIRED&&n&&n&this.FLAG_ENABLE_IE_PNG_ALPHA_FILTER?t.style.filter="progid:DXImageTransform.Microsoft.AlphaImageLoader(src='"+r+"', sizingMethod='scale')":t.style.backgroundImage="url("+r+")",i){var o=Echo.Sync.FillImage.getPosition(e);t.style.backgroundPosition=o||"",t.style.backgroundRepeat=this._REPEAT_VALUES[e.repeat]?this._REPEAT_VALUES[e.repeat]:""}}},renderClear:function(e,t,n){e?this.render(e,t,n):(Core.Web.Env.PROPRIETARY_IE_PNG_ALPHA_FILTER_REQUIRED&&(t.style.filter=""),t.style.backgroundImage="",t.style.backgroundPosition="",t.style.backgroundRepeat="")}},Echo.Sync.FillImageBorder={_NAMES:["top","topRight","right","bottomRight","bottom","bottomLeft","left","topLeft"],_MAP:[[0,0,0,0,0,0,0,0],[1,0,0,0,0,0,0,0],[0,0,1,0,0,0,0,0],[1,1,1,0,0,0,0,0],[0,0,0,0,1,0,0,0],[1,0,0,0,1,0,0,0],[0,0,1,1,1,0,0,0],[1,1,1,1,1,0,0,0],[0,0,0,0,0,0,1,0],[1,0,0,0,0,0,1,1],[0,0,1,0,0,0,1,0],[1,1,1,0,0,0,1,1],[0,0,0,0,1,1,1,0],[1,0,0,0,1,1,1,1],[0,0,1,1,1,1,1,0],[1,1,1,1,1,1,1,1]],_PROTOTYPES:[],_createSegment:function(e,t){var n=document.createElement("div");n.style.cssText="font-size:1px;line-height:0;position:absolute;"+t,e.appendChild(n)},_createPrototype:function(e){var t=document.createElement("div");return Core.Web.Env.QUIRK_IE_HAS_LAYOUT&&(t.style.zoom=1),1&e&&(this._createSegment(t,"top:0;"),2&e&&this._createSegment(t,"top:0;right:0;")),2&e&&(this._createSegment(t,"right:0;"),4&e&&this._createSegment(t,"bottom:0;right:0;")),4&e&&(this._createSegment(t,"bottom:0;"),8&e&&this._createSegment(t,"bottom:0;left:0;")),8&e&&(this._createSegment(t,"left:0;"),1&e&&this._createSegment(t,"top:0;left:0;")),t},getBorder:function(e){for(var t=[],n=e.firstChild;n;)null!=n.__FIB_segment&&(t[n.__FIB_segment]=n),n=n.nextSibling;return t},getContainerContent:function(e){if(!e.__FIB_hasContent)return null;for(var t=e.firstChild;t;){if(t.__FIB_content)return t;t=t.nextSibling}return null},renderContainer:function(e,t){e=e||{},t=t||{};var n,i,r,o,s,l,a=Echo.Sync.Insets.toPixels(e.borderInsets),h=(a.left&&8)|(a.bottom&&4)|(a.right&&2)|(a.top&&1),c=this._MAP[h],d=this._PROTOTYPES[h]?this._PROTOTYPES[h]:this._PROTOTYPES[h]=this._createPrototype(h),u=null,p=[],_=null;if(t.update){for(i=(n=t.update).firstChild;i;)l=i,i=i.nextSibling,null!=l.__FIB_segment&&(_=i,n.removeChild(l)),l.__FIB_content&&(u=l);for(i=d.firstChild;i;)r=i.cloneNode(!0),o||(o=r),_?n.insertBefore(r,_):n.appendChild(r),i=i.nextSibling}else o=(n=d.cloneNode(!0)).firstChild,(t.content||t.child)&&((u=document.createElement("div")).__FIB_content=!0,t.child&&u.appendChild(t.child),n.__FIB_hasContent=!0,n.appendChild(u)),t.absolute?(n.__FIB_absolute=!0,n.style.position="absolute"):(n.style.position="relative",u&&(u.style.position="relative",Core.Web.Env.QUIRK_IE_HAS_LAYOUT&&(u.style.zoom=1)));for(n.__key=h,i=o,s=0;s<8;++s)c[s]&&(i.__FIB_segment=s,p[s]=i,e.color&&(i.style.backgroundColor=e.color),0===s||1===s||7===s?i.style.height=a.top+"px":s>=3&&s<=5&&(i.style.height=a.bottom+"px"),s>=1&&s<=3?i.style.width=a.right+"px":s>=5&&(i.style.width=a.left+"px"),Echo.Sync.FillImage.render(e[this._NAMES[s]],i,Echo.Sync.FillImage.FLAG_ENABLE_IE_PNG_ALPHA_FILTER),i=i.nextSibling);if(a.top&&(p[0].style.left=a.left+"px",p[0].style.right=a.right+"px"),a.right&&(p[2].style.top=a.top+"px",p[2].style.bottom=a.bottom+"px"),a.bottom&&(p[4].style.left=a.left+"px",p[4].style.right=a.right+"px"),a.left&&(p[6].style.top=a.top+"px",p[6].style.bottom=a.bottom+"px"),n.__FIB_absolute){if(u){var f=Echo.Sync.Insets.toPixels(e.contentInsets);u.style.position="absolute",u.style.overflow="auto",u.style.top=f.top+"px",u.style.right=f.right+"px",u.style.bottom=f.bottom+"px",u.style.left=f.left+"px"}}else u&&Echo.Sync.Insets.render(e.contentInsets,u,"padding"),t.update||(n.style.position="relative",u&&(u.style.position="relative"));return n},renderContainerDisplay:function(e){var t;if(Core.Web.VirtualPosition.enabled){e.__FIB_absolute&&(Core.Web.VirtualPosition.redraw(e),(t=this.getContainerContent(e))&&Core.Web.VirtualPosition.redraw(t));for(var n=this.getBorder(e),i=0;i<8;i+=2)n[i]&&Core.Web.VirtualPosition.redraw(n[i])}}},Echo.Sync.Font={render:function(e,t){e&&(e.typeface&&(e.typeface instanceof Array?t.style.fontFamily=e.typeface.join(","):t.style.fontFamily=e.typeface),e.size&&(t.style.fontSize=Echo.Sync.Extent.toCssValue(e.size)),e.bold&&(t.style.fontWeight="bold"),e.italic&&(t.style.fontStyle="italic"),e.underline?t.style.textDecoration="underline":e.overline?t.style.textDecoration="overline":e.lineThrough&&(t.style.textDecoration="line-through"))},renderClear:function(e,t){e?(this.render(e,t),e.typeface||(t.style.fontFamily=""),e.underline||e.overline||e.lineThrough||(t.style.textDecoration=""),e.bold||(t.style.fontWeight=""),e.size||(t.style.fontSize=""),e.italic||(t.style.fontStyle="")):(t.style.fontFamily="",t.style.fontSize="",t.style.fontWeight="",t.style.fontStyle="",t.style.textDecoration="")}},Echo.Sync.ImageReference={getUrl:function(e){return e?"string"==typeof e?e:e.url:null},renderImg:function(e,t){e&&("string"==typeof e?t.src=e:(t.src=e.url,e.width&&(t.style.width=Echo.Sync.Extent.toCssValue(e.width,!0)),e.height&&(t.style.height=Echo.Sync.Extent.toCssValue(e.height,!1))))}},Echo.Sync.Insets={_FORMATTED_PIXEL_INSETS:/^(-?\d+px *){1,4}$/,_ZERO:{top:0,right:0,bottom:0,left:0},_INDEX_MAPS:{1:[0,0,0,0],2:[0,1,0,1],3:[0,1,2,1],4:[0,1,2,3]},render:function(e,t,n){switch(typeof e){case"number":t.style[n]=Math.round(e)+"px";break;case"string":if(this._FORMATTED_PIXEL_INSETS.test(e))t.style[n]=e;else{var i=this.toPixels(e);t.style[n]=i.top+"px "+i.right+"px "+i.bottom+"px "+i.left+"px"}}},renderPosition:function(e,t){var n=this.toPixels(e);t.style.top=n.top+"px",t.style.right=n.right+"px",t.style.bottom=n.bottom+"px",t.style.left=n.left+"px"},toCssValue:function(e){switch(typeof e){case"number":return e+"px";case"string":if(this._FORMATTED_PIXEL_INSETS.test(e))return e;var t=this.toPixels(e);return t.top+"px "+t.right+"px "+t.bottom+"px "+t.left+"px"}return""},toPixels:function(e){if(null==e)return this._ZERO;if("number"==typeof e)return{top:e=Math.round(e),right:e,bottom:e,left:e};e=e.split(" ");var t=this._INDEX_MAPS[e.length];return{top:Echo.Sync.Extent.toPixels(e[t[0]],!1),right:Echo.Sync.Extent.toPixels(e[t[1]],!0),bottom:Echo.Sync.Extent.toPixels(e[t[2]],!1),left:Echo.Sync.Extent.toPixels(e[t[3]],!0)}}},Echo.Sync.LayoutDirection={render:function(e,t){e&&(t.dir=e.isLeftToRight()?"ltr":"rtl")}},Echo.Sync.TriCellTable=Core.extend({$static:{INVERTED:1,VERTICAL:2,LEADING_TRAILING:0,TRAILING_LEADING:1,TOP_BOTTOM:2,BOTTOM_TOP:3,_createTablePrototype:function(){var e=document.createElement("table");e.style.borderCollapse="collapse",e.style.padding="0";var t=document.createElement("tbody");return e.appendChild(t),e},getInvertedOrientation:function(e,t,n){return this.getOrientation(e,t,n)^this.INVERTED},getOrientation:function(e,t,n){var i=e.render(t,n);if(i){switch(Echo.Sync.Alignment.getRenderedHorizontal(i,e)){case"left":return this.LEADING_TRAILING;case"right":return this.TRAILING_LEADING}switch(Echo.Sync.Alignment.getVertical(i,e)){case"top":return this.TOP_BOTTOM;case"bottom":return this.BOTTOM_TOP}}return e.getRenderLayoutDirection().isLeftToRight()?this.TRAILING_LEADING:this.LEADING_TRAILING}},$load:function(){this._tablePrototype=this._createTablePrototype()},tableElement:null,tbodyElement:null,$construct:function(e,t,n,i){this.tableElement=Echo.Sync.TriCellTable._tablePrototype.cloneNode(!0),this.tbodyElement=this.tableElement.firstChild,null==n?this._configure2(e,t):this._configure3(e,t,n,i)},_addColumn:function(e,t){null!=t&&e.appendChild(t)},_addRow:function(e){if(null!=e){var t=document.createElement("tr");t.appendChild(e),this.tbodyElement.appendChild(t)}},_addSpacer:function(e,t,n){var i=document.createElement("div");i.style.cssText=n?"width:1px;height:"+t+"px;font-size:1px;line-height:0;":"width:"+t+"px;height:1px;font-size:1px;line-height:0;",e.appendChild(i)},_configure2:function(e,t){if(this.tdElements=[document.createElement("td"),document.createElement("td")],this.tdElements[0].style.padding="0",this.tdElements[1].style.padding="0",this.marginTdElements=[],t&&(this.marginTdElements[0]=document.createElement("td"),this.marginTdElements[0].style.padding="0",0===(e&Echo.Sync.TriCellTable.VERTICAL)?(this.marginTdElements[0].style.width=t+"px",this._addSpacer(this.marginTdElements[0],t,!1)):(this.marginTdElements[0].style.height=t+"px",this._addSpacer(this.marginTdElements[0],t,!0))),e&Echo.Sync.TriCellTable.VERTICAL)e&Echo.Sync.TriCellTable.INVERTED?(this._addRow(this.tdElements[1]),this._addRow(this.marginTdElements[0]),this._addRow(this.tdElements[0])):(this._addRow(this.tdElements[0]),this._addRow(this.marginTdElements[0]),this._addRow(this.tdElements[1]));else{var n=document.createElement("tr");e&Echo.Sync.TriCellTable.INVERTED?(this._addColumn(n,this.tdElements[1]),this._addColumn(n,this.marginTdElements[0]),this._addColumn(n,this.tdElements[0])):(this._addColumn(n,this.tdElements[0]),this._addColumn(n,this.marginTdElements[0]),this._addColumn(n,this.tdElements[1])),this.tbodyElement.appendChild(n)}},_configure3:function(e,t,n,i){this.tdElements=[];for(var r=0;r<3;++r)this.tdElements[r]=document.createElement("td"),this.tdElements[r].style.padding="0";if(this.marginTdElements=[],(t||null!=i)&&(t&&t>0&&(this.marginTdElements[0]=document.createElement("td"),e&Echo.Sync.TriCellTable.VERTICAL?(this.marginTdElements[0].style.height=t+"px",this._addSpacer(this.marginTdElements[0],t,!0)):(this.marginTdElements[0].style.width=t+"px",this._addSpacer(this.marginTdElements[0],t,!1))),null!=i&&i>0&&(this.marginTdElements[1]=document.createElement("td"),e&Echo.Sync.TriCellTable.VERTICAL?(this.marginTdElements[1].style.height=i+"px",this._addSpacer(this.marginTdElements[1],i,!0)):(this.marginTdElements[1].style.width=i+"px",this._addSpacer(this.marginTdElements[1],i,!1)))),e&Echo.Sync.TriCellTable.VERTICAL)if(n&Echo.Sync.TriCellTable.VERTICAL)n&Echo.Sync.TriCellTable.INVERTED&&(this._addRow(this.tdElements[2]),this._addRow(this.marginTdElements[1])),e&Echo.Sync.TriCellTable.INVERTED?(this._addRow(this.tdElements[1]),this._addRow(this.marginTdElements[0]),this._addRow(this.tdElements[0])):(this._addRow(this.tdElements[0]),this._addRow(this.marginTdElements[0]),this._addRow(this.tdElements[1])),n&Echo.Sync.TriCellTable.INVERTED||(this._addRow(this.marginTdElements[1]),this._addRow(this.tdElements[2]));else{var o=t&&t>0?3:2;this.tdElements[2].rowSpan=o,this.marginTdElements[1]&&(this.marginTdElements[1].rowSpan=o);var s=document.createElement("tr");n&Echo.Sync.TriCellTable.INVERTED?(this._addColumn(s,this.tdElements[2]),this._addColumn(s,this.marginTdElements[1]),e&Echo.Sync.TriCellTable.INVERTED?this._addColumn(s,this.tdElements[1]):this._addColumn(s,this.tdElements[0])):(e&Echo.Sync.TriCellTable.INVERTED?this._addColumn(s,this.tdElements[1]):this._addColumn(s,this.tdElements[0]),this._addColumn(s,this.marginTdElements[1]),this._addColumn(s,this.tdElements[2])),this.tbodyElement.appendChild(s),this._addRow(this.marginTdElements[0]),e&Echo.Sync.TriCellTable.INVERTED?this._addRow(this.tdElements[0]):this._addRow(this.tdElements[1])}else if(n&Echo.Sync.TriCellTable.VERTICAL){var l=t?3:2;this.tdElements[2].setAttribute("colspan",l),null!=this.marginTdElements[1]&&this.marginTdElements[1].setAttribute("colspan",l),n&Echo.Sync.TriCellTable.INVERTED&&(this._addRow(this.tdElements[2]),this._addRow(this.marginTdElements[1])),s=document.createElement("tr"),0===(e&Echo.Sync.TriCellTable.INVERTED)?(this._addColumn(s,this.tdElements[0]),this._addColumn(s,this.marginTdElements[0]),this._addColumn(s,this.tdElements[1])):(this._addColumn(s,this.tdElements[1]),this._addColumn(s,this.marginTdElements[0]),this._addColumn(s,this.tdElements[0])),this.tbodyElement.appendChild(s),n&Echo.Sync.TriCellTable.INVERTED||(this._addRow(this.marginTdElements[1]),this._addRow(this.tdElements[2]))}else s=document.createElement("tr"),n&Echo.Sync.TriCellTable.INVERTED&&(this._addColumn(s,this.tdElements[2]),this._addColumn(s,this.marginTdElements[1])),e&Echo.Sync.TriCellTable.INVERTED?(this._addColumn(s,this.tdElements[1]),this._addColumn(s,this.marginTdElements[0]),this._addColumn(s,this.tdElements[0])):(this._addColumn(s,this.tdElements[0]),this._addColumn(s,this.marginTdElements[0]),this._addColumn(s,this.tdElements[1])),n&Echo.Sync.TriCellTable.INVERTED||(this._addColumn(s,this.marginTdElements[1]),this._addColumn(s,this.tdElements[2])),this.tbodyElement.appendChild(s)}}),Echo.Serial={_translatorMap:{},_translatorTypeData:[],addPropertyTranslator:function(e,t){this._translatorMap[e]=t},addPropertyTranslatorByType:function(e,t){this._translatorTypeData.push(e,t)},getPropertyTranslator:function(e){return this._translatorMap[e]},getPropertyTranslatorByType:function(e){for(var t=0;t<this._translatorTypeData.length;t+=2)if(this._translatorTypeData[t]==e)return this._translatorTypeData[t+1];return null},loadComponent:function(e,t,n,i){if("c"==!t.nodeName)throw new Error("Element is not a component.");for(var r=t.getAttribute("t"),o=t.getAttribute("i"),s=Echo.ComponentFactory.newInstance(r,o),l=s.getLocalStyleData(),a=t.firstChild;a;){if(1==a.nodeType)switch(a.nodeName){case"c":var h=this.loadComponent(e,a,n,i);s.add(h);break;case"p":this.loadProperty(e,a,s,l,n);break;case"s":s.setStyleName(a.firstChild?a.firstChild.nodeValue:null);break;case"sr":s.setStyle(i?i[a.firstChild.nodeValue]:null);break;case"e":this._loadComponentEvent(e,a,s);break;case"en":s.setEnabled("true"==a.firstChild.nodeValue);break;case"locale":s.setLocale(a.firstChild?a.firstChild.nodeValue:null);break;case"dir":s.setLayoutDirection(a.firstChild?"rtl"==a.firstChild.nodeValue?Echo.LayoutDirection.RTL:Echo.LayoutDirection.LTR:null);break;case"f":a.getAttribute("n")&&(s.focusNextId=a.getAttribute("n")),a.getAttribute("p")&&(s.focusPreviousId=a.getAttribute("p"))}a=a.nextSibling}return s},_loadComponentEvent:function(e,t,n){if(e.addComponentListener){var i=t.getAttribute("t");e.addComponentListener(n,i)}},loadProperty:function(e,t,n,i,r){var o,s=t.getAttribute("n"),l=t.getAttribute("t"),a=t.getAttribute("x");if(l){var h=Echo.Serial._translatorMap[l];if(!h)throw new Error("Translator not available for property type: "+l);o=h.toProperty(e,t)}else if(r){var c=t.getAttribute("r");o=c?r[c]:Echo.Serial.String.toProperty(e,t)}else o=Echo.Serial.String.toProperty(e,t);if(s)if(i)if(null==a)i[s]=o;else{var d=i[s];d||(d=[],i[s]=d),d[a]=o}else null==a?n.set(s,o):n.setIndex(s,a,o);else{var u=t.getAttribute("m");null==a?n[u](o):n[u](a,o)}},loadStyleSheet:function(e,t,n){for(var i=new Echo.StyleSheet,r=t.firstChild;r;){if(1==r.nodeType&&"s"==r.nodeName){for(var o={},s=r.firstChild;s;)1==s.nodeType&&"p"==s.nodeName&&this.loadProperty(e,s,null,o,n),s=s.nextSibling;i.setStyle(r.getAttribute("n")||"",r.getAttribute("t"),o)}r=r.nextSibling}return i},storeProperty:function(e,t,n){if(null==n);else if("object"==typeof n){var i=null;if(!(i=n.className?this._translatorMap[n.className]:this.getPropertyTranslatorByType(n.constructor))||!i.toXml)return;i.toXml(e,t,n)}else t.appendChild(t.ownerDocument.createTextNode(n.toString()))}},Echo.Serial.PropertyTranslator=Core.extend({$abstract:!0,$static:{toProperty:function(e,t){return null},toXml:null}}),Echo.Serial.Null=Core.extend(Echo.Serial.PropertyTranslator,{$static:{toProperty:function(e,t){return null}},$load:function(){Echo.Serial.addPropertyTranslator("0",this)}}),Echo.Serial.Boolean=Core.extend(Echo.Serial.PropertyTranslator,{$static:{toProperty:function(e,t){return"true"==t.firstChild.data}},$load:function(){Echo.Serial.addPropertyTranslator("b",this)}}),Echo.Serial.Integer=Core.extend(Echo.Serial.PropertyTranslator,{$static:{toProperty:function(e,t){return parseInt(t.firstChild.data,10)}},$load:function(){Echo.Serial.addPropertyTranslator("i",this)}}),Echo.Serial.Number=Core.extend(Echo.Serial.PropertyTranslator,{$static:{toProperty:function(e,t){return parseFloat(t.firstChild.data)}},$load:function(){Echo.Serial.addPropertyTranslator("n",this)}}),Echo.Serial.String=Core.extend(Echo.Serial.PropertyTranslator,{$static:{toProperty:function(e,t){var n=t.firstChild;if(!n)return"";for(var i=n.data;n.nextSibling;)i+=(n=n.nextSibling).data;return i}},$load:function(){Echo.Serial.addPropertyTranslator("s",this)}}),Echo.Serial.Date=Core.extend(Echo.Serial.PropertyTranslator,{$static:{_expr:/(\d{4})\.(\d{2}).(\d{2})/,toProperty:function(e,t){var n=Echo.Serial.String.toProperty(e,t),i=this._expr.exec(n);return i?new Date(i[1],parseInt(i[2],10)-1,i[3]):null},toXml:function(e,t,n){t.appendChild(t.ownerDocument.createTextNode(n.getFullYear()+"."+(n.getMonth()+1)+"."+n.getDate()))}},$load:function(){Echo.Serial.addPropertyTranslator("d",this),Echo.Serial.addPropertyTranslatorByType(Date,this)}}),Echo.Serial.Map=Core.extend(Echo.Serial.PropertyTranslator,{$static:{toProperty:function(e,t){for(var n={},i=t.firstChild;i;)1==i.nodeType&&(Echo.Serial.loadProperty(e,i,null,n,null),i=i.nextSibling);return n}},$load:function(){Echo.Serial.addPropertyTranslator("m",this)}}),Echo.Serial.Alignment=Core.extend(Echo.Serial.PropertyTranslator,{$static:{_HORIZONTAL_MAP:{leading:"leading",trailing:"trailing",left:"left",center:"center",right:"right"},_VERTICAL_MAP:{top:"top",center:"middle",bottom:"bottom"},toProperty:function(e,t){var n=Core.Web.DOM.getChildElementByTagName(t,"a"),i=this._HORIZONTAL_MAP[n.getAttribute("h")],r=this._VERTICAL_MAP[n.getAttribute("v")];return i?r?{horizontal:i,vertical:r}:i:r||null}},$load:function(){Echo.Serial.addPropertyTranslator("Alignment",this),Echo.Serial.addPropertyTranslator("AL",this)}}),Echo.Serial.Border=Core.extend(Echo.Serial.PropertyTranslator,{$static:{toProperty:function(e,t){if(3==t.firstChild.nodeType)return t.firstChild.data;if(t.getAttribute("v"))return t.getAttribute("v");var n=Core.Web.DOM.getChildElementByTagName(t,"b"),i={},r=n.getAttribute("t");if(!r)throw new Error("Invalid multi-sided border: no sides set.");return i.top=r,(r=n.getAttribute("r"))&&(i.right=r,(r=n.getAttribute("b"))&&(i.bottom=r,(r=n.getAttribute("l"))&&(i.left=r))),i}},$load:function(){Echo.Serial.addPropertyTranslator("Border",this),Echo.Serial.addPropertyTranslator("BO",this)}}),Echo.Serial.FillImage=Core.extend(Echo.Serial.PropertyTranslator,{$static:{parseElement:function(e,t){var n=t.getAttribute("u");e.decompressUrl&&(n=e.decompressUrl(n));var i=t.getAttribute("r"),r=t.getAttribute("x"),o=t.getAttribute("y");return i||r||o?{url:n,repeat:i,x:r,y:o}:n},toProperty:function(e,t){var n=Core.Web.DOM.getChildElementByTagName(t,"fi");return this.parseElement(e,n)}},$load:function(){Echo.Serial.addPropertyTranslator("FillImage",this),Echo.Serial.addPropertyTranslator("FI",this)}}),Echo.Serial.FillImageBorder=Core.extend(Echo.Serial.PropertyTranslator,{$static:{_NAMES:["topLeft","top","topRight","left","right","bottomLeft","bottom","bottomRight"],_parseElement:function(e,t){for(var n={contentInsets:t.getAttribute("ci")?t.getAttribute("ci"):null,borderInsets:t.getAttribute("bi")?t.getAttribute("bi"):null,color:t.getAttribute("bc")},i=t.firstChild,r=0;i;)1==i.nodeType&&("fi"==i.nodeName?(n[this._NAMES[r]]=Echo.Serial.FillImage.parseElement(e,i),++r):"null-fi"==i.nodeName&&++r),i=i.nextSibling;if(0!==r&&8!=r)throw new Error("Invalid FillImageBorder image count: "+r);return n},toProperty:function(e,t){var n=Core.Web.DOM.getChildElementByTagName(t,"fib");return Echo.Serial.FillImageBorder._parseElement(e,n)}},$load:function(){Echo.Serial.addPropertyTranslator("FillImageBorder",this),Echo.Serial.addPropertyTranslator("FIB",this)}}),Echo.Serial.Font=Core.extend(Echo.Serial.PropertyTranslator,{$static:{toProperty:function(e,t){var n=Core.Web.DOM.getChildElementByTagName(t,"f"),i=Core.Web.DOM.getChildElementsByTagName(n,"tf"),r={};if(i.length>1){r.typeface=[];for(var o=0;o<i.length;++o)r.typeface[o]=i[o].firstChild.data}else 1==i.length&&(r.typeface=i[0].firstChild.data);var s=n.getAttribute("sz");return s&&(r.size=s),n.getAttribute("bo")&&(r.bold=!0),n.getAttribute("it")&&(r.italic=!0),n.getAttribute("un")&&(r.underline=!0),n.getAttribute("ov")&&(r.overline=!0),n.getAttribute("lt")&&(r.lineThrough=!0),r}},$load:function(){Echo.Serial.addPropertyTranslator("Font",this),Echo.Serial.addPropertyTranslator("F",this)}}),Echo.Serial.ImageReference=Core.extend(Echo.Serial.PropertyTranslator,{$static:{toProperty:function(e,t){var n;if(1==t.firstChild.nodeType){var i=t.firstChild;n=i.firstChild.data,e.decompressUrl&&(n=e.decompressUrl(n));var r=i.getAttribute("w");r=r||null;var o=i.getAttribute("h");return o=o||null,r||o?{url:n,width:r,height:o}:n}return n=t.firstChild.data,e.decompressUrl?e.decompressUrl(n):n}},$load:function(){Echo.Serial.addPropertyTranslator("ImageReference",this),Echo.Serial.addPropertyTranslator("I",this)}}),Echo.Serial.LayoutData=Core.extend(Echo.Serial.PropertyTranslator,{$static:{toProperty:function(e,t){for(var n={},i=t.firstChild;i;)1==i.nodeType&&"p"==i.nodeName&&Echo.Serial.loadProperty(e,i,null,n),i=i.nextSibling;return n}},$load:function(){Echo.Serial.addPropertyTranslator("LayoutData",this),Echo.Serial.addPropertyTranslator("L",this)}}),Echo.Client=Core.extend({$static:{DEFAULT_CONFIGURATION:{"StopError.Message":"This application has been stopped due to an error.","WaitIndicator.Text":"Please wait...","Action.Continue":"Continue","Action.Restart":"Restart Application"},STYLE_CRITICAL:0,STYLE_MESSAGE:1,_activeClients:[],_log:Core.Log.getLogger("Echo.Client"),_delegatedEventDomTypes:{focus:"focusin",blur:"focusout"},_domDelegatedEventTypes:{focusin:"focus",focusout:"blur"},_globalWindowResizeListener:function(e){for(var t=0;t<Echo.Client._activeClients.length;++t)Echo.Client._activeClients[t]._windowResizeListener(e)},windowId:null},$load:function(){Core.Web.DOM.addEventListener(window,"resize",this._globalWindowResizeListener,!1);var e=/EchoWindowId=([0-9a-f]*\.[0-9a-f]*);/i.exec(window.name||"");this.windowId=e&&e[1],this.windowId||(this.windowId=(new Date).getTime().toString(16)+"."+parseInt(4294967296*Math.random(),10).toString(16),window.name=(window.name||"")+";EchoWindowId="+this.windowId+";")},configuration:null,designMode:!1,domainElement:null,application:null,_lastInputRestrictionId:0,_inputRestrictionCount:0,_inputRestrictionListeners:null,_inputRescriptionMap:null,_keyFocusedComponentId:null,_lastKeyCode:null,_lastKey:null,_processKeyRef:null,_processDelegatedEventRef:null,_delegatedDomEventTypes:null,_elements:null,_waitIndicatorActive:!1,_processApplicationFocusRef:null,parent:null,_waitIndicator:null,_preWaitIndicatorDelay:500,_waitIndicatorRunnable:null,_failed:!1,$construct:function(){for(var e in this.configuration={},Echo.Client.DEFAULT_CONFIGURATION)this.configuration[e]=Echo.Client.DEFAULT_CONFIGURATION[e];this._inputRestrictionMap={},this._processKeyRef=Core.method(this,this._processKey),this._processDelegatedEventRef=Core.method(this,this._processDelegatedEvent),this._delegatedDomEventTypes={},this._elements=[],this._processApplicationFocusRef=Core.method(this,this._processApplicationFocus),this._waitIndicator=new Echo.Client.DefaultWaitIndicator,this._waitIndicatorRunnable=new Core.Web.Scheduler.MethodRunnable(Core.method(this,this._waitIndicatorActivate),this._preWaitIndicatorDelay,!1)},$abstract:!0,$virtual:{getResourceUrl:function(e,t){return this.parent?this.parent.getResourceUrl(e,t):null},verifyInput:function(e){return 0===this._inputRestrictionCount&&(e?e.isActive():this.application.isActive())},dispose:function(){this.configure(null,null),this._setWaitVisible(!1)}},addElement:function(e){for(var t in Core.Web.Event.add(e,"keypress",this._processKeyRef,!1),Core.Web.Event.add(e,"keydown",this._processKeyRef,!1),Core.Web.Event.add(e,"keyup",this._processKeyRef,!1),this._delegatedDomEventTypes)Core.Web.Event.add(e,t,this._processDelegatedEventRef,!1);this._elements.push(e)},_addDelegatedEvents:function(e){for(var t in e){var n=Echo.Client._delegatedEventDomTypes[t]||t;if(!this._delegatedDomEventTypes[n]){this._delegatedDomEventTypes[n]=!0;for(var i=0;i<this._elements.length;++i)Core.Web.Event.add(this._elements[i],n,this._processDelegatedEventRef,!1)}}},configure:function(e,t){this.application&&(Core.Arrays.remove(Echo.Client._activeClients,this),this.removeElement(this.domainElement),this.application.removeListener("focus",this._processApplicationFocusRef),this.application.doDispose(),this.application.client=null),this.application=e,this.domainElement=t,this.application&&(this.application.client=this,this.application.doInit(),this.application.addListener("focus",this._processApplicationFocusRef),this.addElement(this.domainElement),Echo.Client._activeClients.push(this))},createInputRestriction:function(){this._setWaitVisible(!0);var e=(++this._lastInputRestrictionId).toString();return++this._inputRestrictionCount,this._inputRestrictionMap[e]=!0,e},displayError:function(e,t,n,i,r,o){e=e||document.body;var s=this.createInputRestriction();this._setWaitVisible(!1);var l=document.createElement("div");l.style.cssText="position:absolute;z-index:32766;width:100%;height:100%;background-color:#000000;opacity:0.75",Core.Web.Env.PROPRIETARY_IE_OPACITY_FILTER_REQUIRED&&(l.style.filter="alpha(opacity=75)"),e.appendChild(l);var a=document.createElement("div");a.style.cssText="position:absolute;z-index:32767;width:100%;height:100%;overflow:hidden;",e.appendChild(a);var h=document.createElement("div");if(h.style.cssText="color:#ffffff;padding:20px 40px 0px;"+(o===Echo.Client.STYLE_MESSAGE?"border-bottom:4px solid #1f1faf;background-color:#1f1f5f":"border-bottom:4px solid #af1f1f;background-color:#5f1f1f"),t){var c=document.createElement("div");c.style.cssText="font-weight: bold; margin-bottom:20px;",c.appendChild(document.createTextNode(t)),h.appendChild(c)}if(n){var d=document.createElement("div");d.style.cssText="max-height:10em;overflow:auto;margin-bottom:20px;",d.appendChild(document.createTextNode(n)),h.appendChild(d)}if(a.appendChild(h),i){var u=document.createElement("div");u.tabIndex="0",u.style.cssText="margin-bottom:20px;cursor:pointer;font-weight:bold;padding:2px 10px;"+(o===Echo.Client.STYLE_MESSAGE?"border: 1px outset #2f2faf;background-color:#2f2faf;":"border: 1px outset #af2f2f;background-color:#af2f2f;"),u.appendChild(document.createTextNode(i)),h.appendChild(u);var p=Core.method(this,function(e){if("keypress"!=e.type||13==e.keyCode)try{Core.Web.DOM.removeEventListener(u,"click",p,!1),Core.Web.DOM.removeEventListener(u,"keypress",p,!1),a.parentNode.removeChild(a),l.parentNode.removeChild(l),this.removeInputRestriction(s)}finally{r&&r()}});Core.Web.DOM.addEventListener(u,"click",p,!1),Core.Web.DOM.addEventListener(u,"keypress",p,!1),Core.Web.DOM.focusElement(u)}var _=document.createElement("div");_.style.cssText="position:absolute;top:2px;right:8px;color:#ffffff;font-weight:bold;cursor:pointer;",_.appendChild(document.createTextNode("x")),Core.Web.DOM.addEventListener(_,"click",Core.method(this,function(){l.parentNode.removeChild(l),a.parentNode.removeChild(a)}),!1),a.appendChild(_)},exec:function(e,t){var n=this.createInputRestriction();Core.Web.Library.exec(e,Core.method(this,function(e){!e||e.success?(this.removeInputRestriction(n),t()):this.fail("Cannot install library: "+e.url+" Exception: "+e.ex)}))},getConfigurationMessage:function(e,t){var n=this.configuration[e];if(null==n)return null;try{return Core.ResourceBundle.formatMessage(n,t,this.application?this.application.getLocale():null)}catch(t){return Echo.Client._log.warn("Invalid configuration message",{key:e,ex:t}),n}},fail:function(e){if(!this._failed){this._failed=!0,Echo.Client._log.error("Client failed",{detail:e});var t=this.domainElement,n=this.getConfigurationMessage("StopError.Message",{detail:e}),i=this.getConfigurationMessage("Action.Restart");try{this.dispose()}finally{this.configuration["StopError.URI"]?window.location.href=this.configuration["StopError.URI"]:this.displayError(t,n,e,i,function(){window.location.reload()})}}},forceRedraw:function(){if(this.parent)this.parent.forceRedraw();else if(Core.Web.Env.QUIRK_IE_BLANK_SCREEN&&this.domainElement&&0===this.domainElement.offsetHeight){var e=document.documentElement.style.display||"";document.documentElement.style.display="none",document.documentElement.style.display=e}},getWaitIndicator:function(){return this._waitIndicator},_processApplicationFocus:function(e){var t=this.application.getFocusedComponent();t&&t.peer&&t.peer.renderFocus&&t.peer.renderFocus()},_processDelegatedEvent:function(e){if(!this.application)return!0;for(var t=Echo.Client._domDelegatedEventTypes[e.type]||e.type,n=e.registeredTarget,i=e.target;i;){if(i.id){var r=this.application.getComponentByRenderId(i.id);if(r&&r.peer&&r.peer.delegatedEvents&&r.peer.delegatedEvents[t]){e.registeredTarget=i;var o=r.peer[r.peer.delegatedEvents[t]](e);if(e.registeredTarget=n,!o)return!1}}if(i==n)break;i=i.parentNode}return!0},_processKey:function(e){var t,n,i="keyup"==e.type,r="keypress"==e.type,o=this.application.getFocusedComponent(),s=!0,l=null;if(r?(t=this._lastKey||Core.Web.Key.normalize(e),n=this._lastKeyCode):(t=Core.Web.Key.normalize(e),i||(this._lastKey=t),n=this._lastKeyCode=t.keyCode),!i){if(8==n){var a=e.target.nodeName?e.target.nodeName.toLowerCase():null;"input"!=a&&"textarea"!=a&&Core.Web.DOM.preventEventDefault(e)}else r||9!=n||(this.application.focusNext(e.shiftKey),Core.Web.DOM.preventEventDefault(e));if(!r&&!t.isComposing&&this.verifyInput()&&this.application.acceleratorManager.processKeyDown(n,e))return Core.Web.DOM.preventEventDefault(e),this._keyFocusedComponentId=null,!0;if(r&&Core.Web.Env.QUIRK_KEY_PRESS_FIRED_FOR_SPECIAL_KEYS&&!e.charCode)return!0}if(!o)return!0;if(i||r){if(this._keyFocusedComponentId!=o.renderId)return!0}else this._keyFocusedComponentId=o.renderId;for(var h=r?"clientKeyPress":i?"clientKeyUp":"clientKeyDown";o&&s;)o.peer&&o.peer[h]&&(l||(l={type:e.type,source:this,keyCode:n,key:t.key,code:t.code,altKey:t.altKey,ctrlKey:t.ctrlKey,metaKey:t.metaKey,shiftKey:t.shiftKey,repeat:t.repeat,isComposing:t.isComposing,normalizedKey:t,domEvent:e},r&&(l.charCode=Core.Web.Env.QUIRK_KEY_CODE_IS_CHAR_CODE?e.keyCode:e.charCode)),s=o.peer[h](l)),o=o.parent;return!0},processUpdates:function(){var e=null;try{e=this.createInputRestriction(),Echo.Render.processUpdates(this),this.removeInputRestriction(e),this.forceRedraw()}catch(e){var t={exception:e};throw e.lineNumber&&(t.lineNumber=e.lineNumber,t.evaluatedLineNumber=e.lineNumber-Core.Web.Library.evalLine),e.stack&&(t.stack=e.stack),Echo.Client._log.error("Exception during Client.processUpdates()",t),this.fail("Exception during Client.processUpdates(): "+e.message),e}},registerRestrictionListener:function(e,t){this._inputRestrictionListeners||(this._inputRestrictionListeners={}),this._inputRestrictionListeners[e.renderId]=t},removeInputRestriction:function(e){if(void 0!==this._inputRestrictionMap[e]&&(delete this._inputRestrictionMap[e],--this._inputRestrictionCount,0===this._inputRestrictionCount&&(this._setWaitVisible(!1),this._inputRestrictionListeners))){var t=this._inputRestrictionListeners;for(var n in this._inputRestrictionListeners=null,t)t[n]()}},restrictInputUntilSettled:function(e){var t=this.createInputRestriction(),n=Core.method(this,function(){this.removeInputRestriction(t)});return e.then(n,n),e},_setWaitVisible:function(e){e?this._waitIndicatorActive||(this._waitIndicatorActive=!0,Core.Web.Scheduler.add(this._waitIndicatorRunnable)):this._waitIndicatorActive&&(this._waitIndicatorActive=!1,Core.Web.Scheduler.remove(this._waitIndicatorRunnable),this._waitIndicator.deactivate(this),this.forceRedraw())},setWaitIndicator:function(e){this._waitIndicator&&(this._setWaitVisible(!1),this._waitIndicator.dispose&&this._waitIndicator.dispose(this)),this._waitIndicator=e},removeElement:function(e){for(var t in Core.Web.Event.remove(e,"keypress",this._processKeyRef,!1),Core.Web.Event.remove(e,"keydown",this._processKeyRef,!1),Core.Web.Event.remove(e,"keyup",this._processKeyRef,!1),this._delegatedDomEventTypes)Core.Web.Event.remove(e,t,this._processDelegatedEventRef,!1);Core.Arrays.remove(this._elements,e)},_waitIndicatorActivate:function(){this._waitIndicator.activate(this)},_windowResizeListener:function(e){this.application.rootComponent.peer&&Echo.Render.notifyResize(this.application.rootComponent)}}),Echo.Client.Timer=Core.extend({_times:null,_labels:null,$construct:function(){this._times=[(new Date).getTime()],this._labels=["Start"]},mark:function(e){this._times.push((new Date).getTime()),this._labels.push(e)},toString:function(){for(var e="",t=1;t<this._times.length;++t){var n=this._times[t]-this._times[t-1];e+=this._labels[t]+":"+n+" "}return e+="TOT:"+(this._times[this._times.length-1]-this._times[0])+"ms"}}),Echo.Client.WaitIndicator=Core.extend({$abstract:{activate:function(e){},deactivate:function(e){}},$virtual:{dispose:null}}),Echo.Client.DefaultWaitIndicator=Core.extend(Echo.Client.WaitIndicator,{$construct:function(){this._divElement=document.createElement("div"),this._divElement.style.cssText="display: none;z-index:32000;position:absolute;top:30px;right:30px;width:200px;padding:20px;border:1px outset #abcdef;background-color:#abcdef;color:#000000;text-align:center;",this._textNode=document.createTextNode(""),this._divElement.appendChild(this._textNode),this._fadeRunnable=new Core.Web.Scheduler.MethodRunnable(Core.method(this,this._tick),50,!0),document.body.appendChild(this._divElement)},activate:function(e){e.configuration["WaitIndicator.Background"]&&(this._divElement.style.backgroundColor=e.configuration["WaitIndicator.Background"],this._divElement.style.borderColor=e.configuration["WaitIndicator.Background"]),e.configuration["WaitIndicator.Foreground"]&&(this._divElement.style.color=e.configuration["WaitIndicator.Foreground"]),this._textNode.nodeValue=e.configuration["WaitIndicator.Text"],this._divElement.style.display="block",Core.Web.Scheduler.add(this._fadeRunnable),this._opacity=0},deactivate:function(e){this._divElement.style.display="none",Core.Web.Scheduler.remove(this._fadeRunnable)},dispose:function(e){this._divElement&&this._divElement.parentNode&&this._divElement.parentNode.removeChild(this._divElement),this._divElement=null,this._textNode=null},_tick:function(){++this._opacity;var e=1-Math.abs(this._opacity%40-20)/30;Core.Web.Env.PROPRIETARY_IE_OPACITY_FILTER_REQUIRED||(this._divElement.style.opacity=e)}}),Echo.FreeClient=Core.extend(Echo.Client,{_processUpdateRef:null,_doRenderRef:null,_resourcePaths:null,_renderPending:!1,$construct:function(e,t){Echo.Client.call(this),this._doRenderRef=Core.method(this,this._doRender),this._processUpdateRef=Core.method(this,this._processUpdate),this.configure(e,t),this._processUpdate()},addResourcePath:function(e,t){this._resourcePaths||(this._resourcePaths={}),this._resourcePaths[e]=t},dispose:function(){this.application.updateManager.removeUpdateListener(this._processUpdateRef),Echo.Render.renderComponentDispose(null,this.application.rootComponent),Echo.Client.prototype.dispose.call(this)},_doRender:function(){this.application&&(this.processUpdates(),this._renderPending=!1)},getResourceUrl:function(e,t){return this._resourcePaths&&this._resourcePaths[e]?this._resourcePaths[e]+t:Echo.Client.prototype.getResourceUrl.call(this,e,t)},init:function(){Core.Web.init(),this.application.updateManager.addUpdateListener(this._processUpdateRef)},loadStyleSheet:function(e,t){var n=Core.Web.Transport.create(e,"GET",null,null,t||{retries:2});n.addResponseListener(Core.method(this,this._processStyleSheet)),n.connect()},_processStyleSheet:function(e){if(!e.valid)throw new Error("Received invalid response from StyleSheet HTTP request"+(e.timeout?" (timed out).":e.aborted?" (aborted).":"."));var t=e.source.getResponseXml().documentElement,n=Echo.Serial.loadStyleSheet(this,t);this.application.setStyleSheet(n)},_processUpdate:function(e){this._renderPending||(this._renderPending=!0,Core.Web.Scheduler.run(this._doRenderRef))}}),Echo.Inspector=Core.extend({$static:{MAX_FORMAT_DEPTH:3,Z_INDEX:32767,_instances:[],formatValue:function(e,t){t=t||0;var n,i=[];if(null==e)return String(e);if(e instanceof Array){if(t>=Echo.Inspector.MAX_FORMAT_DEPTH)return"[...]";for(n=0;n<e.length;++n)i.push(Echo.Inspector.formatValue(e[n],t+1));return"["+i.join(", ")+"]"}if("object"==typeof e&&e.toString===Object.prototype.toString){if(t>=Echo.Inspector.MAX_FORMAT_DEPTH)return"{...}";for(n in e)"function"!=typeof e[n]&&i.push(n+": "+Echo.Inspector.formatValue(e[n],t+1));return"{"+i.join(", ")+"}"}return"string"==typeof e&&t>0?'"'+e+'"':String(e)},toggle:function(e){for(var t=null,n=0;n<this._instances.length;++n)if(this._instances[n].client==e){t=this._instances[n];break}return t||(t=new Echo.Inspector(e),this._instances.push(t)),t.toggle(),t}},client:null,selectedComponent:null,pickEnabled:!0,_div:null,_treeDiv:null,_detailDiv:null,_consoleDiv:null,_previousConsoleElement:null,_highlightElement:null,_highlightOutline:null,_refreshPending:!1,_processClickRef:null,_processComponentUpdateRef:null,$construct:function(e){this.client=e,this._processClickRef=Core.method(this,this._processClick),this._processComponentUpdateRef=Core.method(this,this._processComponentUpdate)},_createSection:function(e){var t=document.createElement("div");t.style.cssText="margin-bottom:6px;";var n=document.createElement("div");return n.style.cssText="font-weight:bold;border-bottom:1px solid #5f5f5f;margin-bottom:2px;",n.appendChild(document.createTextNode(e)),t.appendChild(n),t},_findComponent:function(e){for(;e&&e!=this.client.domainElement.parentNode;){if(e.id){var t=this.client.application.getComponentByRenderId(e.id);if(t)return t}e=e.parentNode}return null},_getPeerName:function(e){return Core.Reflect.getName(e.constructor)||Core.Reflect.findName(e.constructor,Echo,"Echo")||"(unnamed)"},dispose:function(){this.hide(),this.selectedComponent=null,Core.Arrays.remove(Echo.Inspector._instances,this)},hide:function(){this._div&&(this._setHighlight(null),Core.Web.DOM.removeEventListener(this.client.domainElement,"click",this._processClickRef,!0),this.client.application.removeListener("componentUpdate",this._processComponentUpdateRef),Core.Debug.consoleElement==this._consoleDiv&&(Core.Debug.consoleElement=this._previousConsoleElement),this._previousConsoleElement=null,this._div.parentNode.removeChild(this._div),this._div=this._treeDiv=this._detailDiv=this._consoleDiv=null)},isVisible:function(){return null!=this._div},_processClick:function(e){if(e=e||window.event,!this.pickEnabled)return!0;var t=e.target||e.srcElement;if(this._div&&Core.Web.DOM.isAncestorOf(this._div,t))return!0;var n=this._findComponent(t);return!n||(Core.Web.DOM.preventEventDefault(e),Core.Web.DOM.stopEventPropagation(e),this.select(n),!1)},_processComponentUpdate:function(e){this._refreshPending||(this._refreshPending=!0,Core.Web.Scheduler.run(Core.method(this,function(){this._refreshPending=!1,this.selectedComponent&&!this.selectedComponent.application&&(this.selectedComponent=null),this.refresh()})))},refresh:function(){this._div&&(this._renderTree(),this._renderDetail(),this._setHighlight(this.selectedComponent?document.getElementById(this.selectedComponent.renderId):null))},_render:function(){this._div=document.createElement("div"),this._div.style.cssText="position:fixed;top:0;right:0;bottom:0;width:400px;overflow:hidden;background-color:#1f1f1f;color:#dfdfdf;font:11px monospace;z-index:"+Echo.Inspector.Z_INDEX+";";var e=document.createElement("div");e.style.cssText="position:absolute;top:0;left:0;right:0;height:20px;padding:2px 4px;background-color:#3f3f3f;",e.appendChild(document.createTextNode("Inspector "));var t=document.createElement("input");t.type="checkbox",t.checked=this.pickEnabled,t.title="Select components by clicking on the application",t.onclick=Core.method(this,function(){this.pickEnabled=t.checked}),e.appendChild(t),e.appendChild(document.createTextNode("Pick "));var n=document.createElement("button");n.appendChild(document.createTextNode("Close")),n.onclick=Core.method(this,this.hide),e.appendChild(n),this._div.appendChild(e),this._treeDiv=document.createElement("div"),this._treeDiv.style.cssText="position:absolute;top:24px;left:0;right:0;height:30%;overflow:auto;border-bottom:1px solid #5f5f5f;",this._div.appendChild(this._treeDiv),this._detailDiv=document.createElement("div"),this._detailDiv.style.cssText="position:absolute;top:30%;left:0;right:0;bottom:20%;overflow:auto;padding:4px;margin-top:24px;border-bottom:1px solid #5f5f5f;",this._div.appendChild(this._detailDiv),this._consoleDiv=document.createElement("div"),this._consoleDiv.style.cssText="position:absolute;left:0;right:0;bottom:0;height:20%;overflow:auto;padding:4px;",this._div.appendChild(this._consoleDiv),document.body.appendChild(this._div)},_renderDetail:function(){var e=this.selectedComponent;if(Core.Web.DOM.removeAllChildren(this._detailDiv),e){var t=this.client.application.getStyleSheet(),n=e.getStyleName(),i=e._listenerList?e._listenerList.getListenerTypes():[];this._renderProperties("Component",{type:e.componentType,renderId:e.renderId,styleName:n,peer:e.peer?this._getPeerName(e.peer):"(not rendered)"}),this._renderProperties("Local Style",e.getLocalStyleData()),this._renderProperties("Style",e.getStyle()),this._renderProperties("Style Sheet",t?t.getRenderStyle(null!=n?n:"",e.componentType):null),this._renderProperties("Layout Data",e.get("layoutData")),this._renderProperties("Listeners",0===i.length?null:{types:i})}else this._detailDiv.appendChild(document.createTextNode("No component selected."))},_renderProperties:function(e,t){var n=this._createSection(e),i=!0;if(t)for(var r in t)if("function"!=typeof t[r]){var o=document.createElement("div");o.appendChild(document.createTextNode(r+": "+Echo.Inspector.formatValue(t[r]))),n.appendChild(o),i=!1}i&&n.appendChild(document.createTextNode("(none)")),this._detailDiv.appendChild(n)},_renderTree:function(){Core.Web.DOM.removeAllChildren(this._treeDiv),this._renderTreeNode(this.client.application.rootComponent,0)},_renderTreeNode:function(e,t){var n=document.createElement("div");n.style.cssText="cursor:pointer;white-space:nowrap;padding-left:"+(4+12*t)+"px;"+(e==this.selectedComponent?"background-color:#3f5f9f;":"");var i=e.componentType+" ["+e.renderId+"]";e.getStyleName()&&(i+=' "'+e.getStyleName()+'"'),n.appendChild(document.createTextNode(i)),n.onclick=Core.method(this,function(){this.select(e)}),this._treeDiv.appendChild(n);for(var r=0;r<e.children.length;++r)this._renderTreeNode(e.children[r],t+1)},select:function(e){this.selectedComponent=e,this.refresh()},_setHighlight:function(e){e!=this._highlightElement&&(this._highlightElement&&(this._highlightElement.style.outline=this._highlightOutline),this._highlightElement=e,e&&(this._highlightOutline=e.style.outline||"",e.style.outline="2px solid #ff7f00"))},show:function(){this._div||(this._render(),this._previousConsoleElement=Core.Debug.consoleElement,Core.Debug.consoleElement=this._consoleDiv,Core.Web.DOM.addEventListener(this.client.domainElement,"click",this._processClickRef,!0),this.client.application.addListener("componentUpdate",this._processComponentUpdateRef),this.refresh())},toggle:function(){this._div?this.hide():this.show()}}),Echo.Arc={},Echo.Arc.Application=Core.extend(Echo.Application,{arcSync:null,isActive:function(){return!!this.arcSync.component.isActive()&&Echo.Application.prototype.isActive.call(this)}}),Echo.Arc.Client=Core.extend(Echo.FreeClient,{arcSync:null,verifyInput:function(e,t){return!!this.arcSync.client.verifyInput(this.arcSync.component,t)&&Echo.FreeClient.prototype.verifyInput.call(this,e,t)}}),Echo.Arc.ComponentSync=Core.extend(Echo.Render.ComponentSync,{arcApplication:null,arcClient:null,baseComponent:null,_defaultDomainElement:null,_applicationFocusRef:null,$abstract:{createComponent:function(){}},$virtual:{getDomainElement:function(){return this._defaultDomainElement||(this._defaultDomainElement=document.createElement("div")),this._defaultDomainElement},_processApplicationFocus:function(e){e.source==this.component.application?e.newValue!=this.component&&this.arcApplication.setFocusedComponent(null):e.source==this.arcApplication&&e.newValue&&this.component.application.setFocusedComponent(this.component)},renderAdd:function(e,t){var n=this.getDomainElement();t.appendChild(n)},renderDisplay:function(){if(this.arcApplication){if(!this.baseComponent.peer)return;Echo.Render.renderComponentDisplay(this.baseComponent)}else{if(this.arcApplication=new Echo.Arc.Application,this.arcApplication.arcSync=this,this.arcApplication.setStyleSheet(this.client.application.getStyleSheet()),this.baseComponent=this.createComponent(),!this.baseComponent)throw new Error("Invalid base component: null");this.arcApplication.rootComponent.add(this.baseComponent),this.arcClient=new Echo.Arc.Client(this.arcApplication,this.getDomainElement()),this.arcClient.arcSync=this,this.arcClient.parent=this.client,this.arcClient.init(),this._applicationFocusRef=Core.method(this,this._processApplicationFocus),this.arcApplication.addListener("focus",this._applicationFocusRef),this.client.application.addListener("focus",this._applicationFocusRef)}},renderDispose:function(e){this._applicationFocusRef&&(this.arcApplication.removeListener("focus",this._applicationFocusRef),this.client.application.removeListener("focus",this._applicationFocusRef),this._applicationFocusRef=null),this.arcClient&&(this.arcClient.dispose(),this.arcClient=null),this.arcApplication&&(this.arcApplication.arcSync=null,this.arcApplication=null,this.baseComponent=null),this._defaultDomainElement=null},renderHide:function(){if(this.arcApplication){if(!this.baseComponent.peer)return;Echo.Render.renderComponentHide(this.baseComponent)}},renderUpdate:function(e){var t=this.getDomainElement(),n=t.parentNode;Echo.Render.renderComponentDispose(e,e.parent),n.removeChild(t),this.renderAdd(e,n)}}}),Echo.Arc.ChildContainer=Core.extend(Echo.Component,{$load:function(){Echo.ComponentFactory.registerType("ArcChildContainer",this)},componentType:"ArcChildContainer"}),Echo.Arc.ChildContainerPeer=Core.extend(Echo.Render.ComponentSync,{$load:function(){Echo.Render.registerPeer("ArcChildContainer",this)},renderAdd:function(e,t){this._div=document.createElement("div");var n=this.component.get("component");if(n){if(!n.parent||!n.parent.peer||!n.parent.peer.client)throw new Error("Invalid component: not part of registered hierarchy.");Echo.Render.renderComponentAdd(null,n,this._div)}t.appendChild(this._div)},renderDisplay:function(){var e=this.component.get("component");e&&Echo.Render.renderComponentDisplay(e)},renderDispose:function(e){var t=this.component.get("component");t&&Echo.Render.renderComponentDispose(null,t),this._div=null},renderUpdate:function(e){}}),Echo.Sync.ArrayContainer=Core.extend(Echo.Render.ComponentSync,{$abstract:{cellElementNodeName:null,renderChildLayoutData:function(e,t){}},$virtual:{prevFocusKey:null,prevFocusFlag:null,nextFocusKey:null,nextFocusFlag:null,invertFocusRtl:!1},element:null,containerElement:null,spacingPrototype:null,cellSpacing:null,_childIdToElementMap:null,clientKeyDown:function(e){switch(e.keyCode){case this.prevFocusKey:case this.nextFocusKey:var t=e.keyCode==this.prevFocusKey;this.invertFocusRtl&&!this.component.getRenderLayoutDirection().isLeftToRight()&&(t=!t);var n=this.client.application.getFocusedComponent();if(n&&n.peer&&n.peer.getFocusFlags){var i=n.peer.getFocusFlags();if(t&&i&this.prevFocusFlag||!t&&i&this.nextFocusFlag){var r=this.client.application.focusManager.findInParent(this.component,t);if(r)return this.client.application.setFocusedComponent(r),Core.Web.DOM.preventEventDefault(e.domEvent),!1}}}return!0},_renderAddChild:function(e,t,n){var i=document.createElement(this.cellElementNodeName);(this._childIdToElementMap[t.renderId]=i,Echo.Render.renderComponentAdd(e,t,i),this.renderChildLayoutData(t,i),null!=n)&&(n==(this.containerElement.childNodes.length>=3&&this.cellSpacing?(this.containerElement.childNodes.length+1)/2:this.containerElement.childNodes.length)&&(n=null));if(null!=n&&this.containerElement.firstChild){var r=this.cellSpacing?2*n:n,o=this.containerElement.childNodes[r];this.containerElement.insertBefore(i,o),this.cellSpacing&&this.containerElement.insertBefore(this.spacingPrototype.cloneNode(!1),o)}else this.cellSpacing&&this.containerElement.firstChild&&this.containerElement.appendChild(this.spacingPrototype.cloneNode(!1)),this.containerElement.appendChild(i)},renderAddChildren:function(e){this._childIdToElementMap={};for(var t=this.component.getComponentCount(),n=0;n<t;++n){var i=this.component.getComponent(n);this._renderAddChild(e,i)}},renderDispose:function(e){this.element=null,this.containerElement=null,this._childIdToElementMap=null,this.spacingPrototype=null},_renderRemoveChild:function(e,t){var n=this._childIdToElementMap[t.renderId];n&&(this.cellSpacing&&(n.previousSibling?this.containerElement.removeChild(n.previousSibling):n.nextSibling&&this.containerElement.removeChild(n.nextSibling)),this.containerElement.removeChild(n),delete this._childIdToElementMap[t.renderId])},renderUpdate:function(e){var t,n=!1;if(e.hasUpdatedProperties()||e.hasUpdatedLayoutDataChildren())n=!0;else{var i=e.getRemovedChildren();if(i)for(t=0;t<i.length;++t)this._renderRemoveChild(e,i[t]);var r=e.getAddedChildren();if(r)for(t=0;t<r.length;++t)this._renderAddChild(e,r[t],this.component.indexOf(r[t]))}if(n){var o=this.element,s=o.parentNode;Echo.Render.renderComponentDispose(e,e.parent),s.removeChild(o),this.renderAdd(e,s)}return n}}),Echo.Sync.Column=Core.extend(Echo.Sync.ArrayContainer,{$load:function(){Echo.Render.registerPeer("Column",this)},cellElementNodeName:"div",prevFocusKey:38,prevFocusFlag:Echo.Render.ComponentSync.FOCUS_PERMIT_ARROW_UP,nextFocusKey:40,nextFocusFlag:Echo.Render.ComponentSync.FOCUS_PERMIT_ARROW_DOWN,renderAdd:function(e,t){this.element=this.containerElement=document.createElement("div"),this.element.id=this.component.renderId,this.element.style.outlineStyle="none",this.element.tabIndex="-1",Echo.Sync.renderComponentDefaults(this.component,this.element),Echo.Sync.Border.render(this.component.render("border"),this.element),Echo.Sync.Insets.render(this.component.render("insets"),this.element,"padding"),this.cellSpacing=Echo.Sync.Extent.toPixels(this.component.render("cellSpacing"),!1),this.cellSpacing&&(this.spacingPrototype=document.createElement("div"),this.spacingPrototype.style.height=this.cellSpacing+"px",this.spacingPrototype.style.fontSize="1px",this.spacingPrototype.style.lineHeight="0"),this.renderAddChildren(e),t.appendChild(this.element)},renderChildLayoutData:function(e,t){var n=e.render("layoutData");n&&(Echo.Sync.Color.render(n.background,t,"backgroundColor"),Echo.Sync.FillImage.render(n.backgroundImage,t),Echo.Sync.Insets.render(n.insets,t,"padding"),Echo.Sync.Alignment.render(n.alignment,t,!0,this.component),n.height&&(t.style.height=Echo.Sync.Extent.toPixels(n.height,!1)+"px"))}}),Echo.Sync.Row=Core.extend(Echo.Sync.ArrayContainer,{$static:{_createRowPrototype:function(){var e=document.createElement("div");e.style.outlineStyle="none",e.tabIndex="-1";var t=document.createElement("table");t.style.borderCollapse="collapse",e.appendChild(t);var n=document.createElement("tbody");return t.appendChild(n),n.appendChild(document.createElement("tr")),e},_rowPrototype:null},$load:function(){this._rowPrototype=this._createRowPrototype(),Echo.Render.registerPeer("Row",this)},cellElementNodeName:"td",prevFocusKey:37,prevFocusFlag:Echo.Render.ComponentSync.FOCUS_PERMIT_ARROW_LEFT,nextFocusKey:39,nextFocusFlag:Echo.Render.ComponentSync.FOCUS_PERMIT_ARROW_RIGHT,invertFocusRtl:!0,renderAdd:function(e,t){this.element=Echo.Sync.Row._rowPrototype.cloneNode(!0),this.element.id=this.component.renderId,Echo.Sync.renderComponentDefaults(this.component,this.element),Echo.Sync.Border.render(this.component.render("border"),this.element),Echo.Sync.Insets.render(this.component.render("insets"),this.element,"padding"),Echo.Sync.Alignment.render(this.component.render("alignment"),this.element,!0,this.component),this.containerElement=this.element.firstChild.firstChild.firstChild,this.cellSpacing=Echo.Sync.Extent.toPixels(this.component.render("cellSpacing"),!1),this.cellSpacing&&(this.spacingPrototype=document.createElement("td"),this.spacingPrototype.style.padding=0,this.spacingPrototype.style.width=this.cellSpacing+"px"),this.renderAddChildren(e),t.appendChild(this.element)},renderChildLayoutData:function(e,t){var n,i=e.render("layoutData");i&&(n=i.insets,Echo.Sync.Color.render(i.background,t,"backgroundColor"),Echo.Sync.FillImage.render(i.backgroundImage,t),Echo.Sync.Alignment.render(i.alignment,t,!0,this.component),i.width&&(Echo.Sync.Extent.isPercent(i.width)?(t.style.width=i.width,"100%"!=this.element.firstChild.style.width&&(this.element.firstChild.style.width="100%")):t.style.width=Echo.Sync.Extent.toPixels(i.width,!0)+"px")),n||(n=0),Echo.Sync.Insets.render(n,t,"padding")}}),Echo.Sync.Button=Core.extend(Echo.Render.ComponentSync,{$static:{_defaultIconTextMargin:5,_prototypeButton:null,_createPrototypeButton:function(){var e=document.createElement("div");return e.tabIndex="0",e.style.outlineStyle="none",e.style.cursor="pointer",e}},$load:function(){this._prototypeButton=this._createPrototypeButton(),Echo.Render.registerPeer("Button",this)},enabled:null,div:null,_textElement:null,iconImg:null,_processRolloverExitRef:null,_focused:!1,delegatedEvents:{blur:"_processBlur",click:"_processClick",focus:"_processFocus",mousedown:"_processSelectStart",mouseout:"_processMouseOut",mouseover:"_processMouseOver",pointercancel:"_processRelease",pointerdown:"_processPress",pointerup:"_processRelease",selectstart:"_processSelectStart"},$construct:function(){this._processRolloverExitRef=Core.method(this,this._processRolloverExit)},$virtual:{doAction:function(){var e=this.component.doAction();e&&this.client.restrictInputUntilSettled(e)},renderContent:function(){var e=this.component.render("text"),t=Echo.Sync.getEffectProperty(this.component,"icon","disabledIcon",!this.enabled);if(null!=e)if(t){var n=this.component.render("iconTextMargin",Echo.Sync.Button._defaultIconTextMargin),i=Echo.Sync.TriCellTable.getOrientation(this.component,"textPosition"),r=new Echo.Sync.TriCellTable(i,Echo.Sync.Extent.toPixels(n));this.renderButtonText(r.tdElements[0],e),this.iconImg=this.renderButtonIcon(r.tdElements[1],t),this.div.appendChild(r.tableElement)}else this.renderButtonText(this.div,e);else t&&(this.iconImg=this.renderButtonIcon(this.div,t))},setHighlightState:function(e,t){var n=t?"pressed":e?"rollover":"focused",i=this.component&&this.component.application&&this.component.application.getFocusedComponent()==this.component||t||e,r=Echo.Sync.getEffectProperty(this.component,"foreground",n+"Foreground",i),o=Echo.Sync.getEffectProperty(this.component,"background",n+"Background",i),s=Echo.Sync.getEffectProperty(this.component,"backgroundImage",n+"BackgroundImage",i),l=Echo.Sync.getEffectProperty(this.component,"font",n+"Font",i),a=Echo.Sync.getEffectProperty(this.component,"border",n+"Border",i);if(Echo.Sync.Color.renderClear(r,this.div,"color"),Echo.Sync.Color.renderClear(o,this.div,"backgroundColor"),Echo.Sync.FillImage.renderClear(s,this.div,"backgroundColor"),i?Echo.Sync.Insets.render(this.getInsetsForBorder(this.component.render(n+"Border")),this.div,"padding"):Echo.Sync.Insets.render(this.component.render("insets"),this.div,"padding"),Echo.Sync.Border.renderClear(a,this.div),this._textElement&&Echo.Sync.Font.renderClear(l,this._textElement),this.iconImg){var h=Echo.Sync.ImageReference.getUrl(Echo.Sync.getEffectProperty(this.component,"icon",n+"Icon",i));h!=this.iconImg.src&&(this.iconImg.src=h)}}},clientKeyDown:function(e){return!this.client||!this.client.verifyInput(this.component)||(13!=e.keyCode||(this.doAction(),!1))},getFocusFlags:function(){return Echo.Render.ComponentSync.FOCUS_PERMIT_ARROW_ALL},getInsetsForBorder:function(e){var t=this.component.render("border");if(!e)return this.component.render("insets");var n=Echo.Sync.Insets.toPixels(this.component.render("insets"));for(var i in n)n[i]+=Echo.Sync.Border.getPixelSize(t,i)-Echo.Sync.Border.getPixelSize(e,i),n[i]<0&&(n[i]=0);return n.top+" "+n.right+" "+n.bottom+" "+n.left},_processBlur:function(e){if(!this.enabled)return!0;this._focused=!1,this.setHighlightState(!1,!1)},_processClick:function(e){if(!this.client||!this.client.verifyInput(this.component))return!0;this.client.application.setFocusedComponent(this.component),this.doAction()},_processFocus:function(e){if(!this.client||!this.client.verifyInput(this.component))return!0;this.client.application.setFocusedComponent(this.component),this.setHighlightState(!1,!1)},_processMouseOut:function(e){return!(this.enabled&&this.component.render("rolloverEnabled")&&(!e.relatedTarget||!Core.Web.DOM.isAncestorOf(this.div,e.relatedTarget)))||this._processRolloverExit(e)},_processMouseOver:function(e){return!!(!this.component.render("rolloverEnabled")||e.relatedTarget&&Core.Web.DOM.isAncestorOf(this.div,e.relatedTarget))||this._processRolloverEnter(e)},_processPress:function(e){if(!this.client||!this.client.verifyInput(this.component)||!this.component.render("pressedEnabled"))return!0;Core.Web.DOM.preventEventDefault(e),this.setHighlightState(!1,!0)},_processRelease:function(e){if(!this.client||!this.enabled||!this.component.render("pressedEnabled"))return!0;this.setHighlightState(!1,!1)},_processRolloverEnter:function(e){return!(this.client&&this.client.verifyInput(this.component)&&!Core.Web.dragInProgress)||(this.client.application.addListener("focus",this._processRolloverExitRef),this.setHighlightState(!0,!1),!0)},_processRolloverExit:function(e){return!this.client||!this.client.application||(this._processRolloverExitRef&&this.client.application.removeListener("focus",this._processRolloverExitRef),this.setHighlightState(!1,!1),!0)},_processSelectStart:function(e){return!this.enabled||(Core.Web.DOM.preventEventDefault(e),!0)},renderAdd:function(e,t){this.enabled=this.component.isRenderEnabled(),this.div=Echo.Sync.Button._prototypeButton.cloneNode(!1),this.div.id=this.component.renderId,Echo.Sync.LayoutDirection.render(this.component.getLayoutDirection(),this.div),this.enabled?(Echo.Sync.Color.renderFB(this.component,this.div),Echo.Sync.Border.render(this.component.render("border"),this.div),Echo.Sync.FillImage.render(this.component.render("backgroundImage"),this.div)):(this.div.style.cursor="auto",Echo.Sync.Color.render(Echo.Sync.getEffectProperty(this.component,"foreground","disabledForeground",!0),this.div,"color"),Echo.Sync.Color.render(Echo.Sync.getEffectProperty(this.component,"background","disabledBackground",!0),this.div,"backgroundColor"),Echo.Sync.Border.render(Echo.Sync.getEffectProperty(this.component,"border","disabledBorder",!0),this.div),Echo.Sync.FillImage.render(Echo.Sync.getEffectProperty(this.component,"backgroundImage","disabledBackgroundImage",!0),this.div)),Echo.Sync.Insets.render(this.component.render("insets"),this.div,"padding"),Echo.Sync.Alignment.render(this.component.render("alignment"),this.div,!0,this.component);var n=this.component.render("toolTipText");n&&(this.div.title=n);var i=this.component.render("width");i&&(this.div.style.width=Echo.Sync.Extent.toCssValue(i,!0,!0));var r=this.component.render("height");r&&(this.div.style.height=Echo.Sync.Extent.toCssValue(r,!1),this.div.style.overflow="hidden"),this.renderContent(),t.appendChild(this.div)},renderButtonText:function(e,t){this._textElement=e;var n=this.component.render("textAlignment");n&&Echo.Sync.Alignment.render(n,e,!0,this.component),this.enabled?Echo.Sync.Font.render(this.component.render("font"),this._textElement):Echo.Sync.Font.render(Echo.Sync.getEffectProperty(this.component,"font","disabledFont",!0),this._textElement),e.appendChild(document.createTextNode(t)),this.component.render("lineWrap",!0)||(e.style.whiteSpace="nowrap")},renderButtonIcon:function(e,t){var n=this.component.render("alignment");n&&Echo.Sync.Alignment.render(n,e,!0,this.component);var i=document.createElement("img");return Echo.Sync.ImageReference.renderImg(t,i),e.appendChild(i),i},renderDispose:function(e){this._processRolloverExitRef&&this.client.application.removeListener("focus",this._processRolloverExitRef),Core.Web.Event.removeAll(this.div),this._focused=!1,this.div=null,this._textElement=null,this.iconImg=null},renderFocus:function(){this._focused||(Core.Web.DOM.focusElement(this.div),this._focused=!0)},renderUpdate:function(e){var t=this.div,n=t.parentNode;return this.renderDispose(e),n.removeChild(t),this.renderAdd(e,n),!1}}),Echo.Sync.Composite=Core.extend(Echo.Render.ComponentSync,{$load:function(){Echo.Render.registerPeer("Composite",this)},div:null,contentDiv:null,$virtual:{renderStyle:function(){Echo.Sync.renderComponentDefaults(this.component,this.div)}},renderAdd:function(e,t){this.div=this.contentDiv=document.createElement("div"),this.div.id=this.component.renderId,0!==this.component.children.length&&(this.renderStyle(),Echo.Render.renderComponentAdd(e,this.component.children[0],this.contentDiv)),t.appendChild(this.div)},renderDispose:function(e){this.contentDiv=null,this.div=null},renderUpdate:function(e){var t=this.div,n=t.parentNode;return Echo.Render.renderComponentDispose(e,e.parent),n.removeChild(t),this.renderAdd(e,n),!0}}),Echo.Sync.Panel=Core.extend(Echo.Sync.Composite,{$load:function(){Echo.Render.registerPeer("Panel",this)},renderDisplay:function(){this._imageBorder&&Echo.Sync.FillImageBorder.renderContainerDisplay(this.div)},renderStyle:function(){this._imageBorder=this.component.render("imageBorder");var e=0!==this.component.children.length?this.component.children[0]:null,t=this.component.render("width"),n=this.component.render("height");if(Echo.Sync.Extent.isPercent(n)&&(n=null),e&&e.pane&&(this.div.style.position="relative",n||(n="10em")),(t||n)&&(this.contentDiv.style.overflow="hidden",n&&this._imageBorder)){var i=Echo.Sync.Insets.toPixels(this._imageBorder.contentInsets),r=Echo.Sync.Extent.toPixels(n)-i.top-i.bottom;e&&e.pane||(r-=(i=Echo.Sync.Insets.toPixels(this.component.render("insets"))).top+i.bottom),this.contentDiv.style.height=r+"px"}this._imageBorder?this.div=Echo.Sync.FillImageBorder.renderContainer(this._imageBorder,{child:this.contentDiv}):Echo.Sync.Border.render(this.component.render("border"),this.contentDiv),Echo.Sync.renderComponentDefaults(this.component,this.contentDiv),e&&e.pane||Echo.Sync.Insets.render(this.component.render("insets"),this.contentDiv,"padding"),Echo.Sync.Alignment.render(this.component.render("alignment"),this.contentDiv,!0,this.component),Echo.Sync.FillImage.render(this.component.render("backgroundImage"),this.contentDiv),Echo.Sync.Extent.render(t,this.div,"width",!0,!0),Echo.Sync.Extent.render(n,this.div,"height",!1,!1)}}),Echo.Sync.ContentPane=Core.extend(Echo.Render.ComponentSync,{$load:function(){Echo.Render.registerPeer("ContentPane",this)},_floatingPaneStack:null,_zIndexRenderRequired:!1,$construct:function(){this._floatingPaneStack=[]},getSize:function(){return new Core.Web.Measure.Bounds(this._div)},raise:function(e){this._floatingPaneStack[this._floatingPaneStack.length-1]!=e&&(Core.Arrays.remove(this._floatingPaneStack,e),this._floatingPaneStack.push(e),this._renderFloatingPaneZIndices(),this._storeFloatingPaneZIndices())},renderAdd:function(e,t){var n;this._div=document.createElement("div"),this._div.id=this.component.renderId,this._div.style.position="absolute",this._div.style.width="100%",this._div.style.height="100%",this._div.style.overflow="hidden",this._div.style.zIndex="0",Echo.Sync.renderComponentDefaults(this.component,this._div);var i=this.component.render("background"),r=this.component.render("backgroundImage");Echo.Sync.FillImage.render(r,this._div),i||r||Echo.Sync.FillImage.render(this.client.getResourceUrl("Echo","resource/Transparent.gif"),this._div),this._childIdToElementMap={};var o=this.component.getComponentCount();for(n=0;n<o;++n){var s=this.component.getComponent(n);this._renderAddChild(e,s)}this._pendingScrollX=this.component.render("horizontalScroll"),this._pendingScrollY=this.component.render("verticalScroll"),t.appendChild(this._div),this._zIndexRenderRequired&&this._renderFloatingPaneZIndices()},_renderAddChild:function(e,t){var n=document.createElement("div");if(this._childIdToElementMap[t.renderId]=n,n.style.position="absolute",t.floatingPane){var i=t.render("zIndex");if(null!=i){for(var r=!1,o=0;o<this._floatingPaneStack.length&&!r;){var s=this._floatingPaneStack[o].render("zIndex");null!=s&&s>i&&(this._floatingPaneStack.splice(o,0,t),r=!0),++o}r||this._floatingPaneStack.push(t)}else this._floatingPaneStack.push(t);n.style.zIndex="1",n.style.left=n.style.top=0,this._zIndexRenderRequired=!0}else{var l=this.component.render("insets",0),a=Echo.Sync.Insets.toPixels(l);if(n.style.zIndex="0",n.style.left=a.left+"px",n.style.top=a.top+"px",n.style.bottom=a.bottom+"px",n.style.right=a.right+"px",t.pane)n.style.overflow="hidden";else switch(this.component.render("overflow")){case Echo.ContentPane.OVERFLOW_HIDDEN:n.style.overflow="hidden";break;case Echo.ContentPane.OVERFLOW_SCROLL:n.style.overflow="scroll";break;default:n.style.overflow="auto"}}Echo.Render.renderComponentAdd(e,t,n),this._div.appendChild(n)},renderDisplay:function(){for(var e=this._div.firstChild;e;)Core.Web.VirtualPosition.redraw(e),e=e.nextSibling;if(this._pendingScrollX||this._pendingScrollY)for(var t=this.component.getComponentCount(),n=0;n<t;++n)if(!(e=this.component.getComponent(n)).floatingPane){var i,r,o=this._childIdToElementMap[e.renderId];if(this._pendingScrollX){var s=Echo.Sync.Extent.toPixels(this._pendingScrollX);Echo.Sync.Extent.isPercent(this._pendingScrollX)||s<0?(r=s<0?100:parseInt(this._pendingScrollX,10),(i=Math.round((o.scrollWidth-o.offsetWidth)*r/100))>0&&(o.scrollLeft=i,Core.Web.Env.ENGINE_MSHTML&&(i=Math.round((o.scrollWidth-o.offsetWidth)*r/100),o.scrollLeft=i))):o.scrollLeft=s,this._pendingScrollX=null}if(this._pendingScrollY){var l=Echo.Sync.Extent.toPixels(this._pendingScrollY);Echo.Sync.Extent.isPercent(this._pendingScrollY)||l<0?(r=l<0?100:parseInt(this._pendingScrollY,10),(i=Math.round((o.scrollHeight-o.offsetHeight)*r/100))>0&&(o.scrollTop=i,Core.Web.Env.ENGINE_MSHTML&&(i=Math.round((o.scrollHeight-o.offsetHeight)*r/100),o.scrollTop=i))):o.scrollTop=l,this._pendingScrollY=null}break}},renderDispose:function(e){this._childIdToElementMap=null,this._div=null},_renderFloatingPaneZIndices:function(){for(var e=0;e<this._floatingPaneStack.length;++e){this._childIdToElementMap[this._floatingPaneStack[e].renderId].style.zIndex=2+e}this._zIndexRenderRequired=!1},_renderRemoveChild:function(e,t){t.floatingPane&&Core.Arrays.remove(this._floatingPaneStack,t);var n=this._childIdToElementMap[t.renderId];if(n){var i=!1;t.peer.renderContentPaneRemove&&(i=t.peer.renderContentPaneRemove(this._childIdToElementMap[t.renderId],Core.method(this,function(){n.parentNode.removeChild(n)}))),i||n.parentNode.removeChild(n),delete this._childIdToElementMap[t.renderId]}},renderUpdate:function(e){var t,n=!1;if(e.hasUpdatedProperties()||e.hasUpdatedLayoutDataChildren())n=!0;else{var i=e.getRemovedChildren();if(i)for(t=0;t<i.length;++t)this._renderRemoveChild(e,i[t]);var r=e.getAddedChildren();if(e.renderContext.displayRequired=[],r){for(t=0;t<r.length;++t)r[t].floatingPane||(e.renderContext.displayRequired=null),this._renderAddChild(e,r[t],this.component.indexOf(r[t])),e.renderContext.displayRequired&&e.renderContext.displayRequired.push(r[t]);this._zIndexRenderRequired&&this._renderFloatingPaneZIndices()}}if(n){this._floatingPaneStack=[];var o=this._div,s=o.parentNode;Echo.Render.renderComponentDispose(e,e.parent),s.removeChild(o),this.renderAdd(e,s)}return n},_storeFloatingPaneZIndices:function(){for(var e=0;e<this._floatingPaneStack.length;++e)this._floatingPaneStack[e].set("zIndex",e)}}),Echo.Sync.Grid=Core.extend(Echo.Render.ComponentSync,{$static:{_createPrototypeTable:function(){var e=document.createElement("div"),t=document.createElement("table");t.style.outlineStyle="none",t.tabIndex="-1",t.style.borderCollapse="collapse";var n=document.createElement("colgroup");return t.appendChild(n),t.appendChild(document.createElement("tbody")),e.appendChild(t),e},Processor:Core.extend({$static:{Cell:Core.extend({xSpan:null,ySpan:null,index:null,component:null,$construct:function(e,t,n,i){this.component=e,this.index=t,this.xSpan=n,this.ySpan=i}})},cellArrays:null,grid:null,gridXSize:null,gridYSize:null,xExtents:null,yExtents:null,horizontalOrientation:null,$construct:function(e){this.grid=e,this.cellArrays=[],this.horizontalOrientation=e.render("orientation")!=Echo.Grid.ORIENTATION_VERTICAL;var t=this.createCells();if(null==t)return this.gridXSize=0,void(this.gridYSize=0);this.renderCellMatrix(t),this.calculateExtents(),this.reduceY(),this.reduceX()},addExtents:function(e,t,n){var i=Echo.Sync.Extent.isPercent(e),r=Echo.Sync.Extent.isPercent(t);return i||r?i&&r?parseFloat(e)+parseFloat(t)+"%":i?e:t:Echo.Sync.Extent.toPixels(e)+Echo.Sync.Extent.toPixels(t)},calculateExtents:function(){var e,t=this.horizontalOrientation?"columnWidth":"rowHeight",n=this.horizontalOrientation?"rowHeight":"columnWidth";for(this.xExtents=[],e=0;e<this.gridXSize;++e)this.xExtents.push(this.grid.renderIndex(t,e));for(this.yExtents=[],e=0;e<this.gridYSize;++e)this.yExtents.push(this.grid.renderIndex(n,e))},createCells:function(){var e=this.grid.getComponentCount();if(0===e)return null;for(var t=[],n=0;n<e;++n){var i=this.grid.getComponent(n),r=i.render("layoutData");if(r){var o=this.horizontalOrientation?r.columnSpan:r.rowSpan,s=this.horizontalOrientation?r.rowSpan:r.columnSpan;t.push(new Echo.Sync.Grid.Processor.Cell(i,n,o||1,s||1))}else t.push(new Echo.Sync.Grid.Processor.Cell(i,n,1,1))}return t},_getCellArray:function(e){for(;e>=this.cellArrays.length;)this.cellArrays.push([]);return this.cellArrays[e]},getColumnCount:function(){return this.horizontalOrientation?this.gridXSize:this.gridYSize},getCell:function(e,t){return this.horizontalOrientation?this.cellArrays[t][e]:this.cellArrays[e][t]},getRowCount:function(){return this.horizontalOrientation?this.gridYSize:this.gridXSize},reduceX:function(){for(var e,t=[],n=1,i=this.cellArrays[0].length;n<i;){e=0;for(var r=!0;e<this.cellArrays.length;){if(this.cellArrays[e][n]!=this.cellArrays[e][n-1]){r=!1;break}++e}r&&(t[n]=!0),++n}if(0!==t.length)for(var o=this.gridXSize-1;o>=1;--o)if(t[o]){for(e=0;e<this.gridYSize;++e)0!==e&&this.cellArrays[e][o-1]==this.cellArrays[e-1][o-1]||null!=this.cellArrays[e][o-1]&&--this.cellArrays[e][o-1].xSpan,this.cellArrays[e].splice(o,1);var s=this.xExtents.splice(o,1)[0];s&&(this.xExtents[o-1]=this.addExtents(this.xExtents[o-1],s,!!this.horizontalOrientation)),--this.gridXSize}},reduceY:function(){for(var e,t,n=[],i=1,r=this.cellArrays.length,o=this.cellArrays[0];i<r;){t=o,o=this.cellArrays[i],e=0;for(var s=!0;e<o.length;){if(o[e]!=t[e]){s=!1;break}++e}s&&(n[i]=!0),++i}if(0!==n.length)for(var l=this.gridYSize-1;l>=0;--l)if(n[l]){var a=this.cellArrays[l-1];for(e=0;e<this.gridXSize;++e)0!==e&&a[e]==a[e-1]||null!=a[e]&&--a[e].ySpan;this.cellArrays.splice(l,1);var h=this.yExtents.splice(l,1)[0];h&&(this.yExtents[l-1]=this.addExtents(this.yExtents[l-1],h,!this.horizontalOrientation)),--this.gridYSize}},renderCellMatrix:function(e){this.gridXSize=parseInt(this.grid.render("size",2),10);for(var t,n,i=0,r=0,o=this._getCellArray(r),s=0;s<e.length;++s){if((e[s].xSpan==Echo.Grid.SPAN_FILL||e[s].xSpan>this.gridXSize-i)&&(e[s].xSpan=this.gridXSize-i),e[s].xSpan<1&&(e[s].xSpan=1),e[s].ySpan<1&&(e[s].ySpan=1),1!=e[s].xSpan||1!=e[s].ySpan){for(t=1;t<e[s].xSpan;++t)if(null!=o[i+t]){e[s].xSpan=t;break}for(n=0;n<e[s].ySpan;++n){var l=this._getCellArray(r+n);for(t=0;t<e[s].xSpan;++t)l[i+t]=e[s]}}if(o[i]=e[s],s<e.length-1)for(var a=!1;!a;)i<this.gridXSize-1?++i:(i=0,++r,o=this._getCellArray(r)),a=null==o[i]}this.gridYSize=this.cellArrays.length}})},$load:function(){this._prototypeTable=this._createPrototypeTable(),Echo.Render.registerPeer("Grid",this)},_columnCount:null,_rowCount:null,clientKeyDown:function(e){var t,n,i,r;switch(e.keyCode){case 37:case 39:if(t=this.component.getRenderLayoutDirection().isLeftToRight()?37==e.keyCode:39==e.keyCode,(n=this.client.application.getFocusedComponent())&&n.peer&&n.peer.getFocusFlags&&(i=n.peer.getFocusFlags(),(t&&i&Echo.Render.ComponentSync.FOCUS_PERMIT_ARROW_LEFT||!t&&i&Echo.Render.ComponentSync.FOCUS_PERMIT_ARROW_RIGHT)&&(r=this.client.application.focusManager.findInParent(this.component,t))))return this.client.application.setFocusedComponent(r),Core.Web.DOM.preventEventDefault(e.domEvent),!1;break;case 38:case 40:if(t=38==e.keyCode,(n=this.client.application.getFocusedComponent())&&n.peer&&n.peer.getFocusFlags&&(i=n.peer.getFocusFlags(),(t&&i&Echo.Render.ComponentSync.FOCUS_PERMIT_ARROW_UP||!t&&i&Echo.Render.ComponentSync.FOCUS_PERMIT_ARROW_DOWN)&&(r=this.client.application.focusManager.findInParent(this.component,t,this._columnCount))))return this.client.application.setFocusedComponent(r),Core.Web.DOM.preventEventDefault(e.domEvent),!1}return!0},renderAdd:function(e,t){var n,i,r,o=new Echo.Sync.Grid.Processor(this.component),s=Echo.Sync.Insets.toCssValue(this.component.render("insets",0)),l=this.component.render("border",""),a=this.component.render("width"),h=this.component.render("height");n=Echo.Sync.Insets.toPixels(s),this._columnCount=o.getColumnCount(),this._rowCount=o.getRowCount(),this._div=Echo.Sync.Grid._prototypeTable.cloneNode(!0),this._div.id=this.component.renderId;var c=this._div.firstChild;Echo.Sync.renderComponentDefaults(this.component,c),Echo.Sync.Border.render(l,c),c.style.padding=s,a&&Core.Web.Env.QUIRK_IE_TABLE_PERCENT_WIDTH_SCROLLBAR_ERROR&&Echo.Sync.Extent.isPercent(a)&&(this._div.style.zoom=1),a&&(Echo.Sync.Extent.isPercent(a)?c.style.width=a:c.style.width=Echo.Sync.Extent.toCssValue(a,!0)),h&&(Echo.Sync.Extent.isPercent(h)?c.style.height=h:c.style.height=Echo.Sync.Extent.toCssValue(h,!1));var d=c.firstChild;for(r=0;r<this._columnCount;++r){var u=document.createElement("col");if(null!=(a=o.xExtents[r]))if(Echo.Sync.Extent.isPercent(a))u.style.width=a.toString();else{var p=Echo.Sync.Extent.toPixels(a,!0);Core.Web.Env.QUIRK_TABLE_CELL_WIDTH_EXCLUDES_PADDING&&(p-=n.left+n.right)<0&&(p=0),u.style.width=p+"px"}d.appendChild(u)}var _,f,m,E=d.nextSibling,g=(parseInt(this.component.render("size",2),10),{});o.horizontalOrientation?(f="colSpan",m="rowSpan"):(f="rowSpan",m="colSpan");var C=document.createElement("td");Echo.Sync.Border.render(l,C),C.style.padding=s;for(var y=0;y<this._rowCount;++y)for(_=document.createElement("tr"),(h=o.yExtents[y])&&(_.style.height=Echo.Sync.Extent.toCssValue(h,!1)),E.appendChild(_),r=0;r<this._columnCount;++r){var v=o.getCell(r,y);if(null!=v){if(!g[v.component.renderId]){g[v.component.renderId]=!0,i=C.cloneNode(!1),v.xSpan>1&&i.setAttribute(f,v.xSpan),v.ySpan>1&&i.setAttribute(m,v.ySpan);var S=v.component.render("layoutData");if(S){var b=o.xExtents[r];if(Core.Web.Env.QUIRK_TABLE_CELL_WIDTH_EXCLUDES_PADDING&&b&&!Echo.Sync.Extent.isPercent(b)){var R=Echo.Sync.Insets.toPixels(S.insets);n.left+n.right<R.left+R.right&&(i.style.width=Echo.Sync.Extent.toPixels(b)-(R.left+R.right)+"px")}Echo.Sync.Insets.render(S.insets,i,"padding"),Echo.Sync.Alignment.render(S.alignment,i,!0,this.component),Echo.Sync.FillImage.render(S.backgroundImage,i),Echo.Sync.Color.render(S.background,i,"backgroundColor")}Echo.Render.renderComponentAdd(e,v.component,i),_.appendChild(i)}}else i=document.createElement("td"),_.appendChild(i)}t.appendChild(this._div)},renderDispose:function(e){this._div=null},renderUpdate:function(e){var t=this._div,n=t.parentNode;return Echo.Render.renderComponentDispose(e,e.parent),n.removeChild(t),this.renderAdd(e,n),!0}}),Echo.Sync.Label=Core.extend(Echo.Render.ComponentSync,{$static:{_defaultIconTextMargin:5},$load:function(){Echo.Render.registerPeer("Label",this)},_node:null,_formatWhitespace:function(e,t){for(var n=(e=(e=e.replace(/\t/g,"    ")).replace(/ {2}/g,"  ")).split("\n"),i=0;i<n.length;i++){var r=n[i];i>0&&t.appendChild(document.createElement("br")),r.length>0&&t.appendChild(document.createTextNode(r))}},renderAdd:function(e,t){this._containerElement=t;var n,i=this.component.render("icon"),r=this.component.render("text"),o=this.component.render("foreground"),s=this.component.render("background"),l=this.component.render("toolTipText");if(null!=r){var a=this.component.render("lineWrap",!0),h=this.component.render("formatWhitespace",!1)&&(-1!=r.indexOf(" ")||-1!=r.indexOf("\n")||-1!=r.indexOf("\t"));if(i){var c=this.component.render("iconTextMargin",Echo.Sync.Label._defaultIconTextMargin),d=Echo.Sync.TriCellTable.getOrientation(this.component,"textPosition"),u=new Echo.Sync.TriCellTable(d,Echo.Sync.Extent.toPixels(c));n=document.createElement("img"),Echo.Sync.ImageReference.renderImg(i,n),h?this._formatWhitespace(r,u.tdElements[0]):u.tdElements[0].appendChild(document.createTextNode(r)),a||(u.tdElements[0].style.whiteSpace="nowrap"),u.tdElements[1].appendChild(n),this._node=u.tableElement,this._node.id=this.component.renderId,Echo.Sync.renderComponentDefaults(this.component,this._node)}else{var p=this.component.render("font");this.client.designMode||l||p||!a||o||s||h||this.component.getLayoutDirection()?(this._node=document.createElement("span"),this._node.id=this.component.renderId,h?this._formatWhitespace(r,this._node):this._node.appendChild(document.createTextNode(r)),a||(this._node.style.whiteSpace="nowrap"),Echo.Sync.renderComponentDefaults(this.component,this._node)):this._node=document.createTextNode(r)}}else i?(n=document.createElement("img"),Echo.Sync.ImageReference.renderImg(i,n),this._node=document.createElement("span"),this._node.id=this.component.renderId,this._node.appendChild(n),Echo.Sync.Color.render(this.component.render("background"),this._node,"backgroundColor")):this.client.designMode?(this._node=document.createElement("span"),this._node.id=this.component.renderId):this._node=null;this._node&&(l&&(this._node.title=l),t.appendChild(this._node))},renderDispose:function(e){this._containerElement=null,this._node=null},renderUpdate:function(e){return this._node&&this._node.parentNode.removeChild(this._node),this.renderAdd(e,this._containerElement),!1}}),Echo.Sync.ListComponent=Core.extend(Echo.Render.ComponentSync,{$static:{DEFAULT_DIV_BORDER:"1px solid #7f7f7f",DEFAULT_SELECTED_BACKGROUND:"#0a246a",DEFAULT_SELECTED_FOREGROUND:"#ffffff",_itemUpdatePropertySet:{items:!0,selection:!0,selectedId:!0},_getItemKey:function(e){return null!=e.id?"id:"+e.id:"text:"+(null==e.text?e.toString():e.text)}},$abstract:{listBox:null},_renderedItems:null,_hasRenderedSelectedItems:!1,_multipleSelect:!1,_selectedIdPriority:!1,_alternateRender:!1,_element:null,_div:null,_focused:!1,delegatedEvents:{blur:"_processBlur",click:"_processClick",focus:"_processFocus",selectstart:"_processSelectStart"},_doAction:function(){var e=this.component.doAction();e&&this.client.restrictInputUntilSettled(e)},_getSelection:function(){var e=this._selectedIdPriority?null:this.component.get("selection");if(null==e){var t=this.component.get("selectedId");if(t)for(var n=this.component.get("items"),i=0;i<n.length;++i)if(n[i].id==t){e=i;break}null==e&&(e=this.listBox?[]:0)}return e},_processBlur:function(e){this._focused=!1},_processClick:function(e){if(!this._alternateRender||!this._enabled)return!0;if(!this.client||!this.client.verifyInput(this.component))return Core.Web.DOM.preventEventDefault(e),this._renderSelection(),!0;for(var t=this._div.firstChild,n=0;t&&t!=e.target;)t=t.nextSibling,++n;if(null!=t){if(this._multipleSelect&&e.ctrlKey){var i=this._getSelection();i=null==i?[]:i instanceof Array?i.slice():[i];var r=Core.Arrays.indexOf(i,n);-1==r?i.push(n):i.splice(r,1)}else i=n;this._setSelection(i),this._doAction(),this._renderSelection()}},_processChange:function(e){if(!this.client||!this.client.verifyInput(this.component))return Core.Web.DOM.preventEventDefault(e),this._renderSelection(),!1;var t;if(this._multipleSelect){t=[];for(var n=0;n<this._element.options.length;++n)this._element.options[n].selected&&t.push(n)}else-1!=this._element.selectedIndex&&(t=this._element.selectedIndex);this._setSelection(t),this._doAction()},_processFocus:function(e){return!this._enabled||(this._focused=!0,!this.client||!this.client.verifyInput(this.component)||void this.client.application.setFocusedComponent(this.component))},_processSelectStart:function(e){this._alternateRender&&this._enabled&&Core.Web.DOM.preventEventDefault(e)},renderAdd:function(e,t){this._multipleSelect=this.component.get("selectionMode")==Echo.ListBox.MULTIPLE_SELECTION,this.listBox&&Core.Web.Env.QUIRK_IE_SELECT_LIST_DOM_UPDATE&&(this._alternateRender=!0),this._enabled=this.component.isRenderEnabled(),this._alternateRender?this._renderMainAsDiv(e,t):this._renderMainAsSelect(e,t)},renderDisplay:function(){this._renderSelection()},renderDispose:function(e){Core.Web.Event.removeAll(this._element),this._element=null,this._div&&(Core.Web.Event.removeAll(this._div),this._div=null)},renderFocus:function(){this._focused||(this._focused=!0,Core.Web.DOM.focusElement(this._element))},_renderMainAsDiv:function(e,t){this._element=document.createElement("table"),this._element.id=this.component.renderId;var n=document.createElement("tbody");this._element.appendChild(n);var i=document.createElement("tr");n.appendChild(i);var r=document.createElement("td");i.appendChild(r),this._div=document.createElement("div"),r.appendChild(this._div),this._div.style.cssText="cursor:default;overflow:auto;",this._div.style.height=Echo.Sync.Extent.toCssValue(this.component.render("height","6em"),!1,!1);var o=this.component.render("width");Echo.Sync.Extent.isPercent(o)||(this._div.style.width=Echo.Sync.Extent.toCssValue(o,!0,!1)),this._enabled?Echo.Sync.renderComponentDefaults(this.component,this._element):(Echo.Sync.LayoutDirection.render(this.component.getLayoutDirection(),this._element),Echo.Sync.Color.render(Echo.Sync.getEffectProperty(this.component,"foreground","disabledForeground",!0),this._div,"color"),Echo.Sync.Color.render(Echo.Sync.getEffectProperty(this.component,"background","disabledBackground",!0),this._div,"backgroundColor"),Echo.Sync.Font.render(Echo.Sync.getEffectProperty(this.component,"font","disabledFont",!0),this._div)),Echo.Sync.Border.render(Echo.Sync.getEffectProperty(this.component,"border","disabledBorder",!this._enabled,Echo.Sync.ListComponent.DEFAULT_DIV_BORDER,null),this._div),Echo.Sync.Insets.render(this.component.render("insets"),this._div,"padding");var s=this.component.get("items");if(s)for(var l=0;l<s.length;++l)this._div.appendChild(this._renderItem(s[l]));this._renderedItems=s?s.slice():[],t.appendChild(this._element)},_renderItem:function(e){var t;return this._alternateRender?(t=document.createElement("div")).appendChild(document.createTextNode(e.text?e.text:e.toString())):(t=document.createElement("option")).appendChild(document.createTextNode(null==e.text?e.toString():e.text)),e.foreground&&Echo.Sync.Color.render(e.foreground,t,"color"),e.background&&Echo.Sync.Color.render(e.background,t,"backgroundColor"),e.font&&Echo.Sync.Font.render(e.font,t),t},_renderItemsUpdate:function(){var e=this.component.get("items")||[],t=this._alternateRender?this._div:this._element,n=this;Core.Arrays.reconcile(this._renderedItems,e,Echo.Sync.ListComponent._getItemKey,{delete:function(e,n){t.removeChild(t.childNodes[n])},insert:function(e,i){t.insertBefore(n._renderItem(e),t.childNodes[i]||null)},move:function(e,n,i){var r=t.childNodes[n];t.removeChild(r),t.insertBefore(r,t.childNodes[i]||null)},update:function(e,i,r){t.replaceChild(n._renderItem(i),t.childNodes[r])}}),this._renderedItems=e.slice()},_renderMainAsSelect:function(e,t){this._element=document.createElement("select"),this._element.id=this.component.renderId,this._element.size=this.listBox?6:1,this._enabled||(this._element.disabled=!0),this._multipleSelect&&(this._element.multiple="multiple"),this._element.style.height=Echo.Sync.Extent.toCssValue(this.component.render("height"),!1,!1);var n=this.component.render("width");n&&(Echo.Sync.Extent.isPercent(n)?Core.Web.Env.QUIRK_IE_SELECT_PERCENT_WIDTH||(this._element.style.width=n):this._element.style.width=Echo.Sync.Extent.toCssValue(n,!0,!1)),this._enabled?Echo.Sync.renderComponentDefaults(this.component,this._element):(Echo.Sync.LayoutDirection.render(this.component.getLayoutDirection(),this._element),Echo.Sync.Color.render(Echo.Sync.getEffectProperty(this.component,"foreground","disabledForeground",!0),this._element,"color"),Echo.Sync.Color.render(Echo.Sync.getEffectProperty(this.component,"background","disabledBackground",!0),this._element,"backgroundColor"),Echo.Sync.Font.render(Echo.Sync.getEffectProperty(this.component,"font","disabledFont",!0),this._element)),Echo.Sync.Border.render(Echo.Sync.getEffectProperty(this.component,"border","disabledBorder",!this._enabled),this._element),Echo.Sync.Insets.render(this.component.render("insets"),this._element,"padding");var i=this.component.get("items");if(i)for(var r=0;r<i.length;++r)this._element.appendChild(this._renderItem(i[r]));this._renderedItems=i?i.slice():[],this._enabled&&Core.Web.Event.add(this._element,"change",Core.method(this,this._processChange),!1),t.appendChild(this._element)},_renderSelection:function(){var e,t=this._getSelection();if(this._alternateRender){if(this._hasRenderedSelectedItems){var n=this.component.get("items");for(e=0;e<n.length;++e)Echo.Sync.Color.renderClear(n[e].foreground,this._div.childNodes[e],"color"),Echo.Sync.Color.renderClear(n[e].background,this._div.childNodes[e],"backgroundColor")}if(t instanceof Array)for(e=0;e<t.length;++e)t[e]>=0&&t[e]<this._div.childNodes.length&&(Echo.Sync.Color.render(Echo.Sync.ListComponent.DEFAULT_SELECTED_FOREGROUND,this._div.childNodes[t[e]],"color"),Echo.Sync.Color.render(Echo.Sync.ListComponent.DEFAULT_SELECTED_BACKGROUND,this._div.childNodes[t[e]],"backgroundColor"));else t>=0&&t<this._div.childNodes.length&&(Echo.Sync.Color.render(Echo.Sync.ListComponent.DEFAULT_SELECTED_FOREGROUND,this._div.childNodes[t],"color"),Echo.Sync.Color.render(Echo.Sync.ListComponent.DEFAULT_SELECTED_BACKGROUND,this._div.childNodes[t],"backgroundColor"))}else if(this._hasRenderedSelectedItems&&(this._element.selectedIndex=-1),t instanceof Array)for(e=0;e<t.length;++e)t[e]>=0&&t[e]<this._element.options.length&&(this._element.options[t[e]].selected=!0);else t>=0&&t<this._element.options.length&&(this._element.options[t].selected=!0);this._hasRenderedSelectedItems=!0},renderUpdate:function(e){if(e.getUpdatedProperty("selectedId")&&!e.getUpdatedProperty("selection")&&(this._selectedIdPriority=!0),e.hasUpdatedProperties()&&e.isUpdatedPropertySetIn(Echo.Sync.ListComponent._itemUpdatePropertySet))return this._renderItemsUpdate(),!1;var t=this._element,n=t.parentNode;return this.renderDispose(e),n.removeChild(t),this.renderAdd(e,n),this._focused&&Core.Web.DOM.focusElement(this._element),!1},_setSelection:function(e){this._selectedIdPriority=!1;var t=null;e instanceof Array&&1==e.length&&(e=e[0]);var n=this.component.get("items");if(e instanceof Array){t=[];for(var i=0;i<e.length;++i){var r=e[i];r<n.length&&null!=n[r].id&&t.push(n[r].id)}}else e<n.length&&null!=n[e].id&&(t=n[e].id);this.component.set("selection",e),this.component.set("selectedId",t)}}),Echo.Sync.ListBox=Core.extend(Echo.Sync.ListComponent,{listBox:!0,$load:function(){Echo.Render.registerPeer("ListBox",this)}}),Echo.Sync.SelectField=Core.extend(Echo.Sync.ListComponent,{listBox:!1,$load:function(){Echo.Render.registerPeer("SelectField",this)}}),Echo.Sync.SplitPane=Core.extend(Echo.Render.ComponentSync,{$static:{ChildPane:Core.extend({minimumSize:0,maximumSize:null,component:null,layoutData:null,scrollLeft:0,scrollTop:0,scrollRequired:!1,_permanentSizes:!1,_peer:null,$construct:function(e,t){this._peer=e,this.component=t,this.layoutData=t.render("layoutData")},loadDisplayData:function(){var e;this._permanentSizes||(this._permanentSizes=!0,this.layoutData&&(this.layoutData.minimumSize&&(Echo.Sync.Extent.isPercent(this.layoutData.minimumSize)?(e=this._peer._getSize(),this.minimumSize=Math.round((this._peer._orientationVertical?e.height:e.width)*parseInt(this.layoutData.minimumSize,10)/100),this._permanentSizes=!1):this.minimumSize=Math.round(Echo.Sync.Extent.toPixels(this.layoutData.minimumSize,!this._peer._orientationVertical))),this.layoutData.maximumSize&&(Echo.Sync.Extent.isPercent(this.layoutData.maximumSize)?(e=this._peer._getSize(),this.maximumSize=Math.round((this._peer._orientationVertical?e.height:e.width)*parseInt(this.layoutData.maximumSize,10)/100),this._permanentSizes=!1):this.maximumSize=Math.round(Echo.Sync.Extent.toPixels(this.layoutData.maximumSize,!this._peer._orientationVertical)))))},loadScrollPositions:function(e){e.scrollLeft=this.scrollLeft,e.scrollTop=this.scrollTop},storeScrollPositions:function(e){this.scrollLeft=e.scrollLeft,this.scrollTop=e.scrollTop}})},$load:function(){Echo.Render.registerPeer("SplitPane",this)},_childPanes:null,_paneDivs:null,_separatorDiv:null,_autoPositioned:!1,_overlay:null,_redisplayRequired:!1,_requested:null,_rendered:null,_processSeparatorMouseMoveRef:null,_processSeparatorMouseUpRef:null,_initialAutoSizeComplete:!1,_size:null,$construct:function(){this._childPanes=[],this._paneDivs=[],this._processSeparatorMouseMoveRef=Core.method(this,this._processSeparatorMouseMove),this._processSeparatorMouseUpRef=Core.method(this,this._processSeparatorMouseUp)},clientKeyDown:function(e){var t,n,i,r;switch(e.keyCode){case 37:case 39:if(!this._orientationVertical&&(t=37==e.keyCode^!this._orientationTopLeft,(n=this.client.application.getFocusedComponent())&&n.peer&&n.peer.getFocusFlags&&(i=n.peer.getFocusFlags(),(t&&i&Echo.Render.ComponentSync.FOCUS_PERMIT_ARROW_LEFT||!t&&i&Echo.Render.ComponentSync.FOCUS_PERMIT_ARROW_RIGHT)&&(r=this.client.application.focusManager.findInParent(this.component,t)))))return this.client.application.setFocusedComponent(r),Core.Web.DOM.preventEventDefault(e.domEvent),!1;break;case 38:case 40:if(this._orientationVertical&&(t=38==e.keyCode^!this._orientationTopLeft,(n=this.client.application.getFocusedComponent())&&n.peer&&n.peer.getFocusFlags&&(i=n.peer.getFocusFlags(),(t&&i&Echo.Render.ComponentSync.FOCUS_PERMIT_ARROW_UP||!t&&i&Echo.Render.ComponentSync.FOCUS_PERMIT_ARROW_DOWN)&&(r=this.client.application.focusManager.findInParent(this.component,t)))))return this.client.application.setFocusedComponent(r),Core.Web.DOM.preventEventDefault(e.domEvent),!1}return!0},_getBoundedSeparatorPosition:function(e){if(this._childPanes[1]){var t=this._orientationVertical?this._getSize().height:this._getSize().width;e>t-this._childPanes[1].minimumSize-this._separatorSize?e=t-this._childPanes[1].minimumSize-this._separatorSize:null!=this._childPanes[1].maximumSize&&e<t-this._childPanes[1].maximumSize-this._separatorSize&&(e=t-this._childPanes[1].maximumSize-this._separatorSize)}return this._childPanes[0]&&(e<this._childPanes[0].minimumSize?e=this._childPanes[0].minimumSize:null!=this._childPanes[0].maximumSize&&e>this._childPanes[0].maximumSize&&(e=this._childPanes[0].maximumSize)),e},_getInsetsSizeAdjustment:function(e,t){if(!t||null==t.insets)return 0;var n,i=Echo.Sync.Insets.toPixels(t.insets);return n=this._orientationVertical?i.top+i.bottom:i.left+i.right,null!=e&&n>e&&(n=e),n},getPreferredSize:function(e){if(0===this.component.children.length)return null;var t,n,i,r,o;e=e||Echo.Render.ComponentSync.SIZE_WIDTH|Echo.Render.ComponentSync.SIZE_HEIGHT,this.component.children[0].peer.getPreferredSize?r=this.component.children[0].peer.getPreferredSize(e)||{}:!this.component.children[0].pane&&e&Echo.Render.ComponentSync.SIZE_HEIGHT&&this._paneDivs[0].firstChild?(r={height:0===(t=new Core.Web.Measure.Bounds(this._paneDivs[0].firstChild)).height?null:t.height}).height&&(i=this.component.children[0].render("layoutData"))&&i.insets&&(n=Echo.Sync.Insets.toPixels(i.insets),r.height+=n.top+n.bottom):r={},1==this.component.children.length?o={width:0,height:0}:this.component.children[1].peer.getPreferredSize?o=this.component.children[1].peer.getPreferredSize(e)||{}:!this.component.children[1].pane&&e&Echo.Render.ComponentSync.SIZE_HEIGHT&&this._paneDivs[1].firstChild?(o={height:0===(t=new Core.Web.Measure.Bounds(this._paneDivs[1].firstChild)).height?null:t.height}).height&&(i=this.component.children[1].render("layoutData"))&&i.insets&&(n=Echo.Sync.Insets.toPixels(i.insets),o.height+=n.top+n.bottom):o={};var s=null;e&Echo.Render.ComponentSync.SIZE_HEIGHT&&null!=r.height&&null!=o.height&&(s=this._orientationVertical?r.height+o.height+this._separatorSize:r.height>o.height?r.height:o.height);var l=null;return e&Echo.Render.ComponentSync.SIZE_WIDTH&&null!=r.width&&null!=o.width&&(l=this._orientationVertical?r.width>o.width?r.width:o.width:r.width+o.width+this._separatorSize),{height:s,width:l}},_getSize:function(){return this._size||(this._size=new Core.Web.Measure.Bounds(this._splitPaneDiv)),this._size},_hasRelocatedChildren:function(e){var t=this._childPanes[0]?this._childPanes[0].component:null,n=this._childPanes[1]?this._childPanes[1].component:null,i=this.component.getComponentCount(),r=i>0?this.component.getComponent(0):null,o=i>1?this.component.getComponent(1):null;return null!=t&&t==o||null!=n&&n==r},_loadRenderData:function(){var e=this.component.render("orientation",Echo.SplitPane.ORIENTATION_HORIZONTAL_LEADING_TRAILING);switch(e){case Echo.SplitPane.ORIENTATION_HORIZONTAL_LEADING_TRAILING:this._orientationTopLeft=this.component.getRenderLayoutDirection().isLeftToRight(),this._orientationVertical=!1;break;case Echo.SplitPane.ORIENTATION_HORIZONTAL_TRAILING_LEADING:this._orientationTopLeft=!this.component.getRenderLayoutDirection().isLeftToRight(),this._orientationVertical=!1;break;case Echo.SplitPane.ORIENTATION_HORIZONTAL_LEFT_RIGHT:this._orientationTopLeft=!0,this._orientationVertical=!1;break;case Echo.SplitPane.ORIENTATION_HORIZONTAL_RIGHT_LEFT:this._orientationTopLeft=!1,this._orientationVertical=!1;break;case Echo.SplitPane.ORIENTATION_VERTICAL_TOP_BOTTOM:this._orientationTopLeft=!0,this._orientationVertical=!0;break;case Echo.SplitPane.ORIENTATION_VERTICAL_BOTTOM_TOP:this._orientationTopLeft=!1,this._orientationVertical=!0;break;default:throw new Error("Invalid orientation: "+e)}this._resizable=this.component.render("resizable"),this._autoPositioned=this.component.render("autoPositioned"),this._requested=this.component.render("separatorPosition");var t=this._resizable?Echo.SplitPane.DEFAULT_SEPARATOR_SIZE_RESIZABLE:Echo.SplitPane.DEFAULT_SEPARATOR_SIZE_FIXED,n=this.component.render(this._orientationVertical?"separatorHeight":"separatorWidth",t);this._separatorSize=Echo.Sync.Extent.toPixels(n,this._orientationVertical),null==this._separatorSize&&(this._separatorSize=t),this._separatorVisible=this._resizable||this.component.render("separatorVisible",!0)&&this._separatorSize>0,this._separatorVisible||(this._separatorSize=0),this._separatorSize>0&&(this._separatorColor=this.component.render("separatorColor",Echo.SplitPane.DEFAULT_SEPARATOR_COLOR),this._separatorRolloverColor=this.component.render("separatorRolloverColor")||Echo.Sync.Color.adjust(this._separatorColor,32,32,32),this._separatorImage=this.component.render(this._orientationVertical?"separatorVerticalImage":"separatorHorizontalImage"),this._separatorRolloverImage=this.component.render(this._orientationVertical?"separatorVerticalRolloverImage":"separatorHorizontalRolloverImage"))},_overlayAdd:function(){this._overlay||(this._overlay=document.createElement("div"),this._overlay.style.cssText="position:absolute;z-index:32600;width:100%;height:100%;",Echo.Sync.FillImage.render(this.client.getResourceUrl("Echo","resource/Transparent.gif"),this._overlay),document.body.appendChild(this._overlay))},_overlayRemove:function(){this._overlay&&(document.body.removeChild(this._overlay),this._overlay=null)},_processSeparatorMouseDown:function(e){if(!this.client||!this.client.verifyInput(this.component)||!1===e.isPrimary)return!0;Core.Web.DOM.preventEventDefault(e),Core.Web.Event.setPointerCapture(this._separatorDiv,e.pointerId),Core.Web.dragInProgress=!0,this._dragInitPosition=this._rendered,this._orientationVertical?this._dragInitMouseOffset=e.clientY:this._dragInitMouseOffset=e.clientX,Core.Web.Event.add(document.body,"pointermove",this._processSeparatorMouseMoveRef,!0),Core.Web.Event.add(document.body,"pointerup",this._processSeparatorMouseUpRef,!0),Core.Web.Event.add(document.body,"pointercancel",this._processSeparatorMouseUpRef,!0),this._overlayAdd()},_processSeparatorMouseMove:function(e){var t=this._orientationVertical?e.clientY:e.clientX;this._rendered=this._getBoundedSeparatorPosition(this._orientationTopLeft?this._dragInitPosition+t-this._dragInitMouseOffset:this._dragInitPosition-t+this._dragInitMouseOffset),this._redraw(this._rendered)},_processSeparatorMouseUp:function(e){Core.Web.DOM.preventEventDefault(e),this._overlayRemove(),Core.Web.dragInProgress=!1,this._removeSeparatorListeners(),this.component.set("separatorPosition",this._rendered),this._requested=this._rendered,this._paneDivs[0]&&Core.Web.VirtualPosition.redraw(this._paneDivs[0]),this._paneDivs[1]&&Core.Web.VirtualPosition.redraw(this._paneDivs[1]),Echo.Render.notifyResize(this.component)},_processSeparatorRolloverEnter:function(e){if(!this.client||!this.client.verifyInput(this.component))return!0;this._separatorRolloverImage?Echo.Sync.FillImage.render(this._separatorRolloverImage,this._separatorDiv,0):Echo.Sync.Color.render(this._separatorRolloverColor,this._separatorDiv,"backgroundColor")},_processSeparatorRolloverExit:function(e){this._separatorRolloverImage?Echo.Sync.FillImage.renderClear(this._separatorImage,this._separatorDiv,0):Echo.Sync.Color.render(this._separatorColor,this._separatorDiv,"backgroundColor")},_redraw:function(e){var t=0;if(this.component.getComponentCount()>0){var n=this.component.getComponent(0).render("layoutData");t=this._getInsetsSizeAdjustment(e,n)}var i=this._orientationVertical?"height":"width",r=this._orientationVertical?this._orientationTopLeft?"top":"bottom":this._orientationTopLeft?"left":"right";this._paneDivs[0]&&(this._paneDivs[0].style[i]=e-t+"px"),this._paneDivs[1]&&(this._paneDivs[1].style[r]=e+this._separatorSize+"px"),this._separatorDiv&&(this._separatorDiv.style[r]=e+"px")},_removeSeparatorListeners:function(){Core.Web.Event.remove(document.body,"pointermove",this._processSeparatorMouseMoveRef,!0),Core.Web.Event.remove(document.body,"pointerup",this._processSeparatorMouseUpRef,!0),Core.Web.Event.remove(document.body,"pointercancel",this._processSeparatorMouseUpRef,!0)},renderAdd:function(e,t){this._initialAutoSizeComplete=!1,this._loadRenderData();var n=this.component.getComponentCount();if(n>2)throw new Error("Cannot render SplitPane with more than two child components.");n<1||this.component.getComponent(0),n<2||this.component.getComponent(1);if(this._splitPaneDiv=document.createElement("div"),this._splitPaneDiv.id=this.component.renderId,this._splitPaneDiv.style.cssText="position:absolute;overflow:hidden;top:0;left:0;right:0;bottom:0;",Echo.Sync.renderComponentDefaults(this.component,this._splitPaneDiv),this._separatorVisible){this._separatorDiv=document.createElement("div"),this._separatorDiv.style.cssText="position:absolute;font-size:1px;line-height:0;z-index:2;",Echo.Sync.Color.render(this._separatorColor,this._separatorDiv,"backgroundColor");var i=null;this._orientationVertical?(i=this._orientationTopLeft?"s-resize":"n-resize",this._separatorDiv.style.width="100%",this._separatorDiv.style.height=this._separatorSize+"px",Echo.Sync.FillImage.render(this._separatorImage,this._separatorDiv,0)):(i=this._orientationTopLeft?"e-resize":"w-resize",this._separatorDiv.style.height="100%",this._separatorDiv.style.width=this._separatorSize+"px",Echo.Sync.FillImage.render(this._separatorImage,this._separatorDiv,0)),this._resizable&&i&&(this._separatorDiv.style.cursor=i),this._splitPaneDiv.appendChild(this._separatorDiv)}else this._separatorDiv=null;for(var r=0;r<n&&r<2;++r){var o=this.component.getComponent(r);this._renderAddChild(e,o,r)}t.appendChild(this._splitPaneDiv),this._resizable&&(Core.Web.Event.setTouchAction(this._separatorDiv,"none"),Core.Web.Event.add(this._separatorDiv,"pointerdown",Core.method(this,this._processSeparatorMouseDown),!1),Core.Web.Event.add(this._separatorDiv,"mouseover",Core.method(this,this._processSeparatorRolloverEnter),!1),Core.Web.Event.add(this._separatorDiv,"mouseout",Core.method(this,this._processSeparatorRolloverExit),!1))},_renderAddChild:function(e,t,n){this.component.indexOf(t);var i=document.createElement("div");this._paneDivs[n]=i,i.style.cssText="position: absolute; overflow: auto; z-index: 1;";var r=t.render("layoutData");if(r&&(Echo.Sync.Alignment.render(r.alignment,i,!1,this.component),Echo.Sync.Color.render(r.background,i,"backgroundColor"),Echo.Sync.FillImage.render(r.backgroundImage,i),!t.pane))switch(Echo.Sync.Insets.render(r.insets,i,"padding"),r.overflow){case Echo.SplitPane.OVERFLOW_HIDDEN:i.style.overflow="hidden";break;case Echo.SplitPane.OVERFLOW_SCROLL:i.style.overflow="scroll"}t.pane&&(i.style.overflow="hidden"),this._orientationVertical?(i.style.left=0,i.style.right=0,this._orientationTopLeft&&0===n||!this._orientationTopLeft&&1==n?i.style.top=0:i.style.bottom=0):(i.style.top="0",i.style.bottom="0",this._orientationTopLeft&&0===n||!this._orientationTopLeft&&1==n?i.style.left=0:i.style.right=0),Echo.Render.renderComponentAdd(e,t,i),this._splitPaneDiv.appendChild(i),this._childPanes[n]&&this._childPanes[n].component==t?this._childPanes[n].scrollRequired=!0:this._childPanes[n]=new Echo.Sync.SplitPane.ChildPane(this,t)},renderDisplay:function(){Core.Web.VirtualPosition.redraw(this._splitPaneDiv),Core.Web.VirtualPosition.redraw(this._paneDivs[0]),Core.Web.VirtualPosition.redraw(this._paneDivs[1]),this._size=null,this._childPanes[0]&&this._childPanes[0].loadDisplayData(),this._childPanes[1]&&this._childPanes[1].loadDisplayData();var e=this._requested;if(null==e&&this._autoPositioned&&this._paneDivs[0]){if(this.component.children[0].peer.getPreferredSize){var t=this.component.children[0].peer.getPreferredSize(this._orientationVertical?Echo.Render.ComponentSync.SIZE_HEIGHT:Echo.Render.ComponentSync.SIZE_WIDTH);e=t?this._orientationVertical?t.height:t.width:null}if(null==e&&this._orientationVertical&&!this.component.children[0].pane)this._paneDivs[0].style.height="",e=new Core.Web.Measure.Bounds(this._paneDivs[0]).height;if(null!=e&&!this._initialAutoSizeComplete){this._initialAutoSizeComplete=!0;var n=Core.method(this,function(){this.component&&Echo.Render.renderComponentDisplay(this.component)});Core.Web.Image.monitor(this._paneDivs[0],n)}}if(null==e&&(e=Echo.SplitPane.DEFAULT_SEPARATOR_POSITION),Echo.Sync.Extent.isPercent(e)){var i=this._orientationVertical?this._getSize().height:this._getSize().width;e=Math.round(parseInt(e,10)/100*i)}else e=Math.round(Echo.Sync.Extent.toPixels(e,!this._orientationVertical));this._rendered=this._getBoundedSeparatorPosition(e),this._redraw(this._rendered),Core.Web.VirtualPosition.redraw(this._paneDivs[0]),Core.Web.VirtualPosition.redraw(this._paneDivs[1]);for(var r=0;r<this._childPanes.length;++r)this._childPanes[r]&&this._childPanes[r].scrollRequired&&this._paneDivs[r]&&(this._childPanes[r].loadScrollPositions(this._paneDivs[r]),this._childPanes[r].scrollRequired=!1)},renderDispose:function(e){this._overlayRemove();for(var t=0;t<2;++t)this._paneDivs[t]&&(this._childPanes[t]&&this._childPanes[t].storeScrollPositions(this._paneDivs[t]),this._paneDivs[t]=null);this._separatorDiv&&(Core.Web.Event.removeAll(this._separatorDiv),this._separatorDiv=null),Core.Web.Event.removeAll(this._splitPaneDiv),this._splitPaneDiv=null},_renderRemoveChild:function(e,t){var n;if(this._childPanes[0]&&this._childPanes[0].component==t)n=0;else{if(!this._childPanes[1]||this._childPanes[1].component!=t)return;n=1}this._childPanes[n]=null,Core.Web.DOM.removeNode(this._paneDivs[n]),this._paneDivs[n]=null},renderUpdate:function(e){var t,n=!1;if(this._hasRelocatedChildren()?n=!0:(e.hasUpdatedProperties()||e.hasUpdatedLayoutDataChildren())&&(e.isUpdatedPropertySetIn({separatorPosition:!0})?this._requested=this.component.render("separatorPosition"):n=!0),!n&&(e.hasAddedChildren()||e.hasRemovedChildren())){var i=e.getRemovedChildren();if(i)for(t=0;t<i.length;++t)this._renderRemoveChild(e,i[t]);var r=e.getAddedChildren();if(r)for(t=0;t<r.length;++t)this._renderAddChild(e,r[t],this.component.indexOf(r[t]))}if(n){var o=this._splitPaneDiv,s=o.parentNode;Echo.Render.renderComponentDispose(e,e.parent),s.removeChild(o),this.renderAdd(e,s)}return n}}),Echo.Sync.TextComponent=Core.extend(Echo.Render.ComponentSync,{$abstract:!0,$virtual:{getSupportedPartialProperties:function(){return["text","editable","selectionStart","selectionEnd"]},processBlur:function(e){return this._focused=!1,this._storeSelection(),this._storeValue(),!0},processFocus:function(e){return this._focused=!0,this.client&&(this.component.isActive()?this.client.application.setFocusedComponent(this.component):this._resetFocus()),!1},sanitizeInput:function(){var e=this.component.render("maximumLength",-1);e>=0&&this.input.value&&this.input.value.length>e&&(this.input.value=this.input.value.substring(0,e))}},input:null,container:null,_focused:!1,_lastProcessedValue:null,percentWidth:!1,_selectionStart:0,_selectionEnd:0,_renderStyle:function(){this.component.isRenderEnabled()?(Echo.Sync.renderComponentDefaults(this.component,this.input),Echo.Sync.Border.render(this.component.render("border"),this.input),Echo.Sync.FillImage.render(this.component.render("backgroundImage"),this.input),this.input.readOnly&&(Echo.Sync.Color.render(Echo.Sync.getEffectProperty(this.component,"foreground","readOnlyForeground",!0),this.input,"color"),Echo.Sync.Color.render(Echo.Sync.getEffectProperty(this.component,"background","readOnlyBackground",!0),this.input,"backgroundColor"),Echo.Sync.Border.render(Echo.Sync.getEffectProperty(this.component,"border","readOnlyBorder",!0),this.input),Echo.Sync.Font.render(Echo.Sync.getEffectProperty(this.component,"font","readOnlyFont",!0),this.input),Echo.Sync.FillImage.render(Echo.Sync.getEffectProperty(this.component,"backgroundImage","readOnlyBackgroundImage",!0),this.input))):(Echo.Sync.LayoutDirection.render(this.component.getLayoutDirection(),this.input),Echo.Sync.Color.render(Echo.Sync.getEffectProperty(this.component,"foreground","disabledForeground",!0),this.input,"color"),Echo.Sync.Color.render(Echo.Sync.getEffectProperty(this.component,"background","disabledBackground",!0),this.input,"backgroundColor"),Echo.Sync.Border.render(Echo.Sync.getEffectProperty(this.component,"border","disabledBorder",!0),this.input),Echo.Sync.Font.render(Echo.Sync.getEffectProperty(this.component,"font","disabledFont",!0),this.input),Echo.Sync.FillImage.render(Echo.Sync.getEffectProperty(this.component,"backgroundImage","disabledBackgroundImage",!0),this.input)),Echo.Sync.Alignment.render(this.component.render("alignment"),this.input,!1,null),Echo.Sync.Insets.render(this.component.render("insets"),this.input,"padding");var e=this.component.render("width");this.percentWidth=Echo.Sync.Extent.isPercent(e),e&&(this.percentWidth?this.input.style.width="5px":this.input.style.width=Echo.Sync.Extent.toCssValue(e,!0));var t=this.component.render("height");t&&(this.input.style.height=Echo.Sync.Extent.toCssValue(t,!1));var n=this.component.render("toolTipText");n&&(this.input.title=n)},_addEventHandlers:function(){Core.Web.Event.add(this.input,"keydown",Core.method(this,this._processKeyDown),!1),Core.Web.Event.add(this.input,"click",Core.method(this,this._processClick),!1),Core.Web.Event.add(this.input,"focus",Core.method(this,this.processFocus),!1),Core.Web.Event.add(this.input,"blur",Core.method(this,this.processBlur),!1)},_adjustPercentWidth:function(e,t,n){var i=(100-100*t/n)*e/100;return i>0?i:0},clientKeyDown:function(e){return this._storeValue(e),this.client&&this.component.isActive()&&(this.component.doKeyDown(e.keyCode,e.normalizedKey)||Core.Web.DOM.preventEventDefault(e.domEvent)),!0},clientKeyPress:function(e){return this._storeValue(e),this.client&&this.component.isActive()&&(this.component.doKeyPress(e.keyCode,e.charCode,e.normalizedKey)||Core.Web.DOM.preventEventDefault(e.domEvent)),!0},clientKeyUp:function(e){return this._storeSelection(),this._storeValue(e),!0},_processClick:function(e){return this.client&&this.component.isActive()?(this.client.application.setFocusedComponent(this.component),this._storeSelection(),!1):(Core.Web.DOM.preventEventDefault(e),!0)},_processKeyDown:function(e){return this.component.isActive()||Core.Web.DOM.preventEventDefault(e),!0},_processRestrictionsClear:function(){this.client&&(this.client.verifyInput(this.component)&&!this.input.readOnly?this.component.set("text",this.input.value,!0):this.input.value=this.component.get("text"))},_resetFocus:function(){var e=document.createElement("div");e.style.cssText="position:absolute;width:0;height:0;overflow:hidden;";var t=document.createElement("input");t.type="text",e.appendChild(t),document.body.appendChild(e),t.focus(),document.body.removeChild(e),e=null,t=null,this.client.forceRedraw(),Echo.Render.updateFocus(this.client)},renderAddToParent:function(e){Core.Web.Env.ENGINE_MSHTML&&this.percentWidth?(this.container=document.createElement("div"),this.container.appendChild(this.input),e.appendChild(this.container)):e.appendChild(this.input)},renderDisplay:function(){var e=this.component.render("width");if(e&&Echo.Sync.Extent.isPercent(e)&&this.input.parentNode.offsetWidth){var t=this.component.render("border"),n=t?Echo.Sync.Border.getPixelSize(t,"left")+Echo.Sync.Border.getPixelSize(t,"right"):4,i=this.component.render("insets");if(i){var r=Echo.Sync.Insets.toPixels(i);n+=r.left+r.right}Core.Web.Env.ENGINE_MSHTML?(n+=1,Core.Web.Env.BROWSER_VERSION_MAJOR<8&&(this.container?this.container.style.width=this._adjustPercentWidth(100,Core.Web.Measure.SCROLL_WIDTH,this.input.parentNode.offsetWidth)+"%":n+=Core.Web.Measure.SCROLL_WIDTH)):Core.Web.Env.BROWSER_CHROME&&"textarea"==this.input.nodeName.toLowerCase()?n+=3:(Core.Web.Env.BROWSER_SAFARI&&"input"==this.input.nodeName.toLowerCase()||Core.Web.Env.ENGINE_PRESTO)&&(n+=1),this.input.style.width=this._adjustPercentWidth(parseInt(e,10),n,this.input.parentNode.offsetWidth)+"%"}},renderDispose:function(e){Core.Web.Event.removeAll(this.input),this._focused=!1,this.input=null,this.container=null},renderFocus:function(){this._focused||(this._focused=!0,Core.Web.DOM.focusElement(this.input))},renderUpdate:function(e){if(!Core.Arrays.containsAll(this.getSupportedPartialProperties(),e.getUpdatedPropertyNames(),!0)){var t=this.container?this.container:this.input,n=t.parentNode;this.renderDispose(e),n.removeChild(t),this.renderAdd(e,n)}else if(e.hasUpdatedProperties()){var i=e.getUpdatedProperty("text");if(i){var r=null==i.newValue?"":i.newValue;r!=this._lastProcessedValue&&(this.input.value=r,this._lastProcessedValue=r)}var o=e.getUpdatedProperty("editable");null!=o&&(this.input.readOnly=!o.newValue,this._renderStyle(this.input))}return!1},_storeSelection:function(){var e,t;if(this.component){if(Core.Web.Env.NOT_SUPPORTED_INPUT_SELECTION){if(!Core.Web.Env.PROPRIETARY_IE_RANGE)return;if((e=document.selection.createRange()).parentElement()!=this.input)return;t=e.duplicate(),"textarea"==this.input.nodeName.toLowerCase()?t.moveToElementText(this.input):t.expand("textedit"),t.setEndPoint("EndToEnd",e),this._selectionStart=t.text.length-e.text.length,this._selectionEnd=this._selectionStart+e.text.length}else this._selectionStart=this.input.selectionStart,this._selectionEnd=this.input.selectionEnd;this.component.set("selectionStart",this._selectionStart,!0),this.component.set("selectionEnd",this._selectionEnd,!0)}},_storeValue:function(e){if(this.client&&this.component.isActive())if(this.sanitizeInput(),this.client.verifyInput(this.component)){if(this.component.set("text",this.input.value,!0),this._lastProcessedValue=this.input.value,e&&13==e.keyCode&&"keydown"==e.type){var t=this.component.doAction();t&&this.client.restrictInputUntilSettled(t)}}else this.client.registerRestrictionListener(this.component,Core.method(this,this._processRestrictionsClear));else e&&Core.Web.DOM.preventEventDefault(e)}}),Echo.Sync.TextArea=Core.extend(Echo.Sync.TextComponent,{$load:function(){Echo.Render.registerPeer("TextArea",this)},renderAdd:function(e,t){this.input=document.createElement("textarea"),this.input.id=this.component.renderId,this.component.render("editable",!0)||(this.input.readOnly=!0),this._renderStyle(this.input),this.input.style.overflow="auto",this._addEventHandlers(this.input),this.component.get("text")&&(this.input.value=this.component.get("text")),this.renderAddToParent(t)}}),Echo.Sync.TextField=Core.extend(Echo.Sync.TextComponent,{$load:function(){Echo.Render.registerPeer("TextField",this)},$virtual:{_type:"text"},getFocusFlags:function(){return Echo.Render.ComponentSync.FOCUS_PERMIT_ARROW_UP|Echo.Render.ComponentSync.FOCUS_PERMIT_ARROW_DOWN},renderAdd:function(e,t){this.input=document.createElement("input"),this.input.id=this.component.renderId,this.component.render("editable",!0)||(this.input.readOnly=!0),this.input.type=this._type;var n=this.component.render("maximumLength",-1);n>=0&&(this.input.maxLength=n),this._renderStyle(this.input),this._addEventHandlers(this.input),this.component.get("text")&&(this.input.value=this.component.get("text")),this.renderAddToParent(t)},sanitizeInput:function(){}}),Echo.Sync.PasswordField=Core.extend(Echo.Sync.TextField,{$load:function(){Echo.Render.registerPeer("PasswordField",this)},_type:"password"}),Echo.Sync.ToggleButton=Core.extend(Echo.Sync.Button,{$load:function(){Echo.Render.registerPeer("ToggleButton",this)},$abstract:{inputType:null},_selected:!1,_stateElement:null,doAction:function(){this.setSelected(!this._selected),Echo.Sync.Button.prototype.doAction.call(this)},getStateIcon:function(e,t){var n;return this._selected&&(n=Echo.Sync.getEffectProperty(this.component,"selectedStateIcon","disabledSelectedStateIcon",!this.enabled))&&(t?n=this.component.render("pressedSelectedStateIcon",n):e&&(n=this.component.render("rolloverSelectedStateIcon",n))),n||(n=Echo.Sync.getEffectProperty(this.component,"stateIcon","disabledStateIcon",!this.enabled))&&(t?n=this.component.render("pressedStateIcon",n):e&&(n=this.component.render("rolloverStateIcon",n))),n},_processStateChange:function(e){return this._updateStateElement(),!0},renderAdd:function(e,t){this._selected=this.component.render("selected"),Echo.Sync.Button.prototype.renderAdd.call(this,e,t)},renderContent:function(){var e,t,n,i=this.component.render("text"),r=this.component.render("icon"),o=(null!=i?1:0)+(r?1:0)+1;if(1==o)null!=i?this.renderButtonText(this.div,i):r?this.iconImg=this.renderButtonIcon(this.div,r):this._stateElement=this._renderButtonState(this.div);else if(2==o)e=Echo.Sync.TriCellTable.getInvertedOrientation(this.component,"statePosition","leading"),t=this.component.render("stateMargin",Echo.Sync.Button._defaultIconTextMargin),n=new Echo.Sync.TriCellTable(e,Echo.Sync.Extent.toPixels(t)),null!=i?(this.renderButtonText(n.tdElements[0],i),r?this.iconImg=this.renderButtonIcon(n.tdElements[1],r):this._stateElement=this._renderButtonState(n.tdElements[1])):(this.iconImg=this.renderButtonIcon(n.tdElements[0],r),this._stateElement=this._renderButtonState(n.tdElements[1])),this.div.appendChild(n.tableElement);else if(3==o){e=Echo.Sync.TriCellTable.getOrientation(this.component,"textPosition"),t=this.component.render("iconTextMargin",Echo.Sync.Button._defaultIconTextMargin);var s=Echo.Sync.TriCellTable.getInvertedOrientation(this.component,"statePosition","leading"),l=this.component.render("stateMargin",Echo.Sync.Button._defaultIconTextMargin);n=new Echo.Sync.TriCellTable(e,Echo.Sync.Extent.toPixels(t),s,Echo.Sync.Extent.toPixels(l)),this.renderButtonText(n.tdElements[0],i),this.iconImg=this.renderButtonIcon(n.tdElements[1],r),this._stateElement=this._renderButtonState(n.tdElements[2]),this.div.appendChild(n.tableElement)}},renderDispose:function(e){Echo.Sync.Button.prototype.renderDispose.call(this,e),this._stateElement&&(Core.Web.Event.removeAll(this._stateElement),this._stateElement=null)},_renderButtonState:function(e){var t,n=this.getStateIcon();n?(t=document.createElement("img"),Echo.Sync.ImageReference.renderImg(n,t)):((t=document.createElement("input")).type=this.inputType,"radio"==this.inputType&&(t.name="__echo_"+Echo.Sync.RadioButton._nextNameId++),t.defaultChecked=!!this._selected,t.disabled=!this.enabled,Core.Web.Event.add(t,"change",Core.method(this,this._processStateChange),!1),Core.Web.Event.add(this.div,"click",Core.method(this,this._processStateChange),!1)),e.appendChild(t);var i=this.component.render("stateAlignment");return i&&Echo.Sync.Alignment.render(i,e,!0,this.component),t},setHighlightState:function(e,t){Echo.Sync.Button.prototype.setHighlightState.call(this,e,t);var n=this.getStateIcon(e,t);if(n){var i=Echo.Sync.ImageReference.getUrl(n);this._stateElement.src!=i&&(this._stateElement.src=i)}},setSelected:function(e){this._selected!=e&&(this._selected=e,this.component.set("selected",e),this._updateStateElement())},_updateStateElement:function(){var e=this.getStateIcon();e?this._stateElement.src=Echo.Sync.ImageReference.getUrl(e):this._stateElement.checked=!!this._selected}}),Echo.Sync.CheckBox=Core.extend(Echo.Sync.ToggleButton,{$load:function(){Echo.Render.registerPeer("CheckBox",this)},inputType:"checkbox"}),Echo.Sync.RadioButton=Core.extend(Echo.Sync.ToggleButton,{$static:{_nextNameId:0,_groups:new Core.Arrays.LargeMap},$load:function(){Echo.Render.registerPeer("RadioButton",this)},inputType:"radio",_group:null,doAction:function(){this._group&&this._group.deselect(),Echo.Sync.ToggleButton.prototype.doAction.call(this)},renderAdd:function(e,t){var n=this.component.render("group");if(null!=n){var i=Echo.Sync.RadioButton._groups.get(n);i||(i=new Echo.Sync.RadioButton.Group(n),Echo.Sync.RadioButton._groups.set(n,i)),i.add(this),this._group=i}Echo.Sync.ToggleButton.prototype.renderAdd.call(this,e,t)},renderDispose:function(e){Echo.Sync.ToggleButton.prototype.renderDispose.call(this,e),this._group&&(this._group.remove(this),0===this._group.size()&&Echo.Sync.RadioButton._groups.remove(this._group.id),this._group=null)}}),Echo.Sync.RadioButton.Group=Core.extend({id:null,_buttons:null,$construct:function(e){this.id=e,this._buttons=[]},add:function(e){this._buttons.push(e)},deselect:function(){for(var e=0;e<this._buttons.length;++e)this._buttons[e].setSelected(!1)},remove:function(e){for(var t=-1,n=0;n<this._buttons.length;++n)if(this._buttons[n]==e){t=n;break}if(-1==t)throw new Error("No such button: "+e.component.renderId);1==this._buttons.length?this._buttons=[]:(this._buttons[t]=this._buttons[this._buttons.length-1],this._buttons.length=this._buttons.length-1)},size:function(){return this._buttons.length}}),Echo.Sync.WindowPane=Core.extend(Echo.Render.ComponentSync,{$static:{CURSORS:["n-resize","ne-resize","e-resize","se-resize","s-resize","sw-resize","w-resize","nw-resize"],PARTIAL_PROPERTIES:{background:!0,backgroundImage:!0,border:!0,closable:!0,closeIcon:!0,closeIconInsets:!0,controlsInsets:!0,font:!0,foreground:!0,height:!0,icon:!0,iconInsets:!0,insets:!0,maximizeEnabled:!0,maximizeIcon:!0,maximumHeight:!0,maximumWidth:!0,minimizeEnabled:!0,minimizeIcon:!0,minimumHeight:!0,minimumWidth:!0,movable:!0,positionX:!0,positionY:!0,resizable:!0,title:!0,titleBackground:!0,titleBackgroundImage:!0,titleFont:!0,titleForeground:!0,titleHeight:!0,titleInsets:!0,width:!0},NON_RENDERED_PROPERTIES:{zIndex:!0},PARTIAL_PROPERTIES_POSITION_SIZE:{positionX:!0,positionY:!0,width:!0,height:!0},FadeRunnable:Core.extend(Core.Web.Scheduler.Runnable,{timeInterval:20,repeat:!0,_directionOut:!1,_div:null,_completeMethod:null,_time:null,$construct:function(e,t,n,i){this._directionOut=t,this._div=e,this._completeMethod=i,this._time=n},run:function(){this._startTime||(this._startTime=(new Date).getTime());var e=((new Date).getTime()-this._startTime)/this._time;e>1&&(e=1),this._div.style.opacity=this._directionOut?1-e:e,1===e&&(this.repeat=!1,this._completeMethod&&(this._completeMethod(),this._completeMethod=null))}})},$load:function(){Echo.Render.registerPeer("WindowPane",this)},_initialRenderDisplayComplete:!1,_displayed:!1,_requested:null,_rendered:null,_dragInit:null,_dragOrigin:null,_resizeIncrement:null,_containerSize:null,_processBorderMouseMoveRef:null,_processBorderMouseUpRef:null,_processTitleBarMouseMoveRef:null,_processTitleBarMouseUpRef:null,_controlIcons:null,_overlay:null,_closeAnimationTime:null,_opening:!1,_imageWaitStartTime:null,$construct:function(){this._processBorderMouseMoveRef=Core.method(this,this._processBorderMouseMove),this._processBorderMouseUpRef=Core.method(this,this._processBorderMouseUp),this._processTitleBarMouseMoveRef=Core.method(this,this._processTitleBarMouseMove),this._processTitleBarMouseUpRef=Core.method(this,this._processTitleBarMouseUp)},_centerIcon:function(){if(this._titleIconImg&&this._titleIconImg.complete&&this._titleIconImg.height){var e=Echo.Sync.Insets.toPixels(this.component.render("iconInsets")),t=parseInt(this._titleBarDiv.style.height,10)-e.top-e.bottom-this._titleIconImg.height;t<=0||(this._titleIconDiv.style.paddingTop=Math.floor(t/2)+"px")}},_imageLoadListener:function(e){this.component&&(this._titleIconImgLoading&&this._titleIconImg.complete&&(this._titleIconImgLoading=!1,this._titleBarDiv.style.height="",this._titleBarHeight=new Core.Web.Measure.Bounds(this._titleBarDiv).height||Echo.Sync.Extent.toPixels(Echo.WindowPane.DEFAULT_TITLE_HEIGHT),this._titleBarDiv.style.height=this._titleBarHeight+"px",this._contentDiv.style.top=this._contentInsets.top+this._titleBarHeight+"px"),e.complete&&(this._imageWaitStartTime=null),Echo.Render.renderComponentDisplay(this.component))},_loadPositionAndSize:function(){this._requested={x:this.component.render("positionX","50%"),y:this.component.render("positionY","50%"),contentWidth:this.component.render("contentWidth"),contentHeight:this.component.render("contentHeight")},this._requested.width=this.component.render("width",this._requested.contentWidth?null:Echo.WindowPane.DEFAULT_WIDTH),this._requested.height=this.component.render("height")},_loadContainerSize:function(){this._containerSize=this.component.parent.peer.getSize()},_overlayAdd:function(){this._overlay||(this._overlay=document.createElement("div"),this._overlay.style.cssText="position:absolute;z-index:32600;width:100%;height:100%;",Echo.Sync.FillImage.render(this.client.getResourceUrl("Echo","resource/Transparent.gif"),this._overlay),document.body.appendChild(this._overlay))},_overlayRemove:function(){this._overlay&&(document.body.removeChild(this._overlay),this._overlay=null)},_processBorderMouseDown:function(e){if(!this.client||!this.client.verifyInput(this.component)||!1===e.isPrimary)return!0;switch(Core.Web.dragInProgress=!0,Core.Web.DOM.preventEventDefault(e),this._overlayAdd(),this._loadContainerSize(),this._dragInit={x:this._rendered.x,y:this._rendered.y,width:this._rendered.width,height:this._rendered.height},this._dragOrigin={x:e.clientX,y:e.clientY},e.target){case this._borderDivs[0]:this._resizeIncrement={x:0,y:-1};break;case this._borderDivs[1]:this._resizeIncrement={x:1,y:-1};break;case this._borderDivs[2]:this._resizeIncrement={x:1,y:0};break;case this._borderDivs[3]:this._resizeIncrement={x:1,y:1};break;case this._borderDivs[4]:this._resizeIncrement={x:0,y:1};break;case this._borderDivs[5]:this._resizeIncrement={x:-1,y:1};break;case this._borderDivs[6]:this._resizeIncrement={x:-1,y:0};break;case this._borderDivs[7]:this._resizeIncrement={x:-1,y:-1}}Core.Web.Event.setPointerCapture(e.target,e.pointerId),Core.Web.Event.add(document.body,"pointermove",this._processBorderMouseMoveRef,!0),Core.Web.Event.add(document.body,"pointerup",this._processBorderMouseUpRef,!0),Core.Web.Event.add(document.body,"pointercancel",this._processBorderMouseUpRef,!0)},_processBorderMouseMove:function(e){this._setBounds({x:-1==this._resizeIncrement.x?this._dragInit.x+e.clientX-this._dragOrigin.x:null,y:-1==this._resizeIncrement.y?this._dragInit.y+e.clientY-this._dragOrigin.y:null,width:this._dragInit.width+this._resizeIncrement.x*(e.clientX-this._dragOrigin.x),height:this._dragInit.height+this._resizeIncrement.y*(e.clientY-this._dragOrigin.y)},!0),Echo.Sync.FillImageBorder.renderContainerDisplay(this._div)},_processBorderMouseUp:function(e){Core.Web.DOM.preventEventDefault(e),Core.Web.dragInProgress=!1,this._overlayRemove(),this._removeBorderListeners(),this.component.set("positionX",this._rendered.x),this.component.set("positionY",this._rendered.y),this.component.set("width",this._rendered.width),this.component.set("height",this._rendered.height),this._requested={x:this._rendered.x,y:this._rendered.y,width:this._rendered.width,height:this._rendered.height},Echo.Sync.FillImageBorder.renderContainerDisplay(this._div),Core.Web.VirtualPosition.redraw(this._contentDiv),Core.Web.VirtualPosition.redraw(this._maskDiv),Echo.Render.notifyResize(this.component)},_processControlClick:function(e){if(!this.client||!this.client.verifyInput(this.component))return!0;switch(e.registeredTarget._controlData.name){case"close":this.component.userClose();break;case"maximize":this.component.userMaximize(),Echo.Render.processUpdates(this.client);break;case"minimize":this.component.userMinimize()}},_processControlRolloverEnter:function(e){if(!this.client||!this.client.verifyInput(this.component))return!0;Echo.Sync.ImageReference.renderImg(e.registeredTarget._controlData.rolloverIcon,e.registeredTarget.firstChild)},_processControlRolloverExit:function(e){Echo.Sync.ImageReference.renderImg(e.registeredTarget._controlData.icon,e.registeredTarget.firstChild)},renderContentPaneRemove:function(e,t){return this._closeAnimationTime>0&&(Core.Web.Scheduler.add(new Echo.Sync.WindowPane.FadeRunnable(e,!0,this._closeAnimationTime,t)),!0)},clientKeyDown:function(e){return 27!=e.keyCode||!this.component.render("closable",!0)||(this.component.userClose(),Core.Web.DOM.preventEventDefault(e.domEvent),!1)},_processFocusClick:function(e){return!this.client||!this.client.verifyInput(this.component)||(this.component.parent.peer.raise(this.component),!0)},_processTitleBarMouseDown:function(e){if(!this.client||!this.client.verifyInput(this.component)||!1===e.isPrimary)return!0;for(var t=e.target;t!=e.registeredTarget;){if(t._controlData)return;t=t.parentNode}this.component.parent.peer.raise(this.component),Core.Web.dragInProgress=!0,Core.Web.DOM.preventEventDefault(e),this._overlayAdd(),this._loadContainerSize(),this._dragInit={x:this._rendered.x,y:this._rendered.y},this._dragOrigin={x:e.clientX,y:e.clientY},Core.Web.Event.setPointerCapture(this._titleBarDiv,e.pointerId),Core.Web.Event.add(document.body,"pointermove",this._processTitleBarMouseMoveRef,!0),Core.Web.Event.add(document.body,"pointerup",this._processTitleBarMouseUpRef,!0),Core.Web.Event.add(document.body,"pointercancel",this._processTitleBarMouseUpRef,!0)},_processTitleBarMouseMove:function(e){this._setBounds({x:this._dragInit.x+e.clientX-this._dragOrigin.x,y:this._dragInit.y+e.clientY-this._dragOrigin.y},!0)},_processTitleBarMouseUp:function(e){Core.Web.dragInProgress=!1,this._overlayRemove(),this._removeTitleBarListeners(),this.component.set("positionX",this._rendered.x),this.component.set("positionY",this._rendered.y),this._requested.x=this._rendered.x,this._requested.y=this._rendered.y},_redraw:function(){if(!(this._rendered.width<=0||this._rendered.height<=0)){this._rendered.width,this._borderInsets.left,this._borderInsets.right,this._rendered.height,this._borderInsets.top,this._borderInsets.bottom;this._div.style.left=this._rendered.x+"px",this._div.style.top=this._rendered.y+"px",this._div.style.width=this._rendered.width+"px",this._div.style.height=this._rendered.height+"px",this._titleBarDiv.style.width=this._rendered.width-this._contentInsets.left-this._contentInsets.right+"px",Echo.Sync.FillImageBorder.renderContainerDisplay(this._div),Core.Web.VirtualPosition.redraw(this._contentDiv),Core.Web.VirtualPosition.redraw(this._maskDiv)}},_removeBorderListeners:function(){Core.Web.Event.remove(document.body,"pointermove",this._processBorderMouseMoveRef,!0),Core.Web.Event.remove(document.body,"pointerup",this._processBorderMouseUpRef,!0),Core.Web.Event.remove(document.body,"pointercancel",this._processBorderMouseUpRef,!0)},_removeTitleBarListeners:function(){Core.Web.Event.remove(document.body,"pointermove",this._processTitleBarMouseMoveRef,!0),Core.Web.Event.remove(document.body,"pointerup",this._processTitleBarMouseUpRef,!0),Core.Web.Event.remove(document.body,"pointercancel",this._processTitleBarMouseUpRef,!0)},renderAdd:function(e,t){this._opening=e.parent==this.component.parent,this._rtl=!this.component.getRenderLayoutDirection().isLeftToRight(),this._closeAnimationTime=Core.Web.Env.NOT_SUPPORTED_CSS_OPACITY?0:this.component.render("closeAnimationTime",0),this._contentDiv=document.createElement("div");var n=this.component.getComponentCount();if(1==n)Echo.Render.renderComponentAdd(e,this.component.getComponent(0),this._contentDiv);else if(n>1)throw new Error("Too many children: "+n);if(Core.Web.Env.QUIRK_IE_SELECT_Z_INDEX){this._maskDiv=document.createElement("div"),this._maskDiv.style.cssText="filter:alpha(opacity=0);z-index:1;position:absolute;left:0,right:0,top:0,bottom:0,borderWidth:0;";var i=document.createElement("iframe");i.style.cssText="width:100%;height:100%;",i.src=this.client.getResourceUrl("Echo","resource/Blank.html"),this._maskDiv.appendChild(i)}Echo.Sync.LayoutDirection.render(this.component.getLayoutDirection(),this._div),this._renderAddFrame(t)},_renderAddFrame:function(e){this._initialRenderDisplayComplete=!1,this._loadPositionAndSize(),this._minimumWidth=Echo.Sync.Extent.toPixels(this.component.render("minimumWidth",Echo.WindowPane.DEFAULT_MINIMUM_WIDTH),!0),this._minimumHeight=Echo.Sync.Extent.toPixels(this.component.render("minimumHeight",Echo.WindowPane.DEFAULT_MINIMUM_HEIGHT),!1),this._maximumWidth=Echo.Sync.Extent.toPixels(this.component.render("maximumWidth"),!0),this._maximumHeight=Echo.Sync.Extent.toPixels(this.component.render("maximumHeight"),!1),this._resizable=this.component.render("resizable",!0);var t=this.component.render("border",Echo.WindowPane.DEFAULT_BORDER);this._borderInsets=Echo.Sync.Insets.toPixels(t.borderInsets),this._contentInsets=Echo.Sync.Insets.toPixels(t.contentInsets);var n=this.component.render("movable",!0),i=this.component.render("closable",!0),r=this.component.render("maximizeEnabled",!1),o=this.component.render("minimizeEnabled",!1),s=i||r||o;this.component.render("ieAlphaRenderBorder")&&Echo.Sync.FillImage.FLAG_ENABLE_IE_PNG_ALPHA_FILTER;this._div=Echo.Sync.FillImageBorder.renderContainer(t,{absolute:!0}),this._div.id=this.component.renderId,this._div.tabIndex="0",this._div.style.outlineStyle="none",this._div.style.overflow="hidden",this._div.style.zIndex=1,this._displayed||(this._div.style.visibility="hidden"),this._borderDivs=Echo.Sync.FillImageBorder.getBorder(this._div);for(var l=this._resizable?Core.method(this,this._processBorderMouseDown):null,a=0;a<8;++a)this._borderDivs[a]&&this._resizable&&(this._borderDivs[a].style.zIndex=2,this._borderDivs[a].style.cursor=Echo.Sync.WindowPane.CURSORS[a],Core.Web.Event.setTouchAction(this._borderDivs[a],"none"),Core.Web.Event.add(this._borderDivs[a],"pointerdown",l,!0));var h=this.component.render("titleInsets",Echo.WindowPane.DEFAULT_TITLE_INSETS);this._titleBarDiv=document.createElement("div"),this._titleBarDiv.style.position="absolute",this._titleBarDiv.style.zIndex=3;var c=this.component.render("icon");if(c){this._titleIconDiv=document.createElement("div"),this._titleIconDiv.style[Core.Web.Env.CSS_FLOAT]=this._rtl?"right":"left";var d=this.component.render("iconInsets");if(d)Echo.Sync.Insets.render(d,this._titleIconDiv,"padding");else{var u=Echo.Sync.Insets.toPixels(h);this._rtl?this._titleIconDiv.style.paddingRight=u.right+"px":this._titleIconDiv.style.paddingLeft=u.left+"px"}this._titleBarDiv.appendChild(this._titleIconDiv),this._titleIconImg=document.createElement("img"),Echo.Sync.ImageReference.renderImg(c,this._titleIconImg),this._titleIconDiv.appendChild(this._titleIconImg),this._titleIconImgLoading=!0}var p=this.component.render("title"),_=document.createElement("div");c&&(_.style[Core.Web.Env.CSS_FLOAT]=this._rtl?"right":"left"),_.style.whiteSpace="nowrap",Echo.Sync.Font.render(this.component.render("titleFont"),_),Echo.Sync.Insets.render(h,_,"padding"),_.appendChild(document.createTextNode(p||" ")),this._titleBarDiv.appendChild(_);var f=this.component.render("titleHeight");f&&(this._titleBarHeight=Echo.Sync.Extent.toPixels(f)),f||(this._titleBarHeight=new Core.Web.Measure.Bounds(this._titleBarDiv).height||Echo.Sync.Extent.toPixels(Echo.WindowPane.DEFAULT_TITLE_HEIGHT)),this._titleBarDiv.style.top=this._contentInsets.top+"px",this._titleBarDiv.style.left=this._contentInsets.left+"px",this._titleBarDiv.style.height=this._titleBarHeight+"px",this._titleBarDiv.style.overflow="hidden",n&&(this._titleBarDiv.style.cursor="move",Core.Web.Event.setTouchAction(this._titleBarDiv,"none"),Core.Web.Event.add(this._titleBarDiv,"pointerdown",Core.method(this,this._processTitleBarMouseDown),!0)),Echo.Sync.Color.render(this.component.render("titleForeground"),this._titleBarDiv,"color");var m=this.component.render("titleBackground"),E=this.component.render("titleBackgroundImage");m&&(this._titleBarDiv.style.backgroundColor=m),E&&Echo.Sync.FillImage.render(E,this._titleBarDiv),m||E||(this._titleBarDiv.style.backgroundColor=Echo.WindowPane.DEFAULT_TITLE_BACKGROUND),s&&(this._controlDiv=document.createElement("div"),this._controlDiv.style.cssText="position:absolute;top:0;",this._controlDiv.style[this._rtl?"left":"right"]=0,Echo.Sync.Insets.render(this.component.render("controlsInsets",Echo.WindowPane.DEFAULT_CONTROLS_INSETS),this._controlDiv,"margin"),this._titleBarDiv.appendChild(this._controlDiv),i&&this._renderControlIcon("close",this.client.getResourceUrl("Echo","resource/WindowPaneClose.gif"),"[X]"),r&&this._renderControlIcon("maximize",this.client.getResourceUrl("Echo","resource/WindowPaneMaximize.gif"),"[+]"),o&&this._renderControlIcon("minimize",this.client.getResourceUrl("Echo","resource/WindowPaneMinimize.gif"),"[-]")),this._div.appendChild(this._titleBarDiv),this._contentDiv.style.cssText="position:absolute;z-index:2;top:"+(this._contentInsets.top+this._titleBarHeight)+"px;bottom:"+this._contentInsets.bottom+"px;left:"+this._contentInsets.left+"px;right:"+this._contentInsets.right+"px;overflow:"+(0===this.component.children.length||this.component.children[0].pane?"hidden;":"auto;"),Echo.Sync.Font.renderClear(this.component.render("font"),this._contentDiv),this.component.children.length>0&&!this.component.children[0].pane&&Echo.Sync.Insets.render(this.component.render("insets"),this._contentDiv,"padding"),Echo.Sync.Color.render(this.component.render("background",Echo.WindowPane.DEFAULT_BACKGROUND),this._contentDiv,"backgroundColor"),Echo.Sync.Color.render(this.component.render("foreground",Echo.WindowPane.DEFAULT_FOREGROUND),this._contentDiv,"color"),Echo.Sync.FillImage.render(this.component.render("backgroundImage"),this._contentDiv),this._div.appendChild(this._contentDiv),Core.Web.Env.QUIRK_IE_SELECT_Z_INDEX&&this._div.appendChild(this._maskDiv),Core.Web.Event.add(this._div,"click",Core.method(this,this._processFocusClick),!0),e.appendChild(this._div)},_renderControlIcon:function(e,t,n){var i=document.createElement("div"),r=this.component.render(e+"Icon",t),o=this.component.render(e+"RolloverIcon"),s=Echo.Sync.Extent.toCssValue(this.component.render("controlsSpacing",Echo.WindowPane.DEFAULT_CONTROLS_SPACING));if(i.style.cssText=this._rtl?"float:left;cursor:pointer;margin-right:"+s:"float:right;cursor:pointer;margin-left:"+s,Echo.Sync.Insets.render(this.component.render(e+"Insets"),i,"padding"),r){var l=document.createElement("img");Echo.Sync.ImageReference.renderImg(r,l),i.appendChild(l),o&&(Core.Web.Event.add(i,"mouseover",Core.method(this,this._processControlRolloverEnter),!1),Core.Web.Event.add(i,"mouseout",Core.method(this,this._processControlRolloverExit),!1))}else i.appendChild(document.createTextNode(n));Core.Web.Event.add(i,"click",Core.method(this,this._processControlClick),!1),this._controlDiv.appendChild(i),null==this._controlIcons&&(this._controlIcons=[]),this._controlIcons.push(i),i._controlData={name:e,icon:r,rolloverIcon:o}},renderDisplay:function(){this._loadContainerSize(),this._setBounds(this._requested,!1),Core.Web.VirtualPosition.redraw(this._contentDiv),Core.Web.VirtualPosition.redraw(this._maskDiv),this._centerIcon();var e=parseInt(this.component.render("resourceTimeout"),10)||Echo.WindowPane.DEFAULT_RESOURCE_TIMEOUT;if(this._initialRenderDisplayComplete||(this._initialRenderDisplayComplete=!0,e&&Core.Web.Image.monitor(this._div,Core.method(this,this._imageLoadListener))&&(this._imageWaitStartTime=(new Date).getTime())),!this._displayed&&(this._imageWaitStartTime&&(new Date).getTime()>this._imageWaitStartTime+e&&(this._imageWaitStartTime=null),!this._imageWaitStartTime)){this._displayed=!0;var t=Core.Web.Env.NOT_SUPPORTED_CSS_OPACITY||!this._opening?0:this.component.render("openAnimationTime",0);t>0&&(Core.Web.Scheduler.add(new Echo.Sync.WindowPane.FadeRunnable(this._div,!1,t,null)),this._div.style.opacity=0),this._div.style.visibility=""}},renderDispose:function(e){this._overlayRemove(),this._renderDisposeFrame(),this._maskDiv=null,this._contentDiv=null,this._controlDiv=null},_renderDisposeFrame:function(){var e;for(Core.Web.Event.removeAll(this._div),e=0;e<8;++e)this._borderDivs[e]&&Core.Web.Event.removeAll(this._borderDivs[e]);if(this._borderDivs=null,null!=this._controlIcons){for(e=0;e<this._controlIcons.length;++e)Core.Web.Event.removeAll(this._controlIcons[e]);this._controlIcons=null}Core.Web.Event.removeAll(this._titleBarDiv),this._titleBarDiv=null,this._titleIconDiv=null,this._titleIconImg=null,this._titleIconImgLoading=!1,this._div=null},renderFocus:function(){Core.Web.DOM.focusElement(this._div)},renderUpdate:function(e){if(e.hasAddedChildren()||e.hasRemovedChildren());else{if(e.isUpdatedPropertySetIn(Echo.Sync.WindowPane.NON_RENDERED_PROPERTIES))return!1;if(e.isUpdatedPropertySetIn(Echo.Sync.WindowPane.PARTIAL_PROPERTIES_POSITION_SIZE))return this._loadPositionAndSize(),!1;if(e.isUpdatedPropertySetIn(Echo.Sync.WindowPane.PARTIAL_PROPERTIES))return this._renderUpdateFrame(),!1}var t=this._div,n=t.parentNode;return Echo.Render.renderComponentDispose(e,e.parent),n.removeChild(t),this.renderAdd(e,n),!0},_renderUpdateFrame:function(){var e=this._div,t=e.parentNode;this._renderDisposeFrame(),t.removeChild(e),this._renderAddFrame(t)},_setBounds:function(e,t){var n={},i=!1;if(t&&(null!=e.x&&e.x<0&&(e.x=0),null!=e.y&&e.y<0&&(e.y=0)),null!=e.width?n.width=Math.round(Echo.Sync.Extent.isPercent(e.width)?parseInt(e.width,10)*this._containerSize.width/100:Echo.Sync.Extent.toPixels(e.width,!0)):null!=e.contentWidth&&(n.contentWidth=Math.round(Echo.Sync.Extent.isPercent(e.contentWidth)?parseInt(e.contentWidth,10)*this._containerSize.width/100:Echo.Sync.Extent.toPixels(e.contentWidth,!0)),n.width=this._contentInsets.left+this._contentInsets.right+n.contentWidth),null!=e.height)n.height=Math.round(Echo.Sync.Extent.isPercent(e.height)?parseInt(e.height,10)*this._containerSize.height/100:Echo.Sync.Extent.toPixels(e.height,!1));else if(null!=e.contentHeight)n.contentHeight=Math.round(Echo.Sync.Extent.isPercent(e.contentHeight)?parseInt(e.contentHeight,10)*this._containerSize.height/100:Echo.Sync.Extent.toPixels(e.contentHeight,!1)),n.height=this._contentInsets.top+this._contentInsets.bottom+this._titleBarHeight+n.contentHeight;else if(!t){if(i=!0,this.component.children[0]){var r=n.contentWidth?n.contentWidth:n.width-(this._contentInsets.left+this._contentInsets.right),o=this._contentDiv.style.cssText;if(this.component.children[0].peer.getPreferredSize){this._contentDiv.style.cssText="position:absolute;width:"+r+"px;height:"+this._containerSize.height+"px";var s=this.component.children[0].peer.getPreferredSize(Echo.Render.ComponentSync.SIZE_HEIGHT);s&&s.height&&(n.height=this._contentInsets.top+this._contentInsets.bottom+this._titleBarHeight+s.height),this._contentDiv.style.cssText=o}if(!n.height&&!this.component.children[0].pane){var l=Echo.Sync.Insets.toPixels(this.component.render("insets"));this._contentDiv.style.position="static",this._contentDiv.style.width=r-l.left-l.right+"px",this._contentDiv.style.height="",this._contentDiv.style.padding="";var a=new Core.Web.Measure.Bounds(this._contentDiv).height;a&&(n.height=this._contentInsets.top+this._contentInsets.bottom+this._titleBarHeight+a+l.top+l.bottom),this._contentDiv.style.cssText=o}}n.height||(n.height=Echo.Sync.Extent.toPixels(Echo.WindowPane.DEFAULT_HEIGHT,!1))}null!=e.x&&(Echo.Sync.Extent.isPercent(e.x)?(n.x=Math.round((this._containerSize.width-n.width)*(parseInt(e.x,10)/100)),n.x<0&&(n.x=0)):(n.x=Math.round(Echo.Sync.Extent.toPixels(e.x,!0)),n.x<0&&(n.x+=this._containerSize.width-n.width))),null!=e.y&&(Echo.Sync.Extent.isPercent(e.y)?(n.y=Math.round((this._containerSize.height-n.height)*(parseInt(e.y,10)/100)),n.y<0&&(n.y=0)):(n.y=Math.round(Echo.Sync.Extent.toPixels(e.y,!1)),n.y<0&&(n.y+=this._containerSize.height-n.height))),null==this._rendered&&(this._rendered={}),null!=n.width&&(this._resizable&&n.width>this._containerSize.width&&(n.width=this._containerSize.width),this._maximumWidth&&n.width>this._maximumWidth&&(t&&null!=n.x&&(n.x+=n.width-this._maximumWidth),n.width=this._maximumWidth),n.width<this._minimumWidth&&(t&&null!=n.x&&(n.x+=n.width-this._minimumWidth),n.width=this._minimumWidth),this._rendered.width=Math.round(n.width)),null!=n.height&&((i||this._resizable)&&n.height>this._containerSize.height&&(n.height=this._containerSize.height),this._maximumHeight&&n.height>this._maximumHeight&&(t&&null!=n.y&&(n.y+=n.height-this._maximumHeight),n.height=this._maximumHeight),n.height<this._minimumHeight&&(t&&null!=n.y&&(n.y+=n.height-this._minimumHeight),n.height=this._minimumHeight),this._rendered.height=Math.round(n.height)),null!=n.x&&(this._containerSize.width>0&&n.x>this._containerSize.width-this._rendered.width&&(n.x=this._containerSize.width-this._rendered.width),n.x<0&&(n.x=0),this._rendered.x=Math.round(n.x)),null!=n.y&&(this._containerSize.height>0&&n.y>this._containerSize.height-this._rendered.height&&(n.y=this._containerSize.height-this._rendered.height),n.y<0&&(n.y=0),this._rendered.y=Math.round(n.y)),this._redraw()}});
\ No newline at end of file